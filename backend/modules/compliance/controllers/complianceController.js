@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Compliance Controller - Manages AML rules and alerts
+ *
+ * This controller lets compliance reviewers work through the alerts raised by
+ * the rules engine and the transactions held by watchlist screening, and lets
+ * admins configure the screening rules and import sanctions lists.
+ *
+ * @module controllers/complianceController
+ * @requires models/complianceRule
+ * @requires services/alertService
+ * @requires services/watchlistService
+ * @requires core/utils/errorHandler
+ */
+
+import ComplianceRule from "../models/complianceRule.js";
+import AlertService from "../services/alertService.js";
+import WatchlistService from "../services/watchlistService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../../core/utils/errorHandler.js";
+
+/**
+ * Fields an admin may set on a rule
+ * @private
+ * @type {Array<string>}
+ */
+const RULE_FIELDS = [
+  "name",
+  "type",
+  "severity",
+  "enabled",
+  "transactionTypes",
+  "thresholdTTD",
+  "marginPercent",
+  "minCount",
+  "windowDays",
+  "multiplier",
+  "minHistory"
+];
+
+/**
+ * Pick the editable rule fields from a request body
+ *
+ * @private
+ * @param {Object} body - Request body
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (body = {}) =>
+  Object.fromEntries(RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+/**
+ * Get compliance alerts
+ *
+ * @async
+ * @function getAlerts
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with alerts, counts per status and pagination or error
+ * @description Lists alerts newest first, filtered by status ("active" for open and
+ *              investigating) and severity
+ */
+export const getAlerts = async (req, res) => {
+  try {
+    const { status, severity, page, limit } = req.query;
+
+    const result = await AlertService.listAlerts({ status, severity, page, limit });
+
+    return sendSuccessResponse(res, 200, "Compliance alerts retrieved successfully", result);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get a compliance alert
+ *
+ * @async
+ * @function getAlertById
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the alert or error
+ * @description Returns the alert with its triggering and related transactions and history
+ */
+export const getAlertById = async (req, res) => {
+  try {
+    const alert = await AlertService.getAlert(req.params.id);
+
+    return sendSuccessResponse(res, 200, "Compliance alert retrieved successfully", { alert });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a compliance alert's status
+ *
+ * @async
+ * @function updateAlertStatus
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated alert or error
+ * @description Moves the alert through the review workflow. Reporting or dismissing
+ *              an alert requires a note.
+ */
+export const updateAlertStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const alert = await AlertService.updateStatus(req.params.id, status, req.user._id, note);
+
+    return sendSuccessResponse(res, 200, `Alert marked ${status}`, { alert });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get compliance rules
+ *
+ * @async
+ * @function getRules
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the rules or error
+ * @description Lists every screening rule, enabled or not
+ */
+export const getRules = async (req, res) => {
+  try {
+    const rules = await ComplianceRule.find()
+      .populate("updatedBy", "userName fullName")
+      .sort({ type: 1, name: 1 });
+
+    return sendSuccessResponse(res, 200, "Compliance rules retrieved successfully", { rules });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Create a compliance rule
+ *
+ * @async
+ * @function createRule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new rule or error
+ * @description Adds a screening rule; new transactions are checked against it straight away
+ */
+export const createRule = async (req, res) => {
+  try {
+    const rule = await ComplianceRule.create({
+      ...pickRuleFields(req.body),
+      updatedBy: req.user._id
+    });
+
+    return sendSuccessResponse(res, 201, "Compliance rule created successfully", { rule });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a compliance rule
+ *
+ * @async
+ * @function updateRule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated rule or error
+ * @description Changes a rule's parameters, severity or enabled flag. Existing alerts
+ *              keep the rule name and severity they were raised with.
+ */
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id);
+    if (!rule) {
+      return sendErrorResponse(res, 404, "Compliance rule not found");
+    }
+
+    Object.assign(rule, pickRuleFields(req.body), { updatedBy: req.user._id });
+    await rule.save();
+
+    return sendSuccessResponse(res, 200, "Compliance rule updated successfully", { rule });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Delete a compliance rule
+ *
+ * @async
+ * @function deleteRule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response confirming deletion or error
+ * @description Removes a rule. Alerts it raised are kept.
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return sendErrorResponse(res, 404, "Compliance rule not found");
+    }
+
+    return sendSuccessResponse(res, 200, "Compliance rule deleted successfully");
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Import a sanctions list file
+ *
+ * @async
+ * @function importWatchlist
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the import record or error
+ * @description Reads the raw file in the request body (UN, OFAC, EU or UK layouts,
+ *              or a CSV with a name column) into the list named by the listName query
+ *              parameter, replacing that list's previous entries
+ */
+export const importWatchlist = async (req, res) => {
+  try {
+    const { listName, fileName } = req.query;
+
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return sendErrorResponse(res, 400, "Upload the list file as the request body");
+    }
+
+    const listImport = await WatchlistService.importList({
+      text: req.body,
+      listName,
+      fileName,
+      userId: req.user._id
+    });
+
+    return sendSuccessResponse(
+      res,
+      201,
+      `Imported ${listImport.entryCount} entries into ${listImport.listName}`,
+      { import: listImport }
+    );
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get imported watchlists
+ *
+ * @async
+ * @function getWatchlists
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the current lists and recent imports or error
+ * @description Lists the lists screening runs against and the history of uploads
+ */
+export const getWatchlists = async (req, res) => {
+  try {
+    const result = await WatchlistService.listImports();
+
+    return sendSuccessResponse(res, 200, "Watchlists retrieved successfully", result);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Remove an imported watchlist
+ *
+ * @async
+ * @function deleteWatchlist
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the number of entries removed or error
+ * @description Deletes every entry of the list; transactions are no longer screened against it
+ */
+export const deleteWatchlist = async (req, res) => {
+  try {
+    const removed = await WatchlistService.removeList(req.params.listName);
+
+    return sendSuccessResponse(res, 200, "Watchlist removed successfully", { removed });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Screen a name against the imported watchlists
+ *
+ * @async
+ * @function screenName
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the possible matches or error
+ * @description Runs the same fuzzy match used on new transactions, for manual checks.
+ *              An optional threshold query parameter overrides the configured one.
+ */
+export const screenName = async (req, res) => {
+  try {
+    const { name, threshold } = req.query;
+
+    if (!name?.trim()) {
+      return sendErrorResponse(res, 400, "A name is required");
+    }
+
+    const minScore = threshold !== undefined ? parseFloat(threshold) : undefined;
+    if (minScore !== undefined && (isNaN(minScore) || minScore < 0 || minScore > 1)) {
+      return sendErrorResponse(res, 400, "Invalid threshold: use a number from 0 to 1");
+    }
+
+    const matches = await WatchlistService.screenName(name, minScore);
+
+    return sendSuccessResponse(res, 200, "Name screened successfully", { matches });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get a watchlist entry
+ *
+ * @async
+ * @function getWatchlistEntry
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the entry or error
+ * @description Returns a listed party's names, dates of birth, nationalities and
+ *              programmes, to compare with a held customer
+ */
+export const getWatchlistEntry = async (req, res) => {
+  try {
+    const entry = await WatchlistService.getEntry(req.params.id);
+
+    return sendSuccessResponse(res, 200, "Watchlist entry retrieved successfully", { entry });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get transactions on compliance hold
+ *
+ * @async
+ * @function getScreeningHolds
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with held transactions and pagination or error
+ * @description Lists Pending transactions held by screening, oldest first. Holds are
+ *              cleared or confirmed through POST /api/transactions/:id/compliance-hold.
+ */
+export const getScreeningHolds = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await WatchlistService.listHeldTransactions({ page, limit });
+
+    return sendSuccessResponse(res, 200, "Compliance holds retrieved successfully", result);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getAlerts,
+  getAlertById,
+  updateAlertStatus,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  importWatchlist,
+  getWatchlists,
+  deleteWatchlist,
+  screenName,
+  getWatchlistEntry,
+  getScreeningHolds
+};
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Compliance Module - Main entry point
+ *
+ * This module screens every new transaction against configurable AML rules
+ * (large cash, structuring, spikes in a customer's activity) and raises
+ * compliance alerts for review. Rule screening runs after the sale is
+ * committed, so it never blocks or fails a transaction.
+ *
+ * Customer names are also checked against imported sanctions watchlists before
+ * the transaction is saved; a possible match holds it for compliance review.
+ *
+ * @module compliance
+ * @requires express
+ */
+
+import complianceRoutes from "./routes/complianceRoutes.js";
+import RuleEngineService from "./services/ruleEngineService.js";
+import WatchlistService from "./services/watchlistService.js";
+import transactionEvents, {
+  TRANSACTION_CREATED,
+  registerScreening
+} from "../core/helpers/transactionEvents.js";
+
+/**
+ * Screen a committed transaction, logging rather than throwing on failure
+ *
+ * @private
+ * @param {Object} transaction - Committed transaction document
+ * @returns {void}
+ */
+function handleTransactionCreated(transaction) {
+  RuleEngineService.screenTransaction(transaction).catch((error) => {
+    console.error(`❌ Compliance screening failed for ${transaction.reference}:`, error);
+  });
+}
+
+/**
+ * Initialize the compliance module
+ *
+ * @async
+ * @param {express.Application} app - Express application instance
+ * @returns {Promise<void>}
+ */
+export async function initModule(app) {
+  try {
+    console.log("Initializing Compliance Module...");
+
+    // Seed the default rules on first start
+    const created = await RuleEngineService.seedDefaultRules();
+    if (created > 0) {
+      console.log(`✅ Created ${created} default compliance rules`);
+    }
+
+    // Re-key watchlist entries imported under an older search key scheme
+    const rekeyed = await WatchlistService.reindexEntries();
+    if (rekeyed > 0) {
+      console.log(`✅ Updated search keys of ${rekeyed} watchlist entries`);
+    }
+
+    // Screen every new transaction
+    transactionEvents.on(TRANSACTION_CREATED, handleTransactionCreated);
+
+    // Hold new transactions whose customer may be on a sanctions watchlist
+    registerScreening(WatchlistService.screenTransaction);
+
+    // Mount API routes
+    app.use("/api/compliance", complianceRoutes);
+
+    console.log("✅ Compliance module initialized successfully");
+  } catch (error) {
+    console.error("❌ Compliance module initialization failed:", error);
+    throw error; // Re-throw to allow the main application to handle it
+  }
+}
+
+/**
+ * Module metadata
+ */
+export const name = "compliance";
+export const version = "1.0.0";
+export const description = "AML screening rules, sanctions watchlist screening and compliance review";
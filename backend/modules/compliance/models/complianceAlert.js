@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Compliance Alert Model - Defines the schema for AML alerts
+ *
+ * An alert is raised when a transaction matches a compliance rule. It moves
+ * through a review workflow: open → investigating → reported or dismissed.
+ * Every status change is kept in the alert's history.
+ *
+ * @module models/complianceAlert
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+import { RULE_TYPES, SEVERITIES } from "./complianceRule.js";
+
+/**
+ * Review workflow statuses
+ * @type {Array<String>}
+ */
+export const ALERT_STATUSES = ["open", "investigating", "reported", "dismissed"];
+
+/**
+ * Statuses that still need a compliance officer's attention
+ * @type {Array<String>}
+ */
+export const ACTIVE_STATUSES = ["open", "investigating"];
+
+/**
+ * Status change entry
+ *
+ * @type {mongoose.Schema}
+ */
+const alertHistorySchema = new mongoose.Schema(
+  {
+    /**
+     * Status the alert moved to
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ALERT_STATUSES,
+      required: true
+    },
+
+    /**
+     * User who made the change; null when raised by the rules engine
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    /**
+     * When the change was made
+     * @type {Date}
+     */
+    at: {
+      type: Date,
+      default: Date.now
+    },
+
+    /**
+     * Reviewer's note
+     * @type {String}
+     */
+    note: {
+      type: String,
+      trim: true
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Compliance alert schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const complianceAlertSchema = new mongoose.Schema(
+  {
+    /**
+     * Rule that raised the alert
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref ComplianceRule
+     */
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ComplianceRule",
+      default: null
+    },
+
+    /**
+     * Rule type at the time the alert was raised
+     * @type {String}
+     */
+    ruleType: {
+      type: String,
+      enum: RULE_TYPES,
+      required: [true, "Rule type is required"]
+    },
+
+    /**
+     * Rule name at the time the alert was raised
+     * @type {String}
+     */
+    ruleName: {
+      type: String,
+      trim: true
+    },
+
+    /**
+     * Alert severity
+     * @type {String}
+     * @enum ["low", "medium", "high", "critical"]
+     */
+    severity: {
+      type: String,
+      enum: SEVERITIES,
+      required: [true, "Severity is required"]
+    },
+
+    /**
+     * Review status
+     * @type {String}
+     * @enum ["open", "investigating", "reported", "dismissed"]
+     * @default "open"
+     */
+    status: {
+      type: String,
+      enum: {
+        values: ALERT_STATUSES,
+        message: `Status must be one of: ${ALERT_STATUSES.join(", ")}`
+      },
+      default: "open"
+    },
+
+    /**
+     * Transaction that triggered the alert
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Transaction
+     */
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: [true, "Transaction is required"]
+    },
+
+    /**
+     * Other transactions that make up the pattern (e.g. the structured deposits)
+     * @type {Array<mongoose.Schema.Types.ObjectId>}
+     * @ref Transaction
+     */
+    relatedTransactions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transaction"
+      }
+    ],
+
+    /**
+     * Registered customer, if the transaction had one
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Customer
+     */
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null
+    },
+
+    /**
+     * Customer name on the triggering transaction
+     * @type {String}
+     */
+    customerName: {
+      type: String,
+      trim: true
+    },
+
+    /**
+     * Why the rule matched
+     * @type {String}
+     */
+    reason: {
+      type: String,
+      trim: true
+    },
+
+    /**
+     * Amount in TTD that was screened
+     * @type {Number}
+     */
+    amountTTD: {
+      type: Number
+    },
+
+    /**
+     * Status changes, oldest first
+     * @type {Array<Object>}
+     */
+    history: {
+      type: [alertHistorySchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+complianceAlertSchema.index({ status: 1, severity: 1, createdAt: -1 });
+complianceAlertSchema.index({ transaction: 1 });
+complianceAlertSchema.index({ rule: 1, customerId: 1, customerName: 1, status: 1 });
+
+const ComplianceAlert = mongoose.model("ComplianceAlert", complianceAlertSchema);
+
+export default ComplianceAlert;
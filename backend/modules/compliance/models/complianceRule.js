@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Compliance Rule Model - Defines the schema for AML screening rules
+ *
+ * Each rule is one configurable check that every new transaction is screened
+ * against. The rule type decides which parameters apply:
+ * - large_cash: one transaction at or above the threshold
+ * - structuring: several transactions by the same customer just under the
+ *   threshold within a number of days
+ * - spike: a transaction far above the customer's usual amount
+ *
+ * Amounts are compared in TTD.
+ *
+ * @module models/complianceRule
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Supported rule types
+ * @type {Array<String>}
+ */
+export const RULE_TYPES = ["large_cash", "structuring", "spike"];
+
+/**
+ * Alert severities, lowest first
+ * @type {Array<String>}
+ */
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+
+/**
+ * Compliance rule schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const complianceRuleSchema = new mongoose.Schema(
+  {
+    /**
+     * Rule name shown on alerts
+     * @type {String}
+     * @required
+     */
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true
+    },
+
+    /**
+     * Which check the rule runs
+     * @type {String}
+     * @enum ["large_cash", "structuring", "spike"]
+     * @required
+     */
+    type: {
+      type: String,
+      enum: {
+        values: RULE_TYPES,
+        message: `Rule type must be one of: ${RULE_TYPES.join(", ")}`
+      },
+      required: [true, "Rule type is required"]
+    },
+
+    /**
+     * Severity of the alerts the rule raises
+     * @type {String}
+     * @enum ["low", "medium", "high", "critical"]
+     * @default "medium"
+     */
+    severity: {
+      type: String,
+      enum: {
+        values: SEVERITIES,
+        message: `Severity must be one of: ${SEVERITIES.join(", ")}`
+      },
+      default: "medium"
+    },
+
+    /**
+     * Whether new transactions are screened against the rule
+     * @type {Boolean}
+     * @default true
+     */
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Transaction types the rule applies to; empty means all
+     * @type {Array<String>}
+     */
+    transactionTypes: {
+      type: [String],
+      default: []
+    },
+
+    /**
+     * Reporting threshold in TTD (large_cash, structuring)
+     * @type {Number}
+     */
+    thresholdTTD: {
+      type: Number,
+      min: [0, "Threshold cannot be negative"]
+    },
+
+    /**
+     * How far under the threshold still counts as "just under", in percent (structuring)
+     * @type {Number}
+     * @default 20
+     */
+    marginPercent: {
+      type: Number,
+      default: 20,
+      min: [0, "Margin cannot be negative"],
+      max: [100, "Margin cannot exceed 100%"]
+    },
+
+    /**
+     * Number of just-under transactions that raise an alert (structuring)
+     * @type {Number}
+     * @default 3
+     */
+    minCount: {
+      type: Number,
+      default: 3,
+      min: [2, "At least 2 transactions are needed to detect structuring"]
+    },
+
+    /**
+     * Days to look back (structuring window, spike history)
+     * @type {Number}
+     * @default 7
+     */
+    windowDays: {
+      type: Number,
+      default: 7,
+      min: [1, "Window must be at least 1 day"]
+    },
+
+    /**
+     * How many times the customer's average amount counts as a spike (spike)
+     * @type {Number}
+     * @default 5
+     */
+    multiplier: {
+      type: Number,
+      default: 5,
+      min: [1, "Multiplier must be at least 1"]
+    },
+
+    /**
+     * Earlier transactions needed before a customer has a history to compare with (spike)
+     * @type {Number}
+     * @default 3
+     */
+    minHistory: {
+      type: Number,
+      default: 3,
+      min: [1, "History must include at least 1 transaction"]
+    },
+
+    /**
+     * User who last changed the rule
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     */
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+complianceRuleSchema.index({ enabled: 1 });
+
+const ComplianceRule = mongoose.model("ComplianceRule", complianceRuleSchema);
+
+export default ComplianceRule;
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Watchlist Entry Model - Defines the schema for sanctioned names
+ *
+ * One entry is one listed person, organisation, vessel or aircraft from an
+ * imported sanctions list, with its primary name and known aliases. Entries
+ * carry precomputed search keys so screening can find candidates with an index
+ * and works entirely from the last imported lists.
+ *
+ * @module models/watchlistEntry
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Kinds of listed party
+ * @type {Array<String>}
+ */
+export const ENTRY_TYPES = ["individual", "entity", "vessel", "aircraft", "unknown"];
+
+/**
+ * Watchlist entry schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const watchlistEntrySchema = new mongoose.Schema(
+  {
+    /**
+     * List the entry belongs to
+     * @type {String}
+     * @required
+     */
+    listName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    /**
+     * Import that created the entry
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref WatchlistImport
+     * @required
+     */
+    importId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WatchlistImport",
+      required: true
+    },
+
+    /**
+     * The list's own identifier for the entry (UN reference number, OFAC uid, ...)
+     * @type {String}
+     */
+    externalId: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Kind of listed party
+     * @type {String}
+     * @enum ["individual", "entity", "vessel", "aircraft", "unknown"]
+     * @default "unknown"
+     */
+    entryType: {
+      type: String,
+      enum: ENTRY_TYPES,
+      default: "unknown"
+    },
+
+    /**
+     * Name the entry is listed under
+     * @type {String}
+     * @required
+     */
+    primaryName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    /**
+     * Other names the party is known by
+     * @type {Array<String>}
+     */
+    aliases: {
+      type: [String],
+      default: []
+    },
+
+    /**
+     * Dates or years of birth as given by the list
+     * @type {Array<String>}
+     */
+    datesOfBirth: {
+      type: [String],
+      default: []
+    },
+
+    /**
+     * Nationalities or citizenships as given by the list
+     * @type {Array<String>}
+     */
+    nationalities: {
+      type: [String],
+      default: []
+    },
+
+    /**
+     * Sanctions programmes or regimes the party is listed under
+     * @type {Array<String>}
+     */
+    programs: {
+      type: [String],
+      default: []
+    },
+
+    /**
+     * Index keys of every name token (see utils/nameMatcher)
+     * @type {Array<String>}
+     */
+    searchKeys: {
+      type: [String],
+      default: []
+    },
+
+    /**
+     * Version of the scheme the search keys were made with
+     * @type {Number}
+     */
+    searchKeyVersion: {
+      type: Number,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+watchlistEntrySchema.index({ searchKeys: 1 });
+watchlistEntrySchema.index({ listName: 1, importId: 1 });
+
+const WatchlistEntry = mongoose.model("WatchlistEntry", watchlistEntrySchema);
+
+export default WatchlistEntry;
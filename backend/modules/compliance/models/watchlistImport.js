@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Watchlist Import Model - Defines the schema for sanctions list uploads
+ *
+ * Each upload of a sanctions or watchlist file is recorded with the layout it
+ * was read as and how many entries it held. Importing a list again replaces
+ * its entries; the earlier import is kept as history.
+ *
+ * @module models/watchlistImport
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * File layouts the importer understands
+ * @type {Array<String>}
+ */
+export const WATCHLIST_FORMATS = ["un_xml", "ofac_xml", "eu_xml", "ofac_csv", "uk_csv", "generic_csv"];
+
+/**
+ * Import statuses: the current entries of a list, a superseded upload, or a removed list
+ * @type {Array<String>}
+ */
+export const IMPORT_STATUSES = ["active", "replaced", "removed"];
+
+/**
+ * Watchlist import schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const watchlistImportSchema = new mongoose.Schema(
+  {
+    /**
+     * Name of the list, e.g. "UN Consolidated" or "OFAC SDN"
+     * @type {String}
+     * @required
+     */
+    listName: {
+      type: String,
+      required: [true, "List name is required"],
+      trim: true
+    },
+
+    /**
+     * Name of the uploaded file
+     * @type {String}
+     */
+    fileName: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Layout the file was read as
+     * @type {String}
+     * @enum ["un_xml", "ofac_xml", "eu_xml", "ofac_csv", "uk_csv", "generic_csv"]
+     * @required
+     */
+    format: {
+      type: String,
+      enum: WATCHLIST_FORMATS,
+      required: true
+    },
+
+    /**
+     * Number of entries read from the file
+     * @type {Number}
+     */
+    entryCount: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Whether these are the list's current entries
+     * @type {String}
+     * @enum ["active", "replaced", "removed"]
+     * @default "active"
+     */
+    status: {
+      type: String,
+      enum: IMPORT_STATUSES,
+      default: "active"
+    },
+
+    /**
+     * Admin who uploaded the file
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     */
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+watchlistImportSchema.index({ listName: 1, createdAt: -1 });
+watchlistImportSchema.index({ status: 1 });
+
+const WatchlistImport = mongoose.model("WatchlistImport", watchlistImportSchema);
+
+export default WatchlistImport;
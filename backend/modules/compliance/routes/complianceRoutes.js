@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Compliance Routes - API endpoints for AML rules, alerts and watchlists
+ *
+ * @module routes/complianceRoutes
+ * @requires express
+ * @requires controllers/complianceController
+ * @requires core/middleware/authMiddleware
+ */
+
+import express from "express";
+import complianceController from "../controllers/complianceController.js";
+import { protect, adminOnly } from "../../core/middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Published consolidated lists run to tens of megabytes
+const WATCHLIST_UPLOAD_LIMIT = "50mb";
+
+// Compliance review is an admin operation
+router.use(protect, adminOnly);
+
+/**
+ * @route   GET /api/compliance/alerts
+ * @desc    List alerts by status and severity
+ * @access  Admin
+ */
+router.get("/alerts", complianceController.getAlerts);
+
+/**
+ * @route   GET /api/compliance/alerts/:id
+ * @desc    Get an alert with its transactions and history
+ * @access  Admin
+ */
+router.get("/alerts/:id", complianceController.getAlertById);
+
+/**
+ * @route   PATCH /api/compliance/alerts/:id/status
+ * @desc    Move an alert through the review workflow
+ * @access  Admin
+ */
+router.patch("/alerts/:id/status", complianceController.updateAlertStatus);
+
+/**
+ * @route   GET /api/compliance/rules
+ * @desc    List screening rules
+ * @access  Admin
+ */
+router.get("/rules", complianceController.getRules);
+
+/**
+ * @route   POST /api/compliance/rules
+ * @desc    Create a screening rule
+ * @access  Admin
+ */
+router.post("/rules", complianceController.createRule);
+
+/**
+ * @route   PUT /api/compliance/rules/:id
+ * @desc    Update a screening rule
+ * @access  Admin
+ */
+router.put("/rules/:id", complianceController.updateRule);
+
+/**
+ * @route   DELETE /api/compliance/rules/:id
+ * @desc    Delete a screening rule
+ * @access  Admin
+ */
+router.delete("/rules/:id", complianceController.deleteRule);
+
+/**
+ * @route   GET /api/compliance/watchlists
+ * @desc    List imported watchlists and recent imports
+ * @access  Admin
+ */
+router.get("/watchlists", complianceController.getWatchlists);
+
+/**
+ * @route   POST /api/compliance/watchlists/import?listName=&fileName=
+ * @desc    Import a sanctions list file sent as the raw request body
+ * @access  Admin
+ */
+router.post(
+  "/watchlists/import",
+  express.text({ type: () => true, limit: WATCHLIST_UPLOAD_LIMIT }),
+  complianceController.importWatchlist
+);
+
+/**
+ * @route   GET /api/compliance/watchlists/screen?name=
+ * @desc    Screen a name against the imported watchlists
+ * @access  Admin
+ */
+router.get("/watchlists/screen", complianceController.screenName);
+
+/**
+ * @route   GET /api/compliance/watchlists/entries/:id
+ * @desc    Get a listed party
+ * @access  Admin
+ */
+router.get("/watchlists/entries/:id", complianceController.getWatchlistEntry);
+
+/**
+ * @route   DELETE /api/compliance/watchlists/:listName
+ * @desc    Remove a watchlist and its entries
+ * @access  Admin
+ */
+router.delete("/watchlists/:listName", complianceController.deleteWatchlist);
+
+/**
+ * @route   GET /api/compliance/holds
+ * @desc    List transactions on compliance hold
+ * @access  Admin
+ */
+router.get("/holds", complianceController.getScreeningHolds);
+
+export default router;
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Alert Service - Manages compliance alerts and their review workflow
+ *
+ * This service raises alerts for rule matches, lists them for review, and moves
+ * them through the workflow (open, investigating, reported, dismissed) while
+ * keeping a history of every change.
+ *
+ * @module services/alertService
+ * @requires models/complianceAlert
+ */
+
+import ComplianceAlert, { ALERT_STATUSES, ACTIVE_STATUSES } from "../models/complianceAlert.js";
+
+/**
+ * Allowed status changes; a reported alert is final, a dismissed one can be reopened
+ * @private
+ * @type {Object<string, Array<string>>}
+ */
+const TRANSITIONS = {
+  open: ["investigating", "reported", "dismissed"],
+  investigating: ["open", "reported", "dismissed"],
+  reported: [],
+  dismissed: ["investigating"]
+};
+
+/**
+ * Statuses that close an alert and need a note saying why
+ * @private
+ * @type {Array<string>}
+ */
+const NOTE_REQUIRED = ["reported", "dismissed"];
+
+/**
+ * Alert service containing functions for the review workflow
+ */
+class AlertService {
+  /**
+   * Raise an alert for a rule match
+   *
+   * A pattern rule (structuring) adds the transaction to the customer's active
+   * alert for that rule instead of opening a second one.
+   *
+   * @async
+   * @param {ComplianceRule} rule - Rule that matched
+   * @param {Object} transaction - Transaction that triggered it
+   * @param {number} valueTTD - Screened value in TTD
+   * @param {Object} match - Match details ({ reason, relatedTransactions })
+   * @returns {Promise<ComplianceAlert>} The new or updated alert
+   */
+  static async raiseAlert(rule, transaction, valueTTD, match) {
+    if (rule.type === "structuring") {
+      const existing = await ComplianceAlert.findOne({
+        rule: rule._id,
+        status: { $in: ACTIVE_STATUSES },
+        ...(transaction.customerId
+          ? { customerId: transaction.customerId }
+          : { customerId: null, customerName: transaction.customerName })
+      });
+
+      if (existing) {
+        existing.relatedTransactions.addToSet(transaction._id, ...match.relatedTransactions);
+        existing.reason = match.reason;
+        return existing.save();
+      }
+    }
+
+    return ComplianceAlert.create({
+      rule: rule._id,
+      ruleType: rule.type,
+      ruleName: rule.name,
+      severity: rule.severity,
+      transaction: transaction._id,
+      relatedTransactions: match.relatedTransactions,
+      customerId: transaction.customerId || null,
+      customerName: transaction.customerName,
+      reason: match.reason,
+      amountTTD: valueTTD,
+      history: [{ status: "open", note: match.reason }]
+    });
+  }
+
+  /**
+   * List alerts for review
+   *
+   * @async
+   * @param {Object} options - Filter options
+   * @param {string} [options.status] - Workflow status, "active" for open and investigating
+   * @param {string} [options.severity] - Severity
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} Alerts, pagination info and counts per status
+   */
+  static async listAlerts({ status, severity, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status === "active") filter.status = { $in: ACTIVE_STATUSES };
+    else if (status && status !== "all") filter.status = status;
+    if (severity && severity !== "all") filter.severity = severity;
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20;
+
+    const [alerts, total, statusCounts] = await Promise.all([
+      ComplianceAlert.find(filter)
+        .populate("transaction", "reference type amount currency amountTTD status createdAt")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ComplianceAlert.countDocuments(filter),
+      ComplianceAlert.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+    ]);
+
+    return {
+      alerts,
+      counts: Object.fromEntries(
+        ALERT_STATUSES.map((key) => [key, statusCounts.find((item) => item._id === key)?.count || 0])
+      ),
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Get one alert with its transactions and history
+   *
+   * @async
+   * @param {string} alertId - Alert to load
+   * @returns {Promise<ComplianceAlert>} The alert
+   * @throws {Error} If the alert does not exist
+   */
+  static async getAlert(alertId) {
+    const alert = await ComplianceAlert.findById(alertId)
+      .populate("transaction", "reference type amount currency amountTTD toCurrency toAmount status customerName createdAt")
+      .populate("relatedTransactions", "reference type amount currency amountTTD status createdAt")
+      .populate("history.user", "userName fullName");
+
+    if (!alert) {
+      throw new Error("Compliance alert not found");
+    }
+    return alert;
+  }
+
+  /**
+   * Move an alert to a new workflow status
+   *
+   * @async
+   * @param {string} alertId - Alert to update
+   * @param {string} status - New status
+   * @param {string} userId - Reviewer making the change
+   * @param {string} [note] - Reviewer's note; required to report or dismiss
+   * @returns {Promise<ComplianceAlert>} The updated alert
+   * @throws {Error} If the alert does not exist or the change is not allowed
+   */
+  static async updateStatus(alertId, status, userId, note) {
+    if (!ALERT_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: use one of ${ALERT_STATUSES.join(", ")}`);
+    }
+
+    const alert = await ComplianceAlert.findById(alertId);
+    if (!alert) {
+      throw new Error("Compliance alert not found");
+    }
+    if (!TRANSITIONS[alert.status].includes(status)) {
+      throw new Error(`Invalid status change: a ${alert.status} alert cannot be moved to ${status}`);
+    }
+    if (NOTE_REQUIRED.includes(status) && !note?.trim()) {
+      throw new Error(`Invalid status change: a note is required to mark an alert ${status}`);
+    }
+
+    alert.status = status;
+    alert.history.push({ status, user: userId, note: note?.trim() });
+    await alert.save();
+
+    return AlertService.getAlert(alert._id);
+  }
+}
+
+export default AlertService;
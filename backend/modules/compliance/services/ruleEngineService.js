@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Rule Engine Service - Screens transactions against AML rules
+ *
+ * This service checks a new transaction against every enabled compliance rule
+ * and raises an alert for each match. It runs after the transaction has been
+ * committed, so a slow or failing check never blocks the sale.
+ *
+ * @module services/ruleEngineService
+ * @requires models/complianceRule
+ * @requires services/alertService
+ * @requires core/models/transaction
+ * @requires core/services/exchangeRateService
+ * @requires core/helpers/money
+ * @requires core/helpers/currencyUnits
+ */
+
+import ComplianceRule from "../models/complianceRule.js";
+import AlertService from "./alertService.js";
+import Transaction from "../../core/models/transaction.js";
+import ExchangeRateService from "../../core/services/exchangeRateService.js";
+import { decimalToNumber, decimalsToNumbers, addAmounts, compareAmounts } from "../../core/helpers/money.js";
+import { roundAmount, formatAmount } from "../../core/helpers/currencyUnits.js";
+
+/**
+ * One day in milliseconds
+ * @private
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rules created the first time the module starts
+ * @private
+ * @type {Array<Object>}
+ */
+const DEFAULT_RULES = [
+  {
+    name: "Large cash transaction",
+    type: "large_cash",
+    severity: "high",
+    thresholdTTD: 90000
+  },
+  {
+    name: "Possible structuring",
+    type: "structuring",
+    severity: "high",
+    thresholdTTD: 90000,
+    marginPercent: 20,
+    minCount: 3,
+    windowDays: 7
+  },
+  {
+    name: "Unusual spike in customer activity",
+    type: "spike",
+    severity: "medium",
+    multiplier: 5,
+    minHistory: 3,
+    windowDays: 90
+  }
+];
+
+/**
+ * Escape a string for use inside a regular expression
+ *
+ * @private
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Rule engine service containing the AML checks
+ */
+class RuleEngineService {
+  /**
+   * Create the default rules if none exist yet
+   *
+   * @async
+   * @returns {Promise<number>} Number of rules created
+   */
+  static async seedDefaultRules() {
+    if (await ComplianceRule.exists({})) {
+      return 0;
+    }
+    await ComplianceRule.insertMany(DEFAULT_RULES);
+    return DEFAULT_RULES.length;
+  }
+
+  /**
+   * Work out a transaction's value in TTD
+   *
+   * @async
+   * @param {Object} transaction - Transaction document
+   * @param {Map<string, number|null>} [rateCache] - Buy rates already looked up
+   * @returns {Promise<number|null>} Value in TTD, or null if it cannot be valued
+   */
+  static async valueInTTD(transaction, rateCache = new Map()) {
+    if (transaction.amountTTD) return roundAmount(transaction.amountTTD, "TTD");
+    if (transaction.currency === "TTD") return roundAmount(transaction.amount, "TTD");
+
+    // Foreign cash in/out carries no TTD amount; value it at today's buy rate
+    if (!rateCache.has(transaction.currency)) {
+      const rate = await ExchangeRateService.getCurrentRate(transaction.currency);
+      rateCache.set(transaction.currency, rate ? rate.buyRate : null);
+    }
+    const buyRate = rateCache.get(transaction.currency);
+    return buyRate ? roundAmount(transaction.amount * buyRate, "TTD") : null;
+  }
+
+  /**
+   * Filter for the other transactions of the same customer
+   *
+   * Registered customers are matched on their record; others on the exact name.
+   *
+   * @param {Object} transaction - Transaction document
+   * @returns {Object} MongoDB filter
+   */
+  static sameCustomerFilter(transaction) {
+    return transaction.customerId
+      ? { customerId: transaction.customerId }
+      : {
+          customerId: null,
+          customerName: { $regex: `^${escapeRegex(transaction.customerName)}$`, $options: "i" }
+        };
+  }
+
+  /**
+   * Load the customer's earlier transactions in a window, with their TTD values
+   *
+   * @async
+   * @param {Object} transaction - Transaction being screened
+   * @param {number} windowDays - Days to look back
+   * @param {Map<string, number|null>} rateCache - Buy rates already looked up
+   * @returns {Promise<Array<Object>>} Earlier transactions as { _id, valueTTD }
+   */
+  static async getCustomerHistory(transaction, windowDays, rateCache) {
+    const since = new Date(new Date(transaction.createdAt).getTime() - windowDays * DAY_MS);
+
+    const history = decimalsToNumbers(await Transaction.find({
+      ...RuleEngineService.sameCustomerFilter(transaction),
+      _id: { $ne: transaction._id },
+      createdAt: { $gte: since, $lte: transaction.createdAt },
+      status: { $ne: "Cancelled" },
+      reversalOf: null,
+      refundOf: null
+    })
+      .select("amount currency amountTTD createdAt")
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean());
+
+    const valued = [];
+    for (const item of history) {
+      valued.push({ _id: item._id, valueTTD: await RuleEngineService.valueInTTD(item, rateCache) });
+    }
+    return valued.filter((item) => item.valueTTD !== null);
+  }
+
+  /**
+   * Large cash: one transaction at or above the threshold
+   *
+   * @param {ComplianceRule} rule - Rule to apply
+   * @param {Object} transaction - Transaction being screened
+   * @param {number} valueTTD - Transaction value in TTD
+   * @returns {Object|null} Match details, or null if the rule does not match
+   */
+  static checkLargeCash(rule, transaction, valueTTD) {
+    if (!rule.thresholdTTD || compareAmounts("TTD", valueTTD, rule.thresholdTTD) < 0) return null;
+
+    return {
+      reason: `${transaction.type} of TTD ${formatAmount(valueTTD, "TTD")} is at or above the TTD ${formatAmount(rule.thresholdTTD, "TTD")} threshold`,
+      relatedTransactions: []
+    };
+  }
+
+  /**
+   * Structuring: several transactions by the same customer just under the
+   * threshold within the window, this one included
+   *
+   * @async
+   * @param {ComplianceRule} rule - Rule to apply
+   * @param {Object} transaction - Transaction being screened
+   * @param {number} valueTTD - Transaction value in TTD
+   * @param {Map<string, number|null>} rateCache - Buy rates already looked up
+   * @returns {Promise<Object|null>} Match details, or null if the rule does not match
+   */
+  static async checkStructuring(rule, transaction, valueTTD, rateCache) {
+    if (!rule.thresholdTTD) return null;
+
+    const floor = roundAmount(rule.thresholdTTD * (1 - rule.marginPercent / 100), "TTD");
+    const isJustUnder = (value) =>
+      compareAmounts("TTD", value, floor) >= 0 && compareAmounts("TTD", value, rule.thresholdTTD) < 0;
+    if (!isJustUnder(valueTTD)) return null;
+
+    const history = await RuleEngineService.getCustomerHistory(transaction, rule.windowDays, rateCache);
+    const justUnder = history.filter((item) => isJustUnder(item.valueTTD));
+    const count = justUnder.length + 1;
+    if (count < rule.minCount) return null;
+
+    const total = addAmounts("TTD", valueTTD, ...justUnder.map((item) => item.valueTTD));
+    return {
+      reason: `${count} transactions between TTD ${formatAmount(floor, "TTD")} and TTD ${formatAmount(rule.thresholdTTD, "TTD")} within ${rule.windowDays} day(s), totalling TTD ${formatAmount(decimalToNumber(total), "TTD")}`,
+      relatedTransactions: justUnder.map((item) => item._id)
+    };
+  }
+
+  /**
+   * Spike: a transaction far above the customer's average over the window
+   *
+   * @async
+   * @param {ComplianceRule} rule - Rule to apply
+   * @param {Object} transaction - Transaction being screened
+   * @param {number} valueTTD - Transaction value in TTD
+   * @param {Map<string, number|null>} rateCache - Buy rates already looked up
+   * @returns {Promise<Object|null>} Match details, or null if the rule does not match
+   */
+  static async checkSpike(rule, transaction, valueTTD, rateCache) {
+    const history = await RuleEngineService.getCustomerHistory(transaction, rule.windowDays, rateCache);
+    if (history.length < rule.minHistory) return null;
+
+    const average = history.reduce((sum, item) => sum + item.valueTTD, 0) / history.length;
+    if (average <= 0 || valueTTD <= average * rule.multiplier) return null;
+
+    return {
+      reason: `TTD ${formatAmount(valueTTD, "TTD")} is ${(valueTTD / average).toFixed(1)}x the customer's ${rule.windowDays}-day average of TTD ${formatAmount(average, "TTD")} over ${history.length} transaction(s)`,
+      relatedTransactions: []
+    };
+  }
+
+  /**
+   * Screen a new transaction against every enabled rule
+   *
+   * @async
+   * @param {Object} transaction - Committed transaction document
+   * @returns {Promise<Array<ComplianceAlert>>} Alerts raised or updated
+   */
+  static async screenTransaction(transaction) {
+    // Reversal and refund records are not new customer activity
+    if (transaction.reversalOf || transaction.refundOf) return [];
+
+    const rules = await ComplianceRule.find({ enabled: true });
+    if (rules.length === 0) return [];
+
+    const rateCache = new Map();
+    const valueTTD = await RuleEngineService.valueInTTD(transaction, rateCache);
+    if (valueTTD === null) {
+      console.warn(`⚠️ Compliance: no rate to value ${transaction.reference} in TTD; skipped screening`);
+      return [];
+    }
+
+    const alerts = [];
+    for (const rule of rules) {
+      if (rule.transactionTypes.length > 0 && !rule.transactionTypes.includes(transaction.type)) {
+        continue;
+      }
+
+      let match = null;
+      if (rule.type === "large_cash") {
+        match = RuleEngineService.checkLargeCash(rule, transaction, valueTTD);
+      } else if (rule.type === "structuring") {
+        match = await RuleEngineService.checkStructuring(rule, transaction, valueTTD, rateCache);
+      } else if (rule.type === "spike") {
+        match = await RuleEngineService.checkSpike(rule, transaction, valueTTD, rateCache);
+      }
+
+      if (match) {
+        alerts.push(await AlertService.raiseAlert(rule, transaction, valueTTD, match));
+      }
+    }
+
+    return alerts;
+  }
+}
+
+export default RuleEngineService;
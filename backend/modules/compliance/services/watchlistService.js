@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Watchlist Service - Imports sanctions lists and screens names against them
+ *
+ * Admins upload sanctions or watchlist files, which are stored as watchlist
+ * entries. Every new transaction's customer name is fuzzy-matched against the
+ * stored entries before it is saved; a possible match holds the transaction for
+ * compliance review. Screening only reads the last imported lists, so it keeps
+ * working without any connection to the list publishers.
+ *
+ * @module services/watchlistService
+ * @requires models/watchlistEntry
+ * @requires models/watchlistImport
+ * @requires utils/watchlistReader
+ * @requires utils/nameMatcher
+ * @requires core/models/transaction
+ * @requires core/services/settingsService
+ */
+
+import WatchlistEntry from "../models/watchlistEntry.js";
+import WatchlistImport from "../models/watchlistImport.js";
+import { readWatchlist } from "../utils/watchlistReader.js";
+import { tokenizeName, tokenKey, nameKeys, bestNameMatch, SEARCH_KEY_VERSION } from "../utils/nameMatcher.js";
+import Transaction from "../../core/models/transaction.js";
+import SettingsService from "../../core/services/settingsService.js";
+
+/**
+ * Score at or above which a name is treated as a possible match, unless
+ * config_watchlistMatchThreshold says otherwise
+ * @private
+ * @type {number}
+ */
+const DEFAULT_MATCH_THRESHOLD = 0.88;
+
+/**
+ * Entries written per insert while importing
+ * @private
+ * @type {number}
+ */
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Most matches recorded on a hold
+ * @private
+ * @type {number}
+ */
+const MAX_MATCHES = 5;
+
+/**
+ * Watchlist service containing functions for list import and name screening
+ */
+class WatchlistService {
+  /**
+   * Import a sanctions list file, replacing the list's previous entries
+   *
+   * The new entries are written before the old ones are removed, so screening
+   * keeps using the previous import until the new one is complete.
+   *
+   * @async
+   * @param {Object} options - Import options
+   * @param {string} options.text - File contents
+   * @param {string} options.listName - Name of the list to import into
+   * @param {string} [options.fileName] - Name of the uploaded file
+   * @param {string} options.userId - Admin uploading the file
+   * @returns {Promise<WatchlistImport>} The import record
+   * @throws {Error} If the list name is missing or the file cannot be read
+   */
+  static async importList({ text, listName, fileName = "", userId }) {
+    const name = listName?.trim();
+    if (!name) {
+      throw new Error("Invalid watchlist import: a list name is required");
+    }
+
+    const { format, entries } = readWatchlist(text);
+
+    const listImport = await WatchlistImport.create({
+      listName: name,
+      fileName,
+      format,
+      entryCount: entries.length,
+      status: "active",
+      importedBy: userId
+    });
+
+    try {
+      for (let start = 0; start < entries.length; start += INSERT_BATCH_SIZE) {
+        await WatchlistEntry.insertMany(
+          entries.slice(start, start + INSERT_BATCH_SIZE).map((entry) => ({
+            ...entry,
+            listName: name,
+            importId: listImport._id,
+            searchKeys: nameKeys([entry.primaryName, ...entry.aliases]),
+            searchKeyVersion: SEARCH_KEY_VERSION
+          })),
+          { ordered: false }
+        );
+      }
+    } catch (error) {
+      // Leave the previous import in place
+      await WatchlistEntry.deleteMany({ importId: listImport._id });
+      await WatchlistImport.deleteOne({ _id: listImport._id });
+      throw error;
+    }
+
+    await WatchlistEntry.deleteMany({ listName: name, importId: { $ne: listImport._id } });
+    await WatchlistImport.updateMany(
+      { listName: name, status: "active", _id: { $ne: listImport._id } },
+      { status: "replaced" }
+    );
+
+    return listImport;
+  }
+
+  /**
+   * List the imported lists and the history of uploads
+   *
+   * @async
+   * @returns {Promise<Object>} Current lists ({ lists }) and the 50 most recent imports ({ imports })
+   */
+  static async listImports() {
+    const [lists, imports] = await Promise.all([
+      WatchlistImport.find({ status: "active" })
+        .populate("importedBy", "userName fullName")
+        .sort({ listName: 1 }),
+      WatchlistImport.find()
+        .populate("importedBy", "userName fullName")
+        .sort({ createdAt: -1 })
+        .limit(50)
+    ]);
+
+    return { lists, imports };
+  }
+
+  /**
+   * Remove a list and all of its entries
+   *
+   * @async
+   * @param {string} listName - List to remove
+   * @returns {Promise<number>} Number of entries removed
+   * @throws {Error} If there is no such list
+   */
+  static async removeList(listName) {
+    const active = await WatchlistImport.findOne({ listName, status: "active" });
+    if (!active) {
+      throw new Error("Watchlist not found");
+    }
+
+    const { deletedCount } = await WatchlistEntry.deleteMany({ listName });
+    await WatchlistImport.updateMany({ listName, status: "active" }, { status: "removed" });
+
+    return deletedCount;
+  }
+
+  /**
+   * Re-key entries whose search keys were made with an older key scheme
+   *
+   * Runs on every start but only touches entries with out-of-date keys, so it
+   * does nothing once every entry has been re-keyed.
+   *
+   * @async
+   * @returns {Promise<number>} Number of entries re-keyed
+   */
+  static async reindexEntries() {
+    const stale = { searchKeyVersion: { $ne: SEARCH_KEY_VERSION } };
+    let updated = 0;
+
+    for (;;) {
+      const entries = await WatchlistEntry.find(stale, { primaryName: 1, aliases: 1 })
+        .limit(INSERT_BATCH_SIZE)
+        .lean();
+      if (entries.length === 0) break;
+
+      await WatchlistEntry.bulkWrite(
+        entries.map((entry) => ({
+          updateOne: {
+            filter: { _id: entry._id },
+            update: {
+              $set: {
+                searchKeys: nameKeys([entry.primaryName, ...entry.aliases]),
+                searchKeyVersion: SEARCH_KEY_VERSION
+              }
+            }
+          }
+        })),
+        { ordered: false }
+      );
+      updated += entries.length;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the score a name must reach to count as a possible match
+   *
+   * @async
+   * @returns {Promise<number>} Threshold from 0 to 1
+   */
+  static async getMatchThreshold() {
+    const threshold = parseFloat(
+      await SettingsService.getSettingOrDefault("config_watchlistMatchThreshold", DEFAULT_MATCH_THRESHOLD)
+    );
+    return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+  }
+
+  /**
+   * Fuzzy-match a name against every imported list
+   *
+   * @async
+   * @param {string} name - Name to screen
+   * @param {number} [threshold] - Minimum score; defaults to the configured threshold
+   * @returns {Promise<Array<Object>>} Possible matches, best first
+   *   ({ entryId, name, primaryName, listName, externalId, entryType, score })
+   */
+  static async screenName(name, threshold) {
+    const queryTokens = tokenizeName(name);
+    if (queryTokens.length === 0) return [];
+
+    const minScore = threshold ?? await WatchlistService.getMatchThreshold();
+    const candidates = await WatchlistEntry.find(
+      { searchKeys: { $in: [...new Set(queryTokens.map(tokenKey))] } },
+      { listName: 1, externalId: 1, entryType: 1, primaryName: 1, aliases: 1 }
+    ).lean();
+
+    return candidates
+      .map((entry) => {
+        const best = bestNameMatch(queryTokens, [entry.primaryName, ...entry.aliases]);
+        return {
+          entryId: entry._id,
+          name: best.name,
+          primaryName: entry.primaryName,
+          listName: entry.listName,
+          externalId: entry.externalId,
+          entryType: entry.entryType,
+          score: Math.round(best.score * 1000) / 1000
+        };
+      })
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_MATCHES);
+  }
+
+  /**
+   * Screening registered with core: hold a new transaction whose customer name
+   * may be on a watchlist
+   *
+   * @async
+   * @param {Object} candidate - New transaction fields ({ customerName, ... })
+   * @returns {Promise<Object|null>} Hold for core to record, or null if there is no match
+   */
+  static async screenTransaction(candidate) {
+    const matches = await WatchlistService.screenName(candidate.customerName);
+    if (matches.length === 0) return null;
+
+    const [top] = matches;
+    return {
+      source: "watchlist",
+      reason: `Possible watchlist match: ${top.name} on ${top.listName} (score ${Math.round(top.score * 100)}%)`,
+      matches: matches.map(({ entryId, name, listName, externalId, score }) => ({ entryId, name, listName, externalId, score }))
+    };
+  }
+
+  /**
+   * List transactions held by a screening and waiting for review
+   *
+   * @async
+   * @param {Object} options - Paging options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} Held transactions and pagination info
+   */
+  static async listHeldTransactions({ page = 1, limit = 20 } = {}) {
+    const filter = { status: "Pending", "complianceHold.status": "Held" };
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20;
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .populate("createdBy", "userName fullName")
+        .populate("customerId", "fullName idType idNumber dateOfBirth")
+        .sort({ createdAt: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Transaction.countDocuments(filter)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Get a listed entry in full, e.g. to compare with a held customer
+   *
+   * @async
+   * @param {string} entryId - Entry to load
+   * @returns {Promise<WatchlistEntry>} The entry
+   * @throws {Error} If the entry does not exist (it may have been replaced by a newer import)
+   */
+  static async getEntry(entryId) {
+    const entry = await WatchlistEntry.findById(entryId).select("-searchKeys -searchKeyVersion");
+    if (!entry) {
+      throw new Error("Watchlist entry not found");
+    }
+    return entry;
+  }
+}
+
+export default WatchlistService;
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Name Matcher - Fuzzy comparison of person and entity names
+ *
+ * Sanctions lists spell the same name in many ways: transliterations
+ * (Mohammed, Muhammad, Mohamad), accents, punctuation, honorifics and a
+ * different word order ("SMITH, John"). Names are reduced to folded tokens,
+ * each token is compared with Jaro-Winkler similarity, and tokens are paired up
+ * regardless of order.
+ *
+ * @module utils/nameMatcher
+ */
+
+/**
+ * Honorifics and name particles that carry no identifying weight
+ * @private
+ * @type {Set<string>}
+ */
+const IGNORED_TOKENS = new Set([
+  "mr", "mrs", "ms", "miss", "dr", "sir", "haji", "hajji", "sheikh", "shaikh",
+  "al", "el", "ul", "bin", "ben", "ibn", "bint", "abu", "abd",
+  "de", "del", "della", "der", "di", "da", "du", "la", "le", "van", "von",
+  "and", "the", "of"
+]);
+
+/**
+ * Spelling variants folded to one form, applied in order
+ * @private
+ * @type {Array<Array>}
+ */
+const FOLDS = [
+  [/ph/g, "f"],
+  [/kh/g, "k"],
+  [/gh/g, "g"],
+  [/dh/g, "d"],
+  [/th/g, "t"],
+  [/sh|sch|ch/g, "s"],
+  [/ck|q|c/g, "k"],
+  [/z/g, "s"],
+  [/w/g, "v"],
+  [/y/g, "i"],
+  [/e/g, "i"],
+  [/o/g, "u"],
+  [/(.)\1+/g, "$1"],
+  [/(.)h$/, "$1"]
+];
+
+/**
+ * Similarity at which two tokens count as the same word
+ * @private
+ * @type {number}
+ */
+const TOKEN_MATCH = 0.88;
+
+/**
+ * Split a name into folded tokens
+ *
+ * @param {string} name - Name as written
+ * @returns {Array<string>} Folded tokens, honorifics and particles removed
+ */
+export function tokenizeName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’`]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !IGNORED_TOKENS.has(token))
+    .map((token) => FOLDS.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), token))
+    .filter(Boolean);
+}
+
+/**
+ * Sound classes of consonants, as in Soundex: letters that are easily
+ * confused in spelling or transliteration share a class
+ * @private
+ * @type {Object<string, string>}
+ */
+const SOUND_CLASSES = {
+  b: "1", f: "1", p: "1", v: "1",
+  c: "2", g: "2", j: "2", k: "2", q: "2", s: "2", x: "2", z: "2",
+  d: "3", t: "3",
+  l: "4",
+  m: "5", n: "5",
+  r: "6"
+};
+
+/**
+ * Version of the index keys; entries keyed with an older version are re-keyed
+ * at startup (see WatchlistService.reindexEntries)
+ * @type {number}
+ */
+export const SEARCH_KEY_VERSION = 2;
+
+/**
+ * Sound class of a character: its consonant class, the digit itself, or "0"
+ * for vowels and silent letters
+ *
+ * @private
+ * @param {string} char - Folded character
+ * @returns {string} Class
+ */
+function soundClass(char) {
+  return SOUND_CLASSES[char] || (/[0-9]/.test(char) ? char : "0");
+}
+
+/**
+ * Short index key for a folded token: the sound class of its first letter and
+ * of the first consonant after it
+ *
+ * Tokens that could match share a key, so keys are used to find candidate list
+ * entries before scoring them. The key is deliberately coarse: it has to keep
+ * every pair the scorer would match (Smith and Smithers, Gaddafi and Kadafi,
+ * Mikhail and Michail), while scoring weeds out the rest.
+ *
+ * @param {string} token - Folded token
+ * @returns {string} Index key
+ */
+export function tokenKey(token) {
+  const next = [...token.slice(1)].find((char) => soundClass(char) !== "0");
+  return soundClass(token[0]) + (next ? soundClass(next) : "");
+}
+
+/**
+ * Index keys for a set of names
+ *
+ * @param {Array<string>} names - Names as written
+ * @returns {Array<string>} Distinct keys of every token
+ */
+export function nameKeys(names) {
+  const keys = new Set();
+  for (const name of names) {
+    for (const token of tokenizeName(name)) {
+      keys.add(tokenKey(token));
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Jaro-Winkler similarity of two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing in common) to 1 (identical)
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length - 1, i + window);
+    for (let j = start; j <= end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Score how well a screened name matches a listed name
+ *
+ * Tokens are paired greedily, best pairs first, so word order does not matter.
+ * The score leans on how much of the shorter name was found (80%), so a missing
+ * middle name costs little, and partly on the longer name (20%). When either
+ * name has several words at least two must match, so a single shared surname is
+ * not enough on its own.
+ *
+ * @param {Array<string>} queryTokens - Folded tokens of the screened name
+ * @param {Array<string>} listedTokens - Folded tokens of the listed name
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreTokens(queryTokens, listedTokens) {
+  if (queryTokens.length === 0 || listedTokens.length === 0) return 0;
+
+  const pairs = [];
+  queryTokens.forEach((queryToken, q) => {
+    listedTokens.forEach((listedToken, l) => {
+      pairs.push({ q, l, similarity: jaroWinkler(queryToken, listedToken) });
+    });
+  });
+  pairs.sort((x, y) => y.similarity - x.similarity);
+
+  const usedQuery = new Set();
+  const usedListed = new Set();
+  let total = 0;
+  let strong = 0;
+  for (const pair of pairs) {
+    if (usedQuery.has(pair.q) || usedListed.has(pair.l)) continue;
+    usedQuery.add(pair.q);
+    usedListed.add(pair.l);
+    total += pair.similarity;
+    if (pair.similarity >= TOKEN_MATCH) strong++;
+  }
+
+  const shorter = Math.min(queryTokens.length, listedTokens.length);
+  const longer = Math.max(queryTokens.length, listedTokens.length);
+  let score = 0.8 * (total / shorter) + 0.2 * (total / longer);
+  if (strong < Math.min(2, longer)) {
+    score *= 0.8;
+  }
+  return Math.min(1, score);
+}
+
+/**
+ * Best score of a screened name against a listed name and its aliases
+ *
+ * @param {Array<string>} queryTokens - Folded tokens of the screened name
+ * @param {Array<string>} names - Listed name followed by its aliases
+ * @returns {{ name: string, score: number }} The closest name and its score
+ */
+export function bestNameMatch(queryTokens, names) {
+  let best = { name: names[0] || "", score: 0 };
+  for (const name of names) {
+    const score = scoreTokens(queryTokens, tokenizeName(name));
+    if (score > best.score) best = { name, score };
+  }
+  return best;
+}
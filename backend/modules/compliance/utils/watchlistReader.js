@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Watchlist Reader - Reads the common sanctions list file layouts
+ *
+ * Recognises the layout of an uploaded file and turns it into plain entries
+ * ({ externalId, entryType, primaryName, aliases, datesOfBirth, nationalities,
+ * programs }). Supported layouts:
+ * - UN Security Council consolidated list (XML)
+ * - OFAC SDN / consolidated list (sdn.xml and sdn.csv)
+ * - EU financial sanctions consolidated list (XML)
+ * - UK OFSI consolidated list (ConList.csv)
+ * - Any CSV with a header row and a name column
+ *
+ * @module utils/watchlistReader
+ * @requires utils/xmlParser
+ * @requires utils/csvParser
+ */
+
+import { parseXml, childElements, childText, findElements } from "./xmlParser.js";
+import { parseCsv } from "../../core/utils/csvParser.js";
+
+/**
+ * Placeholder OFAC uses for an empty CSV field
+ * @private
+ * @type {string}
+ */
+const OFAC_EMPTY = "-0-";
+
+/**
+ * Join name parts, skipping blanks
+ *
+ * @private
+ * @param {...string} parts - Name parts
+ * @returns {string} Full name
+ */
+function joinName(...parts) {
+  return parts.map((part) => (part || "").trim()).filter(Boolean).join(" ");
+}
+
+/**
+ * Distinct non-empty values, in order
+ *
+ * @private
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} Distinct trimmed values
+ */
+function distinct(values) {
+  return [...new Set(values.map((value) => (value || "").trim()).filter(Boolean))];
+}
+
+/**
+ * Build an entry, dropping aliases that repeat the primary name
+ *
+ * @private
+ * @param {Object} fields - Entry fields
+ * @returns {Object} Entry
+ */
+function makeEntry({ externalId = "", entryType = "unknown", primaryName, aliases = [], datesOfBirth = [], nationalities = [], programs = [] }) {
+  const name = (primaryName || "").trim();
+  return {
+    externalId: String(externalId).trim(),
+    entryType,
+    primaryName: name,
+    aliases: distinct(aliases).filter((alias) => alias.toLowerCase() !== name.toLowerCase()),
+    datesOfBirth: distinct(datesOfBirth),
+    nationalities: distinct(nationalities),
+    programs: distinct(programs)
+  };
+}
+
+/**
+ * Map a list's own party type onto an entry type
+ *
+ * @private
+ * @param {string} value - Type as given by the list
+ * @returns {string} Entry type
+ */
+function toEntryType(value) {
+  const type = (value || "").trim().toLowerCase();
+  if (["individual", "person", "p"].includes(type)) return "individual";
+  if (["entity", "enterprise", "organisation", "organization", "e"].includes(type)) return "entity";
+  if (["vessel", "ship"].includes(type)) return "vessel";
+  if (type === "aircraft") return "aircraft";
+  return "unknown";
+}
+
+/**
+ * Read the UN Security Council consolidated list
+ *
+ * @private
+ * @param {Object} root - CONSOLIDATED_LIST element
+ * @returns {Array<Object>} Entries
+ */
+function readUnList(root) {
+  const read = (element, entryType) => makeEntry({
+    externalId: childText(element, "REFERENCE_NUMBER") || childText(element, "DATAID"),
+    entryType,
+    primaryName: joinName(
+      childText(element, "FIRST_NAME"),
+      childText(element, "SECOND_NAME"),
+      childText(element, "THIRD_NAME"),
+      childText(element, "FOURTH_NAME")
+    ),
+    aliases: [
+      childText(element, "NAME_ORIGINAL_SCRIPT"),
+      ...childElements(element, `${entryType === "individual" ? "INDIVIDUAL" : "ENTITY"}_ALIAS`)
+        .map((alias) => childText(alias, "ALIAS_NAME"))
+    ],
+    datesOfBirth: childElements(element, "INDIVIDUAL_DATE_OF_BIRTH")
+      .map((dob) => childText(dob, "DATE") || childText(dob, "YEAR")),
+    nationalities: childElements(element, "NATIONALITY")
+      .flatMap((nationality) => childElements(nationality, "VALUE").map((value) => value.text)),
+    programs: [childText(element, "UN_LIST_TYPE")]
+  });
+
+  return [
+    ...findElements(root, "INDIVIDUAL").map((element) => read(element, "individual")),
+    ...findElements(root, "ENTITY").map((element) => read(element, "entity"))
+  ];
+}
+
+/**
+ * Read the OFAC SDN / consolidated list in XML
+ *
+ * @private
+ * @param {Object} root - sdnList element
+ * @returns {Array<Object>} Entries
+ */
+function readOfacXml(root) {
+  return childElements(root, "sdnEntry").map((element) => makeEntry({
+    externalId: childText(element, "uid"),
+    entryType: toEntryType(childText(element, "sdnType")),
+    primaryName: joinName(childText(element, "firstName"), childText(element, "lastName")),
+    aliases: findElements(element, "aka")
+      .map((aka) => joinName(childText(aka, "firstName"), childText(aka, "lastName"))),
+    datesOfBirth: findElements(element, "dateOfBirthItem").map((item) => childText(item, "dateOfBirth")),
+    nationalities: [
+      ...findElements(element, "nationality").map((item) => childText(item, "country")),
+      ...findElements(element, "citizenship").map((item) => childText(item, "country"))
+    ],
+    programs: findElements(element, "program").map((program) => program.text)
+  }));
+}
+
+/**
+ * Read the EU financial sanctions consolidated list
+ *
+ * @private
+ * @param {Object} root - export element
+ * @returns {Array<Object>} Entries
+ */
+function readEuList(root) {
+  return findElements(root, "sanctionEntity")
+    .map((element) => {
+      const names = childElements(element, "nameAlias")
+        .map(({ attributes }) => attributes.wholeName || joinName(attributes.firstName, attributes.middleName, attributes.lastName));
+      const subjectType = childElements(element, "subjectType")[0]?.attributes.code;
+
+      return makeEntry({
+        externalId: element.attributes.euReferenceNumber || element.attributes.logicalId,
+        entryType: toEntryType(subjectType),
+        primaryName: names[0],
+        aliases: names.slice(1),
+        datesOfBirth: childElements(element, "birthdate")
+          .map(({ attributes }) => attributes.birthdate || attributes.year),
+        nationalities: childElements(element, "citizenship")
+          .map(({ attributes }) => attributes.countryDescription),
+        programs: childElements(element, "regulation")
+          .map(({ attributes }) => attributes.programme)
+      });
+    })
+    .filter((entry) => entry.primaryName);
+}
+
+/**
+ * Read the OFAC SDN list in CSV (sdn.csv, which has no header row)
+ *
+ * Columns: ent_num, SDN_Name, SDN_Type, Program, Title, Call_Sign, Vess_type,
+ * Tonnage, GRT, Vess_flag, Vess_owner, Remarks. Aliases and dates of birth are
+ * only given in the remarks ("a.k.a. 'NAME'", "DOB 01 Jan 1960").
+ *
+ * @private
+ * @param {Array<Array<string>>} rows - CSV rows
+ * @returns {Array<Object>} Entries
+ */
+function readOfacCsv(rows) {
+  const value = (field) => (field && field.trim() !== OFAC_EMPTY ? field.trim() : "");
+
+  return rows
+    .filter((row) => /^\d+$/.test(row[0]?.trim()) && value(row[1]))
+    .map((row) => {
+      const remarks = value(row[11]);
+      const type = value(row[2]);
+      return makeEntry({
+        externalId: row[0],
+        entryType: type ? toEntryType(type) : "entity",
+        primaryName: value(row[1]),
+        aliases: [...remarks.matchAll(/(?:a\.k\.a\.|f\.k\.a\.),?\s*'([^']+)'/gi)].map((match) => match[1]),
+        datesOfBirth: [...remarks.matchAll(/DOB ([^;]+)/g)].map((match) => match[1]),
+        nationalities: [...remarks.matchAll(/nationality ([^;]+)/gi)].map((match) => match[1]),
+        programs: value(row[3]).replace(/[[\]]/g, "").split(/\s+/)
+      });
+    });
+}
+
+/**
+ * Read the UK OFSI consolidated list (ConList.csv)
+ *
+ * The first line is "Last Updated", the second the header. Every primary name
+ * and alias is its own row; rows with the same Group ID are one entry.
+ *
+ * @private
+ * @param {Array<Array<string>>} rows - CSV rows
+ * @returns {Array<Object>} Entries
+ */
+function readUkCsv(rows) {
+  const header = rows[1].map((column) => column.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const groupCol = col("group id");
+  const aliasTypeCol = col("alias type");
+  const groups = new Map();
+
+  for (const row of rows.slice(2)) {
+    const field = (name) => (col(name) === -1 ? "" : (row[col(name)] || "").trim());
+    const name = joinName(
+      field("name 1"), field("name 2"), field("name 3"), field("name 4"), field("name 5"), field("name 6")
+    );
+    const groupId = (row[groupCol] || "").trim();
+    if (!name || !groupId) continue;
+
+    if (!groups.has(groupId)) {
+      groups.set(groupId, { externalId: groupId, names: [], primary: "", datesOfBirth: [], nationalities: [], programs: [], type: "" });
+    }
+    const group = groups.get(groupId);
+    group.names.push(name);
+    if (!group.primary && /^primary name$/i.test((row[aliasTypeCol] || "").trim())) {
+      group.primary = name;
+    }
+    group.datesOfBirth.push(field("dob"));
+    group.nationalities.push(field("nationality"));
+    group.programs.push(field("regime"));
+    group.type = group.type || field("group type");
+  }
+
+  return [...groups.values()].map((group) => makeEntry({
+    externalId: group.externalId,
+    entryType: toEntryType(group.type),
+    primaryName: group.primary || group.names[0],
+    aliases: group.names,
+    datesOfBirth: group.datesOfBirth,
+    nationalities: group.nationalities,
+    programs: group.programs
+  }));
+}
+
+/**
+ * Read a CSV with a header row and a name column
+ *
+ * Recognised columns (case-insensitive): name / full name / primary name /
+ * entity name / whole name, aliases (separated by ";" or "|"), type,
+ * date of birth / dob, nationality, program / programme / regime, and
+ * id / uid / reference.
+ *
+ * @private
+ * @param {Array<Array<string>>} rows - CSV rows
+ * @returns {Array<Object>} Entries
+ * @throws {Error} If there is no name column
+ */
+function readGenericCsv(rows) {
+  const header = rows[0].map((column) => column.trim().toLowerCase().replace(/[\s_-]+/g, " "));
+  const find = (...names) => header.findIndex((column) => names.includes(column));
+
+  const nameCol = find("name", "full name", "fullname", "primary name", "entity name", "whole name", "wholename");
+  if (nameCol === -1) {
+    throw new Error("Invalid watchlist file: the CSV header has no name column");
+  }
+  const aliasCol = find("aliases", "alias", "aka", "also known as");
+  const typeCol = find("type", "entry type", "entity type", "subject type");
+  const dobCol = find("date of birth", "dob", "birth date", "birthdate");
+  const nationalityCol = find("nationality", "nationalities", "citizenship", "country");
+  const programCol = find("program", "programs", "programme", "programmes", "regime", "list");
+  const idCol = find("id", "uid", "reference", "reference number", "external id");
+  const cell = (row, index) => (index === -1 ? "" : (row[index] || "").trim());
+
+  return rows.slice(1)
+    .filter((row) => cell(row, nameCol))
+    .map((row) => makeEntry({
+      externalId: cell(row, idCol),
+      entryType: toEntryType(cell(row, typeCol)),
+      primaryName: cell(row, nameCol),
+      aliases: cell(row, aliasCol).split(/[;|]/),
+      datesOfBirth: cell(row, dobCol).split(/[;|]/),
+      nationalities: cell(row, nationalityCol).split(/[;|]/),
+      programs: cell(row, programCol).split(/[;|]/)
+    }));
+}
+
+/**
+ * Recognise the layout of a sanctions list file and read its entries
+ *
+ * @param {string} text - File contents
+ * @returns {{ format: string, entries: Array<Object> }} Layout and entries
+ * @throws {Error} If the layout is not recognised or the file holds no entries
+ */
+export function readWatchlist(text) {
+  const content = String(text || "").replace(/^\uFEFF/, "").trim();
+  if (!content) {
+    throw new Error("Invalid watchlist file: the file is empty");
+  }
+
+  let result;
+  if (content.startsWith("<")) {
+    const root = parseXml(content);
+    if (root.name === "CONSOLIDATED_LIST") {
+      result = { format: "un_xml", entries: readUnList(root) };
+    } else if (root.name === "sdnList") {
+      result = { format: "ofac_xml", entries: readOfacXml(root) };
+    } else if (root.name === "export" && findElements(root, "sanctionEntity").length > 0) {
+      result = { format: "eu_xml", entries: readEuList(root) };
+    } else {
+      throw new Error(`Invalid watchlist file: unrecognised XML layout <${root.name}>`);
+    }
+  } else {
+    const rows = parseCsv(content);
+    if (/^last updated/i.test(rows[0]?.[0]?.trim()) && rows.length > 1) {
+      result = { format: "uk_csv", entries: readUkCsv(rows) };
+    } else if (/^\d+$/.test(rows[0]?.[0]?.trim()) && rows[0].length >= 3) {
+      result = { format: "ofac_csv", entries: readOfacCsv(rows) };
+    } else {
+      result = { format: "generic_csv", entries: readGenericCsv(rows) };
+    }
+  }
+
+  if (result.entries.length === 0) {
+    throw new Error("Invalid watchlist file: no entries found");
+  }
+  return result;
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview XML Parser - Minimal XML reader for sanctions list files
+ *
+ * Builds a plain element tree ({ name, attributes, children, text }) from an
+ * XML document. It handles the parts of XML that published sanctions lists use:
+ * declarations, comments, CDATA, DOCTYPE, attributes and character entities.
+ * Namespace prefixes are dropped from element and attribute names so lists
+ * published with and without a namespace read the same way.
+ *
+ * @module utils/xmlParser
+ */
+
+/**
+ * Named entities every XML parser must know
+ * @private
+ * @type {Object<string, string>}
+ */
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'"
+};
+
+/**
+ * Matches a start or end tag at the current position
+ * @private
+ * @type {RegExp}
+ */
+const TAG_PATTERN = /<(\/?)([^\s>/]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+/**
+ * Matches one attribute inside a start tag
+ * @private
+ * @type {RegExp}
+ */
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replace character and named entities with the characters they stand for
+ *
+ * @private
+ * @param {string} value - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(value) {
+  if (!value.includes("&")) return value;
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Drop a namespace prefix ("ns:entry" → "entry")
+ *
+ * @private
+ * @param {string} name - Qualified name
+ * @returns {string} Local name
+ */
+function localName(name) {
+  const colon = name.indexOf(":");
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Add character data to an element, ignoring the whitespace used for indentation
+ *
+ * @private
+ * @param {Object} element - Element being read
+ * @param {string} raw - Raw character data
+ * @returns {void}
+ */
+function appendText(element, raw) {
+  if (raw.trim() !== "") {
+    element.text += decodeEntities(raw);
+  }
+}
+
+/**
+ * Find the end of a construct, failing on truncated documents
+ *
+ * @private
+ * @param {string} text - Document
+ * @param {string} terminator - Closing sequence
+ * @param {number} from - Position to search from
+ * @returns {number} Position just after the terminator
+ * @throws {Error} If the terminator is missing
+ */
+function skipPast(text, terminator, from) {
+  const end = text.indexOf(terminator, from);
+  if (end === -1) {
+    throw new Error(`Invalid XML: missing "${terminator}"`);
+  }
+  return end + terminator.length;
+}
+
+/**
+ * Parse an XML document into an element tree
+ *
+ * @param {string} text - XML document
+ * @returns {Object} The root element ({ name, attributes, children, text })
+ * @throws {Error} If the document is not well formed
+ */
+export function parseXml(text) {
+  const document = { name: "#document", attributes: {}, children: [], text: "" };
+  const stack = [document];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const current = stack[stack.length - 1];
+    const lt = text.indexOf("<", pos);
+
+    if (lt === -1) {
+      appendText(current, text.slice(pos));
+      break;
+    }
+    if (lt > pos) {
+      appendText(current, text.slice(pos, lt));
+    }
+
+    if (text.startsWith("<!--", lt)) {
+      pos = skipPast(text, "-->", lt + 4);
+    } else if (text.startsWith("<![CDATA[", lt)) {
+      const end = skipPast(text, "]]>", lt + 9);
+      current.text += text.slice(lt + 9, end - 3);
+      pos = end;
+    } else if (text.startsWith("<?", lt)) {
+      pos = skipPast(text, "?>", lt + 2);
+    } else if (text.startsWith("<!", lt)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const bracket = text.indexOf("[", lt);
+      const close = text.indexOf(">", lt);
+      pos = bracket !== -1 && bracket < close
+        ? skipPast(text, ">", skipPast(text, "]", bracket))
+        : skipPast(text, ">", lt);
+    } else {
+      TAG_PATTERN.lastIndex = lt;
+      const tag = TAG_PATTERN.exec(text);
+      if (!tag) {
+        throw new Error(`Invalid XML: malformed tag at position ${lt}`);
+      }
+      const [, closing, rawName, rawAttributes, selfClosing] = tag;
+      const name = localName(rawName);
+
+      if (closing) {
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Invalid XML: unexpected </${rawName}> at position ${lt}`);
+        }
+        stack.pop();
+      } else {
+        const attributes = {};
+        for (const [, attrName, doubleQuoted, singleQuoted] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+          attributes[localName(attrName)] = decodeEntities(doubleQuoted ?? singleQuoted);
+        }
+        const element = { name, attributes, children: [], text: "" };
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+      pos = TAG_PATTERN.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is never closed`);
+  }
+  const root = document.children[0];
+  if (!root) {
+    throw new Error("Invalid XML: no root element");
+  }
+  return root;
+}
+
+/**
+ * Direct children of an element with the given name
+ *
+ * @param {Object} element - Parent element
+ * @param {string} name - Child element name
+ * @returns {Array<Object>} Matching children
+ */
+export function childElements(element, name) {
+  return element ? element.children.filter((child) => child.name === name) : [];
+}
+
+/**
+ * Trimmed text of the first direct child with the given name
+ *
+ * @param {Object} element - Parent element
+ * @param {string} name - Child element name
+ * @returns {string} The child's text, or "" if there is no such child
+ */
+export function childText(element, name) {
+  return childElements(element, name)[0]?.text.trim() || "";
+}
+
+/**
+ * All descendants of an element with the given name, in document order
+ *
+ * @param {Object} element - Element to search under
+ * @param {string} name - Element name
+ * @returns {Array<Object>} Matching descendants
+ */
+export function findElements(element, name) {
+  const found = [];
+  const pending = element ? [...element.children].reverse() : [];
+  while (pending.length > 0) {
+    const next = pending.pop();
+    if (next.name === name) found.push(next);
+    for (let i = next.children.length - 1; i >= 0; i--) {
+      pending.push(next.children[i]);
+    }
+  }
+  return found;
+}
@@ -6,11 +6,18 @@
  * 
  * @module controllers/accountController
  * @requires models/account
+ * @requires services/accountService
  * @requires utils/errorHandler
  */
 
 import Account from "../models/account.js";
-import { sendSuccessResponse, handleMongoDBError } from "../utils/errorHandler.js";
+import AccountService from "../services/accountService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleMongoDBError,
+  handleTransactionError
+} from "../utils/errorHandler.js";
 
 /**
  * Retrieve all accounts and their balances
@@ -68,7 +75,48 @@ export const getAccountByCurrency = async (req, res) => {
   }
 };
 
+/**
+ * Get the ledger (balance movements) for an account
+ * 
+ * @async
+ * @function getAccountLedger
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with ledger entries and pagination info or error
+ * @description Returns the debits and credits applied to the account for the specified
+ *              currency, newest first, each with the running balance after it was applied.
+ *              page and limit must be whole numbers of at least 1; limit is capped at 200.
+ */
+export const getAccountLedger = async (req, res) => {
+  try {
+    const { currency } = req.params;
+    const { page = 1, limit = 20, dateFrom, dateTo } = req.query;
+
+    // The service checks page and limit and caps limit at MAX_LEDGER_PAGE_SIZE
+    const ledger = await AccountService.getAccountLedger(currency, {
+      page,
+      limit,
+      dateFrom,
+      dateTo
+    });
+
+    return sendSuccessResponse(res, 200, "Account ledger retrieved successfully", {
+      account: ledger.account,
+      entries: ledger.entries,
+      pagination: {
+        total: ledger.total,
+        page: ledger.page,
+        pages: Math.ceil(ledger.total / ledger.limit),
+        limit: ledger.limit
+      }
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
 export default {
   getAccounts,
-  getAccountByCurrency
+  getAccountByCurrency,
+  getAccountLedger
 };
\ No newline at end of file
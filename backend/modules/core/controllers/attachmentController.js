@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Attachment Controller - Manages files attached to transactions
+ *
+ * This controller handles uploading, listing, downloading and deleting the
+ * photos of customer IDs, bank slips and other supporting documents attached
+ * to a transaction.
+ *
+ * @module controllers/attachmentController
+ * @requires services/attachmentService
+ * @requires utils/errorHandler
+ */
+
+import AttachmentService from "../services/attachmentService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Helper function to build a Content-Disposition header that survives any file name
+ *
+ * @private
+ * @function contentDisposition
+ * @param {string} disposition - "inline" or "attachment"
+ * @param {string} fileName - Name of the file
+ * @returns {string} Header value with an ASCII fallback and the UTF-8 name
+ */
+function contentDisposition(disposition, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Upload an attachment
+ *
+ * @async
+ * @function uploadAttachment
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new attachment or error
+ * @description Attaches the file sent as the request body to the transaction. The file
+ *              name and an optional description are given as the fileName and description
+ *              query parameters. Only JPEG, PNG and WebP images and PDF documents are
+ *              accepted, up to config_attachmentMaxSizeMB each and
+ *              config_attachmentMaxPerTransaction per transaction.
+ */
+export const uploadAttachment = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return sendErrorResponse(res, 400, "Upload the file as the request body");
+    }
+
+    const attachment = await AttachmentService.uploadAttachment({
+      transactionId: req.params.id,
+      buffer: req.body,
+      fileName: req.query.fileName,
+      description: req.query.description,
+      userId: req.user._id
+    });
+
+    return sendSuccessResponse(res, 201, "File attached successfully", {
+      attachment
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get a transaction's attachments
+ *
+ * @async
+ * @function getAttachments
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the attachments and limits or error
+ * @description Lists the transaction's attachments, oldest first, with the upload limits
+ */
+export const getAttachments = async (req, res) => {
+  try {
+    const attachments = await AttachmentService.listAttachments(req.params.id);
+    const limits = await AttachmentService.getLimits();
+
+    return sendSuccessResponse(res, 200, "Attachments retrieved successfully", {
+      attachments,
+      limits
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Download an attachment
+ *
+ * @async
+ * @function downloadAttachment
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void} Streams the file, or a JSON error
+ * @description Sends the file with its checked content type. It is shown inline for
+ *              previews unless download=true is given.
+ */
+export const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await AttachmentService.getAttachment(req.params.id, req.params.attachmentId);
+    const stream = await AttachmentService.openAttachment(attachment);
+
+    res.set({
+      "Content-Type": attachment.contentType,
+      "Content-Length": attachment.size,
+      "Content-Disposition": contentDisposition(
+        req.query.download === "true" ? "attachment" : "inline",
+        attachment.fileName
+      ),
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-store"
+    });
+
+    stream.on("error", (error) => {
+      console.error("Error streaming attachment:", error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Delete an attachment
+ *
+ * @async
+ * @function deleteAttachment
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with success message or error
+ * @description Removes the attachment and its file. Admins can delete any attachment;
+ *              other users only the ones they uploaded.
+ */
+export const deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await AttachmentService.getAttachment(req.params.id, req.params.attachmentId);
+
+    if (
+      req.user.role !== "admin" &&
+      attachment.uploadedBy.toString() !== req.user._id.toString()
+    ) {
+      return sendErrorResponse(res, 403, "Not authorized to delete this attachment");
+    }
+
+    await AttachmentService.deleteAttachment(attachment);
+
+    return sendSuccessResponse(res, 200, "Attachment deleted successfully");
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+};
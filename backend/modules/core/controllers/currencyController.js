@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Currency Controller - Manages the currency registry
+ *
+ * This controller exposes the registered currencies, with the minor units
+ * their amounts are kept to, to all users and lets admins add currencies or
+ * change their name, symbol, minor units and active flag.
+ *
+ * @module controllers/currencyController
+ * @requires services/currencyService
+ * @requires utils/errorHandler
+ */
+
+import CurrencyService from "../services/currencyService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Get the registered currencies
+ *
+ * @async
+ * @function getCurrencies
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with currencies or error
+ * @description Returns every registered currency by code; pass active=true for
+ *              only the currencies new transactions can use
+ */
+export const getCurrencies = async (req, res) => {
+  try {
+    const currencies = await CurrencyService.listCurrencies({
+      activeOnly: req.query.active === "true"
+    });
+
+    return sendSuccessResponse(res, 200, "Currencies retrieved successfully", { currencies });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Register a currency
+ *
+ * @async
+ * @function createCurrency
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new currency or error
+ * @description Adds a currency with its name, symbol and minor units and opens an
+ *              account for it
+ */
+export const createCurrency = async (req, res) => {
+  try {
+    const currency = await CurrencyService.createCurrency(req.body, req.user._id);
+
+    return sendSuccessResponse(res, 201, "Currency created successfully", { currency });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "This currency is already registered");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a currency
+ *
+ * @async
+ * @function updateCurrency
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated currency or error
+ * @description Changes a currency's name, symbol, minor units or active flag.
+ *              Deactivated currencies keep their history but cannot be used for
+ *              new transactions.
+ */
+export const updateCurrency = async (req, res) => {
+  try {
+    const currency = await CurrencyService.updateCurrency(req.params.code, req.body, req.user._id);
+
+    return sendSuccessResponse(res, 200, "Currency updated successfully", { currency });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getCurrencies,
+  createCurrency,
+  updateCurrency
+};
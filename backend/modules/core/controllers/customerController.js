@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Customer Controller - Manages the customer registry
+ *
+ * This controller registers customers with their KYC identity records, searches
+ * and updates them, returns one customer's full transaction history, and lets
+ * admins merge duplicate records of the same person.
+ *
+ * @module controllers/customerController
+ * @requires services/customerService
+ * @requires utils/errorHandler
+ */
+
+import CustomerService from "../services/customerService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Search customers
+ *
+ * @async
+ * @function searchCustomers
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with customers and pagination or error
+ * @description Matches the search text against name, email, phone and ID number.
+ *              Only active records are returned unless status is given.
+ */
+export const searchCustomers = async (req, res) => {
+  try {
+    const { q, status, page, limit } = req.query;
+
+    const result = await CustomerService.searchCustomers({ q, status, page, limit });
+
+    return sendSuccessResponse(res, 200, "Customers retrieved successfully", result);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get a customer
+ *
+ * @async
+ * @function getCustomerById
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the customer, transactions and totals or error
+ * @description Returns the identity record with the customer's transactions and totals per currency
+ */
+export const getCustomerById = async (req, res) => {
+  try {
+    const profile = await CustomerService.getCustomerProfile(req.params.id);
+
+    return sendSuccessResponse(res, 200, "Customer retrieved successfully", profile);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Register a customer
+ *
+ * @async
+ * @function createCustomer
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new customer or error
+ * @description Creates a customer with their ID type, ID number, expiry, date of
+ *              birth, address and phone. An ID document can belong to one active customer.
+ */
+export const createCustomer = async (req, res) => {
+  try {
+    const customer = await CustomerService.createCustomer(req.body, req.user._id);
+
+    return sendSuccessResponse(res, 201, "Customer created successfully", { customer });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "A customer with this ID document is already registered");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a customer
+ *
+ * @async
+ * @function updateCustomer
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated customer or error
+ * @description Updates the customer's contact details and identity record
+ */
+export const updateCustomer = async (req, res) => {
+  try {
+    const customer = await CustomerService.updateCustomer(req.params.id, req.body);
+
+    return sendSuccessResponse(res, 200, "Customer updated successfully", { customer });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "A customer with this ID document is already registered");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Merge duplicate customers
+ *
+ * @async
+ * @function mergeCustomers
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the surviving customer or error
+ * @description Merges the customers in body.sourceIds into the customer in the URL.
+ *              Their transactions move to the survivor and the duplicates are kept
+ *              as Merged records.
+ */
+export const mergeCustomers = async (req, res) => {
+  try {
+    const { sourceIds } = req.body;
+
+    const result = await CustomerService.mergeCustomers(req.params.id, sourceIds, req.user._id);
+
+    return sendSuccessResponse(
+      res,
+      200,
+      `Customers merged successfully; ${result.transactionsMoved} transaction(s) moved`,
+      result
+    );
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  searchCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  mergeCustomers
+};
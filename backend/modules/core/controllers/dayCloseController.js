@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Day Close Controller - Manages end-of-day closes
+ *
+ * This controller lets admins close a business date, which snapshots account
+ * balances and the day's totals and locks transactions dated that day, reopen a
+ * closed day with a recorded reason, and download the daily close report.
+ *
+ * @module controllers/dayCloseController
+ * @requires models/dayClose
+ * @requires services/dayCloseService
+ * @requires services/pdfService
+ * @requires utils/errorHandler
+ */
+
+import DayClose from "../models/dayClose.js";
+import DayCloseService from "../services/dayCloseService.js";
+import { generateDayClosePDF } from "../services/pdfService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Get day closes
+ *
+ * @async
+ * @function getDayCloses
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with day closes and pagination or error
+ * @description Lists closed and reopened business dates, newest first
+ */
+export const getDayCloses = async (req, res) => {
+  try {
+    const { page = 1, limit = 30, status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const dayCloses = await DayClose.find(filter)
+      .populate("closedBy", "userName fullName")
+      .populate("history.user", "userName fullName")
+      .sort({ businessDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DayClose.countDocuments(filter);
+
+    return sendSuccessResponse(res, 200, "Day closes retrieved successfully", {
+      dayCloses,
+      today: DayCloseService.toBusinessDate(),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get the close for a business date
+ *
+ * @async
+ * @function getDayClose
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the day close or error
+ * @description Returns the snapshot and close/reopen history for one business date
+ */
+export const getDayClose = async (req, res) => {
+  try {
+    const { date } = req.params;
+    DayCloseService.getDayRange(date);
+
+    const dayClose = await DayClose.findOne({ businessDate: date })
+      .populate("closedBy", "userName fullName")
+      .populate("history.user", "userName fullName");
+
+    if (!dayClose) {
+      return sendErrorResponse(res, 404, `Day close for ${date} not found`);
+    }
+
+    return sendSuccessResponse(res, 200, "Day close retrieved successfully", { dayClose });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Close a business date
+ *
+ * @async
+ * @function closeDay
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the day close or error
+ * @description Snapshots every account balance and the day's totals by currency and
+ *              type, then locks transactions dated that day. Defaults to today.
+ */
+export const closeDay = async (req, res) => {
+  try {
+    const businessDate = req.body?.businessDate || DayCloseService.toBusinessDate();
+
+    const dayClose = await DayCloseService.closeDay(businessDate, req.user._id);
+
+    return sendSuccessResponse(res, 201, `Business day ${businessDate} closed successfully`, { dayClose });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Reopen a closed business date
+ *
+ * @async
+ * @function reopenDay
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the reopened day close or error
+ * @description Unlocks transactions dated that day. The reopen and its reason are
+ *              kept in the day's history; closing again takes a fresh snapshot.
+ */
+export const reopenDay = async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    const dayClose = await DayCloseService.reopenDay(date, req.user._id, req.body?.reason);
+
+    return sendSuccessResponse(res, 200, `Business day ${date} reopened`, { dayClose });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Download the daily close report
+ *
+ * @async
+ * @function downloadDayCloseReport
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {Buffer|string} PDF or CSV file, or JSON error
+ * @description Generates the close report for a business date as PDF (default) or CSV
+ */
+export const downloadDayCloseReport = async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { format = "pdf" } = req.query;
+
+    if (!["pdf", "csv"].includes(format)) {
+      return sendErrorResponse(res, 400, "Invalid format: use pdf or csv");
+    }
+
+    const dayClose = await DayClose.findOne({ businessDate: date })
+      .populate("closedBy", "userName fullName")
+      .populate("history.user", "userName fullName");
+
+    if (!dayClose) {
+      return sendErrorResponse(res, 404, `Day close for ${date} not found`);
+    }
+
+    const exportData = format === "csv"
+      ? DayCloseService.generateCsv(dayClose)
+      : await generateDayClosePDF(dayClose);
+
+    res.setHeader("Content-Type", format === "csv" ? "text/csv" : "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=daily_close_${date}.${format}`);
+
+    res.send(exportData);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getDayCloses,
+  getDayClose,
+  closeDay,
+  reopenDay,
+  downloadDayCloseReport
+};
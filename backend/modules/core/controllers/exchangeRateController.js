@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Exchange Rate Controller - Manages the exchange-rate table
+ *
+ * This controller exposes the current buy/sell rates to all users and lets
+ * admins add new rate versions, review the history, and adjust or remove
+ * rates that are scheduled but not yet in effect.
+ *
+ * @module controllers/exchangeRateController
+ * @requires mongoose
+ * @requires services/exchangeRateService
+ * @requires utils/errorHandler
+ */
+
+import mongoose from "mongoose";
+import ExchangeRateService from "../services/exchangeRateService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Get the current rates for every currency
+ *
+ * @async
+ * @function getCurrentRates
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with current rates or error
+ * @description Returns the rate version in effect for each currency
+ */
+export const getCurrentRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRateService.getCurrentRates();
+
+    return sendSuccessResponse(res, 200, "Exchange rates retrieved successfully", { rates });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get the rate history for a currency
+ *
+ * @async
+ * @function getRateHistory
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with rate versions or error
+ * @description Returns every rate version for the currency, newest first,
+ *              including versions scheduled for the future
+ */
+export const getRateHistory = async (req, res) => {
+  try {
+    const { currency } = req.params;
+    const history = await ExchangeRateService.getRateHistory(currency);
+
+    return sendSuccessResponse(res, 200, "Exchange rate history retrieved successfully", {
+      currency: currency.toUpperCase(),
+      history
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Add a new rate version
+ *
+ * @async
+ * @function createRate
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new rate version or error
+ * @description Records new buy/sell rates for a currency, effective now or at a future time
+ */
+export const createRate = async (req, res) => {
+  try {
+    const { currency, buyRate, sellRate, effectiveFrom, notes } = req.body;
+
+    const rate = await ExchangeRateService.createRate(
+      { currency, buyRate, sellRate, effectiveFrom, notes },
+      req.user._id
+    );
+
+    return sendSuccessResponse(res, 201, "Exchange rate created successfully", { rate });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a scheduled rate version
+ *
+ * @async
+ * @function updateRate
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated rate version or error
+ * @description Changes a rate version that has not taken effect yet
+ */
+export const updateRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid exchange rate ID format");
+    }
+
+    const rate = await ExchangeRateService.updateScheduledRate(id, req.body);
+
+    return sendSuccessResponse(res, 200, "Exchange rate updated successfully", { rate });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Delete a scheduled rate version
+ *
+ * @async
+ * @function deleteRate
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response confirming deletion or error
+ * @description Removes a rate version that has not taken effect yet
+ */
+export const deleteRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid exchange rate ID format");
+    }
+
+    await ExchangeRateService.deleteScheduledRate(id);
+
+    return sendSuccessResponse(res, 200, "Exchange rate deleted successfully");
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getCurrentRates,
+  getRateHistory,
+  createRate,
+  updateRate,
+  deleteRate
+};
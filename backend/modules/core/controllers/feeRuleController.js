@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Fee Rule Controller - Manages the service fee schedule
+ *
+ * This controller lets admins maintain the fee rules charged per transaction
+ * type and currency, and lets anyone creating a transaction see the fees it
+ * will be charged before saving it.
+ *
+ * @module controllers/feeRuleController
+ * @requires services/feeService
+ * @requires utils/errorHandler
+ */
+
+import FeeService from "../services/feeService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Get the fee schedule
+ *
+ * @async
+ * @function getFeeRules
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with fee rules or error
+ * @description Returns every fee rule, active or not, by transaction type
+ */
+export const getFeeRules = async (req, res) => {
+  try {
+    const rules = await FeeService.listRules();
+
+    return sendSuccessResponse(res, 200, "Fee rules retrieved successfully", { rules });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Add a fee rule
+ *
+ * @async
+ * @function createFeeRule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new fee rule or error
+ * @description Adds a flat, percentage or tiered fee for a transaction type, either for
+ *              one currency or (without a currency) for every currency with no rule of
+ *              its own. Each type and currency can have one rule.
+ */
+export const createFeeRule = async (req, res) => {
+  try {
+    const rule = await FeeService.createRule(req.body, req.user._id);
+
+    return sendSuccessResponse(res, 201, "Fee rule created successfully", { rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "There is already a fee rule for this transaction type and currency");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a fee rule
+ *
+ * @async
+ * @function updateFeeRule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated fee rule or error
+ * @description Changes a fee rule. Transactions already charged keep their fees.
+ */
+export const updateFeeRule = async (req, res) => {
+  try {
+    const rule = await FeeService.updateRule(req.params.id, req.body, req.user._id);
+
+    return sendSuccessResponse(res, 200, "Fee rule updated successfully", { rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "There is already a fee rule for this transaction type and currency");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Delete a fee rule
+ *
+ * @async
+ * @function deleteFeeRule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with success message or error
+ * @description Removes a fee rule. Transactions already charged keep their fees.
+ */
+export const deleteFeeRule = async (req, res) => {
+  try {
+    await FeeService.deleteRule(req.params.id);
+
+    return sendSuccessResponse(res, 200, "Fee rule deleted successfully");
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Quote the fees for a transaction
+ *
+ * @async
+ * @function quoteFees
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with fees and feeTotalTTD or error
+ * @description Works out the fees a transaction with the given type, currency, amount
+ *              and (optionally) amountTTD query parameters would be charged, without
+ *              saving anything
+ */
+export const quoteFees = async (req, res) => {
+  try {
+    const { type, currency, amount, amountTTD } = req.query;
+
+    if (!type || !currency || !(parseFloat(amount) > 0)) {
+      return sendErrorResponse(res, 400, "Type, currency and a positive amount are required");
+    }
+
+    const quote = await FeeService.calculateFees({ type, currency, amount, amountTTD });
+
+    return sendSuccessResponse(res, 200, "Fees calculated successfully", quote);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  deleteFeeRule,
+  quoteFees
+};
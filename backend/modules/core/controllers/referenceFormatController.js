@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Reference Format Controller - Manages how transactions are numbered
+ *
+ * This controller lets admins view and change the format of transaction
+ * references: the template, prefix, branch code, sequence padding, reset
+ * period and fiscal year start. Both responses include the reference the next
+ * transaction would get.
+ *
+ * @module controllers/referenceFormatController
+ * @requires services/referenceService
+ * @requires utils/errorHandler
+ */
+
+import ReferenceService from "../services/referenceService.js";
+import {
+  sendSuccessResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Get the reference format
+ *
+ * @async
+ * @function getReferenceFormat
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the format and the next reference or error
+ */
+export const getReferenceFormat = async (req, res) => {
+  try {
+    const format = await ReferenceService.getFormat();
+    const preview = await ReferenceService.previewReference(format);
+
+    return sendSuccessResponse(res, 200, "Reference format retrieved successfully", { format, preview });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update the reference format
+ *
+ * @async
+ * @function updateReferenceFormat
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new format and the next reference or error
+ * @description Changes any of the format fields. The template must contain
+ *              {SEQ} once and show the reset period, so no reference can be
+ *              handed out twice.
+ */
+export const updateReferenceFormat = async (req, res) => {
+  try {
+    const format = await ReferenceService.updateFormat(req.body);
+    const preview = await ReferenceService.previewReference(format);
+
+    return sendSuccessResponse(res, 200, "Reference format updated successfully", { format, preview });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getReferenceFormat,
+  updateReferenceFormat
+};
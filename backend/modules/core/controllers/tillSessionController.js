@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Till Session Controller - Manages teller cash-drawer sessions
+ *
+ * This controller lets tellers open a till session with a counted float, see
+ * what their drawer should hold, and close it with the counted cash. Admins can
+ * review every open and closed session. Closed sessions have a printable close-out PDF.
+ *
+ * @module controllers/tillSessionController
+ * @requires mongoose
+ * @requires models/tillSession
+ * @requires services/tillSessionService
+ * @requires services/pdfService
+ * @requires utils/errorHandler
+ */
+
+import mongoose from "mongoose";
+import TillSession from "../models/tillSession.js";
+import TillSessionService from "../services/tillSessionService.js";
+import { generateTillCloseOutPDF } from "../services/pdfService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Helper function to check whether a user may see a till session
+ *
+ * @private
+ * @function canAccessSession
+ * @param {Object} tillSession - Till session with the user populated or as an ID
+ * @param {Object} user - Requesting user
+ * @returns {boolean} True for admins and the session's teller
+ */
+function canAccessSession(tillSession, user) {
+  const ownerId = tillSession.user?._id || tillSession.user;
+  return user.role === "admin" || ownerId.toString() === user._id.toString();
+}
+
+/**
+ * Get the current user's open till session
+ *
+ * @async
+ * @function getCurrentSession
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the open session (or null) and its running totals
+ * @description Returns the user's open session with the cash the drawer should hold right now
+ */
+export const getCurrentSession = async (req, res) => {
+  try {
+    const tillSession = await TillSessionService.getOpenSession(req.user._id);
+
+    if (!tillSession) {
+      return sendSuccessResponse(res, 200, "No open till session", { tillSession: null });
+    }
+
+    const { currencies, transactionCount } = await TillSessionService.calculateExpected(tillSession);
+
+    return sendSuccessResponse(res, 200, "Till session retrieved successfully", {
+      tillSession: { ...tillSession.toJSON(), currencies, transactionCount }
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Open a till session
+ *
+ * @async
+ * @function openSession
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new session or error
+ * @description Opens a drawer for the current user with a counted float per currency.
+ *              Each user can have only one open session.
+ */
+export const openSession = async (req, res) => {
+  try {
+    const { floats, notes } = req.body;
+
+    const tillSession = await TillSessionService.openSession(req.user._id, floats, notes);
+
+    return sendSuccessResponse(res, 201, "Till session opened successfully", { tillSession });
+  } catch (error) {
+    // Two opens racing each other hit the one-open-session index
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "You already have an open till session");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Close a till session
+ *
+ * @async
+ * @function closeSession
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the closed session or error
+ * @description Records the counted cash per currency and the variance against what the
+ *              drawer should hold. Admins can close any teller's session.
+ */
+export const closeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { counts, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid till session ID format");
+    }
+
+    const tillSession = await TillSessionService.closeSession(id, counts, req.user, notes);
+
+    return sendSuccessResponse(res, 200, "Till session closed successfully", { tillSession });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get till sessions
+ *
+ * @async
+ * @function getSessions
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with sessions and pagination or error
+ * @description Lists open and closed sessions for all tellers, newest first.
+ *              Can be filtered by status, user and opening date.
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, user, dateFrom, dateTo } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (user && mongoose.Types.ObjectId.isValid(user)) filter.user = user;
+
+    if (dateFrom || dateTo) {
+      filter.openedAt = {};
+      if (dateFrom) filter.openedAt.$gte = new Date(dateFrom);
+      if (dateTo) {
+        const endDate = new Date(dateTo);
+        endDate.setHours(23, 59, 59, 999);
+        filter.openedAt.$lte = endDate;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const sessions = await TillSession.find(filter)
+      .populate("user", "userName fullName")
+      .populate("closedBy", "userName fullName")
+      .sort({ openedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await TillSession.countDocuments(filter);
+
+    return sendSuccessResponse(res, 200, "Till sessions retrieved successfully", {
+      sessions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get a till session with its transactions
+ *
+ * @async
+ * @function getSessionById
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the session and its transactions or error
+ * @description Open sessions include the running expected cash per currency
+ */
+export const getSessionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid till session ID format");
+    }
+
+    const tillSession = await TillSession.findById(id)
+      .populate("user", "userName fullName")
+      .populate("closedBy", "userName fullName");
+
+    if (!tillSession) {
+      return sendErrorResponse(res, 404, "Till session not found");
+    }
+
+    if (!canAccessSession(tillSession, req.user)) {
+      return sendErrorResponse(res, 403, "Not authorized to view this till session");
+    }
+
+    const transactions = await TillSessionService.getSessionTransactions(id);
+    const details = tillSession.toJSON();
+
+    if (tillSession.status === "Open") {
+      Object.assign(details, await TillSessionService.calculateExpected(tillSession));
+    }
+
+    return sendSuccessResponse(res, 200, "Till session retrieved successfully", {
+      tillSession: details,
+      transactions
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Download the close-out report for a till session
+ *
+ * @async
+ * @function downloadCloseOutPDF
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {Buffer} PDF file or JSON error
+ * @description Generates the printable close-out report for a closed session
+ */
+export const downloadCloseOutPDF = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid till session ID format");
+    }
+
+    const tillSession = await TillSession.findById(id)
+      .populate("user", "userName fullName")
+      .populate("closedBy", "userName fullName");
+
+    if (!tillSession) {
+      return sendErrorResponse(res, 404, "Till session not found");
+    }
+
+    if (!canAccessSession(tillSession, req.user)) {
+      return sendErrorResponse(res, 403, "Not authorized to view this till session");
+    }
+
+    if (tillSession.status !== "Closed") {
+      return sendErrorResponse(res, 409, "The close-out report is available once the session is closed");
+    }
+
+    const transactions = await TillSessionService.getSessionTransactions(id);
+    const pdfBuffer = await generateTillCloseOutPDF(tillSession, transactions);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=till_closeout_${id}.pdf`);
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getCurrentSession,
+  openSession,
+  closeSession,
+  getSessions,
+  getSessionById,
+  downloadCloseOutPDF
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Transaction Category Controller - Manages transaction categories and tags
+ *
+ * This controller exposes the transaction categories to all users, lets
+ * admins add categories or change their name, description and active flag,
+ * and suggests the tags already used on transactions.
+ *
+ * @module controllers/transactionCategoryController
+ * @requires services/transactionCategoryService
+ * @requires utils/errorHandler
+ */
+
+import TransactionCategoryService from "../services/transactionCategoryService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Get the transaction categories
+ *
+ * @async
+ * @function getCategories
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with categories or error
+ * @description Returns every category by name; pass active=true for only the
+ *              categories new transactions can be filed under
+ */
+export const getCategories = async (req, res) => {
+  try {
+    const categories = await TransactionCategoryService.listCategories({
+      activeOnly: req.query.active === "true"
+    });
+
+    return sendSuccessResponse(res, 200, "Categories retrieved successfully", { categories });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Add a transaction category
+ *
+ * @async
+ * @function createCategory
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new category or error
+ * @description Adds a category with its name and description
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const category = await TransactionCategoryService.createCategory(req.body, req.user._id);
+
+    return sendSuccessResponse(res, 201, "Category created successfully", { category });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "There is already a category with this name");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a transaction category
+ *
+ * @async
+ * @function updateCategory
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated category or error
+ * @description Changes a category's name, description or active flag. Transactions
+ *              already filed under an inactive category keep it.
+ */
+export const updateCategory = async (req, res) => {
+  try {
+    const category = await TransactionCategoryService.updateCategory(req.params.id, req.body, req.user._id);
+
+    return sendSuccessResponse(res, 200, "Category updated successfully", { category });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, "There is already a category with this name");
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Suggest transaction tags
+ *
+ * @async
+ * @function getTags
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with tags or error
+ * @description Returns the tags already used on transactions, optionally only
+ *              those starting with the prefix query parameter
+ */
+export const getTags = async (req, res) => {
+  try {
+    const tags = await TransactionCategoryService.listTags(req.query.prefix);
+
+    return sendSuccessResponse(res, 200, "Tags retrieved successfully", { tags });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getCategories,
+  createCategory,
+  updateCategory,
+  getTags
+};
@@ -2,28 +2,71 @@
  * @fileoverview Transaction Controller - Manages financial transactions
  *
  * This controller handles all transaction operations including creating,
- * retrieving, updating, and deleting transactions with proper balance updates.
+ * retrieving, updating, approving, voiding and refunding transactions with proper
+ * balance updates, and resolving compliance holds.
  *
  * @module controllers/transactionController
  * @requires mongoose
  * @requires models/transaction
- * @requires helpers/generateUniqueReference
+ * @requires models/transactionRevision
+ * @requires helpers/transactionEvents
+ * @requires helpers/transactionValidation
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ * @requires helpers/transactionRetry
+ * @requires helpers/transactionCursor
+ * @requires helpers/transactionSearch
  * @requires services/accountService
  * @requires services/emailService
+ * @requires services/settingsService
+ * @requires services/exchangeRateService
+ * @requires services/tillSessionService
+ * @requires services/dayCloseService
+ * @requires services/customerService
+ * @requires services/feeService
+ * @requires services/transactionCategoryService
+ * @requires services/referenceService
  * @requires utils/errorHandler
  */
 
 import mongoose from "mongoose";
-import Transaction from "../models/transaction.js";
-import generateUniqueReference from "../helpers/generateUniqueReference.js";
+import Transaction, { normalizeTags } from "../models/transaction.js";
+import TransactionRevision, { EDITABLE_TRANSACTION_FIELDS } from "../models/transactionRevision.js";
+import { emitTransactionCreated, runScreenings } from "../helpers/transactionEvents.js";
+import { validateTransactionFields } from "../helpers/transactionValidation.js";
+import { roundAmount, formatAmount } from "../helpers/currencyUnits.js";
+import { decimalToNumber, decimalsToNumbers, addAmounts, subtractAmounts } from "../helpers/money.js";
+import {
+  retryOnTransientError,
+  isTransientTransactionError,
+  commitWithRetry,
+} from "../helpers/transactionRetry.js";
+import { parseSort, encodeCursor, decodeCursor, cursorFilter } from "../helpers/transactionCursor.js";
+import { buildSearchFilter, getFieldValues, SEARCH_FIELDS } from "../helpers/transactionSearch.js";
+import CurrencyService from "../services/currencyService.js";
+import User from "../models/user.js";
 import AccountService from "../services/accountService.js";
 import { sendEmail } from "../services/emailService.js";
+import SettingsService from "../services/settingsService.js";
+import ExchangeRateService from "../services/exchangeRateService.js";
+import TillSessionService from "../services/tillSessionService.js";
+import DayCloseService from "../services/dayCloseService.js";
+import CustomerService from "../services/customerService.js";
+import FeeService from "../services/feeService.js";
+import TransactionCategoryService from "../services/transactionCategoryService.js";
+import ReferenceService from "../services/referenceService.js";
 import {
   sendSuccessResponse,
   sendErrorResponse,
   handleTransactionError,
 } from "../utils/errorHandler.js";
 
+/**
+ * Most transactions returned in one page of a list
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 200;
+
 /**
  * Create a new transaction with email receipt
  *
@@ -33,140 +76,344 @@ import {
  * @param {object} res - Express response object
  * @returns {object} JSON response with transaction data or error
  * @description Creates a new financial transaction, updates account balances,
- *              and optionally sends an email receipt
+ *              and optionally sends an email receipt. Buy and Sell transactions take
+ *              the current managed exchange rate by default. Exchange transactions take
+ *              one foreign currency in and pay another out (toCurrency, toAmount) at the
+ *              implied cross rate. Transactions above the approval
+ *              threshold for their currency are saved as Pending without moving any
+ *              balances until an admin approves them. The transaction is tagged with
+ *              the creator's open till session, if they have one. Refused once
+ *              today's business day has been closed. When customerId is given the
+ *              name on the customer's record is used. Screenings registered by other
+ *              modules (e.g. watchlist screening) run first; a transaction they hold is
+ *              saved as Pending until compliance clears it. Once committed, the
+ *              transaction is announced to other modules (see helpers/transactionEvents).
+ *              Service fees from the fee schedule are worked out automatically, stored
+ *              as line items and credited to the TTD account with the balance changes.
+ *              If another teller's transaction touches the same accounts at the same
+ *              moment, the whole transaction is run again (see helpers/transactionRetry).
+ *              An optional category (one of the active categories) and free-form tags
+ *              file the transaction for filtering and reporting.
  */
-export const createTransaction = async (req, res) => {
+export const createTransaction = retryOnTransientError(async (req, res) => {
   // Start a MongoDB transaction session
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     const {
-      customerName,
-      customerEmail,
+      customerId,
       type,
       amount,
       currency,
       exchangeRate,
       amountTTD,
+      toCurrency,
+      toAmount,
       notes,
       customerSignature,
+      category: categoryId,
+      tags,
     } = req.body;
-
-    // Validate required fields
-    if (!customerName || !type || !amount || !currency) {
-      throw new Error("Missing required transaction fields");
-    }
-
-    // Validate transaction type
-    if (!["Cash In", "Cash Out", "Buy", "Sell"].includes(type)) {
-      throw new Error("Invalid transaction type");
+    let { customerName, customerEmail } = req.body;
+
+    // A registered customer supplies the name on record; the receipt email can be overridden
+    const customer = customerId
+      ? await CustomerService.resolveCustomer(customerId, session)
+      : null;
+    if (customer) {
+      customerName = customer.fullName;
+      customerEmail = customerEmail || customer.email;
     }
 
-    // Validate numeric fields
-    if (isNaN(amount) || amount <= 0) {
-      throw new Error("Invalid amount: must be a positive number");
-    }
-
-    if (amountTTD && (isNaN(amountTTD) || amountTTD <= 0)) {
-      throw new Error("Invalid TTD amount: must be a positive number");
-    }
-
-    if (exchangeRate && (isNaN(exchangeRate) || exchangeRate <= 0)) {
-      throw new Error("Invalid exchange rate: must be a positive number");
-    }
+    // Same rules as the bulk import of historical transactions
+    validateTransactionFields({
+      customerName,
+      type,
+      amount,
+      currency,
+      exchangeRate,
+      amountTTD,
+      toCurrency,
+      toAmount,
+    });
+    const isCrossExchange = type === "Exchange";
 
     // Check authentication
     if (!req.user) {
       return sendErrorResponse(res, 401, "Unauthorized");
     }
 
-    // Generate unique reference
-    const reference = await generateUniqueReference();
+    // Nothing can be added to a business day once it is closed
+    await DayCloseService.assertDayOpen(new Date(), session);
+
+    const category = await TransactionCategoryService.resolveCategory(categoryId, { session });
+
+    // Buy/Sell use the managed rate table unless a permitted override is given,
+    // and the TTD amount always follows the rate that was applied
+    const usesRateTable = ["Buy", "Sell"].includes(type);
+    const rate = usesRateTable
+      ? await ExchangeRateService.resolveTransactionRate(
+          type,
+          currency,
+          exchangeRate ? parseFloat(exchangeRate) : null,
+          req.user.role === "admin"
+        )
+      : isCrossExchange
+        ? await ExchangeRateService.resolveExchangeValuation(currency)
+        : { exchangeRate, exchangeRateVersion: null, rateOverridden: false };
+    const appliedAmountTTD = usesRateTable || (isCrossExchange && rate.exchangeRate)
+      ? roundAmount(parseFloat(amount) * rate.exchangeRate, "TTD")
+      : amountTTD;
+    const payout = isCrossExchange
+      ? { toCurrency: toCurrency.toUpperCase(), toAmount: parseFloat(toAmount) }
+      : {};
+
+    // Tag the transaction with the teller's open cash drawer, if any
+    const tillSession = await TillSessionService.getOpenSession(req.user._id, session);
+
+    // Large transactions are held for approval
+    const threshold = await getApprovalThreshold(currency);
+    const requiresApproval = threshold !== null && parseFloat(amount) > threshold;
+
+    // Screenings (e.g. sanctions watchlist) can hold the transaction for compliance review
+    const complianceHold = await runScreenings({
+      customerName,
+      customerId: customer?._id || null,
+      type,
+      amount: parseFloat(amount),
+      currency: currency.toUpperCase(),
+    });
+    const isHeld = requiresApproval || !!complianceHold;
+
+    // Service fees from the fee schedule, charged in TTD
+    const { fees, feeTotalTTD } = await FeeService.calculateFees(
+      { type, currency, amount, amountTTD: appliedAmountTTD },
+      session
+    );
 
     // Validate balances before proceeding
     await AccountService.validateAccountBalances(
       type,
       currency,
       amount,
-      amountTTD
+      appliedAmountTTD,
+      payout,
+      session
     );
 
+    // Take the next reference as late as possible: the counter stays locked
+    // against other tellers until this transaction commits
+    const reference = await ReferenceService.nextReference(new Date(), session);
+
     // Create the transaction
     const transaction = await Transaction.create(
       [
         {
           reference,
+          customerId: customer?._id || null,
           customerName,
           customerEmail,
           type,
           amount,
           currency,
-          exchangeRate,
-          amountTTD,
+          exchangeRate: rate.exchangeRate,
+          exchangeRateVersion: rate.exchangeRateVersion,
+          rateOverridden: rate.rateOverridden,
+          amountTTD: appliedAmountTTD,
+          ...(isCrossExchange && {
+            ...payout,
+            crossRate: parseFloat((payout.toAmount / parseFloat(amount)).toFixed(6)),
+          }),
+          fees,
+          feeTotalTTD,
           notes,
+          category: category?._id || null,
+          tags,
           customerSignature,
           createdBy: req.user._id,
-          status: "Completed",
+          tillSession: tillSession?._id || null,
+          status: isHeld ? "Pending" : "Completed",
+          requiresApproval,
+          complianceHold,
         },
       ],
       { session } // Use the session
     );
 
-    // Update account balances
-    await AccountService.processAccountUpdates(
-      type,
-      currency,
-      amount,
-      amountTTD,
-      session
-    );
+    // Update account balances (held transactions move balances on approval or clearance)
+    if (!isHeld) {
+      const costs = await AccountService.processAccountUpdates(
+        type,
+        currency,
+        amount,
+        appliedAmountTTD,
+        session,
+        { transactionId: transaction[0]._id, userId: req.user._id },
+        payout
+      );
+      await AccountService.processFeeUpdates(
+        fees,
+        session,
+        { transactionId: transaction[0]._id, userId: req.user._id }
+      );
+
+      // Record the cost of the currency sold and the gain it realized
+      transaction[0].costBasisTTD = costs.costBasisTTD;
+      transaction[0].realizedGainTTD = costs.realizedGainTTD;
+      await transaction[0].save({ session });
+    }
 
     // Commit the transaction if everything succeeded
-    await session.commitTransaction();
+    await commitWithRetry(session);
 
-    // Send email receipt if customer email is provided
-    let emailResult = {
-      success: false,
-      message: "Email not sent (no email provided)",
-    };
-    if (customerEmail) {
-      try {
-        // Generate email content
-        const emailContent = generateReceiptEmailContent(transaction[0]);
+    // Let other modules (e.g. compliance screening) look at it without holding up the sale
+    emitTransactionCreated(transaction[0]);
 
-        // Send the email (PDF will be generated in emailService)
-        emailResult = await sendEmail(
-          customerEmail,
-          `Receipt for Transaction ${reference}`,
-          emailContent.text,
-          null, // PDF will be generated in backend
-          null, // PDF filename will be set in backend
-          { transactionId: transaction[0]._id }
-        );
-      } catch (emailError) {
-        console.error("Email sending error:", emailError);
-        emailResult = {
+    // Send email receipt if customer email is provided
+    const emailResult = isHeld
+      ? {
           success: false,
-          message: "Transaction successful but failed to send email receipt",
-        };
-      }
-    }
+          message: "Receipt will be sent once the transaction is approved",
+        }
+      : await emailTransactionReceipt(transaction[0]);
 
     // Return successful response with transaction and email status
-    return sendSuccessResponse(res, 201, "Transaction created successfully", {
-      ...transaction[0]._doc,
-      emailReceipt: emailResult,
-    });
+    return sendSuccessResponse(
+      res,
+      201,
+      complianceHold
+        ? "Transaction is on hold pending compliance review"
+        : requiresApproval
+          ? `Transaction exceeds the ${currency.toUpperCase()} approval threshold of ${threshold} and is pending admin approval`
+          : "Transaction created successfully",
+      {
+        ...transaction[0].toJSON(),
+        emailReceipt: emailResult,
+      }
+    );
   } catch (error) {
     // Abort the transaction on error
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // A write conflict with another teller runs the whole transaction again
+    if (isTransientTransactionError(error)) {
+      throw error;
+    }
     return handleTransactionError(error, res);
   } finally {
     // End the session
     session.endSession();
   }
-};
+});
+
+/**
+ * Helper function to look up the approval threshold for a currency
+ *
+ * @private
+ * @async
+ * @function getApprovalThreshold
+ * @param {string} currency - Currency code
+ * @returns {Promise<number|null>} Threshold amount, or null if none is configured
+ */
+async function getApprovalThreshold(currency) {
+  const thresholds = await SettingsService.getSettingOrDefault(
+    "config_approvalThresholds",
+    {}
+  );
+  const threshold = parseFloat(thresholds?.[currency.toUpperCase()]);
+  return isNaN(threshold) || threshold <= 0 ? null : threshold;
+}
+
+/**
+ * Helper function to get the paid-out leg of an Exchange transaction
+ *
+ * @private
+ * @function getPayout
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} toCurrency and toAmount, or an empty object for other types
+ */
+function getPayout(transaction) {
+  return transaction.type === "Exchange"
+    ? { toCurrency: transaction.toCurrency, toAmount: transaction.toAmount }
+    : {};
+}
+
+/**
+ * Helper function to complete a Pending transaction and apply its balance changes
+ *
+ * @private
+ * @async
+ * @function completePendingTransaction
+ * @param {Object} transaction - Pending transaction document
+ * @param {string} userId - ID of the user completing it
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<void>}
+ * @throws {Error} If today's business day is closed or balances are insufficient
+ */
+async function completePendingTransaction(transaction, userId, session) {
+  // Balances move now, so today must still be open
+  await DayCloseService.assertDayOpen(new Date(), session);
+
+  const costs = await AccountService.processAccountUpdates(
+    transaction.type,
+    transaction.currency,
+    transaction.amount,
+    transaction.amountTTD,
+    session,
+    { transactionId: transaction._id, userId },
+    getPayout(transaction)
+  );
+  await AccountService.processFeeUpdates(
+    transaction.fees,
+    session,
+    { transactionId: transaction._id, userId }
+  );
+
+  transaction.costBasisTTD = costs.costBasisTTD;
+  transaction.realizedGainTTD = costs.realizedGainTTD;
+  transaction.status = "Completed";
+}
+
+/**
+ * Helper function to email a receipt to the customer on a transaction
+ *
+ * @private
+ * @async
+ * @function emailTransactionReceipt
+ * @param {object} transaction - The transaction object
+ * @returns {Promise<object>} Email result with success flag and message
+ */
+async function emailTransactionReceipt(transaction) {
+  if (!transaction.customerEmail) {
+    return {
+      success: false,
+      message: "Email not sent (no email provided)",
+    };
+  }
+
+  try {
+    // Generate email content
+    const emailContent = generateReceiptEmailContent(transaction);
+
+    // Send the email (PDF will be generated in emailService)
+    return await sendEmail(
+      transaction.customerEmail,
+      `Receipt for Transaction ${transaction.reference}`,
+      emailContent.text,
+      null, // PDF will be generated in backend
+      null, // PDF filename will be set in backend
+      { transactionId: transaction._id }
+    );
+  } catch (emailError) {
+    console.error("Email sending error:", emailError);
+    return {
+      success: false,
+      message: "Transaction successful but failed to send email receipt",
+    };
+  }
+}
 
 /**
  * Helper function to generate email content for receipt
@@ -177,11 +424,32 @@ export const createTransaction = async (req, res) => {
  * @returns {object} Object containing email text content
  */
 function generateReceiptEmailContent(transaction) {
-  const { reference, customerName, amount, currency, type, createdAt, notes } =
-    transaction;
+  const {
+    reference,
+    customerName,
+    amount,
+    currency,
+    type,
+    createdAt,
+    notes,
+    status,
+    voidedAt,
+    voidReason,
+    refundedAmount,
+    toCurrency,
+    toAmount,
+    crossRate,
+    fees = [],
+  } = transaction;
 
   const formattedDate = new Date(createdAt).toLocaleString();
-  const formattedAmount = `${currency} ${amount.toFixed(2)}`;
+  const formattedAmount = `${currency} ${formatAmount(amount, currency)}`;
+  const exchangeLines = type === "Exchange"
+    ? `Amount Paid Out: ${toCurrency} ${formatAmount(toAmount, toCurrency)}\nCross Rate: 1 ${currency} = ${crossRate} ${toCurrency}`
+    : "";
+  const feeLines = fees
+    .map((fee) => `${fee.name}: TTD ${formatAmount(fee.amountTTD, "TTD")}`)
+    .join("\n");
 
   const text = `
 Dear ${customerName},
@@ -191,7 +459,11 @@ Thank you for your recent transaction. Below is your receipt information:
 Transaction ID: ${reference}
 Date: ${formattedDate}
 Transaction Type: ${type}
-Amount: ${formattedAmount}
+${type === "Exchange" ? "Amount Received" : "Amount"}: ${formattedAmount}
+${exchangeLines}
+${feeLines}
+${status === "Cancelled" && voidedAt ? `Status: VOID (${voidReason})` : ""}
+${refundedAmount > 0 ? `Refunded: ${currency} ${formatAmount(refundedAmount, currency)}` : ""}
 ${notes ? `Notes: ${notes}` : ""}
 
 Please find your receipt attached.
@@ -263,93 +535,249 @@ export const sendTransactionReceipt = async (req, res) => {
 };
 
 /**
- * Get transactions with pagination and filtering
+ * Build the filter for a transaction list from its query parameters
+ *
+ * @private
+ * @async
+ * @function buildTransactionFilter
+ * @param {Object} query - Request query (currency, type, category, tag, dateFrom, dateTo,
+ *   search, customerId); category "none" finds transactions without one
+ * @param {string} [userId] - User listing the transactions, for by:me in the search
+ * @returns {Promise<Object>} Mongo filter
+ * @throws {Error} If the category ID is malformed or the search cannot be read
+ *   (see helpers/transactionSearch)
+ */
+async function buildTransactionFilter(
+  { currency, type, category, tag, dateFrom, dateTo, search, customerId },
+  userId
+) {
+  const filter = {};
+  if (customerId) filter.customerId = customerId;
+
+  if (category === "none") {
+    filter.category = null;
+  } else if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new Error("Invalid category ID format");
+    }
+    filter.category = category;
+  }
+  if (tag) filter.tags = normalizeTags([tag])[0];
+
+  // Exchange transactions match on either currency leg
+  if (currency) filter.$and = [{ $or: [{ currency }, { toCurrency: currency }] }];
+  if (type) filter.type = type;
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter.createdAt = {};
+    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      // Set end of day for dateTo
+      const endDate = new Date(dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = endDate;
+    }
+  }
+
+  // Search query language, e.g. amount>500 currency:USD by:jdoe
+  if (search) {
+    const searchFilter = await buildSearchFilter(search, { userId });
+    if (searchFilter.$and) filter.$and = [...(filter.$and || []), ...searchFilter.$and];
+  }
+
+  return filter;
+}
+
+/**
+ * Helper function to find transactions with the references a list shows
+ *
+ * @private
+ * @function findTransactionList
+ * @param {Object} filter - Mongo filter
+ * @param {Object} sort - Mongo sort
+ * @returns {mongoose.Query} Query for the transactions
+ */
+function findTransactionList(filter, sort) {
+  return Transaction.find(filter)
+    .populate("createdBy", "userName fullName role")
+    .populate("voidedBy", "userName fullName role")
+    .populate("reviewedBy", "userName fullName role")
+    .populate("customerId", "fullName idType idNumber idExpiry")
+    .populate("exchangeRateVersion", "version")
+    .populate("reversal", "reference")
+    .populate("reversalOf", "reference")
+    .populate("refundOf", "reference")
+    .populate("category", "name isActive")
+    .sort(sort);
+}
+
+/**
+ * Helper function to stream every matching transaction as NDJSON
+ *
+ * Documents are read from a database cursor and written one per line as the
+ * client takes them, so the full set is never held in memory. Errors after
+ * the first line can only end the response early.
+ *
+ * @private
+ * @async
+ * @function streamTransactions
+ * @param {Object} filter - Mongo filter
+ * @param {Object} sort - Mongo sort
+ * @param {object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function streamTransactions(filter, sort, res) {
+  const cursor = findTransactionList(filter, sort).cursor();
+
+  res.status(200).set({
+    "Content-Type": "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "private, no-store",
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  try {
+    for await (const transaction of cursor) {
+      // The client went away; stop reading
+      if (res.destroyed) break;
+      if (!res.write(`${JSON.stringify(transaction)}\n`)) {
+        await new Promise((resolve) => {
+          res.once("drain", resolve);
+          res.once("close", resolve);
+        });
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error("Error streaming transactions:", error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+}
+
+/**
+ * Get transactions with cursor pagination and filtering
  *
  * @async
  * @function getTransactions
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with transactions and pagination info or error
- * @description Returns transactions with flexible filtering, sorting, and pagination
+ * @description Returns transactions with flexible filtering and sorting, a page at a
+ *              time. Pass pagination.nextCursor back as cursor for the next page; rows
+ *              added meanwhile never shift or repeat a page. The total is only counted
+ *              for the first page. With format=ndjson (or Accept: application/x-ndjson)
+ *              every matching transaction after the cursor is streamed instead, one
+ *              JSON document per line, and limit is ignored. search takes the query
+ *              language described in helpers/transactionSearch; a search that cannot
+ *              be read is answered with 400 and what was wrong.
  */
 export const getTransactions = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      sortBy = "createdAt",
-      sortOrder = -1,
-      currency,
-      type,
-      dateFrom,
-      dateTo,
-      search,
-    } = req.query;
-
-    // Build filter object
-    const filter = {};
+    const { limit = 20, sortBy, sortOrder, cursor, format } = req.query;
 
-    if (currency) filter.currency = currency;
-    if (type) filter.type = type;
+    const baseFilter = await buildTransactionFilter(req.query, req.user?._id);
+    const { sortBy: sortField, direction, sort } = parseSort(sortBy, sortOrder);
 
-    // Date range filter
-    if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) {
-        // Set end of day for dateTo
-        const endDate = new Date(dateTo);
-        endDate.setHours(23, 59, 59, 999);
-        filter.createdAt.$lte = endDate;
-      }
+    const filter = { ...baseFilter };
+    if (cursor) {
+      const position = decodeCursor(cursor, sortField, direction);
+      filter.$and = [...(baseFilter.$and || []), cursorFilter(position, sortField, direction)];
     }
 
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { customerName: { $regex: search, $options: "i" } },
-        { customerEmail: { $regex: search, $options: "i" } },
-        { reference: { $regex: search, $options: "i" } },
-      ];
+    const streaming =
+      format === "ndjson" || (!format && req.accepts(["json", "application/x-ndjson"]) === "application/x-ndjson");
+    if (streaming) {
+      return streamTransactions(filter, sort, res);
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Create sort object - Mongoose expects a number, not a string for sortOrder
-    const sortDirection = parseInt(sortOrder) || -1;
-    const sortOptions = {};
-    sortOptions[sortBy] = sortDirection;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
 
-    // Execute query with pagination
-    const transactions = await Transaction.find(filter)
-      .populate("createdBy", "userName fullName role")
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // One extra row tells whether another page follows
+    const rows = await findTransactionList(filter, sort).limit(pageSize + 1);
+    const hasMore = rows.length > pageSize;
+    const transactions = hasMore ? rows.slice(0, pageSize) : rows;
 
-    // Get total count for pagination info
-    const total = await Transaction.countDocuments(filter);
+    const pagination = {
+      limit: pageSize,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1], sortField, direction) : null,
+    };
+    if (!cursor) {
+      pagination.total = await Transaction.countDocuments(baseFilter);
+    }
 
     return sendSuccessResponse(
       res,
       200,
       "Transactions retrieved successfully",
-      {
-        transactions,
-        pagination: {
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          limit: parseInt(limit),
-        },
-      }
+      { transactions, pagination }
     );
   } catch (error) {
     return handleTransactionError(error, res);
   }
 };
 
+/**
+ * Get search fields and values for autocomplete
+ *
+ * @async
+ * @function getSearchSuggestions
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with fields, or values for one field, or error
+ * @description Without a field, lists the fields the search language knows with their
+ *              kind and description. With field (and optionally prefix), lists up to
+ *              limit values that field can take: types and statuses, registered
+ *              currencies, usernames (and me) for by, category names (and none), or
+ *              tags already in use.
+ */
+export const getSearchSuggestions = async (req, res) => {
+  try {
+    const { field, prefix = "", limit = 10 } = req.query;
+
+    if (!field) {
+      const fields = Object.entries(SEARCH_FIELDS).map(([name, { kind, description }]) => ({
+        name,
+        kind,
+        description,
+      }));
+      return sendSuccessResponse(res, 200, "Search fields retrieved successfully", { fields });
+    }
+
+    const definition = SEARCH_FIELDS[String(field).toLowerCase()];
+    if (!definition) {
+      return sendErrorResponse(res, 400, `Invalid search field: ${field}`);
+    }
+
+    const maxValues = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const start = String(prefix).toLowerCase();
+    let values = [];
+
+    if (definition.kind === "enum") {
+      values = getFieldValues(String(field).toLowerCase());
+    } else if (definition.kind === "code") {
+      const currencies = await CurrencyService.listCurrencies();
+      values = currencies.map((currency) => currency.code);
+    } else if (definition.kind === "user") {
+      const users = await User.find({}).select("userName").sort({ userName: 1 });
+      values = ["me", ...users.map((user) => user.userName)];
+    } else if (definition.kind === "category") {
+      const categories = await TransactionCategoryService.listCategories();
+      values = [...categories.map((category) => category.name), "none"];
+    } else if (definition.kind === "tag") {
+      values = await TransactionCategoryService.listTags(start);
+    }
+
+    values = values.filter((value) => value.toLowerCase().startsWith(start)).slice(0, maxValues);
+
+    return sendSuccessResponse(res, 200, "Search values retrieved successfully", { values });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
 /**
  * Get a single transaction by ID
  *
@@ -368,10 +796,23 @@ export const getTransactionById = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid transaction ID format");
     }
 
-    const transaction = await Transaction.findById(id).populate(
-      "createdBy",
-      "userName fullName role"
-    );
+    const transaction = await Transaction.findById(id)
+      .populate("createdBy", "userName fullName role")
+      .populate("voidedBy", "userName fullName role")
+      .populate("reviewedBy", "userName fullName role")
+      .populate("customerId", "fullName idType idNumber idExpiry phone")
+      .populate("complianceHold.reviewedBy", "userName fullName role")
+      .populate("exchangeRateVersion", "version buyRate sellRate effectiveFrom")
+      .populate("reversal", "reference")
+      .populate("reversalOf", "reference")
+      .populate("refundOf", "reference")
+      .populate("category", "name isActive")
+      .populate({
+        path: "refunds",
+        select: "reference amount amountTTD currency notes createdAt createdBy",
+        options: { sort: { createdAt: 1 } },
+        populate: { path: "createdBy", select: "userName fullName" },
+      });
 
     if (!transaction) {
       return sendErrorResponse(res, 404, "Transaction not found");
@@ -385,6 +826,20 @@ export const getTransactionById = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to compare and store edited values; empty values (including
+ * an empty list of tags) are kept as null
+ *
+ * @private
+ * @function revisionValue
+ * @param {*} value - Field value
+ * @returns {*} The value, or null if it is empty
+ */
+function revisionValue(value) {
+  if (Array.isArray(value)) return value.length ? [...value] : null;
+  return value === undefined || value === null || value === "" ? null : value;
+}
+
 /**
  * Update an existing transaction
  *
@@ -393,7 +848,10 @@ export const getTransactionById = async (req, res) => {
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with updated transaction or error
- * @description Updates non-financial details of a transaction
+ * @description Updates non-financial details of a transaction, including its category
+ *              and tags. Each field that actually changes is recorded as a revision
+ *              with its old and new value (a category by its name), the user and the
+ *              time. Refused if the transaction is dated on a closed business day.
  */
 export const updateTransaction = async (req, res) => {
   // Start a MongoDB transaction session
@@ -408,17 +866,19 @@ export const updateTransaction = async (req, res) => {
     }
 
     // Find original transaction
-    const originalTransaction = await Transaction.findById(id);
+    const originalTransaction = await Transaction.findById(id).session(session);
 
     if (!originalTransaction) {
       return sendErrorResponse(res, 404, "Transaction not found");
     }
 
+    // Transactions on a closed business day are locked
+    await DayCloseService.assertDayOpen(originalTransaction.createdAt, session);
+
     // Only allow updates to certain fields, not the core transaction data
-    const allowedUpdates = ["notes", "customerSignature", "customerEmail"];
     const updates = {};
 
-    for (const field of allowedUpdates) {
+    for (const field of EDITABLE_TRANSACTION_FIELDS) {
       if (req.body[field] !== undefined) {
         updates[field] = req.body[field];
       }
@@ -429,12 +889,51 @@ export const updateTransaction = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid email format");
     }
 
+    // The history shows categories by name, as they were called at the time
+    const previousValues = { ...originalTransaction.toObject() };
+    const newValues = { ...updates };
+    if (updates.category !== undefined) {
+      const previousCategory = originalTransaction.category
+        ? await TransactionCategoryService.getCategory(originalTransaction.category, session)
+        : null;
+      const category = await TransactionCategoryService.resolveCategory(updates.category, {
+        currentId: originalTransaction.category,
+        session,
+      });
+      updates.category = category?._id || null;
+      previousValues.category = previousCategory?.name;
+      newValues.category = category?.name;
+    }
+    if (updates.tags !== undefined) {
+      updates.tags = normalizeTags(updates.tags);
+      newValues.tags = updates.tags;
+    }
+
+    // Record the old and new value of every field that actually changes
+    const changedAt = new Date();
+    const revisions = Object.keys(updates)
+      .map((field) => ({
+        transaction: originalTransaction._id,
+        field,
+        previousValue: revisionValue(previousValues[field]),
+        newValue: revisionValue(newValues[field]),
+        changedBy: req.user._id,
+        changedAt,
+      }))
+      .filter(({ previousValue, newValue }) => JSON.stringify(previousValue) !== JSON.stringify(newValue));
+
+    if (revisions.length > 0) {
+      await TransactionRevision.insertMany(revisions, { session });
+    }
+
     // Apply the updates
     const updatedTransaction = await Transaction.findByIdAndUpdate(
       id,
       updates,
       { new: true, session, runValidators: true }
-    ).populate("createdBy", "userName fullName role");
+    )
+      .populate("createdBy", "userName fullName role")
+      .populate("category", "name isActive");
 
     // Commit the transaction
     await session.commitTransaction();
@@ -453,36 +952,80 @@ export const updateTransaction = async (req, res) => {
 };
 
 /**
- * Delete a transaction with balance reversal
+ * Get a transaction's edit history
+ *
+ * @async
+ * @function getTransactionRevisions
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with revisions or error
+ * @description Lists every recorded change to the transaction, newest first, with the
+ *              previous and new value of each field and who made the change
+ */
+export const getTransactionRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid transaction ID format");
+    }
+
+    const transaction = await Transaction.findById(id).select("_id");
+    if (!transaction) {
+      return sendErrorResponse(res, 404, "Transaction not found");
+    }
+
+    const revisions = await TransactionRevision.find({ transaction: id })
+      .populate("changedBy", "userName fullName role")
+      .sort({ changedAt: -1, _id: -1 });
+
+    return sendSuccessResponse(res, 200, "Transaction history retrieved successfully", {
+      revisions,
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Void a transaction with a reversing entry
  *
  * @async
- * @function deleteTransaction
+ * @function voidTransaction
  * @param {object} req - Express request object
  * @param {object} res - Express response object
- * @returns {object} JSON response with deletion status or error
- * @description Deletes a transaction and reverses related account balance changes
+ * @returns {object} JSON response with the voided transaction and its reversal or error
+ * @description Marks a transaction as Cancelled, records who voided it, when and why,
+ *              and creates a linked reversal record that reverses the balance changes
+ *              and service fees. The original transaction is kept so there are no gaps in the records.
+ *              Refused if the transaction or the reversal would fall on a closed business day.
  */
-export const deleteTransaction = async (req, res) => {
+export const voidTransaction = retryOnTransientError(async (req, res) => {
   // Start a MongoDB transaction session
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     const { id } = req.params;
+    const reason = req.body?.reason?.trim();
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return sendErrorResponse(res, 400, "Invalid transaction ID format");
     }
 
-    // Find transaction to reverse
-    const transaction = await Transaction.findById(id);
+    if (!reason) {
+      return sendErrorResponse(res, 400, "A reason is required to void a transaction");
+    }
+
+    // Find transaction to void
+    const transaction = await Transaction.findById(id).session(session);
 
     if (!transaction) {
       return sendErrorResponse(res, 404, "Transaction not found");
     }
 
-    // Check if user has permission to delete
-    // Admins or the creator can delete
+    // Check if user has permission to void
+    // Admins or the creator can void
     if (
       req.user.role !== "admin" &&
       transaction.createdBy.toString() !== req.user._id.toString()
@@ -490,44 +1033,644 @@ export const deleteTransaction = async (req, res) => {
       return sendErrorResponse(
         res,
         403,
-        "Not authorized to delete this transaction"
+        "Not authorized to void this transaction"
       );
     }
 
-    // Reverse the account balance changes
-    const { type, currency, amount, amountTTD } = transaction;
-    await AccountService.reverseAccountUpdates(
-      type,
-      currency,
-      amount,
-      amountTTD,
-      session
-    );
+    if (transaction.reversalOf) {
+      return sendErrorResponse(res, 400, "Reversal records cannot be voided");
+    }
 
-    // Delete the transaction
-    await Transaction.deleteOne({ _id: id }).session(session);
+    if (transaction.refundOf) {
+      return sendErrorResponse(res, 400, "Refund records cannot be voided");
+    }
 
-    // Commit the transaction
-    await session.commitTransaction();
+    if (transaction.historyOnly) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Imported history records never moved balances and cannot be voided; undo the import instead"
+      );
+    }
 
-    return sendSuccessResponse(
-      res,
-      200,
-      "Transaction deleted and balances reversed successfully",
-      {
-        transactionId: id,
-      }
-    );
-  } catch (error) {
-    // Abort the transaction on error
-    await session.abortTransaction();
-    return handleTransactionError(error, res);
-  } finally {
-    // End the session
-    session.endSession();
+    if (transaction.refundedAmount > 0) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Transactions with refunds cannot be voided"
+      );
+    }
+
+    if (transaction.status === "Cancelled") {
+      return sendErrorResponse(res, 409, "Transaction has already been cancelled");
+    }
+
+    if (transaction.status === "Pending") {
+      return sendErrorResponse(
+        res,
+        409,
+        "Pending transactions must be approved or rejected, not voided"
+      );
+    }
+
+    // Neither the original's day nor today's (where the reversal lands) may be closed
+    await DayCloseService.assertDayOpen(transaction.createdAt, session);
+    await DayCloseService.assertDayOpen(new Date(), session);
+
+    // Create the linked reversal record, in the drawer of whoever hands the cash back
+    const { type, currency, amount, amountTTD, exchangeRate, costBasisTTD } = transaction;
+    const tillSession = await TillSessionService.getOpenSession(req.user._id, session);
+    const reference = await ReferenceService.nextReference(new Date(), session);
+
+    const [reversal] = await Transaction.create(
+      [
+        {
+          reference,
+          customerId: transaction.customerId,
+          customerName: transaction.customerName,
+          customerEmail: transaction.customerEmail,
+          type,
+          amount,
+          currency,
+          exchangeRate,
+          amountTTD,
+          ...getPayout(transaction),
+          crossRate: transaction.crossRate,
+          costBasisTTD,
+          fees: transaction.fees,
+          feeTotalTTD: transaction.feeTotalTTD,
+          notes: `Reversal of ${transaction.reference}: ${reason}`,
+          category: transaction.category,
+          tags: transaction.tags,
+          createdBy: req.user._id,
+          tillSession: tillSession?._id || null,
+          status: "Completed",
+          reversalOf: transaction._id,
+        },
+      ],
+      { session }
+    );
+
+    // Reverse the account balance changes
+    await AccountService.reverseAccountUpdates(
+      type,
+      currency,
+      amount,
+      amountTTD,
+      session,
+      { transactionId: reversal._id, userId: req.user._id },
+      costBasisTTD,
+      getPayout(transaction)
+    );
+    await AccountService.reverseFeeUpdates(
+      transaction.fees,
+      session,
+      { transactionId: reversal._id, userId: req.user._id }
+    );
+
+    // Mark the original as void
+    transaction.status = "Cancelled";
+    transaction.voidedBy = req.user._id;
+    transaction.voidedAt = new Date();
+    transaction.voidReason = reason;
+    transaction.reversal = reversal._id;
+    await transaction.save({ session });
+
+    // Commit the transaction
+    await commitWithRetry(session);
+
+    return sendSuccessResponse(
+      res,
+      200,
+      "Transaction voided and balances reversed successfully",
+      {
+        transaction,
+        reversal,
+      }
+    );
+  } catch (error) {
+    // Abort the transaction on error
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // A write conflict with another teller runs the whole transaction again
+    if (isTransientTransactionError(error)) {
+      throw error;
+    }
+    return handleTransactionError(error, res);
+  } finally {
+    // End the session
+    session.endSession();
+  }
+});
+
+/**
+ * Get transactions waiting for admin approval
+ *
+ * @async
+ * @function getPendingApprovals
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with pending transactions or error
+ * @description Returns the approval queue, oldest first
+ */
+export const getPendingApprovals = async (req, res) => {
+  try {
+    const transactions = await Transaction.find({
+      status: "Pending",
+      requiresApproval: true,
+      "complianceHold.status": { $ne: "Held" },
+    })
+      .populate("createdBy", "userName fullName role")
+      .sort({ createdAt: 1 });
+
+    return sendSuccessResponse(
+      res,
+      200,
+      "Pending approvals retrieved successfully",
+      {
+        transactions,
+        count: transactions.length,
+      }
+    );
+  } catch (error) {
+    return handleTransactionError(error, res);
   }
 };
 
+/**
+ * Approve a transaction held for approval
+ *
+ * @async
+ * @function approveTransaction
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the approved transaction or error
+ * @description Completes a Pending transaction and applies its balance changes.
+ *              The approver must be a different user from the one who created it,
+ *              and any compliance hold must have been cleared first.
+ */
+export const approveTransaction = retryOnTransientError(async (req, res) => {
+  // Start a MongoDB transaction session
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid transaction ID format");
+    }
+
+    const transaction = await Transaction.findById(id).session(session);
+
+    if (!transaction) {
+      return sendErrorResponse(res, 404, "Transaction not found");
+    }
+
+    if (transaction.status !== "Pending" || !transaction.requiresApproval) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Transaction is not awaiting approval"
+      );
+    }
+
+    if (transaction.complianceHold?.status === "Held") {
+      return sendErrorResponse(
+        res,
+        409,
+        "Transaction is on compliance hold and must be cleared first"
+      );
+    }
+
+    if (transaction.createdBy.toString() === req.user._id.toString()) {
+      return sendErrorResponse(
+        res,
+        403,
+        "You cannot approve a transaction you created"
+      );
+    }
+
+    await completePendingTransaction(transaction, req.user._id, session);
+    transaction.reviewedBy = req.user._id;
+    transaction.reviewedAt = new Date();
+    await transaction.save({ session });
+
+    // Commit the transaction
+    await commitWithRetry(session);
+
+    const emailResult = await emailTransactionReceipt(transaction);
+
+    return sendSuccessResponse(res, 200, "Transaction approved successfully", {
+      transaction,
+      emailReceipt: emailResult,
+    });
+  } catch (error) {
+    // Abort the transaction on error
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // A write conflict with another teller runs the whole transaction again
+    if (isTransientTransactionError(error)) {
+      throw error;
+    }
+    return handleTransactionError(error, res);
+  } finally {
+    // End the session
+    session.endSession();
+  }
+});
+
+/**
+ * Reject a transaction held for approval
+ *
+ * @async
+ * @function rejectTransaction
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the rejected transaction or error
+ * @description Cancels a Pending transaction and records why. No balances move.
+ *              The reviewer must be a different user from the one who created it.
+ */
+export const rejectTransaction = retryOnTransientError(async (req, res) => {
+  // Start a MongoDB transaction session
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const reason = req.body?.reason?.trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid transaction ID format");
+    }
+
+    if (!reason) {
+      return sendErrorResponse(res, 400, "A reason is required to reject a transaction");
+    }
+
+    const transaction = await Transaction.findById(id).session(session);
+
+    if (!transaction) {
+      return sendErrorResponse(res, 404, "Transaction not found");
+    }
+
+    if (transaction.status !== "Pending" || !transaction.requiresApproval) {
+      return sendErrorResponse(
+        res,
+        409,
+        "Transaction is not awaiting approval"
+      );
+    }
+
+    if (transaction.createdBy.toString() === req.user._id.toString()) {
+      return sendErrorResponse(
+        res,
+        403,
+        "You cannot reject a transaction you created"
+      );
+    }
+
+    transaction.status = "Cancelled";
+    transaction.reviewedBy = req.user._id;
+    transaction.reviewedAt = new Date();
+    transaction.rejectionReason = reason;
+    await transaction.save({ session });
+
+    // Commit the transaction
+    await commitWithRetry(session);
+
+    return sendSuccessResponse(res, 200, "Transaction rejected", {
+      transaction,
+    });
+  } catch (error) {
+    // Abort the transaction on error
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // A write conflict with another reviewer runs the whole transaction again
+    if (isTransientTransactionError(error)) {
+      throw error;
+    }
+    return handleTransactionError(error, res);
+  } finally {
+    // End the session
+    session.endSession();
+  }
+});
+
+/**
+ * Resolve a compliance hold on a transaction
+ *
+ * @async
+ * @function resolveComplianceHold
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated transaction or error
+ * @description Clearing a hold (a false positive) lets the transaction go ahead: it
+ *              completes and moves balances, unless it is also waiting for threshold
+ *              approval, in which case it joins the approval queue. Confirming a hold
+ *              (a true match) cancels the transaction. A note is required either way.
+ */
+export const resolveComplianceHold = retryOnTransientError(async (req, res) => {
+  // Start a MongoDB transaction session
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { decision } = req.body || {};
+    const note = req.body?.note?.trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid transaction ID format");
+    }
+
+    if (!["clear", "confirm"].includes(decision)) {
+      return sendErrorResponse(res, 400, "Decision must be clear or confirm");
+    }
+
+    if (!note) {
+      return sendErrorResponse(res, 400, "A note is required to resolve a compliance hold");
+    }
+
+    const transaction = await Transaction.findById(id).session(session);
+
+    if (!transaction) {
+      return sendErrorResponse(res, 404, "Transaction not found");
+    }
+
+    if (transaction.status !== "Pending" || transaction.complianceHold?.status !== "Held") {
+      return sendErrorResponse(res, 409, "Transaction is not on compliance hold");
+    }
+
+    transaction.complianceHold.status = decision === "clear" ? "Cleared" : "Confirmed";
+    transaction.complianceHold.reviewedBy = req.user._id;
+    transaction.complianceHold.reviewedAt = new Date();
+    transaction.complianceHold.note = note;
+
+    if (decision === "confirm") {
+      transaction.status = "Cancelled";
+      transaction.rejectionReason = `Compliance hold confirmed: ${note}`;
+    } else if (!transaction.requiresApproval) {
+      await completePendingTransaction(transaction, req.user._id, session);
+    }
+
+    await transaction.save({ session });
+
+    // Commit the transaction
+    await commitWithRetry(session);
+
+    const emailResult = transaction.status === "Completed"
+      ? await emailTransactionReceipt(transaction)
+      : { success: false, message: "No receipt sent" };
+
+    return sendSuccessResponse(
+      res,
+      200,
+      decision === "confirm"
+        ? "Compliance hold confirmed and transaction cancelled"
+        : transaction.status === "Completed"
+          ? "Compliance hold cleared and transaction completed"
+          : "Compliance hold cleared; transaction is awaiting approval",
+      {
+        transaction,
+        emailReceipt: emailResult,
+      }
+    );
+  } catch (error) {
+    // Abort the transaction on error
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // A write conflict with another teller runs the whole transaction again
+    if (isTransientTransactionError(error)) {
+      throw error;
+    }
+    return handleTransactionError(error, res);
+  } finally {
+    // End the session
+    session.endSession();
+  }
+});
+
+/**
+ * Refund a transaction in full or in part
+ *
+ * @async
+ * @function refundTransaction
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the original transaction and the refund record or error
+ * @description Creates a refund record linked to the original transaction and reverses
+ *              the balance changes for the refunded amount. Omitting the amount refunds
+ *              whatever is left. Refunds can never add up to more than the original amount,
+ *              and the original is marked Refunded once it has been refunded in full.
+ *              Service fees are kept; only voiding a transaction gives them back.
+ *              Refused if the transaction or the refund would fall on a closed business day.
+ */
+export const refundTransaction = retryOnTransientError(async (req, res) => {
+  // Start a MongoDB transaction session
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const reason = req.body?.reason?.trim() || "";
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendErrorResponse(res, 400, "Invalid transaction ID format");
+    }
+
+    // Find transaction to refund
+    const transaction = await Transaction.findById(id).session(session);
+
+    if (!transaction) {
+      return sendErrorResponse(res, 404, "Transaction not found");
+    }
+
+    // Admins or the creator can refund
+    if (
+      req.user.role !== "admin" &&
+      transaction.createdBy.toString() !== req.user._id.toString()
+    ) {
+      return sendErrorResponse(
+        res,
+        403,
+        "Not authorized to refund this transaction"
+      );
+    }
+
+    if (transaction.reversalOf || transaction.refundOf) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Reversal and refund records cannot be refunded"
+      );
+    }
+
+    if (transaction.historyOnly) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Imported history records never moved balances and cannot be refunded"
+      );
+    }
+
+    if (transaction.status !== "Completed") {
+      return sendErrorResponse(
+        res,
+        409,
+        `Cannot refund a transaction with status ${transaction.status}`
+      );
+    }
+
+    const remaining = transaction.refundableAmount;
+
+    // Default to refunding whatever is left
+    const refundAmount =
+      req.body?.amount === undefined || req.body?.amount === ""
+        ? remaining
+        : roundAmount(req.body.amount, transaction.currency);
+
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      return sendErrorResponse(
+        res,
+        400,
+        "Invalid refund amount: must be a positive number"
+      );
+    }
+
+    if (refundAmount > remaining) {
+      return sendErrorResponse(
+        res,
+        422,
+        `Refund exceeds the refundable amount. Available: ${formatAmount(remaining, transaction.currency)}, Requested: ${formatAmount(refundAmount, transaction.currency)}`
+      );
+    }
+
+    const { type, currency, amount, amountTTD, exchangeRate } = transaction;
+    const isFullRefund = refundAmount === remaining;
+
+    // The TTD leg is refunded pro rata; the final refund takes whatever is left
+    // so rounding never leaves a stray cent behind
+    const refundAmountTTD = isFullRefund
+      ? decimalToNumber(subtractAmounts("TTD", amountTTD || 0, transaction.refundedAmountTTD))
+      : roundAmount(((amountTTD || 0) * refundAmount) / amount, "TTD");
+
+    // An Exchange pays back its payout leg the same way
+    const refundPayout = type === "Exchange"
+      ? {
+          toCurrency: transaction.toCurrency,
+          toAmount: isFullRefund
+            ? decimalToNumber(subtractAmounts(transaction.toCurrency, transaction.toAmount, transaction.refundedToAmount))
+            : roundAmount((transaction.toAmount * refundAmount) / amount, transaction.toCurrency),
+        }
+      : {};
+
+    // The cost of the currency sold comes back pro rata as well
+    const refundCostBasisTTD = transaction.costBasisTTD === null
+      ? null
+      : roundAmount((transaction.costBasisTTD * refundAmount) / amount, "TTD");
+
+    // Neither the original's day (its refunded totals change) nor today's (where
+    // the refund lands) may be closed
+    await DayCloseService.assertDayOpen(transaction.createdAt, session);
+    await DayCloseService.assertDayOpen(new Date(), session);
+
+    // Create the linked refund record, in the drawer of whoever pays the refund
+    const tillSession = await TillSessionService.getOpenSession(req.user._id, session);
+    const reference = await ReferenceService.nextReference(new Date(), session);
+
+    const [refund] = await Transaction.create(
+      [
+        {
+          reference,
+          customerId: transaction.customerId,
+          customerName: transaction.customerName,
+          customerEmail: transaction.customerEmail,
+          type,
+          amount: refundAmount,
+          currency,
+          exchangeRate,
+          amountTTD: refundAmountTTD,
+          ...refundPayout,
+          crossRate: transaction.crossRate,
+          costBasisTTD: refundCostBasisTTD,
+          notes: `Refund of ${transaction.reference}${reason ? `: ${reason}` : ""}`,
+          category: transaction.category,
+          tags: transaction.tags,
+          createdBy: req.user._id,
+          tillSession: tillSession?._id || null,
+          status: "Completed",
+          refundOf: transaction._id,
+        },
+      ],
+      { session }
+    );
+
+    // Reverse the account balance changes for the refunded amount
+    await AccountService.reverseAccountUpdates(
+      type,
+      currency,
+      refundAmount,
+      refundAmountTTD,
+      session,
+      {
+        transactionId: refund._id,
+        userId: req.user._id,
+        description: `Refund of ${type}`,
+      },
+      refundCostBasisTTD,
+      refundPayout
+    );
+
+    // Track the running refund totals on the original
+    transaction.refundedAmount = addAmounts(currency, transaction.refundedAmount, refundAmount);
+    transaction.refundedAmountTTD = addAmounts("TTD", transaction.refundedAmountTTD, refundAmountTTD);
+    if (type === "Exchange") {
+      transaction.refundedToAmount = addAmounts(
+        transaction.toCurrency,
+        transaction.refundedToAmount,
+        refundPayout.toAmount
+      );
+    }
+    if (isFullRefund) {
+      transaction.status = "Refunded";
+    }
+    await transaction.save({ session });
+
+    // Commit the transaction
+    await commitWithRetry(session);
+
+    return sendSuccessResponse(
+      res,
+      201,
+      isFullRefund
+        ? "Transaction refunded in full"
+        : "Partial refund recorded successfully",
+      {
+        transaction,
+        refund,
+      }
+    );
+  } catch (error) {
+    // Abort the transaction on error
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // A write conflict with another teller runs the whole transaction again
+    if (isTransientTransactionError(error)) {
+      throw error;
+    }
+    return handleTransactionError(error, res);
+  } finally {
+    // End the session
+    session.endSession();
+  }
+});
+
 /**
  * Get transaction summary and analytics
  *
@@ -554,22 +1697,38 @@ export const getTransactionSummary = async (req, res) => {
       }
     }
 
-    // Add currency filter if provided
+    // Add currency filter if provided (either leg of an Exchange)
     if (currency) {
-      dateFilter.currency = currency;
+      dateFilter.$or = [{ currency }, { toCurrency: currency }];
     }
 
+    // Voided transactions and their reversal records cancel each other out,
+    // refund records are netted off against the transactions they refund,
+    // and pending transactions haven't moved any balances yet
+    dateFilter.status = { $nin: ["Cancelled", "Pending"] };
+    dateFilter.reversalOf = null;
+    dateFilter.refundOf = null;
+
     // Pipeline for aggregation
     const pipeline = [
       { $match: dateFilter },
+      {
+        $addFields: {
+          amount: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] },
+          amountTTD: { $subtract: ["$amountTTD", { $ifNull: ["$refundedAmountTTD", 0] }] },
+          toAmount: { $subtract: ["$toAmount", { $ifNull: ["$refundedToAmount", 0] }] },
+        },
+      },
       {
         $group: {
           _id: {
             type: "$type",
             currency: "$currency",
+            toCurrency: "$toCurrency",
           },
           count: { $sum: 1 },
           totalAmount: { $sum: "$amount" },
+          totalToAmount: { $sum: "$toAmount" },
           totalTTD: { $sum: "$amountTTD" },
         },
       },
@@ -578,15 +1737,17 @@ export const getTransactionSummary = async (req, res) => {
           _id: 0,
           type: "$_id.type",
           currency: "$_id.currency",
+          toCurrency: "$_id.toCurrency",
           count: 1,
           totalAmount: 1,
+          totalToAmount: 1,
           totalTTD: 1,
         },
       },
       { $sort: { currency: 1, type: 1 } },
     ];
 
-    const summary = await Transaction.aggregate(pipeline);
+    const summary = decimalsToNumbers(await Transaction.aggregate(pipeline));
 
     // Get current account balances
     const accounts = await AccountService.getAllAccountBalances();
@@ -609,8 +1770,15 @@ export default {
   createTransaction,
   sendTransactionReceipt,
   getTransactions,
+  getSearchSuggestions,
   getTransactionById,
   updateTransaction,
-  deleteTransaction,
+  getTransactionRevisions,
+  voidTransaction,
+  refundTransaction,
+  getPendingApprovals,
+  approveTransaction,
+  rejectTransaction,
+  resolveComplianceHold,
   getTransactionSummary,
 };
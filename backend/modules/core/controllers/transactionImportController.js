@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Transaction Import Controller - Manages bulk imports of historical transactions
+ *
+ * This controller lets admins upload a CSV of past transactions, map its columns
+ * to transaction fields, see a dry-run report of the rows that would be accepted
+ * or rejected, run the import, and undo an import as a whole.
+ *
+ * @module controllers/transactionImportController
+ * @requires models/transactionImport
+ * @requires services/transactionImportService
+ * @requires utils/errorHandler
+ */
+
+import TransactionImport from "../models/transactionImport.js";
+import TransactionImportService, { IMPORT_FIELDS } from "../services/transactionImportService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Helper function to read the import options sent alongside the file
+ *
+ * @private
+ * @function getImportOptions
+ * @param {object} req - Express request object
+ * @returns {Object} text, mapping, dateFormat and affectBalances
+ */
+function getImportOptions(req) {
+  const { mapping, dateFormat, affectBalances } = req.query;
+
+  return {
+    text: req.body,
+    mapping: mapping && typeof mapping === "object" ? mapping : undefined,
+    dateFormat: dateFormat || "YMD",
+    affectBalances: affectBalances === "true"
+  };
+}
+
+/**
+ * Dry-run an import
+ *
+ * @async
+ * @function previewImport
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the dry-run report or error
+ * @description Reads the CSV in the request body with the column mapping, date format
+ *              and balance option given as query parameters (mapping[field]=Column),
+ *              and reports the accepted and rejected rows with reasons. Nothing is
+ *              written. Without a mapping, one is suggested from the column headers.
+ */
+export const previewImport = async (req, res) => {
+  try {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return sendErrorResponse(res, 400, "Upload the CSV file as the request body");
+    }
+
+    const report = await TransactionImportService.dryRun(getImportOptions(req));
+
+    return sendSuccessResponse(res, 200, "Import checked successfully", {
+      report,
+      fields: IMPORT_FIELDS
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Run an import
+ *
+ * @async
+ * @function commitImport
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the import record and rejected rows or error
+ * @description Takes the same request as the dry run (plus a fileName query parameter)
+ *              and imports the rows that pass validation, oldest first in batches.
+ *              Rejected rows are skipped. With affectBalances=true the transactions move
+ *              account balances; otherwise they are recorded as history only.
+ */
+export const commitImport = async (req, res) => {
+  try {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return sendErrorResponse(res, 400, "Upload the CSV file as the request body");
+    }
+
+    const { importRecord, rejected } = await TransactionImportService.commit({
+      ...getImportOptions(req),
+      fileName: req.query.fileName,
+      userId: req.user._id
+    });
+
+    const skipped = importRecord.rejectedCount > 0
+      ? `; ${importRecord.rejectedCount} rejected row${importRecord.rejectedCount === 1 ? " was" : "s were"} skipped`
+      : "";
+
+    return sendSuccessResponse(
+      res,
+      201,
+      importRecord.status === "Failed"
+        ? `Import stopped after ${importRecord.importedCount} transactions. ${importRecord.error}. Undo the import, fix the file and import it again`
+        : `Imported ${importRecord.importedCount} transactions${skipped}`,
+      { import: importRecord, rejected }
+    );
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get imports
+ *
+ * @async
+ * @function getImports
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with imports and pagination or error
+ * @description Lists imports, newest first
+ */
+export const getImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await TransactionImportService.listImports({ page, limit });
+
+    return sendSuccessResponse(res, 200, "Imports retrieved successfully", result);
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get an import
+ *
+ * @async
+ * @function getImport
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the import or error
+ * @description Returns one import with who ran and undid it
+ */
+export const getImport = async (req, res) => {
+  try {
+    const importRecord = await TransactionImport.findById(req.params.id)
+      .populate("importedBy", "userName fullName")
+      .populate("undoneBy", "userName fullName");
+
+    if (!importRecord) {
+      return sendErrorResponse(res, 404, "Import not found");
+    }
+
+    return sendSuccessResponse(res, 200, "Import retrieved successfully", {
+      import: importRecord
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Undo an import
+ *
+ * @async
+ * @function undoImport
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the undone import or error
+ * @description Removes every transaction the import created and reverses the balance
+ *              movements of imports that affected balances. Refused while any of them
+ *              has been voided or refunded, or falls on a closed business day. An undo
+ *              that stops part-way can be run again to finish.
+ */
+export const undoImport = async (req, res) => {
+  try {
+    const importRecord = await TransactionImportService.undo(req.params.id, req.user._id);
+
+    return sendSuccessResponse(res, 200, "Import undone successfully", {
+      import: importRecord
+    });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  previewImport,
+  commitImport,
+  getImports,
+  getImport,
+  undoImport
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Transaction View Controller - Manages saved transaction list views
+ *
+ * This controller lets users save named filters, sort order and columns for
+ * the transaction list, share them with everyone, and open them again.
+ *
+ * @module controllers/transactionViewController
+ * @requires services/transactionViewService
+ * @requires utils/errorHandler
+ */
+
+import TransactionViewService from "../services/transactionViewService.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleTransactionError
+} from "../utils/errorHandler.js";
+
+/**
+ * Message for a second view with the same name
+ * @private
+ * @type {string}
+ */
+const DUPLICATE_NAME_MESSAGE = "You already have a view with this name";
+
+/**
+ * Get the views the user can open
+ *
+ * @async
+ * @function getTransactionViews
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with views or error
+ * @description Returns the user's own views, then views other users have shared
+ */
+export const getTransactionViews = async (req, res) => {
+  try {
+    const views = await TransactionViewService.listViews(req.user);
+
+    return sendSuccessResponse(res, 200, "Views retrieved successfully", { views });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Get one view
+ *
+ * @async
+ * @function getTransactionView
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the view or error
+ * @description Returns a view the user owns or that has been shared, e.g. to open a
+ *              link to it
+ */
+export const getTransactionView = async (req, res) => {
+  try {
+    const view = await TransactionViewService.getView(req.params.id, req.user);
+
+    return sendSuccessResponse(res, 200, "View retrieved successfully", { view });
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Save a view
+ *
+ * @async
+ * @function createTransactionView
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the new view or error
+ * @description Saves name, filters, sortBy, sortOrder, columns and whether the view
+ *              is shared. The search must be valid in the search language.
+ */
+export const createTransactionView = async (req, res) => {
+  try {
+    const view = await TransactionViewService.createView(req.body, req.user);
+
+    return sendSuccessResponse(res, 201, "View saved successfully", { view });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, DUPLICATE_NAME_MESSAGE);
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Update a view
+ *
+ * @async
+ * @function updateTransactionView
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with the updated view or error
+ * @description Changes a view; only its owner or an admin may
+ */
+export const updateTransactionView = async (req, res) => {
+  try {
+    const view = await TransactionViewService.updateView(req.params.id, req.body, req.user);
+
+    return sendSuccessResponse(res, 200, "View updated successfully", { view });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 409, DUPLICATE_NAME_MESSAGE);
+    }
+    return handleTransactionError(error, res);
+  }
+};
+
+/**
+ * Delete a view
+ *
+ * @async
+ * @function deleteTransactionView
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with success message or error
+ * @description Removes a view; only its owner or an admin may
+ */
+export const deleteTransactionView = async (req, res) => {
+  try {
+    await TransactionViewService.deleteView(req.params.id, req.user);
+
+    return sendSuccessResponse(res, 200, "View deleted successfully");
+  } catch (error) {
+    return handleTransactionError(error, res);
+  }
+};
+
+export default {
+  getTransactionViews,
+  getTransactionView,
+  createTransactionView,
+  updateTransactionView,
+  deleteTransactionView
+};
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Attachment storage - where attachment files are kept
+ *
+ * Attachment files are saved through a storage adapter so the backend can keep
+ * them on local disk or hand them to another store without the rest of the code
+ * changing. The local filesystem driver is built in and used by default; other
+ * drivers (such as an object store) register a factory under their own name and
+ * are picked with the ATTACHMENT_STORAGE_DRIVER environment variable.
+ *
+ * Every attachment records the driver it was saved with, so files saved before
+ * a switch can still be read back.
+ *
+ * @module helpers/attachmentStorage
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * A storage adapter keeps files under string keys such as "<transactionId>/<uuid>.jpg"
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(string, Buffer): Promise<void>} save - Store a file under a key
+ * @property {function(string): Promise<import("stream").Readable>} createReadStream - Read a stored file
+ * @property {function(string): Promise<void>} remove - Delete a stored file; missing files are ignored
+ */
+
+/**
+ * Name of the driver used when ATTACHMENT_STORAGE_DRIVER is not set
+ * @type {string}
+ */
+export const DEFAULT_STORAGE_DRIVER = "local";
+
+/**
+ * Keeps attachment files in a directory on the server's disk
+ *
+ * @class LocalStorageAdapter
+ * @implements {StorageAdapter}
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {string} [root] - Directory to keep files in; defaults to ATTACHMENT_STORAGE_PATH
+   *                          or uploads/attachments under the working directory
+   */
+  constructor(root = process.env.ATTACHMENT_STORAGE_PATH || "uploads/attachments") {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a key to a path inside the storage directory
+   *
+   * @private
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key would point outside the storage directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file; it is written to a temporary file first so a half-written
+   * file is never left under the real key
+   *
+   * @async
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.promises.writeFile(tempPath, buffer, { flag: "wx" });
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Read a stored file
+   *
+   * @async
+   * @param {string} key - Storage key
+   * @returns {Promise<import("stream").Readable>} Stream of the file contents
+   * @throws {Error} If the file is not found
+   */
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      throw new Error("Attachment file not found in storage");
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a stored file
+   *
+   * @async
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const driverFactories = {
+  [DEFAULT_STORAGE_DRIVER]: () => new LocalStorageAdapter()
+};
+
+const adapters = {};
+
+/**
+ * Register a storage driver
+ *
+ * The factory is called once, the first time the driver is needed, and returns
+ * an object implementing the StorageAdapter methods.
+ *
+ * @param {string} name - Driver name, as set in ATTACHMENT_STORAGE_DRIVER
+ * @param {function(): StorageAdapter} factory - Creates the adapter
+ * @returns {void}
+ */
+export function registerStorageDriver(name, factory) {
+  driverFactories[name] = factory;
+  delete adapters[name];
+}
+
+/**
+ * Get the name of the driver new attachments are saved with
+ *
+ * @returns {string} Driver name
+ */
+export function getStorageDriverName() {
+  return process.env.ATTACHMENT_STORAGE_DRIVER || DEFAULT_STORAGE_DRIVER;
+}
+
+/**
+ * Get a storage adapter
+ *
+ * @param {string} [name] - Driver name; defaults to the configured driver
+ * @returns {StorageAdapter} The adapter
+ * @throws {Error} If no driver is registered under the name
+ */
+export function getStorage(name = getStorageDriverName()) {
+  if (!adapters[name]) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Attachment storage driver "${name}" is not registered`);
+    }
+    adapters[name] = factory();
+  }
+  return adapters[name];
+}
+
+export default {
+  registerStorageDriver,
+  getStorageDriverName,
+  getStorage
+};
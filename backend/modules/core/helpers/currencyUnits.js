@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Currency units - minor units and rounding per currency
+ *
+ * Holds an in-memory copy of the currency registry so amounts can be rounded,
+ * checked and formatted synchronously (e.g. in the toJSON transforms of the
+ * models). CurrencyService loads the registry at startup and refreshes it
+ * whenever a currency is added or changed.
+ *
+ * Currencies the registry does not know use DEFAULT_MINOR_UNITS.
+ *
+ * @module helpers/currencyUnits
+ */
+
+/**
+ * Minor units for a currency missing from the registry
+ * @type {number}
+ */
+export const DEFAULT_MINOR_UNITS = 2;
+
+/**
+ * Most minor units a currency can have (e.g. 8 for BTC)
+ * @type {number}
+ */
+export const MAX_MINOR_UNITS = 8;
+
+/**
+ * Registry entries by currency code: { minorUnits, symbol, name, isActive }
+ * @type {Map<string, Object>}
+ */
+const registry = new Map();
+
+/**
+ * Replace the in-memory registry
+ *
+ * @param {Array<Object>} currencies - Currency documents (code, name, symbol, minorUnits, isActive)
+ * @returns {void}
+ */
+export function setCurrencyRegistry(currencies = []) {
+  registry.clear();
+  for (const currency of currencies) {
+    registry.set(currency.code.toUpperCase(), {
+      name: currency.name,
+      symbol: currency.symbol,
+      minorUnits: currency.minorUnits,
+      isActive: currency.isActive !== false
+    });
+  }
+}
+
+/**
+ * Get the registry entry for a currency
+ *
+ * @param {string} currency - Currency code
+ * @returns {Object|null} The entry, or null if the currency is not registered
+ */
+export function getCurrencyEntry(currency) {
+  return registry.get(String(currency || "").toUpperCase()) || null;
+}
+
+/**
+ * Whether the registry has been loaded
+ *
+ * @returns {boolean} True once at least one currency is registered
+ */
+export function isRegistryLoaded() {
+  return registry.size > 0;
+}
+
+/**
+ * Get the number of decimal places a currency is kept to
+ *
+ * @param {string} currency - Currency code
+ * @returns {number} Minor units (0 for JPY, 2 for USD, 8 for BTC)
+ */
+export function getMinorUnits(currency) {
+  const entry = getCurrencyEntry(currency);
+  return entry ? entry.minorUnits : DEFAULT_MINOR_UNITS;
+}
+
+/**
+ * Round an amount to the minor units of its currency
+ *
+ * @param {number|string} value - Amount to round
+ * @param {string} currency - Currency code
+ * @returns {number} The rounded amount (0 for missing values)
+ */
+export function roundAmount(value, currency) {
+  return parseFloat((parseFloat(value) || 0).toFixed(getMinorUnits(currency)));
+}
+
+/**
+ * Format an amount with exactly the minor units of its currency
+ *
+ * @param {number|string} value - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "12.50" for USD, "1250" for JPY
+ */
+export function formatAmount(value, currency) {
+  return (parseFloat(value) || 0).toFixed(getMinorUnits(currency));
+}
+
+/**
+ * Format an amount for display with thousands separators and the minor units
+ * of its currency
+ *
+ * @param {number|string} value - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "1,250.00" for USD, "1,250" for JPY
+ */
+export function formatDisplayAmount(value, currency) {
+  const minorUnits = getMinorUnits(currency);
+  return (parseFloat(value) || 0).toLocaleString(undefined, {
+    minimumFractionDigits: minorUnits,
+    maximumFractionDigits: minorUnits
+  });
+}
+
+/**
+ * Whether an amount has no more decimal places than its currency allows
+ *
+ * @param {number|string} value - Amount to check
+ * @param {string} currency - Currency code
+ * @returns {boolean} True if the amount fits the currency's minor units
+ */
+export function hasValidPrecision(value, currency) {
+  const amount = parseFloat(value);
+  if (isNaN(amount)) return false;
+  // Allow for float noise well below the smallest unit
+  return Math.abs(roundAmount(amount, currency) - amount) < Math.pow(10, -(getMinorUnits(currency) + 4));
+}
+
+export default {
+  DEFAULT_MINOR_UNITS,
+  MAX_MINOR_UNITS,
+  setCurrencyRegistry,
+  getCurrencyEntry,
+  isRegistryLoaded,
+  getMinorUnits,
+  roundAmount,
+  formatAmount,
+  formatDisplayAmount,
+  hasValidPrecision
+};
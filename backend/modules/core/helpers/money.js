@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Money - exact storage and arithmetic for monetary amounts
+ *
+ * Monetary fields are stored as Decimal128 so balances do not drift the way
+ * binary floating point does. Models read them back as plain numbers through
+ * decimalToNumber, which is enough for display and comparison; anything that
+ * accumulates (balances, cost basis) adds and subtracts here in whole minor
+ * units so no rounding error can build up.
+ *
+ * @module helpers/money
+ * @requires mongoose
+ * @requires helpers/currencyUnits
+ */
+
+import mongoose from "mongoose";
+import { getMinorUnits, MAX_MINOR_UNITS } from "./currencyUnits.js";
+
+const { Decimal128 } = mongoose.Types;
+
+/**
+ * Convert a stored amount to a number
+ *
+ * @param {mongoose.Types.Decimal128|number|string|null} value - Stored amount
+ * @returns {number|null} The amount, or null/undefined as given
+ */
+export function decimalToNumber(value) {
+  if (value === null || value === undefined) return value;
+  return parseFloat(value.toString());
+}
+
+/**
+ * Prepare an amount for a Decimal128 field
+ *
+ * Numbers are written out to MAX_MINOR_UNITS decimal places first so float
+ * noise (0.1 + 0.2) never reaches the database. Strings and Decimal128 values
+ * are kept as they are and cast exactly.
+ *
+ * @param {number|string|mongoose.Types.Decimal128|null} value - Amount to store
+ * @returns {string|mongoose.Types.Decimal128|null} Value for Mongoose to cast
+ */
+export function toDecimal(value) {
+  if (typeof value !== "number") return value;
+  if (!Number.isFinite(value)) return String(value);
+  return trimZeros(value.toFixed(MAX_MINOR_UNITS));
+}
+
+/**
+ * Schema options for a monetary field
+ *
+ * @param {Object} [options={}] - Other schema options (required, default, validate...)
+ * @returns {Object} Schema type definition
+ */
+export function moneyField(options = {}) {
+  return {
+    type: mongoose.Schema.Types.Decimal128,
+    get: decimalToNumber,
+    set: toDecimal,
+    ...options
+  };
+}
+
+/**
+ * Validator that rejects negative amounts (Decimal128 fields have no min option)
+ *
+ * @param {string} message - Error message
+ * @returns {Object} Mongoose validate option
+ */
+export function nonNegative(message) {
+  return {
+    validator: (v) => v === null || v === undefined || decimalToNumber(v) >= 0,
+    message
+  };
+}
+
+/**
+ * Convert an amount to a whole number of minor units, rounding half away from zero
+ *
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {string} currency - Currency code
+ * @returns {bigint} Amount in minor units (cents for USD, satoshi for BTC)
+ */
+export function toMinorUnits(value, currency) {
+  const units = getMinorUnits(currency);
+  let text = typeof value === "number" ? value.toFixed(units) : String(value ?? 0).trim();
+
+  // Scientific notation (e.g. "1.5E-7") has no exact digit string to work from
+  if (/e/i.test(text) || text === "") {
+    text = (parseFloat(text) || 0).toFixed(units);
+  }
+
+  const negative = text.startsWith("-");
+  const [whole, fraction = ""] = text.replace(/^[-+]/, "").split(".");
+  const digits = fraction.padEnd(units + 1, "0");
+
+  let minor = BigInt((whole || "0") + digits.slice(0, units));
+  if (digits[units] >= "5") minor += 1n;
+
+  return negative ? -minor : minor;
+}
+
+/**
+ * Convert a whole number of minor units back to an exact Decimal128 amount
+ *
+ * @param {bigint} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {mongoose.Types.Decimal128} The amount
+ */
+export function fromMinorUnits(minor, currency) {
+  const units = getMinorUnits(currency);
+  const negative = minor < 0n;
+  const digits = (negative ? -minor : minor).toString().padStart(units + 1, "0");
+  const text = units > 0
+    ? `${digits.slice(0, -units)}.${digits.slice(-units)}`
+    : digits;
+
+  return Decimal128.fromString(`${negative ? "-" : ""}${text}`);
+}
+
+/**
+ * Add amounts exactly
+ *
+ * @param {string} currency - Currency code the amounts are in
+ * @param {...(number|string|mongoose.Types.Decimal128)} values - Amounts to add
+ * @returns {mongoose.Types.Decimal128} The sum, to the currency's minor units
+ */
+export function addAmounts(currency, ...values) {
+  const total = values.reduce((sum, value) => sum + toMinorUnits(value, currency), 0n);
+  return fromMinorUnits(total, currency);
+}
+
+/**
+ * Subtract one amount from another exactly
+ *
+ * @param {string} currency - Currency code the amounts are in
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount to subtract from
+ * @param {number|string|mongoose.Types.Decimal128} deduction - Amount to subtract
+ * @returns {mongoose.Types.Decimal128} The difference, to the currency's minor units
+ */
+export function subtractAmounts(currency, value, deduction) {
+  return fromMinorUnits(toMinorUnits(value, currency) - toMinorUnits(deduction, currency), currency);
+}
+
+/**
+ * Compare two amounts exactly at the currency's minor units
+ *
+ * @param {string} currency - Currency code the amounts are in
+ * @param {number|string|mongoose.Types.Decimal128} a - First amount
+ * @param {number|string|mongoose.Types.Decimal128} b - Second amount
+ * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ */
+export function compareAmounts(currency, a, b) {
+  const difference = toMinorUnits(a, currency) - toMinorUnits(b, currency);
+  return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+}
+
+/**
+ * Replace Decimal128 values with numbers throughout a plain result
+ *
+ * Lean queries and aggregations return Decimal128 objects, which serialize to
+ * { $numberDecimal: "..." } and have no number methods.
+ *
+ * @param {*} value - Aggregation result, lean document or any value inside one
+ * @returns {*} The same shape with every Decimal128 turned into a number
+ */
+export function decimalsToNumbers(value) {
+  if (value instanceof Decimal128) return decimalToNumber(value);
+  if (Array.isArray(value)) return value.map(decimalsToNumbers);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decimalsToNumbers(item)]));
+  }
+  return value;
+}
+
+/**
+ * Drop trailing zeros after the decimal point ("12.50000000" -> "12.5")
+ *
+ * @private
+ * @param {string} text - Fixed-point number
+ * @returns {string} The same number without trailing zeros
+ */
+function trimZeros(text) {
+  return text.includes(".") ? text.replace(/\.?0+$/, "") : text;
+}
+
+export default {
+  decimalToNumber,
+  toDecimal,
+  moneyField,
+  nonNegative,
+  toMinorUnits,
+  fromMinorUnits,
+  addAmounts,
+  subtractAmounts,
+  compareAmounts,
+  decimalsToNumbers
+};
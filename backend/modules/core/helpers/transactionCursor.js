@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Transaction cursor - keyset pagination for transaction lists
+ *
+ * A page ends at a row; the cursor remembers that row's sort value and _id so
+ * the next page starts right after it, however deep the list goes and however
+ * many transactions are added in the meantime. _id breaks ties between rows
+ * with the same sort value (e.g. two transactions created in the same
+ * millisecond). Cursors are opaque to clients: base64url-encoded JSON that
+ * also records the sort it was issued for, so it cannot be replayed against a
+ * different order.
+ *
+ * @module helpers/transactionCursor
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+const { ObjectId, Decimal128 } = mongoose.Types;
+
+/**
+ * Fields a transaction list can be sorted by, with the kind of value each holds
+ * @type {Object<string, string>}
+ */
+export const SORTABLE_FIELDS = {
+  createdAt: "date",
+  reference: "string",
+  customerName: "string",
+  type: "string",
+  currency: "string",
+  amount: "decimal",
+  createdBy: "objectId"
+};
+
+/**
+ * Check the requested sort and turn it into a Mongo sort with the _id tie-breaker
+ *
+ * @param {string} [sortBy="createdAt"] - Field to sort by
+ * @param {number|string} [sortOrder=-1] - 1 for ascending, -1 for descending
+ * @returns {Object} { sortBy, direction, sort }
+ * @throws {Error} If the field cannot be sorted by
+ */
+export function parseSort(sortBy = "createdAt", sortOrder = -1) {
+  if (!SORTABLE_FIELDS[sortBy]) {
+    throw new Error(`Invalid sort field: ${sortBy}`);
+  }
+  const direction = parseInt(sortOrder) === 1 ? 1 : -1;
+  return { sortBy, direction, sort: { [sortBy]: direction, _id: direction } };
+}
+
+/**
+ * Make the cursor that continues a list after the given transaction
+ *
+ * @param {Object} transaction - Last transaction of the page (document or lean)
+ * @param {string} sortBy - Field the list is sorted by
+ * @param {number} direction - 1 or -1
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(transaction, sortBy, direction) {
+  const raw = typeof transaction.get === "function"
+    ? transaction.get(sortBy, null, { getters: false })
+    : transaction[sortBy];
+  // Populated references (createdBy) sort by their id
+  const value = raw?._id ?? raw;
+
+  const payload = {
+    s: sortBy,
+    d: direction,
+    v: value === null || value === undefined ? null : serializeValue(value, SORTABLE_FIELDS[sortBy]),
+    id: transaction._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Read a cursor back into the position it marks
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortBy - Field the list is now sorted by
+ * @param {number} direction - 1 or -1
+ * @returns {Object} { value, id } of the last row already returned
+ * @throws {Error} If the cursor is malformed or was issued for another sort
+ */
+export function decodeCursor(cursor, sortBy, direction) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!payload || typeof payload !== "object" || !ObjectId.isValid(payload.id)) {
+    throw new Error("Invalid cursor");
+  }
+  if (payload.s !== sortBy || payload.d !== direction) {
+    throw new Error("Invalid cursor: it was issued for a different sort order");
+  }
+
+  return {
+    value: payload.v === null ? null : deserializeValue(payload.v, SORTABLE_FIELDS[sortBy]),
+    id: new ObjectId(payload.id)
+  };
+}
+
+/**
+ * Build the filter for rows after a cursor position
+ *
+ * Rows without the sort field (e.g. no customer name) sort before every value
+ * ascending and after every value descending, as MongoDB orders them.
+ *
+ * @param {Object} position - { value, id } from decodeCursor
+ * @param {string} sortBy - Field the list is sorted by
+ * @param {number} direction - 1 or -1
+ * @returns {Object} Mongo filter clause
+ */
+export function cursorFilter({ value, id }, sortBy, direction) {
+  const after = direction === 1 ? "$gt" : "$lt";
+
+  if (value === null) {
+    const sameValue = { [sortBy]: null, _id: { [after]: id } };
+    return direction === 1
+      ? { $or: [sameValue, { [sortBy]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const clauses = [
+    { [sortBy]: { [after]: value } },
+    { [sortBy]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    clauses.push({ [sortBy]: null });
+  }
+  return { $or: clauses };
+}
+
+/**
+ * Write a sort value into the cursor payload
+ *
+ * @private
+ * @param {*} value - Stored value
+ * @param {string} kind - Kind from SORTABLE_FIELDS
+ * @returns {string} Value as text
+ */
+function serializeValue(value, kind) {
+  return kind === "date" ? new Date(value).toISOString() : value.toString();
+}
+
+/**
+ * Read a sort value out of the cursor payload
+ *
+ * @private
+ * @param {*} value - Value as text
+ * @param {string} kind - Kind from SORTABLE_FIELDS
+ * @returns {Date|string|mongoose.Types.ObjectId|mongoose.Types.Decimal128} Value to compare against
+ * @throws {Error} If the value does not fit the field
+ */
+function deserializeValue(value, kind) {
+  if (typeof value !== "string") {
+    throw new Error("Invalid cursor");
+  }
+
+  switch (kind) {
+    case "date": {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) throw new Error("Invalid cursor");
+      return date;
+    }
+    case "decimal":
+      if (!/^-?\d+(\.\d+)?(E[-+]?\d+)?$/i.test(value)) throw new Error("Invalid cursor");
+      return Decimal128.fromString(value);
+    case "objectId":
+      if (!ObjectId.isValid(value)) throw new Error("Invalid cursor");
+      return new ObjectId(value);
+    default:
+      return value;
+  }
+}
+
+export default {
+  SORTABLE_FIELDS,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Transaction events - lets other modules react to new transactions
+ *
+ * Core emits an event once a transaction has been committed. Optional modules
+ * (such as compliance) subscribe from their initModule without core importing
+ * them. Listeners run after the response has been sent, so they never hold up
+ * or fail the sale.
+ *
+ * Modules can also register screenings, which run before a transaction is saved
+ * and can hold it for compliance review.
+ *
+ * @module helpers/transactionEvents
+ * @requires events
+ */
+
+import { EventEmitter } from "events";
+
+/**
+ * Event emitted with the transaction document after a transaction is committed
+ * @type {string}
+ */
+export const TRANSACTION_CREATED = "transaction:created";
+
+const transactionEvents = new EventEmitter();
+
+/**
+ * Announce a committed transaction on the next tick
+ *
+ * @param {Object} transaction - The committed transaction document
+ * @returns {void}
+ */
+export function emitTransactionCreated(transaction) {
+  setImmediate(() => {
+    try {
+      transactionEvents.emit(TRANSACTION_CREATED, transaction);
+    } catch (error) {
+      // A failing listener must not take the server down with it
+      console.error("Error in transaction created listener:", error);
+    }
+  });
+}
+
+const screenings = [];
+
+/**
+ * Register a screening to run on every new transaction before it is saved
+ *
+ * The screening is called with the candidate transaction fields and resolves to
+ * null when the transaction may go ahead, or to a hold description
+ * ({ source, reason, matches }) when it must wait for compliance review.
+ *
+ * @param {Function} screening - Async function(candidate) => hold or null
+ * @returns {void}
+ */
+export function registerScreening(screening) {
+  screenings.push(screening);
+}
+
+/**
+ * Run every registered screening against a new transaction
+ *
+ * A screening that fails holds the transaction rather than letting it through
+ * unchecked.
+ *
+ * @async
+ * @param {Object} candidate - Transaction fields (customerName, customerId, type, amount, currency)
+ * @returns {Promise<Object|null>} The first hold raised, or null if all screenings passed
+ */
+export async function runScreenings(candidate) {
+  for (const screening of screenings) {
+    try {
+      const hold = await screening(candidate);
+      if (hold) return hold;
+    } catch (error) {
+      console.error("Error in transaction screening:", error);
+      return {
+        source: "screening",
+        reason: "Screening could not be completed",
+        matches: [],
+      };
+    }
+  }
+  return null;
+}
+
+export default transactionEvents;
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Transaction retry - starts MongoDB transactions over after transient failures
+ *
+ * Two tellers moving the same account at the same moment make one of their
+ * transactions fail with a write conflict. MongoDB labels such failures
+ * TransientTransactionError; the whole transaction can be run again from the
+ * start and will see the other teller's change. A commit whose outcome is
+ * unknown (UnknownTransactionCommitResult) is safe to commit again.
+ *
+ * @module helpers/transactionRetry
+ * @requires utils/errorHandler
+ */
+
+import { handleTransactionError } from "../utils/errorHandler.js";
+
+/**
+ * Most attempts at a transaction before the error is returned to the client
+ * @type {number}
+ */
+export const MAX_TRANSACTION_ATTEMPTS = 5;
+
+/**
+ * MongoDB error code for a write conflict between two transactions
+ * @private
+ * @type {number}
+ */
+const WRITE_CONFLICT = 112;
+
+/**
+ * Whether an error means the whole transaction can be run again
+ *
+ * @param {Error} error - Error thrown inside a transaction
+ * @returns {boolean} True for transient transaction errors and write conflicts
+ */
+export function isTransientTransactionError(error) {
+  return Boolean(
+    error?.hasErrorLabel?.("TransientTransactionError") ||
+    error?.code === WRITE_CONFLICT ||
+    error?.codeName === "WriteConflict"
+  );
+}
+
+/**
+ * Commit a transaction, committing again while the outcome is unknown
+ *
+ * @async
+ * @param {mongoose.ClientSession} session - Session with an open transaction
+ * @returns {Promise<void>}
+ * @throws {Error} If the commit fails for any other reason
+ */
+export async function commitWithRetry(session) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      const unknownResult = error?.hasErrorLabel?.("UnknownTransactionCommitResult");
+      if (!unknownResult || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Wrap a request handler that runs a MongoDB transaction so it is run again
+ * when the transaction fails with a transient error
+ *
+ * The handler should rethrow transient errors (see isTransientTransactionError)
+ * after aborting its transaction instead of responding with them. Each attempt
+ * waits a little longer, with jitter so competing tellers don't collide again.
+ *
+ * @param {Function} handler - Express handler (req, res)
+ * @returns {Function} Express handler that retries the transaction
+ */
+export function retryOnTransientError(handler) {
+  return async (req, res) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await handler(req, res);
+      } catch (error) {
+        if (attempt >= MAX_TRANSACTION_ATTEMPTS || !isTransientTransactionError(error)) {
+          return handleTransactionError(error, res);
+        }
+        await new Promise((resolve) => setTimeout(resolve, attempt * 20 + Math.random() * 30));
+      }
+    }
+  };
+}
+
+/**
+ * Run a unit of work in its own transaction, starting over on transient errors
+ *
+ * For services that open their own transactions (e.g. bulk imports).
+ *
+ * @async
+ * @param {mongoose.Connection|mongoose} connection - Connection to start sessions on
+ * @param {Function} work - Async function given the session; its result is returned
+ * @returns {Promise<*>} Result of the work
+ * @throws {Error} The last error if every attempt fails, or any non-transient error
+ */
+export async function runInTransaction(connection, work) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await connection.startSession();
+    session.startTransaction();
+
+    try {
+      const result = await work(session);
+      await commitWithRetry(session);
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS || !isTransientTransactionError(error)) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, attempt * 20 + Math.random() * 30));
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+export default {
+  MAX_TRANSACTION_ATTEMPTS,
+  isTransientTransactionError,
+  commitWithRetry,
+  retryOnTransientError,
+  runInTransaction
+};
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Transaction search - query language for the transaction list
+ *
+ * Turns a search such as
+ *
+ *   amount>500 currency:USD type:Sell status:Refunded by:jdoe notes:"wire" created:2026-01..2026-03
+ *   category:Remittance tag:corporate
+ *
+ * into a Mongo filter. A search is a list of terms, all of which must match:
+ *
+ *   field:value          equals (text fields: contains)
+ *   field=value          equals exactly
+ *   field>value, >=, <, <=   compares (amount, ttd, created)
+ *   field:from..to       inclusive range, either end may be left open
+ *   field:a,b            any of the values (currency, type, status, by, category, tag)
+ *   by:me                created by whoever is searching
+ *   category:none        filed under no category
+ *   -field:value         must not match
+ *   "quoted value"       values with spaces
+ *   word                 free text matched against name, email and reference
+ *
+ * Dates are written YYYY, YYYY-MM or YYYY-MM-DD and stand for the whole
+ * period, so created:2026-01..2026-03 runs from 1 January to 31 March.
+ * Amounts are compared exactly, as decimals, and may have no more decimal
+ * places than their currency: TTD for ttd, and for amount the currencies the
+ * search names (any currency's when it names none).
+ *
+ * Values only ever become literal comparisons or escaped regular
+ * expressions; no operator or expression from the search reaches the query.
+ * Anything that cannot be read throws an "Invalid search: ..." error saying
+ * what was wrong.
+ *
+ * @module helpers/transactionSearch
+ * @requires mongoose
+ * @requires models/transaction
+ * @requires models/user
+ * @requires models/transactionCategory
+ * @requires helpers/currencyUnits
+ */
+
+import mongoose from "mongoose";
+import Transaction, { normalizeTags } from "../models/transaction.js";
+import User from "../models/user.js";
+import TransactionCategory from "../models/transactionCategory.js";
+import { getMinorUnits, MAX_MINOR_UNITS } from "./currencyUnits.js";
+
+const { Decimal128 } = mongoose.Types;
+
+/**
+ * Longest search accepted, in characters
+ * @type {number}
+ */
+export const MAX_SEARCH_LENGTH = 500;
+
+/**
+ * Most terms a search may have
+ * @type {number}
+ */
+export const MAX_SEARCH_TERMS = 20;
+
+/**
+ * Fields a search can use, with the kind of value each takes and a description
+ * @type {Object<string, Object>}
+ */
+export const SEARCH_FIELDS = {
+  amount: { kind: "number", path: "amount", description: "Amount in the transaction currency" },
+  ttd: { kind: "number", path: "amountTTD", currency: "TTD", description: "Amount in TTD" },
+  currency: { kind: "code", description: "Currency on either side of the transaction" },
+  type: { kind: "enum", path: "type", description: "Transaction type" },
+  status: { kind: "enum", path: "status", description: "Transaction status" },
+  by: { kind: "user", path: "createdBy", description: "Username of the teller who created it, or me" },
+  customer: { kind: "text", path: "customerName", description: "Customer name" },
+  email: { kind: "text", path: "customerEmail", description: "Customer email" },
+  ref: { kind: "text", path: "reference", description: "Transaction reference" },
+  notes: { kind: "text", path: "notes", description: "Notes" },
+  category: { kind: "category", path: "category", description: "Category name, or none" },
+  tag: { kind: "tag", path: "tags", description: "Tag" },
+  created: { kind: "date", path: "createdAt", description: "Date created (YYYY, YYYY-MM or YYYY-MM-DD)" }
+};
+
+/**
+ * Operators each kind of field accepts
+ * @private
+ * @type {Object<string, Array<string>>}
+ */
+const KIND_OPERATORS = {
+  number: [":", "=", ">", ">=", "<", "<="],
+  date: [":", "=", ">", ">=", "<", "<="],
+  code: [":", "="],
+  enum: [":", "="],
+  user: [":", "="],
+  category: [":", "="],
+  tag: [":", "="],
+  text: [":", "="]
+};
+
+/**
+ * Fields matched by free text
+ * @private
+ * @type {Array<string>}
+ */
+const FREE_TEXT_PATHS = ["customerName", "customerEmail", "reference"];
+
+/**
+ * Escape a string for use inside a regular expression
+ *
+ * @private
+ * @param {string} value - Raw search text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Get the values a field can be searched for, where there is a fixed list
+ *
+ * @param {string} field - Search field name
+ * @returns {Array<string>} Allowed values (empty for open-ended fields)
+ */
+export function getFieldValues(field) {
+  const definition = SEARCH_FIELDS[field];
+  if (definition?.kind !== "enum") return [];
+  return Transaction.schema.path(definition.path).enumValues;
+}
+
+/**
+ * Split a search into terms
+ *
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Terms: { field, operator, value, items, negated } or { text }
+ * @throws {Error} If the search is too long, has too many terms, an unknown
+ *                 field or an unclosed quote
+ */
+export function tokenizeSearch(query) {
+  const text = String(query ?? "");
+  if (text.length > MAX_SEARCH_LENGTH) {
+    throw new Error(`Invalid search: searches are limited to ${MAX_SEARCH_LENGTH} characters`);
+  }
+
+  const terms = [];
+  let position = 0;
+
+  while (position < text.length) {
+    if (/\s/.test(text[position])) {
+      position++;
+      continue;
+    }
+
+    const start = position;
+    const match = /^(-?)([A-Za-z]+)(>=|<=|:|=|>|<)/.exec(text.slice(position));
+
+    if (match) {
+      const [prefix, negation, name, operator] = match;
+      const field = name.toLowerCase();
+      if (!SEARCH_FIELDS[field]) {
+        throw new Error(
+          `Invalid search: unknown field "${name}" at position ${start + 1}. ` +
+          `Use one of ${Object.keys(SEARCH_FIELDS).join(", ")}`
+        );
+      }
+
+      position += prefix.length;
+      const { value, items, end } = readValue(text, position, `${name}${operator}`);
+      position = end;
+      terms.push({ field, operator, value, items, negated: negation === "-" });
+    } else {
+      const { value, end } = readValue(text, position, "search text");
+      position = end;
+      if (value) terms.push({ text: value });
+    }
+
+    if (terms.length > MAX_SEARCH_TERMS) {
+      throw new Error(`Invalid search: use at most ${MAX_SEARCH_TERMS} terms`);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Turn a search into a Mongo filter
+ *
+ * @async
+ * @param {string} query - Search text
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.userId] - User searching, for by:me
+ * @returns {Promise<Object>} Filter to combine with the other list filters ({} for an empty search)
+ * @throws {Error} "Invalid search: ..." describing the first problem found
+ */
+export async function buildSearchFilter(query, { userId } = {}) {
+  const terms = tokenizeSearch(query);
+  const clauses = [];
+
+  // Currencies the search is limited to, for the precision of amount terms
+  const currencies = terms
+    .filter((term) => term.field === "currency" && !term.negated)
+    .flatMap((term) => term.items.map((code) => code.toUpperCase()));
+
+  for (const term of terms) {
+    if (term.text !== undefined) {
+      const pattern = { $regex: escapeRegex(term.text), $options: "i" };
+      clauses.push({ $or: FREE_TEXT_PATHS.map((path) => ({ [path]: pattern })) });
+      continue;
+    }
+
+    const definition = SEARCH_FIELDS[term.field];
+    if (!KIND_OPERATORS[definition.kind].includes(term.operator)) {
+      throw new Error(`Invalid search: ${term.field} cannot be compared with ${term.operator}`);
+    }
+    if (term.value === "") {
+      throw new Error(`Invalid search: ${term.field}${term.operator} needs a value`);
+    }
+
+    const clause = await buildClause(term, definition, { userId, currencies });
+    clauses.push(term.negated ? { $nor: [clause] } : clause);
+  }
+
+  return clauses.length ? { $and: clauses } : {};
+}
+
+/**
+ * Read one value up to the next space outside quotes
+ *
+ * Quoted parts may hold spaces and commas (type:"Cash In",Buy); a backslash
+ * inside quotes keeps the next character as it is.
+ *
+ * @private
+ * @param {string} text - Whole search
+ * @param {number} position - Where the value starts
+ * @param {string} label - What the value belongs to, for errors
+ * @returns {Object} { value, items, end } - the value without quotes, the same
+ *                   split at commas outside quotes, and where reading stopped
+ * @throws {Error} If a quote is never closed
+ */
+function readValue(text, position, label) {
+  const items = [""];
+  let value = "";
+  let index = position;
+
+  while (index < text.length && !/\s/.test(text[index])) {
+    if (text[index] === "\"") {
+      const close = findClosingQuote(text, index + 1);
+      if (close === -1) {
+        throw new Error(`Invalid search: missing closing quote after ${label}`);
+      }
+      const quoted = text.slice(index + 1, close).replace(/\\(.)/g, "$1");
+      value += quoted;
+      items[items.length - 1] += quoted;
+      index = close + 1;
+    } else {
+      value += text[index];
+      if (text[index] === ",") items.push("");
+      else items[items.length - 1] += text[index];
+      index++;
+    }
+  }
+
+  return { value, items, end: index };
+}
+
+/**
+ * Find the quote that closes a quoted part, skipping escaped quotes
+ *
+ * @private
+ * @param {string} text - Whole search
+ * @param {number} from - First character inside the quotes
+ * @returns {number} Index of the closing quote, or -1 if there is none
+ */
+function findClosingQuote(text, from) {
+  for (let index = from; index < text.length; index++) {
+    if (text[index] === "\\") index++;
+    else if (text[index] === "\"") return index;
+  }
+  return -1;
+}
+
+/**
+ * Build the filter clause for one field term
+ *
+ * @private
+ * @async
+ * @param {Object} term - { field, operator, value, items }
+ * @param {Object} definition - Entry from SEARCH_FIELDS
+ * @param {Object} context - The rest of the search
+ * @param {string} [context.userId] - User searching, for by:me
+ * @param {Array<string>} context.currencies - Currencies the search is limited to
+ * @returns {Promise<Object>} Mongo filter clause
+ */
+async function buildClause({ field, operator, value, items }, definition, { userId, currencies }) {
+  switch (definition.kind) {
+    case "number": {
+      const decimals = definition.currency
+        ? getMinorUnits(definition.currency)
+        : currencies.length
+          ? Math.max(...currencies.map(getMinorUnits))
+          : MAX_MINOR_UNITS;
+      return rangeClause(field, definition.path, operator, value, (text) => parseNumber(field, text, decimals));
+    }
+    case "date":
+      return rangeClause(field, definition.path, operator, value, (text) => parseDatePeriod(field, text));
+    case "code": {
+      const codes = checkList(field, value, items).map((code) => code.toUpperCase());
+      const invalid = codes.find((code) => !/^[A-Z0-9]{2,10}$/.test(code));
+      if (invalid) {
+        throw new Error(`Invalid search: "${invalid}" is not a currency code`);
+      }
+      // Exchange transactions match on either currency leg
+      return { $or: [{ currency: { $in: codes } }, { toCurrency: { $in: codes } }] };
+    }
+    case "enum": {
+      const allowed = getFieldValues(field);
+      const values = checkList(field, value, items).map((item) => {
+        const found = allowed.find((option) => normalizeWord(option) === normalizeWord(item));
+        if (!found) {
+          throw new Error(`Invalid search: ${field} must be one of ${allowed.join(", ")} (got "${item}")`);
+        }
+        return found;
+      });
+      return { [definition.path]: { $in: values } };
+    }
+    case "user": {
+      const listed = checkList(field, value, items);
+      const includesMe = listed.some((name) => name.toLowerCase() === "me");
+      if (includesMe && !userId) {
+        throw new Error(`Invalid search: ${field}:me needs a signed-in user`);
+      }
+
+      // Usernames have at least three characters, so "me" is never one
+      const userNames = listed.filter((name) => name.toLowerCase() !== "me");
+      const users = await User.find({
+        userName: { $in: userNames.map((name) => new RegExp(`^${escapeRegex(name)}$`, "i")) }
+      }).select("_id userName");
+      const missing = userNames.find(
+        (name) => !users.some((user) => user.userName.toLowerCase() === name.toLowerCase())
+      );
+      if (missing) {
+        throw new Error(`Invalid search: no user named "${missing}"`);
+      }
+      const userIds = users.map((user) => user._id);
+      if (includesMe) userIds.push(userId);
+      return { [definition.path]: { $in: userIds } };
+    }
+    case "category": {
+      const listed = checkList(field, value, items);
+      const includesNone = listed.some((name) => name.toLowerCase() === "none");
+
+      // Categories can never be called "none"
+      const names = listed.filter((name) => name.toLowerCase() !== "none");
+      const categories = await TransactionCategory.find({
+        name: { $in: names.map((name) => new RegExp(`^${escapeRegex(name)}$`, "i")) }
+      }).select("_id name");
+      const missing = names.find(
+        (name) => !categories.some((category) => category.name.toLowerCase() === name.toLowerCase())
+      );
+      if (missing) {
+        throw new Error(`Invalid search: no category named "${missing}"`);
+      }
+      const categoryIds = categories.map((category) => category._id);
+      if (includesNone) categoryIds.push(null);
+      return { [definition.path]: { $in: categoryIds } };
+    }
+    case "tag":
+      // Tags are stored tidied, so they are looked up the same way
+      return { [definition.path]: { $in: normalizeTags(checkList(field, value, items)) } };
+    default: {
+      const pattern = operator === "="
+        ? `^${escapeRegex(value)}$`
+        : escapeRegex(value);
+      return { [definition.path]: { $regex: pattern, $options: "i" } };
+    }
+  }
+}
+
+/**
+ * Value of a bound that the > operator orders correctly
+ *
+ * @private
+ * @param {Date|mongoose.Types.Decimal128} bound - Parsed bound
+ * @returns {Date|number} The date, or the decimal as a number
+ */
+const sortValue = (bound) => (bound instanceof Decimal128 ? parseFloat(bound.toString()) : bound);
+
+/**
+ * Build a comparison or range clause for a number or date field
+ *
+ * Each bound is parsed into { start, end }: the same decimal twice, or the
+ * first and last moment of a date period.
+ *
+ * @private
+ * @param {string} field - Search field, for errors
+ * @param {string} path - Document field
+ * @param {string} operator - Term operator
+ * @param {string} value - Term value
+ * @param {Function} parse - Turns a bound into { start, end }
+ * @returns {Object} Mongo filter clause
+ * @throws {Error} If a range is empty on both ends or runs backwards
+ */
+function rangeClause(field, path, operator, value, parse) {
+  if (value.includes("..")) {
+    if (operator !== ":") {
+      throw new Error(`Invalid search: ranges are written ${field}:from..to`);
+    }
+    const [fromText, toText, ...rest] = value.split("..");
+    if (rest.length || (!fromText && !toText)) {
+      throw new Error(`Invalid search: "${value}" is not a range; write from..to`);
+    }
+
+    const condition = {};
+    const from = fromText ? parse(fromText) : null;
+    const to = toText ? parse(toText) : null;
+    if (from) condition.$gte = from.start;
+    if (to) condition.$lte = to.end;
+    if (from && to && sortValue(from.start) > sortValue(to.end)) {
+      throw new Error(`Invalid search: the range "${value}" ends before it starts`);
+    }
+    return { [path]: condition };
+  }
+
+  const { start, end } = parse(value);
+  switch (operator) {
+    case ">":
+      return { [path]: { $gt: end } };
+    case ">=":
+      return { [path]: { $gte: start } };
+    case "<":
+      return { [path]: { $lt: start } };
+    case "<=":
+      return { [path]: { $lte: end } };
+    default:
+      return start === end ? { [path]: start } : { [path]: { $gte: start, $lte: end } };
+  }
+}
+
+/**
+ * Read a number bound as an exact decimal, the way amounts are stored
+ *
+ * @private
+ * @param {string} field - Search field, for errors
+ * @param {string} text - Bound as written
+ * @param {number} decimals - Most decimal places the amount may have
+ * @returns {Object} { start, end }, both the Decimal128
+ * @throws {Error} If the text is not a plain decimal number or has too many decimal places
+ */
+function parseNumber(field, text, decimals) {
+  const number = text.replace(/,/g, "");
+  if (!/^-?\d+(\.\d+)?$/.test(number)) {
+    throw new Error(`Invalid search: ${field} needs a number (got "${text}")`);
+  }
+
+  // Trailing zeros add no precision
+  const fraction = (number.split(".")[1] || "").replace(/0+$/, "");
+  if (fraction.length > decimals) {
+    throw new Error(
+      `Invalid search: ${field} can have at most ${decimals} decimal place${decimals === 1 ? "" : "s"} (got "${text}")`
+    );
+  }
+
+  const decimal = Decimal128.fromString(number);
+  return { start: decimal, end: decimal };
+}
+
+/**
+ * Read a date bound as the period it names
+ *
+ * @private
+ * @param {string} field - Search field, for errors
+ * @param {string} text - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {Object} { start, end } first and last moment of the period, server time
+ * @throws {Error} If the text is not one of the date forms or not a real date
+ */
+function parseDatePeriod(field, text) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid search: ${field} needs a date as YYYY, YYYY-MM or YYYY-MM-DD (got "${text}")`);
+  }
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+
+  const start = new Date(year, month ?? 0, day ?? 1);
+  if (start.getFullYear() !== year || start.getMonth() !== (month ?? 0) || start.getDate() !== (day ?? 1)) {
+    throw new Error(`Invalid search: "${text}" is not a real date`);
+  }
+
+  const next = day !== null
+    ? new Date(year, month, day + 1)
+    : month !== null
+      ? new Date(year, month + 1, 1)
+      : new Date(year + 1, 0, 1);
+
+  return { start, end: new Date(next.getTime() - 1) };
+}
+
+/**
+ * Check the comma-separated values of a term
+ *
+ * @private
+ * @param {string} field - Search field, for errors
+ * @param {string} value - Term value, for errors
+ * @param {Array<string>} items - Values split at commas outside quotes
+ * @returns {Array<string>} Values without surrounding spaces
+ * @throws {Error} If the list has an empty entry
+ */
+function checkList(field, value, items) {
+  const values = items.map((item) => item.trim());
+  if (values.some((item) => !item)) {
+    throw new Error(`Invalid search: ${field} has an empty value in "${value}"`);
+  }
+  return values;
+}
+
+/**
+ * Compare enum values loosely ("cash-in", "CashIn" and "Cash In" are the same)
+ *
+ * @private
+ * @param {string} value - Value to normalize
+ * @returns {string} Lowercase letters only
+ */
+function normalizeWord(value) {
+  return value.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+export default {
+  MAX_SEARCH_LENGTH,
+  MAX_SEARCH_TERMS,
+  SEARCH_FIELDS,
+  getFieldValues,
+  tokenizeSearch,
+  buildSearchFilter
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Helper to validate the fields of a new transaction
+ *
+ * The rules a transaction must pass before it is recorded, shared by the
+ * till (createTransaction) and the bulk import of historical transactions so
+ * both refuse the same rows for the same reasons.
+ *
+ * @module helpers/transactionValidation
+ * @requires helpers/currencyUnits
+ */
+
+import {
+  getCurrencyEntry,
+  getMinorUnits,
+  hasValidPrecision,
+  isRegistryLoaded
+} from "./currencyUnits.js";
+
+/**
+ * Transaction types that can be recorded
+ * @type {Array<string>}
+ */
+export const TRANSACTION_TYPES = ["Cash In", "Cash Out", "Buy", "Sell", "Exchange"];
+
+/**
+ * Check that a currency is registered and active and that an amount fits its minor units
+ *
+ * Nothing is checked against the registry before it has loaded.
+ *
+ * @private
+ * @param {string} currency - Currency code
+ * @param {number|string} amount - Amount in that currency
+ * @param {string} label - Name of the amount in the error message
+ * @returns {void}
+ * @throws {Error} If the currency cannot be used or the amount has too many decimal places
+ */
+function validateCurrencyAmount(currency, amount, label) {
+  if (isRegistryLoaded()) {
+    const entry = getCurrencyEntry(currency);
+    if (!entry) {
+      throw new Error(`Invalid currency: ${currency.toUpperCase()} is not a registered currency`);
+    }
+    if (!entry.isActive) {
+      throw new Error(`Invalid currency: ${currency.toUpperCase()} is not active`);
+    }
+  }
+
+  if (!hasValidPrecision(amount, currency)) {
+    const units = getMinorUnits(currency);
+    throw new Error(
+      `Invalid ${label}: ${currency.toUpperCase()} amounts allow ${units} decimal place${units === 1 ? "" : "s"}`
+    );
+  }
+}
+
+/**
+ * Validate the fields of a new transaction
+ *
+ * @param {Object} fields - Transaction fields as submitted
+ * @param {string} fields.customerName - Customer name
+ * @param {string} fields.type - Transaction type
+ * @param {number|string} fields.amount - Amount in the transaction currency
+ * @param {string} fields.currency - Currency code
+ * @param {number|string} [fields.exchangeRate] - Exchange rate applied
+ * @param {number|string} [fields.amountTTD] - Equivalent amount in TTD
+ * @param {string} [fields.toCurrency] - Currency paid out (Exchange only)
+ * @param {number|string} [fields.toAmount] - Amount paid out (Exchange only)
+ * @returns {void}
+ * @throws {Error} Describing the first rule the fields break; amounts must be in an
+ *   active registered currency and fit its minor units
+ */
+export function validateTransactionFields({
+  customerName,
+  type,
+  amount,
+  currency,
+  exchangeRate,
+  amountTTD,
+  toCurrency,
+  toAmount,
+}) {
+  // Validate required fields
+  if (!customerName || !type || !amount || !currency) {
+    throw new Error("Missing required transaction fields");
+  }
+
+  // Validate transaction type
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw new Error("Invalid transaction type");
+  }
+
+  // Validate numeric fields
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error("Invalid amount: must be a positive number");
+  }
+
+  validateCurrencyAmount(currency, amount, "amount");
+
+  if (amountTTD && (isNaN(amountTTD) || amountTTD <= 0)) {
+    throw new Error("Invalid TTD amount: must be a positive number");
+  }
+
+  if (exchangeRate && (isNaN(exchangeRate) || exchangeRate <= 0)) {
+    throw new Error("Invalid exchange rate: must be a positive number");
+  }
+
+  // Exchange needs a second, different foreign currency to pay out
+  if (type === "Exchange") {
+    if (!toCurrency || !toAmount) {
+      throw new Error("Missing required transaction fields");
+    }
+    if (isNaN(toAmount) || toAmount <= 0) {
+      throw new Error("Invalid payout amount: must be a positive number");
+    }
+    validateCurrencyAmount(toCurrency, toAmount, "payout amount");
+    if (toCurrency.toUpperCase() === currency.toUpperCase()) {
+      throw new Error("Invalid exchange: the payout currency must differ from the received currency");
+    }
+    if ([currency, toCurrency].some((code) => code.toUpperCase() === "TTD")) {
+      throw new Error("Invalid exchange: use Buy or Sell for TTD");
+    }
+  }
+}
+
+export default validateTransactionFields;
@@ -16,11 +16,29 @@ import userRoutes from "./routes/userRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import emailRoutes from "./routes/emailRoutes.js";
 import settingsRoutes from "./routes/settingsRoutes.js";
+import exchangeRateRoutes from "./routes/exchangeRateRoutes.js";
+import tillSessionRoutes from "./routes/tillSessionRoutes.js";
+import dayCloseRoutes from "./routes/dayCloseRoutes.js";
+import customerRoutes from "./routes/customerRoutes.js";
+import transactionImportRoutes from "./routes/transactionImportRoutes.js";
+import feeRuleRoutes from "./routes/feeRuleRoutes.js";
+import currencyRoutes from "./routes/currencyRoutes.js";
+import transactionViewRoutes from "./routes/transactionViewRoutes.js";
+import transactionCategoryRoutes from "./routes/transactionCategoryRoutes.js";
+import referenceFormatRoutes from "./routes/referenceFormatRoutes.js";
 
 // Import models and services
 import Account from "./models/account.js";
+import Transaction from "./models/transaction.js";
+import LedgerEntry from "./models/ledgerEntry.js";
+import TillSession from "./models/tillSession.js";
+import DayClose from "./models/dayClose.js";
+import Currency from "./models/currency.js";
 import Settings from "./models/settings.js";
 import SettingsService from "./services/settingsService.js";
+import ExchangeRateService from "./services/exchangeRateService.js";
+import CurrencyService from "./services/currencyService.js";
+import { roundAmount, getMinorUnits, DEFAULT_MINOR_UNITS } from "./helpers/currencyUnits.js";
 
 /**
  * Initialize default accounts if they don't exist
@@ -59,6 +77,181 @@ async function initializeAccounts() {
   }
 }
 
+/**
+ * Monetary fields to convert from floating point to Decimal128, with the
+ * currency each one is rounded to: a literal code or a field path. Array
+ * fields give the currency per element ("$$this.<field>").
+ *
+ * @private
+ * @constant {Array<Object>}
+ */
+const MONEY_FIELDS = [
+  {
+    model: Account,
+    fields: { balance: "$currency", costBasisTTD: "TTD" }
+  },
+  {
+    model: LedgerEntry,
+    fields: { amount: "$currency", balanceAfter: "$currency" }
+  },
+  {
+    model: Transaction,
+    fields: {
+      amount: "$currency",
+      refundedAmount: "$currency",
+      toAmount: "$toCurrency",
+      refundedToAmount: "$toCurrency",
+      amountTTD: "TTD",
+      refundedAmountTTD: "TTD",
+      costBasisTTD: "TTD",
+      realizedGainTTD: "TTD",
+      feeTotalTTD: "TTD"
+    },
+    arrays: { fees: { amountTTD: "TTD" } }
+  },
+  {
+    model: TillSession,
+    arrays: {
+      currencies: {
+        openingFloat: "$$this.currency",
+        expected: "$$this.currency",
+        counted: "$$this.currency",
+        variance: "$$this.currency"
+      }
+    }
+  },
+  {
+    model: DayClose,
+    arrays: {
+      balances: {
+        openingBalance: "$$this.currency",
+        credits: "$$this.currency",
+        debits: "$$this.currency",
+        closingBalance: "$$this.currency"
+      },
+      totals: {
+        totalAmount: "$$this.currency",
+        totalToAmount: "$$this.toCurrency",
+        totalTTD: "TTD"
+      }
+    }
+  }
+];
+
+/**
+ * BSON types money was stored as before it moved to Decimal128
+ * @private
+ * @constant {Array<string>}
+ */
+const FLOAT_TYPES = ["double", "int", "long"];
+
+/**
+ * Convert monetary fields stored as floating point to Decimal128, rounded to
+ * the minor units of their currency
+ *
+ * Runs on every start but only touches documents that still hold floats, so it
+ * does nothing once the data has been converted. Updates go straight to the
+ * collections: the ledger is append-only through the model, and this rewrites
+ * the same amounts in an exact type rather than changing them.
+ *
+ * @async
+ * @private
+ * @returns {Promise<void>}
+ */
+async function migrateMoneyToDecimal() {
+  try {
+    const currencies = await Currency.find({}, "code minorUnits").lean();
+
+    // Minor units for a currency code or an expression that yields one
+    const minorUnits = (currency) => {
+      if (!currency.startsWith("$")) return getMinorUnits(currency);
+      return {
+        $switch: {
+          branches: currencies.map(({ code, minorUnits: units }) => ({
+            case: { $eq: [currency, code] },
+            then: units
+          })),
+          default: DEFAULT_MINOR_UNITS
+        }
+      };
+    };
+
+    const toDecimal = (value, currency) => ({
+      $cond: [
+        { $in: [{ $type: value }, FLOAT_TYPES] },
+        { $round: [{ $toDecimal: value }, minorUnits(currency)] },
+        value
+      ]
+    });
+
+    for (const { model, fields = {}, arrays = {} } of MONEY_FIELDS) {
+      const set = {};
+      const stored = [];
+
+      for (const [field, currency] of Object.entries(fields)) {
+        set[field] = toDecimal(`$${field}`, currency);
+        stored.push(field);
+      }
+
+      for (const [arrayField, elementFields] of Object.entries(arrays)) {
+        const converted = Object.fromEntries(
+          Object.entries(elementFields).map(([field, currency]) => [field, toDecimal(`$$this.${field}`, currency)])
+        );
+        set[arrayField] = {
+          $map: { input: `$${arrayField}`, in: { $mergeObjects: ["$$this", converted] } }
+        };
+        stored.push(...Object.keys(elementFields).map((field) => `${arrayField}.${field}`));
+      }
+
+      const { modifiedCount } = await model.collection.updateMany(
+        { $or: stored.map((path) => ({ [path]: { $type: FLOAT_TYPES } })) },
+        [{ $set: set }]
+      );
+
+      if (modifiedCount > 0) {
+        console.log(`✅ Converted money fields to Decimal128 on ${modifiedCount} ${model.modelName} documents`);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error converting money fields to Decimal128:", error);
+    throw error; // Amounts must not be left in mixed types
+  }
+}
+
+/**
+ * Give foreign-currency balances held before cost tracking existed an opening
+ * cost basis at the current managed buy rate, so their first sale doesn't report
+ * the full proceeds as profit
+ * 
+ * @async
+ * @private
+ * @returns {Promise<void>}
+ */
+async function initializeCostBasis() {
+  try {
+    const accounts = await Account.find({
+      currency: { $ne: "TTD" },
+      balance: { $gt: 0 },
+      $or: [{ costBasisTTD: { $exists: false } }, { costBasisTTD: 0 }]
+    });
+
+    for (const account of accounts) {
+      const rate = await ExchangeRateService.getCurrentRate(account.currency);
+      if (!rate) {
+        console.log(`⚠️ No exchange rate set for ${account.currency}; its opening cost basis stays at 0`);
+        continue;
+      }
+
+      account.costBasisTTD = roundAmount(account.balance * rate.buyRate, "TTD");
+      await account.save();
+      console.log(`✅ Set opening cost basis for ${account.currency} at ${rate.buyRate}`);
+    }
+  } catch (error) {
+    // Non-fatal: the accounts still work, their cost basis is just not seeded
+    console.error("⚠️ Error initializing cost basis:", error);
+  }
+}
+
 /**
  * Check if system settings need initialization
  * Instead of initializing on every start, only check for specific system settings
@@ -107,6 +300,15 @@ export async function initModule(app) {
     // 1) Initialize accounts
     await initializeAccounts();
     
+    // Register currencies and load their minor units before any amount is rounded
+    await CurrencyService.initializeCurrencies();
+
+    // Move money stored as floats to exact decimals
+    await migrateMoneyToDecimal();
+    
+    // Seed cost basis for balances that predate cost tracking
+    await initializeCostBasis();
+    
     // 2) Initialize settings if needed, using the existing service method
     const needsInit = await needsSettingsInitialization();
     if (needsInit) {
@@ -130,6 +332,16 @@ export async function initModule(app) {
     app.use("/api/users", userRoutes);
     app.use("/api/email", emailRoutes);
     app.use("/api/settings", settingsRoutes);
+    app.use("/api/exchange-rates", exchangeRateRoutes);
+    app.use("/api/till-sessions", tillSessionRoutes);
+    app.use("/api/day-closes", dayCloseRoutes);
+    app.use("/api/customers", customerRoutes);
+    app.use("/api/transaction-imports", transactionImportRoutes);
+    app.use("/api/fee-rules", feeRuleRoutes);
+    app.use("/api/currencies", currencyRoutes);
+    app.use("/api/transaction-views", transactionViewRoutes);
+    app.use("/api/transaction-categories", transactionCategoryRoutes);
+    app.use("/api/reference-format", referenceFormatRoutes);
 
     console.log("✅ Core module initialized successfully");
   } catch (error) {
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Attachment Upload Middleware - Reads an uploaded attachment file
+ *
+ * Attachments are uploaded as the raw request body. The size limit comes from
+ * config_attachmentMaxSizeMB, so it is read for each upload rather than fixed
+ * when the routes are set up, and an oversized file is refused before it has
+ * been read in full.
+ *
+ * @module middleware/attachmentUploadMiddleware
+ * @requires express
+ * @requires services/attachmentService
+ * @requires utils/errorHandler
+ */
+
+import express from "express";
+import AttachmentService from "../services/attachmentService.js";
+import { sendErrorResponse } from "../utils/errorHandler.js";
+
+/**
+ * Read the uploaded file into req.body as a Buffer
+ *
+ * @function attachmentBody
+ * @async
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {function} Calls the next handler, or responds with 413 if the file is too large
+ */
+export const attachmentBody = async (req, res, next) => {
+  try {
+    const { maxBytes } = await AttachmentService.getLimits();
+    const readFile = express.raw({ type: () => true, limit: maxBytes });
+
+    readFile(req, res, (error) => {
+      if (error?.type === "entity.too.large") {
+        return sendErrorResponse(
+          res,
+          413,
+          `File is too large; attachments can be at most ${(maxBytes / (1024 * 1024)).toFixed(1)} MB`
+        );
+      }
+      return next(error);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default attachmentBody;
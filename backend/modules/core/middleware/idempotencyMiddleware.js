@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Idempotency Middleware - Makes retried requests safe
+ *
+ * A client that loses the connection after sending a request cannot tell
+ * whether it was carried out. By sending the same Idempotency-Key header when
+ * it retries, it gets the original response back instead of the request being
+ * carried out a second time. Keys are honoured for the window set in
+ * config_idempotencyWindowHours.
+ *
+ * @module middleware/idempotencyMiddleware
+ * @requires crypto
+ * @requires models/idempotencyKey
+ * @requires services/settingsService
+ * @requires utils/errorHandler
+ */
+
+import crypto from "crypto";
+import IdempotencyKey from "../models/idempotencyKey.js";
+import SettingsService from "../services/settingsService.js";
+import { sendErrorResponse } from "../utils/errorHandler.js";
+
+/**
+ * Hours a key is honoured for when config_idempotencyWindowHours is not set
+ * @private
+ * @type {number}
+ */
+const DEFAULT_WINDOW_HOURS = 24;
+
+/**
+ * Accepted key format: up to 255 letters, digits and simple separators (UUIDs fit)
+ * @private
+ * @type {RegExp}
+ */
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+
+/**
+ * Get how long keys are honoured for
+ *
+ * @private
+ * @async
+ * @returns {Promise<number>} Window in milliseconds
+ */
+async function getWindowMs() {
+  const hours = parseFloat(
+    await SettingsService.getSettingOrDefault("config_idempotencyWindowHours", DEFAULT_WINDOW_HOURS)
+  );
+  return (hours > 0 ? hours : DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key
+ *
+ * @function idempotent
+ * @async
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {function} Calls the route handler for a new key, otherwise responds directly
+ * @description Requests without the header are passed straight through. The first
+ *              request with a key reserves it and runs normally; a successful (2xx)
+ *              response is stored before it is sent. A repeat of that key by the same
+ *              user gets the stored response with an Idempotent-Replayed header. A
+ *              repeat while the first is still running gets 409, and a key reused for
+ *              a different request body gets 422. Failed requests release the key so
+ *              they can be retried.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid Idempotency-Key: use up to 255 letters, digits, '-', '_', '.' or ':'"
+    );
+  }
+
+  try {
+    const now = new Date();
+    const filter = { user: req.user._id, key };
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(req.body ?? {}))
+      .digest("hex");
+
+    // Expired keys may not have been reaped by the TTL index yet
+    await IdempotencyKey.deleteOne({ ...filter, expiresAt: { $lte: now } });
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        ...filter,
+        endpoint,
+        requestHash,
+        expiresAt: new Date(now.getTime() + (await getWindowMs())),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne(filter);
+      if (existing && (existing.endpoint !== endpoint || existing.requestHash !== requestHash)) {
+        return sendErrorResponse(
+          res,
+          422,
+          "This Idempotency-Key was already used for a different request"
+        );
+      }
+      // Missing here means the first request has just failed and released the key
+      if (existing?.status !== "completed") {
+        return sendErrorResponse(
+          res,
+          409,
+          "A request with this Idempotency-Key is still being processed"
+        );
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store a successful response before sending it; release the key otherwise
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const update = succeeded
+        ? IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body)),
+            }
+          )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      update
+        .catch((error) => console.error("Error saving idempotency key:", error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // A response sent some other way than JSON was never stored; the key is
+    // deliberately kept if the client disconnects, since the handler carries on
+    res.on("finish", () => {
+      if (!settled) {
+        IdempotencyKey.deleteOne({ _id: record._id }).catch((error) =>
+          console.error("Error releasing idempotency key:", error)
+        );
+      }
+    });
+
+    return next();
+  } catch (error) {
+    console.error("Idempotency error:", error);
+    return sendErrorResponse(res, 500, "Server error");
+  }
+};
+
+export default {
+  idempotent
+};
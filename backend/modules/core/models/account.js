@@ -6,9 +6,13 @@
  * 
  * @module models/account
  * @requires mongoose
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
  */
 
 import mongoose from "mongoose";
+import { roundAmount } from "../helpers/currencyUnits.js";
+import { moneyField, nonNegative } from "../helpers/money.js";
 
 /**
  * Account schema definition
@@ -32,30 +36,44 @@ const accountSchema = new mongoose.Schema(
     },
     
     /**
-     * The current balance for this currency
-     * @type {Number}
+     * The current balance for this currency, stored as an exact decimal
+     * @type {mongoose.Schema.Types.Decimal128}
      * @required
      * @default 0
      */
-    balance: {
-      type: Number,
+    balance: moneyField({
       required: [true, "Balance is required"],
       default: 0,
-      min: [0, "Balance cannot be negative"] // Prevents negative balance
-    }
+      validate: nonNegative("Balance cannot be negative") // Prevents negative balance
+    }),
+
+    /**
+     * Total TTD cost of the units currently held (weighted-average inventory)
+     * Always 0 for the TTD account, which is the base currency.
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default 0
+     */
+    costBasisTTD: moneyField({
+      default: 0,
+      validate: nonNegative("Cost basis cannot be negative")
+    })
   },
   { 
     timestamps: true,
+    toObject: { getters: true },
     toJSON: { 
       virtuals: true,
+      getters: true,
       /**
        * Transform the document during conversion to JSON
-       * Formats balance to 2 decimal places
+       * Rounds the balance to the currency's minor units and the cost basis to TTD's
        */
       transform: function(doc, ret) {
-        // Format balance to 2 decimal places on JSON conversion
         if (ret.balance) {
-          ret.balance = parseFloat(ret.balance.toFixed(2));
+          ret.balance = roundAmount(ret.balance, ret.currency);
+        }
+        if (ret.costBasisTTD) {
+          ret.costBasisTTD = roundAmount(ret.costBasisTTD, "TTD");
         }
         return ret;
       }
@@ -63,6 +81,14 @@ const accountSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Virtual property for the weighted-average TTD cost of one unit held
+ */
+accountSchema.virtual('averageCost').get(function() {
+  if (!this.balance || this.currency === "TTD") return null;
+  return parseFloat((this.costBasisTTD / this.balance).toFixed(6));
+});
+
 /**
  * Account model
  * @type {mongoose.Model}
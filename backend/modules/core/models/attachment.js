@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Attachment Model - Defines the schema for files attached to transactions
+ *
+ * This model records the photos of customer IDs, bank slips and other supporting
+ * documents attached to a transaction. The file itself is kept by a storage
+ * driver (see helpers/attachmentStorage); the record remembers which driver and
+ * key it was saved under, along with its checked type, size and checksum.
+ *
+ * @module models/attachment
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * File types that can be attached, keyed by content type
+ * @type {Object<string, {label: string, extension: string}>}
+ */
+export const ATTACHMENT_TYPES = {
+  "image/jpeg": { label: "JPEG image", extension: ".jpg" },
+  "image/png": { label: "PNG image", extension: ".png" },
+  "image/webp": { label: "WebP image", extension: ".webp" },
+  "application/pdf": { label: "PDF document", extension: ".pdf" }
+};
+
+/**
+ * Attachment schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    /**
+     * Transaction the file is attached to
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "Transaction"
+     * @required
+     */
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: [true, "Transaction is required"],
+      index: true
+    },
+
+    /**
+     * Name of the file as uploaded
+     * @type {String}
+     * @required
+     */
+    fileName: {
+      type: String,
+      required: [true, "File name is required"],
+      trim: true,
+      maxlength: [255, "File name cannot be longer than 255 characters"]
+    },
+
+    /**
+     * Content type detected from the file's contents
+     * @type {String}
+     * @required
+     */
+    contentType: {
+      type: String,
+      required: true,
+      enum: Object.keys(ATTACHMENT_TYPES)
+    },
+
+    /**
+     * Size of the file in bytes
+     * @type {Number}
+     * @required
+     */
+    size: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+
+    /**
+     * SHA-256 checksum of the file
+     * @type {String}
+     * @required
+     */
+    sha256: {
+      type: String,
+      required: true
+    },
+
+    /**
+     * Storage driver the file was saved with, e.g. "local"
+     * @type {String}
+     * @required
+     */
+    storageDriver: {
+      type: String,
+      required: true
+    },
+
+    /**
+     * Key the storage driver saved the file under
+     * @type {String}
+     * @required
+     */
+    storageKey: {
+      type: String,
+      required: true
+    },
+
+    /**
+     * What the file is, e.g. "Customer passport" or "Bank slip"
+     * @type {String}
+     */
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot be longer than 200 characters"]
+    },
+
+    /**
+     * User who uploaded the file
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Where the file is stored is the server's business, not the client's
+      transform: (doc, ret) => {
+        delete ret.storageDriver;
+        delete ret.storageKey;
+        return ret;
+      }
+    }
+  }
+);
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Currency Model - Defines the schema for the currency registry
+ *
+ * Each document describes one currency the business deals in: its code, name,
+ * symbol and how many minor units (decimal places) its amounts are kept to.
+ * Amounts are rounded, validated and formatted by the minor units recorded
+ * here. Inactive currencies stay on record for existing transactions but
+ * cannot be used for new ones.
+ *
+ * @module models/currency
+ * @requires mongoose
+ * @requires helpers/currencyUnits
+ */
+
+import mongoose from "mongoose";
+import { MAX_MINOR_UNITS } from "../helpers/currencyUnits.js";
+
+/**
+ * Currency schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const currencySchema = new mongoose.Schema(
+  {
+    /**
+     * Currency code (e.g., TTD, USD, BTC)
+     * @type {String}
+     * @required
+     * @unique
+     */
+    code: {
+      type: String,
+      required: [true, "Currency code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      validate: {
+        validator: function(v) {
+          return /^[A-Z0-9]{2,10}$/.test(v);
+        },
+        message: props => `${props.value} is not a valid currency code. Use 2 to 10 letters or digits.`
+      }
+    },
+
+    /**
+     * Display name (e.g., "US Dollar")
+     * @type {String}
+     * @required
+     */
+    name: {
+      type: String,
+      required: [true, "Currency name is required"],
+      trim: true
+    },
+
+    /**
+     * Symbol shown next to amounts (e.g., "$", "TT$", "₿")
+     * @type {String}
+     * @default ""
+     */
+    symbol: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Number of decimal places amounts are kept to (0 for JPY, 2 for USD, 8 for BTC)
+     * @type {Number}
+     * @required
+     */
+    minorUnits: {
+      type: Number,
+      required: [true, "Minor units are required"],
+      min: [0, "Minor units cannot be negative"],
+      max: [MAX_MINOR_UNITS, `Minor units cannot be more than ${MAX_MINOR_UNITS}`],
+      validate: {
+        validator: Number.isInteger,
+        message: "Minor units must be a whole number"
+      }
+    },
+
+    /**
+     * Whether new transactions can use the currency
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Reference to the admin who last changed the currency
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true }
+  }
+);
+
+// Create needed indexes
+currencySchema.index({ isActive: 1, code: 1 });
+
+/**
+ * Currency model
+ * @type {mongoose.Model}
+ */
+const Currency = mongoose.model("Currency", currencySchema);
+
+export default Currency;
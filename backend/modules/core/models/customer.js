@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Customer Model - Defines the schema for registered customers
+ *
+ * A customer is one real person with their KYC identity record. Transactions
+ * reference the customer by customerId and keep a copy of the name and email
+ * used on the receipt. Duplicate records for the same person are merged into
+ * one; the merged record stays behind pointing at the survivor.
+ *
+ * @module models/customer
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Accepted identity document types
+ * @type {Array<String>}
+ */
+export const ID_TYPES = ["Passport", "National ID", "Driver's Permit", "Other"];
+
+/**
+ * Customer schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const customerSchema = new mongoose.Schema(
+  {
+    /**
+     * Customer's full legal name as shown on their ID
+     * @type {String}
+     * @required
+     */
+    fullName: {
+      type: String,
+      required: [true, "Customer name is required"],
+      trim: true
+    },
+
+    /**
+     * Customer's email address for receipts
+     * @type {String}
+     */
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^\S+@\S+\.\S+$/.test(v);
+        },
+        message: props => `${props.value} is not a valid email address`
+      }
+    },
+
+    /**
+     * Contact phone number
+     * @type {String}
+     */
+    phone: {
+      type: String,
+      trim: true
+    },
+
+    /**
+     * Date of birth
+     * @type {Date}
+     */
+    dateOfBirth: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Residential address
+     * @type {String}
+     */
+    address: {
+      type: String,
+      trim: true
+    },
+
+    /**
+     * Identity document type
+     * @type {String}
+     * @enum ["Passport", "National ID", "Driver's Permit", "Other"]
+     */
+    idType: {
+      type: String,
+      enum: {
+        values: ID_TYPES,
+        message: `ID type must be one of: ${ID_TYPES.join(", ")}`
+      }
+    },
+
+    /**
+     * Identity document number
+     * @type {String}
+     */
+    idNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+
+    /**
+     * Identity document expiry date
+     * @type {Date}
+     */
+    idExpiry: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Record status; merged records are kept for history but not offered for new transactions
+     * @type {String}
+     * @enum ["Active", "Merged"]
+     * @default "Active"
+     */
+    status: {
+      type: String,
+      enum: ["Active", "Merged"],
+      default: "Active"
+    },
+
+    /**
+     * Customer this record was merged into
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Customer
+     */
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null
+    },
+
+    /**
+     * Compliance notes
+     * @type {String}
+     */
+    notes: {
+      type: String,
+      trim: true
+    },
+
+    /**
+     * User who registered the customer
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * Virtual: whether the identity document has expired
+ * @returns {Boolean}
+ */
+customerSchema.virtual("idExpired").get(function() {
+  return !!this.idExpiry && this.idExpiry < new Date();
+});
+
+// One active record per identity document
+customerSchema.index(
+  { idType: 1, idNumber: 1 },
+  { unique: true, partialFilterExpression: { status: "Active", idNumber: { $type: "string" } } }
+);
+customerSchema.index({ fullName: 1 });
+customerSchema.index({ email: 1 });
+
+const Customer = mongoose.model("Customer", customerSchema);
+
+export default Customer;
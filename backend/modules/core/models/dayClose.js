@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Day Close Model - Defines the schema for end-of-day closes
+ *
+ * Each document is the close of one business date. It snapshots every account
+ * balance and the day's totals by currency and type when the day is closed. While
+ * a day is closed, transactions dated that day cannot be created, edited or voided.
+ * Every close and reopen is kept in the document's history.
+ *
+ * @module models/dayClose
+ * @requires mongoose
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ */
+
+import mongoose from "mongoose";
+import { roundAmount } from "../helpers/currencyUnits.js";
+import { moneyField } from "../helpers/money.js";
+
+/**
+ * Account balance at the end of the business date
+ *
+ * @type {mongoose.Schema}
+ */
+const balanceSnapshotSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, uppercase: true },
+    openingBalance: moneyField({ default: 0 }),
+    credits: moneyField({ default: 0 }),
+    debits: moneyField({ default: 0 }),
+    closingBalance: moneyField({ default: 0 })
+  },
+  { _id: false, toObject: { getters: true }, toJSON: { getters: true } }
+);
+
+/**
+ * The day's transaction totals for one currency and type
+ *
+ * @type {mongoose.Schema}
+ */
+const dayTotalSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    currency: { type: String, required: true, uppercase: true },
+    toCurrency: { type: String, default: null },
+    count: { type: Number, default: 0 },
+    totalAmount: moneyField({ default: 0 }),
+    totalToAmount: moneyField({ default: 0 }),
+    totalTTD: moneyField({ default: 0 })
+  },
+  { _id: false, toObject: { getters: true }, toJSON: { getters: true } }
+);
+
+/**
+ * A close or reopen of the day
+ *
+ * @type {mongoose.Schema}
+ */
+const closeEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["Closed", "Reopened"],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      default: "",
+      trim: true
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Day close schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const dayCloseSchema = new mongoose.Schema(
+  {
+    /**
+     * Business date in server local time (YYYY-MM-DD)
+     * @type {String}
+     * @required
+     * @unique
+     */
+    businessDate: {
+      type: String,
+      required: [true, "Business date is required"],
+      unique: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Business date must be in YYYY-MM-DD format"]
+    },
+
+    /**
+     * Whether the day is currently closed or has been reopened
+     * @type {String}
+     * @enum ["Closed", "Reopened"]
+     * @default "Closed"
+     */
+    status: {
+      type: String,
+      enum: {
+        values: ["Closed", "Reopened"],
+        message: "Status must be Closed or Reopened"
+      },
+      default: "Closed"
+    },
+
+    /**
+     * Account balances at the end of the day, from the most recent close
+     * @type {Array}
+     */
+    balances: {
+      type: [balanceSnapshotSchema],
+      default: []
+    },
+
+    /**
+     * The day's totals by currency and type, from the most recent close
+     * @type {Array}
+     */
+    totals: {
+      type: [dayTotalSchema],
+      default: []
+    },
+
+    /**
+     * Number of transactions dated that day that moved balances
+     * @type {Number}
+     * @default 0
+     */
+    transactionCount: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Admin who most recently closed the day
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Closing user is required"]
+    },
+
+    /**
+     * When the day was most recently closed
+     * @type {Date}
+     * @default Date.now
+     */
+    closedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    /**
+     * Every close and reopen of the day, oldest first
+     * @type {Array}
+     */
+    history: {
+      type: [closeEventSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    toObject: { getters: true },
+    toJSON: {
+      virtuals: true,
+      getters: true,
+      transform: function(doc, ret) {
+        // Round monetary values to the minor units of their currency
+        const roundFields = (line, fields, currency) => {
+          fields.forEach((field) => {
+            if (typeof line[field] === "number") {
+              line[field] = roundAmount(line[field], currency);
+            }
+          });
+          return line;
+        };
+        ret.balances = (ret.balances || []).map((line) =>
+          roundFields({ ...line }, ["openingBalance", "credits", "debits", "closingBalance"], line.currency)
+        );
+        ret.totals = (ret.totals || []).map((line) => {
+          const formatted = roundFields({ ...line }, ["totalAmount"], line.currency);
+          roundFields(formatted, ["totalToAmount"], line.toCurrency);
+          return roundFields(formatted, ["totalTTD"], "TTD");
+        });
+        return ret;
+      }
+    }
+  }
+);
+
+// Create needed indexes
+dayCloseSchema.index({ status: 1, businessDate: -1 });
+
+/**
+ * Day close model
+ * @type {mongoose.Model}
+ */
+const DayClose = mongoose.model("DayClose", dayCloseSchema);
+
+export default DayClose;
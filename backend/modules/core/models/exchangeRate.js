@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Exchange Rate Model - Defines the schema for managed exchange rates
+ *
+ * Each document is one version of the buy and sell rates for a currency against TTD.
+ * Changing a rate creates a new version instead of overwriting the old one, so the
+ * full history of rates (and which version each transaction used) is preserved.
+ *
+ * @module models/exchangeRate
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Exchange rate schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    /**
+     * Currency code the rates apply to (quoted in TTD)
+     * @type {String}
+     * @required
+     */
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      trim: true,
+      uppercase: true
+    },
+
+    /**
+     * TTD paid per unit when we buy the currency from a customer
+     * @type {Number}
+     * @required
+     */
+    buyRate: {
+      type: Number,
+      required: [true, "Buy rate is required"],
+      min: [0.0001, "Buy rate must be greater than 0"]
+    },
+
+    /**
+     * TTD charged per unit when we sell the currency to a customer
+     * @type {Number}
+     * @required
+     */
+    sellRate: {
+      type: Number,
+      required: [true, "Sell rate is required"],
+      min: [0.0001, "Sell rate must be greater than 0"]
+    },
+
+    /**
+     * When this version of the rates takes effect
+     * @type {Date}
+     * @default Date.now
+     */
+    effectiveFrom: {
+      type: Date,
+      default: Date.now
+    },
+
+    /**
+     * Sequential version number per currency
+     * @type {Number}
+     * @required
+     */
+    version: {
+      type: Number,
+      required: [true, "Version is required"],
+      min: 1
+    },
+
+    /**
+     * Optional note about the change (e.g., "Central bank update")
+     * @type {String}
+     * @default ""
+     */
+    notes: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Reference to the admin who set the rates
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator is required"]
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function(doc, ret) {
+        // Format rates to 4 decimal places
+        if (ret.buyRate) {
+          ret.buyRate = parseFloat(ret.buyRate.toFixed(4));
+        }
+        if (ret.sellRate) {
+          ret.sellRate = parseFloat(ret.sellRate.toFixed(4));
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+// Create needed indexes
+exchangeRateSchema.index({ currency: 1, version: 1 }, { unique: true });
+exchangeRateSchema.index({ currency: 1, effectiveFrom: -1 });
+
+/**
+ * Virtual property for the spread between sell and buy rates
+ */
+exchangeRateSchema.virtual('spread').get(function() {
+  return parseFloat((this.sellRate - this.buyRate).toFixed(4));
+});
+
+/**
+ * Exchange rate model
+ * @type {mongoose.Model}
+ */
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+export default ExchangeRate;
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Fee Rule Model - Defines the schema for the service fee schedule
+ *
+ * A fee rule sets the service fee charged on one transaction type, either for a
+ * single currency or for every currency that has no rule of its own. Fees are
+ * charged in TTD: a flat fee is a TTD amount, a percentage fee is a share of the
+ * transaction's TTD value, and a tiered fee picks a flat or percentage fee by the
+ * transaction amount in its own currency.
+ *
+ * @module models/feeRule
+ * @requires mongoose
+ * @requires helpers/transactionValidation
+ */
+
+import mongoose from "mongoose";
+import { TRANSACTION_TYPES } from "../helpers/transactionValidation.js";
+
+/**
+ * Ways a fee can be calculated
+ * @type {Array<string>}
+ */
+export const FEE_METHODS = ["Flat", "Percentage", "Tiered"];
+
+/**
+ * One band of a tiered fee
+ *
+ * @type {mongoose.Schema}
+ */
+const feeTierSchema = new mongoose.Schema(
+  {
+    /**
+     * Largest transaction amount (in the transaction currency) the band covers;
+     * null for the open-ended top band
+     * @type {Number}
+     * @default null
+     */
+    upTo: {
+      type: Number,
+      default: null,
+      min: [0, "Tier limit cannot be negative"]
+    },
+
+    /**
+     * Whether the band charges a flat TTD amount or a percentage of the TTD value
+     * @type {String}
+     * @enum ["Flat", "Percentage"]
+     * @required
+     */
+    method: {
+      type: String,
+      enum: ["Flat", "Percentage"],
+      required: [true, "Tier method is required"]
+    },
+
+    /**
+     * TTD amount (Flat) or percentage (Percentage) the band charges
+     * @type {Number}
+     * @required
+     */
+    value: {
+      type: Number,
+      required: [true, "Tier value is required"],
+      min: [0, "Tier value cannot be negative"]
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Fee rule schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const feeRuleSchema = new mongoose.Schema(
+  {
+    /**
+     * Name shown on receipts and reports, e.g. "Exchange service fee"
+     * @type {String}
+     * @required
+     */
+    name: {
+      type: String,
+      required: [true, "Fee name is required"],
+      trim: true,
+      maxlength: [60, "Fee name cannot be longer than 60 characters"]
+    },
+
+    /**
+     * Transaction type the fee is charged on
+     * @type {String}
+     * @required
+     */
+    transactionType: {
+      type: String,
+      required: [true, "Transaction type is required"],
+      enum: TRANSACTION_TYPES
+    },
+
+    /**
+     * Currency the fee is charged on; null for every currency without its own rule
+     * @type {String}
+     * @default null
+     */
+    currency: {
+      type: String,
+      default: null,
+      trim: true,
+      uppercase: true
+    },
+
+    /**
+     * How the fee is calculated
+     * @type {String}
+     * @enum ["Flat", "Percentage", "Tiered"]
+     * @required
+     */
+    method: {
+      type: String,
+      enum: FEE_METHODS,
+      required: [true, "Fee method is required"]
+    },
+
+    /**
+     * TTD amount of a flat fee
+     * @type {Number}
+     * @default null
+     */
+    flatAmount: {
+      type: Number,
+      default: null,
+      min: [0, "Flat fee cannot be negative"]
+    },
+
+    /**
+     * Percentage of the TTD value charged by a percentage fee
+     * @type {Number}
+     * @default null
+     */
+    percentage: {
+      type: Number,
+      default: null,
+      min: [0, "Percentage cannot be negative"],
+      max: [100, "Percentage cannot be more than 100"]
+    },
+
+    /**
+     * Bands of a tiered fee, in ascending order of upTo
+     * @type {Array<Object>}
+     */
+    tiers: {
+      type: [feeTierSchema],
+      default: []
+    },
+
+    /**
+     * Smallest fee in TTD a percentage or tiered fee charges
+     * @type {Number}
+     * @default null
+     */
+    minimumFee: {
+      type: Number,
+      default: null,
+      min: [0, "Minimum fee cannot be negative"]
+    },
+
+    /**
+     * Largest fee in TTD a percentage or tiered fee charges
+     * @type {Number}
+     * @default null
+     */
+    maximumFee: {
+      type: Number,
+      default: null,
+      min: [0, "Maximum fee cannot be negative"]
+    },
+
+    /**
+     * Whether the fee is currently charged
+     * @type {Boolean}
+     * @default true
+     */
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Admin who last changed the rule
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     */
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One rule per type and currency (including the all-currencies rule)
+feeRuleSchema.index({ transactionType: 1, currency: 1 }, { unique: true });
+
+const FeeRule = mongoose.model("FeeRule", feeRuleSchema);
+
+export default FeeRule;
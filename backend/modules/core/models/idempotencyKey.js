@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Idempotency Key Model - Defines the schema for replayable requests
+ *
+ * This model remembers a client-supplied Idempotency-Key together with the
+ * response the server gave for it, so a retried request can be answered with
+ * the original response instead of being carried out twice. Records expire
+ * automatically at the end of the configured window.
+ *
+ * @module models/idempotencyKey
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Idempotency key schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    /**
+     * Key sent by the client in the Idempotency-Key header
+     * @type {String}
+     * @required
+     */
+    key: {
+      type: String,
+      required: [true, "Idempotency key is required"],
+      trim: true
+    },
+
+    /**
+     * User who sent the request; keys are only ever matched for the same user
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"]
+    },
+
+    /**
+     * Method and path of the request, e.g. "POST /api/transactions"
+     * @type {String}
+     * @required
+     */
+    endpoint: {
+      type: String,
+      required: true
+    },
+
+    /**
+     * SHA-256 hash of the request body, to refuse a key reused for a different request
+     * @type {String}
+     * @required
+     */
+    requestHash: {
+      type: String,
+      required: true
+    },
+
+    /**
+     * Whether the original request is still running or has a stored response
+     * @type {String}
+     * @enum ["processing", "completed"]
+     * @default "processing"
+     */
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing"
+    },
+
+    /**
+     * HTTP status code of the stored response
+     * @type {Number}
+     * @default null
+     */
+    responseStatus: {
+      type: Number,
+      default: null
+    },
+
+    /**
+     * JSON body of the stored response
+     * @type {Object}
+     * @default null
+     */
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+
+    /**
+     * When the key stops being honoured and the record is removed
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
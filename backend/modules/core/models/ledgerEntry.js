@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Ledger Entry Model - Defines the schema for account movements
+ *
+ * This model records every balance change applied to a currency account.
+ * Entries are append-only: once written they are never updated or deleted,
+ * so the full history of how a balance reached its current value is preserved.
+ *
+ * @module models/ledgerEntry
+ * @requires mongoose
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ */
+
+import mongoose from "mongoose";
+import { roundAmount } from "../helpers/currencyUnits.js";
+import { moneyField, decimalToNumber } from "../helpers/money.js";
+
+/**
+ * Ledger entry schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    /**
+     * Reference to the account that was moved
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "Account"
+     * @required
+     */
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Account is required"]
+    },
+
+    /**
+     * Currency code of the account (denormalized for querying)
+     * @type {String}
+     * @required
+     */
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      trim: true,
+      uppercase: true
+    },
+
+    /**
+     * Reference to the transaction that caused this movement
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "Transaction"
+     * @default null
+     */
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null
+    },
+
+    /**
+     * Direction of the movement: credit increases the balance, debit decreases it
+     * @type {String}
+     * @enum ["credit", "debit"]
+     * @required
+     */
+    entryType: {
+      type: String,
+      enum: {
+        values: ["credit", "debit"],
+        message: "Entry type must be credit or debit"
+      },
+      required: [true, "Entry type is required"]
+    },
+
+    /**
+     * Amount moved (always positive)
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @required
+     */
+    amount: moneyField({
+      required: [true, "Amount is required"],
+      validate: {
+        // Smallest units differ per currency (1 JPY, 0.00000001 BTC)
+        validator: (v) => decimalToNumber(v) > 0,
+        message: "Amount must be greater than 0"
+      }
+    }),
+
+    /**
+     * Account balance after this entry was applied
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @required
+     */
+    balanceAfter: moneyField({
+      required: [true, "Running balance is required"]
+    }),
+
+    /**
+     * Short description of the movement (e.g., "Sell", "Reversal of Buy")
+     * @type {String}
+     * @default ""
+     */
+    description: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Reference to the user who caused the movement
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toObject: { getters: true },
+    toJSON: {
+      virtuals: true,
+      getters: true,
+      transform: function(doc, ret) {
+        // Round monetary values to the minor units of the account currency
+        if (ret.amount) {
+          ret.amount = roundAmount(ret.amount, ret.currency);
+        }
+        if (ret.balanceAfter) {
+          ret.balanceAfter = roundAmount(ret.balanceAfter, ret.currency);
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+// Create needed indexes
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+/**
+ * Reject any attempt to modify or remove existing entries
+ */
+const rejectMutation = function(next) {
+  next(new Error("Ledger entries are append-only and cannot be modified or deleted"));
+};
+
+ledgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation
+);
+ledgerEntrySchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete", "findOneAndRemove"],
+  { document: false, query: true },
+  rejectMutation
+);
+ledgerEntrySchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+/**
+ * Ledger entry model
+ * @type {mongoose.Model}
+ */
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+
+export default LedgerEntry;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Reference Counter Model - Defines the schema for reference number sequences
+ *
+ * Each counter holds the last sequence number handed out for one numbering
+ * scope: the prefix, branch code and reset period of the references it numbers,
+ * e.g. "POS|01|FY2026" for branch 01 in fiscal year 2026. Counters
+ * are only ever incremented inside the transaction that uses the number, so an
+ * aborted transaction gives its number back and the sequence has no gaps.
+ *
+ * @module models/referenceCounter
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Reference counter schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const referenceCounterSchema = new mongoose.Schema(
+  {
+    /**
+     * Numbering scope: prefix, branch code and reset period of the
+     * references it numbers (e.g. "POS|01|FY2026")
+     * @type {String}
+     * @required
+     * @unique
+     */
+    scope: {
+      type: String,
+      required: [true, "Counter scope is required"],
+      unique: true
+    },
+
+    /**
+     * Last sequence number handed out; the next reference gets seq + 1
+     * @type {Number}
+     * @default 0
+     */
+    seq: {
+      type: Number,
+      default: 0,
+      min: [0, "Sequence cannot be negative"]
+    }
+  },
+  { timestamps: true }
+);
+
+/**
+ * Reference counter model
+ * @type {mongoose.Model}
+ */
+const ReferenceCounter = mongoose.model("ReferenceCounter", referenceCounterSchema);
+
+export default ReferenceCounter;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Till Session Model - Defines the schema for teller cash-drawer sessions
+ *
+ * A till session covers one teller's shift at a physical cash drawer. It opens with a
+ * counted float per currency, every transaction the teller creates while it is open is
+ * tagged with it, and on close the counted cash is compared with what the drawer
+ * should hold to give the variance per currency.
+ *
+ * @module models/tillSession
+ * @requires mongoose
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ */
+
+import mongoose from "mongoose";
+import { roundAmount } from "../helpers/currencyUnits.js";
+import { moneyField, nonNegative } from "../helpers/money.js";
+
+/**
+ * Per-currency drawer figures
+ *
+ * @type {mongoose.Schema}
+ */
+const tillCurrencySchema = new mongoose.Schema(
+  {
+    /**
+     * Currency code held in the drawer
+     * @type {String}
+     * @required
+     */
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      trim: true,
+      uppercase: true
+    },
+
+    /**
+     * Cash counted into the drawer when the session opened
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default 0
+     */
+    openingFloat: moneyField({
+      default: 0,
+      validate: nonNegative("Opening float cannot be negative")
+    }),
+
+    /**
+     * Cash the drawer should hold at close (float plus the session's cash movements)
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default null
+     */
+    expected: moneyField({
+      default: null
+    }),
+
+    /**
+     * Cash counted in the drawer at close
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default null
+     */
+    counted: moneyField({
+      default: null,
+      validate: nonNegative("Counted amount cannot be negative")
+    }),
+
+    /**
+     * Counted minus expected; negative means the drawer is short
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default null
+     */
+    variance: moneyField({
+      default: null
+    })
+  },
+  { _id: false, toObject: { getters: true }, toJSON: { getters: true } }
+);
+
+/**
+ * Till session schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const tillSessionSchema = new mongoose.Schema(
+  {
+    /**
+     * Teller who owns the drawer for this session
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"]
+    },
+
+    /**
+     * Session status
+     * @type {String}
+     * @enum ["Open", "Closed"]
+     * @default "Open"
+     */
+    status: {
+      type: String,
+      enum: {
+        values: ["Open", "Closed"],
+        message: "Status must be Open or Closed"
+      },
+      default: "Open"
+    },
+
+    /**
+     * Drawer figures per currency
+     * @type {Array}
+     */
+    currencies: {
+      type: [tillCurrencySchema],
+      default: []
+    },
+
+    /**
+     * When the session was opened
+     * @type {Date}
+     * @default Date.now
+     */
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    /**
+     * When the session was closed
+     * @type {Date}
+     * @default null
+     */
+    closedAt: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * User who closed the session (the teller, or an admin closing it for them)
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    /**
+     * Number of transactions counted towards the expected cash at close
+     * @type {Number}
+     * @default 0
+     */
+    transactionCount: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Note entered when opening the session
+     * @type {String}
+     * @default ""
+     */
+    openingNotes: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Note entered when closing the session (e.g., explanation of a variance)
+     * @type {String}
+     * @default ""
+     */
+    closingNotes: {
+      type: String,
+      default: "",
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toObject: { getters: true },
+    toJSON: {
+      virtuals: true,
+      getters: true,
+      transform: function(doc, ret) {
+        // Round drawer amounts to the minor units of each currency
+        ret.currencies = (ret.currencies || []).map((line) => {
+          const formatted = { ...line };
+          ["openingFloat", "expected", "counted", "variance"].forEach((field) => {
+            if (typeof formatted[field] === "number") {
+              formatted[field] = roundAmount(formatted[field], line.currency);
+            }
+          });
+          return formatted;
+        });
+        return ret;
+      }
+    }
+  }
+);
+
+// Create needed indexes
+tillSessionSchema.index({ status: 1, openedAt: -1 });
+tillSessionSchema.index({ user: 1, openedAt: -1 });
+// A teller can only have one open drawer at a time
+tillSessionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "Open" } }
+);
+
+/**
+ * Virtual property that indicates if any currency did not balance
+ */
+tillSessionSchema.virtual('hasVariance').get(function() {
+  return this.currencies.some((line) => line.variance !== null && Math.abs(line.variance) >= 0.005);
+});
+
+/**
+ * Till session model
+ * @type {mongoose.Model}
+ */
+const TillSession = mongoose.model("TillSession", tillSessionSchema);
+
+export default TillSession;
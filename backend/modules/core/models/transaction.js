@@ -7,9 +7,99 @@
  * 
  * @module models/transaction
  * @requires mongoose
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
  */
 
 import mongoose from "mongoose";
+import { roundAmount } from "../helpers/currencyUnits.js";
+import { moneyField, nonNegative, decimalToNumber, subtractAmounts } from "../helpers/money.js";
+
+/**
+ * Most tags a transaction can have
+ * @type {number}
+ */
+export const MAX_TRANSACTION_TAGS = 10;
+
+/**
+ * Longest tag, in characters
+ * @type {number}
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Tidy tags as they are set: trimmed, lowercase, without blanks or repeats
+ *
+ * @param {Array<string>|string} tags - Tags as given (a comma-separated string is split)
+ * @returns {Array<string>} Tags as stored
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+  const normalized = list
+    .map((tag) => String(tag ?? "").trim().toLowerCase().replace(/\s+/g, "-"))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+/**
+ * A service fee charged on a transaction, as worked out from the fee schedule
+ *
+ * @type {mongoose.Schema}
+ */
+const feeLineSchema = new mongoose.Schema(
+  {
+    /**
+     * Fee rule the fee was worked out from
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "FeeRule"
+     */
+    feeRule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FeeRule",
+      default: null
+    },
+
+    /**
+     * Name of the fee at the time it was charged
+     * @type {String}
+     * @required
+     */
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    /**
+     * How the fee was calculated, e.g. "Flat" or "Percentage"
+     * @type {String}
+     */
+    method: {
+      type: String
+    },
+
+    /**
+     * Percentage applied, for percentage fees
+     * @type {Number}
+     * @default null
+     */
+    percentage: {
+      type: Number,
+      default: null
+    },
+
+    /**
+     * Fee charged, in TTD
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @required
+     */
+    amountTTD: moneyField({
+      required: true,
+      validate: nonNegative("Fee cannot be negative")
+    })
+  },
+  { _id: false, toObject: { getters: true }, toJSON: { getters: true } }
+);
 
 /**
  * Transaction schema definition
@@ -58,35 +148,50 @@ const transactionSchema = new mongoose.Schema(
         message: props => `${props.value} is not a valid email address`
       }
     },
+
+    /**
+     * Registered customer; customerName and customerEmail keep the details used on the receipt
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Customer
+     */
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null
+    },
     
     /**
      * Transaction type
      * @type {String}
-     * @enum ["Cash In", "Cash Out", "Buy", "Sell"]
+     * @enum ["Cash In", "Cash Out", "Buy", "Sell", "Exchange"]
      * @required
      */
     type: {
       type: String,
       enum: {
-        values: ["Cash In", "Cash Out", "Buy", "Sell"],
-        message: "Transaction type must be Cash In, Cash Out, Buy, or Sell"
+        values: ["Cash In", "Cash Out", "Buy", "Sell", "Exchange"],
+        message: "Transaction type must be Cash In, Cash Out, Buy, Sell, or Exchange"
       },
       required: [true, "Transaction type is required"]
     },
     
     /**
      * Transaction amount in the specified currency
-     * @type {Number}
+     * @type {mongoose.Schema.Types.Decimal128}
      * @required
      */
-    amount: {
-      type: Number,
+    amount: moneyField({
       required: [true, "Amount is required"],
-      min: [0.01, "Amount must be greater than 0"]
-    },
+      validate: {
+        // Smallest units differ per currency (1 JPY, 0.00000001 BTC)
+        validator: (v) => decimalToNumber(v) > 0,
+        message: "Amount must be greater than 0"
+      }
+    }),
     
     /**
      * Currency code for the transaction
+     * For Exchange transactions this is the currency received from the customer.
      * @type {String}
      * @required
      */
@@ -96,6 +201,42 @@ const transactionSchema = new mongoose.Schema(
       trim: true,
       uppercase: true
     },
+
+    /**
+     * Currency paid out to the customer (Exchange transactions only)
+     * @type {String}
+     * @default null
+     */
+    toCurrency: {
+      type: String,
+      default: null,
+      trim: true,
+      uppercase: true
+    },
+
+    /**
+     * Amount paid out in toCurrency (Exchange transactions only)
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default null
+     */
+    toAmount: moneyField({
+      default: null,
+      validate: {
+        validator: (v) => v === null || decimalToNumber(v) > 0,
+        message: "Payout amount must be greater than 0"
+      }
+    }),
+
+    /**
+     * Units of toCurrency paid per unit of currency received (Exchange transactions only)
+     * @type {Number}
+     * @default null
+     */
+    crossRate: {
+      type: Number,
+      default: null,
+      min: [0, "Cross rate cannot be negative"]
+    },
     
     /**
      * Exchange rate used for Buy/Sell transactions
@@ -108,17 +249,39 @@ const transactionSchema = new mongoose.Schema(
       min: [0, "Exchange rate cannot be negative"]
     },
     
+    /**
+     * Managed rate version the exchange rate was taken from
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "ExchangeRate"
+     * @default null
+     */
+    exchangeRateVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExchangeRate",
+      default: null
+    },
+
+    /**
+     * Whether the exchange rate was entered manually instead of using the standard rate
+     * @type {Boolean}
+     * @default false
+     */
+    rateOverridden: {
+      type: Boolean,
+      default: false
+    },
+    
     /**
      * Equivalent amount in TTD (Trinidad and Tobago Dollar)
-     * Used for currency conversion transactions
-     * @type {Number}
+     * Used for currency conversion transactions. For Exchange transactions this
+     * is the received leg valued at the managed buy rate.
+     * @type {mongoose.Schema.Types.Decimal128}
      * @default 0
      */
-    amountTTD: {
-      type: Number,
+    amountTTD: moneyField({
       default: 0,
-      min: [0, "TTD amount cannot be negative"]
-    },
+      validate: nonNegative("TTD amount cannot be negative")
+    }),
     
     /**
      * Transaction status
@@ -146,6 +309,39 @@ const transactionSchema = new mongoose.Schema(
       trim: true
     },
     
+    /**
+     * Category the transaction is filed under, for filtering and reporting
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "TransactionCategory"
+     * @default null
+     */
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransactionCategory",
+      default: null
+    },
+
+    /**
+     * Free-form tags (e.g. "walk-in", "corporate"), stored lowercase
+     * @type {Array<String>}
+     * @default []
+     */
+    tags: {
+      type: [String],
+      default: [],
+      set: normalizeTags,
+      validate: [
+        {
+          validator: (tags) => tags.length <= MAX_TRANSACTION_TAGS,
+          message: `A transaction can have at most ${MAX_TRANSACTION_TAGS} tags`
+        },
+        {
+          validator: (tags) => tags.every((tag) => tag.length <= MAX_TAG_LENGTH),
+          message: `Tags cannot be longer than ${MAX_TAG_LENGTH} characters`
+        }
+      ]
+    },
+    
     /**
      * Customer's signature (Base64-encoded)
      * @type {String}
@@ -166,23 +362,285 @@ const transactionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: [true, "Creator is required"]
+    },
+
+    /**
+     * Till session (cash drawer) the transaction was created in
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "TillSession"
+     * @default null
+     */
+    tillSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TillSession",
+      default: null
+    },
+
+    /**
+     * Whether the transaction was held for admin approval because it exceeded
+     * the approval threshold for its currency
+     * @type {Boolean}
+     * @default false
+     */
+    requiresApproval: {
+      type: Boolean,
+      default: false
+    },
+
+    /**
+     * Reference to the admin who approved or rejected the transaction
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    /**
+     * When the transaction was approved or rejected
+     * @type {Date}
+     * @default null
+     */
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Why the transaction was rejected
+     * @type {String}
+     * @default ""
+     */
+    rejectionReason: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Compliance hold raised by a screening (e.g. a watchlist match) before the
+     * transaction was saved. A held transaction stays Pending, without moving any
+     * balances, until a compliance reviewer clears or confirms the hold.
+     * @type {Object}
+     * @default null
+     */
+    complianceHold: {
+      type: new mongoose.Schema(
+        {
+          source: { type: String, required: true },
+          reason: { type: String, default: "" },
+          matches: [
+            {
+              _id: false,
+              entryId: { type: mongoose.Schema.Types.ObjectId, default: null },
+              name: { type: String },
+              listName: { type: String },
+              externalId: { type: String, default: "" },
+              score: { type: Number }
+            }
+          ],
+          status: {
+            type: String,
+            enum: ["Held", "Cleared", "Confirmed"],
+            default: "Held"
+          },
+          heldAt: { type: Date, default: Date.now },
+          reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          reviewedAt: { type: Date, default: null },
+          note: { type: String, default: "", trim: true }
+        },
+        { _id: false }
+      ),
+      default: null
+    },
+
+    /**
+     * Reference to the user who voided the transaction
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    /**
+     * When the transaction was voided
+     * @type {Date}
+     * @default null
+     */
+    voidedAt: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Why the transaction was voided
+     * @type {String}
+     * @default ""
+     */
+    voidReason: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Reversal record created when this transaction was voided
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "Transaction"
+     * @default null
+     */
+    reversal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null
+    },
+
+    /**
+     * Original transaction that this record reverses (set on reversal records only)
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "Transaction"
+     * @default null
+     */
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null
+    },
+
+    /**
+     * Original transaction that this record refunds (set on refund records only)
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "Transaction"
+     * @default null
+     */
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null
+    },
+
+    /**
+     * Total amount refunded so far, in the transaction currency
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default 0
+     */
+    refundedAmount: moneyField({
+      default: 0,
+      validate: nonNegative("Refunded amount cannot be negative")
+    }),
+
+    /**
+     * Total TTD equivalent refunded so far
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default 0
+     */
+    refundedAmountTTD: moneyField({
+      default: 0,
+      validate: nonNegative("Refunded TTD amount cannot be negative")
+    }),
+
+    /**
+     * Total payout amount refunded so far (Exchange transactions only)
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default 0
+     */
+    refundedToAmount: moneyField({
+      default: 0,
+      validate: nonNegative("Refunded payout amount cannot be negative")
+    }),
+
+    /**
+     * TTD cost of the foreign currency that left the account, at the
+     * weighted-average cost when the transaction was processed (Sell, Cash Out,
+     * and the paid-out leg of an Exchange)
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default null
+     */
+    costBasisTTD: moneyField({
+      default: null
+    }),
+
+    /**
+     * Realized gain in TTD for a Sell or Exchange: proceeds (amountTTD) less costBasisTTD
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default null
+     */
+    realizedGainTTD: moneyField({
+      default: null
+    }),
+
+    /**
+     * Service fees charged on the transaction, as separate line items in TTD
+     * @type {Array<Object>}
+     */
+    fees: {
+      type: [feeLineSchema],
+      default: []
+    },
+
+    /**
+     * Total of the service fees in TTD; credited to the TTD account as fee income
+     * @type {mongoose.Schema.Types.Decimal128}
+     * @default 0
+     */
+    feeTotalTTD: moneyField({
+      default: 0,
+      validate: nonNegative("Fee total cannot be negative")
+    }),
+
+    /**
+     * Bulk import the transaction was brought in by, if any
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "TransactionImport"
+     * @default null
+     */
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransactionImport",
+      default: null
+    },
+
+    /**
+     * Imported as history only: it never moved account balances, so it cannot be
+     * voided or refunded (undo the import instead)
+     * @type {Boolean}
+     * @default false
+     */
+    historyOnly: {
+      type: Boolean,
+      default: false
     }
   },
   { 
     timestamps: true,
+    toObject: { getters: true },
     toJSON: { 
       virtuals: true,
+      getters: true,
       transform: function(doc, ret) {
-        // Format monetary values to 2 decimal places
-        if (ret.amount) {
-          ret.amount = parseFloat(ret.amount.toFixed(2));
-        }
-        if (ret.amountTTD) {
-          ret.amountTTD = parseFloat(ret.amountTTD.toFixed(2));
-        }
+        // Round monetary values to the minor units of their currency
+        ["amount", "refundedAmount"].forEach((field) => {
+          if (ret[field]) ret[field] = roundAmount(ret[field], ret.currency);
+        });
+        ["toAmount", "refundedToAmount"].forEach((field) => {
+          if (ret[field]) ret[field] = roundAmount(ret[field], ret.toCurrency);
+        });
+        ["amountTTD", "refundedAmountTTD", "costBasisTTD", "realizedGainTTD", "feeTotalTTD"].forEach((field) => {
+          if (ret[field]) ret[field] = roundAmount(ret[field], "TTD");
+        });
         if (ret.exchangeRate) {
           ret.exchangeRate = parseFloat(ret.exchangeRate.toFixed(4));
         }
+        if (ret.crossRate) {
+          ret.crossRate = parseFloat(ret.crossRate.toFixed(6));
+        }
         return ret;
       }
     }
@@ -190,9 +648,19 @@ const transactionSchema = new mongoose.Schema(
 );
 
 // Create needed indexes
-transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ createdAt: -1, _id: -1 });
 transactionSchema.index({ currency: 1, type: 1 });
+transactionSchema.index({ toCurrency: 1, type: 1 });
 transactionSchema.index({ createdBy: 1 });
+transactionSchema.index({ tillSession: 1 });
+transactionSchema.index({ customerId: 1, createdAt: -1 });
+transactionSchema.index({ reversalOf: 1 });
+transactionSchema.index({ refundOf: 1 });
+transactionSchema.index({ status: 1, requiresApproval: 1, createdAt: 1 });
+transactionSchema.index({ 'complianceHold.status': 1, createdAt: 1 });
+transactionSchema.index({ importBatch: 1, createdAt: 1 });
+transactionSchema.index({ category: 1, createdAt: -1 });
+transactionSchema.index({ tags: 1, createdAt: -1 });
 transactionSchema.index({ customerName: 'text', customerEmail: 'text', reference: 'text' });
 
 /**
@@ -202,6 +670,37 @@ transactionSchema.virtual('ageInDays').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
 });
 
+/**
+ * Virtual property that indicates if the transaction has been voided
+ */
+transactionSchema.virtual('isVoided').get(function() {
+  return this.status === 'Cancelled' && !!this.voidedAt;
+});
+
+/**
+ * Virtual property that indicates if an admin rejected the transaction
+ */
+transactionSchema.virtual('isRejected').get(function() {
+  return this.status === 'Cancelled' && this.requiresApproval && !!this.rejectionReason;
+});
+
+/**
+ * Virtual property for the amount that can still be refunded
+ */
+transactionSchema.virtual('refundableAmount').get(function() {
+  const remaining = decimalToNumber(subtractAmounts(this.currency, this.amount || 0, this.refundedAmount || 0));
+  return Math.max(remaining, 0);
+});
+
+/**
+ * Virtual list of refund records made against this transaction
+ */
+transactionSchema.virtual('refunds', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'refundOf'
+});
+
 /**
  * Transaction model
  * @type {mongoose.Model}
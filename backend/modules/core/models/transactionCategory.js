@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Transaction Category Model - Defines the schema for transaction categories
+ *
+ * Categories are kept by admins (e.g. "Remittance", "Travel", "Business") and
+ * each transaction can be filed under one of them for filtering and reporting.
+ * Inactive categories stay on the transactions already filed under them but
+ * cannot be chosen for new ones.
+ *
+ * @module models/transactionCategory
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Transaction category schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const transactionCategorySchema = new mongoose.Schema(
+  {
+    /**
+     * Category name (e.g., "Remittance")
+     * @type {String}
+     * @required
+     * @unique
+     */
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [40, "Category name cannot be longer than 40 characters"],
+      validate: {
+        validator: function(v) {
+          return v.toLowerCase() !== "none";
+        },
+        message: "\"none\" is kept for transactions without a category"
+      }
+    },
+
+    /**
+     * What the category is for
+     * @type {String}
+     * @default ""
+     */
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [200, "Category description cannot be longer than 200 characters"]
+    },
+
+    /**
+     * Whether new transactions can be filed under the category
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Reference to the admin who last changed the category
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    // Names are unique regardless of case
+    collation: { locale: "en", strength: 2 }
+  }
+);
+
+// Create needed indexes
+transactionCategorySchema.index({ isActive: 1, name: 1 });
+
+/**
+ * Transaction category model
+ * @type {mongoose.Model}
+ */
+const TransactionCategory = mongoose.model("TransactionCategory", transactionCategorySchema);
+
+export default TransactionCategory;
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Transaction Import Model - Defines the schema for bulk imports
+ *
+ * Each document is one CSV file of historical transactions brought in by an
+ * admin. The imported transactions point back to it (importBatch), so the whole
+ * file can be undone together. An import either moves account balances like a
+ * live transaction would, or records the rows as history only.
+ *
+ * @module models/transactionImport
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Import statuses
+ * @type {Array<string>}
+ */
+export const IMPORT_STATUSES = ["Importing", "Completed", "Failed", "Undoing", "Undone"];
+
+/**
+ * Transaction import schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const transactionImportSchema = new mongoose.Schema(
+  {
+    /**
+     * Import number, used in the references of rows that came without one
+     * (IMP<number>-<row>)
+     * @type {Number}
+     */
+    number: {
+      type: Number,
+      default: null
+    },
+
+    /**
+     * Name of the uploaded file
+     * @type {String}
+     */
+    fileName: {
+      type: String,
+      default: "",
+      trim: true
+    },
+
+    /**
+     * Where the import is up to
+     * @type {String}
+     * @enum ["Importing", "Completed", "Failed", "Undoing", "Undone"]
+     * @default "Importing"
+     */
+    status: {
+      type: String,
+      enum: {
+        values: IMPORT_STATUSES,
+        message: "{VALUE} is not a valid import status"
+      },
+      default: "Importing"
+    },
+
+    /**
+     * Whether the imported transactions moved account balances
+     * @type {Boolean}
+     * @default false
+     */
+    affectBalances: {
+      type: Boolean,
+      default: false
+    },
+
+    /**
+     * CSV column used for each transaction field
+     * @type {Object}
+     */
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    /**
+     * Order of day and month in the file's dates
+     * @type {String}
+     * @enum ["YMD", "DMY", "MDY"]
+     * @default "YMD"
+     */
+    dateFormat: {
+      type: String,
+      enum: ["YMD", "DMY", "MDY"],
+      default: "YMD"
+    },
+
+    /**
+     * Data rows in the file
+     * @type {Number}
+     */
+    totalRows: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Rows recorded as transactions so far
+     * @type {Number}
+     */
+    importedCount: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Rows skipped because they failed validation
+     * @type {Number}
+     */
+    rejectedCount: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Date of the earliest imported transaction
+     * @type {Date}
+     */
+    dateFrom: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Date of the latest imported transaction
+     * @type {Date}
+     */
+    dateTo: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Why the import or its undo stopped
+     * @type {String}
+     */
+    error: {
+      type: String,
+      default: ""
+    },
+
+    /**
+     * Admin who ran the import
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Importing user is required"]
+    },
+
+    /**
+     * Admin who undid the import
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @default null
+     */
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    /**
+     * When the import was undone
+     * @type {Date}
+     * @default null
+     */
+    undoneAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create needed indexes
+transactionImportSchema.index({ createdAt: -1 });
+
+/**
+ * Transaction import model
+ * @type {mongoose.Model}
+ */
+const TransactionImport = mongoose.model("TransactionImport", transactionImportSchema);
+
+export default TransactionImport;
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Transaction Revision Model - Defines the schema for the edit history of transactions
+ *
+ * This model records every change made to a transaction after it was created:
+ * which field changed, its value before and after, who changed it and when.
+ * Fields changed together in one update share the same changedAt, so they
+ * can be shown as a single edit.
+ *
+ * @module models/transactionRevision
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Transaction fields that can be edited after the transaction is created
+ * @type {Array<string>}
+ */
+export const EDITABLE_TRANSACTION_FIELDS = ["notes", "customerSignature", "customerEmail", "category", "tags"];
+
+/**
+ * Transaction revision schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const transactionRevisionSchema = new mongoose.Schema({
+  /**
+   * Transaction that was changed
+   * @type {mongoose.Schema.Types.ObjectId}
+   * @ref "Transaction"
+   * @required
+   */
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    required: [true, "Transaction is required"]
+  },
+
+  /**
+   * Field that was changed
+   * @type {String}
+   * @required
+   */
+  field: {
+    type: String,
+    required: [true, "Field is required"],
+    enum: EDITABLE_TRANSACTION_FIELDS
+  },
+
+  /**
+   * Value before the change; null if the field was empty
+   * @type {*}
+   * @default null
+   */
+  previousValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /**
+   * Value after the change; null if the field was cleared
+   * @type {*}
+   * @default null
+   */
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /**
+   * User who made the change
+   * @type {mongoose.Schema.Types.ObjectId}
+   * @ref "User"
+   * @required
+   */
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "User is required"]
+  },
+
+  /**
+   * When the change was made
+   * @type {Date}
+   * @default Date.now
+   */
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+transactionRevisionSchema.index({ transaction: 1, changedAt: -1 });
+
+const TransactionRevision = mongoose.model("TransactionRevision", transactionRevisionSchema);
+
+export default TransactionRevision;
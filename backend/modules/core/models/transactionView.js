@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Transaction View Model - Defines the schema for saved transaction list views
+ *
+ * A view is a named set of filters, sort order and visible columns for the
+ * transaction list, saved by one user. Shared views are offered to every user
+ * but can only be changed by their owner (or an admin).
+ *
+ * @module models/transactionView
+ * @requires mongoose
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Columns the transaction list can show
+ * @type {Array<string>}
+ */
+export const TRANSACTION_LIST_COLUMNS = [
+  "reference",
+  "customerName",
+  "type",
+  "currency",
+  "amount",
+  "createdAt",
+  "createdBy"
+];
+
+/**
+ * Date ranges a view can keep relative to the day it is opened
+ * @type {Array<string>}
+ */
+export const VIEW_DATE_RANGES = ["today", "yesterday", "last7Days", "thisMonth", "lastMonth"];
+
+/**
+ * Filters saved with a view, as the transaction list sends them
+ *
+ * @type {mongoose.Schema}
+ */
+const viewFiltersSchema = new mongoose.Schema(
+  {
+    /**
+     * Search in the transaction search language, e.g. "status:Pending by:me"
+     * @type {String}
+     */
+    search: {
+      type: String,
+      trim: true,
+      default: ""
+    },
+
+    /**
+     * Currency on either side of the transaction
+     * @type {String}
+     */
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: ""
+    },
+
+    /**
+     * Transaction type
+     * @type {String}
+     */
+    type: {
+      type: String,
+      default: ""
+    },
+
+    /**
+     * Category ID, or "none" for transactions without one
+     * @type {String}
+     */
+    category: {
+      type: String,
+      default: ""
+    },
+
+    /**
+     * Tag
+     * @type {String}
+     */
+    tag: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: ""
+    },
+
+    /**
+     * Date range worked out when the view is opened; takes the place of dateFrom/dateTo
+     * @type {String}
+     * @enum ["", "today", "yesterday", "last7Days", "thisMonth", "lastMonth"]
+     */
+    dateRange: {
+      type: String,
+      enum: {
+        values: ["", ...VIEW_DATE_RANGES],
+        message: `Date range must be one of ${VIEW_DATE_RANGES.join(", ")}`
+      },
+      default: ""
+    },
+
+    /**
+     * Fixed first day (YYYY-MM-DD)
+     * @type {String}
+     */
+    dateFrom: {
+      type: String,
+      default: ""
+    },
+
+    /**
+     * Fixed last day (YYYY-MM-DD)
+     * @type {String}
+     */
+    dateTo: {
+      type: String,
+      default: ""
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Transaction view schema definition
+ *
+ * @type {mongoose.Schema}
+ */
+const transactionViewSchema = new mongoose.Schema(
+  {
+    /**
+     * Name shown on the view's tab, e.g. "Today's USD sells"
+     * @type {String}
+     * @required
+     */
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [40, "View name cannot be longer than 40 characters"]
+    },
+
+    /**
+     * User who saved the view
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref "User"
+     * @required
+     */
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "View owner is required"]
+    },
+
+    /**
+     * Whether every user is offered the view
+     * @type {Boolean}
+     * @default false
+     */
+    shared: {
+      type: Boolean,
+      default: false
+    },
+
+    /**
+     * Saved filters
+     * @type {Object}
+     */
+    filters: {
+      type: viewFiltersSchema,
+      default: () => ({})
+    },
+
+    /**
+     * Field the list is sorted by
+     * @type {String}
+     * @default "createdAt"
+     */
+    sortBy: {
+      type: String,
+      default: "createdAt"
+    },
+
+    /**
+     * 1 for ascending, -1 for descending
+     * @type {Number}
+     * @default -1
+     */
+    sortOrder: {
+      type: Number,
+      enum: [1, -1],
+      default: -1
+    },
+
+    /**
+     * Columns shown, in TRANSACTION_LIST_COLUMNS order
+     * @type {Array<String>}
+     */
+    columns: {
+      type: [String],
+      default: () => [...TRANSACTION_LIST_COLUMNS]
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A user's own views have distinct names
+transactionViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+transactionViewSchema.index({ shared: 1, name: 1 });
+
+const TransactionView = mongoose.model("TransactionView", transactionViewSchema);
+
+export default TransactionView;
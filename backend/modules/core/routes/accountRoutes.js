@@ -8,7 +8,7 @@
  */
 
 import express from "express";
-import { getAccounts, getAccountByCurrency } from "../controllers/accountController.js";
+import { getAccounts, getAccountByCurrency, getAccountLedger } from "../controllers/accountController.js";
 import { protect } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -22,4 +22,7 @@ router.get("/", getAccounts);
 // Get specific account by currency
 router.get("/:currency", getAccountByCurrency);
 
+// Get balance movements (ledger entries) for an account
+router.get("/:currency/ledger", getAccountLedger);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Currency Routes - API endpoints for the currency registry
+ *
+ * @module routes/currencyRoutes
+ * @requires express
+ * @requires controllers/currencyController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getCurrencies,
+  createCurrency,
+  updateCurrency
+} from "../controllers/currencyController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Everyone needs the registry to enter and format amounts
+router.get("/", getCurrencies);
+
+// Admin only operations
+router.post("/", adminOnly, createCurrency);
+router.put("/:code", adminOnly, updateCurrency);
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Customer Routes - API endpoints for the customer registry
+ *
+ * @module routes/customerRoutes
+ * @requires express
+ * @requires controllers/customerController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  searchCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  mergeCustomers
+} from "../controllers/customerController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Tellers register and look up customers at the counter
+router.get("/", searchCustomers);
+router.post("/", createCustomer);
+router.get("/:id", getCustomerById);
+router.put("/:id", updateCustomer);
+
+// Admin only operations
+router.post("/:id/merge", adminOnly, mergeCustomers);
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Day Close Routes - API endpoints for end-of-day closes
+ *
+ * @module routes/dayCloseRoutes
+ * @requires express
+ * @requires controllers/dayCloseController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getDayCloses,
+  getDayClose,
+  closeDay,
+  reopenDay,
+  downloadDayCloseReport
+} from "../controllers/dayCloseController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Closing and reopening business days is an admin operation
+router.use(protect, adminOnly);
+
+router.get("/", getDayCloses);
+router.post("/", closeDay);
+router.get("/:date", getDayClose);
+router.get("/:date/report", downloadDayCloseReport);
+router.post("/:date/reopen", reopenDay);
+
+export default router;
@@ -6,12 +6,14 @@
  * @requires controllers/emailController
  * @requires services/emailService
  * @requires middleware/authMiddleware
+ * @requires helpers/currencyUnits
  */
 
 import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
 import { sendEmail, testEmailConfig } from "../services/emailService.js";
 import Transaction from "../models/transaction.js";
+import { formatAmount } from "../helpers/currencyUnits.js";
 
 const router = express.Router();
 
@@ -101,8 +103,9 @@ Thank you for your transaction. Please find your receipt attached.
 
 Transaction ID: ${transaction.reference}
 Date: ${new Date(transaction.createdAt).toLocaleString()}
-Amount: ${transaction.currency} ${transaction.amount.toFixed(2)}
+Amount: ${transaction.currency} ${formatAmount(transaction.amount, transaction.currency)}
 Type: ${transaction.type}
+${transaction.status === "Cancelled" && transaction.voidedAt ? `Status: VOID (${transaction.voidReason})` : ""}
 
 Regards,
 ${process.env.EMAIL_FROM_NAME || 'Your Business'}
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Exchange Rate Routes - API endpoints for the exchange-rate table
+ * 
+ * @module routes/exchangeRateRoutes
+ * @requires express
+ * @requires controllers/exchangeRateController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getCurrentRates,
+  getRateHistory,
+  createRate,
+  updateRate,
+  deleteRate
+} from "../controllers/exchangeRateController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Current rates are needed by everyone creating transactions
+router.get("/", getCurrentRates);
+
+// Admin only operations
+router.get("/:currency/history", adminOnly, getRateHistory);
+router.post("/", adminOnly, createRate);
+router.put("/:id", adminOnly, updateRate);
+router.delete("/:id", adminOnly, deleteRate);
+
+export default router;
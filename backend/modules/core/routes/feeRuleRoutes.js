@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Fee Rule Routes - API endpoints for the service fee schedule
+ *
+ * @module routes/feeRuleRoutes
+ * @requires express
+ * @requires controllers/feeRuleController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  deleteFeeRule,
+  quoteFees
+} from "../controllers/feeRuleController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Anyone creating a transaction can see what it will be charged
+router.get("/quote", quoteFees);
+
+// Admin only operations
+router.get("/", adminOnly, getFeeRules);
+router.post("/", adminOnly, createFeeRule);
+router.put("/:id", adminOnly, updateFeeRule);
+router.delete("/:id", adminOnly, deleteFeeRule);
+
+export default router;
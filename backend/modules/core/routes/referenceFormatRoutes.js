@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Reference Format Routes - API endpoints for transaction reference numbering
+ *
+ * @module routes/referenceFormatRoutes
+ * @requires express
+ * @requires controllers/referenceFormatController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getReferenceFormat,
+  updateReferenceFormat
+} from "../controllers/referenceFormatController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Admin only operations
+router.get("/", adminOnly, getReferenceFormat);
+router.put("/", adminOnly, updateReferenceFormat);
+
+export default router;
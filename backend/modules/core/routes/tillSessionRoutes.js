@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Till Session Routes - API endpoints for teller cash-drawer sessions
+ *
+ * @module routes/tillSessionRoutes
+ * @requires express
+ * @requires controllers/tillSessionController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getCurrentSession,
+  openSession,
+  closeSession,
+  getSessions,
+  getSessionById,
+  downloadCloseOutPDF
+} from "../controllers/tillSessionController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Teller operations on their own drawer
+router.get("/current", getCurrentSession);
+router.post("/", openSession);
+router.post("/:id/close", closeSession);
+router.get("/:id", getSessionById);
+router.get("/:id/pdf", downloadCloseOutPDF);
+
+// Admin only operations
+router.get("/", adminOnly, getSessions);
+
+export default router;
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Transaction Category Routes - API endpoints for transaction categories and tags
+ *
+ * @module routes/transactionCategoryRoutes
+ * @requires express
+ * @requires controllers/transactionCategoryController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  getTags
+} from "../controllers/transactionCategoryController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Everyone files and filters transactions by category and tag
+router.get("/", getCategories);
+router.get("/tags", getTags);
+
+// Admin only operations
+router.post("/", adminOnly, createCategory);
+router.put("/:id", adminOnly, updateCategory);
+
+export default router;
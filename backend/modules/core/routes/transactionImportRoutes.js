@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Transaction Import Routes - API endpoints for bulk CSV imports
+ *
+ * @module routes/transactionImportRoutes
+ * @requires express
+ * @requires controllers/transactionImportController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  previewImport,
+  commitImport,
+  getImports,
+  getImport,
+  undoImport
+} from "../controllers/transactionImportController.js";
+import { protect, adminOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Years of history exported from a spreadsheet can run to several megabytes
+const IMPORT_UPLOAD_LIMIT = "20mb";
+
+// The CSV is sent as the raw request body
+const csvBody = express.text({ type: () => true, limit: IMPORT_UPLOAD_LIMIT });
+
+// Importing history is an admin operation
+router.use(protect, adminOnly);
+
+router.get("/", getImports);
+router.post("/", csvBody, commitImport);
+router.post("/dry-run", csvBody, previewImport);
+router.get("/:id", getImport);
+router.post("/:id/undo", undoImport);
+
+export default router;
@@ -5,19 +5,37 @@
  * @requires express
  * @requires controllers/transactionController
  * @requires middleware/authMiddleware
+ * @requires middleware/idempotencyMiddleware
+ * @requires controllers/attachmentController
+ * @requires middleware/attachmentUploadMiddleware
  */
 
 import express from "express";
 import {
   createTransaction,
   getTransactions,
+  getSearchSuggestions,
   getTransactionById,
   updateTransaction,
-  deleteTransaction,
+  getTransactionRevisions,
+  voidTransaction,
+  refundTransaction,
+  getPendingApprovals,
+  approveTransaction,
+  rejectTransaction,
+  resolveComplianceHold,
   sendTransactionReceipt,
   getTransactionSummary
 } from "../controllers/transactionController.js";
 import { protect, adminOnly } from "../middleware/authMiddleware.js";
+import { idempotent } from "../middleware/idempotencyMiddleware.js";
+import {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+} from "../controllers/attachmentController.js";
+import { attachmentBody } from "../middleware/attachmentUploadMiddleware.js";
 
 const router = express.Router();
 
@@ -25,16 +43,37 @@ const router = express.Router();
 router.use(protect);
 
 // Basic transaction operations
-router.post("/", createTransaction);
+// A retried create with the same Idempotency-Key replays the original response
+router.post("/", idempotent, createTransaction);
 router.get("/", getTransactions);
 router.get("/summary", getTransactionSummary);
+router.get("/search-suggestions", getSearchSuggestions);
+router.get("/approvals", adminOnly, getPendingApprovals);
 router.get("/:id", getTransactionById);
+router.get("/:id/revisions", getTransactionRevisions);
 
 // Email receipt
 router.post("/:id/send-receipt", sendTransactionReceipt);
 
+// Supporting documents; the file is sent as the raw request body
+router.get("/:id/attachments", getAttachments);
+router.post("/:id/attachments", attachmentBody, uploadAttachment);
+router.get("/:id/attachments/:attachmentId", downloadAttachment);
+router.delete("/:id/attachments/:attachmentId", deleteAttachment);
+
 // Admin or creator only operations
 router.put("/:id", updateTransaction);
-router.delete("/:id", deleteTransaction);
+router.post("/:id/void", voidTransaction);
+router.post("/:id/refund", refundTransaction);
+
+// Approval decisions for transactions above the approval threshold (admin only)
+router.post("/:id/approve", adminOnly, approveTransaction);
+router.post("/:id/reject", adminOnly, rejectTransaction);
+
+// Clear or confirm a compliance hold raised by screening (admin only)
+router.post("/:id/compliance-hold", adminOnly, resolveComplianceHold);
+
+// Transactions are never hard-deleted; DELETE voids the transaction instead
+router.delete("/:id", voidTransaction);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Transaction View Routes - API endpoints for saved transaction list views
+ *
+ * @module routes/transactionViewRoutes
+ * @requires express
+ * @requires controllers/transactionViewController
+ * @requires middleware/authMiddleware
+ */
+
+import express from "express";
+import {
+  getTransactionViews,
+  getTransactionView,
+  createTransactionView,
+  updateTransactionView,
+  deleteTransactionView
+} from "../controllers/transactionViewController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Everyone keeps their own views; owners (or admins) change them
+router.get("/", getTransactionViews);
+router.post("/", createTransactionView);
+router.get("/:id", getTransactionView);
+router.put("/:id", updateTransactionView);
+router.delete("/:id", deleteTransactionView);
+
+export default router;
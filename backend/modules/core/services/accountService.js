@@ -7,9 +7,42 @@
  * 
  * @module services/accountService
  * @requires models/account
+ * @requires models/ledgerEntry
+ * @requires services/exchangeRateService
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ * @requires helpers/transactionRetry
  */
 
 import Account from "../models/account.js";
+import LedgerEntry from "../models/ledgerEntry.js";
+import ExchangeRateService from "./exchangeRateService.js";
+import { roundAmount, formatAmount } from "../helpers/currencyUnits.js";
+import { addAmounts, subtractAmounts, compareAmounts } from "../helpers/money.js";
+import { isTransientTransactionError } from "../helpers/transactionRetry.js";
+
+/**
+ * Most ledger entries returned in one page
+ * @type {number}
+ */
+export const MAX_LEDGER_PAGE_SIZE = 200;
+
+/**
+ * Read a page or page size from a query string
+ *
+ * @private
+ * @param {string} name - Parameter name, for errors
+ * @param {*} value - Value as given
+ * @returns {number} The value as a whole number of at least 1
+ * @throws {Error} If the value is not a positive whole number
+ */
+function parsePositiveInteger(name, value) {
+  const number = typeof value === "number" ? value : /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  if (!Number.isSafeInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name}: must be a whole number of at least 1 (got "${value}")`);
+  }
+  return number;
+}
 
 /**
  * Account management service containing functions for account operations
@@ -18,59 +51,81 @@ class AccountService {
   /**
    * Update an account balance with validation
    * 
+   * The change is a single conditional update: a withdrawal only applies while
+   * the balance covers it, so two tellers drawing on the same account at once
+   * can never take it below zero.
+   * 
    * @async
    * @param {string} currency - The currency of the account
    * @param {number} amount - The amount to add or subtract
    * @param {boolean} isAdding - Whether to add (true) or subtract (false) the amount
    * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @param {Object} [ledgerContext={}] - Details recorded on the ledger entry
+   * @param {string} [ledgerContext.transactionId] - Transaction that caused the movement
+   * @param {string} [ledgerContext.userId] - User that caused the movement
+   * @param {string} [ledgerContext.description] - Short description of the movement
    * @returns {Promise<Account>} The updated account
    * @throws {Error} If account not found, insufficient balance, or invalid amount
    */
-  static async updateAccountBalance(currency, amount, isAdding, session) {
+  static async updateAccountBalance(currency, amount, isAdding, session, ledgerContext = {}) {
     try {
-      // Find the account with session to ensure it's part of the transaction
-      const account = await Account.findOne({ currency: currency.toUpperCase() }).session(session);
-    
-      if (!account) {
-        throw new Error(`Account for ${currency} not found`);
-      }
-    
+      const formattedCurrency = currency.toUpperCase();
+      const numericAmount = parseFloat(amount);
+
       // Validate amount is positive
-      if (amount <= 0) {
-        throw new Error("Transaction amount must be greater than 0");
+      if (isNaN(numericAmount)) {
+        throw new Error(`Invalid amount value: ${amount}`);
       }
-    
-      // Convert both to numbers to ensure they're numeric
-      const numericBalance = parseFloat(account.balance);
-      const numericAmount = parseFloat(amount);
-    
-      // Check if either is NaN
-      if (isNaN(numericBalance) || isNaN(numericAmount)) {
-        throw new Error(`Invalid balance or amount values: Balance=${account.balance}, Amount=${amount}`);
+      if (numericAmount <= 0) {
+        throw new Error("Transaction amount must be greater than 0");
       }
-    
-      // Check if there's enough balance for withdrawal operations
-      if (!isAdding && numericBalance < numericAmount) {
-        throw new Error(`Insufficient balance in ${currency} account. Available: ${numericBalance.toFixed(2)}, Requested: ${numericAmount.toFixed(2)}`);
+
+      // Exact change in the currency's minor units
+      const change = addAmounts(formattedCurrency, numericAmount);
+      const filter = isAdding
+        ? { currency: formattedCurrency }
+        : { currency: formattedCurrency, balance: { $gte: change } };
+
+      const account = await Account.findOneAndUpdate(
+        filter,
+        { $inc: { balance: isAdding ? change : subtractAmounts(formattedCurrency, 0, numericAmount) } },
+        { new: true, session }
+      );
+
+      // No match means the account is missing or its balance doesn't cover the withdrawal
+      if (!account) {
+        const existing = await Account.findOne({ currency: formattedCurrency }).session(session);
+        if (!existing) {
+          throw new Error(`Account for ${currency} not found`);
+        }
+        throw new Error(`Insufficient balance in ${currency} account. Available: ${formatAmount(existing.balance, currency)}, Requested: ${formatAmount(numericAmount, currency)}`);
       }
-    
-      // Calculate new balance
-      const newBalance = isAdding
-        ? numericBalance + numericAmount
-        : numericBalance - numericAmount;
-      
-      // Update with precision handling (avoiding floating point issues)
-      account.balance = parseFloat(newBalance.toFixed(2));
-      
-      // Save with session
-      await account.save({ session });
+
+      // Record the movement in the ledger within the same session
+      await LedgerEntry.create(
+        [
+          {
+            account: account._id,
+            currency: account.currency,
+            transaction: ledgerContext.transactionId || null,
+            entryType: isAdding ? "credit" : "debit",
+            amount: change,
+            balanceAfter: account.get("balance", null, { getters: false }),
+            description: ledgerContext.description || "",
+            createdBy: ledgerContext.userId || null
+          }
+        ],
+        { session }
+      );
       
       return account;
     } catch (error) {
-      // Re-throw with more context if needed
+      // Re-throw with more context if needed; transient errors keep their labels so
+      // the transaction can be retried
       if (error.message.includes('not found') || 
           error.message.includes('Insufficient') ||
-          error.message.includes('Invalid')) {
+          error.message.includes('Invalid') ||
+          isTransientTransactionError(error)) {
         throw error;
       }
       throw new Error(`Error updating ${currency} account balance: ${error.message}`);
@@ -80,39 +135,66 @@ class AccountService {
   /**
    * Validate account balances before proceeding with transaction
    * 
+   * Reads within the transaction's session so the check sees the same data
+   * as the balance updates that follow; those updates still refuse to
+   * overdraw an account if another teller gets there first.
+   * 
    * @async
-   * @param {string} type - Transaction type (Cash In, Cash Out, Buy, Sell)
+   * @param {string} type - Transaction type (Cash In, Cash Out, Buy, Sell, Exchange)
    * @param {string} currency - Currency code
    * @param {number} amount - Amount in specified currency
    * @param {number} amountTTD - Equivalent amount in TTD
+   * @param {Object} [payout={}] - Paid-out leg of an Exchange
+   * @param {string} [payout.toCurrency] - Currency paid out
+   * @param {number} [payout.toAmount] - Amount paid out
+   * @param {mongoose.ClientSession} [session=null] - Mongoose transaction session
    * @returns {Promise<void>}
    * @throws {Error} If insufficient balance or account not found
    */
-  static async validateAccountBalances(type, currency, amount, amountTTD) {
+  static async validateAccountBalances(type, currency, amount, amountTTD, payout = {}, session = null) {
     try {
       // For Cash Out or Sell, check if there's enough of the specified currency
       if (type === "Cash Out" || type === "Sell") {
-        const account = await Account.findOne({ currency: currency.toUpperCase() });
+        const account = await Account.findOne({ currency: currency.toUpperCase() }).session(session);
 
         if (!account) {
           throw new Error(`Account for ${currency} not found`);
         }
 
-        if (account.balance < amount) {
-          throw new Error(`Insufficient ${currency} balance. Available: ${account.balance.toFixed(2)}, Requested: ${amount.toFixed(2)}`);
+        if (compareAmounts(account.currency, account.balance, amount) < 0) {
+          throw new Error(`Insufficient ${currency} balance. Available: ${formatAmount(account.balance, currency)}, Requested: ${formatAmount(amount, currency)}`);
         }
       }
 
       // For Buy, check if there's enough TTD to exchange
       if (type === "Buy") {
-        const ttdAccount = await Account.findOne({ currency: "TTD" });
+        const ttdAccount = await Account.findOne({ currency: "TTD" }).session(session);
 
         if (!ttdAccount) {
           throw new Error("TTD account not found");
         }
 
-        if (ttdAccount.balance < amountTTD) {
-          throw new Error(`Insufficient TTD balance to buy currency. Available: ${ttdAccount.balance.toFixed(2)}, Requested: ${amountTTD.toFixed(2)}`);
+        if (compareAmounts("TTD", ttdAccount.balance, amountTTD) < 0) {
+          throw new Error(`Insufficient TTD balance to buy currency. Available: ${formatAmount(ttdAccount.balance, "TTD")}, Requested: ${formatAmount(amountTTD, "TTD")}`);
+        }
+      }
+
+      // For Exchange, the received currency needs an account and the paid-out one enough balance
+      if (type === "Exchange") {
+        const { toCurrency, toAmount } = payout;
+        // One operation at a time: a transaction can't run them in parallel
+        const inAccount = await Account.findOne({ currency: currency.toUpperCase() }).session(session);
+        const outAccount = await Account.findOne({ currency: toCurrency.toUpperCase() }).session(session);
+
+        if (!inAccount) {
+          throw new Error(`Account for ${currency} not found`);
+        }
+        if (!outAccount) {
+          throw new Error(`Account for ${toCurrency} not found`);
+        }
+
+        if (compareAmounts(outAccount.currency, outAccount.balance, toAmount) < 0) {
+          throw new Error(`Insufficient ${toCurrency} balance. Available: ${formatAmount(outAccount.balance, toCurrency)}, Requested: ${formatAmount(toAmount, toCurrency)}`);
         }
       }
     } catch (error) {
@@ -125,45 +207,77 @@ class AccountService {
    * Process account updates based on transaction type
    * 
    * @async
-   * @param {string} type - Transaction type (Cash In, Cash Out, Buy, Sell)
+   * @param {string} type - Transaction type (Cash In, Cash Out, Buy, Sell, Exchange)
    * @param {string} currency - Currency code
    * @param {number} amount - Amount in specified currency
    * @param {number} amountTTD - Equivalent amount in TTD
    * @param {mongoose.ClientSession} session - Mongoose transaction session
-   * @returns {Promise<void>}
+   * @param {Object} [ledgerContext={}] - Transaction and user details for the ledger entries
+   * @param {Object} [payout={}] - Paid-out leg of an Exchange (toCurrency, toAmount)
+   * @returns {Promise<Object>} costBasisTTD of the foreign currency that left the account
+   *   (Sell, Cash Out, Exchange) and realizedGainTTD (Sell, Exchange); both null when not applicable
    * @throws {Error} If invalid transaction type or account operation fails
    */
-  static async processAccountUpdates(type, currency, amount, amountTTD, session) {
+  static async processAccountUpdates(type, currency, amount, amountTTD, session, ledgerContext = {}, payout = {}) {
     try {
       // Standardize currency code
       const formattedCurrency = currency.toUpperCase();
+      const context = { description: type, ...ledgerContext };
+      const isForeign = formattedCurrency !== "TTD";
+      const result = { costBasisTTD: null, realizedGainTTD: null };
       
       switch (type) {
-        case "Cash In":
+        case "Cash In": {
           // Add money to currency account
-          await this.updateAccountBalance(formattedCurrency, amount, true, session);
+          const cost = isForeign ? await this.getCashInCost(formattedCurrency, amount, amountTTD, session) : 0;
+          await this.updateAccountBalance(formattedCurrency, amount, true, session, context);
+          if (isForeign) await this.adjustCostBasis(formattedCurrency, cost, session);
           break;
+        }
           
         case "Cash Out":
           // Remove money from currency account
-          await this.updateAccountBalance(formattedCurrency, amount, false, session);
+          if (isForeign) {
+            result.costBasisTTD = await this.getCostOfUnits(formattedCurrency, amount, session);
+          }
+          await this.updateAccountBalance(formattedCurrency, amount, false, session, context);
+          if (isForeign) await this.adjustCostBasis(formattedCurrency, -result.costBasisTTD, session);
           break;
           
         case "Buy":
-          // Remove TTD, add foreign currency
-          await this.updateAccountBalance("TTD", amountTTD, false, session);
-          await this.updateAccountBalance(formattedCurrency, amount, true, session);
+          // Remove TTD, add foreign currency at what we paid for it
+          await this.updateAccountBalance("TTD", amountTTD, false, session, context);
+          await this.updateAccountBalance(formattedCurrency, amount, true, session, context);
+          await this.adjustCostBasis(formattedCurrency, amountTTD, session);
           break;
           
         case "Sell":
-          // Remove foreign currency, add TTD
-          await this.updateAccountBalance(formattedCurrency, amount, false, session);
-          await this.updateAccountBalance("TTD", amountTTD, true, session);
+          // Remove foreign currency at its average cost, add TTD; the difference is our gain
+          result.costBasisTTD = await this.getCostOfUnits(formattedCurrency, amount, session);
+          result.realizedGainTTD = roundAmount(amountTTD - result.costBasisTTD, "TTD");
+          await this.updateAccountBalance(formattedCurrency, amount, false, session, context);
+          await this.adjustCostBasis(formattedCurrency, -result.costBasisTTD, session);
+          await this.updateAccountBalance("TTD", amountTTD, true, session, context);
           break;
+
+        case "Exchange": {
+          // Add the received currency at its TTD value, pay out the other at its average cost
+          const toCurrency = payout.toCurrency.toUpperCase();
+          result.costBasisTTD = await this.getCostOfUnits(toCurrency, payout.toAmount, session);
+          const receivedCost = amountTTD > 0 ? amountTTD : result.costBasisTTD;
+          result.realizedGainTTD = roundAmount(receivedCost - result.costBasisTTD, "TTD");
+          await this.updateAccountBalance(formattedCurrency, amount, true, session, context);
+          await this.adjustCostBasis(formattedCurrency, receivedCost, session);
+          await this.updateAccountBalance(toCurrency, payout.toAmount, false, session, context);
+          await this.adjustCostBasis(toCurrency, -result.costBasisTTD, session);
+          break;
+        }
           
         default:
           throw new Error(`Invalid transaction type: ${type}`);
       }
+
+      return result;
     } catch (error) {
       // Re-throw with more context if needed
       throw error;
@@ -174,41 +288,71 @@ class AccountService {
    * Reverses account updates for a transaction (for deletion or cancellation)
    * 
    * @async
-   * @param {string} type - Transaction type (Cash In, Cash Out, Buy, Sell)
+   * @param {string} type - Transaction type (Cash In, Cash Out, Buy, Sell, Exchange)
    * @param {string} currency - Currency code
    * @param {number} amount - Amount in specified currency
    * @param {number} amountTTD - Equivalent amount in TTD
    * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @param {Object} [ledgerContext={}] - Transaction and user details for the ledger entries
+   * @param {number|null} [costBasisTTD=null] - Cost recorded when the currency left the account
+   *   (Sell, Cash Out, Exchange); it goes back into the cost basis. Defaults to the current average cost.
+   * @param {Object} [payout={}] - Paid-out leg of an Exchange (toCurrency, toAmount)
    * @returns {Promise<void>}
    * @throws {Error} If invalid transaction type or account operation fails
    */
-  static async reverseAccountUpdates(type, currency, amount, amountTTD, session) {
+  static async reverseAccountUpdates(type, currency, amount, amountTTD, session, ledgerContext = {}, costBasisTTD = null, payout = {}) {
     try {
       // Standardize currency code
       const formattedCurrency = currency.toUpperCase();
+      const context = { description: `Reversal of ${type}`, ...ledgerContext };
+      const isForeign = formattedCurrency !== "TTD";
       
       switch (type) {
-        case "Cash In":
+        case "Cash In": {
           // Reverse Cash In: Remove money from currency account
-          await this.updateAccountBalance(formattedCurrency, amount, false, session);
+          const cost = isForeign ? await this.getCostOfUnits(formattedCurrency, amount, session) : 0;
+          await this.updateAccountBalance(formattedCurrency, amount, false, session, context);
+          if (isForeign) await this.adjustCostBasis(formattedCurrency, -cost, session);
           break;
+        }
           
-        case "Cash Out":
+        case "Cash Out": {
           // Reverse Cash Out: Add money to currency account
-          await this.updateAccountBalance(formattedCurrency, amount, true, session);
+          const cost = isForeign
+            ? costBasisTTD ?? await this.getCashInCost(formattedCurrency, amount, 0, session)
+            : 0;
+          await this.updateAccountBalance(formattedCurrency, amount, true, session, context);
+          if (isForeign) await this.adjustCostBasis(formattedCurrency, cost, session);
           break;
+        }
           
         case "Buy":
-          // Reverse Buy: Add TTD back, remove foreign currency
-          await this.updateAccountBalance("TTD", amountTTD, true, session);
-          await this.updateAccountBalance(formattedCurrency, amount, false, session);
+          // Reverse Buy: Add TTD back, remove foreign currency at what we paid for it
+          await this.updateAccountBalance("TTD", amountTTD, true, session, context);
+          await this.updateAccountBalance(formattedCurrency, amount, false, session, context);
+          await this.adjustCostBasis(formattedCurrency, -amountTTD, session);
           break;
           
-        case "Sell":
-          // Reverse Sell: Add foreign currency back, remove TTD
-          await this.updateAccountBalance(formattedCurrency, amount, true, session);
-          await this.updateAccountBalance("TTD", amountTTD, false, session);
+        case "Sell": {
+          // Reverse Sell: Add foreign currency back at the cost it left with, remove TTD
+          const cost = costBasisTTD ?? await this.getCashInCost(formattedCurrency, amount, 0, session);
+          await this.updateAccountBalance(formattedCurrency, amount, true, session, context);
+          await this.adjustCostBasis(formattedCurrency, cost, session);
+          await this.updateAccountBalance("TTD", amountTTD, false, session, context);
+          break;
+        }
+
+        case "Exchange": {
+          // Reverse Exchange: Remove the received currency, add the paid-out currency back
+          const toCurrency = payout.toCurrency.toUpperCase();
+          const outCost = costBasisTTD ?? await this.getCashInCost(toCurrency, payout.toAmount, 0, session);
+          const receivedCost = amountTTD > 0 ? amountTTD : outCost;
+          await this.updateAccountBalance(formattedCurrency, amount, false, session, context);
+          await this.adjustCostBasis(formattedCurrency, -receivedCost, session);
+          await this.updateAccountBalance(toCurrency, payout.toAmount, true, session, context);
+          await this.adjustCostBasis(toCurrency, outCost, session);
           break;
+        }
           
         default:
           throw new Error(`Cannot reverse transaction of type: ${type}`);
@@ -219,6 +363,146 @@ class AccountService {
     }
   }
 
+  /**
+   * Credit a transaction's service fees to the TTD account as fee income
+   *
+   * Each fee line gets its own ledger entry so fee income can be told apart
+   * from the cash that changed hands.
+   *
+   * @async
+   * @param {Array<Object>} fees - Fee line items (name, amountTTD)
+   * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @param {Object} [ledgerContext={}] - Transaction and user details for the ledger entries
+   * @returns {Promise<void>}
+   * @throws {Error} If the TTD account is not found
+   */
+  static async processFeeUpdates(fees = [], session, ledgerContext = {}) {
+    for (const fee of fees) {
+      if (fee.amountTTD > 0) {
+        await this.updateAccountBalance("TTD", fee.amountTTD, true, session, {
+          ...ledgerContext,
+          description: `Fee: ${fee.name}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Take a transaction's service fees back out of the TTD account (for voids)
+   *
+   * @async
+   * @param {Array<Object>} fees - Fee line items (name, amountTTD)
+   * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @param {Object} [ledgerContext={}] - Transaction and user details for the ledger entries
+   * @returns {Promise<void>}
+   * @throws {Error} If the TTD account is not found or its balance is insufficient
+   */
+  static async reverseFeeUpdates(fees = [], session, ledgerContext = {}) {
+    for (const fee of fees) {
+      if (fee.amountTTD > 0) {
+        await this.updateAccountBalance("TTD", fee.amountTTD, false, session, {
+          ...ledgerContext,
+          description: `Reversal of fee: ${fee.name}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the weighted-average cost of a number of units held in an account
+   *
+   * Selling the entire balance takes the entire cost basis, so rounding never
+   * leaves a residual cost behind on an empty account.
+   *
+   * @async
+   * @param {string} currency - Currency code
+   * @param {number} amount - Number of units leaving the account
+   * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @returns {Promise<number>} Cost of the units in TTD
+   */
+  static async getCostOfUnits(currency, amount, session) {
+    const account = await Account.findOne({ currency: currency.toUpperCase() }).session(session);
+
+    if (!account || account.balance <= 0) {
+      return 0;
+    }
+
+    if (compareAmounts(account.currency, amount, account.balance) >= 0) {
+      return roundAmount(account.costBasisTTD, "TTD");
+    }
+
+    return roundAmount(((account.costBasisTTD || 0) * amount) / account.balance, "TTD");
+  }
+
+  /**
+   * Get the cost to carry foreign currency paid in without being bought
+   *
+   * Uses the TTD equivalent recorded on the transaction if there is one, otherwise the
+   * current average cost, otherwise the current managed buy rate.
+   *
+   * @async
+   * @param {string} currency - Currency code
+   * @param {number} amount - Number of units coming in
+   * @param {number} [amountTTD] - TTD equivalent recorded on the transaction
+   * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @returns {Promise<number>} Cost of the units in TTD
+   */
+  static async getCashInCost(currency, amount, amountTTD, session) {
+    if (amountTTD > 0) {
+      return roundAmount(amountTTD, "TTD");
+    }
+
+    const account = await Account.findOne({ currency: currency.toUpperCase() }).session(session);
+    if (account && account.balance > 0 && account.costBasisTTD > 0) {
+      return roundAmount((account.costBasisTTD * amount) / account.balance, "TTD");
+    }
+
+    const rate = await ExchangeRateService.getCurrentRate(currency);
+    return rate ? roundAmount(rate.buyRate * amount, "TTD") : 0;
+  }
+
+  /**
+   * Adjust the TTD cost basis of a foreign-currency account
+   *
+   * Call after the balance has been updated. The cost basis is cleared when the
+   * balance reaches zero and never goes negative.
+   *
+   * @async
+   * @param {string} currency - Currency code
+   * @param {number} deltaTTD - TTD amount to add (positive) or remove (negative)
+   * @param {mongoose.ClientSession} session - Mongoose transaction session
+   * @returns {Promise<Account>} The updated account
+   * @throws {Error} If account not found
+   */
+  static async adjustCostBasis(currency, deltaTTD, session) {
+    const zero = addAmounts("TTD", 0);
+
+    // Worked out in the database in one update, from the balance as it stands
+    const account = await Account.findOneAndUpdate(
+      { currency: currency.toUpperCase() },
+      [
+        {
+          $set: {
+            costBasisTTD: {
+              $cond: [
+                { $gt: ["$balance", 0] },
+                { $max: [zero, { $add: [{ $ifNull: ["$costBasisTTD", zero] }, addAmounts("TTD", parseFloat(deltaTTD) || 0)] }] },
+                zero
+              ]
+            }
+          }
+        }
+      ],
+      { new: true, session }
+    );
+
+    if (!account) {
+      throw new Error(`Account for ${currency} not found`);
+    }
+
+    return account;
+  }
+
   /**
    * Gets all account balances
    * 
@@ -227,7 +511,7 @@ class AccountService {
    */
   static async getAllAccountBalances() {
     try {
-      return await Account.find({}).select('currency balance').sort({ currency: 1 });
+      return await Account.find({}).select('currency balance costBasisTTD').sort({ currency: 1 });
     } catch (error) {
       throw new Error(`Error fetching account balances: ${error.message}`);
     }
@@ -254,6 +538,55 @@ class AccountService {
     }
   }
   
+  /**
+   * Gets the ledger entries (balance movements) for an account
+   *
+   * @async
+   * @param {string} currency - Currency code
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=20] - Entries per page, at most MAX_LEDGER_PAGE_SIZE
+   * @param {string} [options.dateFrom] - Only include entries on or after this date
+   * @param {string} [options.dateTo] - Only include entries on or before this date
+   * @returns {Promise<Object>} The account, its entries (newest first), the total
+   *   count and the page and page size used
+   * @throws {Error} If page or limit is not a positive whole number, or account not found
+   */
+  static async getAccountLedger(currency, { page = 1, limit = 20, dateFrom, dateTo } = {}) {
+    const pageNumber = parsePositiveInteger("page", page);
+    const pageSize = Math.min(parsePositiveInteger("limit", limit), MAX_LEDGER_PAGE_SIZE);
+
+    const account = await this.getAccount(currency);
+
+    const filter = { account: account._id };
+
+    // Date range filter
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) {
+        // Set end of day for dateTo
+        const endDate = new Date(dateTo);
+        endDate.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = endDate;
+      }
+    }
+
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .populate("transaction", "reference type status customerName")
+        .populate("createdBy", "userName fullName")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    return { account, entries, total, page: pageNumber, limit: pageSize };
+  }
+
   /**
    * Create a new account if it doesn't exist
    * 
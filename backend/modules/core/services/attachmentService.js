@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Attachment Service - Manages files attached to transactions
+ *
+ * This service checks uploaded files against the size, type and per-transaction
+ * limits, saves them through the configured storage driver, and lists, reads
+ * and deletes the attachments of a transaction.
+ *
+ * @module services/attachmentService
+ * @requires crypto
+ * @requires path
+ * @requires mongoose
+ * @requires models/attachment
+ * @requires models/transaction
+ * @requires services/settingsService
+ * @requires helpers/attachmentStorage
+ */
+
+import crypto from "crypto";
+import path from "path";
+import mongoose from "mongoose";
+import Attachment, { ATTACHMENT_TYPES } from "../models/attachment.js";
+import Transaction from "../models/transaction.js";
+import SettingsService from "./settingsService.js";
+import { getStorage, getStorageDriverName } from "../helpers/attachmentStorage.js";
+
+/**
+ * Largest file in megabytes when config_attachmentMaxSizeMB is not set
+ * @private
+ * @type {number}
+ */
+const DEFAULT_MAX_SIZE_MB = 10;
+
+/**
+ * Most files per transaction when config_attachmentMaxPerTransaction is not set
+ * @private
+ * @type {number}
+ */
+const DEFAULT_MAX_PER_TRANSACTION = 10;
+
+/**
+ * Leading bytes that identify each accepted file type. The type is taken from
+ * the contents rather than the name or the Content-Type header, so a renamed
+ * file is refused.
+ * @private
+ * @type {Array<{contentType: string, matches: function(Buffer): boolean}>}
+ */
+const SIGNATURES = [
+  {
+    contentType: "image/jpeg",
+    matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))
+  },
+  {
+    contentType: "image/png",
+    matches: (buffer) =>
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    contentType: "image/webp",
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+      buffer.subarray(8, 12).toString("latin1") === "WEBP"
+  },
+  {
+    contentType: "application/pdf",
+    matches: (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-"
+  }
+];
+
+/**
+ * Attachment service containing functions for transaction attachments
+ */
+class AttachmentService {
+  /**
+   * Get the configured attachment limits
+   *
+   * @async
+   * @returns {Promise<{maxBytes: number, maxPerTransaction: number}>} The limits
+   */
+  static async getLimits() {
+    const maxSizeMB = parseFloat(
+      await SettingsService.getSettingOrDefault("config_attachmentMaxSizeMB", DEFAULT_MAX_SIZE_MB)
+    );
+    const maxPerTransaction = parseInt(
+      await SettingsService.getSettingOrDefault(
+        "config_attachmentMaxPerTransaction",
+        DEFAULT_MAX_PER_TRANSACTION
+      ),
+      10
+    );
+
+    return {
+      maxBytes: Math.round((maxSizeMB > 0 ? maxSizeMB : DEFAULT_MAX_SIZE_MB) * 1024 * 1024),
+      maxPerTransaction: maxPerTransaction > 0 ? maxPerTransaction : DEFAULT_MAX_PER_TRANSACTION
+    };
+  }
+
+  /**
+   * Work out a file's type from its contents
+   *
+   * @param {Buffer} buffer - File contents
+   * @returns {string|null} Content type, or null if it is not an accepted type
+   */
+  static detectContentType(buffer) {
+    const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+    return signature ? signature.contentType : null;
+  }
+
+  /**
+   * Find a transaction that attachments are being read or added to
+   *
+   * @private
+   * @async
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Transaction>} The transaction
+   * @throws {Error} If the ID is invalid or the transaction does not exist
+   */
+  static async findTransaction(transactionId) {
+    if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+      throw new Error("Invalid transaction ID format");
+    }
+
+    const transaction = await Transaction.findById(transactionId).select("_id reference");
+    if (!transaction) {
+      throw new Error("Transaction not found");
+    }
+    return transaction;
+  }
+
+  /**
+   * Attach a file to a transaction
+   *
+   * The file is saved before its record is created, and removed again if the
+   * record cannot be created, so a listed attachment always has its file.
+   *
+   * @async
+   * @param {Object} params - Upload parameters
+   * @param {string} params.transactionId - Transaction to attach the file to
+   * @param {Buffer} params.buffer - File contents
+   * @param {string} params.fileName - Name of the file as uploaded
+   * @param {string} [params.description] - What the file is
+   * @param {string} params.userId - User uploading the file
+   * @returns {Promise<Attachment>} The new attachment
+   * @throws {Error} If the file is empty, too large, of a type that is not
+   *                 accepted, or the transaction already has the most files allowed
+   */
+  static async uploadAttachment({ transactionId, buffer, fileName, description, userId }) {
+    const transaction = await AttachmentService.findTransaction(transactionId);
+    const { maxBytes, maxPerTransaction } = await AttachmentService.getLimits();
+
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new Error("Invalid attachment: the file is empty");
+    }
+    if (buffer.length > maxBytes) {
+      throw new Error(
+        `Invalid attachment: files can be at most ${(maxBytes / (1024 * 1024)).toFixed(1)} MB`
+      );
+    }
+
+    const contentType = AttachmentService.detectContentType(buffer);
+    if (!contentType) {
+      const accepted = Object.values(ATTACHMENT_TYPES).map(({ label }) => label).join(", ");
+      throw new Error(`Invalid attachment: accepted file types are ${accepted}`);
+    }
+
+    const existing = await Attachment.countDocuments({ transaction: transaction._id });
+    if (existing >= maxPerTransaction) {
+      throw new Error(
+        `Invalid attachment: a transaction can have at most ${maxPerTransaction} attachments`
+      );
+    }
+
+    const { extension } = ATTACHMENT_TYPES[contentType];
+    const name = path.basename(String(fileName || "").trim()) || `${transaction.reference}${extension}`;
+    const storageDriver = getStorageDriverName();
+    const storage = getStorage(storageDriver);
+    const storageKey = `${transaction._id}/${crypto.randomUUID()}${extension}`;
+
+    await storage.save(storageKey, buffer);
+
+    try {
+      return await Attachment.create({
+        transaction: transaction._id,
+        fileName: name,
+        contentType,
+        size: buffer.length,
+        sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+        storageDriver,
+        storageKey,
+        description: description ? String(description) : undefined,
+        uploadedBy: userId
+      });
+    } catch (error) {
+      await storage.remove(storageKey).catch((removeError) => {
+        console.error("Error removing attachment file after failed upload:", removeError);
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a transaction's attachments, oldest first
+   *
+   * @async
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Array<Attachment>>} The attachments with who uploaded them
+   * @throws {Error} If the transaction does not exist
+   */
+  static async listAttachments(transactionId) {
+    const transaction = await AttachmentService.findTransaction(transactionId);
+
+    return Attachment.find({ transaction: transaction._id })
+      .populate("uploadedBy", "userName fullName")
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Get one attachment of a transaction
+   *
+   * @async
+   * @param {string} transactionId - Transaction ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Attachment>} The attachment
+   * @throws {Error} If the attachment does not exist or belongs to another transaction
+   */
+  static async getAttachment(transactionId, attachmentId) {
+    if (
+      !mongoose.Types.ObjectId.isValid(transactionId) ||
+      !mongoose.Types.ObjectId.isValid(attachmentId)
+    ) {
+      throw new Error("Invalid attachment ID format");
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: attachmentId,
+      transaction: transactionId
+    });
+    if (!attachment) {
+      throw new Error("Attachment not found");
+    }
+    return attachment;
+  }
+
+  /**
+   * Open an attachment's file for reading
+   *
+   * @async
+   * @param {Attachment} attachment - The attachment
+   * @returns {Promise<import("stream").Readable>} Stream of the file contents
+   * @throws {Error} If the file is missing from storage
+   */
+  static async openAttachment(attachment) {
+    return getStorage(attachment.storageDriver).createReadStream(attachment.storageKey);
+  }
+
+  /**
+   * Delete an attachment and its file
+   *
+   * The record is removed first; a file that then fails to delete is only
+   * logged, since it is no longer reachable.
+   *
+   * @async
+   * @param {Attachment} attachment - The attachment
+   * @returns {Promise<void>}
+   */
+  static async deleteAttachment(attachment) {
+    await Attachment.deleteOne({ _id: attachment._id });
+
+    try {
+      await getStorage(attachment.storageDriver).remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Error removing attachment file ${attachment.storageKey}:`, error);
+    }
+  }
+
+  /**
+   * Delete every attachment of the given transactions, for transactions that
+   * are removed outright (such as when an import is undone)
+   *
+   * @async
+   * @param {Array<string>} transactionIds - Transaction IDs
+   * @returns {Promise<number>} Number of attachments deleted
+   */
+  static async deleteTransactionAttachments(transactionIds) {
+    const attachments = await Attachment.find({ transaction: { $in: transactionIds } });
+
+    for (const attachment of attachments) {
+      await AttachmentService.deleteAttachment(attachment);
+    }
+    return attachments.length;
+  }
+}
+
+export default AttachmentService;
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Currency Service - Manages the currency registry
+ *
+ * This service maintains the currencies the business deals in, with the minor
+ * units each one's amounts are kept to, and keeps the in-memory copy used for
+ * rounding and formatting (helpers/currencyUnits) in step with the database.
+ *
+ * @module services/currencyService
+ * @requires models/currency
+ * @requires models/account
+ * @requires helpers/currencyUnits
+ * @requires services/accountService
+ */
+
+import Currency from "../models/currency.js";
+import Account from "../models/account.js";
+import { setCurrencyRegistry, DEFAULT_MINOR_UNITS } from "../helpers/currencyUnits.js";
+import AccountService from "./accountService.js";
+
+/**
+ * Currencies registered on first start
+ * @private
+ * @type {Array<Object>}
+ */
+const DEFAULT_CURRENCIES = [
+  { code: "TTD", name: "Trinidad and Tobago Dollar", symbol: "TT$", minorUnits: 2 },
+  { code: "USD", name: "US Dollar", symbol: "$", minorUnits: 2 },
+  { code: "EUR", name: "Euro", symbol: "€", minorUnits: 2 },
+  { code: "GBP", name: "British Pound", symbol: "£", minorUnits: 2 },
+  { code: "CAD", name: "Canadian Dollar", symbol: "$", minorUnits: 2 },
+  { code: "JPY", name: "Japanese Yen", symbol: "¥", minorUnits: 0 },
+  { code: "BTC", name: "Bitcoin", symbol: "₿", minorUnits: 8 },
+  { code: "ETH", name: "Ether", symbol: "Ξ", minorUnits: 8 }
+];
+
+/**
+ * Fields an admin may set on a currency (the code never changes)
+ * @private
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = ["name", "symbol", "minorUnits", "isActive"];
+
+/**
+ * Currency service containing functions for the currency registry
+ */
+class CurrencyService {
+  /**
+   * Register the default currencies and any account currency that is missing,
+   * then load the registry into memory
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  static async initializeCurrencies() {
+    for (const currency of DEFAULT_CURRENCIES) {
+      const exists = await Currency.exists({ code: currency.code });
+      if (!exists) {
+        await Currency.create(currency);
+      }
+    }
+
+    // Accounts opened before the registry existed keep the old two decimals
+    const accountCurrencies = await Account.distinct("currency");
+    for (const code of accountCurrencies) {
+      const exists = await Currency.exists({ code });
+      if (!exists) {
+        await Currency.create({ code, name: code, minorUnits: DEFAULT_MINOR_UNITS });
+      }
+    }
+
+    await this.loadRegistry();
+  }
+
+  /**
+   * Reload the in-memory registry from the database
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  static async loadRegistry() {
+    const currencies = await Currency.find({}).lean();
+    setCurrencyRegistry(currencies);
+  }
+
+  /**
+   * Get the registered currencies
+   *
+   * @async
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.activeOnly=false] - Only return active currencies
+   * @returns {Promise<Array<Currency>>} Currencies ordered by code
+   */
+  static async listCurrencies({ activeOnly = false } = {}) {
+    const filter = activeOnly ? { isActive: true } : {};
+    return Currency.find(filter).sort({ code: 1 });
+  }
+
+  /**
+   * Get one currency by code
+   *
+   * @async
+   * @param {string} code - Currency code
+   * @returns {Promise<Currency>} The currency
+   * @throws {Error} If the currency is not registered
+   */
+  static async getCurrency(code) {
+    const currency = await Currency.findOne({ code: String(code || "").toUpperCase() });
+    if (!currency) {
+      throw new Error(`Currency ${code} not found`);
+    }
+    return currency;
+  }
+
+  /**
+   * Register a new currency and open its account
+   *
+   * @async
+   * @param {Object} data - Currency details (code, name, symbol, minorUnits, isActive)
+   * @param {string} userId - Admin adding the currency
+   * @returns {Promise<Currency>} The new currency
+   */
+  static async createCurrency(data, userId) {
+    const currency = await Currency.create({
+      code: data.code,
+      ...this.pickCurrency(data),
+      updatedBy: userId
+    });
+
+    await AccountService.createAccount(currency.code);
+    await this.loadRegistry();
+
+    return currency;
+  }
+
+  /**
+   * Change a registered currency
+   *
+   * Fewer minor units are refused while the account holds a balance that
+   * would no longer fit them.
+   *
+   * @async
+   * @param {string} code - Currency code
+   * @param {Object} data - Fields to change (name, symbol, minorUnits, isActive)
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Currency>} The updated currency
+   * @throws {Error} If the currency is not registered or the balance does not fit
+   */
+  static async updateCurrency(code, data, userId) {
+    const currency = await this.getCurrency(code);
+    const changes = this.pickCurrency(data);
+
+    if (changes.minorUnits !== undefined && changes.minorUnits < currency.minorUnits) {
+      const account = await Account.findOne({ currency: currency.code });
+      const fits = !account || parseFloat(account.balance.toFixed(changes.minorUnits)) === account.balance;
+      if (!fits) {
+        throw new Error(
+          `Invalid minor units: the ${currency.code} balance of ${account.balance} has more than ${changes.minorUnits} decimal places`
+        );
+      }
+    }
+
+    currency.set(changes);
+    currency.updatedBy = userId;
+    await currency.save();
+    await this.loadRegistry();
+
+    return currency;
+  }
+
+  /**
+   * Pick the editable fields from a request body
+   *
+   * @private
+   * @param {Object} data - Submitted fields
+   * @returns {Object} Editable fields that were given
+   */
+  static pickCurrency(data = {}) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        picked[field] = field === "minorUnits" ? Number(data[field]) : data[field];
+      }
+    }
+    return picked;
+  }
+}
+
+export default CurrencyService;
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Customer Service - Manages the customer registry
+ *
+ * This service registers customers with their KYC identity records, searches the
+ * registry, resolves the customer a new transaction belongs to, and merges
+ * duplicate records of the same person so their transactions share one history.
+ *
+ * @module services/customerService
+ * @requires mongoose
+ * @requires models/customer
+ * @requires models/transaction
+ * @requires helpers/currencyUnits
+ */
+
+import mongoose from "mongoose";
+import Customer from "../models/customer.js";
+import Transaction from "../models/transaction.js";
+import { roundAmount } from "../helpers/currencyUnits.js";
+
+/**
+ * Fields a user may set on a customer record
+ * @private
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = [
+  "fullName",
+  "email",
+  "phone",
+  "dateOfBirth",
+  "address",
+  "idType",
+  "idNumber",
+  "idExpiry",
+  "notes"
+];
+
+/**
+ * Escape a string for use inside a regular expression
+ *
+ * @private
+ * @param {string} value - Raw search text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Customer service containing functions for the customer registry
+ */
+class CustomerService {
+  /**
+   * Pick the editable fields from a request body
+   *
+   * @param {Object} data - Submitted customer details
+   * @returns {Object} Details limited to the editable fields; blank values become null
+   */
+  static pickDetails(data = {}) {
+    const details = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        details[field] = data[field] === "" ? null : data[field];
+      }
+    }
+    return details;
+  }
+
+  /**
+   * Register a customer
+   *
+   * @async
+   * @param {Object} data - Customer details and identity record
+   * @param {string} userId - User registering the customer
+   * @returns {Promise<Customer>} The new customer
+   * @throws {Error} If the details are invalid; a duplicate ID fails with code 11000
+   */
+  static async createCustomer(data, userId) {
+    const details = CustomerService.pickDetails(data);
+
+    if (!details.fullName?.trim()) {
+      throw new Error("Invalid customer: name is required");
+    }
+    if (details.idNumber && !details.idType) {
+      throw new Error("Invalid customer: ID type is required with an ID number");
+    }
+
+    return Customer.create({ ...details, createdBy: userId });
+  }
+
+  /**
+   * Update a customer's details
+   *
+   * @async
+   * @param {string} customerId - Customer to update
+   * @param {Object} data - Changed details
+   * @returns {Promise<Customer>} The updated customer
+   * @throws {Error} If the customer does not exist or has been merged
+   */
+  static async updateCustomer(customerId, data) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+    if (customer.status === "Merged") {
+      throw new Error("Invalid customer: this record was merged into another customer");
+    }
+
+    Object.assign(customer, CustomerService.pickDetails(data));
+    if (!customer.fullName?.trim()) {
+      throw new Error("Invalid customer: name is required");
+    }
+
+    return customer.save();
+  }
+
+  /**
+   * Search the registry by name, email, phone or ID number
+   *
+   * @async
+   * @param {Object} options - Search options
+   * @param {string} [options.q] - Search text
+   * @param {string} [options.status="Active"] - Record status, or "all"
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} Matching customers and pagination info
+   */
+  static async searchCustomers({ q, status = "Active", page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status && status !== "all") filter.status = status;
+
+    if (q?.trim()) {
+      const pattern = { $regex: escapeRegex(q.trim()), $options: "i" };
+      filter.$or = [
+        { fullName: pattern },
+        { email: pattern },
+        { phone: pattern },
+        { idNumber: pattern }
+      ];
+    }
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20;
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .populate("mergedInto", "fullName")
+        .sort({ fullName: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Customer.countDocuments(filter)
+    ]);
+
+    return {
+      customers,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    };
+  }
+
+  /**
+   * Get a customer with their transaction history
+   *
+   * @async
+   * @param {string} customerId - Customer to load
+   * @returns {Promise<Object>} The customer, their recent transactions and totals per currency
+   * @throws {Error} If the customer does not exist
+   */
+  static async getCustomerProfile(customerId) {
+    const customer = await Customer.findById(customerId)
+      .populate("mergedInto", "fullName")
+      .populate("createdBy", "userName fullName");
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    const [transactions, totals] = await Promise.all([
+      Transaction.find({ customerId: customer._id })
+        .select("reference type status amount currency toCurrency toAmount amountTTD createdAt")
+        .sort({ createdAt: -1 })
+        .limit(50),
+      Transaction.aggregate([
+        { $match: { customerId: customer._id, status: { $in: ["Completed", "Refunded"] } } },
+        {
+          $group: {
+            _id: "$currency",
+            count: { $sum: 1 },
+            totalAmount: { $sum: "$amount" },
+            totalTTD: { $sum: "$amountTTD" }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    return {
+      customer,
+      transactions,
+      totals: totals.map((line) => ({
+        currency: line._id,
+        count: line.count,
+        totalAmount: roundAmount(line.totalAmount, line._id),
+        totalTTD: roundAmount(line.totalTTD, "TTD")
+      }))
+    };
+  }
+
+  /**
+   * Resolve the customer a new transaction is for
+   *
+   * @async
+   * @param {string} customerId - Selected customer
+   * @param {mongoose.ClientSession} [session=null] - MongoDB session for transactions
+   * @returns {Promise<Customer>} The active customer, following a merge if the record was merged
+   * @throws {Error} If the customer does not exist
+   */
+  static async resolveCustomer(customerId, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      throw new Error("Invalid customer ID");
+    }
+
+    let customer = await Customer.findById(customerId).session(session);
+    if (customer?.status === "Merged" && customer.mergedInto) {
+      customer = await Customer.findById(customer.mergedInto).session(session);
+    }
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    return customer;
+  }
+
+  /**
+   * Merge duplicate records of one person into a surviving customer
+   *
+   * The survivor takes over the duplicates' transactions and any details it is
+   * missing. The duplicates are kept as Merged records pointing at the survivor.
+   *
+   * @async
+   * @param {string} targetId - Customer that survives the merge
+   * @param {Array<string>} sourceIds - Duplicate customers to merge into it
+   * @param {string} userId - User performing the merge
+   * @returns {Promise<Object>} The survivor and the number of transactions moved
+   * @throws {Error} If any customer is missing, already merged or the same as the target
+   */
+  static async mergeCustomers(targetId, sourceIds, userId) {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      throw new Error("Invalid merge: select at least one customer to merge");
+    }
+    if (sourceIds.some((id) => String(id) === String(targetId))) {
+      throw new Error("Invalid merge: a customer cannot be merged into itself");
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const target = await Customer.findById(targetId).session(session);
+      if (!target) {
+        throw new Error("Customer not found");
+      }
+      if (target.status === "Merged") {
+        throw new Error("Invalid merge: the target customer was itself merged into another record");
+      }
+
+      const sources = await Customer.find({ _id: { $in: sourceIds } }).session(session);
+      if (sources.length !== sourceIds.length) {
+        throw new Error("Customer to merge not found");
+      }
+      if (sources.some((source) => source.status === "Merged")) {
+        throw new Error("Invalid merge: one of the customers has already been merged");
+      }
+
+      // Fill the survivor's blanks from the duplicates, oldest record first
+      sources.sort((a, b) => a.createdAt - b.createdAt);
+      for (const source of sources) {
+        for (const field of EDITABLE_FIELDS) {
+          if (!target[field] && source[field]) {
+            target[field] = source[field];
+          }
+        }
+      }
+
+      const mergedNames = sources.map((source) => source.fullName).join(", ");
+      const mergeNote = `Merged ${mergedNames} on ${new Date().toISOString().split("T")[0]}`;
+      target.notes = target.notes ? `${target.notes}\n${mergeNote}` : mergeNote;
+
+      // Duplicates may carry the same ID document, so retire them before saving the survivor
+      await Customer.updateMany(
+        { _id: { $in: sourceIds } },
+        { $set: { status: "Merged", mergedInto: target._id } },
+        { session }
+      );
+
+      // Earlier merges into the duplicates now point at the survivor
+      await Customer.updateMany(
+        { mergedInto: { $in: sourceIds } },
+        { $set: { mergedInto: target._id } },
+        { session }
+      );
+
+      await target.save({ session });
+
+      const moved = await Transaction.updateMany(
+        { customerId: { $in: sourceIds } },
+        { $set: { customerId: target._id } },
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      console.log(`Customers ${sourceIds.join(", ")} merged into ${target._id} by ${userId}`);
+
+      return { customer: target, transactionsMoved: moved.modifiedCount };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+export default CustomerService;
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Day Close Service - Manages end-of-day closes
+ *
+ * This service closes and reopens business dates, snapshots account balances
+ * and daily totals at close, and guards transactions dated on a closed day
+ * against changes. Business dates follow the server's local time.
+ *
+ * @module services/dayCloseService
+ * @requires csv-writer
+ * @requires models/dayClose
+ * @requires models/account
+ * @requires models/ledgerEntry
+ * @requires models/transaction
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ */
+
+import { createObjectCsvStringifier } from "csv-writer";
+import DayClose from "../models/dayClose.js";
+import Account from "../models/account.js";
+import LedgerEntry from "../models/ledgerEntry.js";
+import Transaction from "../models/transaction.js";
+import { formatAmount as money } from "../helpers/currencyUnits.js";
+import { addAmounts, subtractAmounts } from "../helpers/money.js";
+
+/**
+ * Day close service containing functions for end-of-day management
+ */
+class DayCloseService {
+  /**
+   * Get the business date a point in time falls on
+   *
+   * @param {Date} [date=new Date()] - Point in time
+   * @returns {string} Business date (YYYY-MM-DD, server local time)
+   */
+  static toBusinessDate(date = new Date()) {
+    const value = new Date(date);
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get the start and end of a business date
+   *
+   * @param {string} businessDate - Business date (YYYY-MM-DD)
+   * @returns {Object} start and end of the day as Dates
+   * @throws {Error} If the date is not a valid YYYY-MM-DD date
+   */
+  static getDayRange(businessDate) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(businessDate || "")) {
+      throw new Error("Invalid business date: use the YYYY-MM-DD format");
+    }
+
+    const start = new Date(`${businessDate}T00:00:00`);
+    if (isNaN(start) || this.toBusinessDate(start) !== businessDate) {
+      throw new Error(`Invalid business date: ${businessDate}`);
+    }
+
+    const end = new Date(start);
+    end.setHours(23, 59, 59, 999);
+
+    return { start, end };
+  }
+
+  /**
+   * Refuse a change to a transaction dated on a closed day
+   *
+   * @async
+   * @param {Date} date - Date of the transaction being created or changed
+   * @param {mongoose.ClientSession} [session=null] - MongoDB session for transactions
+   * @returns {Promise<void>}
+   * @throws {Error} If the business date is closed
+   */
+  static async assertDayOpen(date, session = null) {
+    const businessDate = this.toBusinessDate(date);
+    const closed = await DayClose.exists({ businessDate, status: "Closed" }).session(session);
+
+    if (closed) {
+      throw new Error(
+        `Business day ${businessDate} is closed. An admin must reopen it before transactions dated that day can change`
+      );
+    }
+  }
+
+  /**
+   * Snapshot account balances and totals for a business date
+   *
+   * Closing balances are worked back from the current balance using the ledger
+   * entries made after the day, so past days can be closed late.
+   *
+   * @async
+   * @param {string} businessDate - Business date (YYYY-MM-DD)
+   * @returns {Promise<Object>} balances, totals and transactionCount
+   */
+  static async buildSnapshot(businessDate) {
+    const { start, end } = this.getDayRange(businessDate);
+
+    const [accounts, movements, totals] = await Promise.all([
+      Account.find().select("currency balance").sort({ currency: 1 }).lean(),
+      LedgerEntry.aggregate([
+        { $match: { createdAt: { $gte: start } } },
+        {
+          $group: {
+            _id: { currency: "$currency", inDay: { $lte: ["$createdAt", end] } },
+            credits: { $sum: { $cond: [{ $eq: ["$entryType", "credit"] }, "$amount", 0] } },
+            debits: { $sum: { $cond: [{ $eq: ["$entryType", "debit"] }, "$amount", 0] } }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            // Same rules as the transaction summary: voids and their reversals cancel out,
+            // refunds are netted off and pending transactions haven't moved balances
+            status: { $nin: ["Cancelled", "Pending"] },
+            reversalOf: null,
+            refundOf: null
+          }
+        },
+        {
+          $addFields: {
+            amount: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] },
+            amountTTD: { $subtract: ["$amountTTD", { $ifNull: ["$refundedAmountTTD", 0] }] },
+            toAmount: { $subtract: ["$toAmount", { $ifNull: ["$refundedToAmount", 0] }] }
+          }
+        },
+        {
+          $group: {
+            _id: { type: "$type", currency: "$currency", toCurrency: "$toCurrency" },
+            count: { $sum: 1 },
+            totalAmount: { $sum: "$amount" },
+            totalToAmount: { $sum: { $ifNull: ["$toAmount", 0] } },
+            totalTTD: { $sum: { $ifNull: ["$amountTTD", 0] } }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            type: "$_id.type",
+            currency: "$_id.currency",
+            toCurrency: { $ifNull: ["$_id.toCurrency", null] },
+            count: 1,
+            totalAmount: 1,
+            totalToAmount: 1,
+            totalTTD: 1
+          }
+        },
+        { $sort: { currency: 1, type: 1 } }
+      ])
+    ]);
+
+    const findMovement = (currency, inDay) =>
+      movements.find((item) => item._id.currency === currency && item._id.inDay === inDay) ||
+      { credits: 0, debits: 0 };
+
+    // Worked out exactly from the stored decimals so the snapshot matches the ledger to the cent
+    const balances = accounts.map(({ currency, balance }) => {
+      const day = findMovement(currency, true);
+      const after = findMovement(currency, false);
+      const closingBalance = subtractAmounts(currency, addAmounts(currency, balance, after.debits), after.credits);
+
+      return {
+        currency,
+        openingBalance: subtractAmounts(currency, addAmounts(currency, closingBalance, day.debits), day.credits),
+        credits: addAmounts(currency, day.credits),
+        debits: addAmounts(currency, day.debits),
+        closingBalance
+      };
+    });
+
+    return {
+      balances,
+      totals,
+      transactionCount: totals.reduce((sum, line) => sum + line.count, 0)
+    };
+  }
+
+  /**
+   * Close a business date
+   *
+   * @async
+   * @param {string} businessDate - Business date (YYYY-MM-DD)
+   * @param {string} userId - Admin closing the day
+   * @returns {Promise<DayClose>} The day close with its snapshot
+   * @throws {Error} If the date is invalid, in the future, already closed or has pending transactions
+   */
+  static async closeDay(businessDate, userId) {
+    const { start, end } = this.getDayRange(businessDate);
+
+    if (start > new Date()) {
+      throw new Error("Invalid business date: a day cannot be closed before it starts");
+    }
+
+    const existing = await DayClose.findOne({ businessDate });
+    if (existing?.status === "Closed") {
+      throw new Error(`Invalid request: business day ${businessDate} is already closed`);
+    }
+
+    // Held transactions would change the day's figures once approved
+    const pending = await Transaction.countDocuments({
+      createdAt: { $gte: start, $lte: end },
+      status: "Pending"
+    });
+    if (pending > 0) {
+      throw new Error(
+        `Invalid request: ${pending} pending transaction${pending === 1 ? "" : "s"} dated ${businessDate} must be approved or rejected before the day can be closed`
+      );
+    }
+
+    const snapshot = await this.buildSnapshot(businessDate);
+    const dayClose = existing || new DayClose({ businessDate });
+
+    Object.assign(dayClose, snapshot, {
+      status: "Closed",
+      closedBy: userId,
+      closedAt: new Date()
+    });
+    dayClose.history.push({ action: "Closed", user: userId });
+
+    return dayClose.save();
+  }
+
+  /**
+   * Reopen a closed business date
+   *
+   * @async
+   * @param {string} businessDate - Business date (YYYY-MM-DD)
+   * @param {string} userId - Admin reopening the day
+   * @param {string} reason - Why the day is being reopened
+   * @returns {Promise<DayClose>} The reopened day close
+   * @throws {Error} If no reason is given or the day is not closed
+   */
+  static async reopenDay(businessDate, userId, reason) {
+    this.getDayRange(businessDate);
+
+    if (!reason?.trim()) {
+      throw new Error("Invalid request: a reason is required to reopen a day");
+    }
+
+    const dayClose = await DayClose.findOne({ businessDate });
+    if (!dayClose) {
+      throw new Error(`Day close for ${businessDate} not found`);
+    }
+    if (dayClose.status !== "Closed") {
+      throw new Error(`Invalid request: business day ${businessDate} is not closed`);
+    }
+
+    dayClose.status = "Reopened";
+    dayClose.history.push({ action: "Reopened", user: userId, reason: reason.trim() });
+
+    return dayClose.save();
+  }
+
+  /**
+   * Build the CSV version of the daily close report
+   *
+   * @param {Object} dayClose - The day close
+   * @returns {string} CSV with a balances section followed by a totals section
+   */
+  static generateCsv(dayClose) {
+    const balances = createObjectCsvStringifier({
+      header: [
+        { id: "currency", title: "Currency" },
+        { id: "openingBalance", title: "Opening Balance" },
+        { id: "credits", title: "Credits" },
+        { id: "debits", title: "Debits" },
+        { id: "closingBalance", title: "Closing Balance" }
+      ]
+    });
+
+    const totals = createObjectCsvStringifier({
+      header: [
+        { id: "currency", title: "Currency" },
+        { id: "type", title: "Type" },
+        { id: "count", title: "Count" },
+        { id: "totalAmount", title: "Amount" },
+        { id: "toCurrency", title: "Payout Currency" },
+        { id: "totalToAmount", title: "Payout Amount" },
+        { id: "totalTTD", title: "Amount (TTD)" }
+      ]
+    });
+
+    return [
+      `Daily Close,${dayClose.businessDate},${dayClose.status}\n`,
+      "\nAccount Balances\n",
+      balances.getHeaderString(),
+      balances.stringifyRecords(dayClose.balances.map((line) => ({
+        currency: line.currency,
+        openingBalance: money(line.openingBalance, line.currency),
+        credits: money(line.credits, line.currency),
+        debits: money(line.debits, line.currency),
+        closingBalance: money(line.closingBalance, line.currency)
+      }))),
+      "\nTotals by Currency and Type\n",
+      totals.getHeaderString(),
+      totals.stringifyRecords(dayClose.totals.map((line) => ({
+        currency: line.currency,
+        type: line.type,
+        count: line.count,
+        totalAmount: money(line.totalAmount, line.currency),
+        toCurrency: line.toCurrency || "",
+        totalToAmount: line.toCurrency ? money(line.totalToAmount, line.toCurrency) : "",
+        totalTTD: money(line.totalTTD, "TTD")
+      })))
+    ].join("");
+  }
+}
+
+export default DayCloseService;
@@ -9,12 +9,14 @@
  * @requires dotenv
  * @requires models/transaction
  * @requires services/pdfService
+ * @requires helpers/currencyUnits
  */
 
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 import Transaction from "../models/transaction.js";
 import { generateTransactionPDF } from "./pdfService.js";
+import { formatAmount } from "../helpers/currencyUnits.js";
 
 // Load environment variables
 dotenv.config();
@@ -258,7 +260,7 @@ export const generateReceiptEmailContent = (transaction) => {
   } = transaction;
 
   const formattedDate = new Date(createdAt).toLocaleString();
-  const formattedAmount = `${currency} ${amount.toFixed(2)}`;
+  const formattedAmount = `${currency} ${formatAmount(amount, currency)}`;
 
   return `
 Dear ${customerName},
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Exchange Rate Service - Manages the exchange-rate table
+ *
+ * This service handles versioned buy/sell rates per currency, looks up the rate
+ * in effect at a given time, and decides which rate a transaction should use.
+ *
+ * @module services/exchangeRateService
+ * @requires models/exchangeRate
+ * @requires services/settingsService
+ */
+
+import ExchangeRate from "../models/exchangeRate.js";
+import SettingsService from "./settingsService.js";
+
+/**
+ * Default tolerance (percent) for manual rate overrides by non-admin users
+ * @constant {number}
+ */
+const DEFAULT_OVERRIDE_TOLERANCE = 2;
+
+/**
+ * Exchange rate service containing functions for rate management
+ */
+class ExchangeRateService {
+  /**
+   * Get the rate version in effect for a currency
+   *
+   * @async
+   * @param {string} currency - Currency code
+   * @param {Date} [at=new Date()] - Point in time to look up
+   * @returns {Promise<ExchangeRate|null>} The rate version, or null if none is set
+   */
+  static async getCurrentRate(currency, at = new Date()) {
+    return ExchangeRate.findOne({
+      currency: currency.toUpperCase(),
+      effectiveFrom: { $lte: at }
+    }).sort({ effectiveFrom: -1, version: -1 });
+  }
+
+  /**
+   * Get the rates currently in effect for every currency
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} Current rate version per currency
+   */
+  static async getCurrentRates() {
+    return ExchangeRate.aggregate([
+      { $match: { effectiveFrom: { $lte: new Date() } } },
+      { $sort: { effectiveFrom: -1, version: -1 } },
+      { $group: { _id: "$currency", rate: { $first: "$$ROOT" } } },
+      { $replaceRoot: { newRoot: "$rate" } },
+      { $sort: { currency: 1 } }
+    ]);
+  }
+
+  /**
+   * Get every rate version for a currency, newest first
+   *
+   * @async
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array<ExchangeRate>>} Rate history
+   */
+  static async getRateHistory(currency) {
+    return ExchangeRate.find({ currency: currency.toUpperCase() })
+      .populate("createdBy", "userName fullName")
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Create a new rate version for a currency
+   *
+   * @async
+   * @param {Object} data - Rate details
+   * @param {string} data.currency - Currency code
+   * @param {number} data.buyRate - Buy rate in TTD
+   * @param {number} data.sellRate - Sell rate in TTD
+   * @param {Date} [data.effectiveFrom] - When the rates take effect (defaults to now)
+   * @param {string} [data.notes] - Note about the change
+   * @param {string} userId - Admin creating the rates
+   * @returns {Promise<ExchangeRate>} The new rate version
+   * @throws {Error} If the rates are invalid
+   */
+  static async createRate({ currency, buyRate, sellRate, effectiveFrom, notes }, userId) {
+    this.validateRates(currency, buyRate, sellRate);
+
+    const formattedCurrency = currency.toUpperCase();
+    const latest = await ExchangeRate.findOne({ currency: formattedCurrency })
+      .sort({ version: -1 })
+      .select("version");
+
+    return ExchangeRate.create({
+      currency: formattedCurrency,
+      buyRate: parseFloat(buyRate),
+      sellRate: parseFloat(sellRate),
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      version: (latest?.version || 0) + 1,
+      notes,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Update a rate version that has not taken effect yet
+   *
+   * @async
+   * @param {string} id - Rate version ID
+   * @param {Object} updates - Fields to change (buyRate, sellRate, effectiveFrom, notes)
+   * @returns {Promise<ExchangeRate>} The updated rate version
+   * @throws {Error} If not found, already in effect, or the rates are invalid
+   */
+  static async updateScheduledRate(id, { buyRate, sellRate, effectiveFrom, notes }) {
+    const rate = await ExchangeRate.findById(id);
+    if (!rate) {
+      throw new Error("Exchange rate not found");
+    }
+
+    // Rates that have taken effect are part of the history and may have been used
+    if (rate.effectiveFrom <= new Date()) {
+      throw new Error("Invalid request: rates already in effect cannot be changed; add a new rate instead");
+    }
+
+    if (buyRate !== undefined) rate.buyRate = parseFloat(buyRate);
+    if (sellRate !== undefined) rate.sellRate = parseFloat(sellRate);
+    if (effectiveFrom !== undefined) rate.effectiveFrom = new Date(effectiveFrom);
+    if (notes !== undefined) rate.notes = notes;
+
+    this.validateRates(rate.currency, rate.buyRate, rate.sellRate);
+
+    return rate.save();
+  }
+
+  /**
+   * Delete a rate version that has not taken effect yet
+   *
+   * @async
+   * @param {string} id - Rate version ID
+   * @returns {Promise<void>}
+   * @throws {Error} If not found or already in effect
+   */
+  static async deleteScheduledRate(id) {
+    const rate = await ExchangeRate.findById(id);
+    if (!rate) {
+      throw new Error("Exchange rate not found");
+    }
+
+    if (rate.effectiveFrom <= new Date()) {
+      throw new Error("Invalid request: rates already in effect cannot be deleted");
+    }
+
+    await rate.deleteOne();
+  }
+
+  /**
+   * Decide which rate a Buy or Sell transaction uses
+   *
+   * Uses the current buy rate for Buy and the sell rate for Sell. A manually entered
+   * rate is accepted if it is within the configured tolerance of the standard rate,
+   * or if the user is an admin.
+   *
+   * @async
+   * @param {string} type - Transaction type (Buy or Sell)
+   * @param {string} currency - Currency code
+   * @param {number|null} requestedRate - Rate entered by the user, if any
+   * @param {boolean} isAdmin - Whether the user may override beyond the tolerance
+   * @returns {Promise<Object>} exchangeRate, exchangeRateVersion and rateOverridden
+   * @throws {Error} If no rate is available or the override is outside the tolerance
+   */
+  static async resolveTransactionRate(type, currency, requestedRate, isAdmin) {
+    const current = await this.getCurrentRate(currency);
+
+    // Currencies without a managed rate still accept a manual rate
+    if (!current) {
+      if (!requestedRate) {
+        throw new Error(`Invalid exchange rate: no rate has been set for ${currency.toUpperCase()}`);
+      }
+      return { exchangeRate: requestedRate, exchangeRateVersion: null, rateOverridden: true };
+    }
+
+    const standardRate = type === "Buy" ? current.buyRate : current.sellRate;
+
+    if (!requestedRate || requestedRate === standardRate) {
+      return { exchangeRate: standardRate, exchangeRateVersion: current._id, rateOverridden: false };
+    }
+
+    const tolerance = parseFloat(
+      await SettingsService.getSettingOrDefault("config_rateOverrideTolerance", DEFAULT_OVERRIDE_TOLERANCE)
+    );
+    const deviation = (Math.abs(requestedRate - standardRate) / standardRate) * 100;
+
+    if (!isAdmin && deviation > tolerance) {
+      throw new Error(
+        `Invalid exchange rate: ${requestedRate} is ${deviation.toFixed(2)}% away from the current ${type.toLowerCase()} rate of ${standardRate} (allowed: ${tolerance}%)`
+      );
+    }
+
+    return { exchangeRate: requestedRate, exchangeRateVersion: current._id, rateOverridden: true };
+  }
+
+  /**
+   * Decide the rate used to value the received leg of an Exchange in TTD
+   *
+   * The received currency is valued at the current buy rate, as if we had bought it.
+   * Without a managed rate the leg has no TTD value and carries the cost of what was paid out.
+   *
+   * @async
+   * @param {string} currency - Currency received from the customer
+   * @returns {Promise<Object>} exchangeRate (0 if none is set), exchangeRateVersion and rateOverridden
+   */
+  static async resolveExchangeValuation(currency) {
+    const current = await this.getCurrentRate(currency);
+
+    return {
+      exchangeRate: current ? current.buyRate : 0,
+      exchangeRateVersion: current ? current._id : null,
+      rateOverridden: false
+    };
+  }
+
+  /**
+   * Validate a pair of rates
+   *
+   * @param {string} currency - Currency code
+   * @param {number} buyRate - Buy rate
+   * @param {number} sellRate - Sell rate
+   * @throws {Error} If the rates are missing or inconsistent
+   */
+  static validateRates(currency, buyRate, sellRate) {
+    if (!currency) {
+      throw new Error("Invalid rate: currency is required");
+    }
+    if (currency.toUpperCase() === "TTD") {
+      throw new Error("Invalid rate: TTD is the base currency");
+    }
+    if (isNaN(buyRate) || buyRate <= 0 || isNaN(sellRate) || sellRate <= 0) {
+      throw new Error("Invalid rate: buy and sell rates must be positive numbers");
+    }
+    if (parseFloat(sellRate) < parseFloat(buyRate)) {
+      throw new Error("Invalid rate: sell rate cannot be lower than buy rate");
+    }
+  }
+}
+
+export default ExchangeRateService;
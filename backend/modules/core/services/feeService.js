@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Fee Service - Manages the service fee schedule
+ *
+ * This service maintains the fee rules per transaction type and currency and
+ * works out the fees a new transaction is charged. Fees are charged in TTD and
+ * kept on the transaction as separate line items.
+ *
+ * @module services/feeService
+ * @requires mongoose
+ * @requires models/feeRule
+ * @requires models/account
+ * @requires helpers/transactionValidation
+ * @requires services/exchangeRateService
+ */
+
+import mongoose from "mongoose";
+import FeeRule, { FEE_METHODS } from "../models/feeRule.js";
+import Account from "../models/account.js";
+import { TRANSACTION_TYPES } from "../helpers/transactionValidation.js";
+import ExchangeRateService from "./exchangeRateService.js";
+
+/**
+ * Fields an admin may set on a fee rule
+ * @private
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = [
+  "name",
+  "transactionType",
+  "currency",
+  "method",
+  "flatAmount",
+  "percentage",
+  "tiers",
+  "minimumFee",
+  "maximumFee",
+  "active"
+];
+
+/**
+ * Round an amount to cents
+ *
+ * @private
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Read an optional number from a request body
+ *
+ * @private
+ * @param {*} value - Submitted value
+ * @returns {number|null} The number, or null if blank
+ */
+const optionalNumber = (value) =>
+  value === undefined || value === null || value === "" ? null : parseFloat(value);
+
+/**
+ * Fee service containing functions for the fee schedule
+ */
+class FeeService {
+  /**
+   * Pick and normalise the editable fields of a fee rule from a request body
+   *
+   * @param {Object} data - Submitted fee rule
+   * @returns {Object} Fee rule fields
+   */
+  static pickRule(data = {}) {
+    const rule = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        rule[field] = data[field];
+      }
+    }
+
+    if (rule.currency !== undefined) {
+      rule.currency = rule.currency ? String(rule.currency).trim().toUpperCase() : null;
+    }
+    for (const field of ["flatAmount", "percentage", "minimumFee", "maximumFee"]) {
+      if (rule[field] !== undefined) {
+        rule[field] = optionalNumber(rule[field]);
+      }
+    }
+    if (rule.tiers !== undefined) {
+      rule.tiers = (Array.isArray(rule.tiers) ? rule.tiers : []).map((tier) => ({
+        upTo: optionalNumber(tier.upTo),
+        method: tier.method,
+        value: optionalNumber(tier.value)
+      }));
+    }
+    return rule;
+  }
+
+  /**
+   * Check a fee rule is complete and consistent
+   *
+   * @async
+   * @param {Object} rule - Fee rule fields
+   * @returns {Promise<void>}
+   * @throws {Error} If the rule is invalid
+   */
+  static async validateRule(rule) {
+    if (!rule.name?.trim()) {
+      throw new Error("Invalid fee rule: name is required");
+    }
+    if (!TRANSACTION_TYPES.includes(rule.transactionType)) {
+      throw new Error(`Invalid fee rule: transaction type must be one of ${TRANSACTION_TYPES.join(", ")}`);
+    }
+    if (rule.currency && !(await Account.exists({ currency: rule.currency }))) {
+      throw new Error(`Invalid fee rule: there is no ${rule.currency} account`);
+    }
+    if (!FEE_METHODS.includes(rule.method)) {
+      throw new Error(`Invalid fee rule: method must be one of ${FEE_METHODS.join(", ")}`);
+    }
+
+    const isAmount = (value) => typeof value === "number" && !isNaN(value) && value >= 0;
+    const isPercentage = (value) => isAmount(value) && value <= 100;
+
+    if (rule.method === "Flat" && !isAmount(rule.flatAmount)) {
+      throw new Error("Invalid fee rule: a flat fee needs a TTD amount of 0 or more");
+    }
+    if (rule.method === "Percentage" && !isPercentage(rule.percentage)) {
+      throw new Error("Invalid fee rule: a percentage fee needs a percentage from 0 to 100");
+    }
+    if (rule.method === "Tiered") {
+      if (!rule.tiers?.length) {
+        throw new Error("Invalid fee rule: a tiered fee needs at least one tier");
+      }
+      rule.tiers.forEach((tier, index) => {
+        const isLast = index === rule.tiers.length - 1;
+        if (tier.upTo === null && !isLast) {
+          throw new Error("Invalid fee rule: only the last tier can be open-ended");
+        }
+        if (tier.upTo !== null && (!isAmount(tier.upTo) || (index > 0 && tier.upTo <= rule.tiers[index - 1].upTo))) {
+          throw new Error("Invalid fee rule: tier limits must go up from one tier to the next");
+        }
+        if (!["Flat", "Percentage"].includes(tier.method)) {
+          throw new Error("Invalid fee rule: each tier is either Flat or Percentage");
+        }
+        if (tier.method === "Flat" ? !isAmount(tier.value) : !isPercentage(tier.value)) {
+          throw new Error(`Invalid fee rule: tier ${index + 1} needs a ${tier.method === "Flat" ? "TTD amount of 0 or more" : "percentage from 0 to 100"}`);
+        }
+      });
+    }
+    if (
+      rule.minimumFee !== null && rule.minimumFee !== undefined &&
+      rule.maximumFee !== null && rule.maximumFee !== undefined &&
+      rule.minimumFee > rule.maximumFee
+    ) {
+      throw new Error("Invalid fee rule: the minimum fee cannot be more than the maximum");
+    }
+  }
+
+  /**
+   * List the fee schedule
+   *
+   * @async
+   * @returns {Promise<Array<FeeRule>>} Rules by transaction type, all-currencies rule first
+   */
+  static async listRules() {
+    return FeeRule.find()
+      .populate("updatedBy", "userName fullName")
+      .sort({ transactionType: 1, currency: 1 });
+  }
+
+  /**
+   * Add a fee rule
+   *
+   * @async
+   * @param {Object} data - Submitted fee rule
+   * @param {string} userId - Admin adding it
+   * @returns {Promise<FeeRule>} The new rule
+   * @throws {Error} If the rule is invalid; a second rule for the same type and
+   *   currency fails with code 11000
+   */
+  static async createRule(data, userId) {
+    const rule = FeeService.pickRule(data);
+    if (rule.currency === undefined) rule.currency = null;
+    await FeeService.validateRule(rule);
+
+    return FeeRule.create({ ...rule, updatedBy: userId });
+  }
+
+  /**
+   * Change a fee rule; transactions already charged keep the fees they were charged
+   *
+   * @async
+   * @param {string} ruleId - Fee rule ID
+   * @param {Object} data - Changed fields
+   * @param {string} userId - Admin changing it
+   * @returns {Promise<FeeRule>} The updated rule
+   * @throws {Error} If the rule is not found or the result is invalid
+   */
+  static async updateRule(ruleId, data, userId) {
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      throw new Error("Invalid fee rule ID format");
+    }
+
+    const feeRule = await FeeRule.findById(ruleId);
+    if (!feeRule) {
+      throw new Error("Fee rule not found");
+    }
+
+    feeRule.set(FeeService.pickRule(data));
+    await FeeService.validateRule(feeRule.toObject());
+    feeRule.updatedBy = userId;
+
+    return feeRule.save();
+  }
+
+  /**
+   * Remove a fee rule
+   *
+   * @async
+   * @param {string} ruleId - Fee rule ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the rule is not found
+   */
+  static async deleteRule(ruleId) {
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      throw new Error("Invalid fee rule ID format");
+    }
+
+    const feeRule = await FeeRule.findByIdAndDelete(ruleId);
+    if (!feeRule) {
+      throw new Error("Fee rule not found");
+    }
+  }
+
+  /**
+   * Find the rule that applies to a transaction type and currency: the active
+   * rule for the currency, otherwise the active all-currencies rule
+   *
+   * @async
+   * @param {string} type - Transaction type
+   * @param {string} currency - Currency code
+   * @param {mongoose.ClientSession} [session=null] - MongoDB session
+   * @returns {Promise<FeeRule|null>} The rule, or null if no fee applies
+   */
+  static async findRule(type, currency, session = null) {
+    const rules = await FeeRule.find({
+      transactionType: type,
+      currency: { $in: [currency.toUpperCase(), null] },
+      active: true
+    }).session(session);
+
+    return rules.find((rule) => rule.currency) || rules[0] || null;
+  }
+
+  /**
+   * Work out the fee one rule charges
+   *
+   * @param {FeeRule} rule - Fee rule
+   * @param {number} amount - Transaction amount in its own currency (selects the tier)
+   * @param {function(): Promise<number>} getValueTTD - Resolves the transaction's TTD value
+   * @returns {Promise<Object|null>} Fee line item, or null if the fee comes to nothing
+   */
+  static async calculateRuleFee(rule, amount, getValueTTD) {
+    let method = rule.method;
+    let value = rule.method === "Flat" ? rule.flatAmount : rule.percentage;
+
+    if (rule.method === "Tiered") {
+      const tier = rule.tiers.find((band) => band.upTo === null || amount <= band.upTo);
+      if (!tier) return null;
+      method = tier.method;
+      value = tier.value;
+    }
+
+    let amountTTD = method === "Flat" ? value : ((await getValueTTD()) * value) / 100;
+
+    // Limits apply to fees that vary with the amount
+    if (rule.method !== "Flat") {
+      if (rule.minimumFee !== null && rule.minimumFee !== undefined) {
+        amountTTD = Math.max(amountTTD, rule.minimumFee);
+      }
+      if (rule.maximumFee !== null && rule.maximumFee !== undefined) {
+        amountTTD = Math.min(amountTTD, rule.maximumFee);
+      }
+    }
+
+    amountTTD = round(amountTTD);
+    if (amountTTD <= 0) return null;
+
+    return {
+      feeRule: rule._id,
+      name: rule.name,
+      method,
+      percentage: method === "Percentage" ? value : null,
+      amountTTD
+    };
+  }
+
+  /**
+   * Work out the fees a new transaction is charged
+   *
+   * Percentage fees are a share of the transaction's TTD value: its TTD amount,
+   * the amount itself for TTD, or otherwise the amount at the current buy rate.
+   *
+   * @async
+   * @param {Object} transaction - Transaction fields
+   * @param {string} transaction.type - Transaction type
+   * @param {string} transaction.currency - Currency code
+   * @param {number} transaction.amount - Amount in the transaction currency
+   * @param {number} [transaction.amountTTD] - TTD value, if known
+   * @param {mongoose.ClientSession} [session=null] - MongoDB session
+   * @returns {Promise<Object>} fees (line items) and feeTotalTTD
+   * @throws {Error} If a percentage fee applies and the transaction has no TTD value
+   */
+  static async calculateFees({ type, currency, amount, amountTTD }, session = null) {
+    const rule = await FeeService.findRule(type, currency, session);
+    if (!rule) {
+      return { fees: [], feeTotalTTD: 0 };
+    }
+
+    const numericAmount = parseFloat(amount);
+    const getValueTTD = async () => {
+      if (parseFloat(amountTTD) > 0) return parseFloat(amountTTD);
+      if (currency.toUpperCase() === "TTD") return numericAmount;
+
+      const { exchangeRate } = await ExchangeRateService.resolveExchangeValuation(currency.toUpperCase());
+      if (!exchangeRate) {
+        throw new Error(
+          `Invalid transaction: the ${rule.name} is a percentage of the TTD value. Enter the TTD amount or set a ${currency.toUpperCase()} rate`
+        );
+      }
+      return numericAmount * exchangeRate;
+    };
+
+    const fee = await FeeService.calculateRuleFee(rule, numericAmount, getValueTTD);
+    const fees = fee ? [fee] : [];
+
+    return {
+      fees,
+      feeTotalTTD: round(fees.reduce((sum, line) => sum + line.amountTTD, 0))
+    };
+  }
+}
+
+export default FeeService;
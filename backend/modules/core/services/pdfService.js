@@ -1,14 +1,16 @@
 /**
  * @fileoverview PDF Service - Handles PDF generation
  * 
- * This service provides PDF document generation for transaction receipts
- * and other documents in the application.
+ * This service provides PDF document generation for transaction receipts,
+ * till close-out reports, daily close reports and other documents in the application.
  * 
  * @module services/pdfService
  * @requires pdfkit
+ * @requires helpers/currencyUnits
  */
 
 import PDFDocument from 'pdfkit';
+import { formatAmount, formatDisplayAmount } from '../helpers/currencyUnits.js';
 
 /**
  * Generate a PDF receipt for a transaction
@@ -23,6 +25,15 @@ import PDFDocument from 'pdfkit';
  * @param {string} transaction.currency - Currency code
  * @param {number} transaction.amountTTD - Equivalent amount in TTD
  * @param {string} transaction.notes - Transaction notes
+ * @param {string} [transaction.status] - Transaction status
+ * @param {Date} [transaction.voidedAt] - When the transaction was voided
+ * @param {string} [transaction.voidReason] - Why the transaction was voided
+ * @param {number} [transaction.refundedAmount] - Total refunded against the transaction
+ * @param {string} [transaction.toCurrency] - Currency paid out (Exchange)
+ * @param {number} [transaction.toAmount] - Amount paid out (Exchange)
+ * @param {number} [transaction.crossRate] - Units of toCurrency per unit received (Exchange)
+ * @param {Array<Object>} [transaction.fees] - Service fee line items (name, amountTTD)
+ * @param {number} [transaction.feeTotalTTD] - Total of the service fees in TTD
  * @param {Date} transaction.createdAt - Transaction creation date
  * @returns {Promise<Buffer>} The generated PDF as a buffer
  * @throws {Error} If PDF generation fails
@@ -67,16 +78,37 @@ export const generateTransactionPDF = async (transaction) => {
         currency,
         amountTTD,
         notes,
+        status,
+        voidedAt,
+        voidReason,
+        refundedAmount,
+        toCurrency,
+        toAmount,
+        crossRate,
+        fees = [],
+        feeTotalTTD,
         createdAt
       } = transaction;
 
       // Format date
       const formattedDate = new Date(createdAt).toLocaleString();
+      const isVoided = status === 'Cancelled' && !!voidedAt;
       
       // Add company logo/header
       doc.fontSize(20).text('Transaction Receipt', { align: 'center' });
       doc.moveDown();
 
+      // Mark voided transactions clearly at the top of the receipt
+      if (isVoided) {
+        doc.fillColor('#B91C1C')
+          .fontSize(28)
+          .text('VOID', { align: 'center' })
+          .fontSize(10)
+          .text(`Voided on ${new Date(voidedAt).toLocaleString()}${voidReason ? ` - ${voidReason}` : ''}`, { align: 'center' })
+          .fillColor('black');
+        doc.moveDown();
+      }
+
       // Add a line
       doc.strokeColor('#aaaaaa')
         .lineWidth(1)
@@ -100,10 +132,36 @@ export const generateTransactionPDF = async (transaction) => {
       doc.moveDown(0.5);
       doc.text(`Type: ${type}`);
       doc.moveDown(0.5);
-      doc.text(`Amount: ${currency} ${amount.toFixed(2)}`);
-      if (amountTTD) {
+      if (isVoided) {
+        doc.text('Status: VOID');
+        doc.moveDown(0.5);
+      }
+      if (type === 'Exchange') {
+        // Both legs; the TTD valuation is internal and not shown to the customer
+        doc.text(`Received: ${currency} ${formatAmount(amount, currency)}`);
+        doc.moveDown(0.5);
+        doc.text(`Paid Out: ${toCurrency} ${formatAmount(toAmount, toCurrency)}`);
+        doc.moveDown(0.5);
+        doc.text(`Cross Rate: 1 ${currency} = ${crossRate} ${toCurrency}`);
+      } else {
+        doc.text(`Amount: ${currency} ${formatAmount(amount, currency)}`);
+      }
+      if (amountTTD && type !== 'Exchange') {
+        doc.moveDown(0.5);
+        doc.text(`Amount (TTD): TTD ${formatAmount(amountTTD, 'TTD')}`);
+      }
+      // Service fees, each on its own line
+      for (const fee of fees) {
+        doc.moveDown(0.5);
+        doc.text(`${fee.name}${fee.percentage ? ` (${fee.percentage}%)` : ''}: TTD ${formatAmount(fee.amountTTD, 'TTD')}`);
+      }
+      if (fees.length > 1) {
         doc.moveDown(0.5);
-        doc.text(`Amount (TTD): TTD ${amountTTD.toFixed(2)}`);
+        doc.text(`Total Fees: TTD ${formatAmount(feeTotalTTD, 'TTD')}`);
+      }
+      if (refundedAmount > 0) {
+        doc.moveDown(0.5);
+        doc.text(`Refunded: ${currency} ${formatAmount(refundedAmount, currency)}${status === 'Refunded' ? ' (full)' : ' (partial)'}`);
       }
       
       // Right column
@@ -152,6 +210,292 @@ export const generateTransactionPDF = async (transaction) => {
   });
 };
 
+/**
+ * Generate the close-out report for a till session
+ * 
+ * @async
+ * @param {Object} tillSession - The closed till session (user and closedBy populated)
+ * @param {Array<Object>} transactions - Transactions created in the session
+ * @returns {Promise<Buffer>} The generated PDF as a buffer
+ * @throws {Error} If PDF generation fails
+ */
+export const generateTillCloseOutPDF = async (tillSession, transactions = []) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ 
+        margin: 50,
+        size: 'A4',
+        info: {
+          Title: 'Till Close-Out Report',
+          Author: 'Transaction Management System',
+          Subject: 'Till Close-Out Report',
+          Keywords: 'till, cash drawer, close-out, variance'
+        }
+      });
+
+      // Collection for data chunks
+      const buffers = [];
+
+      // Collect data chunks
+      doc.on('data', buffer => buffers.push(buffer));
+      
+      // Resolve with the buffer when done
+      doc.on('end', () => {
+        const pdfBuffer = Buffer.concat(buffers);
+        resolve(pdfBuffer);
+      });
+
+      // Handle errors
+      doc.on('error', err => reject(err));
+
+      // Header
+      doc.fontSize(20).text('Till Close-Out Report', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11);
+      doc.text(`Teller: ${tillSession.user?.fullName || tillSession.user?.userName || 'Unknown'}`);
+      doc.text(`Opened: ${new Date(tillSession.openedAt).toLocaleString()}`);
+      doc.text(`Closed: ${new Date(tillSession.closedAt).toLocaleString()}${tillSession.closedBy ? ` by ${tillSession.closedBy.fullName || tillSession.closedBy.userName}` : ''}`);
+      doc.text(`Transactions: ${tillSession.transactionCount}`);
+      doc.moveDown();
+
+      // Add a line
+      doc.strokeColor('#aaaaaa')
+        .lineWidth(1)
+        .moveTo(50, doc.y)
+        .lineTo(550, doc.y)
+        .stroke();
+      doc.moveDown();
+
+      // Drawer figures per currency
+      doc.fontSize(14).text('Cash Count');
+      doc.moveDown(0.5);
+
+      const columns = [50, 130, 230, 330, 430];
+      let y = doc.y;
+      doc.fontSize(10);
+      ['Currency', 'Opening Float', 'Expected', 'Counted', 'Variance'].forEach((heading, index) => {
+        doc.text(heading, columns[index], y);
+      });
+      doc.moveDown(0.5);
+
+      tillSession.currencies.forEach((line) => {
+        y = doc.y;
+        doc.fillColor('black');
+        doc.text(line.currency, columns[0], y);
+        doc.text(formatDisplayAmount(line.openingFloat, line.currency), columns[1], y);
+        doc.text(formatDisplayAmount(line.expected, line.currency), columns[2], y);
+        doc.text(formatDisplayAmount(line.counted, line.currency), columns[3], y);
+        // Shortages in red, overages in green
+        doc.fillColor(line.variance < 0 ? '#B91C1C' : line.variance > 0 ? '#15803D' : 'black');
+        doc.text(`${line.variance > 0 ? '+' : ''}${formatDisplayAmount(line.variance, line.currency)}`, columns[4], y);
+        doc.fillColor('black');
+        doc.moveDown(0.3);
+      });
+
+      if (tillSession.closingNotes) {
+        doc.moveDown();
+        doc.fontSize(11).text(`Closing notes: ${tillSession.closingNotes}`, 50);
+      }
+
+      // Transactions in the session
+      doc.moveDown();
+      doc.fontSize(14).text('Transactions', 50);
+      doc.moveDown(0.5);
+      doc.fontSize(9);
+
+      if (transactions.length === 0) {
+        doc.text('No transactions were recorded in this session.');
+      }
+
+      transactions.forEach((transaction) => {
+        // Start a new page if we're near the bottom
+        if (doc.y > 750) {
+          doc.addPage();
+        }
+
+        const amount = transaction.type === 'Exchange'
+          ? `${transaction.currency} ${formatDisplayAmount(transaction.amount, transaction.currency)} > ${transaction.toCurrency} ${formatDisplayAmount(transaction.toAmount, transaction.toCurrency)}`
+          : `${transaction.currency} ${formatDisplayAmount(transaction.amount, transaction.currency)}`;
+        const label = transaction.reversalOf ? ' (reversal)' : transaction.refundOf ? ' (refund)' : '';
+
+        y = doc.y;
+        doc.text(new Date(transaction.createdAt).toLocaleTimeString(), 50, y);
+        doc.text(transaction.reference, 110, y);
+        doc.text(`${transaction.type}${label}`, 230, y);
+        doc.text(amount, 330, y);
+        doc.text(transaction.status, 490, y);
+        doc.moveDown(0.3);
+      });
+
+      // Sign-off
+      doc.moveDown(2);
+      doc.fontSize(10)
+        .text('Teller signature: ______________________', 50)
+        .moveDown()
+        .text('Supervisor signature: __________________', 50)
+        .moveDown(1)
+        .fontSize(8)
+        .text(`This report was generated on ${new Date().toLocaleString()}`, { align: 'center' });
+
+      // Finalize the PDF
+      doc.end();
+    } catch (error) {
+      console.error('Error generating till close-out PDF:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate the daily close report for a business date
+ * 
+ * @async
+ * @param {Object} dayClose - The day close (closedBy and history users populated)
+ * @returns {Promise<Buffer>} The generated PDF as a buffer
+ * @throws {Error} If PDF generation fails
+ */
+export const generateDayClosePDF = async (dayClose) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ 
+        margin: 50,
+        size: 'A4',
+        info: {
+          Title: `Daily Close Report - ${dayClose.businessDate}`,
+          Author: 'Transaction Management System',
+          Subject: 'Daily Close Report',
+          Keywords: 'daily close, end of day, balances'
+        }
+      });
+
+      // Collection for data chunks
+      const buffers = [];
+
+      // Collect data chunks
+      doc.on('data', buffer => buffers.push(buffer));
+      
+      // Resolve with the buffer when done
+      doc.on('end', () => {
+        const pdfBuffer = Buffer.concat(buffers);
+        resolve(pdfBuffer);
+      });
+
+      // Handle errors
+      doc.on('error', err => reject(err));
+
+      // Header
+      doc.fontSize(20).text('Daily Close Report', { align: 'center' });
+      doc.fontSize(14).text(dayClose.businessDate, { align: 'center' });
+      doc.moveDown();
+
+      if (dayClose.status === 'Reopened') {
+        doc.fillColor('#B45309')
+          .fontSize(12)
+          .text('REOPENED - figures are from the last close and may have changed', { align: 'center' })
+          .fillColor('black');
+        doc.moveDown();
+      }
+
+      doc.fontSize(11);
+      doc.text(`Closed: ${new Date(dayClose.closedAt).toLocaleString()}${dayClose.closedBy ? ` by ${dayClose.closedBy.fullName || dayClose.closedBy.userName}` : ''}`);
+      doc.text(`Transactions: ${dayClose.transactionCount}`);
+      doc.moveDown();
+
+      // Add a line
+      doc.strokeColor('#aaaaaa')
+        .lineWidth(1)
+        .moveTo(50, doc.y)
+        .lineTo(550, doc.y)
+        .stroke();
+      doc.moveDown();
+
+      // Account balances
+      doc.fontSize(14).text('Account Balances', 50);
+      doc.moveDown(0.5);
+      doc.fontSize(10);
+
+      const balanceColumns = [50, 130, 240, 340, 440];
+      let y = doc.y;
+      ['Currency', 'Opening', 'Credits', 'Debits', 'Closing'].forEach((heading, index) => {
+        doc.text(heading, balanceColumns[index], y);
+      });
+      doc.moveDown(0.5);
+
+      dayClose.balances.forEach((line) => {
+        y = doc.y;
+        doc.text(line.currency, balanceColumns[0], y);
+        doc.text(formatDisplayAmount(line.openingBalance, line.currency), balanceColumns[1], y);
+        doc.text(formatDisplayAmount(line.credits, line.currency), balanceColumns[2], y);
+        doc.text(formatDisplayAmount(line.debits, line.currency), balanceColumns[3], y);
+        doc.text(formatDisplayAmount(line.closingBalance, line.currency), balanceColumns[4], y);
+        doc.moveDown(0.3);
+      });
+
+      // Totals by currency and type
+      doc.moveDown();
+      doc.fontSize(14).text('Totals by Currency and Type', 50);
+      doc.moveDown(0.5);
+      doc.fontSize(10);
+
+      const totalColumns = [50, 120, 200, 250, 380];
+      y = doc.y;
+      ['Currency', 'Type', 'Count', 'Amount', 'Amount (TTD)'].forEach((heading, index) => {
+        doc.text(heading, totalColumns[index], y);
+      });
+      doc.moveDown(0.5);
+
+      if (dayClose.totals.length === 0) {
+        doc.text('No transactions on this day.', 50);
+      }
+
+      dayClose.totals.forEach((line) => {
+        // Start a new page if we're near the bottom
+        if (doc.y > 750) {
+          doc.addPage();
+        }
+
+        const amount = line.toCurrency
+          ? `${formatDisplayAmount(line.totalAmount, line.currency)} > ${line.toCurrency} ${formatDisplayAmount(line.totalToAmount, line.toCurrency)}`
+          : formatDisplayAmount(line.totalAmount, line.currency);
+
+        y = doc.y;
+        doc.text(line.currency, totalColumns[0], y);
+        doc.text(line.type, totalColumns[1], y);
+        doc.text(String(line.count), totalColumns[2], y);
+        doc.text(amount, totalColumns[3], y);
+        doc.text(formatDisplayAmount(line.totalTTD, 'TTD'), totalColumns[4], y);
+        doc.moveDown(0.3);
+      });
+
+      // Close and reopen history
+      if (dayClose.history.length > 1) {
+        doc.moveDown();
+        doc.fontSize(14).text('History', 50);
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+
+        dayClose.history.forEach((event) => {
+          const who = event.user?.fullName || event.user?.userName || 'Unknown';
+          doc.text(`${new Date(event.at).toLocaleString()} - ${event.action} by ${who}${event.reason ? `: ${event.reason}` : ''}`, 50);
+          doc.moveDown(0.3);
+        });
+      }
+
+      // Footer
+      doc.moveDown(2);
+      doc.fontSize(8)
+        .text(`This report was generated on ${new Date().toLocaleString()}`, 50, doc.y, { align: 'center' });
+
+      // Finalize the PDF
+      doc.end();
+    } catch (error) {
+      console.error('Error generating daily close PDF:', error);
+      reject(error);
+    }
+  });
+};
+
 /**
  * Generate a generic PDF document
  * 
@@ -211,5 +555,7 @@ export const generateGenericPDF = async (title, content, options = {}) => {
 
 export default { 
   generateTransactionPDF,
+  generateTillCloseOutPDF,
+  generateDayClosePDF,
   generateGenericPDF
 };
\ No newline at end of file
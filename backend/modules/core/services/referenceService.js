@@ -0,0 +1,438 @@
+/**
+ * @fileoverview Reference Service - Numbers transactions in gap-free sequences
+ *
+ * Transaction references are built from an admin-configured format: a template
+ * such as "{PREFIX}-{BRANCH}-{FY}-{SEQ}" together with the prefix, branch code,
+ * sequence padding, the period after which numbering starts again and the
+ * month the fiscal year starts in. With the defaults the 123rd transaction of
+ * fiscal year 2026 at branch 01 is POS-01-2026-000123.
+ *
+ * Numbers come from a counter per numbering scope (see models/referenceCounter)
+ * that is incremented inside the caller's transaction session. Two tellers
+ * taking a number at the same moment make one transaction fail with a write
+ * conflict, which is run again (see helpers/transactionRetry); an aborted
+ * transaction takes its increment with it, so no number is skipped.
+ *
+ * Imported history is kept out of the sequence: rows that come without a
+ * reference of their own are numbered per import instead (IMP<import>-<row>),
+ * so back-dated rows never take live numbers and undoing an import leaves no
+ * gaps.
+ *
+ * @module services/referenceService
+ * @requires models/referenceCounter
+ * @requires services/settingsService
+ */
+
+import ReferenceCounter from "../models/referenceCounter.js";
+import SettingsService from "./settingsService.js";
+
+/**
+ * Setting the reference format is kept in
+ * @private
+ * @type {string}
+ */
+const SETTING_KEY = "config_referenceFormat";
+
+/**
+ * Scope of the counter that numbers imports. Reference scopes never contain
+ * braces, so no reference format can share it.
+ * @private
+ * @type {string}
+ */
+const IMPORT_SCOPE = "IMP{IMPORT}-{ROW}";
+
+/**
+ * Periods after which numbering starts again from 1
+ * @type {Array<string>}
+ */
+export const RESET_PERIODS = ["never", "fiscalYear", "year", "month", "day"];
+
+/**
+ * Format used until an admin configures one
+ * @type {Object}
+ */
+export const DEFAULT_REFERENCE_FORMAT = {
+  template: "{PREFIX}-{BRANCH}-{FY}-{SEQ}",
+  prefix: "POS",
+  branchCode: "01",
+  padding: 6,
+  resetPeriod: "fiscalYear",
+  fiscalYearStartMonth: 1
+};
+
+/**
+ * Fields an admin may set on the reference format
+ * @private
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = Object.keys(DEFAULT_REFERENCE_FORMAT);
+
+/**
+ * Longest template accepted
+ * @private
+ * @type {number}
+ */
+const MAX_TEMPLATE_LENGTH = 60;
+
+/**
+ * Date parts a template can show. A fiscal year is named after the calendar
+ * year it ends in, so with an October start FY2026 runs October 2025 to
+ * September 2026.
+ * @private
+ * @type {Object<string, function(Date, number): string>}
+ */
+const DATE_TOKENS = {
+  FY: (date, startMonth) => String(fiscalYearOf(date, startMonth)),
+  FYY: (date, startMonth) => String(fiscalYearOf(date, startMonth)).slice(-2),
+  YYYY: (date) => String(date.getFullYear()),
+  YY: (date) => String(date.getFullYear()).slice(-2),
+  MM: (date) => String(date.getMonth() + 1).padStart(2, "0"),
+  DD: (date) => String(date.getDate()).padStart(2, "0")
+};
+
+/**
+ * Every token a template can contain
+ * @private
+ * @type {Array<string>}
+ */
+const TOKENS = ["PREFIX", "BRANCH", "SEQ", ...Object.keys(DATE_TOKENS)];
+
+/**
+ * Date parts that name a year (calendar or fiscal)
+ * @private
+ * @type {Array<string>}
+ */
+const YEAR_TOKENS = ["FY", "FYY", "YYYY", "YY"];
+
+/**
+ * Fiscal year a date falls in, named after the calendar year it ends in
+ *
+ * @private
+ * @param {Date} date - Date
+ * @param {number} startMonth - Month the fiscal year starts in (1-12)
+ * @returns {number} Fiscal year
+ */
+function fiscalYearOf(date, startMonth) {
+  const year = date.getFullYear();
+  return startMonth > 1 && date.getMonth() + 1 >= startMonth ? year + 1 : year;
+}
+
+/**
+ * Date parts that cannot change within one reset period
+ *
+ * @private
+ * @param {Object} format - Reference format
+ * @returns {Array<string>} Date tokens
+ */
+function fixedDateTokens({ resetPeriod, fiscalYearStartMonth }) {
+  // A January fiscal year is the calendar year
+  const calendarFiscalYear = fiscalYearStartMonth === 1;
+
+  switch (resetPeriod) {
+    case "fiscalYear":
+      return calendarFiscalYear ? YEAR_TOKENS : ["FY", "FYY"];
+    case "year":
+      return calendarFiscalYear ? YEAR_TOKENS : ["YYYY", "YY"];
+    case "month":
+      return [...YEAR_TOKENS, "MM"];
+    case "day":
+      return Object.keys(DATE_TOKENS);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Reset period a date falls in, named the same whichever date parts the
+ * template shows it with
+ *
+ * @private
+ * @param {Object} format - Reference format
+ * @param {Date} date - Date
+ * @returns {string} Period, e.g. "FY2026" or "2026-03"; empty if numbering never resets
+ */
+function periodOf({ resetPeriod, fiscalYearStartMonth }, date) {
+  const year = DATE_TOKENS.YYYY(date);
+
+  switch (resetPeriod) {
+    case "fiscalYear":
+      // A January fiscal year is the calendar year
+      return fiscalYearStartMonth === 1 ? year : `FY${DATE_TOKENS.FY(date, fiscalYearStartMonth)}`;
+    case "year":
+      return year;
+    case "month":
+      return `${year}-${DATE_TOKENS.MM(date)}`;
+    case "day":
+      return `${year}-${DATE_TOKENS.MM(date)}-${DATE_TOKENS.DD(date)}`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Tokens used in a template
+ *
+ * @private
+ * @param {string} template - Template
+ * @returns {Array<string>} Token names, in order, with repeats
+ */
+function tokensOf(template) {
+  return [...template.matchAll(/\{([^{}]*)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Fill tokens of a template in
+ *
+ * @private
+ * @param {string} template - Template
+ * @param {Object<string, string>} values - Value per token; tokens without one are left as they are
+ * @returns {string} The filled-in template
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{([^{}]*)\}/g, (token, name) => values[name] ?? token);
+}
+
+/**
+ * Reference service containing functions for reference numbering
+ */
+class ReferenceService {
+  /**
+   * Get the reference format in use
+   *
+   * @async
+   * @returns {Promise<Object>} The configured format, or the default
+   */
+  static async getFormat() {
+    const stored = await SettingsService.getSettingOrDefault(SETTING_KEY, {});
+    return ReferenceService.pickFormat({ ...DEFAULT_REFERENCE_FORMAT, ...stored });
+  }
+
+  /**
+   * Change the reference format. Numbering carries on from the last number for
+   * the same scope (see scopeOf), so changing the padding, the separators or
+   * e.g. {FY} for {FYY} mid-year does not restart the year's sequence; changing
+   * the prefix, branch code or reset period does.
+   *
+   * @async
+   * @param {Object} data - Fields to change (see DEFAULT_REFERENCE_FORMAT)
+   * @returns {Promise<Object>} The new format
+   * @throws {Error} If the result is not a valid format
+   */
+  static async updateFormat(data) {
+    const format = ReferenceService.pickFormat({
+      ...(await ReferenceService.getFormat()),
+      ...ReferenceService.pickFormat(data)
+    });
+    ReferenceService.validateFormat(format);
+
+    await SettingsService.upsertSetting(
+      SETTING_KEY,
+      format,
+      "Template, prefix, branch code, padding, reset period and fiscal year start of transaction references",
+      false
+    );
+    return format;
+  }
+
+  /**
+   * Pick and normalise the fields of a format from a request body
+   *
+   * @param {Object} data - Submitted format
+   * @returns {Object} Format fields that were given
+   */
+  static pickFormat(data = {}) {
+    const format = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined && data[field] !== null) {
+        format[field] = data[field];
+      }
+    }
+
+    for (const field of ["template", "prefix", "branchCode"]) {
+      if (format[field] !== undefined) format[field] = String(format[field]).trim();
+    }
+    for (const field of ["padding", "fiscalYearStartMonth"]) {
+      if (format[field] !== undefined) format[field] = Number(format[field]);
+    }
+    return format;
+  }
+
+  /**
+   * Check that a format makes valid references that never repeat
+   *
+   * @param {Object} format - Reference format
+   * @returns {void}
+   * @throws {Error} If a field is out of range, the template has an unknown
+   *   token or no {SEQ}, or the template does not show the reset period
+   */
+  static validateFormat(format) {
+    const { template, prefix, branchCode, padding, resetPeriod, fiscalYearStartMonth } = format;
+
+    if (!template || template.length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(`Invalid reference format: the template must be 1 to ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    const tokens = tokensOf(template);
+    const unknown = tokens.find((token) => !TOKENS.includes(token));
+    if (unknown !== undefined) {
+      throw new Error(`Invalid reference format: unknown part {${unknown}}`);
+    }
+    if (tokens.filter((token) => token === "SEQ").length !== 1) {
+      throw new Error("Invalid reference format: the template must contain {SEQ} exactly once");
+    }
+    if (!/^[A-Za-z0-9\-_/.]*$/.test(template.replace(/\{[A-Z]+\}/g, ""))) {
+      throw new Error("Invalid reference format: use only letters, digits and - _ / . between the parts");
+    }
+
+    if (!/^[A-Za-z0-9]{0,10}$/.test(prefix)) {
+      throw new Error("Invalid reference format: the prefix must be up to 10 letters or digits");
+    }
+    if (!/^[A-Za-z0-9]{0,10}$/.test(branchCode) || (tokens.includes("BRANCH") && !branchCode)) {
+      throw new Error("Invalid reference format: the branch code must be 1 to 10 letters or digits");
+    }
+    if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+      throw new Error("Invalid reference format: padding must be a whole number from 1 to 12");
+    }
+    if (!RESET_PERIODS.includes(resetPeriod)) {
+      throw new Error(`Invalid reference format: reset period must be one of ${RESET_PERIODS.join(", ")}`);
+    }
+    if (!Number.isInteger(fiscalYearStartMonth) || fiscalYearStartMonth < 1 || fiscalYearStartMonth > 12) {
+      throw new Error("Invalid reference format: the fiscal year must start in month 1 to 12");
+    }
+
+    // Numbering starts again each period, so the period has to show in the
+    // reference or the same reference would be handed out twice
+    const fixed = fixedDateTokens(format).filter((token) => tokens.includes(token));
+    const showsYear = fixed.some((token) => YEAR_TOKENS.includes(token));
+    const shown = {
+      never: true,
+      fiscalYear: showsYear,
+      year: showsYear,
+      month: showsYear && fixed.includes("MM"),
+      day: showsYear && fixed.includes("MM") && fixed.includes("DD")
+    }[resetPeriod];
+    if (!shown) {
+      const needed = {
+        fiscalYear: fiscalYearStartMonth === 1 ? "{FY} or {YYYY}" : "{FY}",
+        year: fiscalYearStartMonth === 1 ? "{YYYY} or {FY}" : "{YYYY}",
+        month: "a year and {MM}",
+        day: "a year, {MM} and {DD}"
+      }[resetPeriod];
+      const period = resetPeriod === "fiscalYear" ? "fiscal year" : resetPeriod;
+      throw new Error(`Invalid reference format: numbering that resets each ${period} needs ${needed} in the template`);
+    }
+  }
+
+  /**
+   * Numbering scope of a reference: the prefix and branch code the template
+   * shows and the reset period the date falls in. Separators and padding are
+   * left out so that changing them carries the sequence on. References in the
+   * same scope share one counter.
+   *
+   * @param {Object} format - Reference format
+   * @param {Date} date - Date of the transaction
+   * @returns {string} Scope, e.g. "POS|01|FY2026"
+   */
+  static scopeOf(format, date) {
+    const tokens = tokensOf(format.template);
+    const parts = [];
+    if (tokens.includes("PREFIX")) parts.push(format.prefix);
+    if (tokens.includes("BRANCH")) parts.push(format.branchCode);
+    parts.push(periodOf(format, date));
+    return parts.join("|");
+  }
+
+  /**
+   * Build a reference from a format
+   *
+   * @param {Object} format - Reference format
+   * @param {Date} date - Date of the transaction
+   * @param {number} seq - Sequence number
+   * @returns {string} The reference
+   */
+  static formatReference(format, date, seq) {
+    const values = {
+      PREFIX: format.prefix,
+      BRANCH: format.branchCode,
+      SEQ: String(seq).padStart(format.padding, "0")
+    };
+    for (const [token, value] of Object.entries(DATE_TOKENS)) {
+      values[token] = value(date, format.fiscalYearStartMonth);
+    }
+    return fillTemplate(format.template, values);
+  }
+
+  /**
+   * Take the next reference
+   *
+   * Must be called inside the transaction that saves the transaction (or
+   * transactions) using it, so the number is given back if that transaction
+   * aborts.
+   *
+   * @async
+   * @param {Date} [date=new Date()] - Date of the transaction (imported history is back-dated)
+   * @param {mongoose.ClientSession} [session=null] - Session of the transaction
+   * @returns {Promise<string>} The reference
+   * @throws {Error} If the counter is being taken by another transaction (a
+   *   transient write conflict; run the transaction again)
+   */
+  static async nextReference(date = new Date(), session = null) {
+    const format = await ReferenceService.getFormat();
+    const when = new Date(date);
+    const scope = ReferenceService.scopeOf(format, when);
+
+    // The counter is created outside the transaction: two transactions creating
+    // the same counter would collide on its unique scope, while an empty
+    // counter uses up no number
+    await ReferenceCounter.updateOne({ scope }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+
+    const counter = await ReferenceCounter.findOneAndUpdate(
+      { scope },
+      { $inc: { seq: 1 } },
+      { new: true, session }
+    );
+    return ReferenceService.formatReference(format, when, counter.seq);
+  }
+
+  /**
+   * Take the next import number. Imports are numbered outside any transaction:
+   * a failed import may leave a gap here, which the live sequence never has.
+   *
+   * @async
+   * @returns {Promise<number>} The import number
+   */
+  static async nextImportNumber() {
+    const counter = await ReferenceCounter.findOneAndUpdate(
+      { scope: IMPORT_SCOPE },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  }
+
+  /**
+   * Reference for an imported row that came without one
+   *
+   * @param {number} importNumber - Number of the import
+   * @param {number} row - Row of the file
+   * @returns {string} The reference, e.g. IMP7-12
+   */
+  static importReference(importNumber, row) {
+    return `IMP${importNumber}-${row}`;
+  }
+
+  /**
+   * The reference the next transaction would get today, without taking it
+   *
+   * @async
+   * @param {Object} [format] - Format to preview; the one in use by default
+   * @returns {Promise<string>} The reference
+   */
+  static async previewReference(format = null) {
+    const current = format || (await ReferenceService.getFormat());
+    const now = new Date();
+    const counter = await ReferenceCounter.findOne({ scope: ReferenceService.scopeOf(current, now) });
+    return ReferenceService.formatReference(current, now, (counter?.seq || 0) + 1);
+  }
+}
+
+export default ReferenceService;
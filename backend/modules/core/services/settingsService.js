@@ -254,6 +254,26 @@ class SettingsService {
     }
   }
 
+  /**
+   * Get a setting value, falling back to a default when the setting has not been created yet
+   * 
+   * @async
+   * @param {string} key - The setting key
+   * @param {any} defaultValue - Value to use if the setting does not exist
+   * @returns {Promise<any>} The setting value or the default
+   * @throws {Error} If the database operation fails
+   */
+  static async getSettingOrDefault(key, defaultValue) {
+    try {
+      return await this.getSetting(key, true);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return defaultValue;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Create or update a setting with categorization
    * 
@@ -436,6 +456,36 @@ static async upsertCategorizedSetting(category, name, value, description, isPubl
           value: ['TTD', 'USD', 'EUR', 'GBP', 'CAD', 'BTC', 'ETH'],
           description: 'List of supported currencies',
           isPublic: true
+        },
+        {
+          key: 'config_approvalThresholds',
+          value: { TTD: 50000, USD: 10000, EUR: 10000, GBP: 10000, CAD: 10000 },
+          description: 'Amount per currency above which a transaction needs admin approval before balances move',
+          isPublic: false
+        },
+        {
+          key: 'config_rateOverrideTolerance',
+          value: 2,
+          description: 'How far (in percent) staff may override the standard exchange rate; admins are not limited',
+          isPublic: true
+        },
+        {
+          key: 'config_idempotencyWindowHours',
+          value: 24,
+          description: 'Hours during which a retried request with the same Idempotency-Key replays the original response',
+          isPublic: false
+        },
+        {
+          key: 'config_attachmentMaxSizeMB',
+          value: 10,
+          description: 'Largest file, in megabytes, that can be attached to a transaction',
+          isPublic: true
+        },
+        {
+          key: 'config_attachmentMaxPerTransaction',
+          value: 10,
+          description: 'Most files that can be attached to one transaction',
+          isPublic: true
         }
       ];
       
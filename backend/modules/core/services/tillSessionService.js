@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Till Session Service - Manages teller cash-drawer sessions
+ *
+ * This service opens and closes till sessions, works out how much cash each
+ * drawer should hold from the transactions tagged with the session, and
+ * records the counted cash and variance at close.
+ *
+ * @module services/tillSessionService
+ * @requires models/tillSession
+ * @requires models/transaction
+ * @requires helpers/currencyUnits
+ * @requires helpers/money
+ */
+
+import TillSession from "../models/tillSession.js";
+import Transaction from "../models/transaction.js";
+import { roundAmount as round } from "../helpers/currencyUnits.js";
+import { addAmounts, subtractAmounts, decimalToNumber, decimalsToNumbers } from "../helpers/money.js";
+
+/**
+ * Till session service containing functions for drawer management
+ */
+class TillSessionService {
+  /**
+   * Get the open till session for a user
+   *
+   * @async
+   * @param {string} userId - Teller's user ID
+   * @param {mongoose.ClientSession} [session=null] - MongoDB session for transactions
+   * @returns {Promise<TillSession|null>} The open session, or null if the user has none
+   */
+  static async getOpenSession(userId, session = null) {
+    return TillSession.findOne({ user: userId, status: "Open" }).session(session);
+  }
+
+  /**
+   * Open a till session with a counted float per currency
+   *
+   * @async
+   * @param {string} userId - Teller opening the drawer
+   * @param {Array<Object>} floats - Counted float per currency ({ currency, amount })
+   * @param {string} [notes=""] - Note about the opening count
+   * @returns {Promise<TillSession>} The new session
+   * @throws {Error} If the user already has an open session or the floats are invalid
+   */
+  static async openSession(userId, floats, notes = "") {
+    if (!Array.isArray(floats) || floats.length === 0) {
+      throw new Error("Invalid float: count at least one currency into the drawer");
+    }
+
+    const currencies = [];
+    for (const { currency, amount } of floats) {
+      const code = currency?.toUpperCase();
+      const value = parseFloat(amount);
+
+      if (!code) {
+        throw new Error("Invalid float: currency is required");
+      }
+      if (isNaN(value) || value < 0) {
+        throw new Error(`Invalid float for ${code}: must be zero or a positive number`);
+      }
+      if (currencies.some((line) => line.currency === code)) {
+        throw new Error(`Invalid float: ${code} is listed more than once`);
+      }
+
+      currencies.push({ currency: code, openingFloat: round(value, code) });
+    }
+
+    const existing = await this.getOpenSession(userId);
+    if (existing) {
+      throw new Error("Invalid request: you already have an open till session");
+    }
+
+    return TillSession.create({ user: userId, currencies, openingNotes: notes });
+  }
+
+  /**
+   * Work out how a transaction moved cash through the drawer
+   *
+   * Cash In/Out move the transaction currency; Buy and Sell swap the foreign
+   * currency for TTD; Exchange takes one foreign currency in and pays another out.
+   * Service fees are taken in TTD on top.
+   * Reversal and refund records move cash the opposite way to their type.
+   *
+   * @param {Object} transaction - Transaction document
+   * @returns {Array<Object>} Signed cash movements ({ currency, amount })
+   */
+  static getCashMovements(transaction) {
+    const { type, currency, amount, amountTTD, toCurrency, toAmount } = transaction;
+    const direction = transaction.reversalOf || transaction.refundOf ? -1 : 1;
+
+    const movements = {
+      "Cash In": [{ currency, amount }],
+      "Cash Out": [{ currency, amount: -amount }],
+      Buy: [{ currency, amount }, { currency: "TTD", amount: -amountTTD }],
+      Sell: [{ currency, amount: -amount }, { currency: "TTD", amount: amountTTD }],
+      Exchange: [{ currency, amount }, { currency: toCurrency, amount: -toAmount }]
+    }[type] || [];
+
+    if (transaction.feeTotalTTD > 0) {
+      movements.push({ currency: "TTD", amount: transaction.feeTotalTTD });
+    }
+
+    return movements.map((movement) => ({
+      currency: movement.currency.toUpperCase(),
+      amount: direction * (movement.amount || 0)
+    }));
+  }
+
+  /**
+   * Whether a transaction's cash movement counts towards the drawer
+   *
+   * Held transactions only count once approved, and rejected ones never do.
+   * Voided transactions still count because their reversal record cancels them out.
+   *
+   * @param {Object} transaction - Transaction document
+   * @returns {boolean} True if the transaction moved cash
+   */
+  static movedCash(transaction) {
+    if (["Completed", "Refunded"].includes(transaction.status)) {
+      return true;
+    }
+    return transaction.status === "Cancelled" && !!transaction.voidedAt;
+  }
+
+  /**
+   * Calculate the cash a session's drawer should hold
+   *
+   * @async
+   * @param {TillSession} tillSession - The till session
+   * @returns {Promise<Object>} currencies (float and expected per currency) and transactionCount
+   */
+  static async calculateExpected(tillSession) {
+    const transactions = decimalsToNumbers(
+      await Transaction.find({ tillSession: tillSession._id })
+        .select("type currency amount amountTTD toCurrency toAmount feeTotalTTD status voidedAt reversalOf refundOf")
+        .lean()
+    );
+
+    const expected = new Map(
+      tillSession.currencies.map((line) => [line.currency, line.openingFloat])
+    );
+    let transactionCount = 0;
+
+    for (const transaction of transactions) {
+      if (!this.movedCash(transaction)) continue;
+      transactionCount++;
+
+      for (const { currency, amount } of this.getCashMovements(transaction)) {
+        expected.set(currency, addAmounts(currency, expected.get(currency) || 0, amount));
+      }
+    }
+
+    const currencies = Array.from(expected.entries()).map(([currency, amount]) => {
+      const line = tillSession.currencies.find((item) => item.currency === currency);
+      return {
+        currency,
+        openingFloat: line ? line.openingFloat : 0,
+        expected: decimalToNumber(addAmounts(currency, amount))
+      };
+    });
+
+    return { currencies, transactionCount };
+  }
+
+  /**
+   * Close a till session with the counted cash
+   *
+   * @async
+   * @param {string} id - Till session ID
+   * @param {Array<Object>} counts - Counted cash per currency ({ currency, amount })
+   * @param {Object} user - User closing the session
+   * @param {string} [notes=""] - Note about the closing count
+   * @returns {Promise<TillSession>} The closed session with expected, counted and variance per currency
+   * @throws {Error} If not found, not permitted, already closed, or a count is missing
+   */
+  static async closeSession(id, counts, user, notes = "") {
+    const tillSession = await TillSession.findById(id);
+    if (!tillSession) {
+      throw new Error("Till session not found");
+    }
+
+    if (user.role !== "admin" && tillSession.user.toString() !== user._id.toString()) {
+      throw new Error("Unauthorized: only the teller or an admin can close this till session");
+    }
+
+    if (tillSession.status !== "Open") {
+      throw new Error("Invalid request: till session is already closed");
+    }
+
+    const countedByCurrency = new Map();
+    for (const { currency, amount } of counts || []) {
+      const value = parseFloat(amount);
+      if (!currency || isNaN(value) || value < 0) {
+        throw new Error(`Invalid count for ${currency || "currency"}: must be zero or a positive number`);
+      }
+      countedByCurrency.set(currency.toUpperCase(), round(value, currency));
+    }
+
+    const { currencies, transactionCount } = await this.calculateExpected(tillSession);
+
+    tillSession.currencies = currencies.map((line) => {
+      if (!countedByCurrency.has(line.currency)) {
+        throw new Error(`Invalid count: enter the counted amount for ${line.currency}`);
+      }
+      const counted = countedByCurrency.get(line.currency);
+      return { ...line, counted, variance: subtractAmounts(line.currency, counted, line.expected) };
+    });
+    tillSession.transactionCount = transactionCount;
+    tillSession.status = "Closed";
+    tillSession.closedAt = new Date();
+    tillSession.closedBy = user._id;
+    tillSession.closingNotes = notes;
+
+    return tillSession.save();
+  }
+
+  /**
+   * Get the transactions tagged with a session, oldest first
+   *
+   * @async
+   * @param {string} id - Till session ID
+   * @returns {Promise<Array<Transaction>>} Transactions created in the session
+   */
+  static async getSessionTransactions(id) {
+    return Transaction.find({ tillSession: id })
+      .select("reference type customerName amount currency amountTTD toCurrency toAmount status voidedAt reversalOf refundOf createdAt")
+      .sort({ createdAt: 1 });
+  }
+}
+
+export default TillSessionService;
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Transaction Category Service - Manages transaction categories and tags
+ *
+ * This service maintains the categories admins file transactions under and
+ * checks the category given for a transaction when it is created or edited.
+ * Tags are free-form (tidied by the transaction model); the ones already in
+ * use are offered as suggestions so the same tag is not typed two ways.
+ *
+ * @module services/transactionCategoryService
+ * @requires mongoose
+ * @requires models/transactionCategory
+ * @requires models/transaction
+ */
+
+import mongoose from "mongoose";
+import TransactionCategory from "../models/transactionCategory.js";
+import Transaction, { normalizeTags } from "../models/transaction.js";
+
+/**
+ * Fields an admin may set on a category
+ * @private
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = ["name", "description", "isActive"];
+
+/**
+ * Most tag suggestions returned at once
+ * @private
+ * @type {number}
+ */
+const MAX_TAG_SUGGESTIONS = 50;
+
+/**
+ * Transaction category service containing functions for categories and tags
+ */
+class TransactionCategoryService {
+  /**
+   * Get the categories
+   *
+   * @async
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.activeOnly=false] - Only return categories new transactions can use
+   * @returns {Promise<Array<TransactionCategory>>} Categories ordered by name
+   */
+  static async listCategories({ activeOnly = false } = {}) {
+    const filter = activeOnly ? { isActive: true } : {};
+    return TransactionCategory.find(filter).sort({ name: 1 });
+  }
+
+  /**
+   * Get one category
+   *
+   * @async
+   * @param {string} categoryId - Category ID
+   * @param {mongoose.ClientSession} [session] - Session to read in
+   * @returns {Promise<TransactionCategory>} The category
+   * @throws {Error} If the ID is malformed or the category does not exist
+   */
+  static async getCategory(categoryId, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      throw new Error("Invalid category ID format");
+    }
+
+    const category = await TransactionCategory.findById(categoryId).session(session);
+    if (!category) {
+      throw new Error("Category not found");
+    }
+    return category;
+  }
+
+  /**
+   * Add a category
+   *
+   * @async
+   * @param {Object} data - Category details (name, description, isActive)
+   * @param {string} userId - Admin adding the category
+   * @returns {Promise<TransactionCategory>} The new category; a name already in use
+   *   (in any case) fails with code 11000
+   */
+  static async createCategory(data, userId) {
+    return TransactionCategory.create({
+      ...TransactionCategoryService.pickCategory(data),
+      updatedBy: userId
+    });
+  }
+
+  /**
+   * Change a category. Transactions refer to it by ID, so a new name shows on
+   * every transaction already filed under it.
+   *
+   * @async
+   * @param {string} categoryId - Category ID
+   * @param {Object} data - Fields to change (name, description, isActive)
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<TransactionCategory>} The updated category
+   * @throws {Error} If the category does not exist
+   */
+  static async updateCategory(categoryId, data, userId) {
+    const category = await TransactionCategoryService.getCategory(categoryId);
+
+    category.set(TransactionCategoryService.pickCategory(data));
+    category.updatedBy = userId;
+    await category.save();
+
+    return category;
+  }
+
+  /**
+   * Check the category chosen for a transaction
+   *
+   * A transaction keeps an inactive category it already has, but cannot be
+   * newly filed under one.
+   *
+   * @async
+   * @param {string|null} categoryId - Chosen category ID; empty for none
+   * @param {Object} [options={}] - Options
+   * @param {string|null} [options.currentId=null] - Category the transaction has now
+   * @param {mongoose.ClientSession} [options.session=null] - Session to read in
+   * @returns {Promise<TransactionCategory|null>} The category, or null for none
+   * @throws {Error} If the category does not exist or is inactive
+   */
+  static async resolveCategory(categoryId, { currentId = null, session = null } = {}) {
+    if (!categoryId) return null;
+
+    const category = await TransactionCategoryService.getCategory(categoryId, session);
+    if (!category.isActive && category._id.toString() !== currentId?.toString()) {
+      throw new Error(`Invalid category: ${category.name} is no longer in use`);
+    }
+    return category;
+  }
+
+  /**
+   * Tags already used on transactions, for suggestions
+   *
+   * @async
+   * @param {string} [prefix=""] - Only tags starting with this
+   * @returns {Promise<Array<string>>} Tags in alphabetical order
+   */
+  static async listTags(prefix = "") {
+    const [start] = normalizeTags([prefix]);
+    const filter = start
+      ? { tags: { $regex: `^${start.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` } }
+      : {};
+
+    const tags = await Transaction.distinct("tags", filter);
+    return tags
+      .filter((tag) => !start || tag.startsWith(start))
+      .sort()
+      .slice(0, MAX_TAG_SUGGESTIONS);
+  }
+
+  /**
+   * Pick the editable fields from a request body
+   *
+   * @private
+   * @param {Object} data - Submitted fields
+   * @returns {Object} Editable fields that were given
+   */
+  static pickCategory(data = {}) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        picked[field] = field === "isActive" ? Boolean(data[field]) : data[field];
+      }
+    }
+    return picked;
+  }
+}
+
+export default TransactionCategoryService;
@@ -0,0 +1,715 @@
+/**
+ * @fileoverview Transaction Import Service - Brings historical transactions in from CSV
+ *
+ * Admins upload a CSV export of their old records and say which column holds
+ * each transaction field. Every row is checked with the same rules as a new
+ * transaction at the till (helpers/transactionValidation and the transaction
+ * model's validators), plus the rules that only apply to history: a date that
+ * is not in the future or on a closed business day, a known currency, a rate for
+ * Buy and Sell, and a reference that is not already taken. A dry run reports
+ * which rows would be accepted or rejected and why, without writing anything.
+ * Rows without a reference are given IMP<import>-<row>, never a number from the
+ * live sequence (see services/referenceService), so history does not interleave
+ * with live numbering and undoing an import leaves no gaps in it.
+ *
+ * The accepted rows are written oldest first in batches, each batch in its own
+ * MongoDB transaction. An import either moves account balances as the
+ * transactions would have at the till, or records them as history only. Either
+ * way the whole import can be undone: its transactions are removed and any
+ * balance movements reversed.
+ *
+ * Imported rows skip the approval threshold and compliance screening, and are
+ * not announced to other modules, since they record business that has already
+ * taken place.
+ *
+ * @module services/transactionImportService
+ * @requires mongoose
+ * @requires models/transaction
+ * @requires models/transactionImport
+ * @requires models/transactionRevision
+ * @requires models/account
+ * @requires models/dayClose
+ * @requires helpers/transactionValidation
+ * @requires helpers/currencyUnits
+ * @requires helpers/transactionRetry
+ * @requires services/accountService
+ * @requires services/dayCloseService
+ * @requires services/attachmentService
+ * @requires services/referenceService
+ * @requires utils/csvParser
+ */
+
+import mongoose from "mongoose";
+import Transaction from "../models/transaction.js";
+import TransactionImport from "../models/transactionImport.js";
+import TransactionRevision from "../models/transactionRevision.js";
+import Account from "../models/account.js";
+import DayClose from "../models/dayClose.js";
+import { TRANSACTION_TYPES, validateTransactionFields } from "../helpers/transactionValidation.js";
+import { roundAmount, formatAmount } from "../helpers/currencyUnits.js";
+import { runInTransaction } from "../helpers/transactionRetry.js";
+import AccountService from "./accountService.js";
+import DayCloseService from "./dayCloseService.js";
+import AttachmentService from "./attachmentService.js";
+import ReferenceService from "./referenceService.js";
+import { parseCsv } from "../utils/csvParser.js";
+
+/**
+ * Transaction fields a CSV column can be mapped to, with the header names each
+ * one is recognised by (compared in lower case without spaces or punctuation)
+ * @type {Object<string, Object>}
+ */
+export const IMPORT_FIELDS = {
+  date: { label: "Date", required: true, headers: ["date", "transactiondate", "datetime", "createdat"] },
+  type: { label: "Type", required: true, headers: ["type", "transactiontype"] },
+  amount: { label: "Amount", required: true, headers: ["amount", "foreignamount"] },
+  currency: { label: "Currency", required: true, headers: ["currency", "currencycode", "ccy"] },
+  customerName: { label: "Customer Name", required: true, headers: ["customername", "customer", "name", "client", "clientname"] },
+  customerEmail: { label: "Customer Email", required: true, headers: ["customeremail", "email", "emailaddress"] },
+  exchangeRate: { label: "Exchange Rate", required: false, headers: ["exchangerate", "rate"] },
+  amountTTD: { label: "TTD Amount", required: false, headers: ["amountttd", "ttdamount", "ttd", "ttdequivalent"] },
+  toCurrency: { label: "Payout Currency", required: false, headers: ["tocurrency", "payoutcurrency"] },
+  toAmount: { label: "Payout Amount", required: false, headers: ["toamount", "payoutamount"] },
+  reference: { label: "Reference", required: false, headers: ["reference", "ref", "referenceno", "receiptno"] },
+  notes: { label: "Notes", required: false, headers: ["notes", "note", "comments", "memo"] }
+};
+
+/**
+ * Accepted orders of year, month and day in the file's dates
+ * @type {Array<string>}
+ */
+export const DATE_FORMATS = ["YMD", "DMY", "MDY"];
+
+/**
+ * Transactions written (or removed, when undoing) per MongoDB transaction
+ * @private
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Most rejected rows listed in a dry-run report
+ * @private
+ * @type {number}
+ */
+const MAX_REPORTED_REJECTIONS = 500;
+
+/**
+ * Accepted rows shown as a sample in a dry-run report
+ * @private
+ * @type {number}
+ */
+const PREVIEW_ROWS = 20;
+
+/**
+ * How long an import can go without progress before it is treated as
+ * interrupted (e.g. by a restart) and may be undone
+ * @private
+ * @type {number}
+ */
+const STALE_IMPORT_MS = 15 * 60 * 1000;
+
+/**
+ * Normalise a header for matching: lower case without spaces or punctuation
+ *
+ * @private
+ * @param {string} header - Column header
+ * @returns {string} Normalised header
+ */
+const normaliseHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Read a number written the way spreadsheets export them ("1,250.00", "$40")
+ *
+ * @param {string} value - Cell value
+ * @returns {number|string|undefined} The number, the original text if it is not
+ *   a number (so validation reports it), or undefined for an empty cell
+ */
+export function parseNumber(value) {
+  if (!value) return undefined;
+  const number = Number(value.replace(/[,\s]/g, "").replace(/^\$/, ""));
+  return isNaN(number) ? value : number;
+}
+
+/**
+ * Read a date (and optional time) in server local time
+ *
+ * Dates are written with "-", "/" or "." between the parts, in the order given
+ * by dateFormat, and may be followed by a 24-hour time ("14:05" or "14:05:30").
+ * Full ISO 8601 timestamps with a time zone are also read when the order is YMD.
+ *
+ * @param {string} value - Cell value
+ * @param {string} dateFormat - "YMD", "DMY" or "MDY"
+ * @returns {Date|null} The date, or null if it cannot be read or does not exist
+ */
+export function parseDate(value, dateFormat) {
+  const match = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+
+  if (!match) {
+    const isIsoTimestamp = dateFormat === "YMD" && /^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    const date = isIsoTimestamp ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+  }
+
+  const [, first, second, third, hours = 0, minutes = 0, seconds = 0] = match.map(
+    (part) => (part === undefined ? undefined : parseInt(part, 10))
+  );
+  const [year, month, day] =
+    dateFormat === "DMY" ? [third, second, first]
+      : dateFormat === "MDY" ? [third, first, second]
+        : [first, second, third];
+
+  if (year < 1000 || hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  // Refuse dates that roll over, such as 31 April
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null;
+}
+
+/**
+ * Work out what each transaction changes in the account balances
+ *
+ * @param {Object} row - Accepted import row
+ * @returns {Array<Array>} [currency, change] pairs; negative changes take money out
+ */
+export function balanceChanges(row) {
+  switch (row.type) {
+    case "Cash In":
+      return [[row.currency, row.amount]];
+    case "Cash Out":
+      return [[row.currency, -row.amount]];
+    case "Buy":
+      return [["TTD", -row.amountTTD], [row.currency, row.amount]];
+    case "Sell":
+      return [[row.currency, -row.amount], ["TTD", row.amountTTD]];
+    case "Exchange":
+      return [[row.currency, row.amount], [row.toCurrency, -row.toAmount]];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Build the transaction for an import row, dated when it originally took place
+ *
+ * @private
+ * @param {Object} row - Import row
+ * @param {Object} [extra={}] - Fields set when the row is imported (reference,
+ *   createdBy, importBatch, historyOnly)
+ * @returns {Transaction} Unsaved transaction
+ */
+function buildTransaction(row, extra = {}) {
+  return new Transaction({
+    customerName: row.customerName,
+    customerEmail: row.customerEmail,
+    type: row.type,
+    amount: row.amount,
+    currency: row.currency,
+    exchangeRate: row.exchangeRate,
+    amountTTD: row.amountTTD,
+    ...(row.type === "Exchange" && {
+      toCurrency: row.toCurrency,
+      toAmount: row.toAmount,
+      crossRate: parseFloat((row.toAmount / row.amount).toFixed(6))
+    }),
+    notes: row.notes,
+    status: "Completed",
+    createdAt: row.date,
+    ...extra
+  });
+}
+
+/**
+ * Transaction import service containing functions for bulk import and undo
+ */
+class TransactionImportService {
+  /**
+   * Suggest a column for each field from the file's headers
+   *
+   * @param {Array<string>} columns - Column headers of the file
+   * @returns {Object<string, string>} Field name to column header, for the fields recognised
+   */
+  static suggestMapping(columns) {
+    const mapping = {};
+
+    for (const [field, { headers }] of Object.entries(IMPORT_FIELDS)) {
+      const column = columns.find((header) => headers.includes(normaliseHeader(header)));
+      if (column) mapping[field] = column;
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Read and validate every row of an import file
+   *
+   * @async
+   * @param {Object} options - Import options
+   * @param {string} options.text - CSV file contents, with a header row
+   * @param {Object<string, string>} [options.mapping] - Field name to column header;
+   *   suggested from the headers when not given
+   * @param {string} [options.dateFormat="YMD"] - Order of the parts of the file's dates
+   * @param {boolean} [options.affectBalances=false] - Whether the rows will move account
+   *   balances, in which case rows that would overdraw an account are rejected
+   * @returns {Promise<Object>} columns, mapping, missingFields (required fields with no
+   *   column), totalRows, accepted rows (oldest first) and rejected rows ({ row, reasons, values })
+   * @throws {Error} If the file is empty or the mapping names a column the file does not have
+   */
+  static async readRows({ text, mapping, dateFormat = "YMD", affectBalances = false }) {
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      throw new Error(`Invalid date format: use one of ${DATE_FORMATS.join(", ")}`);
+    }
+
+    const [columns = [], ...records] = parseCsv(text || "");
+    const headers = columns.map((header) => header.trim());
+    if (headers.length === 0) {
+      throw new Error("Invalid import file: the file is empty");
+    }
+
+    // Only known fields are kept, and every mapped column must exist
+    const fieldMapping = {};
+    for (const [field, column] of Object.entries(mapping || this.suggestMapping(headers))) {
+      if (!IMPORT_FIELDS[field] || !column) continue;
+      if (!headers.includes(column)) {
+        throw new Error(`Invalid column mapping: the file has no column named "${column}"`);
+      }
+      fieldMapping[field] = column;
+    }
+
+    const missingFields = Object.keys(IMPORT_FIELDS).filter(
+      (field) => IMPORT_FIELDS[field].required && !fieldMapping[field]
+    );
+    const result = { columns: headers, mapping: fieldMapping, missingFields, totalRows: records.length, accepted: [], rejected: [] };
+    if (missingFields.length > 0) {
+      return result;
+    }
+
+    const columnIndex = Object.fromEntries(
+      Object.entries(fieldMapping).map(([field, column]) => [field, headers.indexOf(column)])
+    );
+    const [accounts, closedDates] = await Promise.all([
+      Account.find().select("currency balance"),
+      DayClose.find({ status: "Closed" }).distinct("businessDate")
+    ]);
+    const knownCurrencies = new Set(accounts.map((account) => account.currency));
+    const closedDays = new Set(closedDates);
+    const now = new Date();
+    const referenceRows = new Map();
+
+    records.forEach((record, index) => {
+      // Spreadsheet row number, counting the header as row 1
+      const rowNumber = index + 2;
+      const values = Object.fromEntries(
+        Object.entries(columnIndex).map(([field, position]) => [field, (record[position] ?? "").trim()])
+      );
+      const reasons = [];
+
+      const date = parseDate(values.date, dateFormat);
+      if (!date) {
+        reasons.push(`Invalid date: "${values.date}" is not a ${dateFormat} date`);
+      } else if (date > now) {
+        reasons.push("Invalid date: transactions cannot be dated in the future");
+      } else if (closedDays.has(DayCloseService.toBusinessDate(date))) {
+        reasons.push(`Business day ${DayCloseService.toBusinessDate(date)} is closed`);
+      }
+
+      const type = TRANSACTION_TYPES.find(
+        (name) => name.toLowerCase() === values.type.toLowerCase().replace(/\s+/g, " ")
+      ) || values.type;
+      const row = {
+        row: rowNumber,
+        date,
+        type,
+        amount: parseNumber(values.amount),
+        currency: values.currency.toUpperCase(),
+        exchangeRate: parseNumber(values.exchangeRate),
+        amountTTD: parseNumber(values.amountTTD),
+        toCurrency: values.toCurrency ? values.toCurrency.toUpperCase() : undefined,
+        toAmount: parseNumber(values.toAmount),
+        customerName: values.customerName,
+        customerEmail: values.customerEmail || undefined,
+        reference: values.reference || undefined,
+        notes: values.notes || ""
+      };
+
+      try {
+        validateTransactionFields(row);
+      } catch (error) {
+        reasons.push(error.message);
+      }
+
+      for (const code of [row.currency, row.toCurrency]) {
+        if (code && !knownCurrencies.has(code)) {
+          reasons.push(`Account for ${code} not found`);
+        }
+      }
+
+      // Without the managed rate table, a Buy or Sell needs its own rate
+      if (["Buy", "Sell"].includes(row.type)) {
+        if (row.currency === "TTD") {
+          reasons.push("Invalid currency: Buy and Sell are for foreign currencies");
+        } else if (!row.exchangeRate && !row.amountTTD) {
+          reasons.push("Missing exchange rate: Buy and Sell rows need an exchange rate or a TTD amount");
+        }
+      }
+
+      if (row.reference) {
+        if (referenceRows.has(row.reference)) {
+          reasons.push(`Duplicate reference ${row.reference} (also on row ${referenceRows.get(row.reference)})`);
+        } else {
+          referenceRows.set(row.reference, rowNumber);
+        }
+      }
+
+      if (reasons.length === 0) {
+        // The TTD amount follows the rate when only one of them is given
+        if (row.exchangeRate && !row.amountTTD) {
+          row.amountTTD = roundAmount(row.amount * row.exchangeRate, "TTD");
+        } else if (row.amountTTD && !row.exchangeRate && row.currency !== "TTD") {
+          row.exchangeRate = parseFloat((row.amountTTD / row.amount).toFixed(6));
+        }
+
+        // The transaction model's own rules (e.g. a valid customer email); the
+        // reference and creator are only filled in when the row is imported
+        const invalid = buildTransaction(row).validateSync({ pathsToSkip: ["reference", "createdBy"] });
+        if (invalid) {
+          reasons.push(...Object.values(invalid.errors).map((error) => error.message));
+        }
+      }
+
+      if (reasons.length > 0) {
+        result.rejected.push({ row: rowNumber, reasons, values });
+        return;
+      }
+      result.accepted.push({ ...row, values });
+    });
+
+    // References must not clash with transactions already recorded
+    const references = result.accepted.filter((row) => row.reference).map((row) => row.reference);
+    const taken = new Set();
+    for (let start = 0; start < references.length; start += BATCH_SIZE) {
+      const existing = await Transaction.find({
+        reference: { $in: references.slice(start, start + BATCH_SIZE) }
+      }).distinct("reference");
+      existing.forEach((reference) => taken.add(reference));
+    }
+
+    // Oldest first, keeping the file's order within the same time
+    const rows = result.accepted
+      .map((row, position) => ({ row, position }))
+      .sort((a, b) => a.row.date - b.row.date || a.position - b.position)
+      .map(({ row }) => row);
+    const balances = new Map(accounts.map((account) => [account.currency, account.balance]));
+    result.accepted = [];
+
+    for (const row of rows) {
+      const { values, ...fields } = row;
+
+      if (taken.has(row.reference)) {
+        result.rejected.push({ row: row.row, reasons: [`Reference ${row.reference} already exists`], values });
+        continue;
+      }
+
+      // Rows that move balances must not overdraw an account at their point in the file
+      if (affectBalances) {
+        const changes = balanceChanges(row);
+        const shortfall = changes.find(([code, change]) => balances.get(code) + change < 0);
+        if (shortfall) {
+          const [code, change] = shortfall;
+          result.rejected.push({
+            row: row.row,
+            reasons: [`Insufficient ${code} balance. Available: ${formatAmount(balances.get(code), code)}, Requested: ${formatAmount(-change, code)}`],
+            values
+          });
+          continue;
+        }
+        changes.forEach(([code, change]) => balances.set(code, roundAmount(balances.get(code) + change, code)));
+      }
+
+      result.accepted.push(fields);
+    }
+
+    result.rejected.sort((a, b) => a.row - b.row);
+    return result;
+  }
+
+  /**
+   * Report what an import would do without writing anything
+   *
+   * @async
+   * @param {Object} options - Same options as readRows
+   * @returns {Promise<Object>} columns, mapping, missingFields, totalRows, acceptedCount,
+   *   rejectedCount, the first rejected rows with their reasons, a sample of accepted
+   *   rows, the number of accepted rows by type and the accepted date range
+   * @throws {Error} If the file or mapping cannot be used
+   */
+  static async dryRun(options) {
+    const { accepted, rejected, ...report } = await this.readRows(options);
+
+    return {
+      ...report,
+      acceptedCount: accepted.length,
+      rejectedCount: rejected.length,
+      rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS),
+      preview: accepted.slice(0, PREVIEW_ROWS),
+      byType: accepted.reduce((counts, row) => {
+        counts[row.type] = (counts[row.type] || 0) + 1;
+        return counts;
+      }, {}),
+      dateFrom: accepted[0]?.date || null,
+      dateTo: accepted[accepted.length - 1]?.date || null
+    };
+  }
+
+  /**
+   * Import the accepted rows of a file, skipping the rejected ones
+   *
+   * Rows are written oldest first in batches. If a batch fails (for example a
+   * balance changed since the dry run) the batches before it stay imported, the
+   * import is marked Failed with the reason, and it can be undone.
+   *
+   * @async
+   * @param {Object} options - Same options as readRows, plus:
+   * @param {string} [options.fileName] - Name of the uploaded file
+   * @param {string} options.userId - Admin running the import
+   * @returns {Promise<Object>} The import record ({ importRecord }) and the rejected rows
+   *   ({ rejected }, capped like the dry-run report)
+   * @throws {Error} If the file or mapping cannot be used, or no row passes validation
+   */
+  static async commit({ fileName = "", userId, ...options }) {
+    const { mapping, missingFields, totalRows, accepted, rejected } = await this.readRows(options);
+
+    if (missingFields.length > 0) {
+      throw new Error(
+        `Invalid column mapping: choose a column for ${missingFields.map((field) => IMPORT_FIELDS[field].label).join(", ")}`
+      );
+    }
+    if (accepted.length === 0) {
+      throw new Error("Invalid import file: no rows passed validation");
+    }
+
+    const importRecord = await TransactionImport.create({
+      number: await ReferenceService.nextImportNumber(),
+      fileName,
+      affectBalances: !!options.affectBalances,
+      mapping,
+      dateFormat: options.dateFormat || "YMD",
+      totalRows,
+      rejectedCount: rejected.length,
+      importedBy: userId
+    });
+
+    for (let start = 0; start < accepted.length; start += BATCH_SIZE) {
+      const batch = accepted.slice(start, start + BATCH_SIZE);
+
+      try {
+        // Each batch is its own transaction, run again if it conflicts with a teller
+        const progress = await runInTransaction(mongoose, async (session) => {
+          const transactions = [];
+          for (const row of batch) {
+            const transaction = buildTransaction(row, {
+              reference: row.reference || ReferenceService.importReference(importRecord.number, row.row),
+              createdBy: userId,
+              importBatch: importRecord._id,
+              historyOnly: !importRecord.affectBalances
+            });
+
+            if (importRecord.affectBalances) {
+              const costs = await AccountService.processAccountUpdates(
+                row.type,
+                row.currency,
+                row.amount,
+                row.amountTTD,
+                session,
+                { transactionId: transaction._id, userId },
+                row.type === "Exchange" ? { toCurrency: row.toCurrency, toAmount: row.toAmount } : {}
+              );
+              transaction.costBasisTTD = costs.costBasisTTD;
+              transaction.realizedGainTTD = costs.realizedGainTTD;
+            }
+
+            transactions.push(transaction);
+          }
+
+          await Transaction.insertMany(transactions, { session });
+
+          const batchProgress = {
+            importedCount: importRecord.importedCount + transactions.length,
+            dateFrom: importRecord.dateFrom || batch[0].date,
+            dateTo: batch[batch.length - 1].date
+          };
+          await TransactionImport.updateOne({ _id: importRecord._id }, batchProgress, { session });
+
+          return batchProgress;
+        });
+        importRecord.set(progress);
+      } catch (error) {
+        // Keep what the earlier batches imported; the admin can undo it
+        importRecord.status = "Failed";
+        importRecord.error = `Rows from row ${batch[0].row} on were not imported: ${error.message}`;
+        break;
+      }
+    }
+
+    if (importRecord.status === "Importing") {
+      importRecord.status = "Completed";
+    }
+    await importRecord.save();
+
+    return { importRecord, rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS) };
+  }
+
+  /**
+   * Undo an import: remove its transactions and reverse any balance movements
+   *
+   * Transactions are removed newest first in batches. If a batch fails, the
+   * import stays Undoing with the reason and the undo can be run again to finish.
+   * Imported transactions carry their own or an import reference, never a number
+   * from the live sequence, so removing them leaves no gap in it. Voids and
+   * refunds of them do take live numbers, which is why those block the undo.
+   *
+   * @async
+   * @param {string} importId - Import to undo
+   * @param {string} userId - Admin undoing it
+   * @returns {Promise<TransactionImport>} The undone import
+   * @throws {Error} If the import is not found, is still running or already undone,
+   *   any of its transactions has since been voided or refunded, or a business
+   *   day it touches is closed
+   */
+  static async undo(importId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(importId)) {
+      throw new Error("Invalid import ID format");
+    }
+
+    const importRecord = await TransactionImport.findById(importId);
+    if (!importRecord) {
+      throw new Error("Import not found");
+    }
+    if (importRecord.status === "Undone") {
+      throw new Error("Invalid request: this import has already been undone");
+    }
+    if (
+      importRecord.status === "Importing" &&
+      Date.now() - importRecord.updatedAt.getTime() < STALE_IMPORT_MS
+    ) {
+      throw new Error("Invalid request: this import is still running");
+    }
+
+    const changed = await Transaction.countDocuments({
+      importBatch: importRecord._id,
+      $or: [{ status: { $ne: "Completed" } }, { refundedAmount: { $gt: 0 } }]
+    });
+    if (changed > 0) {
+      throw new Error(
+        `Invalid request: ${changed} imported transaction${changed === 1 ? " has" : "s have"} since been voided or refunded. Reverse those first`
+      );
+    }
+
+    // Removing history changes the days it was dated on, and reversals land today
+    const importedDates = await Transaction.find({ importBatch: importRecord._id }).distinct("createdAt");
+    const businessDates = new Set(importedDates.map((date) => DayCloseService.toBusinessDate(date)));
+    const closed = await DayClose.find({
+      status: "Closed",
+      businessDate: { $in: [...businessDates] }
+    }).distinct("businessDate");
+    if (closed.length > 0) {
+      throw new Error(
+        `Business day ${closed.sort()[0]} is closed. An admin must reopen it before transactions dated that day can change`
+      );
+    }
+    if (importRecord.affectBalances) {
+      await DayCloseService.assertDayOpen(new Date());
+    }
+
+    importRecord.status = "Undoing";
+    importRecord.error = "";
+    await importRecord.save();
+
+    for (;;) {
+      const transactions = await Transaction.find({ importBatch: importRecord._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(BATCH_SIZE);
+      if (transactions.length === 0) break;
+
+      try {
+        await runInTransaction(mongoose, async (session) => {
+          for (const transaction of transactions) {
+            if (!transaction.historyOnly) {
+              await AccountService.reverseAccountUpdates(
+                transaction.type,
+                transaction.currency,
+                transaction.amount,
+                transaction.amountTTD,
+                session,
+                { userId, description: `Import undone: ${transaction.type} ${transaction.reference}` },
+                transaction.costBasisTTD,
+                transaction.type === "Exchange"
+                  ? { toCurrency: transaction.toCurrency, toAmount: transaction.toAmount }
+                  : {}
+              );
+            }
+          }
+
+          const transactionIds = transactions.map((transaction) => transaction._id);
+          await Transaction.deleteMany({ _id: { $in: transactionIds } }, { session });
+          await TransactionRevision.deleteMany({ transaction: { $in: transactionIds } }, { session });
+        });
+      } catch (error) {
+        // Stay Undoing so running the undo again finishes the job
+        importRecord.error = error.message;
+        await importRecord.save();
+        throw error;
+      }
+
+      // Files attached to the removed transactions have nothing left to belong to
+      await AttachmentService.deleteTransactionAttachments(
+        transactions.map((transaction) => transaction._id)
+      );
+    }
+
+    importRecord.status = "Undone";
+    importRecord.undoneBy = userId;
+    importRecord.undoneAt = new Date();
+    await importRecord.save();
+
+    return importRecord;
+  }
+
+  /**
+   * List imports, newest first
+   *
+   * @async
+   * @param {Object} [options={}] - Paging options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Imports per page
+   * @returns {Promise<Object>} imports and pagination
+   */
+  static async listImports({ page = 1, limit = 20 } = {}) {
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const [imports, total] = await Promise.all([
+      TransactionImport.find()
+        .populate("importedBy", "userName fullName")
+        .populate("undoneBy", "userName fullName")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      TransactionImport.countDocuments()
+    ]);
+
+    return {
+      imports,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    };
+  }
+}
+
+export default TransactionImportService;
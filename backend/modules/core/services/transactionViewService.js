@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Transaction View Service - Manages saved transaction list views
+ *
+ * This service keeps the named filter, sort and column sets users save for
+ * the transaction list. Users see their own views and every shared view; only
+ * the owner or an admin can change or delete a view.
+ *
+ * @module services/transactionViewService
+ * @requires mongoose
+ * @requires models/transactionView
+ * @requires helpers/transactionCursor
+ * @requires helpers/transactionSearch
+ */
+
+import mongoose from "mongoose";
+import TransactionView, { TRANSACTION_LIST_COLUMNS } from "../models/transactionView.js";
+import { SORTABLE_FIELDS } from "../helpers/transactionCursor.js";
+import { tokenizeSearch } from "../helpers/transactionSearch.js";
+
+/**
+ * Fields a user may set on a view
+ * @private
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = ["name", "shared", "filters", "sortBy", "sortOrder", "columns"];
+
+/**
+ * Filters a view can save
+ * @private
+ * @type {Array<string>}
+ */
+const FILTER_FIELDS = ["search", "currency", "type", "category", "tag", "dateRange", "dateFrom", "dateTo"];
+
+/**
+ * Transaction view service containing functions for saved views
+ */
+class TransactionViewService {
+  /**
+   * Pick and normalise the editable fields of a view from a request body
+   *
+   * @param {Object} data - Submitted view
+   * @returns {Object} View fields that were given
+   */
+  static pickView(data = {}) {
+    const view = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        view[field] = data[field];
+      }
+    }
+
+    if (view.filters !== undefined) {
+      const filters = {};
+      for (const field of FILTER_FIELDS) {
+        filters[field] = view.filters?.[field] ? String(view.filters[field]) : "";
+      }
+      view.filters = filters;
+    }
+    if (view.shared !== undefined) view.shared = Boolean(view.shared);
+    if (view.sortOrder !== undefined) view.sortOrder = parseInt(view.sortOrder) === 1 ? 1 : -1;
+
+    return view;
+  }
+
+  /**
+   * Check the fields of a view
+   *
+   * @param {Object} view - View fields
+   * @returns {void}
+   * @throws {Error} If the search cannot be read or a sort field or column is unknown
+   */
+  static validateView(view) {
+    if (view.sortBy !== undefined && !SORTABLE_FIELDS[view.sortBy]) {
+      throw new Error(`Invalid view: cannot sort by ${view.sortBy}`);
+    }
+
+    if (view.columns !== undefined) {
+      if (!Array.isArray(view.columns) || view.columns.length === 0) {
+        throw new Error("Invalid view: choose at least one column");
+      }
+      const unknown = view.columns.find((column) => !TRANSACTION_LIST_COLUMNS.includes(column));
+      if (unknown) {
+        throw new Error(`Invalid view: unknown column ${unknown}`);
+      }
+    }
+
+    // A view whose search cannot be read would fail every time it is opened
+    if (view.filters?.search) {
+      tokenizeSearch(view.filters.search);
+    }
+  }
+
+  /**
+   * List the views a user can open: their own, then those shared by others
+   *
+   * @async
+   * @param {Object} user - User listing the views
+   * @returns {Promise<Array<TransactionView>>} Views by name
+   */
+  static async listViews(user) {
+    const views = await TransactionView.find({ $or: [{ owner: user._id }, { shared: true }] })
+      .populate("owner", "userName fullName")
+      .sort({ name: 1 });
+
+    const isOwn = (view) => view.owner?._id?.toString() === user._id.toString();
+    return [...views.filter(isOwn), ...views.filter((view) => !isOwn(view))];
+  }
+
+  /**
+   * Get a view the user can open
+   *
+   * @async
+   * @param {string} viewId - View ID
+   * @param {Object} user - User opening the view
+   * @returns {Promise<TransactionView>} The view
+   * @throws {Error} If the view does not exist or belongs to someone else and is not shared
+   */
+  static async getView(viewId, user) {
+    if (!mongoose.Types.ObjectId.isValid(viewId)) {
+      throw new Error("Invalid view ID format");
+    }
+
+    const view = await TransactionView.findById(viewId).populate("owner", "userName fullName");
+    if (!view || (!view.shared && view.owner?._id?.toString() !== user._id.toString())) {
+      throw new Error("View not found");
+    }
+    return view;
+  }
+
+  /**
+   * Save a new view for a user
+   *
+   * @async
+   * @param {Object} data - Submitted view
+   * @param {Object} user - User saving it
+   * @returns {Promise<TransactionView>} The new view
+   * @throws {Error} If the view is invalid; a second view with the same name
+   *   for the same user fails with code 11000
+   */
+  static async createView(data, user) {
+    const view = TransactionViewService.pickView(data);
+    TransactionViewService.validateView(view);
+
+    const created = await TransactionView.create({ ...view, owner: user._id });
+    return created.populate("owner", "userName fullName");
+  }
+
+  /**
+   * Change a view
+   *
+   * @async
+   * @param {string} viewId - View ID
+   * @param {Object} data - Changed fields
+   * @param {Object} user - User changing it
+   * @returns {Promise<TransactionView>} The updated view
+   * @throws {Error} If not found, not the owner or an admin, or the result is invalid
+   */
+  static async updateView(viewId, data, user) {
+    const view = await TransactionViewService.getOwnedView(viewId, user);
+    const changes = TransactionViewService.pickView(data);
+    TransactionViewService.validateView(changes);
+
+    view.set(changes);
+    await view.save();
+    return view.populate("owner", "userName fullName");
+  }
+
+  /**
+   * Delete a view
+   *
+   * @async
+   * @param {string} viewId - View ID
+   * @param {Object} user - User deleting it
+   * @returns {Promise<void>}
+   * @throws {Error} If not found or not the owner or an admin
+   */
+  static async deleteView(viewId, user) {
+    const view = await TransactionViewService.getOwnedView(viewId, user);
+    await view.deleteOne();
+  }
+
+  /**
+   * Get a view the user may change
+   *
+   * @private
+   * @async
+   * @param {string} viewId - View ID
+   * @param {Object} user - User changing it
+   * @returns {Promise<TransactionView>} The view
+   * @throws {Error} If not found or not the owner or an admin
+   */
+  static async getOwnedView(viewId, user) {
+    const view = await TransactionViewService.getView(viewId, user);
+    if (user.role !== "admin" && view.owner?._id?.toString() !== user._id.toString()) {
+      throw new Error("Unauthorized: only the owner or an admin can change this view");
+    }
+    return view;
+  }
+}
+
+export default TransactionViewService;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview CSV Parser - Reads comma-separated files
+ *
+ * Splits a CSV document into rows of fields, following RFC 4180 quoting
+ * (quoted fields may contain commas, doubled quotes and line breaks).
+ *
+ * @module utils/csvParser
+ */
+
+/**
+ * Parse a CSV document into rows
+ *
+ * Blank lines are skipped and a leading byte order mark is ignored.
+ *
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows of field values
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; pos < text.length; pos++) {
+    const char = text[pos];
+
+    if (inQuotes) {
+      if (char === "\"") {
+        if (text[pos + 1] === "\"") {
+          field += "\"";
+          pos++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[pos + 1] === "\n") pos++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+}
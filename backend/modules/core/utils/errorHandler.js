@@ -93,6 +93,11 @@ export const sendErrorResponse = (res, statusCode, message, details = null) => {
       return sendErrorResponse(res, 401, error.message);
     }
     
+    // Changes to a closed business day are locked until an admin reopens it
+    if (error.message.includes('is closed')) {
+      return sendErrorResponse(res, 423, error.message);
+    }
+    
     if (error.message.includes('Invalid')) {
       return sendErrorResponse(res, 400, error.message);
     }
@@ -7,16 +7,146 @@
  * @module controllers/reportingController
  * @requires mongoose
  * @requires models/transaction
+ * @requires models/transactionCategory
  * @requires utils/errorHandler
+ * @requires helpers/money
  * @requires services/exportService
  */
 
 import mongoose from "mongoose";
 import Transaction from "../../core/models/transaction.js";
 import Account from "../../core/models/account.js";
+import TransactionCategory from "../../core/models/transactionCategory.js";
+import { normalizeTags } from "../../core/models/transaction.js";
 import { sendSuccessResponse, sendErrorResponse } from "../../core/utils/errorHandler.js";
+import { roundAmount, getCurrencyEntry, getMinorUnits } from "../../core/helpers/currencyUnits.js";
+import { decimalsToNumbers } from "../../core/helpers/money.js";
 import { generateCsvExport, generatePdfExport } from "../services/exportService.js";
 
+/**
+ * Match conditions that leave out voided transactions and their reversal records,
+ * which cancel each other out, refund records, which are netted off against the
+ * transactions they refund by NET_OF_REFUNDS, and pending transactions, which
+ * haven't moved any balances yet.
+ *
+ * @private
+ * @constant {Object}
+ */
+const COUNTED_TRANSACTIONS = {
+  status: { $nin: ["Cancelled", "Pending"] },
+  reversalOf: null,
+  refundOf: null
+};
+
+/**
+ * Expression for the share of a transaction's amount that has not been refunded
+ *
+ * @private
+ * @constant {Object}
+ */
+const UNREFUNDED_SHARE = {
+  $cond: [
+    { $gt: ["$amount", 0] },
+    { $divide: [{ $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] }, "$amount"] },
+    0
+  ]
+};
+
+/**
+ * Pipeline stage that reduces each transaction's amounts by what has been refunded
+ *
+ * @private
+ * @constant {Object}
+ */
+const NET_OF_REFUNDS = {
+  $addFields: {
+    amount: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] },
+    amountTTD: { $subtract: ["$amountTTD", { $ifNull: ["$refundedAmountTTD", 0] }] },
+    toAmount: { $subtract: ["$toAmount", { $ifNull: ["$refundedToAmount", 0] }] },
+    // Cost and gain are refunded in the same proportion as the amount
+    costBasisTTD: { $multiply: [{ $ifNull: ["$costBasisTTD", 0] }, UNREFUNDED_SHARE] },
+    realizedGainTTD: { $multiply: [{ $ifNull: ["$realizedGainTTD", 0] }, UNREFUNDED_SHARE] }
+  }
+};
+
+/**
+ * Helper function to match transactions with a leg in a currency; an Exchange
+ * matches on the currency it received and on the currency it paid out
+ *
+ * @private
+ * @function currencyLegFilter
+ * @param {string} currency - Currency code
+ * @returns {Object} Match condition
+ */
+function currencyLegFilter(currency) {
+  return { $or: [{ currency }, { toCurrency: currency }] };
+}
+
+/**
+ * Helper function for the pipeline stages that report an Exchange in the currency
+ * being filtered on, so the paid-out leg is counted in that currency
+ *
+ * @private
+ * @function currencyLegStages
+ * @param {string} [currency] - Currency code being filtered on
+ * @returns {Array<Object>} Pipeline stages (none when not filtering by currency)
+ */
+function currencyLegStages(currency) {
+  if (!currency || currency === "all") return [];
+
+  return [
+    {
+      $addFields: {
+        amount: { $cond: [{ $eq: ["$toCurrency", currency] }, "$toAmount", "$amount"] }
+      }
+    }
+  ];
+}
+
+/**
+ * Totals worked out for each category or tag
+ *
+ * @private
+ * @constant {Object}
+ */
+const CLASSIFICATION_TOTALS = {
+  totalAmount: { $sum: "$amount" },
+  totalTTD: { $sum: "$amountTTD" },
+  feeIncome: { $sum: { $ifNull: ["$feeTotalTTD", 0] } },
+  realizedGain: { $sum: { $ifNull: ["$realizedGainTTD", 0] } },
+  count: { $sum: 1 }
+};
+
+/**
+ * Helper function to match transactions by category and tag
+ *
+ * @private
+ * @function classificationFilter
+ * @param {Object} query - Request query
+ * @param {string} [query.category] - Category ID, or "none" for transactions without one
+ * @param {string} [query.tag] - Tag
+ * @returns {Object} Match conditions (empty when neither is given)
+ * @throws {Error} If the category ID is malformed
+ */
+function classificationFilter({ category, tag }) {
+  const filter = {};
+
+  if (category === "none") {
+    filter.category = null;
+  } else if (category && category !== "all") {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new Error("Invalid category ID format");
+    }
+    // Aggregation pipelines are not cast, so the ID has to be an ObjectId already
+    filter.category = new mongoose.Types.ObjectId(category);
+  }
+
+  const [normalizedTag] = normalizeTags([tag]);
+  if (normalizedTag) filter.tags = normalizedTag;
+
+  return filter;
+}
+
 /**
  * Get revenue data with filtering and grouping options
  *
@@ -25,7 +155,10 @@ import { generateCsvExport, generatePdfExport } from "../services/exportService.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with revenue data or error
- * @description Returns transaction revenue data grouped by time period with flexible filtering
+ * @description Returns transaction revenue data grouped by time period with flexible filtering,
+ * including by category (an ID, or "none") and tag.
+ * profit and profitMargin are the realized FX gain and its share of Sell proceeds.
+ * feeIncome is the service fees charged, in TTD, as an income line of its own.
  */
 export const getRevenueData = async (req, res) => {
   try {
@@ -34,8 +167,7 @@ export const getRevenueData = async (req, res) => {
       endDate, 
       currency, 
       groupBy = "day", 
-      client = "",
-      category = "" 
+      client = ""
     } = req.query;
 
     // Build date filter
@@ -50,67 +182,36 @@ export const getRevenueData = async (req, res) => {
       }
     }
 
-    // Add currency filter if provided
-    if (currency && currency !== "all") {
-      dateFilter.currency = currency;
+    // Add currency filter if provided. Realized gain is always in TTD, so a TTD
+    // filter narrows the cash figures but still counts the gain on every currency's Sells
+    if (currency && currency !== "all" && currency !== "TTD") {
+      Object.assign(dateFilter, currencyLegFilter(currency));
     }
+    const inCashCurrency = currency === "TTD" ? { $eq: ["$currency", "TTD"] } : true;
 
     // Client filter would be based on customerName or a related field
     if (client) {
       dateFilter.customerName = { $regex: client, $options: "i" };
     }
 
-    // Category filter - assuming category information exists
-    // This may need adjustment based on your actual data model
-    if (category) {
-      // If you have categories in your transactions, adjust this accordingly
-      // dateFilter.category = category;
-    }
+    Object.assign(dateFilter, classificationFilter(req.query));
 
     // Determine grouping format based on groupBy parameter
-    let groupFormat;
-    switch (groupBy) {
-      case "week":
-        groupFormat = { $week: "$createdAt" };
-        break;
-      case "month":
-        groupFormat = { 
-          year: { $year: "$createdAt" },
-          month: { $month: "$createdAt" }
-        };
-        break;
-      case "quarter":
-        groupFormat = {
-          year: { $year: "$createdAt" },
-          quarter: { 
-            $ceil: { 
-              $divide: [{ $month: "$createdAt" }, 3] 
-            } 
-          }
-        };
-        break;
-      case "year":
-        groupFormat = { $year: "$createdAt" };
-        break;
-      default: // day
-        groupFormat = { 
-          year: { $year: "$createdAt" },
-          month: { $month: "$createdAt" },
-          day: { $dayOfMonth: "$createdAt" }
-        };
-    }
+    const groupFormat = getGroupFormat(groupBy);
 
     // Build the aggregation pipeline
     const pipeline = [
-      { $match: dateFilter },
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
       {
         $group: {
           _id: groupFormat,
-          // Cash In and Buy are considered "revenue", Cash Out and Sell are "expenses"
+          // Cash In and Buy are considered "revenue", Cash Out and Sell are "expenses".
+          // An Exchange moves no TTD, so it only shows up in the realized gain.
           revenue: {
             $sum: {
               $cond: [
-                { $in: ["$type", ["Cash In", "Buy"]] },
+                { $and: [inCashCurrency, { $in: ["$type", ["Cash In", "Buy"]] }] },
                 { $cond: [{ $eq: ["$currency", "TTD"] }, "$amount", "$amountTTD"] },
                 0
               ]
@@ -119,50 +220,37 @@ export const getRevenueData = async (req, res) => {
           expenses: {
             $sum: {
               $cond: [
-                { $in: ["$type", ["Cash Out", "Sell"]] },
+                { $and: [inCashCurrency, { $in: ["$type", ["Cash Out", "Sell"]] }] },
                 { $cond: [{ $eq: ["$currency", "TTD"] }, "$amount", "$amountTTD"] },
                 0
               ]
             }
           },
-          transactionCount: { $sum: 1 }
+          // Profit is the spread realized on Sells, not the cash that moved
+          realizedGain: { $sum: "$realizedGainTTD" },
+          // Fees are kept when a transaction is refunded, so they are not netted off
+          feeIncome: { $sum: { $ifNull: ["$feeTotalTTD", 0] } },
+          salesTTD: {
+            $sum: { $cond: [{ $eq: ["$type", "Sell"] }, "$amountTTD", 0] }
+          },
+          transactionCount: { $sum: { $cond: [inCashCurrency, 1, 0] } }
         }
       },
       { $sort: { "_id": 1 } }
     ];
 
     // Execute the aggregation
-    const aggregationResult = await Transaction.aggregate(pipeline);
+    const aggregationResult = decimalsToNumbers(await Transaction.aggregate(pipeline));
 
     // Format the results for the frontend
     let formattedResults = [];
     
     // Format the dates based on the groupBy parameter
     aggregationResult.forEach(item => {
-      let date;
-      let dateStr;
-      
-      if (groupBy === "day") {
-        date = new Date(item._id.year, item._id.month - 1, item._id.day);
-        dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-      } else if (groupBy === "week") {
-        // Week calculation is more complex - need the year as well for accurate calculation
-        // This is a simplification and might need adjustment
-        date = new Date();
-        date.setFullYear(new Date().getFullYear());
-        date.setDate(1 + (item._id - 1) * 7);
-        dateStr = `Week ${item._id}`;
-      } else if (groupBy === "month") {
-        date = new Date(item._id.year, item._id.month - 1, 1);
-        dateStr = date.toISOString().slice(0, 7); // YYYY-MM
-      } else if (groupBy === "quarter") {
-        dateStr = `${item._id.year} Q${item._id.quarter}`;
-      } else if (groupBy === "year") {
-        dateStr = `${item._id}`;
-      }
+      const dateStr = formatPeriodLabel(item._id, groupBy);
 
-      const profit = item.revenue - item.expenses;
-      const profitMargin = item.revenue > 0 ? (profit / item.revenue) * 100 : 0;
+      const profit = item.realizedGain;
+      const profitMargin = item.salesTTD > 0 ? (profit / item.salesTTD) * 100 : 0;
 
       formattedResults.push({
         date: dateStr,
@@ -170,6 +258,7 @@ export const getRevenueData = async (req, res) => {
         expenses: parseFloat(item.expenses.toFixed(2)),
         profit: parseFloat(profit.toFixed(2)),
         profitMargin: parseFloat(profitMargin.toFixed(2)),
+        feeIncome: parseFloat(item.feeIncome.toFixed(2)),
         count: item.transactionCount
       });
     });
@@ -177,10 +266,143 @@ export const getRevenueData = async (req, res) => {
     return sendSuccessResponse(res, 200, "Revenue data retrieved successfully", formattedResults);
   } catch (error) {
     console.error("Error in getRevenueData:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     return sendErrorResponse(res, 500, "Failed to retrieve revenue data");
   }
 };
 
+/**
+ * Get realized FX profit by period and by currency
+ *
+ * @async
+ * @function getProfitData
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with profit data or error
+ * @description Returns the gain realized on Sells and Exchanges (proceeds less
+ * weighted-average cost), net of refunds, grouped by period and by the currency that
+ * was sold, plus current holdings at cost. Can be narrowed by category and tag.
+ */
+export const getProfitData = async (req, res) => {
+  try {
+    const { startDate, endDate, currency, groupBy = "day" } = req.query;
+
+    // Build date filter
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
+      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const endOfDay = new Date(endDate);
+        endOfDay.setHours(23, 59, 59, 999);
+        dateFilter.createdAt.$lte = endOfDay;
+      }
+    }
+    Object.assign(dateFilter, classificationFilter(req.query));
+
+    // Profit is always in TTD, so only a foreign currency narrows the report.
+    // An Exchange sells the currency it pays out.
+    const soldCurrencyFilter = currency && currency !== "all" && currency !== "TTD"
+      ? { soldCurrency: currency }
+      : {};
+
+    const totalsStage = {
+      amountSold: { $sum: "$soldAmount" },
+      proceedsTTD: { $sum: "$amountTTD" },
+      costTTD: { $sum: "$costBasisTTD" },
+      realizedGain: { $sum: "$realizedGainTTD" },
+      count: { $sum: 1 }
+    };
+
+    const [result] = decimalsToNumbers(await Transaction.aggregate([
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS, type: { $in: ["Sell", "Exchange"] } } },
+      NET_OF_REFUNDS,
+      {
+        $addFields: {
+          soldCurrency: { $cond: [{ $eq: ["$type", "Exchange"] }, "$toCurrency", "$currency"] },
+          soldAmount: { $cond: [{ $eq: ["$type", "Exchange"] }, "$toAmount", "$amount"] }
+        }
+      },
+      { $match: soldCurrencyFilter },
+      {
+        $facet: {
+          byPeriod: [
+            { $group: { _id: getGroupFormat(groupBy), ...totalsStage } },
+            { $sort: { "_id": 1 } }
+          ],
+          byCurrency: [
+            { $group: { _id: "$soldCurrency", ...totalsStage } },
+            { $sort: { "_id": 1 } }
+          ]
+        }
+      }
+    ]));
+
+    const round = (value) => parseFloat((value || 0).toFixed(2));
+    const margin = (item) => item.proceedsTTD > 0 ? round((item.realizedGain / item.proceedsTTD) * 100) : 0;
+
+    const periods = result.byPeriod.map(item => ({
+      date: formatPeriodLabel(item._id, groupBy),
+      proceedsTTD: round(item.proceedsTTD),
+      costTTD: round(item.costTTD),
+      realizedGain: round(item.realizedGain),
+      profitMargin: margin(item),
+      count: item.count
+    }));
+
+    // Current holdings at weighted-average cost, for context next to the realized figures
+    const accounts = await Account.find({ currency: { $ne: "TTD" } });
+    const holdings = new Map(accounts.map(account => [account.currency, account]));
+
+    const currencies = result.byCurrency.map(item => {
+      const account = holdings.get(item._id);
+      return {
+        currency: item._id,
+        amountSold: round(item.amountSold),
+        proceedsTTD: round(item.proceedsTTD),
+        costTTD: round(item.costTTD),
+        realizedGain: round(item.realizedGain),
+        profitMargin: margin(item),
+        averageSellRate: item.amountSold > 0 ? parseFloat((item.proceedsTTD / item.amountSold).toFixed(4)) : null,
+        averageCostRate: item.amountSold > 0 ? parseFloat((item.costTTD / item.amountSold).toFixed(4)) : null,
+        balance: account ? round(account.balance) : 0,
+        averageCost: account?.averageCost ?? null,
+        count: item.count
+      };
+    });
+
+    const totals = result.byCurrency.reduce(
+      (sum, item) => ({
+        proceedsTTD: sum.proceedsTTD + item.proceedsTTD,
+        costTTD: sum.costTTD + item.costTTD,
+        realizedGain: sum.realizedGain + item.realizedGain,
+        count: sum.count + item.count
+      }),
+      { proceedsTTD: 0, costTTD: 0, realizedGain: 0, count: 0 }
+    );
+
+    return sendSuccessResponse(res, 200, "Profit data retrieved successfully", {
+      periods,
+      currencies,
+      totals: {
+        proceedsTTD: round(totals.proceedsTTD),
+        costTTD: round(totals.costTTD),
+        realizedGain: round(totals.realizedGain),
+        profitMargin: margin(totals),
+        count: totals.count
+      }
+    });
+  } catch (error) {
+    console.error("Error in getProfitData:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    return sendErrorResponse(res, 500, "Failed to retrieve profit data");
+  }
+};
+
 /**
  * Get transaction summary by currency
  *
@@ -189,7 +411,8 @@ export const getRevenueData = async (req, res) => {
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with currency summary data or error
- * @description Returns aggregated transaction data by currency
+ * @description Returns aggregated transaction data by currency, optionally for one
+ *              category and tag
  */
 export const getCurrencySummary = async (req, res) => {
   try {
@@ -207,6 +430,8 @@ export const getCurrencySummary = async (req, res) => {
       }
     }
 
+    Object.assign(dateFilter, classificationFilter(req.query));
+
     // Admins can see all data, non-admins might be restricted
     if (req.user && req.user.role !== "admin") {
       // Optional: Add user-specific filters here if needed
@@ -214,29 +439,42 @@ export const getCurrencySummary = async (req, res) => {
       // dateFilter.createdBy = req.user._id;
     }
 
-    // Aggregate transactions by currency
+    // Aggregate transactions by currency. An Exchange has a leg in each of its
+    // currencies: the received amount comes in, the payout goes out.
     const pipeline = [
-      { $match: dateFilter },
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      {
+        $project: {
+          legs: {
+            $concatArrays: [
+              [
+                {
+                  currency: "$currency",
+                  amount: "$amount",
+                  isIn: { $in: ["$type", ["Cash In", "Buy", "Exchange"]] }
+                }
+              ],
+              {
+                $cond: [
+                  { $eq: ["$type", "Exchange"] },
+                  [{ currency: "$toCurrency", amount: "$toAmount", isIn: false }],
+                  []
+                ]
+              }
+            ]
+          }
+        }
+      },
+      { $unwind: "$legs" },
       {
         $group: {
-          _id: "$currency",
+          _id: "$legs.currency",
           totalIn: {
-            $sum: {
-              $cond: [
-                { $in: ["$type", ["Cash In", "Buy"]] },
-                "$amount",
-                0
-              ]
-            }
+            $sum: { $cond: ["$legs.isIn", "$legs.amount", 0] }
           },
           totalOut: {
-            $sum: {
-              $cond: [
-                { $in: ["$type", ["Cash Out", "Sell"]] },
-                "$amount",
-                0
-              ]
-            }
+            $sum: { $cond: ["$legs.isIn", 0, "$legs.amount"] }
           },
           transactionCount: { $sum: 1 }
         }
@@ -244,7 +482,7 @@ export const getCurrencySummary = async (req, res) => {
       { $sort: { "_id": 1 } }
     ];
 
-    const currencySummary = await Transaction.aggregate(pipeline);
+    const currencySummary = decimalsToNumbers(await Transaction.aggregate(pipeline));
     
     // Get account balances
     const accounts = await Account.find({}, 'currency balance');
@@ -254,10 +492,10 @@ export const getCurrencySummary = async (req, res) => {
       const account = accounts.find(a => a.currency === item._id);
       return {
         currency: item._id,
-        totalIn: parseFloat(item.totalIn.toFixed(2)),
-        totalOut: parseFloat(item.totalOut.toFixed(2)),
-        netFlow: parseFloat((item.totalIn - item.totalOut).toFixed(2)),
-        balance: account ? parseFloat(account.balance.toFixed(2)) : 0,
+        totalIn: roundAmount(item.totalIn, item._id),
+        totalOut: roundAmount(item.totalOut, item._id),
+        netFlow: roundAmount(item.totalIn - item.totalOut, item._id),
+        balance: account ? roundAmount(account.balance, item._id) : 0,
         count: item.transactionCount
       };
     });
@@ -265,6 +503,9 @@ export const getCurrencySummary = async (req, res) => {
     return sendSuccessResponse(res, 200, "Currency summary retrieved successfully", result);
   } catch (error) {
     console.error("Error in getCurrencySummary:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     return sendErrorResponse(res, 500, "Failed to retrieve currency summary");
   }
 };
@@ -277,7 +518,8 @@ export const getCurrencySummary = async (req, res) => {
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with transaction type analytics or error
- * @description Returns aggregated transaction data by transaction type
+ * @description Returns aggregated transaction data by transaction type, optionally
+ *              for one category and tag
  */
 export const getTransactionTypeAnalytics = async (req, res) => {
   try {
@@ -296,12 +538,15 @@ export const getTransactionTypeAnalytics = async (req, res) => {
     }
     
     if (currency && currency !== "all") {
-      filter.currency = currency;
+      Object.assign(filter, currencyLegFilter(currency));
     }
+    Object.assign(filter, classificationFilter(req.query));
 
     // Aggregate by transaction type
     const pipeline = [
-      { $match: filter },
+      { $match: { ...filter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
       {
         $group: {
           _id: "$type",
@@ -313,7 +558,7 @@ export const getTransactionTypeAnalytics = async (req, res) => {
       { $sort: { count: -1 } }
     ];
 
-    const typeAnalytics = await Transaction.aggregate(pipeline);
+    const typeAnalytics = decimalsToNumbers(await Transaction.aggregate(pipeline));
     
     // Format results
     const formattedResults = typeAnalytics.map(item => ({
@@ -333,6 +578,9 @@ export const getTransactionTypeAnalytics = async (req, res) => {
     return sendSuccessResponse(res, 200, "Transaction type analytics retrieved successfully", formattedResults);
   } catch (error) {
     console.error("Error in getTransactionTypeAnalytics:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     return sendErrorResponse(res, 500, "Failed to retrieve transaction type analytics");
   }
 };
@@ -345,7 +593,9 @@ export const getTransactionTypeAnalytics = async (req, res) => {
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with customer analytics or error
- * @description Returns aggregated transaction data by customer
+ * @description Returns aggregated transaction data by customer. Registered customers
+ *              are grouped by their customer record, others by the name on the transaction.
+ *              Can be narrowed by category and tag.
  */
 export const getCustomerAnalytics = async (req, res) => {
   try {
@@ -364,15 +614,21 @@ export const getCustomerAnalytics = async (req, res) => {
     }
     
     if (currency && currency !== "all") {
-      filter.currency = currency;
+      Object.assign(filter, currencyLegFilter(currency));
     }
+    Object.assign(filter, classificationFilter(req.query));
 
     // Aggregate by customer
     const pipeline = [
-      { $match: filter },
+      { $match: { ...filter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
       {
+        // Registered customers are one person however their name was typed;
+        // transactions without a customer record fall back to the name
         $group: {
-          _id: "$customerName",
+          _id: { $ifNull: ["$customerId", "$customerName"] },
+          customerName: { $last: "$customerName" },
           totalAmount: { $sum: "$amount" },
           totalTTD: { $sum: "$amountTTD" },
           transactionCount: { $sum: 1 },
@@ -380,14 +636,23 @@ export const getCustomerAnalytics = async (req, res) => {
         }
       },
       { $sort: { totalAmount: -1 } },
-      { $limit: parseInt(limit) }
+      { $limit: parseInt(limit) },
+      {
+        $lookup: {
+          from: "customers",
+          localField: "_id",
+          foreignField: "_id",
+          as: "customerRecord"
+        }
+      }
     ];
 
-    const customerAnalytics = await Transaction.aggregate(pipeline);
+    const customerAnalytics = decimalsToNumbers(await Transaction.aggregate(pipeline));
     
     // Format results
     const formattedResults = customerAnalytics.map(item => ({
-      customer: item._id,
+      customer: item.customerRecord[0]?.fullName || item.customerName,
+      customerId: item.customerRecord[0]?._id || null,
       totalAmount: parseFloat(item.totalAmount.toFixed(2)),
       totalTTD: parseFloat(item.totalTTD.toFixed(2)),
       transactionCount: item.transactionCount,
@@ -397,6 +662,9 @@ export const getCustomerAnalytics = async (req, res) => {
     return sendSuccessResponse(res, 200, "Customer analytics retrieved successfully", formattedResults);
   } catch (error) {
     console.error("Error in getCustomerAnalytics:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     return sendErrorResponse(res, 500, "Failed to retrieve customer analytics");
   }
 };
@@ -409,7 +677,8 @@ export const getCustomerAnalytics = async (req, res) => {
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} File download or error response
- * @description Exports filtered transaction data in CSV, PDF, or JSON format
+ * @description Exports filtered transaction data in CSV, PDF, or JSON format; filters
+ *              are the dates, currency, type, category and tag
  */
 export const exportTransactionData = async (req, res) => {
   try {
@@ -428,17 +697,23 @@ export const exportTransactionData = async (req, res) => {
     }
     
     if (currency && currency !== "all") {
-      filter.currency = currency;
+      Object.assign(filter, currencyLegFilter(currency));
     }
     
     if (type && type !== "all") {
       filter.type = type;
     }
+    Object.assign(filter, classificationFilter(req.query));
 
-    // Get transaction data
-    const transactions = await Transaction.find(filter)
-      .sort({ createdAt: -1 })
-      .lean();
+    // Get transaction data; lean documents keep amounts as Decimal128
+    const transactions = decimalsToNumbers(
+      await Transaction.find(filter)
+        .populate("reversalOf", "reference")
+        .populate("refundOf", "reference")
+        .populate("category", "name")
+        .sort({ createdAt: -1 })
+        .lean()
+    );
 
     // Generate export file based on format
     let exportData;
@@ -469,6 +744,9 @@ export const exportTransactionData = async (req, res) => {
     res.send(exportData);
   } catch (error) {
     console.error("Error in exportTransactionData:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     return sendErrorResponse(res, 500, "Failed to export transaction data");
   }
 };
@@ -495,10 +773,11 @@ export const getSupportedCurrencies = async (req, res) => {
     // Merge unique currencies from both sources
     const allCurrencies = [...new Set([...accountCurrencies, ...transactionCurrencies])];
     
-    // Format for frontend use
+    // Format for frontend use, with names and minor units from the currency registry
     const currencies = allCurrencies.map(id => ({
       id,
-      name: getCurrencyName(id) // Helper function to get currency names
+      name: getCurrencyEntry(id)?.name || id,
+      minorUnits: getMinorUnits(id)
     }));
 
     return sendSuccessResponse(res, 200, "Currencies retrieved successfully", currencies);
@@ -516,7 +795,8 @@ export const getSupportedCurrencies = async (req, res) => {
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @returns {object} JSON response with detailed transaction analytics
- * @description Provides a detailed summary of system transactions with financial metrics
+ * @description Provides a detailed summary of system transactions with financial metrics,
+ *              optionally for one category and tag
  */
 export const getTransactionSummary = async (req, res) => {
   try {
@@ -535,12 +815,15 @@ export const getTransactionSummary = async (req, res) => {
     }
     
     if (currency && currency !== "all") {
-      dateFilter.currency = currency;
+      Object.assign(dateFilter, currencyLegFilter(currency));
     }
+    Object.assign(dateFilter, classificationFilter(req.query));
 
     // 1. Get transaction summary by type
     const typePipeline = [
-      { $match: dateFilter },
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
       {
         $group: {
           _id: "$type",
@@ -557,7 +840,9 @@ export const getTransactionSummary = async (req, res) => {
 
     // 2. Get daily transaction count
     const dailyPipeline = [
-      { $match: dateFilter },
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
       {
         $group: {
           _id: {
@@ -574,7 +859,9 @@ export const getTransactionSummary = async (req, res) => {
 
     // 3. Get user transaction performance
     const userPipeline = [
-      { $match: dateFilter },
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
       {
         $group: {
           _id: "$createdBy",
@@ -588,10 +875,12 @@ export const getTransactionSummary = async (req, res) => {
 
     // 4. Get count of unique customers
     const customerPipeline = [
-      { $match: dateFilter },
+      { $match: { ...dateFilter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
       {
         $group: {
-          _id: "$customerEmail",
+          _id: { $ifNull: ["$customerId", "$customerEmail"] },
           count: { $sum: 1 },
           totalAmount: { $sum: "$amount" },
           firstTransaction: { $min: "$createdAt" },
@@ -602,12 +891,12 @@ export const getTransactionSummary = async (req, res) => {
     ];
 
     // Execute all aggregations in parallel
-    const [typeSummary, dailyActivity, userPerformance, customerSummary] = await Promise.all([
+    const [typeSummary, dailyActivity, userPerformance, customerSummary] = decimalsToNumbers(await Promise.all([
       Transaction.aggregate(typePipeline),
       Transaction.aggregate(dailyPipeline),
       Transaction.aggregate(userPipeline),
       Transaction.aggregate(customerPipeline)
-    ]);
+    ]));
 
     // Get account balances
     const accounts = await Account.find({}, 'currency balance');
@@ -630,7 +919,7 @@ export const getTransactionSummary = async (req, res) => {
     // Format accounts
     const formattedAccounts = accounts.map(acc => ({
       currency: acc.currency,
-      balance: parseFloat(acc.balance.toFixed(2))
+      balance: roundAmount(acc.balance, acc.currency)
     }));
 
     // Build comprehensive summary
@@ -675,37 +964,174 @@ export const getTransactionSummary = async (req, res) => {
     return sendSuccessResponse(res, 200, "Transaction summary retrieved successfully", summary);
   } catch (error) {
     console.error("Error in getTransactionSummary:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     return sendErrorResponse(res, 500, "Failed to retrieve transaction summary");
   }
 };
 
 /**
- * Helper function to get currency names
- * 
+ * Get transaction volumes by category or by tag
+ *
+ * @async
+ * @function getCategoryAnalytics
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} JSON response with category or tag analytics or error
+ * @description Returns counted transactions, net of refunds, grouped by category
+ * (by=category, the default) or by tag (by=tag), with their TTD value, service fees
+ * and realized gain. Transactions without a category or tag are grouped together.
+ * A transaction with several tags counts under each of them, so percentages are of
+ * the transactions matched rather than of the rows returned.
+ */
+export const getCategoryAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate, currency, by = "category" } = req.query;
+
+    if (!["category", "tag"].includes(by)) {
+      return sendErrorResponse(res, 400, "Invalid grouping: use category or tag");
+    }
+
+    // Build filter
+    const filter = {};
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const endOfDay = new Date(endDate);
+        endOfDay.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = endOfDay;
+      }
+    }
+
+    if (currency && currency !== "all") {
+      Object.assign(filter, currencyLegFilter(currency));
+    }
+    Object.assign(filter, classificationFilter(req.query));
+
+    const groupStages = by === "tag"
+      ? [
+          { $unwind: { path: "$tags", preserveNullAndEmptyArrays: true } },
+          { $group: { _id: { $ifNull: ["$tags", null] }, ...CLASSIFICATION_TOTALS } }
+        ]
+      : [
+          { $group: { _id: "$category", ...CLASSIFICATION_TOTALS } },
+          {
+            $lookup: {
+              from: TransactionCategory.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "categoryRecord"
+            }
+          }
+        ];
+
+    const [result] = decimalsToNumbers(await Transaction.aggregate([
+      { $match: { ...filter, ...COUNTED_TRANSACTIONS } },
+      NET_OF_REFUNDS,
+      ...currencyLegStages(currency),
+      {
+        $facet: {
+          groups: [...groupStages, { $sort: { totalTTD: -1 } }],
+          matched: [{ $count: "count" }]
+        }
+      }
+    ]));
+
+    const totalCount = result.matched[0]?.count || 0;
+    const formattedResults = result.groups.map(item => ({
+      id: item._id ?? null,
+      name: by === "tag"
+        ? item._id ?? "Untagged"
+        : item.categoryRecord[0]?.name ?? "Uncategorized",
+      amount: parseFloat(item.totalAmount.toFixed(2)),
+      amountTTD: parseFloat(item.totalTTD.toFixed(2)),
+      feeIncome: parseFloat(item.feeIncome.toFixed(2)),
+      realizedGain: parseFloat(item.realizedGain.toFixed(2)),
+      count: item.count,
+      percentage: totalCount > 0 ? parseFloat(((item.count / totalCount) * 100).toFixed(2)) : 0
+    }));
+
+    return sendSuccessResponse(res, 200, "Category analytics retrieved successfully", formattedResults);
+  } catch (error) {
+    console.error("Error in getCategoryAnalytics:", error);
+    if (error.message.startsWith("Invalid")) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    return sendErrorResponse(res, 500, "Failed to retrieve category analytics");
+  }
+};
+
+/**
+ * Helper function to build the $group _id for a reporting period
+ *
  * @private
- * @function getCurrencyName
- * @param {string} currencyCode - ISO currency code
- * @returns {string} Currency name
+ * @function getGroupFormat
+ * @param {string} groupBy - Period to group by (day, week, month, quarter, year)
+ * @returns {Object} Aggregation expression for the group key
  */
-function getCurrencyName(currencyCode) {
-  const currencyNames = {
-    'TTD': 'Trinidad and Tobago Dollar',
-    'USD': 'US Dollar',
-    'EUR': 'Euro',
-    'GBP': 'British Pound',
-    'CAD': 'Canadian Dollar',
-    'JPY': 'Japanese Yen',
-    // Add more as needed
-  };
-  
-  return currencyNames[currencyCode] || currencyCode;
+function getGroupFormat(groupBy) {
+  switch (groupBy) {
+    case "week":
+      return { $week: "$createdAt" };
+    case "month":
+      return { 
+        year: { $year: "$createdAt" },
+        month: { $month: "$createdAt" }
+      };
+    case "quarter":
+      return {
+        year: { $year: "$createdAt" },
+        quarter: { 
+          $ceil: { 
+            $divide: [{ $month: "$createdAt" }, 3] 
+          } 
+        }
+      };
+    case "year":
+      return { $year: "$createdAt" };
+    default: // day
+      return { 
+        year: { $year: "$createdAt" },
+        month: { $month: "$createdAt" },
+        day: { $dayOfMonth: "$createdAt" }
+      };
+  }
+}
+
+/**
+ * Helper function to turn a period group key into a label for the frontend
+ *
+ * @private
+ * @function formatPeriodLabel
+ * @param {Object|number} id - Group key produced by getGroupFormat
+ * @param {string} groupBy - Period the key was grouped by
+ * @returns {string} Period label
+ */
+function formatPeriodLabel(id, groupBy) {
+  if (groupBy === "week") {
+    return `Week ${id}`;
+  } else if (groupBy === "month") {
+    const date = new Date(id.year, id.month - 1, 1);
+    return date.toISOString().slice(0, 7); // YYYY-MM
+  } else if (groupBy === "quarter") {
+    return `${id.year} Q${id.quarter}`;
+  } else if (groupBy === "year") {
+    return `${id}`;
+  }
+
+  const date = new Date(id.year, id.month - 1, id.day);
+  return date.toISOString().split('T')[0]; // YYYY-MM-DD
 }
 
 export default {
   getRevenueData,
+  getProfitData,
   getCurrencySummary,
   getTransactionTypeAnalytics,
   getCustomerAnalytics,
+  getCategoryAnalytics,
   exportTransactionData,
   getSupportedCurrencies,
   getTransactionSummary
@@ -30,14 +30,14 @@ const reportConfigSchema = new mongoose.Schema(
     /**
      * Report type/category
      * @type {String}
-     * @enum ["revenue", "currency", "transactions", "customers", "custom"]
+     * @enum ["revenue", "profit", "currency", "transactions", "customers", "categories", "custom"]
      * @required
      */
     type: {
       type: String,
       enum: {
-        values: ["revenue", "currency", "transactions", "customers", "custom"],
-        message: "Report type must be one of: revenue, currency, transactions, customers, custom"
+        values: ["revenue", "profit", "currency", "transactions", "customers", "categories", "custom"],
+        message: "Report type must be one of: revenue, profit, currency, transactions, customers, categories, custom"
       },
       required: [true, "Report type is required"]
     },
@@ -70,6 +70,9 @@ const reportConfigSchema = new mongoose.Schema(
       category: {
         type: String
       },
+      tag: {
+        type: String
+      },
       transactionType: {
         type: String
       }
@@ -27,6 +27,13 @@ router.use(protect);
  */
 router.get("/revenue", reportingController.getRevenueData);
 
+/**
+ * @route   GET /api/reports/profit
+ * @desc    Get realized FX profit by period and currency
+ * @access  Private
+ */
+router.get("/profit", reportingController.getProfitData);
+
 /**
  * @route   GET /api/reports/currency-summary
  * @desc    Get transaction summary by currency
@@ -48,6 +55,13 @@ router.get("/transaction-types", reportingController.getTransactionTypeAnalytics
  */
 router.get("/customer-analytics", reportingController.getCustomerAnalytics);
 
+/**
+ * @route   GET /api/reports/categories
+ * @desc    Get transaction volumes by category or tag
+ * @access  Private
+ */
+router.get("/categories", reportingController.getCategoryAnalytics);
+
 /**
  * @route   GET /api/reports/export
  * @desc    Export transaction data in specified format
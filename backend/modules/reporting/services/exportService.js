@@ -7,10 +7,14 @@
  * @module services/exportService
  * @requires csv-writer
  * @requires pdfkit
+ * @requires core/helpers/currencyUnits
+ * @requires core/helpers/money
  */
 
 import { createObjectCsvStringifier } from 'csv-writer';
 import PDFDocument from 'pdfkit';
+import { formatAmount } from '../../core/helpers/currencyUnits.js';
+import { addAmounts, decimalToNumber, subtractAmounts } from '../../core/helpers/money.js';
 
 /**
  * Generate CSV export from transaction data
@@ -30,10 +34,25 @@ export function generateCsvExport(transactions) {
       { id: 'amount', title: 'Amount' },
       { id: 'currency', title: 'Currency' },
       { id: 'amountTTD', title: 'Amount (TTD)' },
+      { id: 'toAmount', title: 'Payout Amount' },
+      { id: 'toCurrency', title: 'Payout Currency' },
+      { id: 'crossRate', title: 'Cross Rate' },
       { id: 'exchangeRate', title: 'Exchange Rate' },
+      { id: 'costBasisTTD', title: 'Cost (TTD)' },
+      { id: 'realizedGainTTD', title: 'Realized Gain (TTD)' },
+      { id: 'feeTotalTTD', title: 'Fees (TTD)' },
       { id: 'status', title: 'Status' },
       { id: 'createdAt', title: 'Date' },
-      { id: 'notes', title: 'Notes' }
+      { id: 'category', title: 'Category' },
+      { id: 'tags', title: 'Tags' },
+      { id: 'notes', title: 'Notes' },
+      { id: 'voided', title: 'Void' },
+      { id: 'voidedAt', title: 'Voided On' },
+      { id: 'voidReason', title: 'Void Reason' },
+      { id: 'reversalOf', title: 'Reversal Of' },
+      { id: 'refundedAmount', title: 'Refunded Amount' },
+      { id: 'refundOf', title: 'Refund Of' },
+      { id: 'rejectionReason', title: 'Rejection Reason' }
     ]
   });
 
@@ -43,13 +62,28 @@ export function generateCsvExport(transactions) {
     customerName: tx.customerName,
     customerEmail: tx.customerEmail,
     type: tx.type,
-    amount: tx.amount ? tx.amount.toFixed(2) : '0.00',
+    amount: formatAmount(tx.amount, tx.currency),
     currency: tx.currency,
-    amountTTD: tx.amountTTD ? tx.amountTTD.toFixed(2) : '',
+    amountTTD: tx.amountTTD ? formatAmount(tx.amountTTD, 'TTD') : '',
+    toAmount: tx.toAmount ? formatAmount(tx.toAmount, tx.toCurrency) : '',
+    toCurrency: tx.toCurrency || '',
+    crossRate: tx.crossRate ? tx.crossRate.toFixed(6) : '',
     exchangeRate: tx.exchangeRate ? tx.exchangeRate.toFixed(4) : '',
+    costBasisTTD: tx.costBasisTTD != null ? formatAmount(tx.costBasisTTD, 'TTD') : '',
+    realizedGainTTD: tx.realizedGainTTD != null ? formatAmount(tx.realizedGainTTD, 'TTD') : '',
+    feeTotalTTD: tx.feeTotalTTD ? formatAmount(tx.feeTotalTTD, 'TTD') : '',
     status: tx.status,
     createdAt: new Date(tx.createdAt).toISOString().split('T')[0],
-    notes: tx.notes
+    category: tx.category?.name || '',
+    tags: (tx.tags || []).join(', '),
+    notes: tx.notes,
+    voided: isVoided(tx) ? 'VOID' : '',
+    voidedAt: tx.voidedAt ? new Date(tx.voidedAt).toISOString().split('T')[0] : '',
+    voidReason: tx.voidReason || '',
+    reversalOf: tx.reversalOf?.reference || '',
+    refundedAmount: tx.refundedAmount ? formatAmount(tx.refundedAmount, tx.currency) : '',
+    refundOf: tx.refundOf?.reference || '',
+    rejectionReason: tx.rejectionReason || ''
   }));
 
   // Generate the CSV content
@@ -128,16 +162,25 @@ export function generatePdfExport(transactions) {
           doc.text(tx.customerName.substring(0, 15), currentLeft, rowTop);
           currentLeft += colWidths[1];
           
-          // Type
-          doc.text(tx.type, currentLeft, rowTop);
+          // Type (voided transactions are marked so they stand out)
+          doc.text(
+            isVoided(tx) ? `${tx.type} VOID` : tx.refundOf ? `${tx.type} REFUND` : tx.type,
+            currentLeft,
+            rowTop
+          );
           currentLeft += colWidths[2];
           
-          // Amount
-          doc.text(tx.amount ? tx.amount.toFixed(2) : '0.00', currentLeft, rowTop);
+          // Amount (an Exchange shows what was received and what was paid out)
+          const amountText = formatAmount(tx.amount, tx.currency);
+          doc.text(
+            tx.type === 'Exchange' ? `${amountText} > ${formatAmount(tx.toAmount, tx.toCurrency)}` : amountText,
+            currentLeft,
+            rowTop
+          );
           currentLeft += colWidths[3];
           
           // Currency
-          doc.text(tx.currency, currentLeft, rowTop);
+          doc.text(tx.type === 'Exchange' ? `${tx.currency} > ${tx.toCurrency}` : tx.currency, currentLeft, rowTop);
           currentLeft += colWidths[4];
           
           // Date
@@ -167,38 +210,69 @@ export function generatePdfExport(transactions) {
         doc.fontSize(14).text('Transaction Summary', { align: 'center' });
         doc.moveDown();
         
-        // Calculate summaries by currency and type
+        // Calculate summaries by currency and type; totals are kept per currency
+        // since amounts in different currencies cannot be added together
         const currencySummary = {};
         const typeSummary = {};
+
+        const addToTotal = (totals, currency, amount) => {
+          totals[currency] = addAmounts(currency, totals[currency] ?? 0, amount);
+        };
         
-        transactions.forEach(tx => {
+        // Voided transactions and their reversals cancel out, so leave both out of the totals.
+        // Refund records are left out too; refunds are netted off the original instead.
+        // Pending and rejected transactions never moved any balances.
+        transactions.filter(tx => !['Cancelled', 'Pending'].includes(tx.status) && !tx.reversalOf && !tx.refundOf).forEach(tx => {
+          const netAmount = subtractAmounts(tx.currency, tx.amount || 0, tx.refundedAmount || 0);
+
           // Currency summary
           if (!currencySummary[tx.currency]) {
             currencySummary[tx.currency] = {
               count: 0,
-              totalAmount: 0
+              totals: {}
             };
           }
           currencySummary[tx.currency].count += 1;
-          currencySummary[tx.currency].totalAmount += tx.amount || 0;
+          addToTotal(currencySummary[tx.currency].totals, tx.currency, netAmount);
+
+          // The paid-out leg of an Exchange counts towards its own currency
+          if (tx.type === 'Exchange') {
+            if (!currencySummary[tx.toCurrency]) {
+              currencySummary[tx.toCurrency] = {
+                count: 0,
+                totals: {}
+              };
+            }
+            currencySummary[tx.toCurrency].count += 1;
+            addToTotal(
+              currencySummary[tx.toCurrency].totals,
+              tx.toCurrency,
+              subtractAmounts(tx.toCurrency, tx.toAmount || 0, tx.refundedToAmount || 0)
+            );
+          }
           
           // Type summary
           if (!typeSummary[tx.type]) {
             typeSummary[tx.type] = {
               count: 0,
-              totalAmount: 0
+              totals: {}
             };
           }
           typeSummary[tx.type].count += 1;
-          typeSummary[tx.type].totalAmount += tx.amount || 0;
+          addToTotal(typeSummary[tx.type].totals, tx.currency, netAmount);
         });
+
+        // Each total is shown to its own currency's minor units, e.g. "150.00 USD, 12500 JPY"
+        const formatTotals = (totals) => Object.entries(totals)
+          .map(([currency, total]) => `${formatAmount(decimalToNumber(total), currency)} ${currency}`)
+          .join(', ');
         
         // Display currency summary
         doc.fontSize(12).text('Summary by Currency', { underline: true });
         doc.moveDown();
         
         Object.entries(currencySummary).forEach(([currency, data]) => {
-          doc.fontSize(10).text(`${currency}: ${data.count} transactions, Total: ${data.totalAmount.toFixed(2)} ${currency}`);
+          doc.fontSize(10).text(`${currency}: ${data.count} transactions, Total: ${formatTotals(data.totals)}`);
         });
         
         doc.moveDown(2);
@@ -208,7 +282,7 @@ export function generatePdfExport(transactions) {
         doc.moveDown();
         
         Object.entries(typeSummary).forEach(([type, data]) => {
-          doc.fontSize(10).text(`${type}: ${data.count} transactions, Total Amount: ${data.totalAmount.toFixed(2)}`);
+          doc.fontSize(10).text(`${type}: ${data.count} transactions, Total: ${formatTotals(data.totals)}`);
         });
       }
       
@@ -220,6 +294,17 @@ export function generatePdfExport(transactions) {
   });
 }
 
+/**
+ * Check whether a transaction has been voided
+ *
+ * @function isVoided
+ * @param {Object} tx - Transaction object
+ * @returns {boolean} True if the transaction was voided
+ */
+export function isVoided(tx) {
+  return tx.status === 'Cancelled' && !!tx.voidedAt;
+}
+
 /**
  * Helper function to format date for reports
  * 
@@ -245,5 +330,6 @@ export function formatDate(date, format = 'short') {
 export default {
   generateCsvExport,
   generatePdfExport,
+  isVoided,
   formatDate
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Currency units tests - rounding and precision per currency
+ *
+ * @requires node:test
+ * @requires helpers/currencyUnits
+ */
+
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatAmount,
+  getMinorUnits,
+  hasValidPrecision,
+  roundAmount,
+  setCurrencyRegistry
+} from "../modules/core/helpers/currencyUnits.js";
+
+before(() => {
+  setCurrencyRegistry([
+    { code: "USD", minorUnits: 2 },
+    { code: "JPY", minorUnits: 0 },
+    { code: "KWD", minorUnits: 3 },
+    { code: "BTC", minorUnits: 8 }
+  ]);
+});
+
+describe("getMinorUnits", () => {
+  test("comes from the registry, whatever the case of the code", () => {
+    assert.equal(getMinorUnits("jpy"), 0);
+    assert.equal(getMinorUnits("KWD"), 3);
+  });
+
+  test("defaults to two for unregistered currencies", () => {
+    assert.equal(getMinorUnits("XYZ"), 2);
+  });
+});
+
+describe("roundAmount", () => {
+  test("rounds to the minor units of the currency", () => {
+    assert.equal(roundAmount(12.345, "USD"), 12.35);
+    assert.equal(roundAmount(1250.5, "JPY"), 1251);
+    assert.equal(roundAmount(1.23456, "KWD"), 1.235);
+    assert.equal(roundAmount(0.123456789, "BTC"), 0.12345679);
+  });
+
+  test("accepts numeric strings", () => {
+    assert.equal(roundAmount("19.999", "USD"), 20);
+  });
+
+  test("treats missing values as zero", () => {
+    assert.equal(roundAmount(undefined, "USD"), 0);
+    assert.equal(roundAmount("abc", "USD"), 0);
+  });
+});
+
+describe("hasValidPrecision", () => {
+  test("accepts amounts within the minor units", () => {
+    assert.equal(hasValidPrecision(12.5, "USD"), true);
+    assert.equal(hasValidPrecision(1250, "JPY"), true);
+    assert.equal(hasValidPrecision("1.125", "KWD"), true);
+  });
+
+  test("rejects amounts with more decimal places", () => {
+    assert.equal(hasValidPrecision(12.345, "USD"), false);
+    assert.equal(hasValidPrecision(1250.5, "JPY"), false);
+    assert.equal(hasValidPrecision(1.1255, "KWD"), false);
+  });
+
+  test("ignores float noise from arithmetic", () => {
+    assert.equal(hasValidPrecision(0.1 + 0.2, "USD"), true);
+  });
+
+  test("rejects values that are not numbers", () => {
+    assert.equal(hasValidPrecision("twelve", "USD"), false);
+  });
+});
+
+test("formatAmount shows exactly the minor units", () => {
+  assert.equal(formatAmount(12.5, "USD"), "12.50");
+  assert.equal(formatAmount(1250, "JPY"), "1250");
+  assert.equal(formatAmount(1.2, "KWD"), "1.200");
+});
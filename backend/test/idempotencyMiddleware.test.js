@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Idempotency middleware tests - new, replayed and conflicting keys
+ *
+ * The key store is replaced with mocks, so no database is needed.
+ *
+ * @requires node:test
+ * @requires middleware/idempotencyMiddleware
+ */
+
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import IdempotencyKey from "../modules/core/models/idempotencyKey.js";
+import SettingsService from "../modules/core/services/settingsService.js";
+import { idempotent } from "../modules/core/middleware/idempotencyMiddleware.js";
+
+const body = { type: "Sell", amount: 50, currency: "USD" };
+const endpoint = "POST /api/transactions/";
+
+/**
+ * Hash the middleware stores for a request body
+ *
+ * @param {Object} requestBody - Request body
+ * @returns {string} SHA-256 of the body as JSON
+ */
+const hashOf = (requestBody) =>
+  crypto.createHash("sha256").update(JSON.stringify(requestBody)).digest("hex");
+
+/**
+ * Stand-in for an Express request
+ *
+ * @param {Object} [headers={}] - Request headers
+ * @param {Object} [requestBody=body] - Request body
+ * @returns {Object} Request
+ */
+function mockRequest(headers = {}, requestBody = body) {
+  return {
+    method: "POST",
+    baseUrl: "/api/transactions",
+    path: "/",
+    body: requestBody,
+    user: { _id: "user-1" },
+    get: (name) => headers[name]
+  };
+}
+
+/**
+ * Stand-in for an Express response that records what was sent
+ *
+ * @returns {Object} Response with statusCode, headers and body once sent
+ */
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    sent: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(sentBody) {
+      this.body = sentBody;
+      this.sent?.();
+      return this;
+    },
+    on() {
+      return this;
+    }
+  };
+}
+
+/**
+ * Stored key that create collides with
+ *
+ * @param {Object} fields - Fields of the stored key
+ * @returns {void}
+ */
+function existingKey(fields) {
+  mock.method(IdempotencyKey, "create", async () => {
+    throw Object.assign(new Error("duplicate key"), { code: 11000 });
+  });
+  mock.method(IdempotencyKey, "findOne", async () => fields);
+}
+
+beforeEach(() => {
+  mock.method(SettingsService, "getSettingOrDefault", async (key, defaultValue) => defaultValue);
+  mock.method(IdempotencyKey, "deleteOne", async () => ({ deletedCount: 0 }));
+  mock.method(IdempotencyKey, "updateOne", async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("requests without a key pass straight through", async () => {
+  const next = mock.fn();
+  await idempotent(mockRequest(), mockResponse(), next);
+  assert.equal(next.mock.callCount(), 1);
+});
+
+test("malformed keys are rejected", async () => {
+  const res = mockResponse();
+  await idempotent(mockRequest({ "Idempotency-Key": "not a key!" }), res, mock.fn());
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /Invalid Idempotency-Key/);
+});
+
+describe("a new key", () => {
+  beforeEach(() => {
+    mock.method(IdempotencyKey, "create", async (fields) => ({ _id: "record-1", ...fields }));
+  });
+
+  test("is reserved for the request and runs it", async () => {
+    const next = mock.fn();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), mockResponse(), next);
+
+    assert.equal(next.mock.callCount(), 1);
+    const [fields] = IdempotencyKey.create.mock.calls[0].arguments;
+    assert.equal(fields.key, "abc-123");
+    assert.equal(fields.endpoint, endpoint);
+    assert.equal(fields.requestHash, hashOf(body));
+  });
+
+  test("stores a successful response before sending it", async () => {
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, () => {});
+
+    const sent = new Promise((resolve) => (res.sent = resolve));
+    res.status(201).json({ success: true });
+    await sent;
+
+    const [filter, update] = IdempotencyKey.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "record-1" });
+    assert.deepEqual(update, { status: "completed", responseStatus: 201, responseBody: { success: true } });
+    assert.deepEqual(res.body, { success: true });
+  });
+
+  test("is released when the request fails", async () => {
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, () => {});
+
+    const sent = new Promise((resolve) => (res.sent = resolve));
+    res.status(422).json({ success: false });
+    await sent;
+
+    assert.equal(IdempotencyKey.updateOne.mock.callCount(), 0);
+    assert.deepEqual(IdempotencyKey.deleteOne.mock.calls.at(-1).arguments[0], { _id: "record-1" });
+  });
+});
+
+describe("a repeated key", () => {
+  test("replays the stored response", async () => {
+    existingKey({
+      endpoint,
+      requestHash: hashOf(body),
+      status: "completed",
+      responseStatus: 201,
+      responseBody: { success: true, reference: "POS-01-2026-000001" }
+    });
+    const next = mock.fn();
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.headers["Idempotent-Replayed"], "true");
+    assert.deepEqual(res.body, { success: true, reference: "POS-01-2026-000001" });
+  });
+
+  test("gets 409 while the first request is still running", async () => {
+    existingKey({ endpoint, requestHash: hashOf(body), status: "processing" });
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, mock.fn());
+
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /still being processed/);
+  });
+
+  test("gets 409 when the first request has just released it", async () => {
+    existingKey(null);
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, mock.fn());
+
+    assert.equal(res.statusCode, 409);
+  });
+
+  test("gets 422 when reused for a different request body", async () => {
+    existingKey({ endpoint, requestHash: hashOf({ ...body, amount: 60 }), status: "completed" });
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, mock.fn());
+
+    assert.equal(res.statusCode, 422);
+    assert.match(res.body.message, /different request/);
+  });
+
+  test("gets 422 when reused for a different endpoint", async () => {
+    existingKey({ endpoint: "POST /api/transactions/import", requestHash: hashOf(body), status: "completed" });
+    const res = mockResponse();
+    await idempotent(mockRequest({ "Idempotency-Key": "abc-123" }), res, mock.fn());
+
+    assert.equal(res.statusCode, 422);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Reference service tests - reference formats and numbering scopes
+ *
+ * @requires node:test
+ * @requires services/referenceService
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import ReferenceService, { DEFAULT_REFERENCE_FORMAT } from "../modules/core/services/referenceService.js";
+
+/**
+ * Default format with some fields changed
+ *
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Reference format
+ */
+const formatWith = (changes) => ({ ...DEFAULT_REFERENCE_FORMAT, ...changes });
+
+const march = new Date(2026, 2, 5);
+const november = new Date(2026, 10, 20);
+
+describe("formatReference", () => {
+  test("fills in the default format", () => {
+    assert.equal(ReferenceService.formatReference(DEFAULT_REFERENCE_FORMAT, march, 123), "POS-01-2026-000123");
+  });
+
+  test("pads the sequence and shows every date part", () => {
+    const format = formatWith({ template: "{PREFIX}{YY}{MM}{DD}/{SEQ}", padding: 3, resetPeriod: "day" });
+    assert.equal(ReferenceService.formatReference(format, march, 7), "POS260305/007");
+  });
+
+  test("names a fiscal year after the calendar year it ends in", () => {
+    const format = formatWith({ template: "{FY}-{FYY}-{SEQ}", fiscalYearStartMonth: 10 });
+    assert.equal(ReferenceService.formatReference(format, march, 1), "2026-26-000001");
+    assert.equal(ReferenceService.formatReference(format, november, 1), "2027-27-000001");
+  });
+
+  test("does not cut sequences longer than the padding", () => {
+    assert.equal(
+      ReferenceService.formatReference(formatWith({ padding: 2 }), march, 1234),
+      "POS-01-2026-1234"
+    );
+  });
+});
+
+describe("scopeOf", () => {
+  test("is the prefix, branch and reset period", () => {
+    assert.equal(ReferenceService.scopeOf(DEFAULT_REFERENCE_FORMAT, march), "POS|01|2026");
+  });
+
+  test("ignores separators, padding and how the period is shown", () => {
+    const scope = ReferenceService.scopeOf(DEFAULT_REFERENCE_FORMAT, march);
+    assert.equal(ReferenceService.scopeOf(formatWith({ template: "{PREFIX}/{BRANCH}/{YY}/{SEQ}" }), march), scope);
+    assert.equal(ReferenceService.scopeOf(formatWith({ padding: 9 }), march), scope);
+  });
+
+  test("changes with the prefix and branch the template shows", () => {
+    assert.equal(ReferenceService.scopeOf(formatWith({ prefix: "FX" }), march), "FX|01|2026");
+    assert.equal(ReferenceService.scopeOf(formatWith({ branchCode: "02" }), march), "POS|02|2026");
+  });
+
+  test("leaves out a prefix or branch the template does not show", () => {
+    const format = formatWith({ template: "{BRANCH}{FY}{SEQ}", prefix: "FX" });
+    assert.equal(ReferenceService.scopeOf(format, march), "01|2026");
+  });
+
+  test("follows the fiscal year, not the calendar year", () => {
+    const format = formatWith({ fiscalYearStartMonth: 10 });
+    assert.equal(ReferenceService.scopeOf(format, march), "POS|01|FY2026");
+    assert.equal(ReferenceService.scopeOf(format, november), "POS|01|FY2027");
+  });
+
+  test("narrows to the month or day numbering resets on", () => {
+    const monthly = formatWith({ template: "{PREFIX}{YYYY}{MM}{SEQ}", resetPeriod: "month" });
+    const daily = formatWith({ template: "{PREFIX}{YYYY}{MM}{DD}{SEQ}", resetPeriod: "day" });
+    assert.equal(ReferenceService.scopeOf(monthly, march), "POS|2026-03");
+    assert.equal(ReferenceService.scopeOf(daily, march), "POS|2026-03-05");
+  });
+
+  test("has no period when numbering never resets", () => {
+    const format = formatWith({ template: "{PREFIX}-{SEQ}", resetPeriod: "never" });
+    assert.equal(ReferenceService.scopeOf(format, march), ReferenceService.scopeOf(format, november));
+  });
+});
+
+describe("validateFormat", () => {
+  test("accepts the default format", () => {
+    ReferenceService.validateFormat(DEFAULT_REFERENCE_FORMAT);
+  });
+
+  test("needs {SEQ} exactly once", () => {
+    assert.throws(
+      () => ReferenceService.validateFormat(formatWith({ template: "{PREFIX}-{FY}" })),
+      /must contain \{SEQ\} exactly once/
+    );
+  });
+
+  test("needs the reset period in the template", () => {
+    assert.throws(
+      () => ReferenceService.validateFormat(formatWith({ template: "{PREFIX}-{SEQ}" })),
+      /resets each fiscal year needs \{FY\} or \{YYYY\}/
+    );
+  });
+});
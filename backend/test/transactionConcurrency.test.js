@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Concurrency test - parallel sells cannot overdraw an account
+ *
+ * Fires more simultaneous Sell transactions at the USD account than its
+ * balance covers, through the same handler the API uses, against a one-node
+ * replica set (MongoDB transactions need one). The conditional balance update
+ * and the transient-error retry must let exactly as many through as the
+ * balance covers and reject the rest, without the balance ever going below
+ * zero.
+ *
+ * mongodb-memory-server needs a MongoDB server binary: a local mongod named by
+ * MONGOMS_SYSTEM_BINARY, one cached under MONGOMS_DOWNLOAD_DIR (or
+ * node_modules/.cache) or, failing those, a download. The test is skipped,
+ * saying why, when none of them can be had.
+ *
+ * @requires node:test
+ * @requires mongodb-memory-server
+ * @requires controllers/transactionController
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import Account from "../modules/core/models/account.js";
+import LedgerEntry from "../modules/core/models/ledgerEntry.js";
+import Transaction from "../modules/core/models/transaction.js";
+import { createTransaction } from "../modules/core/controllers/transactionController.js";
+
+/**
+ * Sells fired at once
+ * @type {number}
+ */
+const SELLS = 8;
+
+/**
+ * USD sold by each
+ * @type {number}
+ */
+const SELL_AMOUNT = 50;
+
+/**
+ * USD on hand before the sells: enough for three of them
+ * @type {number}
+ */
+const OPENING_USD = 175;
+
+const teller = { _id: new mongoose.Types.ObjectId(), role: "user" };
+
+/**
+ * Stand-in for an Express response that records what was sent
+ *
+ * @returns {Object} Response with statusCode and body once sent
+ */
+function mockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Sell USD through the create transaction handler
+ *
+ * @async
+ * @param {number} index - Which sell, for the customer name
+ * @returns {Promise<Object>} The recorded response
+ */
+async function sell(index) {
+  const res = mockResponse();
+  await createTransaction(
+    {
+      body: {
+        customerName: `Customer ${index}`,
+        type: "Sell",
+        amount: SELL_AMOUNT,
+        currency: "USD",
+        exchangeRate: 6.8
+      },
+      user: teller
+    },
+    res
+  );
+  return res;
+}
+
+/**
+ * Start the replica set
+ *
+ * @async
+ * @returns {Promise<Object>} The replica set, or why it could not be started
+ */
+async function startReplSet() {
+  try {
+    return {
+      replSet: await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } })
+    };
+  } catch (error) {
+    return {
+      skip: `no MongoDB server binary (${error.message.replace(/\s+/g, " ")}); set MONGOMS_SYSTEM_BINARY to a local mongod to run this test`
+    };
+  }
+}
+
+const { replSet, skip } = await startReplSet();
+
+before(async () => {
+  if (!replSet) return;
+  await mongoose.connect(replSet.getUri());
+
+  // Collections and unique indexes must exist before transactions write to them
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+
+  await Account.create([
+    { currency: "TTD", balance: 0 },
+    { currency: "USD", balance: OPENING_USD, costBasisTTD: OPENING_USD * 6.5 }
+  ]);
+});
+
+after(async () => {
+  if (!replSet) return;
+  await mongoose.disconnect();
+  await replSet.stop();
+});
+
+test("parallel sells beyond the balance are rejected and never overdraw it", { skip }, async () => {
+  const responses = await Promise.all(Array.from({ length: SELLS }, (_, index) => sell(index)));
+
+  const covered = Math.floor(OPENING_USD / SELL_AMOUNT);
+  const completed = responses.filter((res) => res.statusCode === 201);
+  const rejected = responses.filter((res) => res.statusCode !== 201);
+
+  assert.equal(completed.length, covered, "as many sells complete as the balance covers");
+  assert.equal(rejected.length, SELLS - covered, "the rest are rejected");
+  for (const res of rejected) {
+    assert.equal(res.statusCode, 422);
+    assert.match(res.body.message, /Insufficient/);
+  }
+
+  const account = await Account.findOne({ currency: "USD" });
+  assert.equal(account.balance, OPENING_USD - covered * SELL_AMOUNT);
+  assert.ok(account.balance >= 0);
+
+  // Every debit left the account at zero or above, in the order they happened
+  const debits = await LedgerEntry.find({ account: account._id, entryType: "debit" }).sort({ createdAt: 1 });
+  assert.equal(debits.length, covered);
+  for (const entry of debits) {
+    assert.ok(entry.balanceAfter >= 0, `balance after a debit was ${entry.balanceAfter}`);
+  }
+
+  assert.equal(await Transaction.countDocuments({ type: "Sell", status: "Completed" }), covered);
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Transaction import tests - reading cells and balance effects of rows
+ *
+ * @requires node:test
+ * @requires services/transactionImportService
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  balanceChanges,
+  parseDate,
+  parseNumber
+} from "../modules/core/services/transactionImportService.js";
+
+describe("parseNumber", () => {
+  test("reads numbers the way spreadsheets export them", () => {
+    assert.equal(parseNumber("1,250.00"), 1250);
+    assert.equal(parseNumber("$40"), 40);
+    assert.equal(parseNumber("1 000.5"), 1000.5);
+    assert.equal(parseNumber("-12.75"), -12.75);
+  });
+
+  test("leaves text that is not a number for validation to report", () => {
+    assert.equal(parseNumber("twelve"), "twelve");
+  });
+
+  test("treats an empty cell as missing", () => {
+    assert.equal(parseNumber(""), undefined);
+    assert.equal(parseNumber(undefined), undefined);
+  });
+});
+
+describe("parseDate", () => {
+  test("reads the parts in the order given", () => {
+    assert.deepEqual(parseDate("2026-03-05", "YMD"), new Date(2026, 2, 5));
+    assert.deepEqual(parseDate("05/03/2026", "DMY"), new Date(2026, 2, 5));
+    assert.deepEqual(parseDate("3.5.2026", "MDY"), new Date(2026, 2, 5));
+  });
+
+  test("reads a time after the date", () => {
+    assert.deepEqual(parseDate("2026-03-05 14:05", "YMD"), new Date(2026, 2, 5, 14, 5));
+    assert.deepEqual(parseDate("05/03/2026 09:30:15", "DMY"), new Date(2026, 2, 5, 9, 30, 15));
+  });
+
+  test("reads ISO timestamps with a time zone when the order is YMD", () => {
+    assert.deepEqual(parseDate("2026-03-05T14:05:00Z", "YMD"), new Date(Date.UTC(2026, 2, 5, 14, 5)));
+    assert.equal(parseDate("2026-03-05T14:05:00Z", "DMY"), null);
+  });
+
+  test("refuses dates that roll over", () => {
+    assert.equal(parseDate("2026-04-31", "YMD"), null);
+    assert.equal(parseDate("29/02/2026", "DMY"), null);
+    assert.equal(parseDate("13/05/2026", "MDY"), null);
+  });
+
+  test("refuses two-digit years and impossible times", () => {
+    assert.equal(parseDate("26-03-05", "YMD"), null);
+    assert.equal(parseDate("2026-03-05 24:00", "YMD"), null);
+    assert.equal(parseDate("2026-03-05 12:60", "YMD"), null);
+  });
+
+  test("refuses text that is not a date", () => {
+    assert.equal(parseDate("yesterday", "YMD"), null);
+  });
+});
+
+describe("balanceChanges", () => {
+  const row = { currency: "USD", amount: 100, amountTTD: 680, toCurrency: "EUR", toAmount: 92 };
+
+  test("moves the currency for cash in and out", () => {
+    assert.deepEqual(balanceChanges({ ...row, type: "Cash In" }), [["USD", 100]]);
+    assert.deepEqual(balanceChanges({ ...row, type: "Cash Out" }), [["USD", -100]]);
+  });
+
+  test("pays TTD for a buy and takes TTD for a sell", () => {
+    assert.deepEqual(balanceChanges({ ...row, type: "Buy" }), [["TTD", -680], ["USD", 100]]);
+    assert.deepEqual(balanceChanges({ ...row, type: "Sell" }), [["USD", -100], ["TTD", 680]]);
+  });
+
+  test("takes in one currency and pays out the other for an exchange", () => {
+    assert.deepEqual(balanceChanges({ ...row, type: "Exchange" }), [["USD", 100], ["EUR", -92]]);
+  });
+
+  test("changes nothing for other types", () => {
+    assert.deepEqual(balanceChanges({ ...row, type: "Adjustment" }), []);
+  });
+});
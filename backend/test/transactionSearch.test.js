@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Transaction search tests - filters built from the search language
+ *
+ * Covers the terms that need no database lookup: amount precision per
+ * currency, date periods and negation.
+ *
+ * @requires node:test
+ * @requires helpers/transactionSearch
+ */
+
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchFilter } from "../modules/core/helpers/transactionSearch.js";
+import { setCurrencyRegistry } from "../modules/core/helpers/currencyUnits.js";
+
+before(() => {
+  setCurrencyRegistry([
+    { code: "TTD", minorUnits: 2 },
+    { code: "USD", minorUnits: 2 },
+    { code: "JPY", minorUnits: 0 },
+    { code: "KWD", minorUnits: 3 }
+  ]);
+});
+
+/**
+ * The single clause a one-term search builds
+ *
+ * @async
+ * @param {string} query - Search text
+ * @returns {Promise<Object>} The clause
+ */
+async function clauseOf(query) {
+  const filter = await buildSearchFilter(query);
+  assert.equal(filter.$and.length, 1);
+  return filter.$and[0];
+}
+
+describe("amount terms", () => {
+  test("compare as exact decimals", async () => {
+    const clause = await clauseOf("amount>500.10");
+    assert.equal(clause.amount.$gt.toString(), "500.10");
+  });
+
+  test("ranges keep both bounds", async () => {
+    const { amount } = await clauseOf("amount:1,000..2500");
+    assert.equal(amount.$gte.toString(), "1000");
+    assert.equal(amount.$lte.toString(), "2500");
+  });
+
+  test("are limited to the precision of the currencies searched", async () => {
+    await assert.rejects(buildSearchFilter("amount:12.345 currency:USD"), /at most 2 decimal places/);
+    await assert.rejects(buildSearchFilter("amount:12.5 currency:JPY"), /at most 0 decimal places/);
+    await buildSearchFilter("amount:12.345 currency:USD,KWD");
+  });
+
+  test("ignore trailing zeros when checking precision", async () => {
+    await buildSearchFilter("amount:12.5000 currency:USD");
+  });
+
+  test("take any currency's precision when none is searched", async () => {
+    await buildSearchFilter("amount:0.00000001");
+    await assert.rejects(buildSearchFilter("amount:0.000000001"), /at most 8 decimal places/);
+  });
+
+  test("are not limited by currencies the search excludes", async () => {
+    await buildSearchFilter("amount:12.345 -currency:USD");
+  });
+
+  test("in TTD are limited to TTD precision", async () => {
+    await assert.rejects(buildSearchFilter("ttd<=1.234 currency:KWD"), /ttd can have at most 2 decimal places/);
+  });
+
+  test("reject ranges that run backwards", async () => {
+    await assert.rejects(buildSearchFilter("amount:10..9.99"), /ends before it starts/);
+  });
+
+  test("reject text that is not a number", async () => {
+    await assert.rejects(buildSearchFilter("amount>1e5"), /amount needs a number/);
+  });
+});
+
+describe("created terms", () => {
+  test("stand for the whole period", async () => {
+    const { createdAt } = await clauseOf("created:2026-02");
+    assert.deepEqual(createdAt.$gte, new Date(2026, 1, 1));
+    assert.deepEqual(createdAt.$lte, new Date(new Date(2026, 2, 1).getTime() - 1));
+  });
+
+  test("reject dates that do not exist", async () => {
+    await assert.rejects(buildSearchFilter("created:2026-02-30"), /"2026-02-30" is not a real date/);
+    await assert.rejects(buildSearchFilter("created:2026-13"), /"2026-13" is not a real date/);
+  });
+
+  test("reject ranges that run backwards", async () => {
+    await assert.rejects(buildSearchFilter("created:2026-03..2026-01"), /ends before it starts/);
+  });
+
+  test("allow a range within one period", async () => {
+    await buildSearchFilter("created:2026-01..2026-01");
+  });
+});
+
+describe("negated terms", () => {
+  test("must not match", async () => {
+    assert.deepEqual(await clauseOf("-type:sell,buy"), { $nor: [{ type: { $in: ["Sell", "Buy"] } }] });
+  });
+
+  test("combine with the other terms", async () => {
+    const filter = await buildSearchFilter("-currency:usd status:completed");
+    assert.deepEqual(filter.$and[0], {
+      $nor: [{ $or: [{ currency: { $in: ["USD"] } }, { toCurrency: { $in: ["USD"] } }] }]
+    });
+    assert.deepEqual(filter.$and[1], { status: { $in: ["Completed"] } });
+  });
+});
+
+test("an empty search matches everything", async () => {
+  assert.deepEqual(await buildSearchFilter("   "), {});
+});
+
+test("unknown fields are rejected", async () => {
+  await assert.rejects(buildSearchFilter("colour:red"), /unknown field "colour"/);
+});
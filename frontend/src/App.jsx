@@ -3,11 +3,17 @@ import { useContext } from "react";
 
 //ADMIN PAGES
 import Users from "./pages/admin/Users";
+import Approvals from "./pages/admin/Approvals";
+import TillSessions from "./pages/admin/TillSessions";
+import DayCloses from "./pages/admin/DayCloses";
+import Compliance from "./pages/admin/Compliance";
+import TransactionImports from "./pages/admin/TransactionImports";
 
 import Layout from "./components/layouts/Layout";
 import Dashboard from "./pages/Dashboard";
 import Login from "./pages/Login";
 import Settings from "./pages/Settings";
+import Customers from "./pages/Customers";
 import ReportingDashboard from "./pages/ReportingDashboard";
 import AuthLayout from "./components/layouts/AuthLayout";
 import { AuthContext } from "./context/AuthContext";
@@ -35,7 +41,13 @@ function App() {
           <Routes>
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/settings" element={<Settings />} />
+            <Route path="/customers" element={<Customers />} />
             <Route path="/users" element={<Users />} />
+            <Route path="/approvals" element={<Approvals />} />
+            <Route path="/till-sessions" element={<TillSessions />} />
+            <Route path="/day-close" element={<DayCloses />} />
+            <Route path="/compliance" element={<Compliance />} />
+            <Route path="/imports" element={<TransactionImports />} />
             <Route path="/reports" element={<ReportingDashboard />} />
             <Route path="/reports/*" element={<ReportingDashboard />} />
             {/* Redirect to dashboard as default */}
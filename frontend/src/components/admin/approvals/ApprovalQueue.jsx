@@ -0,0 +1,284 @@
+import { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Snackbar
+} from "@mui/material";
+import CheckCircleIcon from "@mui/icons-material/CheckCircle";
+import CancelIcon from "@mui/icons-material/Cancel";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency, getTransactionColor } from "../../../utils/utils";
+import RejectDialog from "./RejectDialog";
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const ApprovalQueue = ({ refreshKey }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+
+  const currentUserId = JSON.parse(localStorage.getItem('user'))?._id;
+
+  // States
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [processingId, setProcessingId] = useState(null);
+  const [rejectTarget, setRejectTarget] = useState(null);
+  const [rejectReason, setRejectReason] = useState("");
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  // Fetch the approval queue
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const token = localStorage.getItem("token");
+      const { data } = await axios.get(`${BASE_URL}/transactions/approvals`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setTransactions(data.transactions || []);
+    } catch (err) {
+      console.error("Error fetching approvals:", err);
+      setError(err.response?.data?.message || "Error loading the approval queue");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue, refreshKey]);
+
+  // Approve a transaction
+  const handleApprove = async (transaction) => {
+    setProcessingId(transaction._id);
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(`${BASE_URL}/transactions/${transaction._id}/approve`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSnackbar({
+        open: true,
+        message: `Transaction ${transaction.reference} approved`,
+        severity: "success"
+      });
+      fetchQueue();
+    } catch (err) {
+      console.error("Error approving transaction:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error approving transaction",
+        severity: "error"
+      });
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  // Open the reject dialog
+  const handleRejectClick = (transaction) => {
+    setRejectReason("");
+    setRejectTarget(transaction);
+  };
+
+  // Reject a transaction with a reason
+  const handleConfirmReject = async () => {
+    setProcessingId(rejectTarget._id);
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${BASE_URL}/transactions/${rejectTarget._id}/reject`,
+        { reason: rejectReason },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setSnackbar({
+        open: true,
+        message: `Transaction ${rejectTarget.reference} rejected`,
+        severity: "success"
+      });
+      setRejectTarget(null);
+      fetchQueue();
+    } catch (err) {
+      console.error("Error rejecting transaction:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error rejecting transaction",
+        severity: "error"
+      });
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+
+  return (
+    <>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx}>Reference</TableCell>
+                <TableCell sx={cellSx}>Customer</TableCell>
+                <TableCell sx={cellSx}>Type</TableCell>
+                <TableCell sx={cellSx}>Amount</TableCell>
+                <TableCell sx={cellSx}>Submitted</TableCell>
+                <TableCell sx={cellSx}>Created By</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : transactions.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No transactions are waiting for approval.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                transactions.map((transaction) => {
+                  const isOwn = transaction.createdBy?._id === currentUserId;
+                  const isProcessing = processingId === transaction._id;
+
+                  return (
+                    <TableRow key={transaction._id}>
+                      <TableCell sx={cellSx}>{transaction.reference}</TableCell>
+                      <TableCell sx={cellSx}>{transaction.customerName}</TableCell>
+                      <TableCell sx={cellSx}>
+                        <Chip
+                          label={transaction.type}
+                          size="small"
+                          sx={{ ...getTransactionColor(transaction.type, mode), fontWeight: "bold" }}
+                        />
+                      </TableCell>
+                      <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>
+                        {formatCurrency(transaction.amount, transaction.currency)}
+                      </TableCell>
+                      <TableCell sx={cellSx}>
+                        {format(new Date(transaction.createdAt), "dd MMM yyyy HH:mm")}
+                      </TableCell>
+                      <TableCell sx={cellSx}>{transaction.createdBy?.fullName || "Unknown"}</TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        <Stack direction="row" spacing={1} justifyContent="flex-end">
+                          <Box title={isOwn ? "You cannot approve a transaction you created" : ""}>
+                            <Button
+                              size="small"
+                              variant="contained"
+                              color="success"
+                              startIcon={isProcessing ? <CircularProgress size={14} color="inherit" /> : <CheckCircleIcon />}
+                              disabled={isOwn || isProcessing}
+                              onClick={() => handleApprove(transaction)}
+                            >
+                              Approve
+                            </Button>
+                          </Box>
+                          <Box title={isOwn ? "You cannot reject a transaction you created" : ""}>
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              color="error"
+                              startIcon={<CancelIcon />}
+                              disabled={isOwn || isProcessing}
+                              onClick={() => handleRejectClick(transaction)}
+                            >
+                              Reject
+                            </Button>
+                          </Box>
+                        </Stack>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Reject Dialog */}
+      <RejectDialog
+        open={!!rejectTarget}
+        transaction={rejectTarget}
+        reason={rejectReason}
+        setReason={setRejectReason}
+        onConfirm={handleConfirmReject}
+        onCancel={() => setRejectTarget(null)}
+        loading={!!rejectTarget && processingId === rejectTarget._id}
+      />
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+ApprovalQueue.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default ApprovalQueue;
@@ -0,0 +1,100 @@
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  TextField
+} from "@mui/material";
+import CancelIcon from "@mui/icons-material/Cancel";
+import { useTheme } from "../../../context/ThemeContext";
+
+const RejectDialog = ({ open, transaction, reason, setReason, onConfirm, onCancel, loading }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{
+        bgcolor: mode === 'dark' ? "#472B2B" : "#FEE2E2",
+        color: mode === 'dark' ? "#FCA5A5" : "#B91C1C"
+      }}>
+        Reject Transaction
+      </DialogTitle>
+      <DialogContent sx={{ py: 2, mt: 1 }}>
+        <Typography variant="body2" sx={{ color: textColor, mb: 2 }}>
+          {transaction
+            ? `${transaction.reference}: ${transaction.type} of ${transaction.currency} ${transaction.amount} for ${transaction.customerName}`
+            : ""}
+        </Typography>
+        <TextField
+          autoFocus
+          fullWidth
+          required
+          multiline
+          rows={2}
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={loading}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            '& .MuiInputLabel-root': { color: mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)' },
+            textarea: { color: textColor }
+          }}
+        />
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={onConfirm}
+          variant="contained"
+          color="error"
+          disabled={loading || !reason.trim()}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <CancelIcon />}
+        >
+          {loading ? "Rejecting..." : "Reject"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+RejectDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  transaction: PropTypes.object,
+  reason: PropTypes.string.isRequired,
+  setReason: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default RejectDialog;
@@ -0,0 +1,107 @@
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  TextField
+} from "@mui/material";
+import { useTheme } from "../../../context/ThemeContext";
+
+// Closing an alert needs a note saying why
+const NOTE_REQUIRED = ["reported", "dismissed"];
+
+const ACTION_LABELS = {
+  open: "Reopen",
+  investigating: "Start Investigation",
+  reported: "Mark Reported",
+  dismissed: "Dismiss"
+};
+
+const AlertStatusDialog = ({ open, alert, status, note, setNote, onConfirm, onCancel, loading }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  const noteRequired = NOTE_REQUIRED.includes(status);
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: textColor }}>
+        {ACTION_LABELS[status]}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ color: textColor, mb: 2 }}>
+          {alert?.ruleName} · {alert?.customerName}
+        </Typography>
+        <TextField
+          autoFocus
+          fullWidth
+          multiline
+          rows={3}
+          required={noteRequired}
+          label={noteRequired ? "Note (required)" : "Note"}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          disabled={loading}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            '& .MuiInputLabel-root': { color: mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)' },
+            textarea: { color: textColor }
+          }}
+        />
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={onConfirm}
+          variant="contained"
+          color={status === "reported" ? "error" : status === "dismissed" ? "inherit" : "primary"}
+          disabled={loading || (noteRequired && !note.trim())}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {ACTION_LABELS[status]}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+AlertStatusDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  alert: PropTypes.object,
+  status: PropTypes.oneOf(["open", "investigating", "reported", "dismissed"]),
+  note: PropTypes.string.isRequired,
+  setNote: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default AlertStatusDialog;
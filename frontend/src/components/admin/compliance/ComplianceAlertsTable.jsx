@@ -0,0 +1,418 @@
+import { Fragment, useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Collapse,
+  IconButton,
+  MenuItem,
+  TextField,
+  Snackbar,
+  ToggleButton,
+  ToggleButtonGroup
+} from "@mui/material";
+import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
+import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+import {
+  fetchComplianceAlerts,
+  fetchComplianceAlert,
+  updateComplianceAlertStatus
+} from "../../../services/ComplianceService";
+import AlertStatusDialog from "./AlertStatusDialog";
+
+const SEVERITY_COLORS = {
+  low: "default",
+  medium: "info",
+  high: "warning",
+  critical: "error"
+};
+
+const STATUS_COLORS = {
+  open: "error",
+  investigating: "warning",
+  reported: "secondary",
+  dismissed: "default"
+};
+
+// Workflow actions offered for each status (mirrors the server's allowed changes)
+const NEXT_STATUSES = {
+  open: ["investigating", "reported", "dismissed"],
+  investigating: ["open", "reported", "dismissed"],
+  reported: [],
+  dismissed: ["investigating"]
+};
+
+const ACTION_LABELS = {
+  open: "Reopen",
+  investigating: "Investigate",
+  reported: "Report",
+  dismissed: "Dismiss"
+};
+
+const ComplianceAlertsTable = ({ refreshKey }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const detailBgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.03)" : "rgba(0, 0, 0, 0.02)";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  // States
+  const [alerts, setAlerts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [status, setStatus] = useState("active");
+  const [severity, setSeverity] = useState("all");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [action, setAction] = useState(null);
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const loadAlerts = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchComplianceAlerts({
+        status,
+        severity,
+        page: page + 1,
+        limit: rowsPerPage
+      });
+      setAlerts(data.alerts || []);
+      setCounts(data.counts || {});
+      setTotal(data.pagination?.total || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading compliance alerts");
+    } finally {
+      setLoading(false);
+    }
+  }, [status, severity, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts, refreshKey]);
+
+  // Load the related transactions and history when a row is expanded
+  const handleExpand = async (alertId) => {
+    if (expandedId === alertId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(alertId);
+    setDetail(null);
+    try {
+      setDetail(await fetchComplianceAlert(alertId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading compliance alert");
+    }
+  };
+
+  const handleActionClick = (alert, nextStatus) => {
+    setNote("");
+    setAction({ alert, status: nextStatus });
+  };
+
+  const handleConfirmAction = async () => {
+    setSaving(true);
+    try {
+      const updated = await updateComplianceAlertStatus(action.alert._id, action.status, note);
+      setSnackbar({ open: true, message: `Alert marked ${action.status}`, severity: "success" });
+      if (expandedId === updated._id) setDetail(updated);
+      setAction(null);
+      loadAlerts();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error updating alert",
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const formatDateTime = (value) => format(new Date(value), "dd MMM yyyy HH:mm");
+
+  const renderTransactionLine = (tx) => (
+    <Typography key={tx._id} variant="body2" sx={{ color: textColor }}>
+      {formatDateTime(tx.createdAt)} · {tx.reference} · {tx.type} {formatCurrency(tx.amount, tx.currency)}
+      {tx.amountTTD ? ` (${formatCurrency(tx.amountTTD, "TTD")})` : ""} · {tx.status}
+    </Typography>
+  );
+
+  return (
+    <>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={status}
+          onChange={(_, value) => {
+            if (value !== null) {
+              setStatus(value);
+              setPage(0);
+            }
+          }}
+          sx={{ '& .MuiToggleButton-root': { color: textColor, borderColor } }}
+        >
+          <ToggleButton value="active">Active ({(counts.open || 0) + (counts.investigating || 0)})</ToggleButton>
+          <ToggleButton value="open">Open ({counts.open || 0})</ToggleButton>
+          <ToggleButton value="investigating">Investigating ({counts.investigating || 0})</ToggleButton>
+          <ToggleButton value="reported">Reported ({counts.reported || 0})</ToggleButton>
+          <ToggleButton value="dismissed">Dismissed ({counts.dismissed || 0})</ToggleButton>
+          <ToggleButton value="all">All</ToggleButton>
+        </ToggleButtonGroup>
+        <TextField
+          select
+          size="small"
+          label="Severity"
+          value={severity}
+          onChange={(e) => {
+            setSeverity(e.target.value);
+            setPage(0);
+          }}
+          sx={{
+            minWidth: 140,
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            '& .MuiInputLabel-root': { color: secondaryTextColor },
+            '& .MuiSelect-select': { color: textColor }
+          }}
+        >
+          <MenuItem value="all">All</MenuItem>
+          <MenuItem value="critical">Critical</MenuItem>
+          <MenuItem value="high">High</MenuItem>
+          <MenuItem value="medium">Medium</MenuItem>
+          <MenuItem value="low">Low</MenuItem>
+        </TextField>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx} />
+                <TableCell sx={cellSx}>Raised</TableCell>
+                <TableCell sx={cellSx}>Severity</TableCell>
+                <TableCell sx={cellSx}>Rule</TableCell>
+                <TableCell sx={cellSx}>Customer</TableCell>
+                <TableCell sx={cellSx}>Transaction</TableCell>
+                <TableCell sx={cellSx}>Status</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : alerts.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No compliance alerts.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                alerts.map((alert) => {
+                  const isExpanded = expandedId === alert._id;
+
+                  return (
+                    <Fragment key={alert._id}>
+                      <TableRow>
+                        <TableCell sx={cellSx}>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleExpand(alert._id)}
+                            sx={{ color: textColor }}
+                          >
+                            {isExpanded ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                          </IconButton>
+                        </TableCell>
+                        <TableCell sx={cellSx}>{formatDateTime(alert.createdAt)}</TableCell>
+                        <TableCell sx={cellSx}>
+                          <Chip
+                            label={alert.severity}
+                            size="small"
+                            color={SEVERITY_COLORS[alert.severity]}
+                            sx={{ textTransform: "capitalize", fontWeight: "bold" }}
+                          />
+                        </TableCell>
+                        <TableCell sx={cellSx}>{alert.ruleName}</TableCell>
+                        <TableCell sx={cellSx}>{alert.customerName}</TableCell>
+                        <TableCell sx={cellSx}>
+                          {alert.transaction?.reference}
+                          {alert.amountTTD ? (
+                            <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                              {formatCurrency(alert.amountTTD, "TTD")}
+                            </Typography>
+                          ) : null}
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          <Chip
+                            label={alert.status}
+                            size="small"
+                            color={STATUS_COLORS[alert.status]}
+                            sx={{ textTransform: "capitalize" }}
+                          />
+                        </TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          <Stack direction="row" spacing={1} justifyContent="flex-end">
+                            {NEXT_STATUSES[alert.status].map((nextStatus) => (
+                              <Button
+                                key={nextStatus}
+                                size="small"
+                                variant="outlined"
+                                color={nextStatus === "reported" ? "error" : "inherit"}
+                                onClick={() => handleActionClick(alert, nextStatus)}
+                              >
+                                {ACTION_LABELS[nextStatus]}
+                              </Button>
+                            ))}
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell colSpan={8} sx={{ ...cellSx, py: 0, borderBottom: isExpanded ? undefined : "none" }}>
+                          <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                            <Box sx={{ p: 2, bgcolor: detailBgColor, borderRadius: 1, my: 1 }}>
+                              <Typography variant="body2" sx={{ color: textColor, mb: 2 }}>
+                                {alert.reason}
+                              </Typography>
+                              {!detail ? (
+                                <CircularProgress size={24} />
+                              ) : (
+                                <>
+                                  <Typography variant="subtitle2" sx={{ color: textColor, mb: 0.5 }}>
+                                    Transactions
+                                  </Typography>
+                                  {detail.transaction && renderTransactionLine(detail.transaction)}
+                                  {detail.relatedTransactions.map(renderTransactionLine)}
+
+                                  <Typography variant="subtitle2" sx={{ color: textColor, mt: 2, mb: 0.5 }}>
+                                    History
+                                  </Typography>
+                                  {detail.history.map((event, index) => (
+                                    <Typography key={index} variant="body2" sx={{ color: secondaryTextColor }}>
+                                      {formatDateTime(event.at)} · {event.status} by {event.user?.fullName || "rules engine"}
+                                      {event.note ? ` · ${event.note}` : ""}
+                                    </Typography>
+                                  ))}
+                                </>
+                              )}
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    </Fragment>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 20, 50]}
+          onPageChange={(_, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          sx={{ color: textColor }}
+        />
+      </Paper>
+
+      <AlertStatusDialog
+        open={!!action}
+        alert={action?.alert}
+        status={action?.status}
+        note={note}
+        setNote={setNote}
+        onConfirm={handleConfirmAction}
+        onCancel={() => setAction(null)}
+        loading={saving}
+      />
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+ComplianceAlertsTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default ComplianceAlertsTable;
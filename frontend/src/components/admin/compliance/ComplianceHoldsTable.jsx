@@ -0,0 +1,381 @@
+import { Fragment, useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Collapse,
+  IconButton,
+  Snackbar
+} from "@mui/material";
+import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
+import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+import {
+  fetchComplianceHolds,
+  fetchWatchlistEntry,
+  resolveComplianceHold
+} from "../../../services/ComplianceService";
+import HoldDecisionDialog from "./HoldDecisionDialog";
+
+// Chip colour for a match score
+const scoreColor = (score) => (score >= 0.95 ? "error" : score >= 0.9 ? "warning" : "info");
+
+const formatScore = (score) => `${Math.round(score * 100)}%`;
+
+const ComplianceHoldsTable = ({ refreshKey }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const detailBgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.03)" : "rgba(0, 0, 0, 0.02)";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+
+  // States
+  const [holds, setHolds] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [entries, setEntries] = useState({});
+  const [action, setAction] = useState(null);
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const loadHolds = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchComplianceHolds({ page: page + 1, limit: rowsPerPage });
+      setHolds(data.transactions || []);
+      setTotal(data.pagination?.total || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading compliance holds");
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage]);
+
+  useEffect(() => {
+    loadHolds();
+  }, [loadHolds, refreshKey]);
+
+  // Load the listed parties behind each match when a row is expanded
+  const handleExpand = async (transaction) => {
+    if (expandedId === transaction._id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(transaction._id);
+
+    const missing = transaction.complianceHold.matches
+      .filter((match) => match.entryId && entries[match.entryId] === undefined);
+    const loaded = await Promise.all(
+      missing.map((match) => fetchWatchlistEntry(match.entryId).catch(() => null))
+    );
+    setEntries((prev) => ({
+      ...prev,
+      ...Object.fromEntries(missing.map((match, index) => [match.entryId, loaded[index]]))
+    }));
+  };
+
+  const handleActionClick = (transaction, decision) => {
+    setNote("");
+    setAction({ transaction, decision });
+  };
+
+  const handleConfirmAction = async () => {
+    setSaving(true);
+    try {
+      const data = await resolveComplianceHold(action.transaction._id, action.decision, note);
+      setSnackbar({ open: true, message: data.message, severity: "success" });
+      setAction(null);
+      loadHolds();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error resolving compliance hold",
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const formatDateTime = (value) => format(new Date(value), "dd MMM yyyy HH:mm");
+
+  const renderEntry = (match) => {
+    const entry = entries[match.entryId];
+    if (entry === undefined) return <CircularProgress size={16} />;
+    if (entry === null) {
+      return (
+        <Typography variant="caption" sx={{ color: secondaryTextColor }}>
+          This entry has since been replaced by a newer import of {match.listName}
+          {match.externalId ? ` (list ID ${match.externalId})` : ""}.
+        </Typography>
+      );
+    }
+    return (
+      <Box sx={{ pl: 2 }}>
+        <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+          Listed as {entry.primaryName} ({entry.entryType})
+          {entry.externalId ? ` · ID ${entry.externalId}` : ""}
+          {entry.programs.length > 0 ? ` · ${entry.programs.join(", ")}` : ""}
+        </Typography>
+        {entry.aliases.length > 0 && (
+          <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+            Also known as: {entry.aliases.join("; ")}
+          </Typography>
+        )}
+        {(entry.datesOfBirth.length > 0 || entry.nationalities.length > 0) && (
+          <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+            {entry.datesOfBirth.length > 0 ? `Born ${entry.datesOfBirth.join(" / ")}` : ""}
+            {entry.datesOfBirth.length > 0 && entry.nationalities.length > 0 ? " · " : ""}
+            {entry.nationalities.join(", ")}
+          </Typography>
+        )}
+      </Box>
+    );
+  };
+
+  return (
+    <>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx} />
+                <TableCell sx={cellSx}>Held</TableCell>
+                <TableCell sx={cellSx}>Customer</TableCell>
+                <TableCell sx={cellSx}>Transaction</TableCell>
+                <TableCell sx={cellSx}>Best Match</TableCell>
+                <TableCell sx={cellSx}>Created By</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : holds.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No transactions are on compliance hold.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                holds.map((transaction) => {
+                  const isExpanded = expandedId === transaction._id;
+                  const hold = transaction.complianceHold;
+                  const [topMatch] = hold.matches;
+
+                  return (
+                    <Fragment key={transaction._id}>
+                      <TableRow>
+                        <TableCell sx={cellSx}>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleExpand(transaction)}
+                            sx={{ color: textColor }}
+                          >
+                            {isExpanded ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                          </IconButton>
+                        </TableCell>
+                        <TableCell sx={cellSx}>{formatDateTime(hold.heldAt || transaction.createdAt)}</TableCell>
+                        <TableCell sx={cellSx}>
+                          {transaction.customerName}
+                          {transaction.customerId?.idNumber && (
+                            <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                              {transaction.customerId.idType} {transaction.customerId.idNumber}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {transaction.reference}
+                          <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                            {transaction.type} {formatCurrency(transaction.amount, transaction.currency)}
+                            {transaction.requiresApproval ? " · needs approval" : ""}
+                          </Typography>
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {topMatch ? (
+                            <Stack direction="row" spacing={1} alignItems="center">
+                              <Chip
+                                label={formatScore(topMatch.score)}
+                                size="small"
+                                color={scoreColor(topMatch.score)}
+                                sx={{ fontWeight: "bold" }}
+                              />
+                              <Box>
+                                <Typography variant="body2" sx={{ color: textColor }}>
+                                  {topMatch.name}
+                                </Typography>
+                                <Typography variant="caption" sx={{ color: secondaryTextColor }}>
+                                  {topMatch.listName}
+                                </Typography>
+                              </Box>
+                            </Stack>
+                          ) : (
+                            <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                              {hold.reason}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell sx={cellSx}>{transaction.createdBy?.fullName || "—"}</TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          <Stack direction="row" spacing={1} justifyContent="flex-end">
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              color="inherit"
+                              onClick={() => handleActionClick(transaction, "clear")}
+                            >
+                              Clear
+                            </Button>
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              color="error"
+                              onClick={() => handleActionClick(transaction, "confirm")}
+                            >
+                              Confirm
+                            </Button>
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell colSpan={7} sx={{ ...cellSx, py: 0, borderBottom: isExpanded ? undefined : "none" }}>
+                          <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                            <Box sx={{ p: 2, bgcolor: detailBgColor, borderRadius: 1, my: 1 }}>
+                              <Typography variant="body2" sx={{ color: textColor, mb: 2 }}>
+                                {hold.reason}
+                              </Typography>
+                              {transaction.customerId?.dateOfBirth && (
+                                <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 2 }}>
+                                  Customer born {format(new Date(transaction.customerId.dateOfBirth), "dd MMM yyyy")}
+                                </Typography>
+                              )}
+                              {hold.matches.length > 0 && (
+                                <Typography variant="subtitle2" sx={{ color: textColor, mb: 0.5 }}>
+                                  Matches
+                                </Typography>
+                              )}
+                              {hold.matches.map((match, index) => (
+                                <Box key={`${match.entryId}-${index}`} sx={{ mb: 1.5 }}>
+                                  <Typography variant="body2" sx={{ color: textColor }}>
+                                    {formatScore(match.score)} · {match.name} · {match.listName}
+                                  </Typography>
+                                  {isExpanded && match.entryId && renderEntry(match)}
+                                </Box>
+                              ))}
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    </Fragment>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 20, 50]}
+          onPageChange={(_, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          sx={{ color: textColor }}
+        />
+      </Paper>
+
+      <HoldDecisionDialog
+        open={!!action}
+        transaction={action?.transaction}
+        decision={action?.decision}
+        note={note}
+        setNote={setNote}
+        onConfirm={handleConfirmAction}
+        onCancel={() => setAction(null)}
+        loading={saving}
+      />
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+ComplianceHoldsTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default ComplianceHoldsTable;
@@ -0,0 +1,268 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  CircularProgress,
+  Box,
+  Alert,
+  MenuItem,
+  TextField,
+  Switch,
+  Snackbar
+} from "@mui/material";
+import SaveIcon from "@mui/icons-material/Save";
+import { useTheme } from "../../../context/ThemeContext";
+import { fetchComplianceRules, updateComplianceRule } from "../../../services/ComplianceService";
+
+const TYPE_LABELS = {
+  large_cash: "Large cash",
+  structuring: "Structuring",
+  spike: "Activity spike"
+};
+
+// Parameters that apply to each rule type
+const RULE_PARAMS = {
+  large_cash: [
+    { name: "thresholdTTD", label: "Threshold (TTD)" }
+  ],
+  structuring: [
+    { name: "thresholdTTD", label: "Threshold (TTD)" },
+    { name: "marginPercent", label: "Margin %" },
+    { name: "minCount", label: "Count" },
+    { name: "windowDays", label: "Days" }
+  ],
+  spike: [
+    { name: "multiplier", label: "× Average" },
+    { name: "minHistory", label: "Min History" },
+    { name: "windowDays", label: "Days" }
+  ]
+};
+
+const ComplianceRulesTable = ({ refreshKey }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  // States
+  const [rules, setRules] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState("");
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setRules(await fetchComplianceRules());
+      setEdits({});
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading compliance rules");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules, refreshKey]);
+
+  const handleEdit = (ruleId, field, value) => {
+    setEdits((prev) => ({ ...prev, [ruleId]: { ...prev[ruleId], [field]: value } }));
+  };
+
+  const handleSave = async (rule) => {
+    setSavingId(rule._id);
+    try {
+      const updated = await updateComplianceRule(rule._id, edits[rule._id]);
+      setRules((prev) => prev.map((item) => (item._id === updated._id ? updated : item)));
+      setEdits((prev) => {
+        const next = { ...prev };
+        delete next[rule._id];
+        return next;
+      });
+      setSnackbar({ open: true, message: `${updated.name} saved`, severity: "success" });
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error saving rule",
+        severity: "error"
+      });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      '& fieldset': { borderColor: inputBorderColor }
+    },
+    '& .MuiInputLabel-root': { color: secondaryTextColor },
+    '& .MuiSelect-select': { color: textColor },
+    input: { color: textColor }
+  };
+
+  return (
+    <>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx}>Rule</TableCell>
+                <TableCell sx={cellSx}>Severity</TableCell>
+                <TableCell sx={cellSx}>Parameters</TableCell>
+                <TableCell sx={cellSx}>Enabled</TableCell>
+                <TableCell sx={cellSx} align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : rules.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No compliance rules configured.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rules.map((rule) => {
+                  const edit = edits[rule._id] || {};
+                  const current = { ...rule, ...edit };
+                  const isDirty = Object.keys(edit).length > 0;
+
+                  return (
+                    <TableRow key={rule._id}>
+                      <TableCell sx={cellSx}>
+                        <Typography variant="body2" sx={{ color: textColor, fontWeight: "bold" }}>
+                          {rule.name}
+                        </Typography>
+                        <Typography variant="caption" sx={{ color: secondaryTextColor }}>
+                          {TYPE_LABELS[rule.type]}
+                        </Typography>
+                      </TableCell>
+                      <TableCell sx={cellSx}>
+                        <TextField
+                          select
+                          size="small"
+                          value={current.severity}
+                          onChange={(e) => handleEdit(rule._id, "severity", e.target.value)}
+                          sx={{ ...fieldSx, minWidth: 110 }}
+                        >
+                          <MenuItem value="low">Low</MenuItem>
+                          <MenuItem value="medium">Medium</MenuItem>
+                          <MenuItem value="high">High</MenuItem>
+                          <MenuItem value="critical">Critical</MenuItem>
+                        </TextField>
+                      </TableCell>
+                      <TableCell sx={cellSx}>
+                        <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+                          {RULE_PARAMS[rule.type].map((param) => (
+                            <TextField
+                              key={param.name}
+                              type="number"
+                              size="small"
+                              label={param.label}
+                              value={current[param.name] ?? ""}
+                              onChange={(e) => handleEdit(rule._id, param.name, e.target.value === "" ? "" : parseFloat(e.target.value))}
+                              sx={{ ...fieldSx, width: param.name === "thresholdTTD" ? 150 : 100 }}
+                            />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell sx={cellSx}>
+                        <Switch
+                          checked={!!current.enabled}
+                          onChange={(e) => handleEdit(rule._id, "enabled", e.target.checked)}
+                        />
+                      </TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          disabled={!isDirty || savingId === rule._id}
+                          startIcon={savingId === rule._id ? <CircularProgress size={14} color="inherit" /> : <SaveIcon />}
+                          onClick={() => handleSave(rule)}
+                          sx={{ color: textColor, borderColor: inputBorderColor }}
+                        >
+                          Save
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+ComplianceRulesTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default ComplianceRulesTable;
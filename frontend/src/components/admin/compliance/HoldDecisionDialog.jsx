@@ -0,0 +1,112 @@
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  TextField
+} from "@mui/material";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+
+const DECISION_LABELS = {
+  clear: "Clear Hold",
+  confirm: "Confirm Match"
+};
+
+const DECISION_HELP = {
+  clear: "The customer is not the listed party. The transaction goes ahead, or on to admin approval if it is over the approval threshold.",
+  confirm: "The customer is the listed party. The transaction is cancelled and no balances move."
+};
+
+const HoldDecisionDialog = ({ open, transaction, decision, note, setNote, onConfirm, onCancel, loading }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: textColor }}>
+        {DECISION_LABELS[decision]}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ color: textColor, mb: 1 }}>
+          {transaction?.reference} · {transaction?.customerName}
+          {transaction ? ` · ${formatCurrency(transaction.amount, transaction.currency)}` : ""}
+        </Typography>
+        <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 2 }}>
+          {DECISION_HELP[decision]}
+        </Typography>
+        <TextField
+          autoFocus
+          fullWidth
+          multiline
+          rows={3}
+          required
+          label="Note (required)"
+          placeholder="e.g. date of birth and nationality differ from the listed party"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          disabled={loading}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            '& .MuiInputLabel-root': { color: secondaryTextColor },
+            textarea: { color: textColor }
+          }}
+        />
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={onConfirm}
+          variant="contained"
+          color={decision === "confirm" ? "error" : "primary"}
+          disabled={loading || !note.trim()}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {DECISION_LABELS[decision]}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+HoldDecisionDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  transaction: PropTypes.object,
+  decision: PropTypes.oneOf(["clear", "confirm"]),
+  note: PropTypes.string.isRequired,
+  setNote: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default HoldDecisionDialog;
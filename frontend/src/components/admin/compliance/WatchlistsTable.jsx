@@ -0,0 +1,348 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Autocomplete,
+  IconButton,
+  TextField,
+  Tooltip,
+  Snackbar
+} from "@mui/material";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import DeleteIcon from "@mui/icons-material/Delete";
+import PersonSearchIcon from "@mui/icons-material/PersonSearch";
+import { useTheme } from "../../../context/ThemeContext";
+import {
+  fetchWatchlists,
+  importWatchlist,
+  deleteWatchlist,
+  screenWatchlistName
+} from "../../../services/ComplianceService";
+
+const FORMAT_LABELS = {
+  un_xml: "UN XML",
+  ofac_xml: "OFAC XML",
+  ofac_csv: "OFAC CSV",
+  eu_xml: "EU XML",
+  uk_csv: "UK OFSI CSV",
+  generic_csv: "CSV"
+};
+
+const WatchlistsTable = ({ refreshKey }) => {
+  const { mode } = useTheme();
+  const fileInputRef = useRef(null);
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  // States
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [listName, setListName] = useState("");
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [removing, setRemoving] = useState(null);
+  const [checkName, setCheckName] = useState("");
+  const [checking, setChecking] = useState(false);
+  const [checkResult, setCheckResult] = useState(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const loadLists = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchWatchlists();
+      setLists(data.lists || []);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading watchlists");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLists();
+  }, [loadLists, refreshKey]);
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const data = await importWatchlist(file, listName.trim());
+      setSnackbar({ open: true, message: data.message, severity: "success" });
+      setFile(null);
+      setListName("");
+      if (fileInputRef.current) fileInputRef.current.value = "";
+      loadLists();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error importing watchlist",
+        severity: "error"
+      });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleRemove = async (name) => {
+    if (!window.confirm(`Remove ${name}? New transactions will no longer be screened against it.`)) return;
+    setRemoving(name);
+    try {
+      await deleteWatchlist(name);
+      setSnackbar({ open: true, message: `${name} removed`, severity: "success" });
+      loadLists();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error removing watchlist",
+        severity: "error"
+      });
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      setCheckResult({ name: checkName.trim(), matches: await screenWatchlistName(checkName.trim()) });
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error screening name",
+        severity: "error"
+      });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      '& fieldset': { borderColor: inputBorderColor }
+    },
+    '& .MuiInputLabel-root': { color: secondaryTextColor },
+    input: { color: textColor }
+  };
+
+  return (
+    <>
+      {/* Upload */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <Autocomplete
+          freeSolo
+          size="small"
+          options={lists.map((list) => list.listName)}
+          inputValue={listName}
+          onInputChange={(_, value) => setListName(value)}
+          sx={{ minWidth: 240 }}
+          renderInput={(params) => (
+            <TextField {...params} label="List name" placeholder="e.g. UN Consolidated" sx={fieldSx} />
+          )}
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".xml,.csv,text/xml,text/csv"
+          hidden
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+        />
+        <Button
+          variant="outlined"
+          onClick={() => fileInputRef.current?.click()}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          {file ? file.name : "Choose File"}
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={importing ? <CircularProgress size={16} color="inherit" /> : <UploadFileIcon />}
+          disabled={!file || !listName.trim() || importing}
+          onClick={handleImport}
+        >
+          Import
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`,
+          mb: 3
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx}>List</TableCell>
+                <TableCell sx={cellSx}>Layout</TableCell>
+                <TableCell sx={cellSx} align="right">Entries</TableCell>
+                <TableCell sx={cellSx}>Imported</TableCell>
+                <TableCell sx={cellSx} align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : lists.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No watchlists imported. Customer names are not screened until a list is imported.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                lists.map((list) => (
+                  <TableRow key={list._id}>
+                    <TableCell sx={cellSx}>
+                      <Typography variant="body2" sx={{ color: textColor, fontWeight: "bold" }}>
+                        {list.listName}
+                      </Typography>
+                      {list.fileName && (
+                        <Typography variant="caption" sx={{ color: secondaryTextColor }}>
+                          {list.fileName}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={cellSx}>
+                      <Chip label={FORMAT_LABELS[list.format] || list.format} size="small" variant="outlined" sx={{ color: textColor }} />
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">{list.entryCount.toLocaleString()}</TableCell>
+                    <TableCell sx={cellSx}>
+                      {format(new Date(list.createdAt), "dd MMM yyyy HH:mm")}
+                      {list.importedBy?.fullName && (
+                        <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                          by {list.importedBy.fullName}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      <Tooltip title="Remove list">
+                        <span>
+                          <IconButton
+                            size="small"
+                            color="error"
+                            disabled={removing === list.listName}
+                            onClick={() => handleRemove(list.listName)}
+                          >
+                            {removing === list.listName ? <CircularProgress size={16} /> : <DeleteIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Manual check */}
+      <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+        Check a Name
+      </Typography>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <TextField
+          size="small"
+          label="Name"
+          value={checkName}
+          onChange={(e) => setCheckName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && checkName.trim()) handleCheck();
+          }}
+          sx={{ ...fieldSx, minWidth: 280 }}
+        />
+        <Button
+          variant="outlined"
+          startIcon={checking ? <CircularProgress size={16} color="inherit" /> : <PersonSearchIcon />}
+          disabled={!checkName.trim() || checking}
+          onClick={handleCheck}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Check
+        </Button>
+      </Box>
+      {checkResult && (
+        checkResult.matches.length === 0 ? (
+          <Alert severity="success">No possible matches for {checkResult.name}.</Alert>
+        ) : (
+          <Alert severity="warning">
+            {checkResult.matches.map((match) => (
+              <Typography key={match.entryId} variant="body2">
+                {Math.round(match.score * 100)}% · {match.name}
+                {match.name !== match.primaryName ? ` (alias of ${match.primaryName})` : ""} · {match.listName}
+              </Typography>
+            ))}
+          </Alert>
+        )
+      )}
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+WatchlistsTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default WatchlistsTable;
@@ -0,0 +1,399 @@
+import { Fragment, useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Collapse,
+  IconButton,
+  TextField,
+  Snackbar,
+  Grid
+} from "@mui/material";
+import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
+import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
+import PictureAsPdfIcon from "@mui/icons-material/PictureAsPdf";
+import DescriptionIcon from "@mui/icons-material/Description";
+import LockIcon from "@mui/icons-material/Lock";
+import LockOpenIcon from "@mui/icons-material/LockOpen";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+import {
+  fetchDayCloses,
+  closeBusinessDay,
+  reopenBusinessDay,
+  downloadDayCloseReport
+} from "../../../services/DayCloseService";
+import ReopenDayDialog from "./ReopenDayDialog";
+
+const DayClosesTable = ({ refreshKey }) => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const detailBgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.03)" : "rgba(0, 0, 0, 0.02)";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  // States
+  const [dayCloses, setDayCloses] = useState([]);
+  const [businessDate, setBusinessDate] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [closing, setClosing] = useState(false);
+  const [error, setError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [reopenTarget, setReopenTarget] = useState(null);
+  const [reopenReason, setReopenReason] = useState("");
+  const [reopening, setReopening] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  // Fetch the closes; the date picker starts on the server's business date
+  const loadDayCloses = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchDayCloses();
+      setDayCloses(data.dayCloses || []);
+      setBusinessDate((current) => current || data.today);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading day closes");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDayCloses();
+  }, [loadDayCloses, refreshKey]);
+
+  const handleCloseDay = async () => {
+    setClosing(true);
+    try {
+      await closeBusinessDay(businessDate);
+      setSnackbar({ open: true, message: `Business day ${businessDate} closed`, severity: "success" });
+      loadDayCloses();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error closing business day",
+        severity: "error"
+      });
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const handleReopenClick = (dayClose) => {
+    setReopenReason("");
+    setReopenTarget(dayClose);
+  };
+
+  const handleConfirmReopen = async () => {
+    setReopening(true);
+    try {
+      await reopenBusinessDay(reopenTarget.businessDate, reopenReason);
+      setSnackbar({ open: true, message: `Business day ${reopenTarget.businessDate} reopened`, severity: "success" });
+      setReopenTarget(null);
+      loadDayCloses();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error reopening business day",
+        severity: "error"
+      });
+    } finally {
+      setReopening(false);
+    }
+  };
+
+  const handleDownload = async (date, fileFormat) => {
+    try {
+      await downloadDayCloseReport(date, fileFormat);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error downloading the daily close report");
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", justifyContent: "flex-end", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <TextField
+          type="date"
+          size="small"
+          label="Business Date"
+          value={businessDate}
+          onChange={(e) => setBusinessDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            '& .MuiInputLabel-root': { color: secondaryTextColor },
+            input: { color: textColor }
+          }}
+        />
+        <Button
+          variant="contained"
+          startIcon={closing ? <CircularProgress size={16} color="inherit" /> : <LockIcon />}
+          disabled={closing || !businessDate}
+          onClick={handleCloseDay}
+          sx={{
+            bgcolor: accentColor,
+            color: mode === 'dark' ? "black" : "white",
+            "&:hover": { bgcolor: mode === 'dark' ? `${accentColor}E6` : `${accentColor}CC` }
+          }}
+        >
+          Close Day
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx} />
+                <TableCell sx={cellSx}>Business Date</TableCell>
+                <TableCell sx={cellSx}>Status</TableCell>
+                <TableCell sx={cellSx}>Closed</TableCell>
+                <TableCell sx={cellSx}>Transactions</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : dayCloses.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No business days have been closed yet.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                dayCloses.map((dayClose) => {
+                  const isExpanded = expandedId === dayClose._id;
+                  const isClosed = dayClose.status === "Closed";
+
+                  return (
+                    <Fragment key={dayClose._id}>
+                      <TableRow>
+                        <TableCell sx={cellSx}>
+                          <IconButton
+                            size="small"
+                            onClick={() => setExpandedId(isExpanded ? null : dayClose._id)}
+                            sx={{ color: textColor }}
+                          >
+                            {isExpanded ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                          </IconButton>
+                        </TableCell>
+                        <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{dayClose.businessDate}</TableCell>
+                        <TableCell sx={cellSx}>
+                          <Chip
+                            label={dayClose.status}
+                            size="small"
+                            color={isClosed ? "success" : "warning"}
+                            sx={{ fontWeight: "bold" }}
+                          />
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {format(new Date(dayClose.closedAt), "dd MMM yyyy HH:mm")}
+                          {dayClose.closedBy?.fullName ? ` by ${dayClose.closedBy.fullName}` : ""}
+                        </TableCell>
+                        <TableCell sx={cellSx}>{dayClose.transactionCount}</TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          <Stack direction="row" spacing={1} justifyContent="flex-end">
+                            <IconButton
+                              size="small"
+                              title="Download PDF"
+                              onClick={() => handleDownload(dayClose.businessDate, "pdf")}
+                              sx={{ color: textColor }}
+                            >
+                              <PictureAsPdfIcon fontSize="small" />
+                            </IconButton>
+                            <IconButton
+                              size="small"
+                              title="Download CSV"
+                              onClick={() => handleDownload(dayClose.businessDate, "csv")}
+                              sx={{ color: textColor }}
+                            >
+                              <DescriptionIcon fontSize="small" />
+                            </IconButton>
+                            {isClosed && (
+                              <Button
+                                size="small"
+                                variant="outlined"
+                                color="warning"
+                                startIcon={<LockOpenIcon />}
+                                onClick={() => handleReopenClick(dayClose)}
+                              >
+                                Reopen
+                              </Button>
+                            )}
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell colSpan={6} sx={{ ...cellSx, py: 0, borderBottom: isExpanded ? undefined : "none" }}>
+                          <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                            <Box sx={{ p: 2, bgcolor: detailBgColor, borderRadius: 1, my: 1 }}>
+                              <Grid container spacing={3}>
+                                <Grid item xs={12} md={6}>
+                                  <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+                                    Account Balances
+                                  </Typography>
+                                  <Table size="small">
+                                    <TableHead>
+                                      <TableRow>
+                                        <TableCell sx={cellSx}>Currency</TableCell>
+                                        <TableCell sx={cellSx} align="right">Opening</TableCell>
+                                        <TableCell sx={cellSx} align="right">Closing</TableCell>
+                                      </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                      {dayClose.balances.map((line) => (
+                                        <TableRow key={line.currency}>
+                                          <TableCell sx={cellSx}>{line.currency}</TableCell>
+                                          <TableCell sx={cellSx} align="right">{formatCurrency(line.openingBalance, line.currency)}</TableCell>
+                                          <TableCell sx={cellSx} align="right">{formatCurrency(line.closingBalance, line.currency)}</TableCell>
+                                        </TableRow>
+                                      ))}
+                                    </TableBody>
+                                  </Table>
+                                </Grid>
+                                <Grid item xs={12} md={6}>
+                                  <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+                                    Totals by Currency and Type
+                                  </Typography>
+                                  <Table size="small">
+                                    <TableHead>
+                                      <TableRow>
+                                        <TableCell sx={cellSx}>Currency</TableCell>
+                                        <TableCell sx={cellSx}>Type</TableCell>
+                                        <TableCell sx={cellSx} align="right">Count</TableCell>
+                                        <TableCell sx={cellSx} align="right">Amount</TableCell>
+                                      </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                      {dayClose.totals.map((line) => (
+                                        <TableRow key={`${line.currency}-${line.type}-${line.toCurrency || ""}`}>
+                                          <TableCell sx={cellSx}>{line.currency}</TableCell>
+                                          <TableCell sx={cellSx}>{line.type}</TableCell>
+                                          <TableCell sx={cellSx} align="right">{line.count}</TableCell>
+                                          <TableCell sx={cellSx} align="right">
+                                            {formatCurrency(line.totalAmount, line.currency)}
+                                            {line.toCurrency ? ` → ${formatCurrency(line.totalToAmount, line.toCurrency)}` : ""}
+                                          </TableCell>
+                                        </TableRow>
+                                      ))}
+                                    </TableBody>
+                                  </Table>
+                                </Grid>
+                              </Grid>
+
+                              {dayClose.history.length > 0 && (
+                                <Box sx={{ mt: 2 }}>
+                                  <Typography variant="subtitle2" sx={{ color: textColor, mb: 0.5 }}>
+                                    History
+                                  </Typography>
+                                  {dayClose.history.map((event, index) => (
+                                    <Typography key={index} variant="body2" sx={{ color: secondaryTextColor }}>
+                                      {format(new Date(event.at), "dd MMM yyyy HH:mm")} · {event.action} by {event.user?.fullName || "Unknown"}
+                                      {event.reason ? ` · ${event.reason}` : ""}
+                                    </Typography>
+                                  ))}
+                                </Box>
+                              )}
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    </Fragment>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <ReopenDayDialog
+        open={!!reopenTarget}
+        businessDate={reopenTarget?.businessDate}
+        reason={reopenReason}
+        setReason={setReopenReason}
+        onConfirm={handleConfirmReopen}
+        onCancel={() => setReopenTarget(null)}
+        loading={reopening}
+      />
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+DayClosesTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default DayClosesTable;
@@ -0,0 +1,98 @@
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  TextField
+} from "@mui/material";
+import LockOpenIcon from "@mui/icons-material/LockOpen";
+import { useTheme } from "../../../context/ThemeContext";
+
+const ReopenDayDialog = ({ open, businessDate, reason, setReason, onConfirm, onCancel, loading }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{
+        bgcolor: mode === 'dark' ? "#47391F" : "#FEF3C7",
+        color: mode === 'dark' ? "#FCD34D" : "#B45309"
+      }}>
+        Reopen {businessDate}
+      </DialogTitle>
+      <DialogContent sx={{ py: 2, mt: 1 }}>
+        <Typography variant="body2" sx={{ color: textColor, mb: 2 }}>
+          Transactions dated this day can be changed again until it is closed. The reopen and its reason are recorded.
+        </Typography>
+        <TextField
+          autoFocus
+          fullWidth
+          required
+          multiline
+          rows={2}
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={loading}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            '& .MuiInputLabel-root': { color: mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)' },
+            textarea: { color: textColor }
+          }}
+        />
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={onConfirm}
+          variant="contained"
+          color="warning"
+          disabled={loading || !reason.trim()}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <LockOpenIcon />}
+        >
+          {loading ? "Reopening..." : "Reopen"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ReopenDayDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  businessDate: PropTypes.string,
+  reason: PropTypes.string.isRequired,
+  setReason: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default ReopenDayDialog;
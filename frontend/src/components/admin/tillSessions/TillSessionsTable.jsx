@@ -0,0 +1,312 @@
+import { Fragment, useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Collapse,
+  IconButton,
+  ToggleButton,
+  ToggleButtonGroup
+} from "@mui/material";
+import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
+import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
+import PictureAsPdfIcon from "@mui/icons-material/PictureAsPdf";
+import LockIcon from "@mui/icons-material/Lock";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+import {
+  fetchTillSessions,
+  fetchTillSession,
+  closeTillSession,
+  downloadTillCloseOut
+} from "../../../services/TillSessionService";
+import CloseTillDialog from "../../till/CloseTillDialog";
+
+const TillSessionsTable = ({ refreshKey }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const detailBgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.03)" : "rgba(0, 0, 0, 0.02)";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+
+  // States
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [closeTarget, setCloseTarget] = useState(null);
+  const [closing, setClosing] = useState(false);
+  const [closeError, setCloseError] = useState("");
+
+  // Fetch sessions for the selected status
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchTillSessions(status ? { status, limit: 100 } : { limit: 100 });
+      setSessions(data.sessions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading till sessions");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions, refreshKey]);
+
+  // Load the running totals before an admin closes a teller's drawer
+  const handleCloseClick = async (tillSession) => {
+    setCloseError("");
+    try {
+      const data = await fetchTillSession(tillSession._id);
+      setCloseTarget(data.tillSession);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading till session");
+    }
+  };
+
+  const handleConfirmClose = async (counts, notes) => {
+    setClosing(true);
+    try {
+      await closeTillSession(closeTarget._id, counts, notes);
+      setCloseTarget(null);
+      loadSessions();
+    } catch (err) {
+      setCloseError(err.response?.data?.message || "Error closing till session");
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const handleDownload = async (id) => {
+    try {
+      await downloadTillCloseOut(id);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error downloading the close-out report");
+    }
+  };
+
+  const cellSx = { color: textColor, borderColor };
+
+  // Net variance per currency, shown as one line per currency
+  const renderVariance = (tillSession) => {
+    if (tillSession.status !== "Closed") return "-";
+    const off = tillSession.currencies.filter((line) => Math.abs(line.variance) >= 0.005);
+    if (off.length === 0) {
+      return <Chip label="Balanced" size="small" color="success" variant="outlined" />;
+    }
+    return off.map((line) => (
+      <Typography
+        key={line.currency}
+        variant="body2"
+        sx={{ color: line.variance < 0 ? "error.main" : "success.main", fontWeight: "bold" }}
+      >
+        {formatCurrency(line.variance, line.currency)}
+      </Typography>
+    ));
+  };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={status}
+          onChange={(_, value) => value !== null && setStatus(value)}
+          sx={{ '& .MuiToggleButton-root': { color: textColor, borderColor } }}
+        >
+          <ToggleButton value="">All</ToggleButton>
+          <ToggleButton value="Open">Open</ToggleButton>
+          <ToggleButton value="Closed">Closed</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx} />
+                <TableCell sx={cellSx}>Teller</TableCell>
+                <TableCell sx={cellSx}>Status</TableCell>
+                <TableCell sx={cellSx}>Opened</TableCell>
+                <TableCell sx={cellSx}>Closed</TableCell>
+                <TableCell sx={cellSx}>Variance</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : sessions.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No till sessions found.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                sessions.map((tillSession) => {
+                  const isExpanded = expandedId === tillSession._id;
+                  const isOpen = tillSession.status === "Open";
+
+                  return (
+                    <Fragment key={tillSession._id}>
+                      <TableRow>
+                        <TableCell sx={cellSx}>
+                          <IconButton
+                            size="small"
+                            onClick={() => setExpandedId(isExpanded ? null : tillSession._id)}
+                            sx={{ color: textColor }}
+                          >
+                            {isExpanded ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                          </IconButton>
+                        </TableCell>
+                        <TableCell sx={cellSx}>{tillSession.user?.fullName || "Unknown"}</TableCell>
+                        <TableCell sx={cellSx}>
+                          <Chip
+                            label={tillSession.status}
+                            size="small"
+                            color={isOpen ? "warning" : "default"}
+                            sx={{ fontWeight: "bold" }}
+                          />
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {format(new Date(tillSession.openedAt), "dd MMM yyyy HH:mm")}
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {tillSession.closedAt ? format(new Date(tillSession.closedAt), "dd MMM yyyy HH:mm") : "-"}
+                        </TableCell>
+                        <TableCell sx={cellSx}>{renderVariance(tillSession)}</TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          <Stack direction="row" spacing={1} justifyContent="flex-end">
+                            {isOpen ? (
+                              <Button
+                                size="small"
+                                variant="outlined"
+                                color="error"
+                                startIcon={<LockIcon />}
+                                onClick={() => handleCloseClick(tillSession)}
+                              >
+                                Close
+                              </Button>
+                            ) : (
+                              <Button
+                                size="small"
+                                variant="outlined"
+                                startIcon={<PictureAsPdfIcon />}
+                                onClick={() => handleDownload(tillSession._id)}
+                                sx={{ color: textColor, borderColor }}
+                              >
+                                Close-Out
+                              </Button>
+                            )}
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell colSpan={7} sx={{ ...cellSx, py: 0, borderBottom: isExpanded ? undefined : "none" }}>
+                          <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                            <Box sx={{ p: 2, bgcolor: detailBgColor, borderRadius: 1, my: 1 }}>
+                              <Table size="small">
+                                <TableHead>
+                                  <TableRow>
+                                    <TableCell sx={cellSx}>Currency</TableCell>
+                                    <TableCell sx={cellSx} align="right">Opening Float</TableCell>
+                                    <TableCell sx={cellSx} align="right">Expected</TableCell>
+                                    <TableCell sx={cellSx} align="right">Counted</TableCell>
+                                    <TableCell sx={cellSx} align="right">Variance</TableCell>
+                                  </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                  {tillSession.currencies.map((line) => (
+                                    <TableRow key={line.currency}>
+                                      <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{line.currency}</TableCell>
+                                      <TableCell sx={cellSx} align="right">{formatCurrency(line.openingFloat, line.currency)}</TableCell>
+                                      <TableCell sx={cellSx} align="right">
+                                        {line.expected === null ? "-" : formatCurrency(line.expected, line.currency)}
+                                      </TableCell>
+                                      <TableCell sx={cellSx} align="right">
+                                        {line.counted === null ? "-" : formatCurrency(line.counted, line.currency)}
+                                      </TableCell>
+                                      <TableCell sx={cellSx} align="right">
+                                        {line.variance === null ? "-" : formatCurrency(line.variance, line.currency)}
+                                      </TableCell>
+                                    </TableRow>
+                                  ))}
+                                </TableBody>
+                              </Table>
+                              <Typography variant="body2" sx={{ color: secondaryTextColor, mt: 1 }}>
+                                {isOpen
+                                  ? "Expected amounts are calculated when the session is closed."
+                                  : `${tillSession.transactionCount} transactions · closed by ${tillSession.closedBy?.fullName || "Unknown"}`}
+                                {tillSession.closingNotes ? ` · ${tillSession.closingNotes}` : ""}
+                              </Typography>
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    </Fragment>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <CloseTillDialog
+        open={!!closeTarget}
+        tillSession={closeTarget}
+        onConfirm={handleConfirmClose}
+        onCancel={() => setCloseTarget(null)}
+        loading={closing}
+        error={closeError}
+      />
+    </>
+  );
+};
+
+TillSessionsTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default TillSessionsTable;
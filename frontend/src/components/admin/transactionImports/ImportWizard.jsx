@@ -0,0 +1,432 @@
+import { useState, useRef } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Grid,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Snackbar
+} from "@mui/material";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import FactCheckIcon from "@mui/icons-material/FactCheck";
+import PlaylistAddCheckIcon from "@mui/icons-material/PlaylistAddCheck";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+import {
+  previewTransactionImport,
+  commitTransactionImport
+} from "../../../services/TransactionImportService";
+
+const DATE_FORMAT_LABELS = {
+  YMD: "Year-Month-Day (2024-03-31)",
+  DMY: "Day/Month/Year (31/03/2024)",
+  MDY: "Month/Day/Year (03/31/2024)"
+};
+
+const ImportWizard = ({ onImported }) => {
+  const { mode } = useTheme();
+  const fileInputRef = useRef(null);
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  // States
+  const [file, setFile] = useState(null);
+  const [dateFormat, setDateFormat] = useState("YMD");
+  const [affectBalances, setAffectBalances] = useState(false);
+  const [mapping, setMapping] = useState(null);
+  const [fields, setFields] = useState({});
+  const [report, setReport] = useState(null);
+  const [stale, setStale] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState("");
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  // Dry run; without a mapping the server suggests one from the headers
+  const runCheck = async (options) => {
+    setChecking(true);
+    setError("");
+    try {
+      const data = await previewTransactionImport(options.file, options);
+      setReport(data.report);
+      setFields(data.fields || {});
+      setMapping(data.report.mapping);
+      setStale(false);
+    } catch (err) {
+      setReport(null);
+      setError(err.response?.data?.message || "Error checking the file");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files?.[0] || null;
+    setFile(chosen);
+    setMapping(null);
+    setReport(null);
+    if (chosen) runCheck({ file: chosen, dateFormat, affectBalances });
+  };
+
+  // Any change to the options needs a fresh dry run before importing
+  const handleMappingChange = (field, column) => {
+    setMapping((prev) => ({ ...prev, [field]: column || undefined }));
+    setStale(true);
+  };
+
+  const handleImport = async () => {
+    const effect = affectBalances
+      ? "They will move the current account balances."
+      : "They will be recorded as history only; account balances will not change.";
+    if (!window.confirm(`Import ${report.acceptedCount} transactions? ${effect}`)) return;
+
+    setImporting(true);
+    try {
+      const data = await commitTransactionImport(file, { mapping, dateFormat, affectBalances });
+      setSnackbar({
+        open: true,
+        message: data.message,
+        severity: data.import?.status === "Failed" ? "warning" : "success"
+      });
+      setFile(null);
+      setMapping(null);
+      setReport(null);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+      onImported();
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error importing transactions",
+        severity: "error"
+      });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const selectSx = {
+    color: textColor,
+    '& .MuiOutlinedInput-notchedOutline': { borderColor: inputBorderColor }
+  };
+  const labelSx = { color: secondaryTextColor };
+  const formatDate = (value) => (value ? format(new Date(value), "dd MMM yyyy HH:mm") : "—");
+  const canImport = report && !stale && report.missingFields.length === 0 && report.acceptedCount > 0;
+
+  return (
+    <>
+      {/* File and options */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          hidden
+          onChange={handleFileChange}
+        />
+        <Button
+          variant="outlined"
+          startIcon={<UploadFileIcon />}
+          onClick={() => fileInputRef.current?.click()}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          {file ? file.name : "Choose CSV File"}
+        </Button>
+        <FormControl size="small" sx={{ minWidth: 260 }}>
+          <InputLabel id="import-date-format-label" sx={labelSx}>Date format</InputLabel>
+          <Select
+            labelId="import-date-format-label"
+            value={dateFormat}
+            label="Date format"
+            onChange={(e) => {
+              setDateFormat(e.target.value);
+              setStale(true);
+            }}
+            sx={selectSx}
+          >
+            {Object.entries(DATE_FORMAT_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={affectBalances}
+              onChange={(e) => {
+                setAffectBalances(e.target.checked);
+                setStale(true);
+              }}
+            />
+          }
+          label="Update account balances"
+          sx={{ color: textColor }}
+        />
+      </Box>
+      <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 2 }}>
+        {affectBalances
+          ? "Imported transactions move the current account balances, as if they had gone through the till. Rows that would overdraw an account are rejected."
+          : "Imported transactions are recorded as history only, for reports and the transaction history. Account balances do not change."}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      {checking && !report && (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      )}
+
+      {report && mapping && (
+        <>
+          {/* Column mapping */}
+          <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+            Columns
+          </Typography>
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            {Object.entries(fields).map(([field, { label, required }]) => (
+              <Grid item xs={12} sm={6} md={3} key={field}>
+                <FormControl size="small" fullWidth>
+                  <InputLabel id={`import-map-${field}`} sx={labelSx}>
+                    {required ? `${label} *` : label}
+                  </InputLabel>
+                  <Select
+                    labelId={`import-map-${field}`}
+                    value={mapping[field] || ""}
+                    label={required ? `${label} *` : label}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    sx={selectSx}
+                  >
+                    <MenuItem value="">
+                      <em>Not in file</em>
+                    </MenuItem>
+                    {report.columns.map((column) => (
+                      <MenuItem key={column} value={column}>{column}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            ))}
+          </Grid>
+
+          <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+            <Button
+              variant="outlined"
+              startIcon={checking ? <CircularProgress size={16} color="inherit" /> : <FactCheckIcon />}
+              disabled={checking || importing}
+              onClick={() => runCheck({ file, mapping, dateFormat, affectBalances })}
+              sx={{ color: textColor, borderColor: inputBorderColor }}
+            >
+              Check Again
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={importing ? <CircularProgress size={16} color="inherit" /> : <PlaylistAddCheckIcon />}
+              disabled={!canImport || checking || importing}
+              onClick={handleImport}
+            >
+              {report.acceptedCount > 0 && !stale
+                ? `Import ${report.acceptedCount} Transactions`
+                : "Import"}
+            </Button>
+          </Stack>
+
+          {stale && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              The options have changed. Check the file again before importing.
+            </Alert>
+          )}
+
+          {report.missingFields.length > 0 ? (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Choose a column for {report.missingFields.map((field) => fields[field]?.label || field).join(", ")}.
+            </Alert>
+          ) : (
+            <>
+              {/* Dry-run summary */}
+              <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: "wrap", gap: 1 }}>
+                <Chip label={`${report.totalRows} rows`} variant="outlined" sx={{ color: textColor }} />
+                <Chip label={`${report.acceptedCount} accepted`} color="success" />
+                <Chip label={`${report.rejectedCount} rejected`} color={report.rejectedCount > 0 ? "error" : "default"} />
+                {Object.entries(report.byType).map(([type, count]) => (
+                  <Chip key={type} label={`${type}: ${count}`} size="small" variant="outlined" sx={{ color: textColor }} />
+                ))}
+                {report.dateFrom && (
+                  <Chip
+                    label={`${formatDate(report.dateFrom)} – ${formatDate(report.dateTo)}`}
+                    size="small"
+                    variant="outlined"
+                    sx={{ color: textColor }}
+                  />
+                )}
+              </Stack>
+
+              {report.rejected.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+                    Rejected Rows{report.rejectedCount > report.rejected.length ? ` (first ${report.rejected.length} of ${report.rejectedCount})` : ""}
+                  </Typography>
+                  <Paper
+                    sx={{
+                      backgroundColor: paperBgColor,
+                      borderRadius: 2,
+                      border: `1px solid ${borderColor}`,
+                      mb: 3
+                    }}
+                  >
+                    <TableContainer sx={{ maxHeight: 360 }}>
+                      <Table size="small" stickyHeader>
+                        <TableHead>
+                          <TableRow>
+                            <TableCell sx={{ ...cellSx, bgcolor: headerBgColor }}>Row</TableCell>
+                            <TableCell sx={{ ...cellSx, bgcolor: headerBgColor }}>Values</TableCell>
+                            <TableCell sx={{ ...cellSx, bgcolor: headerBgColor }}>Reasons</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {report.rejected.map((rejection) => (
+                            <TableRow key={rejection.row}>
+                              <TableCell sx={cellSx}>{rejection.row}</TableCell>
+                              <TableCell sx={{ ...cellSx, color: secondaryTextColor }}>
+                                {[rejection.values.date, rejection.values.type, rejection.values.amount, rejection.values.currency, rejection.values.customerName]
+                                  .filter(Boolean)
+                                  .join(" · ")}
+                              </TableCell>
+                              <TableCell sx={cellSx}>
+                                {rejection.reasons.map((reason, index) => (
+                                  <Typography key={index} variant="body2" sx={{ color: "error.main" }}>
+                                    {reason}
+                                  </Typography>
+                                ))}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </Paper>
+                </>
+              )}
+
+              {report.preview.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+                    Accepted Rows{report.acceptedCount > report.preview.length ? ` (first ${report.preview.length} of ${report.acceptedCount}, oldest first)` : ""}
+                  </Typography>
+                  <Paper
+                    sx={{
+                      backgroundColor: paperBgColor,
+                      borderRadius: 2,
+                      border: `1px solid ${borderColor}`
+                    }}
+                  >
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead sx={{ bgcolor: headerBgColor }}>
+                          <TableRow>
+                            <TableCell sx={cellSx}>Row</TableCell>
+                            <TableCell sx={cellSx}>Date</TableCell>
+                            <TableCell sx={cellSx}>Type</TableCell>
+                            <TableCell sx={cellSx}>Customer</TableCell>
+                            <TableCell sx={cellSx} align="right">Amount</TableCell>
+                            <TableCell sx={cellSx} align="right">TTD</TableCell>
+                            <TableCell sx={cellSx}>Reference</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {report.preview.map((row) => (
+                            <TableRow key={row.row}>
+                              <TableCell sx={cellSx}>{row.row}</TableCell>
+                              <TableCell sx={cellSx}>{formatDate(row.date)}</TableCell>
+                              <TableCell sx={cellSx}>{row.type}</TableCell>
+                              <TableCell sx={cellSx}>{row.customerName}</TableCell>
+                              <TableCell sx={cellSx} align="right">
+                                {formatCurrency(row.amount, row.currency)}
+                                {row.type === "Exchange" && (
+                                  <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                                    → {formatCurrency(row.toAmount, row.toCurrency)}
+                                  </Typography>
+                                )}
+                              </TableCell>
+                              <TableCell sx={cellSx} align="right">
+                                {row.amountTTD ? formatCurrency(row.amountTTD, "TTD") : "—"}
+                              </TableCell>
+                              <TableCell sx={{ ...cellSx, color: secondaryTextColor }}>
+                                {row.reference || "Generated"}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </Paper>
+                </>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+ImportWizard.propTypes = {
+  onImported: PropTypes.func.isRequired
+};
+
+export default ImportWizard;
@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Typography,
+  Button,
+  Chip,
+  CircularProgress,
+  Alert,
+  Snackbar
+} from "@mui/material";
+import UndoIcon from "@mui/icons-material/Undo";
+import { useTheme } from "../../../context/ThemeContext";
+import {
+  fetchTransactionImports,
+  undoTransactionImport
+} from "../../../services/TransactionImportService";
+
+const STATUS_COLORS = {
+  Importing: "info",
+  Completed: "success",
+  Failed: "error",
+  Undoing: "warning",
+  Undone: "default"
+};
+
+const ImportsTable = ({ refreshKey }) => {
+  const { mode } = useTheme();
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+
+  // States
+  const [imports, setImports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [undoingId, setUndoingId] = useState(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const loadImports = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchTransactionImports({ page: page + 1, limit: rowsPerPage });
+      setImports(data.imports || []);
+      setTotal(data.pagination?.total || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading imports");
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage]);
+
+  useEffect(() => {
+    loadImports();
+  }, [loadImports, refreshKey]);
+
+  const handleUndo = async (importRecord) => {
+    const effect = importRecord.affectBalances
+      ? " and reverse their balance movements"
+      : "";
+    if (!window.confirm(`Remove the ${importRecord.importedCount} transactions imported from ${importRecord.fileName || "this file"}${effect}?`)) return;
+
+    setUndoingId(importRecord._id);
+    try {
+      const data = await undoTransactionImport(importRecord._id);
+      setSnackbar({ open: true, message: data.message, severity: "success" });
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Error undoing import",
+        severity: "error"
+      });
+    } finally {
+      setUndoingId(null);
+      loadImports();
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const formatDate = (value) => format(new Date(value), "dd MMM yyyy");
+
+  return (
+    <>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                <TableCell sx={cellSx}>File</TableCell>
+                <TableCell sx={cellSx}>Imported</TableCell>
+                <TableCell sx={cellSx} align="right">Transactions</TableCell>
+                <TableCell sx={cellSx}>Dated</TableCell>
+                <TableCell sx={cellSx}>Balances</TableCell>
+                <TableCell sx={cellSx}>Status</TableCell>
+                <TableCell sx={cellSx} align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : imports.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No imports yet
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                imports.map((importRecord) => (
+                  <TableRow key={importRecord._id}>
+                    <TableCell sx={cellSx}>
+                      <Typography variant="body2" sx={{ color: textColor, fontWeight: "bold" }}>
+                        {importRecord.fileName || "Untitled file"}
+                      </Typography>
+                      {importRecord.number && (
+                        <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                          Import {importRecord.number} (generated references IMP{importRecord.number}-row)
+                        </Typography>
+                      )}
+                      {importRecord.error && (
+                        <Typography variant="caption" display="block" sx={{ color: "error.main" }}>
+                          {importRecord.error}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={cellSx}>
+                      {format(new Date(importRecord.createdAt), "dd MMM yyyy HH:mm")}
+                      {importRecord.importedBy?.fullName && (
+                        <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                          by {importRecord.importedBy.fullName}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      {importRecord.importedCount.toLocaleString()}
+                      <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                        of {importRecord.totalRows.toLocaleString()} rows
+                        {importRecord.rejectedCount > 0 ? `, ${importRecord.rejectedCount} rejected` : ""}
+                      </Typography>
+                    </TableCell>
+                    <TableCell sx={cellSx}>
+                      {importRecord.dateFrom
+                        ? `${formatDate(importRecord.dateFrom)} – ${formatDate(importRecord.dateTo)}`
+                        : "—"}
+                    </TableCell>
+                    <TableCell sx={cellSx}>
+                      <Chip
+                        label={importRecord.affectBalances ? "Updated" : "History only"}
+                        size="small"
+                        variant="outlined"
+                        sx={{ color: textColor }}
+                      />
+                    </TableCell>
+                    <TableCell sx={cellSx}>
+                      <Chip label={importRecord.status} size="small" color={STATUS_COLORS[importRecord.status]} />
+                      {importRecord.undoneAt && (
+                        <Typography variant="caption" display="block" sx={{ color: secondaryTextColor }}>
+                          {format(new Date(importRecord.undoneAt), "dd MMM yyyy HH:mm")}
+                          {importRecord.undoneBy?.fullName ? ` by ${importRecord.undoneBy.fullName}` : ""}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      {importRecord.status !== "Undone" && (
+                        <Button
+                          size="small"
+                          color="error"
+                          variant="outlined"
+                          startIcon={undoingId === importRecord._id ? <CircularProgress size={14} color="inherit" /> : <UndoIcon />}
+                          disabled={!!undoingId}
+                          onClick={() => handleUndo(importRecord)}
+                        >
+                          {importRecord.status === "Undoing" ? "Finish Undo" : "Undo"}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 20, 50]}
+          onPageChange={(_, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          sx={{ color: textColor }}
+        />
+      </Paper>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+ImportsTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default ImportsTable;
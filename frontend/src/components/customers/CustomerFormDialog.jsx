@@ -0,0 +1,203 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Alert,
+  Grid
+} from "@mui/material";
+import PersonAddIcon from "@mui/icons-material/PersonAdd";
+import { useTheme } from "../../context/ThemeContext";
+import { createCustomer, updateCustomer } from "../../services/CustomerService";
+
+const ID_TYPES = ["Passport", "National ID", "Driver's Permit", "Other"];
+
+const EMPTY_CUSTOMER = {
+  fullName: "",
+  email: "",
+  phone: "",
+  dateOfBirth: "",
+  address: "",
+  idType: "",
+  idNumber: "",
+  idExpiry: "",
+  notes: ""
+};
+
+// Dates come back as ISO strings; date inputs want YYYY-MM-DD
+const toDateInput = (value) => (value ? value.split("T")[0] : "");
+
+const CustomerFormDialog = ({ open, customer, initialName, onSaved, onCancel }) => {
+  const { mode, primaryColor } = useTheme();
+  const [form, setForm] = useState(EMPTY_CUSTOMER);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      '& fieldset': { borderColor: inputBorderColor }
+    },
+    '& .MuiInputLabel-root': { color: secondaryTextColor },
+    '& .MuiSelect-select': { color: textColor },
+    input: { color: textColor },
+    textarea: { color: textColor }
+  };
+
+  const isEdit = !!customer;
+
+  // Start from the customer being edited, or a blank record with the typed name
+  useEffect(() => {
+    if (open) {
+      setForm(customer
+        ? {
+            ...EMPTY_CUSTOMER,
+            ...Object.fromEntries(Object.keys(EMPTY_CUSTOMER).map((key) => [key, customer[key] || ""])),
+            dateOfBirth: toDateInput(customer.dateOfBirth),
+            idExpiry: toDateInput(customer.idExpiry)
+          }
+        : { ...EMPTY_CUSTOMER, fullName: initialName || "" });
+      setError("");
+    }
+  }, [open, customer, initialName]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const saved = isEdit
+        ? await updateCustomer(customer._id, form)
+        : await createCustomer(form);
+      onSaved(saved);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error saving customer");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const textField = (name, label, props = {}) => (
+    <TextField
+      fullWidth
+      size="small"
+      name={name}
+      label={label}
+      value={form[name]}
+      onChange={handleChange}
+      disabled={saving}
+      sx={fieldSx}
+      {...props}
+    />
+  );
+
+  return (
+    <Dialog
+      open={open}
+      onClose={saving ? null : onCancel}
+      fullWidth
+      maxWidth="sm"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: textColor }}>
+        {isEdit ? `Edit ${customer.fullName}` : "Register Customer"}
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            {textField("fullName", "Full Name (as on ID)", { required: true, autoFocus: true })}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {textField("email", "Email", { type: "email" })}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {textField("phone", "Phone")}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {textField("dateOfBirth", "Date of Birth", { type: "date", InputLabelProps: { shrink: true } })}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {textField("address", "Address")}
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            {textField("idType", "ID Type", {
+              select: true,
+              children: [
+                <MenuItem key="none" value="">None</MenuItem>,
+                ...ID_TYPES.map((type) => <MenuItem key={type} value={type}>{type}</MenuItem>)
+              ]
+            })}
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            {textField("idNumber", "ID Number")}
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            {textField("idExpiry", "ID Expiry", { type: "date", InputLabelProps: { shrink: true } })}
+          </Grid>
+          <Grid item xs={12}>
+            {textField("notes", "Notes", { multiline: true, rows: 2 })}
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={saving}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving || !form.fullName.trim()}
+          startIcon={saving ? <CircularProgress size={16} color="inherit" /> : <PersonAddIcon />}
+          sx={{
+            bgcolor: accentColor,
+            color: mode === 'dark' ? "black" : "white",
+            "&:hover": { bgcolor: mode === 'dark' ? `${accentColor}E6` : `${accentColor}CC` }
+          }}
+        >
+          {saving ? "Saving..." : isEdit ? "Save" : "Register"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+CustomerFormDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  customer: PropTypes.object,
+  initialName: PropTypes.string,
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default CustomerFormDialog;
@@ -0,0 +1,165 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import {
+  Autocomplete,
+  TextField,
+  Box,
+  Typography,
+  Button,
+  Chip,
+  CircularProgress
+} from "@mui/material";
+import PersonAddIcon from "@mui/icons-material/PersonAdd";
+import { useTheme } from "../../context/ThemeContext";
+import { searchCustomers } from "../../services/CustomerService";
+import CustomerFormDialog from "./CustomerFormDialog";
+
+// Wait for the teller to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const isIdExpired = (customer) => !!customer?.idExpiry && new Date(customer.idExpiry) < new Date();
+
+const CustomerPicker = ({ value, onChange, textFieldSx }) => {
+  const { mode, primaryColor } = useTheme();
+  const [inputValue, setInputValue] = useState("");
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  // Search the registry as the teller types
+  useEffect(() => {
+    if (!inputValue.trim() || inputValue === value?.fullName) {
+      setOptions(value ? [value] : []);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await searchCustomers({ q: inputValue, limit: 10 });
+        if (active) setOptions(data.customers || []);
+      } catch {
+        if (active) setOptions([]);
+      } finally {
+        if (active) setLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [inputValue, value]);
+
+  const handleSaved = (customer) => {
+    setDialogOpen(false);
+    onChange(customer);
+  };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", gap: 1, alignItems: "flex-start" }}>
+        <Autocomplete
+          fullWidth
+          value={value}
+          options={options}
+          loading={loading}
+          filterOptions={(x) => x}
+          getOptionLabel={(option) => option.fullName || ""}
+          isOptionEqualToValue={(option, selected) => option._id === selected._id}
+          onChange={(_, customer) => onChange(customer)}
+          onInputChange={(_, text) => setInputValue(text)}
+          noOptionsText={inputValue.trim() ? "No matching customers" : "Type a name, email, phone or ID number"}
+          renderOption={(optionProps, option) => {
+            // MUI passes the list key inside the props; React wants it set directly
+            const liProps = { ...optionProps };
+            delete liProps.key;
+            return (
+              <Box component="li" key={option._id} {...liProps}>
+                <Box>
+                  <Typography variant="body2">{option.fullName}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {[option.idType && `${option.idType} ${option.idNumber || ""}`.trim(), option.email, option.phone]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </Typography>
+                </Box>
+              </Box>
+            );
+          }}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Registered Customer"
+              margin="dense"
+              sx={textFieldSx}
+              InputProps={{
+                ...params.InputProps,
+                endAdornment: (
+                  <>
+                    {loading ? <CircularProgress color="inherit" size={18} /> : null}
+                    {params.InputProps.endAdornment}
+                  </>
+                )
+              }}
+            />
+          )}
+        />
+        <Button
+          variant="outlined"
+          onClick={() => setDialogOpen(true)}
+          startIcon={<PersonAddIcon />}
+          sx={{
+            mt: 1,
+            height: 56,
+            whiteSpace: "nowrap",
+            color: textColor,
+            borderColor: accentColor
+          }}
+        >
+          New
+        </Button>
+      </Box>
+
+      {value && (
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center", flexWrap: "wrap", mb: 1 }}>
+          <Typography variant="caption" sx={{ color: secondaryTextColor }}>
+            {value.idType ? `${value.idType} ${value.idNumber || ""}` : "No ID on file"}
+          </Typography>
+          {isIdExpired(value) && (
+            <Chip label="ID expired" size="small" color="warning" />
+          )}
+        </Box>
+      )}
+
+      <CustomerFormDialog
+        open={dialogOpen}
+        initialName={value ? "" : inputValue}
+        onSaved={handleSaved}
+        onCancel={() => setDialogOpen(false)}
+      />
+    </>
+  );
+};
+
+CustomerPicker.propTypes = {
+  value: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    fullName: PropTypes.string.isRequired,
+    email: PropTypes.string,
+    phone: PropTypes.string,
+    idType: PropTypes.string,
+    idNumber: PropTypes.string,
+    idExpiry: PropTypes.string
+  }),
+  onChange: PropTypes.func.isRequired,
+  textFieldSx: PropTypes.object
+};
+
+export default CustomerPicker;
@@ -0,0 +1,467 @@
+import { Fragment, useState, useEffect, useCallback, useContext } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Typography,
+  Button,
+  Chip,
+  CircularProgress,
+  Box,
+  Alert,
+  Collapse,
+  IconButton,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  Switch,
+  Snackbar,
+  Grid
+} from "@mui/material";
+import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
+import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
+import EditIcon from "@mui/icons-material/Edit";
+import PersonAddIcon from "@mui/icons-material/PersonAdd";
+import MergeTypeIcon from "@mui/icons-material/MergeType";
+import { AuthContext } from "../../context/AuthContext";
+import { useTheme } from "../../context/ThemeContext";
+import { formatCurrency } from "../../utils/utils";
+import { searchCustomers, fetchCustomer, mergeCustomers } from "../../services/CustomerService";
+import CustomerFormDialog from "./CustomerFormDialog";
+import MergeCustomersDialog from "./MergeCustomersDialog";
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const formatDate = (value) => (value ? format(new Date(value), "dd MMM yyyy") : "—");
+
+const CustomersTable = ({ refreshKey }) => {
+  const { user } = useContext(AuthContext);
+  const { mode, primaryColor } = useTheme();
+  const isAdmin = user?.role === "admin";
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const headerBgColor = mode === 'dark' ? "#0F172A" : "#F1F5F9";
+  const detailBgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.03)" : "rgba(0, 0, 0, 0.02)";
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  // States
+  const [customers, setCustomers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [query, setQuery] = useState("");
+  const [showMerged, setShowMerged] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(false);
+  const [editTarget, setEditTarget] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [selected, setSelected] = useState({});
+  const [mergeOpen, setMergeOpen] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [mergeError, setMergeError] = useState("");
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const loadCustomers = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await searchCustomers({
+        q: query,
+        status: showMerged ? "all" : "Active",
+        page: page + 1,
+        limit: rowsPerPage
+      });
+      setCustomers(data.customers || []);
+      setTotal(data.pagination?.total || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading customers");
+    } finally {
+      setLoading(false);
+    }
+  }, [query, showMerged, page, rowsPerPage]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadCustomers, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [loadCustomers, refreshKey]);
+
+  // Load the full profile when a row is expanded
+  const handleExpand = async (customerId) => {
+    if (expandedId === customerId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(customerId);
+    setProfile(null);
+    setProfileLoading(true);
+    try {
+      setProfile(await fetchCustomer(customerId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading customer");
+    } finally {
+      setProfileLoading(false);
+    }
+  };
+
+  const handleSelect = (customer) => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (next[customer._id]) delete next[customer._id];
+      else next[customer._id] = customer;
+      return next;
+    });
+  };
+
+  const handleSaved = (customer) => {
+    setFormOpen(false);
+    setSnackbar({ open: true, message: `${customer.fullName} saved`, severity: "success" });
+    if (expandedId === customer._id) setExpandedId(null);
+    loadCustomers();
+  };
+
+  const handleMerge = async (targetId, sourceIds) => {
+    setMerging(true);
+    setMergeError("");
+    try {
+      const result = await mergeCustomers(targetId, sourceIds);
+      setMergeOpen(false);
+      setSelected({});
+      setExpandedId(null);
+      setSnackbar({ open: true, message: result.message, severity: "success" });
+      loadCustomers();
+    } catch (err) {
+      setMergeError(err.response?.data?.message || "Error merging customers");
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  // Close snackbar
+  const handleCloseSnackbar = (_, reason) => {
+    if (reason === 'clickaway') return;
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const cellSx = { color: textColor, borderColor };
+  const selectedCustomers = Object.values(selected);
+  const columnCount = isAdmin ? 8 : 7;
+
+  const renderProfile = () => {
+    if (profileLoading || !profile) {
+      return <CircularProgress size={24} />;
+    }
+    const { customer, transactions, totals } = profile;
+
+    return (
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+            Identity
+          </Typography>
+          {[
+            ["Date of Birth", formatDate(customer.dateOfBirth)],
+            ["Address", customer.address || "—"],
+            ["Phone", customer.phone || "—"],
+            ["ID", customer.idType ? `${customer.idType} ${customer.idNumber || ""}` : "—"],
+            ["ID Expiry", formatDate(customer.idExpiry)],
+            ["Registered", `${formatDate(customer.createdAt)}${customer.createdBy?.fullName ? ` by ${customer.createdBy.fullName}` : ""}`]
+          ].map(([label, value]) => (
+            <Typography key={label} variant="body2" sx={{ color: secondaryTextColor }}>
+              {label}: <span style={{ color: textColor }}>{value}</span>
+            </Typography>
+          ))}
+          {customer.notes && (
+            <Typography variant="body2" sx={{ color: secondaryTextColor, mt: 1, whiteSpace: "pre-line" }}>
+              {customer.notes}
+            </Typography>
+          )}
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+            Totals
+          </Typography>
+          {totals.length === 0 ? (
+            <Typography variant="body2" sx={{ color: secondaryTextColor }}>No completed transactions</Typography>
+          ) : totals.map((line) => (
+            <Typography key={line.currency} variant="body2" sx={{ color: textColor }}>
+              {formatCurrency(line.totalAmount, line.currency)} · {line.count} transaction(s)
+            </Typography>
+          ))}
+        </Grid>
+        <Grid item xs={12} md={5}>
+          <Typography variant="subtitle2" sx={{ color: textColor, mb: 1 }}>
+            Recent Transactions
+          </Typography>
+          <Table size="small">
+            <TableBody>
+              {transactions.map((tx) => (
+                <TableRow key={tx._id}>
+                  <TableCell sx={cellSx}>{formatDate(tx.createdAt)}</TableCell>
+                  <TableCell sx={cellSx}>{tx.reference}</TableCell>
+                  <TableCell sx={cellSx}>{tx.type}</TableCell>
+                  <TableCell sx={cellSx} align="right">{formatCurrency(tx.amount, tx.currency)}</TableCell>
+                  <TableCell sx={cellSx}>{tx.status}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Grid>
+      </Grid>
+    );
+  };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <TextField
+          size="small"
+          placeholder="Search name, email, phone or ID number"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setPage(0);
+          }}
+          sx={{
+            flex: 1,
+            minWidth: 240,
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor }
+            },
+            input: { color: textColor }
+          }}
+        />
+        <FormControlLabel
+          control={<Switch checked={showMerged} onChange={(e) => setShowMerged(e.target.checked)} />}
+          label="Show merged"
+          sx={{ color: secondaryTextColor }}
+        />
+        {isAdmin && (
+          <Button
+            variant="outlined"
+            color="warning"
+            startIcon={<MergeTypeIcon />}
+            disabled={selectedCustomers.length < 2}
+            onClick={() => {
+              setMergeError("");
+              setMergeOpen(true);
+            }}
+          >
+            Merge Selected
+          </Button>
+        )}
+        <Button
+          variant="contained"
+          startIcon={<PersonAddIcon />}
+          onClick={() => {
+            setEditTarget(null);
+            setFormOpen(true);
+          }}
+          sx={{
+            bgcolor: accentColor,
+            color: mode === 'dark' ? "black" : "white",
+            "&:hover": { bgcolor: mode === 'dark' ? `${accentColor}E6` : `${accentColor}CC` }
+          }}
+        >
+          Register Customer
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          backgroundColor: paperBgColor,
+          borderRadius: 2,
+          border: `1px solid ${borderColor}`
+        }}
+      >
+        <TableContainer>
+          <Table>
+            <TableHead sx={{ bgcolor: headerBgColor }}>
+              <TableRow>
+                {isAdmin && <TableCell sx={cellSx} padding="checkbox" />}
+                <TableCell sx={cellSx} />
+                <TableCell sx={cellSx}>Name</TableCell>
+                <TableCell sx={cellSx}>ID</TableCell>
+                <TableCell sx={cellSx}>ID Expiry</TableCell>
+                <TableCell sx={cellSx}>Contact</TableCell>
+                <TableCell sx={cellSx}>Status</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={columnCount} align="center" sx={cellSx}>
+                    <CircularProgress size={28} />
+                  </TableCell>
+                </TableRow>
+              ) : customers.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={columnCount} align="center" sx={cellSx}>
+                    <Typography variant="body2" sx={{ color: secondaryTextColor, py: 2 }}>
+                      No customers found.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                customers.map((customer) => {
+                  const isExpanded = expandedId === customer._id;
+                  const isMerged = customer.status === "Merged";
+                  const isExpired = customer.idExpiry && new Date(customer.idExpiry) < new Date();
+
+                  return (
+                    <Fragment key={customer._id}>
+                      <TableRow sx={{ opacity: isMerged ? 0.6 : 1 }}>
+                        {isAdmin && (
+                          <TableCell sx={cellSx} padding="checkbox">
+                            <Checkbox
+                              size="small"
+                              checked={!!selected[customer._id]}
+                              disabled={isMerged}
+                              onChange={() => handleSelect(customer)}
+                            />
+                          </TableCell>
+                        )}
+                        <TableCell sx={cellSx}>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleExpand(customer._id)}
+                            sx={{ color: textColor }}
+                          >
+                            {isExpanded ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                          </IconButton>
+                        </TableCell>
+                        <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{customer.fullName}</TableCell>
+                        <TableCell sx={cellSx}>
+                          {customer.idType ? `${customer.idType} ${customer.idNumber || ""}` : "—"}
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {formatDate(customer.idExpiry)}
+                          {isExpired && <Chip label="Expired" size="small" color="warning" sx={{ ml: 1 }} />}
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {[customer.email, customer.phone].filter(Boolean).join(" · ") || "—"}
+                        </TableCell>
+                        <TableCell sx={cellSx}>
+                          {isMerged ? (
+                            <Chip
+                              label={`Merged into ${customer.mergedInto?.fullName || "another record"}`}
+                              size="small"
+                            />
+                          ) : (
+                            <Chip label="Active" size="small" color="success" />
+                          )}
+                        </TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          {!isMerged && (
+                            <IconButton
+                              size="small"
+                              title="Edit"
+                              onClick={() => {
+                                setEditTarget(customer);
+                                setFormOpen(true);
+                              }}
+                              sx={{ color: textColor }}
+                            >
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell colSpan={columnCount} sx={{ ...cellSx, py: 0, borderBottom: isExpanded ? undefined : "none" }}>
+                          <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                            <Box sx={{ p: 2, bgcolor: detailBgColor, borderRadius: 1, my: 1 }}>
+                              {renderProfile()}
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    </Fragment>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 20, 50]}
+          onPageChange={(_, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          sx={{ color: textColor }}
+        />
+      </Paper>
+
+      <CustomerFormDialog
+        open={formOpen}
+        customer={editTarget}
+        onSaved={handleSaved}
+        onCancel={() => setFormOpen(false)}
+      />
+
+      <MergeCustomersDialog
+        open={mergeOpen}
+        customers={selectedCustomers}
+        onConfirm={handleMerge}
+        onCancel={() => setMergeOpen(false)}
+        loading={merging}
+        error={mergeError}
+      />
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+CustomersTable.propTypes = {
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default CustomersTable;
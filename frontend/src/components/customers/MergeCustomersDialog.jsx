@@ -0,0 +1,117 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Alert
+} from "@mui/material";
+import MergeTypeIcon from "@mui/icons-material/MergeType";
+import { useTheme } from "../../context/ThemeContext";
+
+const MergeCustomersDialog = ({ open, customers, onConfirm, onCancel, loading, error }) => {
+  const { mode } = useTheme();
+  const [targetId, setTargetId] = useState("");
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+
+  // Default to keeping the oldest record
+  useEffect(() => {
+    if (open && customers.length > 0) {
+      const oldest = [...customers].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+      setTargetId(oldest._id);
+    }
+  }, [open, customers]);
+
+  const handleConfirm = () => {
+    const sourceIds = customers.map((customer) => customer._id).filter((id) => id !== targetId);
+    onConfirm(targetId, sourceIds);
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: textColor }}>
+        Merge {customers.length} Customers
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 2 }}>
+          Choose the record to keep. The others are marked as merged and their transactions move to it.
+        </Typography>
+        <RadioGroup value={targetId} onChange={(e) => setTargetId(e.target.value)}>
+          {customers.map((customer) => (
+            <FormControlLabel
+              key={customer._id}
+              value={customer._id}
+              control={<Radio size="small" />}
+              disabled={loading}
+              label={
+                <Typography variant="body2" sx={{ color: textColor }}>
+                  {customer.fullName}
+                  {customer.idNumber ? ` · ${customer.idType} ${customer.idNumber}` : ""}
+                  {customer.email ? ` · ${customer.email}` : ""}
+                </Typography>
+              }
+            />
+          ))}
+        </RadioGroup>
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          color="warning"
+          disabled={loading || !targetId}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <MergeTypeIcon />}
+        >
+          {loading ? "Merging..." : "Merge"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+MergeCustomersDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  customers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired,
+  error: PropTypes.string
+};
+
+export default MergeCustomersDialog;
@@ -11,6 +11,7 @@ import {
 import { useTheme as useMuiTheme } from "@mui/material/styles";
 import { AuthContext } from "../../context/AuthContext";
 import { useTheme } from "../../context/ThemeContext";
+import { loadCurrencyRegistry } from "../../services/CurrencyService";
 
 // Import separated components
 import Header from "./Header";
@@ -29,6 +30,8 @@ const Layout = ({ children }) => {
   const isMobile = useMediaQuery(muiTheme.breakpoints.down("md"));
   const [mobileOpen, setMobileOpen] = useState(false);
   const [drawerMinimized, setDrawerMinimized] = useState(false);
+  // Pages wait for the currency registry so amounts show with the right decimals
+  const [currenciesReady, setCurrenciesReady] = useState(false);
 
   // Initialize drawer state from localStorage when component mounts
   useEffect(() => {
@@ -39,6 +42,13 @@ const Layout = ({ children }) => {
     }
   }, []);
 
+  // Load the currency registry once per login; formatting falls back to defaults if it fails
+  useEffect(() => {
+    loadCurrencyRegistry()
+      .catch(() => {})
+      .finally(() => setCurrenciesReady(true));
+  }, [user?._id]);
+
   // Toggle drawer for mobile view
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
@@ -196,7 +206,7 @@ const Layout = ({ children }) => {
             }
           }}
         >
-          {children}
+          {currenciesReady && children}
         </Box>
       </Box>
     </Box>
@@ -8,7 +8,15 @@ import {
   Palette as PaletteIcon,
   Person as PersonIcon,
   AdminPanelSettings as AdminPanelSettingsIcon,
-  SettingsApplications as SettingsApplicationsIcon
+  SettingsApplications as SettingsApplicationsIcon,
+  FactCheck as ApprovalsIcon,
+  PointOfSale as TillSessionsIcon,
+  EventAvailable as DayCloseIcon,
+  Gavel as ComplianceIcon,
+  CurrencyExchange as CurrencyExchangeIcon,
+  RequestQuote as FeesIcon,
+  Contacts as CustomersIcon,
+  UploadFile as ImportIcon
 } from "@mui/icons-material";
 
 // Navigation items configuration - easy to add new routes
@@ -19,6 +27,12 @@ export const navigationItems = [
     icon: React.createElement(DashboardIcon),
     allowedRoles: ["admin", "user"]
   },
+  {
+    title: "Customers",
+    path: "/customers",
+    icon: React.createElement(CustomersIcon),
+    allowedRoles: ["admin", "user"]
+  },
   // {
   //   title: "Transactions",
   //   path: "/transactions",
@@ -36,6 +50,36 @@ export const navigationItems = [
     //   { title: "Transactions", path: "/reports/transactions", allowedRoles: ["admin", "user"] }
     // ]
   },
+  {
+    title: "Approvals",
+    path: "/approvals",
+    icon: React.createElement(ApprovalsIcon),
+    allowedRoles: ["admin"]
+  },
+  {
+    title: "Till Sessions",
+    path: "/till-sessions",
+    icon: React.createElement(TillSessionsIcon),
+    allowedRoles: ["admin"]
+  },
+  {
+    title: "Day Close",
+    path: "/day-close",
+    icon: React.createElement(DayCloseIcon),
+    allowedRoles: ["admin"]
+  },
+  {
+    title: "Import",
+    path: "/imports",
+    icon: React.createElement(ImportIcon),
+    allowedRoles: ["admin"]
+  },
+  {
+    title: "Compliance",
+    path: "/compliance",
+    icon: React.createElement(ComplianceIcon),
+    allowedRoles: ["admin"]
+  },
   {
     title: "Users",
     path: "/users",
@@ -66,6 +110,18 @@ export const navigationItems = [
         icon: React.createElement(SettingsApplicationsIcon),
         allowedRoles: ["admin"] 
       },
+      { 
+        title: "Exchange Rates", 
+        path: "/settings?tab=rates", 
+        icon: React.createElement(CurrencyExchangeIcon),
+        allowedRoles: ["admin"] 
+      },
+      { 
+        title: "Fees", 
+        path: "/settings?tab=fees", 
+        icon: React.createElement(FeesIcon),
+        allowedRoles: ["admin"] 
+      },
       { 
         title: "Admin Settings", 
         path: "/settings?tab=admin", 
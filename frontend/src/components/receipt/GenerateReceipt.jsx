@@ -1,8 +1,10 @@
 import jsPDF from "jspdf";
+import { getMinorUnits } from "../../utils/utils";
 const GenerateReceiptPDF = (transaction) => {
     if (!transaction) return;
   
-    const { reference, createdAt, amount, notes, type, status, customerName, customerEmail } = transaction;
+    const { reference, createdAt, amount, currency, notes, type, status, customerName, customerEmail, voidedAt, voidReason } = transaction;
+    const isVoided = status === "Cancelled" && !!voidedAt;
   
     const doc = new jsPDF();
     doc.setFontSize(18);
@@ -13,10 +15,22 @@ const GenerateReceiptPDF = (transaction) => {
     doc.text(`Date: ${new Date(createdAt).toLocaleString()}`, 20, 50);
     doc.text(`Customer Name: ${customerName}`, 20, 60);
     doc.text(`Customer Email: ${customerEmail}`, 20, 70);
-    doc.text(`Amount: $${amount.toFixed(2)}`, 20, 80);
+    doc.text(`Amount: ${currency} ${amount.toFixed(getMinorUnits(currency))}`, 20, 80);
     doc.text(`Notes: ${notes}`, 20, 90);
     doc.text(`Type: ${type}`, 20, 100);
-    doc.text(`Status: ${status}`, 20, 110);
+    doc.text(`Status: ${isVoided ? "VOID" : status}`, 20, 110);
+
+    if (isVoided) {
+      doc.setTextColor(185, 28, 28);
+      doc.setFontSize(18);
+      doc.text("VOID", 150, 20);
+      doc.setFontSize(12);
+      doc.text(`Voided on ${new Date(voidedAt).toLocaleString()}`, 20, 120);
+      if (voidReason) {
+        doc.text(`Reason: ${voidReason}`, 20, 130);
+      }
+      doc.setTextColor(0, 0, 0);
+    }
   
     doc.save(`receipt_${reference}.pdf`);
   };
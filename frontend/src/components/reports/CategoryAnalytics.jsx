@@ -0,0 +1,186 @@
+import PropTypes from "prop-types";
+import {
+  Grid,
+  Paper,
+  Typography,
+  Card,
+  Divider,
+  Stack,
+  ToggleButton,
+  ToggleButtonGroup,
+} from "@mui/material";
+import {
+  BarChart,
+  Bar,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import CustomTooltip from "./CustomTooltip";
+
+// Constants
+const COLORS = ["#0088FE", "#00C49F", "#FFBB28", "#FF8042", "#8884D8"];
+
+const CategoryAnalytics = ({ categoryData, by, onByChange, filters, cardBgColor, textColor, mode }) => {
+  const groupLabel = by === "tag" ? "Tag" : "Category";
+
+  return (
+    <Grid container spacing={3}>
+      {/* Category or tag grouping */}
+      <Grid item xs={12}>
+        <Stack direction="row" justifyContent="flex-end">
+          <ToggleButtonGroup
+            value={by}
+            exclusive
+            size="small"
+            onChange={(e, value) => value && onByChange(value)}
+            sx={{ bgcolor: cardBgColor, '& .MuiToggleButton-root': { color: textColor } }}
+          >
+            <ToggleButton value="category">By Category</ToggleButton>
+            <ToggleButton value="tag">By Tag</ToggleButton>
+          </ToggleButtonGroup>
+        </Stack>
+      </Grid>
+
+      {/* Transaction count pie chart */}
+      <Grid item xs={12} md={6}>
+        <Paper sx={{ p: 3, height: "400px", bgcolor: cardBgColor, color: textColor }}>
+          <Typography variant="h6" gutterBottom color={textColor}>
+            Transactions by {groupLabel}
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          <ResponsiveContainer width="100%" height="85%">
+            <PieChart>
+              <Pie
+                data={categoryData}
+                cx="50%"
+                cy="50%"
+                labelLine={true}
+                outerRadius={80}
+                fill="#8884d8"
+                dataKey="count"
+                nameKey="name"
+                label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+              >
+                {categoryData.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                ))}
+              </Pie>
+              <RechartsTooltip content={<CustomTooltip />} />
+              <Legend />
+            </PieChart>
+          </ResponsiveContainer>
+        </Paper>
+      </Grid>
+
+      {/* TTD volume bar chart */}
+      <Grid item xs={12} md={6}>
+        <Paper sx={{ p: 3, height: "400px", bgcolor: cardBgColor, color: textColor }}>
+          <Typography variant="h6" gutterBottom color={textColor}>
+            Volume by {groupLabel}
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          <ResponsiveContainer width="100%" height="85%">
+            <BarChart
+              data={categoryData}
+              margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <RechartsTooltip content={<CustomTooltip currencyCode="TTD" />} />
+              <Legend />
+              <Bar dataKey="amountTTD" name="Volume (TTD)" fill="#8884d8">
+                {categoryData.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </Paper>
+      </Grid>
+
+      {/* Category or tag details */}
+      <Grid item xs={12}>
+        <Paper sx={{ p: 3, bgcolor: cardBgColor, color: textColor }}>
+          <Typography variant="h6" gutterBottom color={textColor}>
+            {groupLabel} Details
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          {categoryData.length === 0 ? (
+            <Typography variant="body1" color="textSecondary">
+              No transactions match these filters
+            </Typography>
+          ) : (
+            <Grid container spacing={2}>
+              {categoryData.map((item, index) => (
+                <Grid item xs={12} sm={6} md={3} key={item.id ?? item.name}>
+                  <Card
+                    sx={{
+                      p: 2,
+                      bgcolor: mode === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.02)',
+                      border: `1px solid ${COLORS[index % COLORS.length]}`,
+                      height: '100%'
+                    }}
+                  >
+                    <Typography variant="h6" gutterBottom color={textColor} noWrap>
+                      {item.name}
+                    </Typography>
+                    <Typography variant="body1" color="textSecondary">
+                      Count: {item.count} ({item.percentage.toFixed(1)}%)
+                    </Typography>
+                    {filters.currency && filters.currency !== "all" && (
+                      <Typography variant="body1" color="textSecondary">
+                        Amount: {item.amount.toLocaleString()} {filters.currency}
+                      </Typography>
+                    )}
+                    <Typography variant="body1" color="textSecondary">
+                      Volume: {item.amountTTD.toLocaleString()} TTD
+                    </Typography>
+                    <Typography variant="body1" color="textSecondary">
+                      Fees: {item.feeIncome.toLocaleString()} TTD
+                    </Typography>
+                    <Typography variant="body1" color="textSecondary">
+                      Realized Gain: {item.realizedGain.toLocaleString()} TTD
+                    </Typography>
+                  </Card>
+                </Grid>
+              ))}
+            </Grid>
+          )}
+        </Paper>
+      </Grid>
+    </Grid>
+  );
+};
+
+CategoryAnalytics.propTypes = {
+  categoryData: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      name: PropTypes.string.isRequired,
+      amount: PropTypes.number.isRequired,
+      amountTTD: PropTypes.number.isRequired,
+      feeIncome: PropTypes.number.isRequired,
+      realizedGain: PropTypes.number.isRequired,
+      count: PropTypes.number.isRequired,
+      percentage: PropTypes.number.isRequired
+    })
+  ).isRequired,
+  by: PropTypes.oneOf(["category", "tag"]).isRequired,
+  onByChange: PropTypes.func.isRequired,
+  filters: PropTypes.shape({
+    currency: PropTypes.string
+  }).isRequired,
+  cardBgColor: PropTypes.string.isRequired,
+  textColor: PropTypes.string.isRequired,
+  mode: PropTypes.string.isRequired
+};
+
+export default CategoryAnalytics;
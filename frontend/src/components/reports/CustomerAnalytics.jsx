@@ -63,7 +63,7 @@ const CustomerAnalytics = ({ customerData, filters, cardBgColor, textColor, mode
           <Divider sx={{ mb: 2 }} />
           <Grid container spacing={2}>
             {customerData.slice(0, 8).map((customer, index) => (
-              <Grid item xs={12} sm={6} md={3} key={customer.customer}>
+              <Grid item xs={12} sm={6} md={3} key={customer.customerId || customer.customer}>
                 <Card 
                   sx={{ 
                     p: 2, 
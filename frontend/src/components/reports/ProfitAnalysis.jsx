@@ -0,0 +1,205 @@
+import PropTypes from "prop-types";
+import {
+  Grid,
+  Paper,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from "@mui/material";
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { format } from "date-fns";
+import CustomTooltip from "./CustomTooltip";
+
+const formatDate = (date) =>
+  date instanceof Date ? format(date, "MMM d, yyyy") : format(new Date(date), "MMM d, yyyy");
+
+const formatTTD = (value) =>
+  `TTD ${(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const ProfitAnalysis = ({ profitData, filters, cardBgColor, textColor, mode }) => {
+  const { periods = [], currencies = [], totals = {} } = profitData;
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.12)' : 'rgba(0, 0, 0, 0.12)';
+  const cellSx = { color: textColor, borderColor };
+
+  const summaryCards = [
+    { label: "Realized Profit", value: formatTTD(totals.realizedGain), highlight: true },
+    { label: "Sell Proceeds", value: formatTTD(totals.proceedsTTD) },
+    { label: "Cost of Currency Sold", value: formatTTD(totals.costTTD) },
+    { label: "Profit Margin", value: `${(totals.profitMargin || 0).toFixed(2)}%` },
+  ];
+
+  return (
+    <>
+      {/* Summary Cards */}
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        {summaryCards.map((card) => (
+          <Grid item xs={12} sm={6} md={3} key={card.label}>
+            <Card sx={{ bgcolor: cardBgColor, color: textColor }}>
+              <CardContent>
+                <Typography color="textSecondary" gutterBottom>
+                  {card.label}
+                </Typography>
+                <Typography
+                  variant="h5"
+                  component="div"
+                  color={card.highlight ? ((totals.realizedGain || 0) >= 0 ? "success.main" : "error.main") : textColor}
+                >
+                  {card.value}
+                </Typography>
+                <Typography color="textSecondary">
+                  {formatDate(filters.startDate)} - {formatDate(filters.endDate)}
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Grid container spacing={3}>
+        {/* Profit Over Time */}
+        <Grid item xs={12}>
+          <Paper sx={{ p: 3, height: "400px", bgcolor: cardBgColor, color: textColor }}>
+            <Typography variant="h6" gutterBottom color={textColor}>
+              Realized Profit Over Time
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+            <ResponsiveContainer width="100%" height="85%">
+              <ComposedChart data={periods} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" />
+                <YAxis yAxisId="left" />
+                <YAxis yAxisId="right" orientation="right" unit="%" />
+                <RechartsTooltip content={<CustomTooltip currencyCode="TTD" />} />
+                <Legend />
+                <Bar yAxisId="left" dataKey="realizedGain" name="Realized Profit" fill="#00C49F" />
+                <Line
+                  yAxisId="right"
+                  type="monotone"
+                  dataKey="profitMargin"
+                  stroke="#ff7300"
+                  strokeWidth={2}
+                  name="Profit Margin"
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </Paper>
+        </Grid>
+
+        {/* Profit by Currency */}
+        <Grid item xs={12}>
+          <Paper sx={{ p: 3, bgcolor: cardBgColor, color: textColor }}>
+            <Typography variant="h6" gutterBottom color={textColor}>
+              Profit by Currency
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={cellSx}>Currency</TableCell>
+                    <TableCell sx={cellSx} align="right">Sold</TableCell>
+                    <TableCell sx={cellSx} align="right">Avg. Sell Rate</TableCell>
+                    <TableCell sx={cellSx} align="right">Avg. Cost Rate</TableCell>
+                    <TableCell sx={cellSx} align="right">Proceeds</TableCell>
+                    <TableCell sx={cellSx} align="right">Cost</TableCell>
+                    <TableCell sx={cellSx} align="right">Realized Profit</TableCell>
+                    <TableCell sx={cellSx} align="right">Margin</TableCell>
+                    <TableCell sx={cellSx} align="right">Held</TableCell>
+                    <TableCell sx={cellSx} align="right">Avg. Cost Held</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {currencies.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={10} align="center" sx={cellSx}>
+                        No sales in this period
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    currencies.map((row) => (
+                      <TableRow key={row.currency}>
+                        <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{row.currency}</TableCell>
+                        <TableCell sx={cellSx} align="right">{row.amountSold.toLocaleString()}</TableCell>
+                        <TableCell sx={cellSx} align="right">{row.averageSellRate ?? "-"}</TableCell>
+                        <TableCell sx={cellSx} align="right">{row.averageCostRate ?? "-"}</TableCell>
+                        <TableCell sx={cellSx} align="right">{formatTTD(row.proceedsTTD)}</TableCell>
+                        <TableCell sx={cellSx} align="right">{formatTTD(row.costTTD)}</TableCell>
+                        <TableCell
+                          sx={{ ...cellSx, fontWeight: "bold", color: row.realizedGain >= 0 ? "success.main" : "error.main" }}
+                          align="right"
+                        >
+                          {formatTTD(row.realizedGain)}
+                        </TableCell>
+                        <TableCell sx={cellSx} align="right">{row.profitMargin.toFixed(2)}%</TableCell>
+                        <TableCell sx={cellSx} align="right">{row.balance.toLocaleString()}</TableCell>
+                        <TableCell sx={cellSx} align="right">{row.averageCost ?? "-"}</TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </Grid>
+      </Grid>
+    </>
+  );
+};
+
+ProfitAnalysis.propTypes = {
+  profitData: PropTypes.shape({
+    periods: PropTypes.arrayOf(
+      PropTypes.shape({
+        date: PropTypes.string,
+        realizedGain: PropTypes.number,
+        profitMargin: PropTypes.number,
+      })
+    ),
+    currencies: PropTypes.arrayOf(
+      PropTypes.shape({
+        currency: PropTypes.string.isRequired,
+        amountSold: PropTypes.number.isRequired,
+        proceedsTTD: PropTypes.number,
+        costTTD: PropTypes.number,
+        realizedGain: PropTypes.number.isRequired,
+        profitMargin: PropTypes.number.isRequired,
+        averageSellRate: PropTypes.number,
+        averageCostRate: PropTypes.number,
+        balance: PropTypes.number.isRequired,
+        averageCost: PropTypes.number,
+      })
+    ),
+    totals: PropTypes.shape({
+      proceedsTTD: PropTypes.number,
+      costTTD: PropTypes.number,
+      realizedGain: PropTypes.number,
+      profitMargin: PropTypes.number,
+    }),
+  }).isRequired,
+  filters: PropTypes.shape({
+    startDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]).isRequired,
+    endDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]).isRequired,
+  }).isRequired,
+  cardBgColor: PropTypes.string.isRequired,
+  textColor: PropTypes.string.isRequired,
+  mode: PropTypes.string.isRequired,
+};
+
+export default ProfitAnalysis;
@@ -12,10 +12,12 @@ import {
   CircularProgress,
   Divider
 } from "@mui/material";
+import PropTypes from "prop-types";
 
 const ReportFilters = ({
   filters,
   currencies,
+  categories = [],
   activeTab,
   onFilterChange,
   onApplyFilters,
@@ -76,7 +78,35 @@ const ReportFilters = ({
             </Select>
           </FormControl>
         </Grid>
-        {activeTab === 0 && (
+        <Grid item xs={12} md={2}>
+          <FormControl fullWidth>
+            <InputLabel id="category-label">Category</InputLabel>
+            <Select
+              labelId="category-label"
+              value={filters.category || "all"}
+              label="Category"
+              onChange={(e) => onFilterChange("category", e.target.value)}
+              sx={{ bgcolor: cardBgColor, color: textColor }}
+            >
+              <MenuItem value="all">All Categories</MenuItem>
+              <MenuItem value="none">Uncategorized</MenuItem>
+              {categories.map((category) => (
+                <MenuItem key={category._id} value={category._id}>
+                  {category.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={2}>
+          <TextField
+            label="Tag"
+            value={filters.tag || ""}
+            onChange={(e) => onFilterChange("tag", e.target.value)}
+            fullWidth
+          />
+        </Grid>
+        {(activeTab === 0 || activeTab === 4) && (
           <Grid item xs={12} md={2}>
             <FormControl fullWidth>
               <InputLabel id="groupby-label">Group By</InputLabel>
@@ -112,6 +142,7 @@ const ReportFilters = ({
                 <MenuItem value="Cash Out">Cash Out</MenuItem>
                 <MenuItem value="Buy">Buy</MenuItem>
                 <MenuItem value="Sell">Sell</MenuItem>
+                <MenuItem value="Exchange">Exchange</MenuItem>
               </Select>
             </FormControl>
           </Grid>
@@ -142,4 +173,37 @@ const ReportFilters = ({
   );
 };
 
+ReportFilters.propTypes = {
+  filters: PropTypes.shape({
+    startDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]),
+    endDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]),
+    currency: PropTypes.string,
+    category: PropTypes.string,
+    tag: PropTypes.string,
+    groupBy: PropTypes.string,
+    type: PropTypes.string
+  }).isRequired,
+  currencies: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      name: PropTypes.string
+    })
+  ).isRequired,
+  categories: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    })
+  ),
+  activeTab: PropTypes.number.isRequired,
+  onFilterChange: PropTypes.func.isRequired,
+  onApplyFilters: PropTypes.func.isRequired,
+  onResetFilters: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired,
+  mode: PropTypes.string,
+  cardBgColor: PropTypes.string.isRequired,
+  textColor: PropTypes.string.isRequired,
+  accentColor: PropTypes.string.isRequired
+};
+
 export default ReportFilters;
\ No newline at end of file
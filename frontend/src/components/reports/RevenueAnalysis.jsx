@@ -1,4 +1,5 @@
 import React from "react";
+import PropTypes from "prop-types";
 import {
   Grid,
   Paper,
@@ -32,7 +33,10 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
   // Calculate summary metrics
   const totalRevenue = revenueData.reduce((sum, item) => sum + (item.revenue || 0), 0);
   const totalExpenses = revenueData.reduce((sum, item) => sum + (item.expenses || 0), 0);
-  const totalProfit = totalRevenue - totalExpenses;
+  // Profit is the FX gain realized on Sells, not revenue less expenses
+  const totalProfit = revenueData.reduce((sum, item) => sum + (item.profit || 0), 0);
+  // Service fees are always charged in TTD
+  const totalFeeIncome = revenueData.reduce((sum, item) => sum + (item.feeIncome || 0), 0);
 
   // Prepare data for pie chart
   const pieChartData = [
@@ -44,7 +48,7 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
     <>
       {/* Summary Cards */}
       <Grid container spacing={3} sx={{ mb: 3 }}>
-        <Grid item xs={12} md={4}>
+        <Grid item xs={12} sm={6} md={3}>
           <Card sx={{ bgcolor: cardBgColor, color: textColor }}>
             <CardContent>
               <Typography color="textSecondary" gutterBottom>
@@ -64,7 +68,7 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
             </CardContent>
           </Card>
         </Grid>
-        <Grid item xs={12} md={4}>
+        <Grid item xs={12} sm={6} md={3}>
           <Card sx={{ bgcolor: cardBgColor, color: textColor }}>
             <CardContent>
               <Typography color="textSecondary" gutterBottom>
@@ -84,18 +88,38 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
             </CardContent>
           </Card>
         </Grid>
-        <Grid item xs={12} md={4}>
+        <Grid item xs={12} sm={6} md={3}>
           <Card sx={{ bgcolor: cardBgColor, color: textColor }}>
             <CardContent>
               <Typography color="textSecondary" gutterBottom>
-                Net Profit
+                Realized FX Profit
               </Typography>
               <Typography 
                 variant="h4" 
                 component="div" 
                 color={totalProfit >= 0 ? "success.main" : "error.main"}
               >
-                {filters.currency} {totalProfit.toLocaleString()}
+                TTD {totalProfit.toLocaleString()}
+              </Typography>
+              <Typography color="textSecondary">
+                {filters.startDate instanceof Date 
+                  ? format(filters.startDate, "MMM d, yyyy") 
+                  : format(new Date(filters.startDate), "MMM d, yyyy")} - 
+                {filters.endDate instanceof Date 
+                  ? format(filters.endDate, "MMM d, yyyy") 
+                  : format(new Date(filters.endDate), "MMM d, yyyy")}
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <Card sx={{ bgcolor: cardBgColor, color: textColor }}>
+            <CardContent>
+              <Typography color="textSecondary" gutterBottom>
+                Fee Income
+              </Typography>
+              <Typography variant="h4" component="div" color={textColor}>
+                TTD {totalFeeIncome.toLocaleString()}
               </Typography>
               <Typography color="textSecondary">
                 {filters.startDate instanceof Date 
@@ -141,6 +165,13 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
                   strokeWidth={2}
                   name="Expenses" 
                 />
+                <Line
+                  type="monotone"
+                  dataKey="feeIncome"
+                  stroke="#FFBB28"
+                  strokeWidth={2}
+                  name="Fee Income (TTD)"
+                />
               </LineChart>
             </ResponsiveContainer>
           </Paper>
@@ -222,12 +253,7 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
             <Divider sx={{ mb: 2 }} />
             <ResponsiveContainer width="100%" height="85%">
               <LineChart
-                data={revenueData.map((item) => ({
-                  ...item,
-                  profitMargin: item.revenue > 0 
-                    ? (((item.revenue - item.expenses) / item.revenue) * 100).toFixed(2)
-                    : 0,
-                }))}
+                data={revenueData}
                 margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
               >
                 <CartesianGrid strokeDasharray="3 3" />
@@ -251,4 +277,16 @@ const RevenueAnalysis = ({ revenueData, filters, cardBgColor, textColor, mode })
   );
 };
 
+RevenueAnalysis.propTypes = {
+  revenueData: PropTypes.arrayOf(PropTypes.object).isRequired,
+  filters: PropTypes.shape({
+    currency: PropTypes.string,
+    startDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]),
+    endDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string])
+  }).isRequired,
+  cardBgColor: PropTypes.string,
+  textColor: PropTypes.string,
+  mode: PropTypes.string
+};
+
 export default RevenueAnalysis;
\ No newline at end of file
@@ -66,6 +66,10 @@ import {
           return 'Transaction Type Analysis'
         case 'customers':
           return 'Customer Analytics'
+        case 'profit':
+          return 'FX Profit'
+        case 'categories':
+          return 'Categories & Tags'
         default:
           return 'Financial Report'
       }
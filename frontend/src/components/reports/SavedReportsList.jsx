@@ -88,6 +88,10 @@ const SavedReportsList = ({ reports, onReportSelect, onReportMenuOpen }) => {
         return '#ffc658'
       case 'customers':
         return '#ff8042'
+      case 'profit':
+        return '#00C49F'
+      case 'categories':
+        return '#0088FE'
       default:
         return accentColor
     }
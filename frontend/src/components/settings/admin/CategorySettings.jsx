@@ -0,0 +1,299 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Stack,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Alert,
+  Snackbar,
+  Chip,
+  Tooltip,
+  Divider,
+  FormControlLabel,
+  Switch
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import { useTheme } from "../../../context/ThemeContext";
+import {
+  fetchTransactionCategories,
+  createTransactionCategory,
+  updateTransactionCategory
+} from "../../../services/TransactionCategoryService";
+
+const emptyCategory = {
+  id: null,
+  name: "",
+  description: "",
+  isActive: true
+};
+
+const CategorySettings = () => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const headerBgColor = mode === 'dark' ? "#334155" : "#F1F5F9";
+  const dividerColor = mode === 'dark' ? "rgba(255, 255, 255, 0.12)" : "rgba(0, 0, 0, 0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Dialog states
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editCategory, setEditCategory] = useState(emptyCategory);
+  const [saving, setSaving] = useState(false);
+
+  // Snackbar states
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    setLoading(true);
+    try {
+      setCategories(await fetchTransactionCategories());
+      setError(null);
+    } catch (error) {
+      console.error("Error fetching categories:", error.response?.data?.message || error.message);
+      setError("Failed to load categories. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenDialog = (category = null) => {
+    if (category) {
+      setEditCategory({
+        id: category._id,
+        name: category.name,
+        description: category.description || "",
+        isActive: category.isActive
+      });
+    } else {
+      setEditCategory(emptyCategory);
+    }
+    setOpenDialog(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setEditCategory({ ...editCategory, [name]: value });
+  };
+
+  const handleSaveCategory = async () => {
+    setSaving(true);
+    try {
+      const payload = {
+        name: editCategory.name.trim(),
+        description: editCategory.description.trim(),
+        isActive: editCategory.isActive
+      };
+
+      if (editCategory.id) {
+        await updateTransactionCategory(editCategory.id, payload);
+      } else {
+        await createTransactionCategory(payload);
+      }
+
+      setSnackbar({
+        open: true,
+        message: editCategory.id ? "Category updated successfully" : "Category added successfully",
+        severity: "success"
+      });
+      setOpenDialog(false);
+      loadCategories();
+    } catch (error) {
+      console.error("Error saving category:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const headerCellSx = { color: textColor, fontWeight: "bold", backgroundColor: headerBgColor };
+  const cellSx = { color: textColor };
+
+  const nameInvalid = editCategory.name.trim().toLowerCase() === "none";
+  const categoryInvalid = !editCategory.name.trim() || nameInvalid;
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6" sx={{ color: textColor }}>
+          Transaction Categories
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+          sx={{ bgcolor: accentColor, color: mode === 'dark' ? "black" : "white" }}
+        >
+          New Category
+        </Button>
+      </Stack>
+      <Divider sx={{ mb: 2, borderColor: dividerColor }} />
+      <Typography variant="body2" paragraph sx={{ color: secondaryTextColor }}>
+        Each transaction can be filed under one category, e.g. Remittance or Travel, and given any number of free-form
+        tags. Both can be used to filter the transaction list and the reports. Renaming a category renames it on every
+        transaction filed under it. An inactive category stays on those transactions but cannot be chosen for new ones.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ width: "100%", overflow: "hidden", backgroundColor: paperBgColor }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headerCellSx}>Name</TableCell>
+                <TableCell sx={headerCellSx}>Description</TableCell>
+                <TableCell sx={headerCellSx}>Status</TableCell>
+                <TableCell sx={headerCellSx}>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center" sx={{ py: 3 }}>
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : categories.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center" sx={{ ...cellSx, py: 3 }}>
+                    No categories have been added
+                  </TableCell>
+                </TableRow>
+              ) : (
+                categories.map((category) => (
+                  <TableRow key={category._id}>
+                    <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{category.name}</TableCell>
+                    <TableCell sx={cellSx}>{category.description || "-"}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={category.isActive ? "Active" : "Inactive"}
+                        size="small"
+                        color={category.isActive ? "success" : "default"}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" sx={{ color: accentColor }} onClick={() => handleOpenDialog(category)}>
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Add/Edit Category Dialog */}
+      <Dialog open={openDialog} onClose={saving ? null : () => setOpenDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {editCategory.id ? "Edit Category" : "New Category"}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              name="name"
+              label="Name"
+              fullWidth
+              value={editCategory.name}
+              onChange={handleInputChange}
+              inputProps={{ maxLength: 40 }}
+              error={nameInvalid}
+              helperText={nameInvalid ? "\"none\" is kept for transactions without a category" : ""}
+              required
+            />
+            <TextField
+              name="description"
+              label="Description"
+              fullWidth
+              multiline
+              rows={2}
+              value={editCategory.description}
+              onChange={handleInputChange}
+              inputProps={{ maxLength: 200 }}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={editCategory.isActive}
+                  onChange={(e) => setEditCategory({ ...editCategory, isActive: e.target.checked })}
+                />
+              }
+              label="Allow new transactions in this category"
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)} disabled={saving}>Cancel</Button>
+          <Button
+            onClick={handleSaveCategory}
+            variant="contained"
+            color="primary"
+            disabled={saving || categoryInvalid}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default CategorySettings;
@@ -0,0 +1,331 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Stack,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Alert,
+  Snackbar,
+  Chip,
+  Tooltip,
+  Divider,
+  FormControlLabel,
+  Switch
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import { useTheme } from "../../../context/ThemeContext";
+import { fetchCurrencies, createCurrency, updateCurrency } from "../../../services/CurrencyService";
+
+const MAX_MINOR_UNITS = 8;
+
+const emptyCurrency = {
+  code: "",
+  name: "",
+  symbol: "",
+  minorUnits: "2",
+  isActive: true,
+  isNew: true
+};
+
+const CurrencySettings = () => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const headerBgColor = mode === 'dark' ? "#334155" : "#F1F5F9";
+  const dividerColor = mode === 'dark' ? "rgba(255, 255, 255, 0.12)" : "rgba(0, 0, 0, 0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const [currencies, setCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Dialog states
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editCurrency, setEditCurrency] = useState(emptyCurrency);
+  const [saving, setSaving] = useState(false);
+
+  // Snackbar states
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  useEffect(() => {
+    loadCurrencies();
+  }, []);
+
+  const loadCurrencies = async () => {
+    setLoading(true);
+    try {
+      setCurrencies(await fetchCurrencies());
+      setError(null);
+    } catch (error) {
+      console.error("Error fetching currencies:", error.response?.data?.message || error.message);
+      setError("Failed to load currencies. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenDialog = (currency = null) => {
+    if (currency) {
+      setEditCurrency({
+        code: currency.code,
+        name: currency.name,
+        symbol: currency.symbol || "",
+        minorUnits: currency.minorUnits.toString(),
+        isActive: currency.isActive,
+        isNew: false
+      });
+    } else {
+      setEditCurrency(emptyCurrency);
+    }
+    setOpenDialog(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setEditCurrency({ ...editCurrency, [name]: name === "code" ? value.toUpperCase() : value });
+  };
+
+  const handleSaveCurrency = async () => {
+    setSaving(true);
+    try {
+      const payload = {
+        name: editCurrency.name,
+        symbol: editCurrency.symbol,
+        minorUnits: parseInt(editCurrency.minorUnits, 10),
+        isActive: editCurrency.isActive
+      };
+
+      if (editCurrency.isNew) {
+        await createCurrency({ code: editCurrency.code, ...payload });
+      } else {
+        await updateCurrency(editCurrency.code, payload);
+      }
+
+      setSnackbar({
+        open: true,
+        message: editCurrency.isNew ? "Currency added successfully" : "Currency updated successfully",
+        severity: "success"
+      });
+      setOpenDialog(false);
+      loadCurrencies();
+    } catch (error) {
+      console.error("Error saving currency:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const headerCellSx = { color: textColor, fontWeight: "bold", backgroundColor: headerBgColor };
+  const cellSx = { color: textColor };
+
+  const minorUnits = parseInt(editCurrency.minorUnits, 10);
+  const minorUnitsInvalid =
+    editCurrency.minorUnits === "" || isNaN(minorUnits) || minorUnits < 0 || minorUnits > MAX_MINOR_UNITS;
+  const codeInvalid = !/^[A-Z0-9]{2,10}$/.test(editCurrency.code);
+  const currencyInvalid = codeInvalid || !editCurrency.name.trim() || minorUnitsInvalid;
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6" sx={{ color: textColor }}>
+          Currencies
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+          sx={{ bgcolor: accentColor, color: mode === 'dark' ? "black" : "white" }}
+        >
+          New Currency
+        </Button>
+      </Stack>
+      <Divider sx={{ mb: 2, borderColor: dividerColor }} />
+      <Typography variant="body2" paragraph sx={{ color: secondaryTextColor }}>
+        Minor units set how many decimal places a currency&apos;s amounts are kept to, e.g. 0 for JPY, 2 for USD and
+        8 for BTC. Amounts are rounded, checked and shown with these places everywhere. An inactive currency keeps its
+        history but cannot be used for new transactions.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ width: "100%", overflow: "hidden", backgroundColor: paperBgColor }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headerCellSx}>Code</TableCell>
+                <TableCell sx={headerCellSx}>Name</TableCell>
+                <TableCell sx={headerCellSx}>Symbol</TableCell>
+                <TableCell sx={headerCellSx}>Minor Units</TableCell>
+                <TableCell sx={headerCellSx}>Status</TableCell>
+                <TableCell sx={headerCellSx}>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center" sx={{ py: 3 }}>
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : currencies.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center" sx={{ ...cellSx, py: 3 }}>
+                    No currencies have been registered
+                  </TableCell>
+                </TableRow>
+              ) : (
+                currencies.map((currency) => (
+                  <TableRow key={currency.code}>
+                    <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{currency.code}</TableCell>
+                    <TableCell sx={cellSx}>{currency.name}</TableCell>
+                    <TableCell sx={cellSx}>{currency.symbol || "-"}</TableCell>
+                    <TableCell sx={cellSx}>{currency.minorUnits}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={currency.isActive ? "Active" : "Inactive"}
+                        size="small"
+                        color={currency.isActive ? "success" : "default"}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" sx={{ color: accentColor }} onClick={() => handleOpenDialog(currency)}>
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Add/Edit Currency Dialog */}
+      <Dialog open={openDialog} onClose={saving ? null : () => setOpenDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {editCurrency.isNew ? "New Currency" : `Edit ${editCurrency.code}`}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            {editCurrency.isNew && (
+              <TextField
+                name="code"
+                label="Code"
+                fullWidth
+                value={editCurrency.code}
+                onChange={handleInputChange}
+                inputProps={{ maxLength: 10 }}
+                error={editCurrency.code !== "" && codeInvalid}
+                helperText="2 to 10 letters or digits, e.g. USD. Cannot be changed later."
+                required
+              />
+            )}
+            <TextField
+              name="name"
+              label="Name"
+              fullWidth
+              value={editCurrency.name}
+              onChange={handleInputChange}
+              required
+            />
+            <Stack direction="row" spacing={2}>
+              <TextField
+                name="symbol"
+                label="Symbol"
+                fullWidth
+                value={editCurrency.symbol}
+                onChange={handleInputChange}
+                inputProps={{ maxLength: 5 }}
+              />
+              <TextField
+                name="minorUnits"
+                label="Minor Units"
+                type="number"
+                fullWidth
+                value={editCurrency.minorUnits}
+                onChange={handleInputChange}
+                inputProps={{ min: 0, max: MAX_MINOR_UNITS, step: 1 }}
+                error={minorUnitsInvalid}
+                helperText={`Decimal places, 0 to ${MAX_MINOR_UNITS}`}
+                required
+              />
+            </Stack>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={editCurrency.isActive}
+                  onChange={(e) => setEditCurrency({ ...editCurrency, isActive: e.target.checked })}
+                />
+              }
+              label="Allow new transactions in this currency"
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)} disabled={saving}>Cancel</Button>
+          <Button
+            onClick={handleSaveCurrency}
+            variant="contained"
+            color="primary"
+            disabled={saving || currencyInvalid}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,459 @@
+import { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { format } from "date-fns";
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Stack,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Alert,
+  Snackbar,
+  MenuItem,
+  Chip,
+  Tooltip,
+  Divider
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import HistoryIcon from "@mui/icons-material/History";
+import { useTheme } from "../../../context/ThemeContext";
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem("token")}` }
+});
+
+const emptyRate = {
+  id: null,
+  currency: "",
+  buyRate: "",
+  sellRate: "",
+  effectiveFrom: "",
+  notes: ""
+};
+
+const ExchangeRateSettings = () => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const headerBgColor = mode === 'dark' ? "#334155" : "#F1F5F9";
+  const dividerColor = mode === 'dark' ? "rgba(255, 255, 255, 0.12)" : "rgba(0, 0, 0, 0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const [rates, setRates] = useState([]);
+  const [currencies, setCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Dialog states
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editRate, setEditRate] = useState(emptyRate);
+  const [saving, setSaving] = useState(false);
+  const [historyCurrency, setHistoryCurrency] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // Snackbar states
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const fetchRates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [{ data: rateData }, { data: accountData }] = await Promise.all([
+        axios.get(`${BASE_URL}/exchange-rates`, authHeaders()),
+        axios.get(`${BASE_URL}/accounts`, authHeaders())
+      ]);
+
+      setRates(rateData.rates || []);
+
+      // TTD is the base currency, so it never has a rate of its own
+      const accounts = Array.isArray(accountData) ? accountData : (accountData?.accounts || []);
+      setCurrencies(accounts.map((account) => account.currency).filter((currency) => currency !== "TTD"));
+      setError(null);
+    } catch (error) {
+      console.error("Error fetching exchange rates:", error.response?.data?.message || error.message);
+      setError("Failed to load exchange rates. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const fetchHistory = async (currency) => {
+    setHistoryLoading(true);
+    try {
+      const { data } = await axios.get(`${BASE_URL}/exchange-rates/${currency}/history`, authHeaders());
+      setHistory(data.history || []);
+    } catch (error) {
+      console.error("Error fetching rate history:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const handleOpenHistory = (currency) => {
+    setHistoryCurrency(currency);
+    setHistory([]);
+    fetchHistory(currency);
+  };
+
+  const handleOpenDialog = (rate = null, currency = "") => {
+    if (rate) {
+      setEditRate({
+        id: rate._id,
+        currency: rate.currency,
+        buyRate: rate.buyRate.toString(),
+        sellRate: rate.sellRate.toString(),
+        effectiveFrom: format(new Date(rate.effectiveFrom), "yyyy-MM-dd'T'HH:mm"),
+        notes: rate.notes || ""
+      });
+    } else {
+      setEditRate({ ...emptyRate, currency });
+    }
+    setOpenDialog(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setEditRate({ ...editRate, [name]: value });
+  };
+
+  const handleSaveRate = async () => {
+    setSaving(true);
+    try {
+      const payload = {
+        currency: editRate.currency,
+        buyRate: parseFloat(editRate.buyRate),
+        sellRate: parseFloat(editRate.sellRate),
+        notes: editRate.notes,
+        ...(editRate.effectiveFrom && { effectiveFrom: new Date(editRate.effectiveFrom).toISOString() })
+      };
+
+      if (editRate.id) {
+        await axios.put(`${BASE_URL}/exchange-rates/${editRate.id}`, payload, authHeaders());
+      } else {
+        await axios.post(`${BASE_URL}/exchange-rates`, payload, authHeaders());
+      }
+
+      setSnackbar({
+        open: true,
+        message: editRate.id ? "Scheduled rate updated successfully" : "Exchange rate saved successfully",
+        severity: "success"
+      });
+      setOpenDialog(false);
+      fetchRates();
+      if (historyCurrency) fetchHistory(historyCurrency);
+    } catch (error) {
+      console.error("Error saving exchange rate:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRate = async (rate) => {
+    if (!window.confirm(`Delete the scheduled ${rate.currency} rate (version ${rate.version})?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${BASE_URL}/exchange-rates/${rate._id}`, authHeaders());
+      setSnackbar({
+        open: true,
+        message: "Scheduled rate deleted successfully",
+        severity: "success"
+      });
+      fetchHistory(rate.currency);
+    } catch (error) {
+      console.error("Error deleting exchange rate:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const isScheduled = (rate) => new Date(rate.effectiveFrom) > new Date();
+
+  const headerCellSx = { color: textColor, fontWeight: "bold", backgroundColor: headerBgColor };
+  const cellSx = { color: textColor };
+
+  const buyRate = parseFloat(editRate.buyRate);
+  const sellRate = parseFloat(editRate.sellRate);
+  const ratesInvalid = !editRate.currency || !(buyRate > 0) || !(sellRate > 0) || sellRate < buyRate;
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6" sx={{ color: textColor }}>
+          Exchange Rates
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+          sx={{ bgcolor: accentColor, color: mode === 'dark' ? "black" : "white" }}
+        >
+          New Rate
+        </Button>
+      </Stack>
+      <Divider sx={{ mb: 2, borderColor: dividerColor }} />
+      <Typography variant="body2" paragraph sx={{ color: secondaryTextColor }}>
+        Rates are quoted in TTD per unit. Buy transactions use the buy rate and Sell transactions use the
+        sell rate. Saving a new rate adds a version to the history; rates that are already in effect are never changed.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ width: "100%", overflow: "hidden", backgroundColor: paperBgColor }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headerCellSx}>Currency</TableCell>
+                <TableCell sx={headerCellSx}>Buy</TableCell>
+                <TableCell sx={headerCellSx}>Sell</TableCell>
+                <TableCell sx={headerCellSx}>Spread</TableCell>
+                <TableCell sx={headerCellSx}>Version</TableCell>
+                <TableCell sx={headerCellSx}>Effective From</TableCell>
+                <TableCell sx={headerCellSx}>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={{ py: 3 }}>
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : rates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={{ ...cellSx, py: 3 }}>
+                    No exchange rates have been set
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rates.map((rate) => (
+                  <TableRow key={rate._id}>
+                    <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{rate.currency}</TableCell>
+                    <TableCell sx={cellSx}>{rate.buyRate}</TableCell>
+                    <TableCell sx={cellSx}>{rate.sellRate}</TableCell>
+                    <TableCell sx={cellSx}>{(rate.sellRate - rate.buyRate).toFixed(4)}</TableCell>
+                    <TableCell sx={cellSx}>v{rate.version}</TableCell>
+                    <TableCell sx={cellSx}>{format(new Date(rate.effectiveFrom), "dd MMM yyyy HH:mm")}</TableCell>
+                    <TableCell>
+                      <Stack direction="row" spacing={1}>
+                        <Tooltip title="New rate for this currency">
+                          <IconButton size="small" sx={{ color: accentColor }} onClick={() => handleOpenDialog(null, rate.currency)}>
+                            <AddIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="History">
+                          <IconButton size="small" sx={{ color: accentColor }} onClick={() => handleOpenHistory(rate.currency)}>
+                            <HistoryIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </Stack>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Add/Edit Rate Dialog */}
+      <Dialog open={openDialog} onClose={saving ? null : () => setOpenDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {editRate.id ? "Edit Scheduled Rate" : "New Exchange Rate"}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              select
+              name="currency"
+              label="Currency"
+              fullWidth
+              value={editRate.currency}
+              onChange={handleInputChange}
+              disabled={!!editRate.id}
+              required
+            >
+              {currencies.map((currency) => (
+                <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+              ))}
+            </TextField>
+            <Stack direction="row" spacing={2}>
+              <TextField
+                name="buyRate"
+                label="Buy Rate"
+                type="number"
+                inputProps={{ min: 0, step: "any" }}
+                fullWidth
+                value={editRate.buyRate}
+                onChange={handleInputChange}
+                required
+              />
+              <TextField
+                name="sellRate"
+                label="Sell Rate"
+                type="number"
+                inputProps={{ min: 0, step: "any" }}
+                fullWidth
+                value={editRate.sellRate}
+                onChange={handleInputChange}
+                error={sellRate < buyRate}
+                helperText={sellRate < buyRate ? "Sell rate cannot be lower than buy rate" : ""}
+                required
+              />
+            </Stack>
+            <TextField
+              name="effectiveFrom"
+              label="Effective From"
+              type="datetime-local"
+              fullWidth
+              value={editRate.effectiveFrom}
+              onChange={handleInputChange}
+              InputLabelProps={{ shrink: true }}
+              helperText="Leave empty to apply immediately"
+            />
+            <TextField
+              name="notes"
+              label="Notes"
+              fullWidth
+              value={editRate.notes}
+              onChange={handleInputChange}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)} disabled={saving}>Cancel</Button>
+          <Button
+            onClick={handleSaveRate}
+            variant="contained"
+            color="primary"
+            disabled={saving || ratesInvalid}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Rate History Dialog */}
+      <Dialog open={!!historyCurrency} onClose={() => setHistoryCurrency(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{historyCurrency} Rate History</DialogTitle>
+        <DialogContent>
+          {historyLoading ? (
+            <Box sx={{ display: "flex", justifyContent: "center", py: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Version</TableCell>
+                  <TableCell>Buy</TableCell>
+                  <TableCell>Sell</TableCell>
+                  <TableCell>Effective From</TableCell>
+                  <TableCell>Set By</TableCell>
+                  <TableCell>Notes</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {history.map((rate) => (
+                  <TableRow key={rate._id}>
+                    <TableCell>v{rate.version}</TableCell>
+                    <TableCell>{rate.buyRate}</TableCell>
+                    <TableCell>{rate.sellRate}</TableCell>
+                    <TableCell>
+                      {format(new Date(rate.effectiveFrom), "dd MMM yyyy HH:mm")}
+                      {isScheduled(rate) && <Chip label="Scheduled" size="small" color="info" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{rate.createdBy?.fullName || "-"}</TableCell>
+                    <TableCell>{rate.notes || "-"}</TableCell>
+                    <TableCell>
+                      {isScheduled(rate) && (
+                        <Stack direction="row" spacing={1}>
+                          <IconButton size="small" color="primary" onClick={() => handleOpenDialog(rate)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" color="error" onClick={() => handleDeleteRate(rate)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Stack>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryCurrency(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default ExchangeRateSettings;
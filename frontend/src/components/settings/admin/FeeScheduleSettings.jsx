@@ -0,0 +1,567 @@
+import { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Stack,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Alert,
+  Snackbar,
+  MenuItem,
+  Chip,
+  Tooltip,
+  Divider,
+  FormControlLabel,
+  Switch
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import RemoveCircleOutlineIcon from "@mui/icons-material/RemoveCircleOutline";
+import { useTheme } from "../../../context/ThemeContext";
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem("token")}` }
+});
+
+const transactionTypes = ["Cash In", "Cash Out", "Buy", "Sell", "Exchange"];
+
+const emptyTier = { upTo: "", method: "Flat", value: "" };
+
+const emptyRule = {
+  id: null,
+  name: "",
+  transactionType: "",
+  currency: "",
+  method: "Flat",
+  flatAmount: "",
+  percentage: "",
+  tiers: [{ ...emptyTier }],
+  minimumFee: "",
+  maximumFee: "",
+  active: true
+};
+
+const toInput = (value) => (value === null || value === undefined ? "" : value.toString());
+
+const FeeScheduleSettings = () => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const headerBgColor = mode === 'dark' ? "#334155" : "#F1F5F9";
+  const dividerColor = mode === 'dark' ? "rgba(255, 255, 255, 0.12)" : "rgba(0, 0, 0, 0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const [rules, setRules] = useState([]);
+  const [currencies, setCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Dialog states
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editRule, setEditRule] = useState(emptyRule);
+  const [saving, setSaving] = useState(false);
+
+  // Snackbar states
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [{ data: ruleData }, { data: accountData }] = await Promise.all([
+        axios.get(`${BASE_URL}/fee-rules`, authHeaders()),
+        axios.get(`${BASE_URL}/accounts`, authHeaders())
+      ]);
+
+      setRules(ruleData.rules || []);
+
+      const accounts = Array.isArray(accountData) ? accountData : (accountData?.accounts || []);
+      setCurrencies(accounts.map((account) => account.currency));
+      setError(null);
+    } catch (error) {
+      console.error("Error fetching fee rules:", error.response?.data?.message || error.message);
+      setError("Failed to load the fee schedule. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const handleOpenDialog = (rule = null) => {
+    if (rule) {
+      setEditRule({
+        id: rule._id,
+        name: rule.name,
+        transactionType: rule.transactionType,
+        currency: rule.currency || "",
+        method: rule.method,
+        flatAmount: toInput(rule.flatAmount),
+        percentage: toInput(rule.percentage),
+        tiers: rule.tiers.length
+          ? rule.tiers.map((tier) => ({ upTo: toInput(tier.upTo), method: tier.method, value: toInput(tier.value) }))
+          : [{ ...emptyTier }],
+        minimumFee: toInput(rule.minimumFee),
+        maximumFee: toInput(rule.maximumFee),
+        active: rule.active
+      });
+    } else {
+      setEditRule(emptyRule);
+    }
+    setOpenDialog(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setEditRule({ ...editRule, [name]: value });
+  };
+
+  const handleTierChange = (index, field, value) => {
+    setEditRule({
+      ...editRule,
+      tiers: editRule.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    });
+  };
+
+  const handleAddTier = () => {
+    setEditRule({ ...editRule, tiers: [...editRule.tiers, { ...emptyTier }] });
+  };
+
+  const handleRemoveTier = (index) => {
+    setEditRule({ ...editRule, tiers: editRule.tiers.filter((_, i) => i !== index) });
+  };
+
+  const handleSaveRule = async () => {
+    setSaving(true);
+    try {
+      const isFlat = editRule.method === "Flat";
+      const payload = {
+        name: editRule.name,
+        transactionType: editRule.transactionType,
+        currency: editRule.currency || null,
+        method: editRule.method,
+        flatAmount: editRule.method === "Flat" ? editRule.flatAmount : null,
+        percentage: editRule.method === "Percentage" ? editRule.percentage : null,
+        tiers: editRule.method === "Tiered" ? editRule.tiers : [],
+        minimumFee: isFlat ? null : editRule.minimumFee,
+        maximumFee: isFlat ? null : editRule.maximumFee,
+        active: editRule.active
+      };
+
+      if (editRule.id) {
+        await axios.put(`${BASE_URL}/fee-rules/${editRule.id}`, payload, authHeaders());
+      } else {
+        await axios.post(`${BASE_URL}/fee-rules`, payload, authHeaders());
+      }
+
+      setSnackbar({
+        open: true,
+        message: editRule.id ? "Fee rule updated successfully" : "Fee rule created successfully",
+        severity: "success"
+      });
+      setOpenDialog(false);
+      fetchRules();
+    } catch (error) {
+      console.error("Error saving fee rule:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the fee "${rule.name}"? Transactions already charged keep their fees.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${BASE_URL}/fee-rules/${rule._id}`, authHeaders());
+      setSnackbar({
+        open: true,
+        message: "Fee rule deleted successfully",
+        severity: "success"
+      });
+      fetchRules();
+    } catch (error) {
+      console.error("Error deleting fee rule:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  // One-line description of how a rule charges
+  const describeCharge = (method, value) =>
+    method === "Flat" ? `${parseFloat(value).toFixed(2)} TTD` : `${value}%`;
+
+  const describeRule = (rule) => {
+    if (rule.method === "Flat") return describeCharge("Flat", rule.flatAmount);
+    if (rule.method === "Percentage") return describeCharge("Percentage", rule.percentage);
+    return rule.tiers
+      .map((tier) => `${tier.upTo === null ? "above" : `up to ${tier.upTo}`}: ${describeCharge(tier.method, tier.value)}`)
+      .join(" · ");
+  };
+
+  const describeLimits = (rule) => {
+    const limits = [];
+    if (rule.minimumFee !== null && rule.minimumFee !== undefined) limits.push(`min ${rule.minimumFee.toFixed(2)}`);
+    if (rule.maximumFee !== null && rule.maximumFee !== undefined) limits.push(`max ${rule.maximumFee.toFixed(2)}`);
+    return limits.length ? `${limits.join(", ")} TTD` : "-";
+  };
+
+  const headerCellSx = { color: textColor, fontWeight: "bold", backgroundColor: headerBgColor };
+  const cellSx = { color: textColor };
+
+  const isAmount = (value) => value !== "" && parseFloat(value) >= 0;
+  const isPercentage = (value) => isAmount(value) && parseFloat(value) <= 100;
+  const methodInvalid =
+    (editRule.method === "Flat" && !isAmount(editRule.flatAmount)) ||
+    (editRule.method === "Percentage" && !isPercentage(editRule.percentage)) ||
+    (editRule.method === "Tiered" && (
+      editRule.tiers.length === 0 ||
+      editRule.tiers.some((tier, index) =>
+        (tier.upTo === "" && index !== editRule.tiers.length - 1) ||
+        (tier.method === "Flat" ? !isAmount(tier.value) : !isPercentage(tier.value))
+      )
+    ));
+  const ruleInvalid = !editRule.name.trim() || !editRule.transactionType || methodInvalid;
+
+  return (
+    <Box>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6" sx={{ color: textColor }}>
+          Fee Schedule
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+          sx={{ bgcolor: accentColor, color: mode === 'dark' ? "black" : "white" }}
+        >
+          New Fee
+        </Button>
+      </Stack>
+      <Divider sx={{ mb: 2, borderColor: dividerColor }} />
+      <Typography variant="body2" paragraph sx={{ color: secondaryTextColor }}>
+        Fees are charged in TTD and added to each new transaction automatically. A percentage fee is a share of the
+        transaction&apos;s TTD value; a tiered fee picks its band by the amount in the transaction currency. A rule for a
+        currency takes the place of the all-currencies rule for the same type. Changing a rule never changes fees already charged.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ width: "100%", overflow: "hidden", backgroundColor: paperBgColor }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headerCellSx}>Fee</TableCell>
+                <TableCell sx={headerCellSx}>Type</TableCell>
+                <TableCell sx={headerCellSx}>Currency</TableCell>
+                <TableCell sx={headerCellSx}>Charge</TableCell>
+                <TableCell sx={headerCellSx}>Limits</TableCell>
+                <TableCell sx={headerCellSx}>Status</TableCell>
+                <TableCell sx={headerCellSx}>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={{ py: 3 }}>
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : rules.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={{ ...cellSx, py: 3 }}>
+                    No fees have been set
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rules.map((rule) => (
+                  <TableRow key={rule._id}>
+                    <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{rule.name}</TableCell>
+                    <TableCell sx={cellSx}>{rule.transactionType}</TableCell>
+                    <TableCell sx={cellSx}>{rule.currency || "All currencies"}</TableCell>
+                    <TableCell sx={cellSx}>
+                      <Typography variant="caption" sx={{ color: secondaryTextColor, display: "block" }}>
+                        {rule.method}
+                      </Typography>
+                      {describeRule(rule)}
+                    </TableCell>
+                    <TableCell sx={cellSx}>{describeLimits(rule)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={rule.active ? "Active" : "Inactive"}
+                        size="small"
+                        color={rule.active ? "success" : "default"}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Stack direction="row" spacing={1}>
+                        <Tooltip title="Edit">
+                          <IconButton size="small" sx={{ color: accentColor }} onClick={() => handleOpenDialog(rule)}>
+                            <EditIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDeleteRule(rule)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </Stack>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Add/Edit Fee Dialog */}
+      <Dialog open={openDialog} onClose={saving ? null : () => setOpenDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {editRule.id ? "Edit Fee" : "New Fee"}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              name="name"
+              label="Name"
+              fullWidth
+              value={editRule.name}
+              onChange={handleInputChange}
+              inputProps={{ maxLength: 60 }}
+              helperText="Shown on receipts and reports"
+              required
+            />
+            <Stack direction="row" spacing={2}>
+              <TextField
+                select
+                name="transactionType"
+                label="Transaction Type"
+                fullWidth
+                value={editRule.transactionType}
+                onChange={handleInputChange}
+                required
+              >
+                {transactionTypes.map((type) => (
+                  <MenuItem key={type} value={type}>{type}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                name="currency"
+                label="Currency"
+                fullWidth
+                value={editRule.currency}
+                onChange={handleInputChange}
+                SelectProps={{ displayEmpty: true }}
+                InputLabelProps={{ shrink: true }}
+              >
+                <MenuItem value="">All currencies</MenuItem>
+                {currencies.map((currency) => (
+                  <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                ))}
+              </TextField>
+            </Stack>
+            <TextField
+              select
+              name="method"
+              label="Method"
+              fullWidth
+              value={editRule.method}
+              onChange={handleInputChange}
+            >
+              <MenuItem value="Flat">Flat (TTD amount)</MenuItem>
+              <MenuItem value="Percentage">Percentage of TTD value</MenuItem>
+              <MenuItem value="Tiered">Tiered by amount</MenuItem>
+            </TextField>
+
+            {editRule.method === "Flat" && (
+              <TextField
+                name="flatAmount"
+                label="Fee (TTD)"
+                type="number"
+                inputProps={{ min: 0, step: "any" }}
+                fullWidth
+                value={editRule.flatAmount}
+                onChange={handleInputChange}
+                required
+              />
+            )}
+
+            {editRule.method === "Percentage" && (
+              <TextField
+                name="percentage"
+                label="Percentage"
+                type="number"
+                inputProps={{ min: 0, max: 100, step: "any" }}
+                fullWidth
+                value={editRule.percentage}
+                onChange={handleInputChange}
+                required
+              />
+            )}
+
+            {editRule.method === "Tiered" && (
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>
+                  Tiers
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ display: "block", mb: 1.5 }}>
+                  Amounts are in the transaction currency. Leave the last &quot;Up to&quot; empty to cover every larger amount.
+                </Typography>
+                <Stack spacing={1.5}>
+                  {editRule.tiers.map((tier, index) => (
+                    <Stack key={index} direction="row" spacing={1} alignItems="center">
+                      <TextField
+                        label="Up to"
+                        type="number"
+                        size="small"
+                        inputProps={{ min: 0, step: "any" }}
+                        value={tier.upTo}
+                        onChange={(e) => handleTierChange(index, "upTo", e.target.value)}
+                        placeholder={index === editRule.tiers.length - 1 ? "No limit" : ""}
+                        InputLabelProps={{ shrink: true }}
+                      />
+                      <TextField
+                        select
+                        label="Method"
+                        size="small"
+                        value={tier.method}
+                        onChange={(e) => handleTierChange(index, "method", e.target.value)}
+                        sx={{ minWidth: 130 }}
+                      >
+                        <MenuItem value="Flat">Flat TTD</MenuItem>
+                        <MenuItem value="Percentage">Percentage</MenuItem>
+                      </TextField>
+                      <TextField
+                        label={tier.method === "Flat" ? "Fee (TTD)" : "%"}
+                        type="number"
+                        size="small"
+                        inputProps={{ min: 0, step: "any" }}
+                        value={tier.value}
+                        onChange={(e) => handleTierChange(index, "value", e.target.value)}
+                      />
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => handleRemoveTier(index)}
+                        disabled={editRule.tiers.length === 1}
+                      >
+                        <RemoveCircleOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </Stack>
+                  ))}
+                </Stack>
+                <Button size="small" startIcon={<AddIcon />} onClick={handleAddTier} sx={{ mt: 1 }}>
+                  Add Tier
+                </Button>
+              </Box>
+            )}
+
+            {editRule.method !== "Flat" && (
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  name="minimumFee"
+                  label="Minimum Fee (TTD)"
+                  type="number"
+                  inputProps={{ min: 0, step: "any" }}
+                  fullWidth
+                  value={editRule.minimumFee}
+                  onChange={handleInputChange}
+                />
+                <TextField
+                  name="maximumFee"
+                  label="Maximum Fee (TTD)"
+                  type="number"
+                  inputProps={{ min: 0, step: "any" }}
+                  fullWidth
+                  value={editRule.maximumFee}
+                  onChange={handleInputChange}
+                />
+              </Stack>
+            )}
+
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={editRule.active}
+                  onChange={(e) => setEditRule({ ...editRule, active: e.target.checked })}
+                />
+              }
+              label="Charge this fee on new transactions"
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)} disabled={saving}>Cancel</Button>
+          <Button
+            onClick={handleSaveRule}
+            variant="contained"
+            color="primary"
+            disabled={saving || ruleInvalid}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default FeeScheduleSettings;
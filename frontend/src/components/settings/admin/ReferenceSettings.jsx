@@ -0,0 +1,300 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  TextField,
+  Stack,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Divider,
+  MenuItem,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow
+} from "@mui/material";
+import SaveIcon from "@mui/icons-material/Save";
+import { useTheme } from "../../../context/ThemeContext";
+import {
+  fetchReferenceFormat,
+  updateReferenceFormat
+} from "../../../services/ReferenceFormatService";
+
+const RESET_PERIODS = [
+  { value: "never", label: "Never" },
+  { value: "fiscalYear", label: "Every fiscal year" },
+  { value: "year", label: "Every calendar year" },
+  { value: "month", label: "Every month" },
+  { value: "day", label: "Every day" }
+];
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+const TEMPLATE_PARTS = [
+  { token: "{PREFIX}", description: "The prefix below" },
+  { token: "{BRANCH}", description: "The branch code below" },
+  { token: "{FY}", description: "Fiscal year, named after the calendar year it ends in (2026)" },
+  { token: "{FYY}", description: "Fiscal year, two digits (26)" },
+  { token: "{YYYY}", description: "Calendar year (2026)" },
+  { token: "{YY}", description: "Calendar year, two digits (26)" },
+  { token: "{MM}", description: "Month (01-12)" },
+  { token: "{DD}", description: "Day of the month (01-31)" },
+  { token: "{SEQ}", description: "Sequence number, padded with zeros (required)" }
+];
+
+const emptyFormat = {
+  template: "",
+  prefix: "",
+  branchCode: "",
+  padding: 6,
+  resetPeriod: "fiscalYear",
+  fiscalYearStartMonth: 1
+};
+
+const ReferenceSettings = () => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const dividerColor = mode === 'dark' ? "rgba(255, 255, 255, 0.12)" : "rgba(0, 0, 0, 0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const [format, setFormat] = useState(emptyFormat);
+  const [preview, setPreview] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Snackbar states
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success"
+  });
+
+  useEffect(() => {
+    loadFormat();
+  }, []);
+
+  const loadFormat = async () => {
+    setLoading(true);
+    try {
+      const data = await fetchReferenceFormat();
+      setFormat(data.format);
+      setPreview(data.preview);
+      setError(null);
+    } catch (error) {
+      console.error("Error fetching reference format:", error.response?.data?.message || error.message);
+      setError("Failed to load the reference format. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormat({ ...format, [name]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const data = await updateReferenceFormat({
+        template: format.template.trim(),
+        prefix: format.prefix.trim(),
+        branchCode: format.branchCode.trim(),
+        padding: Number(format.padding),
+        resetPeriod: format.resetPeriod,
+        fiscalYearStartMonth: Number(format.fiscalYearStartMonth)
+      });
+      setFormat(data.format);
+      setPreview(data.preview);
+      setSnackbar({
+        open: true,
+        message: "Reference format updated successfully",
+        severity: "success"
+      });
+    } catch (error) {
+      console.error("Error saving reference format:", error);
+      setSnackbar({
+        open: true,
+        message: `Error: ${error.response?.data?.message || error.message}`,
+        severity: "error"
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const seqCount = (format.template.match(/\{SEQ\}/g) || []).length;
+  const templateInvalid = !format.template.trim() || seqCount !== 1;
+  const paddingInvalid = !Number.isInteger(Number(format.padding)) || format.padding < 1 || format.padding > 12;
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ color: textColor, mb: 1 }}>
+        Transaction References
+      </Typography>
+      <Divider sx={{ mb: 2, borderColor: dividerColor }} />
+      <Typography variant="body2" paragraph sx={{ color: secondaryTextColor }}>
+        New transactions, voids and refunds are numbered in an unbroken sequence. Imported history keeps its own
+        references; rows without one are numbered by import (IMP7-12 is row 12 of import 7).
+        Numbering starts again from 1 at the start of each reset period, so the template must show that period (for
+        example {"{FY}"} for a fiscal year reset). Changing the padding or separators carries on from the last number;
+        changing the prefix, branch code or reset period starts again from 1.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={7}>
+            <Paper sx={{ p: 3, backgroundColor: paperBgColor }}>
+              <Stack spacing={2}>
+                <TextField
+                  name="template"
+                  label="Template"
+                  fullWidth
+                  value={format.template}
+                  onChange={handleInputChange}
+                  inputProps={{ maxLength: 60 }}
+                  error={templateInvalid}
+                  helperText={templateInvalid ? "The template must contain {SEQ} exactly once" : ""}
+                  required
+                />
+                <Stack direction="row" spacing={2}>
+                  <TextField
+                    name="prefix"
+                    label="Prefix"
+                    fullWidth
+                    value={format.prefix}
+                    onChange={handleInputChange}
+                    inputProps={{ maxLength: 10 }}
+                  />
+                  <TextField
+                    name="branchCode"
+                    label="Branch Code"
+                    fullWidth
+                    value={format.branchCode}
+                    onChange={handleInputChange}
+                    inputProps={{ maxLength: 10 }}
+                  />
+                  <TextField
+                    name="padding"
+                    label="Padding"
+                    type="number"
+                    fullWidth
+                    value={format.padding}
+                    onChange={handleInputChange}
+                    inputProps={{ min: 1, max: 12 }}
+                    error={paddingInvalid}
+                  />
+                </Stack>
+                <Stack direction="row" spacing={2}>
+                  <TextField
+                    name="resetPeriod"
+                    label="Reset Numbering"
+                    select
+                    fullWidth
+                    value={format.resetPeriod}
+                    onChange={handleInputChange}
+                  >
+                    {RESET_PERIODS.map((period) => (
+                      <MenuItem key={period.value} value={period.value}>{period.label}</MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField
+                    name="fiscalYearStartMonth"
+                    label="Fiscal Year Starts In"
+                    select
+                    fullWidth
+                    value={format.fiscalYearStartMonth}
+                    onChange={handleInputChange}
+                  >
+                    {MONTHS.map((month, index) => (
+                      <MenuItem key={month} value={index + 1}>{month}</MenuItem>
+                    ))}
+                  </TextField>
+                </Stack>
+                <Stack direction="row" justifyContent="space-between" alignItems="center">
+                  <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                    Next reference:{" "}
+                    <Box component="span" sx={{ color: textColor, fontWeight: "bold", fontFamily: "monospace" }}>
+                      {preview || "-"}
+                    </Box>
+                  </Typography>
+                  <Button
+                    variant="contained"
+                    startIcon={saving ? <CircularProgress size={16} color="inherit" /> : <SaveIcon />}
+                    onClick={handleSave}
+                    disabled={saving || templateInvalid || paddingInvalid}
+                    sx={{ bgcolor: accentColor, color: mode === 'dark' ? "black" : "white" }}
+                  >
+                    Save
+                  </Button>
+                </Stack>
+              </Stack>
+            </Paper>
+          </Grid>
+
+          {/* Template parts */}
+          <Grid item xs={12} md={5}>
+            <Paper sx={{ p: 2, backgroundColor: paperBgColor }}>
+              <Typography variant="subtitle1" sx={{ color: textColor, fontWeight: "bold", mb: 1 }}>
+                Template Parts
+              </Typography>
+              <Table size="small">
+                <TableBody>
+                  {TEMPLATE_PARTS.map((part) => (
+                    <TableRow key={part.token}>
+                      <TableCell sx={{ color: textColor, fontFamily: "monospace" }}>{part.token}</TableCell>
+                      <TableCell sx={{ color: secondaryTextColor }}>{part.description}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <Typography variant="caption" sx={{ color: secondaryTextColor, display: "block", mt: 1 }}>
+                Between parts use only letters, digits and - _ / .
+              </Typography>
+            </Paper>
+          </Grid>
+        </Grid>
+      )}
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default ReferenceSettings;
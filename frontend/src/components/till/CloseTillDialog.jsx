@@ -0,0 +1,193 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  TextField,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from "@mui/material";
+import LockIcon from "@mui/icons-material/Lock";
+import { useTheme } from "../../context/ThemeContext";
+import { formatCurrency } from "../../utils/utils";
+
+const CloseTillDialog = ({ open, tillSession, onConfirm, onCancel, loading, error }) => {
+  const { mode } = useTheme();
+  const [counts, setCounts] = useState({});
+  const [notes, setNotes] = useState("");
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+  const borderColor = mode === 'dark' ? 'rgba(255, 255, 255, 0.12)' : 'rgba(0, 0, 0, 0.12)';
+
+  const cellSx = { color: textColor, borderColor, px: 1 };
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      '& fieldset': { borderColor: inputBorderColor }
+    },
+    '& .MuiInputLabel-root': { color: secondaryTextColor },
+    input: { color: textColor },
+    textarea: { color: textColor }
+  };
+
+  const lines = tillSession?.currencies || [];
+
+  // Start each close from an empty count
+  useEffect(() => {
+    if (open) {
+      setCounts({});
+      setNotes("");
+    }
+  }, [open]);
+
+  const allCounted = lines.every((line) => counts[line.currency] !== undefined && counts[line.currency] !== "");
+
+  const handleConfirm = () => {
+    onConfirm(
+      lines.map((line) => ({ currency: line.currency, amount: parseFloat(counts[line.currency]) })),
+      notes
+    );
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="sm"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ bgcolor: mode === 'dark' ? "#0F172A" : "#F1F5F9", color: textColor }}>
+        Close Till
+      </DialogTitle>
+      <DialogContent sx={{ py: 2, mt: 1 }}>
+        <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 2 }}>
+          Count the cash in your drawer and enter the amount for each currency.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Currency</TableCell>
+              <TableCell sx={cellSx} align="right">Expected</TableCell>
+              <TableCell sx={cellSx}>Counted</TableCell>
+              <TableCell sx={cellSx} align="right">Variance</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {lines.map((line) => {
+              const counted = counts[line.currency];
+              const variance = counted === undefined || counted === ""
+                ? null
+                : parseFloat(counted) - line.expected;
+
+              return (
+                <TableRow key={line.currency}>
+                  <TableCell sx={{ ...cellSx, fontWeight: "bold" }}>{line.currency}</TableCell>
+                  <TableCell sx={cellSx} align="right">{formatCurrency(line.expected, line.currency)}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <TextField
+                      type="number"
+                      inputProps={{ min: 0, step: "any" }}
+                      value={counted ?? ""}
+                      onChange={(e) => setCounts((prev) => ({ ...prev, [line.currency]: e.target.value }))}
+                      disabled={loading}
+                      size="small"
+                      sx={{ ...fieldSx, width: 140 }}
+                    />
+                  </TableCell>
+                  <TableCell
+                    sx={{
+                      ...cellSx,
+                      fontWeight: "bold",
+                      color: variance === null || Math.abs(variance) < 0.005
+                        ? textColor
+                        : variance < 0 ? "error.main" : "success.main"
+                    }}
+                    align="right"
+                  >
+                    {variance === null ? "-" : formatCurrency(variance, line.currency)}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+
+        <TextField
+          label="Notes"
+          multiline
+          rows={2}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          disabled={loading}
+          fullWidth
+          helperText="Explain any variance"
+          sx={{ ...fieldSx, mt: 2, '& .MuiFormHelperText-root': { color: secondaryTextColor } }}
+        />
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          color="error"
+          disabled={loading || !allCounted}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <LockIcon />}
+        >
+          {loading ? "Closing..." : "Close Till"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+CloseTillDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  tillSession: PropTypes.shape({
+    _id: PropTypes.string,
+    currencies: PropTypes.arrayOf(
+      PropTypes.shape({
+        currency: PropTypes.string.isRequired,
+        openingFloat: PropTypes.number,
+        expected: PropTypes.number
+      })
+    )
+  }),
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired,
+  error: PropTypes.string
+};
+
+export default CloseTillDialog;
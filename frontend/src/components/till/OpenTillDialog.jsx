@@ -0,0 +1,146 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  CircularProgress,
+  TextField,
+  Alert,
+  Stack
+} from "@mui/material";
+import PointOfSaleIcon from "@mui/icons-material/PointOfSale";
+import { useTheme } from "../../context/ThemeContext";
+
+const OpenTillDialog = ({ open, currencies, onConfirm, onCancel, loading, error }) => {
+  const { mode, primaryColor } = useTheme();
+  const [floats, setFloats] = useState({});
+  const [notes, setNotes] = useState("");
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)';
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      '& fieldset': { borderColor: inputBorderColor }
+    },
+    '& .MuiInputLabel-root': { color: secondaryTextColor },
+    input: { color: textColor },
+    textarea: { color: textColor }
+  };
+
+  // Start each opening from an empty count
+  useEffect(() => {
+    if (open) {
+      setFloats({});
+      setNotes("");
+    }
+  }, [open]);
+
+  const handleConfirm = () => {
+    const entries = currencies
+      .filter((currency) => floats[currency] !== undefined && floats[currency] !== "")
+      .map((currency) => ({ currency, amount: parseFloat(floats[currency]) }));
+    onConfirm(entries, notes);
+  };
+
+  const hasFloat = currencies.some((currency) => floats[currency] !== undefined && floats[currency] !== "");
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ bgcolor: mode === 'dark' ? "#0F172A" : "#F1F5F9", color: textColor }}>
+        Open Till
+      </DialogTitle>
+      <DialogContent sx={{ py: 2, mt: 1 }}>
+        <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 2 }}>
+          Count the cash in your drawer and enter the float for each currency you hold.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Stack spacing={1.5}>
+          {currencies.map((currency) => (
+            <TextField
+              key={currency}
+              label={`${currency} float`}
+              type="number"
+              inputProps={{ min: 0, step: "any" }}
+              value={floats[currency] ?? ""}
+              onChange={(e) => setFloats((prev) => ({ ...prev, [currency]: e.target.value }))}
+              disabled={loading}
+              size="small"
+              fullWidth
+              sx={fieldSx}
+            />
+          ))}
+          <TextField
+            label="Notes"
+            multiline
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            disabled={loading}
+            fullWidth
+            sx={fieldSx}
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button
+          onClick={onCancel}
+          variant="outlined"
+          disabled={loading}
+          sx={{ color: textColor, borderColor: inputBorderColor }}
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          disabled={loading || !hasFloat}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <PointOfSaleIcon />}
+          sx={{
+            bgcolor: accentColor,
+            color: mode === 'dark' ? "black" : "white",
+            "&:hover": { bgcolor: mode === 'dark' ? `${accentColor}E6` : `${accentColor}CC` }
+          }}
+        >
+          {loading ? "Opening..." : "Open Till"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+OpenTillDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  currencies: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired,
+  error: PropTypes.string
+};
+
+export default OpenTillDialog;
@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import { Box, Typography, Button, Chip, Stack, Alert, CircularProgress } from "@mui/material";
+import PointOfSaleIcon from "@mui/icons-material/PointOfSale";
+import LockIcon from "@mui/icons-material/Lock";
+import PictureAsPdfIcon from "@mui/icons-material/PictureAsPdf";
+import { useTheme } from "../../context/ThemeContext";
+import { formatCurrency } from "../../utils/utils";
+import {
+  fetchCurrentTillSession,
+  openTillSession,
+  closeTillSession,
+  downloadTillCloseOut
+} from "../../services/TillSessionService";
+import OpenTillDialog from "./OpenTillDialog";
+import CloseTillDialog from "./CloseTillDialog";
+
+const TillSessionPanel = ({ currencies, refreshKey }) => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const chipBgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.08)" : "rgba(0, 0, 0, 0.06)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  // States
+  const [tillSession, setTillSession] = useState(null);
+  const [closedSession, setClosedSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dialog, setDialog] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Fetch the open session with its running totals
+  const loadSession = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTillSession(await fetchCurrentTillSession());
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading your till session");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSession();
+  }, [loadSession, refreshKey]);
+
+  const openDialog = (name) => {
+    setError("");
+    setDialog(name);
+  };
+
+  const handleOpen = async (floats, notes) => {
+    setSubmitting(true);
+    try {
+      await openTillSession(floats, notes);
+      setClosedSession(null);
+      setDialog(null);
+      loadSession();
+    } catch (err) {
+      setError(err.response?.data?.message || "Error opening till");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleClose = async (counts, notes) => {
+    setSubmitting(true);
+    try {
+      setClosedSession(await closeTillSession(tillSession._id, counts, notes));
+      setTillSession(null);
+      setDialog(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error closing till");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      await downloadTillCloseOut(closedSession._id);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error downloading the close-out report");
+    }
+  };
+
+  if (loading && !tillSession) {
+    return <CircularProgress size={24} sx={{ color: accentColor }} />;
+  }
+
+  const shortLines = closedSession?.currencies.filter((line) => Math.abs(line.variance) >= 0.005) || [];
+
+  return (
+    <Box>
+      {error && !dialog && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      {closedSession && (
+        <Alert
+          severity={shortLines.length ? "warning" : "success"}
+          sx={{ mb: 2 }}
+          action={
+            <Button color="inherit" size="small" startIcon={<PictureAsPdfIcon />} onClick={handleDownload}>
+              Close-Out
+            </Button>
+          }
+        >
+          {shortLines.length
+            ? `Till closed with a variance: ${shortLines.map((line) => formatCurrency(line.variance, line.currency)).join(", ")}`
+            : "Till closed and balanced."}
+        </Alert>
+      )}
+
+      <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", gap: 2 }}>
+        {tillSession ? (
+          <Box>
+            <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 1 }}>
+              Open since {format(new Date(tillSession.openedAt), "dd MMM yyyy HH:mm")} · {tillSession.transactionCount} transaction{tillSession.transactionCount === 1 ? "" : "s"}
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ flexWrap: "wrap", rowGap: 1 }}>
+              {tillSession.currencies.map((line) => (
+                <Chip
+                  key={line.currency}
+                  label={`Expected ${formatCurrency(line.expected, line.currency)}`}
+                  sx={{ bgcolor: chipBgColor, color: textColor, fontWeight: "medium" }}
+                />
+              ))}
+            </Stack>
+          </Box>
+        ) : (
+          <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+            No till open. Transactions you create are not tied to a cash drawer.
+          </Typography>
+        )}
+
+        {tillSession ? (
+          <Button variant="outlined" color="error" startIcon={<LockIcon />} onClick={() => openDialog("close")}>
+            Close Till
+          </Button>
+        ) : (
+          <Button
+            variant="outlined"
+            startIcon={<PointOfSaleIcon />}
+            onClick={() => openDialog("open")}
+            disabled={currencies.length === 0}
+            sx={{ color: accentColor, borderColor: accentColor }}
+          >
+            Open Till
+          </Button>
+        )}
+      </Box>
+
+      <OpenTillDialog
+        open={dialog === "open"}
+        currencies={currencies}
+        onConfirm={handleOpen}
+        onCancel={() => setDialog(null)}
+        loading={submitting}
+        error={error}
+      />
+
+      <CloseTillDialog
+        open={dialog === "close"}
+        tillSession={tillSession}
+        onConfirm={handleClose}
+        onCancel={() => setDialog(null)}
+        loading={submitting}
+        error={error}
+      />
+    </Box>
+  );
+};
+
+TillSessionPanel.propTypes = {
+  currencies: PropTypes.arrayOf(PropTypes.string).isRequired,
+  refreshKey: PropTypes.number.isRequired
+};
+
+export default TillSessionPanel;
@@ -0,0 +1,92 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+import PropTypes from "prop-types";
+import { Box, Typography } from "@mui/material";
+import RequestQuoteIcon from "@mui/icons-material/RequestQuote";
+import { useTheme } from "../../../context/ThemeContext";
+import { formatCurrency } from "../../../utils/utils";
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+// Shows the service fees the server will charge on the transaction being entered
+const FeePreview = ({ type, currency, amount, amountTTD }) => {
+  const { mode, primaryColor } = useTheme();
+
+  // Theme-based colors
+  const textSecondaryColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const bgColor = mode === 'dark' ? "rgba(255, 255, 255, 0.05)" : "rgba(0, 0, 0, 0.04)";
+  const borderColor = mode === 'dark' ? "rgba(255, 255, 255, 0.12)" : "rgba(0, 0, 0, 0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState("");
+
+  useEffect(() => {
+    setQuote(null);
+    setQuoteError("");
+    if (!type || !currency || !(parseFloat(amount) > 0)) return;
+
+    // Wait for the cashier to stop typing before asking
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.get(`${BASE_URL}/fee-rules/quote`, {
+          params: { type, currency, amount, ...(parseFloat(amountTTD) > 0 && { amountTTD }) },
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` }
+        });
+        setQuote(data);
+      } catch (err) {
+        setQuoteError(err.response?.data?.message || "");
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [type, currency, amount, amountTTD]);
+
+  if (!quoteError && !quote?.fees?.length) {
+    return null;
+  }
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: 1,
+        backgroundColor: bgColor,
+        border: `1px solid ${borderColor}`,
+        borderRadius: '8px',
+        p: 1,
+        mb: 2
+      }}
+    >
+      <RequestQuoteIcon sx={{ color: accentColor, fontSize: 20, mt: 0.25 }} />
+      <Box sx={{ flex: 1 }}>
+        {quoteError ? (
+          <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+            {quoteError}
+          </Typography>
+        ) : (
+          quote.fees.map((fee, index) => (
+            <Box key={index} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+              <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                {fee.name}{fee.percentage != null && ` (${fee.percentage}%)`}
+              </Typography>
+              <Typography variant="body2" sx={{ color: accentColor, fontWeight: 'bold' }}>
+                {formatCurrency(fee.amountTTD, "TTD")}
+              </Typography>
+            </Box>
+          ))
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+FeePreview.propTypes = {
+  type: PropTypes.string,
+  currency: PropTypes.string,
+  amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  amountTTD: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+};
+
+export default FeePreview;
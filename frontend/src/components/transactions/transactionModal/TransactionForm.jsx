@@ -1,12 +1,28 @@
-import { TextField, Box, Button, Typography, useMediaQuery } from "@mui/material";
+import { TextField, Box, Button, Typography, MenuItem, Autocomplete, Chip, useMediaQuery } from "@mui/material";
 import NoteAltIcon from "@mui/icons-material/NoteAlt";
 import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
 import { useTheme as useMuiTheme } from "@mui/material/styles";
 import { useTheme } from "../../../context/ThemeContext"; 
 import BalanceIndicator from "./BalanceIndicator";
+import CustomerPicker from "../../customers/CustomerPicker";
+import { getCurrencyStep, getMinorUnits } from "../../../utils/utils";
 
-const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accounts }) => {
+// Most tags a transaction can have (matches the server)
+const MAX_TAGS = 10;
+
+const TransactionForm = ({
+  formData,
+  setFormData,
+  currencies,
+  fieldErrors,
+  accounts,
+  rates = [],
+  categories = [],
+  tagOptions = []
+}) => {
   const [showNotes, setShowNotes] = useState(true); // Auto-expanded notes
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
   const muiTheme = useMuiTheme();
   const { mode, primaryColor } = useTheme(); // Get theme settings
   const isMobile = useMediaQuery(muiTheme.breakpoints.down("sm"));
@@ -46,21 +62,34 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
     if (["Buy", "Sell"].includes(formData.type) && formData.amount && formData.exchangeRate) {
       setFormData((prev) => ({
         ...prev,
-        amountTTD: (parseFloat(prev.amount) * parseFloat(prev.exchangeRate)).toFixed(2),
+        amountTTD: (parseFloat(prev.amount) * parseFloat(prev.exchangeRate)).toFixed(getMinorUnits("TTD")),
       }));
     }
   }, [formData.amount, formData.exchangeRate, formData.type, setFormData]);
 
+  // Standard rate for the selected currency: we buy at the buy rate and sell at the sell rate
+  const managedRate = rates.find((rate) => rate.currency === formData.currency);
+  const standardRate = managedRate
+    ? (formData.type === "Buy" ? managedRate.buyRate : managedRate.sellRate)
+    : null;
+
+  // Fill in the standard rate whenever the type or currency changes
+  useEffect(() => {
+    if (["Buy", "Sell"].includes(formData.type) && standardRate) {
+      setFormData((prev) => ({ ...prev, exchangeRate: standardRate }));
+    }
+  }, [formData.type, formData.currency, standardRate, setFormData]);
+
   // Handle input change and prevent appending values as strings
   const handleChange = (e) => {
     let { name, value } = e.target;
 
     // Ensure numbers don't concatenate as strings
-    if (["amount", "exchangeRate", "amountTTD"].includes(name)) {
+    if (["amount", "exchangeRate", "amountTTD", "toAmount"].includes(name)) {
       value = value ? parseFloat(value) || "" : "";
       
       // Validate amount doesn't exceed 100 million
-      if (name === "amount" && value > 100000000) {
+      if (["amount", "toAmount"].includes(name) && value > 100000000) {
         value = 100000000;
       }
       
@@ -78,19 +107,60 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
     }));
   };
 
+  // Forget the picked customer when the form is reset
+  useEffect(() => {
+    if (!formData.customerId) setSelectedCustomer(null);
+  }, [formData.customerId]);
+
+  // A registered customer fills in the name on record and their email, if they have one
+  const handleCustomerSelect = (customer) => {
+    setSelectedCustomer(customer);
+    setFormData((prev) => ({
+      ...prev,
+      customerId: customer?._id || "",
+      customerName: customer ? customer.fullName : prev.customerName,
+      customerEmail: customer?.email || prev.customerEmail
+    }));
+  };
+
   // Handle currency selection update
   const handleCurrencyChange = (currency) => {
-    setFormData((prev) => ({ ...prev, currency }));
+    setFormData((prev) => ({
+      ...prev,
+      currency,
+      // The pay out currency cannot be the same as the one received
+      toCurrency: prev.toCurrency === currency ? "" : prev.toCurrency
+    }));
+  };
+
+  // Tags are stored lowercase with dashes for spaces, so tidy them as they are added
+  const handleTagsChange = (_, tags) => {
+    const tidied = tags
+      .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, "-"))
+      .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+    setFormData((prev) => ({ ...prev, tags: tidied.slice(0, MAX_TAGS) }));
   };
 
+  const isExchange = formData.type === "Exchange";
+
   // Determine if a currency should be disabled
   const isCurrencyDisabled = (currency) => {
-    return ["Buy", "Sell"].includes(formData.type) && currency === "TTD";
+    return ["Buy", "Sell", "Exchange"].includes(formData.type) && currency === "TTD";
+  };
+
+  // Pay out currencies for an Exchange: any foreign currency other than the one received
+  const isPayoutCurrencyDisabled = (currency) => {
+    return currency === "TTD" || currency === formData.currency;
   };
 
-  // If current currency is TTD and we switch to Buy/Sell, change to another currency
+  // Implied cross rate (units paid out per unit received)
+  const crossRate = isExchange && formData.amount && formData.toAmount
+    ? (parseFloat(formData.toAmount) / parseFloat(formData.amount)).toFixed(6)
+    : "";
+
+  // If current currency is TTD and we switch to Buy/Sell/Exchange, change to another currency
   useEffect(() => {
-    if (["Buy", "Sell"].includes(formData.type) && formData.currency === "TTD") {
+    if (["Buy", "Sell", "Exchange"].includes(formData.type) && formData.currency === "TTD") {
       // Find the first non-TTD currency
       const otherCurrency = currencies.find(curr => curr !== "TTD");
       if (otherCurrency) {
@@ -102,9 +172,60 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
   // Flag to determine if we should show balance (SELL transaction)
   const showBalance = formData.type === "Sell";
 
+  // Render a row of currency buttons
+  const renderCurrencyButtons = (selected, onSelect, isDisabledFn) => (
+    <Box sx={{ 
+      display: "flex", 
+      flexWrap: "wrap", 
+      gap: 1,
+      mb: 2
+    }}>
+      {currencies.map((currency) => {
+        const isDisabled = isDisabledFn(currency);
+        return (
+          <Button
+            key={currency}
+            variant={selected === currency ? "contained" : "outlined"}
+            onClick={() => !isDisabled && onSelect(currency)}
+            size="small"
+            disabled={isDisabled}
+            sx={{
+              bgcolor: selected === currency ? accentColor : "transparent",
+              color: selected === currency ? 
+                (mode === 'dark' ? "black" : "white") : 
+                (isDisabled ? disabledTextColor : textColor),
+              borderColor: selected === currency ? 
+                accentColor : 
+                (isDisabled ? disabledTextColor : inputBorderColor),
+              minWidth: "60px",
+              py: 0.75,
+              opacity: isDisabled ? 0.6 : 1,
+              "&:hover": { 
+                bgcolor: selected === currency ? 
+                  (mode === 'dark' ? `${accentColor}E6` : `${accentColor}CC`) : 
+                  (isDisabled ? "transparent" : buttonHoverColor),
+                borderColor: selected !== currency && !isDisabled ? 
+                  (mode === 'dark' ? "white" : "black") : 
+                  (isDisabled ? disabledTextColor : accentColor)
+              },
+            }}
+          >
+            {currency}
+          </Button>
+        );
+      })}
+    </Box>
+  );
+
   return (
     <>
       {/* Customer Details */}
+      <CustomerPicker
+        value={selectedCustomer}
+        onChange={handleCustomerSelect}
+        textFieldSx={textFieldStyles}
+      />
+
       <TextField
         label="Customer Name"
         name="customerName"
@@ -112,6 +233,7 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
         onChange={handleChange}
         fullWidth
         required
+        disabled={!!formData.customerId}
         margin="dense"
         error={!!fieldErrors.customerName}
         helperText={fieldErrors.customerName}
@@ -134,49 +256,9 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
 
       {/* Currency Selection - Using regular buttons instead of ToggleButtonGroup */}
       <Typography variant="subtitle1" sx={{ color: textColor, mt: 2, mb: 1, fontWeight: "medium" }}>
-        Select Currency
+        {isExchange ? "Currency Received" : "Select Currency"}
       </Typography>
-      <Box sx={{ 
-        display: "flex", 
-        flexWrap: "wrap", 
-        gap: 1,
-        mb: 2
-      }}>
-        {currencies.map((currency) => {
-          const isDisabled = isCurrencyDisabled(currency);
-          return (
-            <Button
-              key={currency}
-              variant={formData.currency === currency ? "contained" : "outlined"}
-              onClick={() => !isDisabled && handleCurrencyChange(currency)}
-              size="small"
-              disabled={isDisabled}
-              sx={{
-                bgcolor: formData.currency === currency ? accentColor : "transparent",
-                color: formData.currency === currency ? 
-                  (mode === 'dark' ? "black" : "white") : 
-                  (isDisabled ? disabledTextColor : textColor),
-                borderColor: formData.currency === currency ? 
-                  accentColor : 
-                  (isDisabled ? disabledTextColor : inputBorderColor),
-                minWidth: "60px",
-                py: 0.75,
-                opacity: isDisabled ? 0.6 : 1,
-                "&:hover": { 
-                  bgcolor: formData.currency === currency ? 
-                    (mode === 'dark' ? `${accentColor}E6` : `${accentColor}CC`) : 
-                    (isDisabled ? "transparent" : buttonHoverColor),
-                  borderColor: formData.currency !== currency && !isDisabled ? 
-                    (mode === 'dark' ? "white" : "black") : 
-                    (isDisabled ? disabledTextColor : accentColor)
-                },
-              }}
-            >
-              {currency}
-            </Button>
-          );
-        })}
-      </Box>
+      {renderCurrencyButtons(formData.currency, handleCurrencyChange, isCurrencyDisabled)}
 
       {/* Show Balance Indicator for SELL transactions */}
       {showBalance && (
@@ -186,8 +268,85 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
         />
       )}
 
+      {/* Pay out currency for EXCHANGE transactions */}
+      {isExchange && (
+        <>
+          <Typography variant="subtitle1" sx={{ color: textColor, mt: 1, mb: 1, fontWeight: "medium" }}>
+            Pay Out Currency
+          </Typography>
+          {renderCurrencyButtons(
+            formData.toCurrency,
+            (toCurrency) => setFormData((prev) => ({ ...prev, toCurrency })),
+            isPayoutCurrencyDisabled
+          )}
+          {fieldErrors.toCurrency && (
+            <Typography variant="caption" color="error" sx={{ display: "block", mt: -1, mb: 1 }}>
+              {fieldErrors.toCurrency}
+            </Typography>
+          )}
+          {formData.toCurrency && (
+            <BalanceIndicator 
+              currency={formData.toCurrency} 
+              accounts={accounts}
+            />
+          )}
+        </>
+      )}
+
       {/* Amount Input - FIXED LAYOUT */}
-      {["Buy", "Sell"].includes(formData.type) ? (
+      {isExchange ? (
+        // For Exchange, display the received and paid out amounts inline
+        <Box 
+          sx={{ 
+            display: "flex", 
+            flexDirection: "row", 
+            gap: 2, 
+            width: "100%",
+            alignItems: "flex-start"
+          }}
+        >
+          <Box sx={{ width: "50%" }}>
+            <TextField
+              label={`Amount Received${formData.currency ? ` (${formData.currency})` : ""}`}
+              name="amount"
+              type="number"
+              inputProps={{ 
+                min: 0, 
+                max: 100000000,
+                step: getCurrencyStep(formData.currency) 
+              }}
+              value={formData.amount}
+              onChange={handleChange}
+              required
+              fullWidth
+              margin="dense"
+              error={!!fieldErrors.amount}
+              helperText={fieldErrors.amount}
+              sx={textFieldStyles}
+            />
+          </Box>
+          <Box sx={{ width: "50%" }}>
+            <TextField
+              label={`Amount Paid Out${formData.toCurrency ? ` (${formData.toCurrency})` : ""}`}
+              name="toAmount"
+              type="number"
+              inputProps={{ 
+                min: 0, 
+                max: 100000000,
+                step: getCurrencyStep(formData.toCurrency || formData.currency) 
+              }}
+              value={formData.toAmount}
+              onChange={handleChange}
+              required
+              fullWidth
+              margin="dense"
+              error={!!fieldErrors.toAmount}
+              helperText={fieldErrors.toAmount}
+              sx={textFieldStyles}
+            />
+          </Box>
+        </Box>
+      ) : ["Buy", "Sell"].includes(formData.type) ? (
         // For Buy/Sell, display Amount and Rate inline
         <Box 
           sx={{ 
@@ -206,7 +365,7 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
               inputProps={{ 
                 min: 0, 
                 max: 100000000,
-                step: "any" 
+                step: getCurrencyStep(formData.currency) 
               }}
               value={formData.amount}
               onChange={handleChange}
@@ -234,8 +393,13 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
               fullWidth
               margin="dense"
               error={!!fieldErrors.exchangeRate}
-              helperText={fieldErrors.exchangeRate}
-              sx={textFieldStyles}
+              helperText={fieldErrors.exchangeRate || (standardRate ? `Standard: ${standardRate}` : "")}
+              sx={{
+                ...textFieldStyles,
+                "& .MuiFormHelperText-root": {
+                  color: fieldErrors.exchangeRate ? "error.main" : inputLabelColor
+                }
+              }}
             />
           </Box>
         </Box>
@@ -248,7 +412,7 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
           inputProps={{ 
             min: 0, 
             max: 100000000,
-            step: "any" 
+            step: getCurrencyStep(formData.currency) 
           }}
           value={formData.amount}
           onChange={handleChange}
@@ -282,6 +446,75 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
         />
       )}
 
+      {/* Implied cross rate (only for Exchange) */}
+      {isExchange && (
+        <TextField
+          label="Cross Rate"
+          value={crossRate && formData.toCurrency ? `1 ${formData.currency} = ${crossRate} ${formData.toCurrency}` : ""}
+          margin="dense"
+          InputProps={{ readOnly: true }}
+          fullWidth
+          sx={{
+            ...textFieldStyles,
+            mb: 1,
+            "& .MuiInputBase-root.Mui-readOnly": { 
+              backgroundColor: disabledBgColor
+            }
+          }}
+        />
+      )}
+
+      {/* Category and tags for filtering and reporting */}
+      <TextField
+        select
+        label="Category"
+        name="category"
+        value={formData.category}
+        onChange={handleChange}
+        fullWidth
+        margin="dense"
+        error={!!fieldErrors.category}
+        helperText={fieldErrors.category}
+        sx={textFieldStyles}
+      >
+        <MenuItem value="">
+          <em>None</em>
+        </MenuItem>
+        {categories.map((category) => (
+          <MenuItem key={category._id} value={category._id}>
+            {category.name}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      <Autocomplete
+        multiple
+        freeSolo
+        options={tagOptions}
+        value={formData.tags}
+        onChange={handleTagsChange}
+        renderTags={(value, getTagProps) =>
+          value.map((tag, index) => (
+            <Chip key={tag} label={tag} size="small" {...getTagProps({ index })} />
+          ))
+        }
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            label="Tags"
+            margin="dense"
+            error={!!fieldErrors.tags}
+            helperText={fieldErrors.tags || `Press Enter after each tag, up to ${MAX_TAGS}`}
+            sx={{
+              ...textFieldStyles,
+              "& .MuiFormHelperText-root": {
+                color: fieldErrors.tags ? "error.main" : inputLabelColor
+              }
+            }}
+          />
+        )}
+      />
+
       {/* Notes Field - Always expanded */}
       <TextField
         label="Notes"
@@ -301,4 +534,40 @@ const TransactionForm = ({ formData, setFormData, currencies, fieldErrors, accou
   );
 };
 
-export default TransactionForm;
\ No newline at end of file
+TransactionForm.propTypes = {
+  formData: PropTypes.shape({
+    customerId: PropTypes.string,
+    customerName: PropTypes.string,
+    customerEmail: PropTypes.string,
+    type: PropTypes.string,
+    amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    currency: PropTypes.string,
+    exchangeRate: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    amountTTD: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    toCurrency: PropTypes.string,
+    toAmount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    category: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    notes: PropTypes.string
+  }).isRequired,
+  setFormData: PropTypes.func.isRequired,
+  currencies: PropTypes.arrayOf(PropTypes.string).isRequired,
+  fieldErrors: PropTypes.object.isRequired,
+  accounts: PropTypes.array,
+  rates: PropTypes.arrayOf(
+    PropTypes.shape({
+      currency: PropTypes.string.isRequired,
+      buyRate: PropTypes.number.isRequired,
+      sellRate: PropTypes.number.isRequired
+    })
+  ),
+  categories: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    })
+  ),
+  tagOptions: PropTypes.arrayOf(PropTypes.string)
+};
+
+export default TransactionForm;
@@ -19,7 +19,11 @@ import { useTheme } from "../../../context/ThemeContext";
 import TransactionTypeSelector from "./TransactionTypeSelector";
 import TransactionForm from "./TransactionForm";
 import SignaturePad from "./SignaturePad";
+import FeePreview from "./FeePreview";
 import handleApiError from "../../utils/ErrorHandler";
+import { createIdempotencyKey, getMinorUnits, roundToCurrency } from "../../../utils/utils";
+import { fetchCurrencies } from "../../../services/CurrencyService";
+import { fetchTransactionCategories, fetchTransactionTags } from "../../../services/TransactionCategoryService";
 
 const BASE_URL = import.meta.env.VITE_BASE_URL;
 
@@ -40,7 +44,11 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
   const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
   
   const sigCanvas = useRef(null);
+  // One key per submission of this form, reused when the cashier retries it, so a
+  // retry after a lost response returns the first result instead of charging twice
+  const idempotencyKey = useRef(null);
   const [formData, setFormData] = useState({
+    customerId: "",
     customerName: "",
     customerEmail: "",
     type: "Cash In",
@@ -48,10 +56,17 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
     currency: "TTD",
     exchangeRate: "",
     amountTTD: "",
+    toCurrency: "",
+    toAmount: "",
+    category: "",
+    tags: [],
     notes: "",
   });
   const [currencies, setCurrencies] = useState([]);
   const [accounts, setAccounts] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [tagOptions, setTagOptions] = useState([]);
   const [error, setError] = useState("");
   const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
@@ -76,8 +91,28 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
         // Set accounts for balance display
         setAccounts(accountsArray);
         
-        // Extract currencies from accounts
-        setCurrencies(accountsArray.map((account) => account.currency));
+        // Offer the account currencies that are active in the currency registry
+        const activeCurrencies = await fetchCurrencies({ active: true });
+        const activeCodes = activeCurrencies.map((currency) => currency.code);
+        setCurrencies(
+          accountsArray
+            .map((account) => account.currency)
+            .filter((code) => activeCodes.length === 0 || activeCodes.includes(code))
+        );
+
+        // Fetch the current managed exchange rates
+        const { data: rateData } = await axios.get(`${BASE_URL}/exchange-rates`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setRates(rateData.rates || []);
+
+        // Categories new transactions can be filed under, and the tags already in use
+        const [activeCategories, tags] = await Promise.all([
+          fetchTransactionCategories({ active: true }),
+          fetchTransactionTags()
+        ]);
+        setCategories(activeCategories);
+        setTagOptions(tags);
       } catch (err) {
         handleApiError(err, setError);
       }
@@ -92,6 +127,7 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
   // Reset form when opening modal
   const resetForm = () => {
     setFormData({
+      customerId: "",
       customerName: "",
       customerEmail: "",
       type: "Cash In",
@@ -99,9 +135,14 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
       currency: "TTD",
       exchangeRate: "",
       amountTTD: "",
+      toCurrency: "",
+      toAmount: "",
+      category: "",
+      tags: [],
       notes: "",
     });
     sigCanvas.current?.clear();
+    idempotencyKey.current = null;
     setError("");
     setFieldErrors({});
     setLoading(false);
@@ -118,12 +159,32 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
     }
     
     if (!formData.amount || formData.amount <= 0) errors.amount = "Valid amount is required";
+    else if (roundToCurrency(formData.amount, formData.currency) !== parseFloat(formData.amount)) {
+      errors.amount = `${formData.currency} amounts allow ${getMinorUnits(formData.currency)} decimal places`;
+    }
     
     // Buy/Sell transactions require an exchange rate
     if (["Buy", "Sell"].includes(formData.type)) {
       if (!formData.exchangeRate || formData.exchangeRate <= 0) errors.exchangeRate = "Exchange Rate is required";
     }
     
+    // Exchange transactions require a different currency to pay out
+    if (formData.type === "Exchange") {
+      if (!formData.toCurrency) errors.toCurrency = "Pay Out Currency is required";
+      else if (formData.toCurrency === formData.currency) errors.toCurrency = "Pay Out Currency must differ from the currency received";
+
+      if (!formData.toAmount || formData.toAmount <= 0) {
+        errors.toAmount = "Valid pay out amount is required";
+      } else if (formData.toCurrency && roundToCurrency(formData.toAmount, formData.toCurrency) !== parseFloat(formData.toAmount)) {
+        errors.toAmount = `${formData.toCurrency} amounts allow ${getMinorUnits(formData.toCurrency)} decimal places`;
+      } else {
+        const payoutAccount = accounts.find(acc => acc.currency === formData.toCurrency);
+        if (payoutAccount && parseFloat(formData.toAmount) > payoutAccount.balance) {
+          errors.toAmount = `Insufficient balance. Available: ${payoutAccount.balance} ${formData.toCurrency}`;
+        }
+      }
+    }
+
     // For SELL transactions, verify against available balance
     if (formData.type === "Sell") {
       const selectedAccount = accounts.find(acc => acc.currency === formData.currency);
@@ -155,14 +216,23 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
 
       const signatureData = sigCanvas.current?.isEmpty() ? "" : sigCanvas.current.toDataURL();
 
+      if (!idempotencyKey.current) {
+        idempotencyKey.current = createIdempotencyKey();
+      }
+
       const response = await axios.post(
         `${BASE_URL}/transactions`,
         { ...formData, customerSignature: signatureData },
-        { headers: { Authorization: `Bearer ${token}` } }
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Idempotency-Key": idempotencyKey.current
+          }
+        }
       );
 
       if (response.status === 201) {
-        onTransactionAdded();
+        onTransactionAdded({ status: response.data.status, message: response.data.message });
         onClose();
       }
     } catch (err) {
@@ -243,6 +313,15 @@ const TransactionModal = ({ isOpen, onClose, onTransactionAdded }) => {
             currencies={currencies} 
             fieldErrors={fieldErrors}
             accounts={accounts}
+            rates={rates}
+            categories={categories}
+            tagOptions={tagOptions}
+          />
+          <FeePreview
+            type={formData.type}
+            currency={formData.currency}
+            amount={formData.amount}
+            amountTTD={formData.amountTTD}
           />
           <SignaturePad sigCanvas={sigCanvas} />
         </form>
@@ -2,7 +2,7 @@ import { Box, Button, Typography, useMediaQuery } from "@mui/material";
 import { useTheme as useMuiTheme } from "@mui/material/styles";
 import { useTheme } from "../../../context/ThemeContext";
 
-const transactionTypes = ["Cash In", "Cash Out", "Buy", "Sell"];
+const transactionTypes = ["Cash In", "Cash Out", "Buy", "Sell", "Exchange"];
 
 const TransactionTypeSelector = ({ type, setType }) => {
   const muiTheme = useMuiTheme();
@@ -10,6 +10,7 @@ import {
 } from "@mui/material";
 import PropTypes from "prop-types";
 import { useTheme } from "../../../context/ThemeContext"; // Import your theme context
+import { DATE_RANGES } from "./dateRanges";
 
 const FilterPanel = ({
   show,
@@ -18,6 +19,7 @@ const FilterPanel = ({
   onResetFilters,
   onApplyFilters,
   availableCurrencies,
+  availableCategories = [],
   transactionTypes,
   loading
 }) => {
@@ -168,12 +170,122 @@ const FilterPanel = ({
             spacing={2} 
             sx={{ width: '100%' }}
           >
+            <TextField
+              select
+              fullWidth
+              label="Category"
+              value={filters.category || ""}
+              onChange={(e) => onFilterChange('category', e.target.value)}
+              size="small"
+              InputLabelProps={{ sx: { color: labelColor } }}
+              InputProps={{
+                sx: { 
+                  color: textColor,
+                  '& .MuiOutlinedInput-notchedOutline': {
+                    borderColor: borderColor,
+                  },
+                  '&:hover .MuiOutlinedInput-notchedOutline': {
+                    borderColor: hoverBorderColor,
+                  },
+                  '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                    borderColor: accentColor,
+                  }
+                }
+              }}
+              sx={{ '& .MuiSelect-select': { color: textColor } }}
+              SelectProps={{
+                MenuProps: {
+                  PaperProps: {
+                    sx: { bgcolor: paperBgColor, color: textColor }
+                  }
+                }
+              }}
+            >
+              <MenuItem value="">All Categories</MenuItem>
+              <MenuItem value="none">Uncategorized</MenuItem>
+              {availableCategories.map((category) => (
+                <MenuItem key={category._id} value={category._id}>
+                  {category.name}{!category.isActive && " (inactive)"}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              fullWidth
+              label="Tag"
+              value={filters.tag || ""}
+              onChange={(e) => onFilterChange('tag', e.target.value)}
+              size="small"
+              InputLabelProps={{ sx: { color: labelColor } }}
+              InputProps={{
+                sx: { 
+                  color: textColor,
+                  '& .MuiOutlinedInput-notchedOutline': {
+                    borderColor: borderColor,
+                  },
+                  '&:hover .MuiOutlinedInput-notchedOutline': {
+                    borderColor: hoverBorderColor,
+                  },
+                  '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                    borderColor: accentColor,
+                  }
+                }
+              }}
+            />
+          </Stack>
+
+          <Stack 
+            direction={{ xs: 'column', sm: 'row' }} 
+            spacing={2} 
+            sx={{ width: '100%' }}
+          >
+            {/* A named range moves with the calendar when saved in a view */}
+            <TextField
+              select
+              fullWidth
+              label="Date Range"
+              value={filters.dateRange || ""}
+              onChange={(e) => onFilterChange('dateRange', e.target.value)}
+              size="small"
+              InputLabelProps={{ sx: { color: labelColor } }}
+              InputProps={{
+                sx: { 
+                  color: textColor,
+                  '& .MuiOutlinedInput-notchedOutline': {
+                    borderColor: borderColor,
+                  },
+                  '&:hover .MuiOutlinedInput-notchedOutline': {
+                    borderColor: hoverBorderColor,
+                  },
+                  '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                    borderColor: accentColor,
+                  }
+                }
+              }}
+              sx={{ '& .MuiSelect-select': { color: textColor } }}
+              SelectProps={{
+                MenuProps: {
+                  PaperProps: {
+                    sx: { bgcolor: paperBgColor, color: textColor }
+                  }
+                }
+              }}
+            >
+              <MenuItem value="">Custom Dates</MenuItem>
+              {DATE_RANGES.map((range) => (
+                <MenuItem key={range.id} value={range.id}>
+                  {range.label}
+                </MenuItem>
+              ))}
+            </TextField>
+
             <TextField
               fullWidth
               type="date"
               label="From Date"
               value={filters.dateFrom}
               onChange={(e) => onFilterChange('dateFrom', e.target.value)}
+              disabled={Boolean(filters.dateRange)}
               size="small"
               InputLabelProps={{ 
                 shrink: true,
@@ -201,6 +313,7 @@ const FilterPanel = ({
               label="To Date"
               value={filters.dateTo}
               onChange={(e) => onFilterChange('dateTo', e.target.value)}
+              disabled={Boolean(filters.dateRange)}
               size="small"
               InputLabelProps={{ 
                 shrink: true,
@@ -269,6 +382,9 @@ FilterPanel.propTypes = {
     search: PropTypes.string,
     currency: PropTypes.string,
     type: PropTypes.string,
+    category: PropTypes.string,
+    tag: PropTypes.string,
+    dateRange: PropTypes.string,
     dateFrom: PropTypes.string,
     dateTo: PropTypes.string
   }).isRequired,
@@ -276,6 +392,7 @@ FilterPanel.propTypes = {
   onResetFilters: PropTypes.func.isRequired,
   onApplyFilters: PropTypes.func.isRequired,
   availableCurrencies: PropTypes.array.isRequired,
+  availableCategories: PropTypes.array,
   transactionTypes: PropTypes.array.isRequired,
   loading: PropTypes.bool.isRequired
 };
@@ -0,0 +1,81 @@
+import { useEffect, useRef } from "react";
+import { Box, Button, CircularProgress, Typography } from "@mui/material";
+import PropTypes from "prop-types";
+import { useTheme } from "../../../context/ThemeContext"; // Import your theme context
+
+const InfiniteScrollFooter = ({
+  loadedCount,
+  totalCount,
+  hasMore,
+  loadingMore,
+  onLoadMore,
+}) => {
+  const { mode, primaryColor } = useTheme(); // Get theme settings
+  const sentinelRef = useRef(null);
+
+  // Theme-based colors
+  const textColor = mode === 'dark' ? "rgba(255,255,255,0.7)" : "rgba(0,0,0,0.7)";
+  const borderColor = mode === 'dark' ? "rgba(255,255,255,0.12)" : "rgba(0,0,0,0.12)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+
+  // Load the next page as soon as the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loadingMore || typeof IntersectionObserver === "undefined") return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) onLoadMore();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
+  return (
+    <Box
+      ref={sentinelRef}
+      sx={{
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        px: 2,
+        py: 1.5,
+        borderTop: `1px solid ${borderColor}`
+      }}
+    >
+      <Typography variant="body2" sx={{ color: textColor }}>
+        {totalCount !== null
+          ? `Showing ${loadedCount} of ${totalCount}`
+          : `Showing ${loadedCount}`}
+      </Typography>
+
+      {loadingMore ? (
+        <CircularProgress size={20} sx={{ color: accentColor }} />
+      ) : hasMore ? (
+        <Button size="small" onClick={onLoadMore} sx={{ color: accentColor }}>
+          Load more
+        </Button>
+      ) : loadedCount > 0 ? (
+        <Typography variant="body2" sx={{ color: textColor }}>
+          End of list
+        </Typography>
+      ) : null}
+    </Box>
+  );
+};
+
+InfiniteScrollFooter.propTypes = {
+  loadedCount: PropTypes.number.isRequired,
+  totalCount: PropTypes.number,
+  hasMore: PropTypes.bool.isRequired,
+  loadingMore: PropTypes.bool.isRequired,
+  onLoadMore: PropTypes.func.isRequired,
+};
+
+InfiniteScrollFooter.defaultProps = {
+  totalCount: null,
+};
+
+export default InfiniteScrollFooter;
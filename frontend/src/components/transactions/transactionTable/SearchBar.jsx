@@ -1,5 +1,21 @@
-import { TextField, Stack, Button, IconButton, InputAdornment, Paper, CircularProgress, useMediaQuery, Box } from "@mui/material";
+import { useEffect, useState } from "react";
+import {
+  TextField,
+  Stack,
+  Button,
+  IconButton,
+  InputAdornment,
+  Paper,
+  CircularProgress,
+  useMediaQuery,
+  Box,
+  Autocomplete,
+  Popover,
+  Typography,
+  Tooltip
+} from "@mui/material";
 import SearchIcon from "@mui/icons-material/Search";
+import HelpOutlineIcon from "@mui/icons-material/HelpOutline";
 import FilterListIcon from "@mui/icons-material/FilterList";
 import ClearIcon from "@mui/icons-material/Clear";
 import RefreshIcon from "@mui/icons-material/Refresh";
@@ -7,6 +23,11 @@ import AddIcon from "@mui/icons-material/Add";
 import PropTypes from "prop-types";
 import { useTheme as useMuiTheme } from "@mui/material/styles";
 import { useTheme } from "../../../context/ThemeContext"; // Import your theme context
+import { fetchSearchFields, fetchSearchValues } from "../../../services/TransactionSearchService";
+import { SEARCH_EXAMPLES, getSuggestionContext, applySuggestion } from "./searchSyntax";
+
+// Wait for the user to stop typing before looking up values
+const SUGGEST_DELAY_MS = 200;
 
 const SearchBar = ({
   search,
@@ -34,7 +55,63 @@ const SearchBar = ({
   const shadowColor = mode === 'dark' 
     ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
     : '0 2px 4px rgba(0, 0, 0, 0.08)';
-  
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.6)";
+
+  // Search language fields, and suggestions for the term being typed
+  const [searchFields, setSearchFields] = useState([]);
+  const [valueOptions, setValueOptions] = useState([]);
+  const [helpAnchor, setHelpAnchor] = useState(null);
+
+  useEffect(() => {
+    fetchSearchFields()
+      .then(setSearchFields)
+      .catch(() => setSearchFields([]));
+  }, []);
+
+  const context = getSuggestionContext(search, searchFields);
+  const valueField = context?.kind === "values" ? context.field : null;
+  const valuePrefix = context?.kind === "values" ? context.prefix : "";
+
+  // Look up values (types, currencies, usernames) for the field being typed
+  useEffect(() => {
+    if (!valueField) {
+      setValueOptions([]);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      try {
+        const values = await fetchSearchValues(valueField, valuePrefix);
+        if (active) setValueOptions(values.map((value) => ({ type: "value", value, label: value })));
+      } catch {
+        if (active) setValueOptions([]);
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [valueField, valuePrefix]);
+
+  let options = [];
+  if (context?.kind === "fields") {
+    options = searchFields
+      .filter((field) => field.name.startsWith(context.prefix))
+      .map((field) => ({ type: "field", value: field.name, label: `${field.name}:`, description: field.description }));
+  } else if (context?.kind === "values") {
+    options = valueOptions;
+  } else if (context?.kind === "hint") {
+    options = [{ type: "hint", value: context.field, label: context.hint }];
+  }
+
+  const handleSuggestionSelect = (_, option, reason) => {
+    // Enter without a highlighted suggestion submits the form instead
+    if (reason !== "selectOption" || !option || typeof option === "string") return;
+    onSearchChange(applySuggestion(search, option));
+  };
+
   return (
     <Paper sx={{ 
       p: 2, 
@@ -47,50 +124,127 @@ const SearchBar = ({
         : '1px solid rgba(0, 0, 0, 0.05)'
     }}>
       <form onSubmit={onSearchSubmit}>
-        {/* Search input */}
-        <TextField
+        {/* Search input with suggestions for fields and values */}
+        <Autocomplete
+          freeSolo
           fullWidth
-          variant="outlined"
-          placeholder="Search by name or reference..."
-          value={search}
-          onChange={(e) => onSearchChange(e.target.value)}
-          InputProps={{
-            startAdornment: (
-              <InputAdornment position="start">
-                <SearchIcon sx={{ color: textColor }} />
-              </InputAdornment>
-            ),
-            endAdornment: search ? (
-              <InputAdornment position="end">
-                <IconButton 
-                  onClick={() => onSearchChange('')}
-                  size="small"
-                  sx={{ color: textColor }}
-                >
-                  <ClearIcon />
-                </IconButton>
-              </InputAdornment>
-            ) : null,
-            sx: { 
-              color: textColor,
-              '& .MuiOutlinedInput-notchedOutline': {
-                borderColor: borderColor,
-              },
-              '&:hover .MuiOutlinedInput-notchedOutline': {
-                borderColor: hoverBorderColor,
-              },
-              '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                borderColor: accentColor,
-              },
-              '&::placeholder': {
-                color: placeholderColor,
-                opacity: 1
-              }
-            }
+          disableClearable
+          value={null}
+          inputValue={search}
+          options={options}
+          filterOptions={(x) => x}
+          getOptionLabel={(option) => (typeof option === "string" ? option : option.label)}
+          getOptionDisabled={(option) => option.type === "hint"}
+          onInputChange={(_, text, reason) => {
+            if (reason === "input") onSearchChange(text);
+          }}
+          onChange={handleSuggestionSelect}
+          slotProps={{
+            paper: { sx: { bgcolor: paperBgColor, color: textColor } }
           }}
-          size="small"
+          renderOption={(optionProps, option) => {
+            // MUI passes the list key inside the props; React wants it set directly
+            const liProps = { ...optionProps };
+            delete liProps.key;
+            return (
+              <Box component="li" key={`${option.type}-${option.value}`} {...liProps}>
+                <Box>
+                  <Typography variant="body2" sx={{ fontFamily: option.type === "hint" ? "inherit" : "monospace" }}>
+                    {option.label}
+                  </Typography>
+                  {option.description && (
+                    <Typography variant="caption" sx={{ color: secondaryTextColor }}>
+                      {option.description}
+                    </Typography>
+                  )}
+                </Box>
+              </Box>
+            );
+          }}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              variant="outlined"
+              placeholder="Search, e.g. amount>500 currency:USD by:jdoe created:2026-01..2026-03"
+              InputProps={{
+                ...params.InputProps,
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon sx={{ color: textColor }} />
+                  </InputAdornment>
+                ),
+                endAdornment: (
+                  <InputAdornment position="end">
+                    {search && (
+                      <IconButton 
+                        onClick={() => onSearchChange('')}
+                        size="small"
+                        sx={{ color: textColor }}
+                      >
+                        <ClearIcon />
+                      </IconButton>
+                    )}
+                    <Tooltip title="Search syntax">
+                      <IconButton
+                        onClick={(e) => setHelpAnchor(e.currentTarget)}
+                        size="small"
+                        sx={{ color: textColor }}
+                      >
+                        <HelpOutlineIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </InputAdornment>
+                ),
+                sx: { 
+                  color: textColor,
+                  '& .MuiOutlinedInput-notchedOutline': {
+                    borderColor: borderColor,
+                  },
+                  '&:hover .MuiOutlinedInput-notchedOutline': {
+                    borderColor: hoverBorderColor,
+                  },
+                  '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                    borderColor: accentColor,
+                  },
+                  '&::placeholder': {
+                    color: placeholderColor,
+                    opacity: 1
+                  }
+                }
+              }}
+              size="small"
+            />
+          )}
           sx={{ mb: 2 }}
         />
+
+        {/* Search syntax help */}
+        <Popover
+          open={Boolean(helpAnchor)}
+          anchorEl={helpAnchor}
+          onClose={() => setHelpAnchor(null)}
+          anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+          transformOrigin={{ vertical: "top", horizontal: "right" }}
+          slotProps={{ paper: { sx: { p: 2, maxWidth: 440, bgcolor: paperBgColor, color: textColor } } }}
+        >
+          <Typography variant="subtitle2" gutterBottom>
+            Search syntax
+          </Typography>
+          <Typography variant="body2" sx={{ color: secondaryTextColor, mb: 1 }}>
+            Combine terms with spaces; every term must match. Fields:{" "}
+            {searchFields.map((field) => field.name).join(", ") || "loading..."}
+          </Typography>
+          {SEARCH_EXAMPLES.map((example) => (
+            <Box key={example.query} sx={{ display: "flex", gap: 2, py: 0.25 }}>
+              <Typography variant="body2" sx={{ fontFamily: "monospace", minWidth: 200 }}>
+                {example.query}
+              </Typography>
+              <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                {example.meaning}
+              </Typography>
+            </Box>
+          ))}
+        </Popover>
         
         {/* Primary actions row */}
         <Stack 
@@ -1,10 +1,11 @@
 import { format } from "date-fns";
 import { TableRow, TableCell, Chip, Typography, Box, Avatar, Tooltip } from "@mui/material";
 import PropTypes from "prop-types";
-import { formatAmount, getTransactionColor, stringAvatar } from "../../../utils/utils";
+import { formatAmount, formatCurrency, getTransactionColor, stringAvatar } from "../../../utils/utils";
 import { useTheme } from "../../../context/ThemeContext"; 
+import { isColumnVisible } from "./transactionColumns";
 
-const TransactionRow = ({ transaction, onClick, isMobile }) => {
+const TransactionRow = ({ transaction, onClick, isMobile, columns }) => {
   const { mode, primaryColor, fontSize } = useTheme(); // Get all theme settings including fontSize
   
   // Theme-based colors
@@ -14,6 +15,12 @@ const TransactionRow = ({ transaction, onClick, isMobile }) => {
   
   // Process the amount with our improved function
   const amountInfo = formatAmount(transaction.amount, transaction.currency);
+
+  // Voided transactions stay in the list but are marked and struck through
+  const isVoided = transaction.status === 'Cancelled' && !!transaction.voidedAt;
+  
+  // Columns chosen by the current view
+  const show = (columnId) => isColumnVisible(columnId, columns, isMobile);
   
   // Determine font size based on theme setting
   const getFontSize = () => {
@@ -35,13 +42,14 @@ const TransactionRow = ({ transaction, onClick, isMobile }) => {
       sx={{
         cursor: "pointer",
         "&:hover": { backgroundColor: hoverColor },
+        opacity: isVoided ? 0.6 : 1,
         borderBottom: mode === 'dark' 
           ? '1px solid rgba(255, 255, 255, 0.05)' 
           : '1px solid rgba(0, 0, 0, 0.05)'
       }}
       onClick={() => onClick(transaction)}
     >
-      {!isMobile && (
+      {show("reference") && (
         <TableCell 
           sx={{ 
             color: textColor,
@@ -58,106 +66,137 @@ const TransactionRow = ({ transaction, onClick, isMobile }) => {
           fontSize: getFontSize() // Apply theme font size
         }}
       >
-        {transaction.customerName}
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+          <span style={{ textDecoration: isVoided ? 'line-through' : 'none' }}>
+            {transaction.customerName}
+          </span>
+          {isVoided && <Chip label="VOID" color="error" size="small" sx={{ fontWeight: "bold" }} />}
+          {transaction.reversalOf && <Chip label="Reversal" variant="outlined" size="small" />}
+          {transaction.refundOf && <Chip label="Refund" variant="outlined" size="small" />}
+          {transaction.status === 'Refunded' && <Chip label="Refunded" color="warning" size="small" />}
+          {transaction.status === 'Pending' && transaction.complianceHold?.status === 'Held' ? (
+            <Chip label="Compliance Hold" color="warning" size="small" />
+          ) : transaction.status === 'Pending' && transaction.requiresApproval && (
+            <Chip label="Pending Approval" color="info" size="small" />
+          )}
+          {transaction.status === 'Cancelled' && transaction.complianceHold?.status === 'Confirmed' ? (
+            <Chip label="Blocked" color="error" size="small" />
+          ) : transaction.status === 'Cancelled' && transaction.rejectionReason && (
+            <Chip label="Rejected" color="error" variant="outlined" size="small" />
+          )}
+        </Box>
       </TableCell>
       
-      <TableCell>
-        <Chip
-          label={transaction.type}
-          sx={{
-            ...getTransactionColor(transaction.type, mode),
-            fontWeight: "bold",
-            width: "100px",
-            justifyContent: "center",
-            fontSize: fontSize === 'small' ? '0.75rem' : 
-                     fontSize === 'large' ? '0.875rem' : 
-                     fontSize === 'extra-large' ? '0.95rem' : '0.8125rem', // Adjust chip text size based on theme
-          }}
-        />
-      </TableCell>
+      {show("type") && (
+        <TableCell>
+          <Chip
+            label={transaction.type}
+            sx={{
+              ...getTransactionColor(transaction.type, mode),
+              fontWeight: "bold",
+              width: "100px",
+              justifyContent: "center",
+              fontSize: fontSize === 'small' ? '0.75rem' : 
+                       fontSize === 'large' ? '0.875rem' : 
+                       fontSize === 'extra-large' ? '0.95rem' : '0.8125rem', // Adjust chip text size based on theme
+            }}
+          />
+        </TableCell>
+      )}
       
-      {!isMobile && (
+      {show("currency") && (
         <TableCell 
           sx={{ 
             color: textColor,
             fontSize: getFontSize() // Apply theme font size
           }}
         >
-          {transaction.currency}
+          {transaction.toCurrency ? `${transaction.currency} → ${transaction.toCurrency}` : transaction.currency}
         </TableCell>
       )}
       
-      <TableCell 
-        sx={{ 
-          color: textColor,
-          maxWidth: { xs: '100px', sm: '150px' },
-          overflow: 'hidden'
-        }}
-      >
-        <Tooltip 
-          title={amountInfo.truncated ? amountInfo.full : ""} 
-          arrow 
-          placement="top"
-          componentsProps={{
-            tooltip: {
-              sx: {
-                bgcolor: mode === 'dark' ? '#0F172A' : '#1E293B',
-                '& .MuiTooltip-arrow': {
-                  color: mode === 'dark' ? '#0F172A' : '#1E293B'
-                },
-                boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
-                fontSize: getFontSize() // Apply theme font size to tooltip text
-              }
-            }
+      {show("amount") && (
+        <TableCell 
+          sx={{ 
+            color: textColor,
+            maxWidth: { xs: '100px', sm: '150px' },
+            overflow: 'hidden'
           }}
         >
-          <Typography 
-            sx={{ 
-              fontSize: getFontSize(), // Apply theme font size to amount
-              fontWeight: "bold", 
-              color: textColor,
-              display: 'inline-block',
-              whiteSpace: 'nowrap',
-              overflow: 'hidden',
-              textOverflow: 'ellipsis',
-              maxWidth: '100%',
-              '& .amount-value': {
-                color: accentColor
+          <Tooltip 
+            title={amountInfo.truncated ? amountInfo.full : ""} 
+            arrow 
+            placement="top"
+            componentsProps={{
+              tooltip: {
+                sx: {
+                  bgcolor: mode === 'dark' ? '#0F172A' : '#1E293B',
+                  '& .MuiTooltip-arrow': {
+                    color: mode === 'dark' ? '#0F172A' : '#1E293B'
+                  },
+                  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+                  fontSize: getFontSize() // Apply theme font size to tooltip text
+                }
               }
             }}
           >
-            {amountInfo.display}
-          </Typography>
-        </Tooltip>
-      </TableCell>
-      
-      {!isMobile && (
-        <>
-          <TableCell 
-            sx={{ 
-              color: textColor,
-              fontSize: getFontSize() // Apply theme font size
-            }}
-          >
-            {transaction.createdAt ? format(new Date(transaction.createdAt), "dd MMM yyyy HH:mm") : "N/A"}
-          </TableCell>
-          
-          <TableCell sx={{ color: textColor }}>
-            <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
-              <Avatar {...stringAvatar(transaction.createdBy?.fullName || "Unknown User")} />
+            <Typography 
+              sx={{ 
+                fontSize: getFontSize(), // Apply theme font size to amount
+                fontWeight: "bold", 
+                color: textColor,
+                textDecoration: isVoided ? 'line-through' : 'none',
+                display: 'inline-block',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                maxWidth: '100%',
+                '& .amount-value': {
+                  color: accentColor
+                }
+              }}
+            >
+              {amountInfo.display}
+            </Typography>
+            {transaction.toCurrency && (
               <Typography 
-                variant="body2"
-                sx={{
-                  fontSize: fontSize === 'small' ? '0.75rem' : 
-                           fontSize === 'large' ? '0.95rem' : 
-                           fontSize === 'extra-large' ? '1.1rem' : '0.875rem', 
-                }}
+                variant="caption" 
+                sx={{ display: 'block', color: textColor, opacity: 0.7, whiteSpace: 'nowrap' }}
               >
-                {transaction.createdBy?.fullName || "Unknown"}
+                {formatCurrency(transaction.toAmount, transaction.toCurrency)} out
               </Typography>
-            </Box>
-          </TableCell>
-        </>
+            )}
+          </Tooltip>
+        </TableCell>
+      )}
+      
+      {show("createdAt") && (
+        <TableCell 
+          sx={{ 
+            color: textColor,
+            fontSize: getFontSize() // Apply theme font size
+          }}
+        >
+          {transaction.createdAt ? format(new Date(transaction.createdAt), "dd MMM yyyy HH:mm") : "N/A"}
+        </TableCell>
+      )}
+      
+      {show("createdBy") && (
+        <TableCell sx={{ color: textColor }}>
+          <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+            <Avatar {...stringAvatar(transaction.createdBy?.fullName || "Unknown User")} />
+            <Typography 
+              variant="body2"
+              sx={{
+                fontSize: fontSize === 'small' ? '0.75rem' : 
+                         fontSize === 'large' ? '0.95rem' : 
+                         fontSize === 'extra-large' ? '1.1rem' : '0.875rem', 
+              }}
+            >
+              {transaction.createdBy?.fullName || "Unknown"}
+            </Typography>
+          </Box>
+        </TableCell>
       )}
     </TableRow>
   );
@@ -171,13 +210,25 @@ TransactionRow.propTypes = {
     type: PropTypes.string.isRequired,
     currency: PropTypes.string.isRequired,
     amount: PropTypes.number.isRequired,
+    toCurrency: PropTypes.string,
+    toAmount: PropTypes.number,
+    status: PropTypes.string,
+    voidedAt: PropTypes.string,
+    reversalOf: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    refundOf: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    requiresApproval: PropTypes.bool,
+    rejectionReason: PropTypes.string,
+    complianceHold: PropTypes.shape({
+      status: PropTypes.string
+    }),
     createdAt: PropTypes.string,
     createdBy: PropTypes.shape({
       fullName: PropTypes.string
     })
   }).isRequired,
   onClick: PropTypes.func.isRequired,
-  isMobile: PropTypes.bool.isRequired
+  isMobile: PropTypes.bool.isRequired,
+  columns: PropTypes.arrayOf(PropTypes.string).isRequired
 };
 
 export default TransactionRow;
\ No newline at end of file
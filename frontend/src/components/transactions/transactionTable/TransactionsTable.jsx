@@ -1,17 +1,44 @@
-import { useEffect, useState } from "react";
+import { useContext, useEffect, useRef, useState } from "react";
 import axios from "axios";
 import PropTypes from "prop-types";
-import { Box, Alert, Button, Fade, useMediaQuery } from "@mui/material";
+import { useSearchParams } from "react-router-dom";
+import { Box, Alert, Button, Fade, Snackbar, useMediaQuery } from "@mui/material";
 import { useTheme as useMuiTheme } from "@mui/material/styles";
 import { useTheme } from "../../../context/ThemeContext"; // Import your theme context
+import { AuthContext } from "../../../context/AuthContext";
+import {
+  fetchTransactionViews,
+  fetchTransactionView,
+  createTransactionView,
+  updateTransactionView,
+  deleteTransactionView
+} from "../../../services/TransactionViewService";
+import { fetchTransactionCategories } from "../../../services/TransactionCategoryService";
 
 import SearchBar from "./SearchBar";
 import FilterPanel from "./FilterPanel";
+import ViewTabs from "./ViewTabs";
 import TransactionsTableView from "./TransactionsTableView";
 import ViewTransactionModal from "../viewTransactionModal/ViewTransactionModal";
+import { DEFAULT_COLUMNS } from "./transactionColumns";
+import { resolveDateRange } from "./dateRanges";
 
 const BASE_URL = import.meta.env.VITE_BASE_URL;
 
+// Transactions fetched per page as the table scrolls
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = {
+  search: "",
+  currency: "",
+  type: "",
+  category: "",
+  tag: "",
+  dateRange: "",
+  dateFrom: "",
+  dateTo: ""
+};
+
 /**
  * Helper function to ensure we're working with an array
  * Handles different response formats from the API
@@ -34,41 +61,57 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
   const muiTheme = useMuiTheme();
   const { mode, primaryColor } = useTheme();
   const isMobile = useMediaQuery(muiTheme.breakpoints.down("md"));
+  const { user } = useContext(AuthContext);
   
   // State for transactions and pagination
   const [transactions, setTransactions] = useState([]);
   const [totalTransactions, setTotalTransactions] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [initialLoad, setInitialLoad] = useState(true);
   const [error, setError] = useState(null);
+
+  // Bumped on every fresh load so a late page from an older list is dropped
+  const listVersion = useRef(0);
   
   // State for modal
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
   
-  // State for sorting and pagination
+  // State for sorting
   const [order, setOrder] = useState("desc");
   const [orderBy, setOrderBy] = useState("createdAt");
-  const [page, setPage] = useState(0);
-  const [rowsPerPage, setRowsPerPage] = useState(10);
   
   // State for filters
   const [filters, setFilters] = useState({
-    search: externalSearch || "",
-    currency: "",
-    type: "",
-    dateFrom: "", 
-    dateTo: ""
+    ...EMPTY_FILTERS,
+    search: externalSearch || ""
   });
+
+  // Saved views; the open one is kept in the URL (?view=<id>) so it can be shared as a link
+  const [views, setViews] = useState([]);
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeViewId = searchParams.get("view");
+  const linkedViewId = useRef(activeViewId);
+  const activeView = views.find((view) => view._id === activeViewId) || null;
+  const canEditActiveView = Boolean(activeView && user &&
+    (user.role === "admin" || activeView.owner?._id === user._id));
+
+  // Bumped to reload once filters, sort and columns have all been replaced
+  const [reloadKey, setReloadKey] = useState(0);
+  const [notice, setNotice] = useState({ open: false, message: "", severity: "success" });
   
   // Available currencies (will be fetched from API)
   const [availableCurrencies, setAvailableCurrencies] = useState([]);
+  const [availableCategories, setAvailableCategories] = useState([]);
   
   // UI state
   const [showFilters, setShowFilters] = useState(false);
 
   // Transaction types for dropdown
-  const transactionTypes = ["Cash In", "Cash Out", "Buy", "Sell"];
+  const transactionTypes = ["Cash In", "Cash Out", "Buy", "Sell", "Exchange"];
 
   // Theme-based colors
   const alertBgColor = mode === 'dark' ? 'rgba(239, 68, 68, 0.15)' : 'rgba(239, 68, 68, 0.1)';
@@ -86,7 +129,39 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
   useEffect(() => {
     fetchTransactions();
     fetchAvailableCurrencies();
-  }, [page, rowsPerPage, order, orderBy, refreshKey]);
+    fetchAvailableCategories();
+  }, [order, orderBy, refreshKey, reloadKey]);
+
+  useEffect(() => {
+    // Load the saved views, then open the one a shared link points to
+    const loadViews = async () => {
+      try {
+        const savedViews = await fetchTransactionViews();
+        setViews(savedViews);
+
+        const viewId = linkedViewId.current;
+        if (viewId) {
+          // A view shared by link may not be in the list yet
+          const view = savedViews.find((item) => item._id === viewId) || await fetchTransactionView(viewId);
+          setViews(prev => (prev.some((item) => item._id === view._id) ? prev : [...prev, view]));
+          applyView(view);
+        }
+      } catch (error) {
+        setError(error.response?.data?.message || "Failed to load saved views.");
+      }
+    };
+
+    loadViews();
+  }, []);
+
+  // Replace the filters, sort and columns with a view's (or the defaults) and reload
+  const applyView = (view) => {
+    setFilters(view ? { ...EMPTY_FILTERS, ...view.filters } : EMPTY_FILTERS);
+    setOrderBy(view?.sortBy || "createdAt");
+    setOrder(view?.sortOrder === 1 ? "asc" : "desc");
+    setColumns(view?.columns?.length ? view.columns : DEFAULT_COLUMNS);
+    setReloadKey(prev => prev + 1);
+  };
 
   const fetchAvailableCurrencies = async () => {
     try {
@@ -112,45 +187,101 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
     }
   };
 
-  const fetchTransactions = async () => {
+  // Every category, including inactive ones, so older transactions can still be found
+  const fetchAvailableCategories = async () => {
+    try {
+      setAvailableCategories(await fetchTransactionCategories());
+    } catch (error) {
+      console.error("Error fetching available categories:", error);
+    }
+  };
+
+  // Fetch one page of transactions, starting after the given cursor
+  const requestPage = async (cursor, activeFilters = filters) => {
+    const token = localStorage.getItem("token");
+    if (!token) {
+      throw new Error("No token found, user not authenticated");
+    }
+
+    // A relative date range is worked out on every request, so "Today" stays today
+    const { dateFrom, dateTo } = resolveDateRange(activeFilters.dateRange) || activeFilters;
+
+    // Build query parameters
+    const params = new URLSearchParams({
+      limit: PAGE_SIZE,
+      sortBy: orderBy,
+      sortOrder: order === 'asc' ? '1' : '-1',
+      search: activeFilters.search || '',
+      ...(cursor && { cursor }),
+      ...(activeFilters.currency && { currency: activeFilters.currency }),
+      ...(activeFilters.type && { type: activeFilters.type }),
+      ...(activeFilters.category && { category: activeFilters.category }),
+      ...(activeFilters.tag && { tag: activeFilters.tag }),
+      ...(dateFrom && { dateFrom }),
+      ...(dateTo && { dateTo })
+    });
+
+    const { data } = await axios.get(`${BASE_URL}/transactions?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    return {
+      transactionsList: data.transactions || [],
+      paginationInfo: data.pagination || {}
+    };
+  };
+
+  // Load the list again from the top
+  const fetchTransactions = async (activeFilters = filters) => {
+    const version = ++listVersion.current;
     setLoading(true);
+    setLoadingMore(false);
     setError(null);
     
     try {
-      const token = localStorage.getItem("token");
-      if (!token) {
-        throw new Error("No token found, user not authenticated");
+      const { transactionsList, paginationInfo } = await requestPage(null, activeFilters);
+      if (version !== listVersion.current) return;
+
+      setTransactions(transactionsList);
+      setTotalTransactions(paginationInfo.total ?? transactionsList.length);
+      setNextCursor(paginationInfo.nextCursor || null);
+    } catch (error) {
+      if (version !== listVersion.current) return;
+      console.error("Error fetching transactions:", error.response?.data?.message || error.message);
+      setError(error.response?.data?.message || "Failed to load transactions. Please try again.");
+    } finally {
+      if (version === listVersion.current) {
+        setLoading(false);
+        setInitialLoad(false);
       }
+    }
+  };
 
-      // Build query parameters
-      const params = new URLSearchParams({
-        page: page + 1, // Backend uses 1-based pagination
-        limit: rowsPerPage,
-        sortBy: orderBy,
-        sortOrder: order === 'asc' ? '1' : '-1',
-        search: filters.search || '',
-        ...(filters.currency && { currency: filters.currency }),
-        ...(filters.type && { type: filters.type }),
-        ...(filters.dateFrom && { dateFrom: filters.dateFrom }),
-        ...(filters.dateTo && { dateTo: filters.dateTo })
-      });
+  // Reload with the current filters (also used as a click handler)
+  const refreshTransactions = () => fetchTransactions();
 
-      const { data } = await axios.get(`${BASE_URL}/transactions?${params.toString()}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
+  // Append the next page when the end of the list scrolls into view
+  const loadMoreTransactions = async () => {
+    if (!nextCursor || loadingMore) return;
 
-      // Handle different response formats
-      const transactionsList = data.transactions || [];
-      const paginationInfo = data.pagination || { total: 0 };
+    const version = listVersion.current;
+    setLoadingMore(true);
 
-      setTransactions(transactionsList);
-      setTotalTransactions(paginationInfo.total);
+    try {
+      const { transactionsList, paginationInfo } = await requestPage(nextCursor);
+      if (version !== listVersion.current) return;
+
+      setTransactions(prev => [...prev, ...transactionsList]);
+      setNextCursor(paginationInfo.nextCursor || null);
     } catch (error) {
+      if (version !== listVersion.current) return;
       console.error("Error fetching transactions:", error.response?.data?.message || error.message);
-      setError(error.response?.data?.message || "Failed to load transactions. Please try again.");
+      setError(error.response?.data?.message || "Failed to load more transactions. Please try again.");
+      setNextCursor(null);
     } finally {
-      setLoading(false);
-      setInitialLoad(false);
+      if (version === listVersion.current) {
+        setLoadingMore(false);
+      }
     }
   };
 
@@ -170,19 +301,12 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
     setOrderBy(property);
   };
 
-  const handleChangePage = (_, newPage) => {
-    setPage(newPage);
-  };
-
-  const handleChangeRowsPerPage = (event) => {
-    setRowsPerPage(parseInt(event.target.value, 10));
-    setPage(0);
-  };
-
   const handleFilterChange = (field, value) => {
     setFilters(prev => ({
       ...prev,
-      [field]: value
+      [field]: value,
+      // Show the days a date range covers; they are worked out again when fetching
+      ...(field === "dateRange" && resolveDateRange(value))
     }));
   };
 
@@ -192,16 +316,79 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
   };
 
   const handleResetFilters = () => {
-    setFilters({
-      search: "",
-      currency: "",
-      type: "",
-      dateFrom: "",
-      dateTo: ""
-    });
-    setPage(0);
-    // Fetch with reset filters after state updates
-    setTimeout(() => fetchTransactions(), 0);
+    setFilters(EMPTY_FILTERS);
+    fetchTransactions(EMPTY_FILTERS);
+  };
+
+  const handleSelectView = (viewId) => {
+    setSearchParams(viewId ? { view: viewId } : {});
+    applyView(views.find((view) => view._id === viewId) || null);
+  };
+
+  // Filters, sort and columns as a view saves them
+  const currentViewSettings = () => ({
+    filters: filters.dateRange ? { ...filters, dateFrom: "", dateTo: "" } : filters,
+    sortBy: orderBy,
+    sortOrder: order === "asc" ? 1 : -1,
+    columns
+  });
+
+  const handleSaveView = async ({ name, shared }) => {
+    try {
+      const view = await createTransactionView({ name, shared, ...currentViewSettings() });
+      setViews(prev => [...prev, view]);
+      setSearchParams({ view: view._id });
+      setNotice({ open: true, message: `View "${view.name}" saved`, severity: "success" });
+    } catch (error) {
+      setNotice({ open: true, message: error.response?.data?.message || "Failed to save the view.", severity: "error" });
+      throw error;
+    }
+  };
+
+  const changeActiveView = async (changes, message) => {
+    try {
+      const view = await updateTransactionView(activeViewId, changes);
+      setViews(prev => prev.map((item) => (item._id === view._id ? view : item)));
+      setNotice({ open: true, message, severity: "success" });
+    } catch (error) {
+      setNotice({ open: true, message: error.response?.data?.message || "Failed to update the view.", severity: "error" });
+    }
+  };
+
+  const handleUpdateView = () => changeActiveView(currentViewSettings(), `View "${activeView.name}" updated`);
+
+  const handleToggleShared = () => changeActiveView(
+    { shared: !activeView.shared },
+    activeView.shared ? `"${activeView.name}" is no longer shared` : `"${activeView.name}" is now shared with everyone`
+  );
+
+  const handleDeleteView = async () => {
+    if (!window.confirm(`Delete the view "${activeView.name}"?`)) return;
+
+    try {
+      await deleteTransactionView(activeViewId);
+      setViews(prev => prev.filter((item) => item._id !== activeViewId));
+      setSearchParams({});
+      applyView(null);
+      setNotice({ open: true, message: "View deleted", severity: "success" });
+    } catch (error) {
+      setNotice({ open: true, message: error.response?.data?.message || "Failed to delete the view.", severity: "error" });
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}?view=${activeViewId}`);
+      setNotice({ open: true, message: "Link copied", severity: "success" });
+    } catch (error) {
+      console.error("Error copying view link:", error);
+      setNotice({ open: true, message: "Could not copy the link.", severity: "error" });
+    }
+  };
+
+  const handleCloseNotice = (_, reason) => {
+    if (reason === "clickaway") return;
+    setNotice(prev => ({ ...prev, open: false }));
   };
 
   const handleToggleFilters = () => {
@@ -211,6 +398,21 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
   return (
     <Fade in={true} timeout={500}>
       <Box>
+        {/* Saved Views */}
+        <ViewTabs
+          views={views}
+          activeViewId={activeView ? activeViewId : null}
+          canEditActiveView={canEditActiveView}
+          columns={columns}
+          onSelectView={handleSelectView}
+          onColumnsChange={setColumns}
+          onSaveView={handleSaveView}
+          onUpdateView={handleUpdateView}
+          onToggleShared={handleToggleShared}
+          onDeleteView={handleDeleteView}
+          onCopyLink={handleCopyLink}
+        />
+
         {/* Search and Filter Controls */}
         <SearchBar 
           search={filters.search}
@@ -219,7 +421,7 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
           onToggleFilters={handleToggleFilters}
           showFilters={showFilters}
           loading={loading}
-          onRefresh={fetchTransactions}
+          onRefresh={refreshTransactions}
           onNewTransactionClick={onNewTransactionClick}
         />
 
@@ -228,8 +430,9 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
           filters={filters}
           onFilterChange={handleFilterChange}
           onResetFilters={handleResetFilters}
-          onApplyFilters={fetchTransactions}
+          onApplyFilters={refreshTransactions}
           availableCurrencies={availableCurrencies}
+          availableCategories={availableCategories}
           transactionTypes={transactionTypes}
           loading={loading}
         />
@@ -250,7 +453,7 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
               <Button 
                 color="inherit" 
                 size="small" 
-                onClick={fetchTransactions}
+                onClick={refreshTransactions}
                 sx={{ color: alertButtonColor }}
               >
                 Retry
@@ -270,13 +473,13 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
           order={order}
           orderBy={orderBy}
           onSortRequest={handleSortRequest}
-          page={page}
-          rowsPerPage={rowsPerPage}
           totalTransactions={totalTransactions}
-          onChangePage={handleChangePage}
-          onChangeRowsPerPage={handleChangeRowsPerPage}
-          onRefresh={fetchTransactions}
+          hasMore={Boolean(nextCursor)}
+          loadingMore={loadingMore}
+          onLoadMore={loadMoreTransactions}
+          onRefresh={refreshTransactions}
           isMobile={isMobile}
+          columns={columns}
         />
 
         {/* View Transaction Dialog */}
@@ -284,8 +487,20 @@ const TransactionsTable = ({ search: externalSearch, refreshKey, onNewTransactio
           isOpen={isViewModalOpen} 
           onClose={handleCloseModal} 
           transaction={selectedTransaction} 
-          onTransactionUpdated={fetchTransactions}
+          onTransactionUpdated={refreshTransactions}
         />
+
+        {/* View Notifications */}
+        <Snackbar
+          open={notice.open}
+          autoHideDuration={4000}
+          onClose={handleCloseNotice}
+          anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+        >
+          <Alert onClose={handleCloseNotice} severity={notice.severity} variant="filled">
+            {notice.message}
+          </Alert>
+        </Snackbar>
       </Box>
     </Fade>
   );
@@ -1,29 +1,20 @@
 import { TableHead, TableRow, TableCell, TableSortLabel } from "@mui/material";
 import PropTypes from "prop-types";
 import { useTheme } from "../../../context/ThemeContext"; // Import your theme context
+import { TRANSACTION_COLUMNS, isColumnVisible } from "./transactionColumns";
 
-const TransactionsTableHeader = ({ order, orderBy, onSortRequest, isMobile }) => {
+const TransactionsTableHeader = ({ order, orderBy, onSortRequest, isMobile, columns }) => {
   const { mode } = useTheme(); // Get theme mode
   
   // Theme-based colors
   const headerBgColor = mode === 'dark' ? "#334155" : "#F1F5F9";
   const textColor = mode === 'dark' ? "white" : "#1E293B";
   
-  const headers = [
-    { id: "reference", label: "Reference", hideOnMobile: true },
-    { id: "customerName", label: "Customer" },
-    { id: "type", label: "Type" },
-    { id: "currency", label: "Currency", hideOnMobile: true },
-    { id: "amount", label: "Amount" }, 
-    { id: "createdAt", label: "Created Date", hideOnMobile: true },
-    { id: "createdBy", label: "Created By", hideOnMobile: true }
-  ];
-
   return (
     <TableHead>
       <TableRow sx={{ backgroundColor: headerBgColor }}>
-        {headers.map((column) =>
-          isMobile && column.hideOnMobile ? null : (
+        {TRANSACTION_COLUMNS.map((column) =>
+          !isColumnVisible(column.id, columns, isMobile) ? null : (
             <TableCell 
               key={column.id} 
               sx={{ 
@@ -60,7 +51,8 @@ TransactionsTableHeader.propTypes = {
   order: PropTypes.oneOf(["asc", "desc"]).isRequired,
   orderBy: PropTypes.string.isRequired,
   onSortRequest: PropTypes.func.isRequired,
-  isMobile: PropTypes.bool.isRequired
+  isMobile: PropTypes.bool.isRequired,
+  columns: PropTypes.arrayOf(PropTypes.string).isRequired
 };
 
 export default TransactionsTableHeader;
\ No newline at end of file
@@ -7,7 +7,8 @@ import TransactionRow from "./TransactionRow";
 import TableSkeleton from "./TableSkeleton";
 import EmptyState from "./EmptyState";
 import LoadingState from "./LoadingState";
-import TablePaginationControls from "./TablePaginationControls";
+import InfiniteScrollFooter from "./InfiniteScrollFooter";
+import { TRANSACTION_COLUMNS, isColumnVisible } from "./transactionColumns";
 
 const TransactionsTableView = ({
   transactions,
@@ -17,13 +18,13 @@ const TransactionsTableView = ({
   order,
   orderBy,
   onSortRequest,
-  page,
-  rowsPerPage,
   totalTransactions,
-  onChangePage,
-  onChangeRowsPerPage,
+  hasMore,
+  loadingMore,
+  onLoadMore,
   onRefresh,
-  isMobile
+  isMobile,
+  columns
 }) => {
   const { mode } = useTheme(); // Get theme mode
   
@@ -33,7 +34,7 @@ const TransactionsTableView = ({
     ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
     : '0 2px 4px rgba(0, 0, 0, 0.08)';
   
-  const columnCount = isMobile ? 3 : 7;
+  const columnCount = TRANSACTION_COLUMNS.filter((column) => isColumnVisible(column.id, columns, isMobile)).length;
 
   return (
     <Paper 
@@ -53,6 +54,7 @@ const TransactionsTableView = ({
             orderBy={orderBy}
             onSortRequest={onSortRequest}
             isMobile={isMobile}
+            columns={columns}
           />
           
           {initialLoad ? (
@@ -69,6 +71,7 @@ const TransactionsTableView = ({
                   transaction={transaction}
                   onClick={onTransactionClick}
                   isMobile={isMobile}
+                  columns={columns}
                 />
               ))}
             </tbody>
@@ -76,14 +79,16 @@ const TransactionsTableView = ({
         </Table>
       </TableContainer>
 
-      {/* Pagination Controls */}
-      <TablePaginationControls
-        count={totalTransactions}
-        page={page}
-        rowsPerPage={rowsPerPage}
-        onPageChange={onChangePage}
-        onRowsPerPageChange={onChangeRowsPerPage}
-      />
+      {/* Further pages load as the end of the list scrolls into view */}
+      {!initialLoad && !loading && (
+        <InfiniteScrollFooter
+          loadedCount={transactions.length}
+          totalCount={totalTransactions}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          onLoadMore={onLoadMore}
+        />
+      )}
     </Paper>
   );
 };
@@ -96,13 +101,13 @@ TransactionsTableView.propTypes = {
   order: PropTypes.oneOf(["asc", "desc"]).isRequired,
   orderBy: PropTypes.string.isRequired,
   onSortRequest: PropTypes.func.isRequired,
-  page: PropTypes.number.isRequired,
-  rowsPerPage: PropTypes.number.isRequired,
-  totalTransactions: PropTypes.number.isRequired,
-  onChangePage: PropTypes.func.isRequired,
-  onChangeRowsPerPage: PropTypes.func.isRequired,
+  totalTransactions: PropTypes.number,
+  hasMore: PropTypes.bool.isRequired,
+  loadingMore: PropTypes.bool.isRequired,
+  onLoadMore: PropTypes.func.isRequired,
   onRefresh: PropTypes.func.isRequired,
-  isMobile: PropTypes.bool.isRequired
+  isMobile: PropTypes.bool.isRequired,
+  columns: PropTypes.arrayOf(PropTypes.string).isRequired
 };
 
 export default TransactionsTableView;
\ No newline at end of file
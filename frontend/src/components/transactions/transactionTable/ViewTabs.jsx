@@ -0,0 +1,264 @@
+import { useState } from "react";
+import {
+  Paper,
+  Tabs,
+  Tab,
+  Stack,
+  IconButton,
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  FormControlLabel,
+  Switch,
+  CircularProgress
+} from "@mui/material";
+import ViewColumnIcon from "@mui/icons-material/ViewColumn";
+import BookmarkAddIcon from "@mui/icons-material/BookmarkAdd";
+import MoreVertIcon from "@mui/icons-material/MoreVert";
+import SaveIcon from "@mui/icons-material/Save";
+import ShareIcon from "@mui/icons-material/Share";
+import LinkIcon from "@mui/icons-material/Link";
+import DeleteIcon from "@mui/icons-material/Delete";
+import PeopleIcon from "@mui/icons-material/People";
+import PropTypes from "prop-types";
+import { useTheme } from "../../../context/ThemeContext"; // Import your theme context
+import { TRANSACTION_COLUMNS } from "./transactionColumns";
+
+// Tab value for the list without a saved view
+const ALL_TRANSACTIONS = "all";
+
+const ViewTabs = ({
+  views,
+  activeViewId,
+  canEditActiveView,
+  columns,
+  onSelectView,
+  onColumnsChange,
+  onSaveView,
+  onUpdateView,
+  onToggleShared,
+  onDeleteView,
+  onCopyLink
+}) => {
+  const { mode, primaryColor } = useTheme(); // Get theme settings
+
+  // Theme-based colors
+  const paperBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.6)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+  const shadowColor = mode === 'dark'
+    ? '0 4px 8px rgba(0, 0, 0, 0.25)'
+    : '0 2px 4px rgba(0, 0, 0, 0.08)';
+
+  const [columnsAnchor, setColumnsAnchor] = useState(null);
+  const [moreAnchor, setMoreAnchor] = useState(null);
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [newView, setNewView] = useState({ name: "", shared: false });
+  const [saving, setSaving] = useState(false);
+
+  const activeView = views.find((view) => view._id === activeViewId) || null;
+
+  const handleToggleColumn = (columnId) => {
+    const next = columns.includes(columnId)
+      ? columns.filter((id) => id !== columnId)
+      : TRANSACTION_COLUMNS.map((column) => column.id).filter((id) => id === columnId || columns.includes(id));
+    onColumnsChange(next);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSaveView({ name: newView.name.trim(), shared: newView.shared });
+      setSaveOpen(false);
+      setNewView({ name: "", shared: false });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Close the menu before running one of its actions
+  const runMenuAction = (action) => () => {
+    setMoreAnchor(null);
+    action();
+  };
+
+  return (
+    <Paper sx={{
+      mb: 2,
+      px: 1,
+      bgcolor: paperBgColor,
+      borderRadius: 2,
+      boxShadow: shadowColor,
+      border: mode === 'dark'
+        ? '1px solid rgba(255, 255, 255, 0.05)'
+        : '1px solid rgba(0, 0, 0, 0.05)'
+    }}>
+      <Stack direction="row" alignItems="center" spacing={1}>
+        <Tabs
+          value={activeView ? activeView._id : ALL_TRANSACTIONS}
+          onChange={(_, value) => onSelectView(value === ALL_TRANSACTIONS ? null : value)}
+          variant="scrollable"
+          scrollButtons="auto"
+          sx={{
+            flex: 1,
+            minHeight: 44,
+            '& .MuiTab-root': { color: secondaryTextColor, minHeight: 44, textTransform: 'none' },
+            '& .MuiTab-root.Mui-selected': { color: accentColor },
+            '& .MuiTabs-indicator': { backgroundColor: accentColor }
+          }}
+        >
+          <Tab value={ALL_TRANSACTIONS} label="All Transactions" />
+          {views.map((view) => (
+            <Tab
+              key={view._id}
+              value={view._id}
+              label={view.name}
+              icon={view.shared ? <PeopleIcon fontSize="small" /> : undefined}
+              iconPosition="end"
+            />
+          ))}
+        </Tabs>
+
+        <Tooltip title="Columns">
+          <IconButton onClick={(e) => setColumnsAnchor(e.currentTarget)} sx={{ color: textColor }}>
+            <ViewColumnIcon />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Save as new view">
+          <IconButton onClick={() => setSaveOpen(true)} sx={{ color: textColor }}>
+            <BookmarkAddIcon />
+          </IconButton>
+        </Tooltip>
+        {activeView && (
+          <IconButton onClick={(e) => setMoreAnchor(e.currentTarget)} sx={{ color: textColor }}>
+            <MoreVertIcon />
+          </IconButton>
+        )}
+      </Stack>
+
+      {/* Visible columns */}
+      <Menu
+        anchorEl={columnsAnchor}
+        open={Boolean(columnsAnchor)}
+        onClose={() => setColumnsAnchor(null)}
+        PaperProps={{ sx: { bgcolor: paperBgColor, color: textColor } }}
+      >
+        {TRANSACTION_COLUMNS.map((column) => (
+          <MenuItem
+            key={column.id}
+            dense
+            disabled={column.required}
+            onClick={() => handleToggleColumn(column.id)}
+          >
+            <Checkbox
+              size="small"
+              checked={column.required || columns.includes(column.id)}
+              sx={{ p: 0, mr: 1, color: secondaryTextColor, '&.Mui-checked': { color: accentColor } }}
+            />
+            {column.label}
+          </MenuItem>
+        ))}
+      </Menu>
+
+      {/* Actions on the open view */}
+      <Menu
+        anchorEl={moreAnchor}
+        open={Boolean(moreAnchor)}
+        onClose={() => setMoreAnchor(null)}
+        PaperProps={{ sx: { bgcolor: paperBgColor, color: textColor } }}
+      >
+        <MenuItem onClick={runMenuAction(onCopyLink)}>
+          <ListItemIcon sx={{ color: textColor }}><LinkIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>Copy link</ListItemText>
+        </MenuItem>
+        {canEditActiveView && [
+          <Divider key="divider" />,
+          <MenuItem key="update" onClick={runMenuAction(onUpdateView)}>
+            <ListItemIcon sx={{ color: textColor }}><SaveIcon fontSize="small" /></ListItemIcon>
+            <ListItemText>Save current filters to &quot;{activeView?.name}&quot;</ListItemText>
+          </MenuItem>,
+          <MenuItem key="share" onClick={runMenuAction(onToggleShared)}>
+            <ListItemIcon sx={{ color: textColor }}><ShareIcon fontSize="small" /></ListItemIcon>
+            <ListItemText>{activeView?.shared ? "Stop sharing" : "Share with everyone"}</ListItemText>
+          </MenuItem>,
+          <MenuItem key="delete" onClick={runMenuAction(onDeleteView)}>
+            <ListItemIcon sx={{ color: textColor }}><DeleteIcon fontSize="small" /></ListItemIcon>
+            <ListItemText>Delete view</ListItemText>
+          </MenuItem>
+        ]}
+      </Menu>
+
+      {/* Save the current filters, sort and columns as a new view */}
+      <Dialog open={saveOpen} onClose={saving ? null : () => setSaveOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save View</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={newView.name}
+            onChange={(e) => setNewView({ ...newView, name: e.target.value })}
+            inputProps={{ maxLength: 40 }}
+            helperText="e.g. Today's USD sells"
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={newView.shared}
+                onChange={(e) => setNewView({ ...newView, shared: e.target.checked })}
+              />
+            }
+            label="Share with everyone"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !newView.name.trim()}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+ViewTabs.propTypes = {
+  views: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    shared: PropTypes.bool
+  })).isRequired,
+  activeViewId: PropTypes.string,
+  canEditActiveView: PropTypes.bool.isRequired,
+  columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelectView: PropTypes.func.isRequired,
+  onColumnsChange: PropTypes.func.isRequired,
+  onSaveView: PropTypes.func.isRequired,
+  onUpdateView: PropTypes.func.isRequired,
+  onToggleShared: PropTypes.func.isRequired,
+  onDeleteView: PropTypes.func.isRequired,
+  onCopyLink: PropTypes.func.isRequired
+};
+
+ViewTabs.defaultProps = {
+  activeViewId: null
+};
+
+export default ViewTabs;
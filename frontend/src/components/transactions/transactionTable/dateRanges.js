@@ -0,0 +1,32 @@
+import { format, subDays, startOfMonth, endOfMonth, subMonths } from "date-fns";
+
+// Date ranges a saved view keeps relative to the day it is opened
+export const DATE_RANGES = [
+  { id: "today", label: "Today" },
+  { id: "yesterday", label: "Yesterday" },
+  { id: "last7Days", label: "Last 7 days" },
+  { id: "thisMonth", label: "This month" },
+  { id: "lastMonth", label: "Last month" }
+];
+
+const day = (date) => format(date, "yyyy-MM-dd");
+
+// First and last day (YYYY-MM-DD) of a date range, as of now
+export const resolveDateRange = (range, now = new Date()) => {
+  switch (range) {
+    case "today":
+      return { dateFrom: day(now), dateTo: day(now) };
+    case "yesterday":
+      return { dateFrom: day(subDays(now, 1)), dateTo: day(subDays(now, 1)) };
+    case "last7Days":
+      return { dateFrom: day(subDays(now, 6)), dateTo: day(now) };
+    case "thisMonth":
+      return { dateFrom: day(startOfMonth(now)), dateTo: day(now) };
+    case "lastMonth": {
+      const lastMonth = subMonths(now, 1);
+      return { dateFrom: day(startOfMonth(lastMonth)), dateTo: day(endOfMonth(lastMonth)) };
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,92 @@
+// Helpers for autocompleting the transaction search language
+// (see backend helpers/transactionSearch for the full grammar)
+
+// Examples shown in the search help
+export const SEARCH_EXAMPLES = [
+  { query: "amount>500", meaning: "Amount over 500 (also >=, <, <=, =)" },
+  { query: "amount:100..250", meaning: "Amount from 100 to 250" },
+  { query: "currency:USD,EUR", meaning: "USD or EUR on either side" },
+  { query: "type:Sell status:Refunded", meaning: "Refunded sales" },
+  { query: "by:jdoe", meaning: "Created by user jdoe" },
+  { query: "by:me status:Pending", meaning: "Your pending transactions" },
+  { query: 'category:"Remittance"', meaning: "Filed under Remittance (category:none for uncategorized)" },
+  { query: "tag:urgent,vip", meaning: "Tagged urgent or vip" },
+  { query: 'notes:"wire transfer"', meaning: "Notes containing the phrase" },
+  { query: "created:2026-01..2026-03", meaning: "Created January to March 2026" },
+  { query: "-status:Cancelled", meaning: "Leave out cancelled transactions" },
+  { query: "smith", meaning: "Name, email or reference containing smith" }
+];
+
+// Hints for fields whose values cannot be listed
+const VALUE_HINTS = {
+  number: "A number, e.g. >500, :100..250 or =75.50",
+  date: "A date as YYYY, YYYY-MM or YYYY-MM-DD, or a range like 2026-01..2026-03",
+  text: 'Text to look for; put phrases in quotes, e.g. "wire transfer"'
+};
+
+// Find where the term being typed starts (spaces inside quotes don't count)
+const activeTermStart = (search) => {
+  let start = 0;
+  let inQuotes = false;
+  for (let index = 0; index < search.length; index++) {
+    const char = search[index];
+    if (char === "\\" && inQuotes) index++;
+    else if (char === '"') inQuotes = !inQuotes;
+    else if (/\s/.test(char) && !inQuotes) start = index + 1;
+  }
+  return start;
+};
+
+// Quote a value that holds spaces or commas so it stays one value
+const quoteValue = (value) => (/[\s,"]/.test(value) ? `"${value.replace(/(["\\])/g, "\\$1")}"` : value);
+
+/**
+ * Work out what can be suggested for the term being typed at the end of a search
+ *
+ * Returns { kind: "fields", prefix } while a field name is typed,
+ * { kind: "values", field, prefix } while a listable value is typed,
+ * { kind: "hint", field, hint } for other values, or null.
+ */
+export const getSuggestionContext = (search, fields) => {
+  const term = search.slice(activeTermStart(search));
+
+  const fieldMatch = /^-?([A-Za-z]*)$/.exec(term);
+  if (fieldMatch) {
+    return { kind: "fields", prefix: fieldMatch[1].toLowerCase() };
+  }
+
+  const valueMatch = /^-?([A-Za-z]+)(>=|<=|:|=|>|<)(.*)$/.exec(term);
+  if (!valueMatch) return null;
+
+  const field = fields.find((item) => item.name === valueMatch[1].toLowerCase());
+  if (!field) return null;
+
+  if (["enum", "code", "user", "category", "tag"].includes(field.kind)) {
+    // Only the value after the last comma is being typed
+    const lastValue = valueMatch[3].split(",").pop().replace(/^"/, "");
+    return { kind: "values", field: field.name, prefix: lastValue };
+  }
+  return { kind: "hint", field: field.name, hint: VALUE_HINTS[field.kind] || field.description };
+};
+
+/**
+ * Replace the term being typed with a chosen field or value
+ *
+ * A field is completed up to its colon so values can be suggested next;
+ * a value closes the term with a space.
+ */
+export const applySuggestion = (search, option) => {
+  const start = activeTermStart(search);
+  const term = search.slice(start);
+  const negation = term.startsWith("-") ? "-" : "";
+
+  if (option.type === "field") {
+    return `${search.slice(0, start)}${negation}${option.value}:`;
+  }
+
+  // Keep the field, operator and any earlier values in a list
+  const commaIndex = term.lastIndexOf(",");
+  const operatorMatch = /^-?[A-Za-z]+(>=|<=|:|=|>|<)/.exec(term);
+  const keep = commaIndex !== -1 ? term.slice(0, commaIndex + 1) : operatorMatch[0];
+  return `${search.slice(0, start)}${keep}${quoteValue(option.value)} `;
+};
@@ -0,0 +1,19 @@
+// Columns of the transaction list; saved views choose which are shown
+export const TRANSACTION_COLUMNS = [
+  { id: "reference", label: "Reference", hideOnMobile: true },
+  { id: "customerName", label: "Customer", required: true },
+  { id: "type", label: "Type" },
+  { id: "currency", label: "Currency", hideOnMobile: true },
+  { id: "amount", label: "Amount" },
+  { id: "createdAt", label: "Created Date", hideOnMobile: true },
+  { id: "createdBy", label: "Created By", hideOnMobile: true }
+];
+
+export const DEFAULT_COLUMNS = TRANSACTION_COLUMNS.map((column) => column.id);
+
+// Whether a column is shown; the customer column always is
+export const isColumnVisible = (columnId, columns, isMobile) => {
+  const column = TRANSACTION_COLUMNS.find((item) => item.id === columnId);
+  if (!column || (isMobile && column.hideOnMobile)) return false;
+  return column.required || columns.includes(columnId);
+};
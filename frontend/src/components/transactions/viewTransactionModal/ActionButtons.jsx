@@ -4,7 +4,8 @@ import { useTheme as useMuiTheme } from "@mui/material/styles";
 
 // Icons
 import EditIcon from "@mui/icons-material/Edit";
-import DeleteIcon from "@mui/icons-material/Delete";
+import BlockIcon from "@mui/icons-material/Block";
+import ReplayIcon from "@mui/icons-material/Replay";
 import SaveIcon from "@mui/icons-material/Save";
 import CancelIcon from "@mui/icons-material/Cancel";
 import EmailIcon from "@mui/icons-material/Email";
@@ -14,10 +15,14 @@ import PrintIcon from "@mui/icons-material/Print";
 const ActionButtons = ({
   editMode,
   canEdit,
+  canVoid,
+  canRefund,
   loading,
-  isDeleting,
+  isVoiding,
+  isRefunding,
   handleEditClick,
-  handleDeleteClick,
+  handleVoidClick,
+  handleRefundClick,
   handleCancelEdit,
   handleSaveClick,
   handleGeneratePDF,
@@ -44,24 +49,37 @@ const ActionButtons = ({
         px: { xs: 2, sm: 3 }
       }}
     >
-      {/* Left side actions (Edit/Delete) */}
+      {/* Left side actions (Edit/Void/Refund) */}
       <Box>
         {canEdit && !editMode && (
           <>
-            <Tooltip title="Delete Transaction">
-              <IconButton 
-                onClick={handleDeleteClick} 
-                color="error" 
-                disabled={loading || isDeleting}
-                sx={{ mr: 1 }}
-              >
-                {isDeleting ? <CircularProgress size={24} color="error" /> : <DeleteIcon />}
-              </IconButton>
-            </Tooltip>
+            {canVoid && (
+              <Tooltip title="Void Transaction">
+                <IconButton 
+                  onClick={handleVoidClick} 
+                  color="error" 
+                  disabled={loading || isVoiding}
+                  sx={{ mr: 1 }}
+                >
+                  {isVoiding ? <CircularProgress size={24} color="error" /> : <BlockIcon />}
+                </IconButton>
+              </Tooltip>
+            )}
+            {canRefund && (
+              <Tooltip title="Refund / View Refunds">
+                <IconButton 
+                  onClick={handleRefundClick} 
+                  disabled={loading || isVoiding || isRefunding}
+                  sx={{ mr: 1, color: accentColor }}
+                >
+                  {isRefunding ? <CircularProgress size={24} /> : <ReplayIcon />}
+                </IconButton>
+              </Tooltip>
+            )}
             <Tooltip title="Edit Transaction">
               <IconButton 
                 onClick={handleEditClick} 
-                disabled={loading || isDeleting}
+                disabled={loading || isVoiding || isRefunding}
                 sx={{ color: accentColor }}
               >
                 <EditIcon />
@@ -166,10 +184,14 @@ const ActionButtons = ({
 ActionButtons.propTypes = {
   editMode: PropTypes.bool.isRequired,
   canEdit: PropTypes.bool.isRequired,
+  canVoid: PropTypes.bool.isRequired,
+  canRefund: PropTypes.bool.isRequired,
   loading: PropTypes.bool.isRequired,
-  isDeleting: PropTypes.bool.isRequired,
+  isVoiding: PropTypes.bool.isRequired,
+  isRefunding: PropTypes.bool.isRequired,
   handleEditClick: PropTypes.func.isRequired,
-  handleDeleteClick: PropTypes.func.isRequired,
+  handleVoidClick: PropTypes.func.isRequired,
+  handleRefundClick: PropTypes.func.isRequired,
   handleCancelEdit: PropTypes.func.isRequired,
   handleSaveClick: PropTypes.func.isRequired,
   handleGeneratePDF: PropTypes.func.isRequired,
@@ -0,0 +1,85 @@
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Stack,
+  Typography,
+  CircularProgress
+} from "@mui/material";
+import DownloadIcon from "@mui/icons-material/Download";
+
+const AttachmentPreviewDialog = ({ attachment, url, loading, onDownload, onClose, themeProps }) => {
+  const { mode, accentColor, textPrimaryColor } = themeProps;
+  const isPdf = attachment?.contentType === "application/pdf";
+
+  return (
+    <Dialog
+      open={!!attachment}
+      onClose={onClose}
+      fullWidth
+      maxWidth="lg"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textPrimaryColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ bgcolor: mode === 'dark' ? "#334155" : "#F1F5F9" }}>
+        <Typography variant="h6" noWrap>{attachment?.fileName}</Typography>
+        {attachment?.description && (
+          <Typography variant="body2" sx={{ opacity: 0.7 }}>{attachment.description}</Typography>
+        )}
+      </DialogTitle>
+      <DialogContent sx={{ p: 0, bgcolor: mode === 'dark' ? "#0F172A" : "#E2E8F0" }}>
+        <Box sx={{ height: '75vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          {loading || !url ? (
+            <CircularProgress sx={{ color: accentColor }} />
+          ) : isPdf ? (
+            <iframe
+              src={url}
+              title={attachment.fileName}
+              style={{ width: "100%", height: "100%", border: "none" }}
+            />
+          ) : (
+            <img
+              src={url}
+              alt={attachment.fileName}
+              style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }}
+            />
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Stack direction="row" spacing={1}>
+          <Button
+            startIcon={<DownloadIcon />}
+            onClick={() => onDownload(attachment)}
+            sx={{ color: accentColor }}
+          >
+            Download
+          </Button>
+          <Button variant="contained" onClick={onClose} sx={{ bgcolor: accentColor }}>
+            Close
+          </Button>
+        </Stack>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+AttachmentPreviewDialog.propTypes = {
+  attachment: PropTypes.object,
+  url: PropTypes.string,
+  loading: PropTypes.bool,
+  onDownload: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  themeProps: PropTypes.object.isRequired
+};
+
+export default AttachmentPreviewDialog;
@@ -1,4 +1,5 @@
 import jsPDF from "jspdf";
+import { getMinorUnits } from "../../../utils/utils";
 
 /**
  * Generates a PDF receipt for a transaction and downloads it
@@ -19,6 +20,11 @@ const GenerateReceiptPDF = (transaction) => {
     customerEmail,
     currency,
     exchangeRate,
+    toCurrency,
+    toAmount,
+    crossRate,
+    fees = [],
+    feeTotalTTD,
     createdBy
   } = transaction;
 
@@ -114,11 +120,26 @@ const GenerateReceiptPDF = (transaction) => {
   doc.setFontSize(12);
   doc.setTextColor(0, 0, 0);
   doc.setFont(undefined, 'bold');
-  doc.text(`Amount (${currency}):`, leftMargin, yPosition);
+  doc.text(type === "Exchange" ? `Received (${currency}):` : `Amount (${currency}):`, leftMargin, yPosition);
   doc.setFont(undefined, 'normal');
-  doc.text(amount.toFixed(2).toString(), rightColumn, yPosition);
+  doc.text(amount.toFixed(getMinorUnits(currency)), rightColumn, yPosition);
   yPosition += 10;
   
+  // Show the paid out leg and cross rate for Exchange
+  if (type === "Exchange") {
+    doc.setFont(undefined, 'bold');
+    doc.text(`Paid Out (${toCurrency}):`, leftMargin, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.text(toAmount.toFixed(getMinorUnits(toCurrency)), rightColumn, yPosition);
+    yPosition += 10;
+
+    doc.setFont(undefined, 'bold');
+    doc.text("Cross Rate:", leftMargin, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.text(`1 ${currency} = ${crossRate} ${toCurrency}`, rightColumn, yPosition);
+    yPosition += 10;
+  }
+  
   // Show exchange rate and TTD amount for Buy/Sell
   if (["Buy", "Sell"].includes(type) && exchangeRate > 0) {
     doc.setFont(undefined, 'bold');
@@ -130,7 +151,23 @@ const GenerateReceiptPDF = (transaction) => {
     doc.setFont(undefined, 'bold');
     doc.text("Amount (TTD):", leftMargin, yPosition);
     doc.setFont(undefined, 'normal');
-    doc.text(amountTTD.toFixed(2).toString(), rightColumn, yPosition);
+    doc.text(amountTTD.toFixed(getMinorUnits("TTD")), rightColumn, yPosition);
+    yPosition += 10;
+  }
+
+  // Service fees, charged in TTD
+  fees.forEach((fee) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(fee.percentage != null ? `${fee.name} (${fee.percentage}%):` : `${fee.name}:`, leftMargin, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.text(`${fee.amountTTD.toFixed(getMinorUnits("TTD"))} TTD`, rightColumn, yPosition);
+    yPosition += 10;
+  });
+  if (fees.length > 1) {
+    doc.setFont(undefined, 'bold');
+    doc.text("Total Fees:", leftMargin, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.text(`${feeTotalTTD.toFixed(getMinorUnits("TTD"))} TTD`, rightColumn, yPosition);
     yPosition += 10;
   }
   
@@ -0,0 +1,204 @@
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  CircularProgress,
+  Stack,
+  Typography,
+  Box,
+  Divider,
+  List,
+  ListItem,
+  ListItemText
+} from "@mui/material";
+import ReplayIcon from "@mui/icons-material/Replay";
+import { formatCurrency, getCurrencyStep, getMinorUnits, roundToCurrency } from "../../../utils/utils";
+
+const RefundDialog = ({
+  open,
+  transaction,
+  refunds,
+  loadingRefunds,
+  amount,
+  setAmount,
+  reason,
+  setReason,
+  onConfirm,
+  onCancel,
+  loading,
+  themeProps
+}) => {
+  const {
+    mode,
+    accentColor,
+    textPrimaryColor,
+    textSecondaryColor = mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)',
+    inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)',
+    inputHoverColor = mode === 'dark' ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.5)'
+  } = themeProps;
+
+  const refundable = roundToCurrency(
+    Math.max((transaction.amount || 0) - (transaction.refundedAmount || 0), 0),
+    transaction.currency
+  );
+  const requested = parseFloat(amount);
+  const step = getCurrencyStep(transaction.currency);
+  const isAmountValid = !isNaN(requested) && requested > 0 && requested <= refundable &&
+    roundToCurrency(requested, transaction.currency) === requested;
+
+  const inputSx = {
+    color: textPrimaryColor,
+    '& .MuiOutlinedInput-notchedOutline': {
+      borderColor: inputBorderColor,
+    },
+    '&:hover .MuiOutlinedInput-notchedOutline': {
+      borderColor: inputHoverColor,
+    },
+    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+      borderColor: accentColor,
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? null : onCancel}
+      fullWidth
+      maxWidth="xs"
+      PaperProps={{
+        sx: {
+          bgcolor: mode === 'dark' ? "#1E293B" : "#FFFFFF",
+          color: textPrimaryColor,
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ bgcolor: mode === 'dark' ? "#334155" : "#F1F5F9" }}>
+        <Stack direction="row" alignItems="center" spacing={1}>
+          <ReplayIcon sx={{ color: accentColor }} />
+          <Typography variant="h6">Refund Transaction</Typography>
+        </Stack>
+      </DialogTitle>
+      <DialogContent sx={{ mt: 2 }}>
+        <DialogContentText sx={{ color: textSecondaryColor, mb: 1 }}>
+          Original amount for {transaction.reference}: {formatCurrency(transaction.amount, transaction.currency)}
+        </DialogContentText>
+        <DialogContentText sx={{ color: textSecondaryColor, mb: 2 }}>
+          Available to refund: {formatCurrency(refundable, transaction.currency)}
+        </DialogContentText>
+
+        {/* Refunds already made */}
+        <Typography variant="subtitle2" sx={{ color: accentColor }}>
+          Previous Refunds
+        </Typography>
+        {loadingRefunds ? (
+          <Box sx={{ display: "flex", justifyContent: "center", py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : refunds.length === 0 ? (
+          <Typography variant="body2" sx={{ color: textSecondaryColor, py: 1 }}>
+            No refunds have been made against this transaction.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {refunds.map((refund) => (
+              <ListItem key={refund._id} disableGutters>
+                <ListItemText
+                  primary={`${formatCurrency(refund.amount, refund.currency)} - ${refund.reference}`}
+                  secondary={`${format(new Date(refund.createdAt), "dd MMM yyyy HH:mm")}${refund.createdBy?.fullName ? ` by ${refund.createdBy.fullName}` : ""}`}
+                  primaryTypographyProps={{ sx: { color: textPrimaryColor } }}
+                  secondaryTypographyProps={{ sx: { color: textSecondaryColor } }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {refundable > 0 && (
+          <>
+            <Divider sx={{ my: 2, borderColor: inputBorderColor }} />
+            <TextField
+              autoFocus
+              margin="dense"
+              label={`Refund Amount (${transaction.currency})`}
+              type="number"
+              fullWidth
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              error={amount !== "" && !isAmountValid}
+              helperText={amount !== "" && !isAmountValid
+                ? `Enter an amount between ${step.toFixed(getMinorUnits(transaction.currency))} and ${refundable.toFixed(getMinorUnits(transaction.currency))}`
+                : "Leave as is for a full refund"}
+              inputProps={{ min: step, max: refundable, step }}
+              InputLabelProps={{ sx: { color: textSecondaryColor } }}
+              InputProps={{ sx: inputSx }}
+              FormHelperTextProps={{ sx: { color: amount !== "" && !isAmountValid ? undefined : textSecondaryColor } }}
+            />
+            <TextField
+              margin="dense"
+              label="Reason (optional)"
+              fullWidth
+              multiline
+              rows={2}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              InputLabelProps={{ sx: { color: textSecondaryColor } }}
+              InputProps={{ sx: inputSx }}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 2, bgcolor: mode === 'dark' ? "#334155" : "#F1F5F9" }}>
+        <Button
+          onClick={onCancel}
+          sx={{ color: textPrimaryColor }}
+          disabled={loading}
+        >
+          {refundable > 0 ? "Cancel" : "Close"}
+        </Button>
+        {refundable > 0 && (
+          <Button
+            onClick={onConfirm}
+            variant="contained"
+            disabled={loading || !isAmountValid}
+            startIcon={loading ? <CircularProgress size={16} /> : <ReplayIcon />}
+            sx={{
+              bgcolor: accentColor,
+              color: mode === 'dark' ? "black" : "white",
+              '&:hover': {
+                bgcolor: mode === 'dark' ?
+                  `${accentColor}E6` : // 90% opacity for dark mode
+                  `${accentColor}CC`   // 80% opacity for light mode
+              }
+            }}
+          >
+            {loading ? 'Refunding...' : 'Refund'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+RefundDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  transaction: PropTypes.object.isRequired,
+  refunds: PropTypes.array.isRequired,
+  loadingRefunds: PropTypes.bool.isRequired,
+  amount: PropTypes.string.isRequired,
+  setAmount: PropTypes.func.isRequired,
+  reason: PropTypes.string.isRequired,
+  setReason: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired,
+  themeProps: PropTypes.object.isRequired
+};
+
+export default RefundDialog;
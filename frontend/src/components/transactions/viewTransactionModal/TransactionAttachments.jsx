@@ -0,0 +1,375 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  TextField,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert
+} from "@mui/material";
+import AttachFileIcon from "@mui/icons-material/AttachFile";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import PictureAsPdfIcon from "@mui/icons-material/PictureAsPdf";
+import ImageIcon from "@mui/icons-material/Image";
+import DownloadIcon from "@mui/icons-material/Download";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AttachmentPreviewDialog from "./AttachmentPreviewDialog";
+import {
+  fetchAttachments,
+  uploadAttachment,
+  fetchAttachmentFile,
+  deleteAttachment
+} from "../../../services/AttachmentService";
+
+// File types the server accepts; it checks the contents as well
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp", "application/pdf"];
+
+const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const TransactionAttachments = ({ transactionId, onNotify, themeProps }) => {
+  const {
+    mode,
+    accentColor,
+    textPrimaryColor,
+    paperBgColor = mode === 'dark' ? 'rgba(15, 23, 42, 0.4)' : 'rgba(241, 245, 249, 0.4)',
+    borderColor = mode === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)',
+    inputBorderColor = mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)',
+    textSecondaryColor = mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)',
+    thumbnailBgColor = mode === 'dark' ? 'rgba(0,0,0,0.2)' : 'rgba(0,0,0,0.05)'
+  } = themeProps;
+
+  // States
+  const [attachments, setAttachments] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [description, setDescription] = useState("");
+  const [uploading, setUploading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [thumbnails, setThumbnails] = useState({});
+  const [preview, setPreview] = useState({ attachment: null, url: "", loading: false });
+  const fileInputRef = useRef(null);
+  const thumbnailUrls = useRef({});
+
+  const [currentUser] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('user')) || {};
+    } catch {
+      return {};
+    }
+  });
+
+  const loadAttachments = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const data = await fetchAttachments(transactionId);
+      setAttachments(data.attachments || []);
+      setLimits(data.limits || null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error loading attachments");
+    } finally {
+      setLoading(false);
+    }
+  }, [transactionId]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  // Fetch image thumbnails with the auth header; the URLs are released on unmount
+  useEffect(() => {
+    const urls = thumbnailUrls.current;
+    let cancelled = false;
+
+    const loadThumbnails = async () => {
+      const missing = attachments.filter(
+        (attachment) => attachment.contentType.startsWith("image/") && !urls[attachment._id]
+      );
+      for (const attachment of missing) {
+        try {
+          const blob = await fetchAttachmentFile(transactionId, attachment._id);
+          if (cancelled) return;
+          urls[attachment._id] = URL.createObjectURL(blob);
+          setThumbnails((prev) => ({ ...prev, [attachment._id]: urls[attachment._id] }));
+        } catch {
+          // The card falls back to an icon
+        }
+      }
+    };
+
+    loadThumbnails();
+    return () => {
+      cancelled = true;
+    };
+  }, [attachments, transactionId]);
+
+  useEffect(() => {
+    const urls = thumbnailUrls.current;
+    return () => Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      onNotify("Only JPEG, PNG and WebP images and PDF documents can be attached", "warning");
+      return;
+    }
+    if (limits && file.size > limits.maxBytes) {
+      onNotify(`File is too large; attachments can be at most ${formatFileSize(limits.maxBytes)}`, "warning");
+      return;
+    }
+
+    setUploading(true);
+    try {
+      await uploadAttachment(transactionId, file, description.trim());
+      setDescription("");
+      onNotify("File attached successfully", "success");
+      loadAttachments();
+    } catch (err) {
+      onNotify(err.response?.data?.message || "Error uploading file", "error");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await fetchAttachmentFile(transactionId, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      onNotify(err.response?.data?.message || "Error downloading file", "error");
+    }
+  };
+
+  const handlePreview = async (attachment) => {
+    if (thumbnails[attachment._id]) {
+      setPreview({ attachment, url: thumbnails[attachment._id], loading: false });
+      return;
+    }
+
+    setPreview({ attachment, url: "", loading: true });
+    try {
+      const blob = await fetchAttachmentFile(transactionId, attachment._id);
+      setPreview({ attachment, url: URL.createObjectURL(blob), loading: false });
+    } catch (err) {
+      setPreview({ attachment: null, url: "", loading: false });
+      onNotify(err.response?.data?.message || "Error opening file", "error");
+    }
+  };
+
+  const handleClosePreview = () => {
+    // Thumbnails are kept for the grid; other preview URLs are released now
+    if (preview.url && !Object.values(thumbnailUrls.current).includes(preview.url)) {
+      URL.revokeObjectURL(preview.url);
+    }
+    setPreview({ attachment: null, url: "", loading: false });
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}? This cannot be undone.`)) return;
+
+    setDeletingId(attachment._id);
+    try {
+      await deleteAttachment(transactionId, attachment._id);
+      if (thumbnailUrls.current[attachment._id]) {
+        URL.revokeObjectURL(thumbnailUrls.current[attachment._id]);
+        delete thumbnailUrls.current[attachment._id];
+      }
+      onNotify("Attachment deleted successfully", "success");
+      loadAttachments();
+    } catch (err) {
+      onNotify(err.response?.data?.message || "Error deleting attachment", "error");
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const canDelete = (attachment) =>
+    currentUser.role === 'admin' || attachment.uploadedBy?._id === currentUser._id;
+  const isFull = limits && attachments.length >= limits.maxPerTransaction;
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        bgcolor: paperBgColor,
+        p: 2,
+        borderRadius: 2,
+        border: `1px solid ${borderColor}`
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5 }}>
+        <AttachFileIcon sx={{ color: accentColor }} />
+        <Typography variant="h6" sx={{ color: accentColor }}>
+          Attachments
+        </Typography>
+        {limits && (
+          <Typography variant="caption" sx={{ color: textSecondaryColor, ml: 'auto' }}>
+            {attachments.length} of {limits.maxPerTransaction} · up to {formatFileSize(limits.maxBytes)} each
+          </Typography>
+        )}
+      </Box>
+
+      {/* Upload */}
+      <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          placeholder="Description, e.g. Customer ID or bank slip (optional)"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          inputProps={{ maxLength: 200 }}
+          sx={{
+            flex: 1,
+            minWidth: 220,
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: inputBorderColor },
+              '&:hover fieldset': { borderColor: accentColor },
+              '&.Mui-focused fieldset': { borderColor: accentColor }
+            },
+            input: { color: textPrimaryColor }
+          }}
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(",")}
+          hidden
+          onChange={handleFileSelected}
+        />
+        <Button
+          variant="contained"
+          startIcon={uploading ? <CircularProgress size={16} color="inherit" /> : <UploadFileIcon />}
+          disabled={uploading || loading || !!isFull}
+          onClick={() => fileInputRef.current?.click()}
+          sx={{ bgcolor: accentColor }}
+        >
+          {uploading ? "Uploading..." : "Upload File"}
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ textAlign: 'center', py: 4 }}>
+          <CircularProgress size={28} sx={{ color: accentColor }} />
+        </Box>
+      ) : attachments.length === 0 ? (
+        <Typography variant="body2" sx={{ color: textSecondaryColor, textAlign: 'center', py: 4 }}>
+          No files attached. Add photos of customer IDs, bank slips or other supporting documents.
+        </Typography>
+      ) : (
+        <Grid container spacing={2}>
+          {attachments.map((attachment) => (
+            <Grid item xs={12} sm={6} md={4} key={attachment._id}>
+              <Paper
+                elevation={0}
+                sx={{
+                  border: `1px solid ${borderColor}`,
+                  borderRadius: 1,
+                  overflow: 'hidden',
+                  bgcolor: 'transparent'
+                }}
+              >
+                <Box
+                  onClick={() => handlePreview(attachment)}
+                  sx={{
+                    height: 120,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    bgcolor: thumbnailBgColor,
+                    cursor: 'pointer'
+                  }}
+                >
+                  {thumbnails[attachment._id] ? (
+                    <img
+                      src={thumbnails[attachment._id]}
+                      alt={attachment.fileName}
+                      style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }}
+                    />
+                  ) : attachment.contentType === "application/pdf" ? (
+                    <PictureAsPdfIcon sx={{ fontSize: 48, color: textSecondaryColor }} />
+                  ) : (
+                    <ImageIcon sx={{ fontSize: 48, color: textSecondaryColor }} />
+                  )}
+                </Box>
+                <Box sx={{ p: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Box sx={{ minWidth: 0, flex: 1 }}>
+                    <Typography variant="body2" noWrap title={attachment.fileName} sx={{ color: textPrimaryColor }}>
+                      {attachment.description || attachment.fileName}
+                    </Typography>
+                    <Typography variant="caption" display="block" noWrap sx={{ color: textSecondaryColor }}>
+                      {formatFileSize(attachment.size)} · {format(new Date(attachment.createdAt), "dd MMM yyyy")}
+                      {attachment.uploadedBy?.fullName ? ` · ${attachment.uploadedBy.fullName}` : ""}
+                    </Typography>
+                  </Box>
+                  <Tooltip title="Download">
+                    <IconButton size="small" onClick={() => handleDownload(attachment)} sx={{ color: textSecondaryColor }}>
+                      <DownloadIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  {canDelete(attachment) && (
+                    <Tooltip title="Delete">
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          disabled={!!deletingId}
+                          onClick={() => handleDelete(attachment)}
+                        >
+                          {deletingId === attachment._id
+                            ? <CircularProgress size={16} color="inherit" />
+                            : <DeleteIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+                </Box>
+              </Paper>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Full-size preview */}
+      <AttachmentPreviewDialog
+        attachment={preview.attachment}
+        url={preview.url}
+        loading={preview.loading}
+        onDownload={handleDownload}
+        onClose={handleClosePreview}
+        themeProps={themeProps}
+      />
+    </Paper>
+  );
+};
+
+TransactionAttachments.propTypes = {
+  transactionId: PropTypes.string.isRequired,
+  onNotify: PropTypes.func.isRequired,
+  themeProps: PropTypes.object.isRequired
+};
+
+export default TransactionAttachments;
@@ -28,6 +28,27 @@ const TransactionHeader = ({ transaction, onClose, themeProps }) => {
             height: "28px"
           }}
         />
+        {transaction.status === "Cancelled" && transaction.voidedAt && (
+          <Chip
+            label="VOID"
+            color="error"
+            sx={{ fontWeight: "bold", fontSize: "0.875rem", height: "28px" }}
+          />
+        )}
+        {transaction.refundOf && (
+          <Chip
+            label="Refund"
+            variant="outlined"
+            sx={{ fontWeight: "bold", fontSize: "0.875rem", height: "28px", color: textPrimaryColor }}
+          />
+        )}
+        {transaction.reversalOf && (
+          <Chip
+            label="Reversal"
+            variant="outlined"
+            sx={{ fontWeight: "bold", fontSize: "0.875rem", height: "28px", color: textPrimaryColor }}
+          />
+        )}
       </Box>
 
       {/* Close Button */}
@@ -0,0 +1,204 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+import PropTypes from "prop-types";
+import { format } from "date-fns";
+import { Box, Typography, Paper, CircularProgress, Alert, Stack, Avatar } from "@mui/material";
+import HistoryIcon from "@mui/icons-material/History";
+import { stringAvatar } from "../../../utils/utils";
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const FIELD_LABELS = {
+  customerEmail: "Customer email",
+  notes: "Notes",
+  category: "Category",
+  tags: "Tags",
+  customerSignature: "Customer signature"
+};
+
+// Fields changed in one update share changedAt and are shown as one edit
+const groupRevisions = (revisions) => {
+  const edits = [];
+  for (const revision of revisions) {
+    const last = edits[edits.length - 1];
+    if (last && last.changedAt === revision.changedAt && last.changedBy?._id === revision.changedBy?._id) {
+      last.changes.push(revision);
+    } else {
+      edits.push({
+        key: revision._id,
+        changedAt: revision.changedAt,
+        changedBy: revision.changedBy,
+        changes: [revision]
+      });
+    }
+  }
+  return edits;
+};
+
+const TransactionHistory = ({ transaction, themeProps }) => {
+  const {
+    mode,
+    accentColor,
+    textPrimaryColor,
+    textSecondaryColor = mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)',
+    paperBgColor = mode === 'dark' ? 'rgba(15, 23, 42, 0.4)' : 'rgba(241, 245, 249, 0.4)',
+    borderColor = mode === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)',
+    valueBgColor = mode === 'dark' ? 'rgba(0,0,0,0.2)' : 'rgba(0,0,0,0.05)'
+  } = themeProps;
+
+  // States
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const token = localStorage.getItem("token");
+        const { data } = await axios.get(`${BASE_URL}/transactions/${transaction._id}/revisions`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setRevisions(data.revisions || []);
+      } catch (err) {
+        console.error("Error loading transaction history:", err);
+        setError(err.response?.data?.message || "Error loading transaction history");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRevisions();
+  }, [transaction._id]);
+
+  const renderValue = (field, value) => {
+    if (value === null || value === undefined) {
+      return (
+        <Typography variant="body2" sx={{ color: textSecondaryColor, fontStyle: 'italic' }}>
+          (empty)
+        </Typography>
+      );
+    }
+    if (field === "customerSignature") {
+      return (
+        <Box sx={{ bgcolor: 'white', borderRadius: 1, p: 0.5, display: 'inline-block' }}>
+          <img src={value} alt="Signature" style={{ maxHeight: "60px", maxWidth: "100%" }} />
+        </Box>
+      );
+    }
+    return (
+      <Typography variant="body2" sx={{ whiteSpace: 'pre-line', wordBreak: 'break-word' }}>
+        {Array.isArray(value) ? value.join(", ") : String(value)}
+      </Typography>
+    );
+  };
+
+  const renderEntry = ({ key, icon, title, time, children, isLast }) => (
+    <Box key={key} sx={{ display: 'flex', gap: 1.5 }}>
+      {/* Marker and connecting line */}
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+        {icon}
+        {!isLast && <Box sx={{ flex: 1, width: '2px', bgcolor: borderColor, my: 0.5 }} />}
+      </Box>
+      <Box sx={{ flex: 1, pb: isLast ? 0 : 2.5, minWidth: 0 }}>
+        <Typography variant="body1" sx={{ fontWeight: 'medium' }}>{title}</Typography>
+        <Typography variant="caption" sx={{ color: textSecondaryColor }}>{time}</Typography>
+        {children}
+      </Box>
+    </Box>
+  );
+
+  const edits = groupRevisions(revisions);
+  const creator = transaction.createdBy?.fullName || transaction.createdBy?.userName;
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        bgcolor: paperBgColor,
+        p: 2,
+        borderRadius: 2,
+        border: `1px solid ${borderColor}`,
+        color: textPrimaryColor
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <HistoryIcon sx={{ color: accentColor }} />
+        <Typography variant="h6" sx={{ color: accentColor }}>
+          Edit History
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError("")}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ textAlign: 'center', py: 4 }}>
+          <CircularProgress size={28} sx={{ color: accentColor }} />
+        </Box>
+      ) : (
+        <Box>
+          {edits.map((edit) => {
+            const name = edit.changedBy?.fullName || edit.changedBy?.userName || "Unknown user";
+            return renderEntry({
+              key: edit.key,
+              icon: <Avatar {...stringAvatar(name)} />,
+              title: `${name} changed ${edit.changes.map((change) => FIELD_LABELS[change.field] || change.field).join(", ").toLowerCase()}`,
+              time: format(new Date(edit.changedAt), "dd MMM yyyy HH:mm:ss"),
+              children: (
+                <Stack spacing={1.5} sx={{ mt: 1 }}>
+                  {edit.changes.map((change) => (
+                    <Box key={change._id}>
+                      <Typography variant="body2" sx={{ color: textSecondaryColor, mb: 0.5 }}>
+                        {FIELD_LABELS[change.field] || change.field}
+                      </Typography>
+                      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 1 }}>
+                        <Box sx={{ bgcolor: valueBgColor, borderRadius: 1, p: 1, borderLeft: '3px solid #EF4444' }}>
+                          <Typography variant="caption" sx={{ color: textSecondaryColor }}>Before</Typography>
+                          {renderValue(change.field, change.previousValue)}
+                        </Box>
+                        <Box sx={{ bgcolor: valueBgColor, borderRadius: 1, p: 1, borderLeft: '3px solid #10B981' }}>
+                          <Typography variant="caption" sx={{ color: textSecondaryColor }}>After</Typography>
+                          {renderValue(change.field, change.newValue)}
+                        </Box>
+                      </Box>
+                    </Box>
+                  ))}
+                </Stack>
+              ),
+              isLast: false
+            });
+          })}
+
+          {renderEntry({
+            key: "created",
+            icon: (
+              <Avatar sx={{ width: 30, height: 30, bgcolor: accentColor }}>
+                <HistoryIcon fontSize="small" />
+              </Avatar>
+            ),
+            title: creator ? `Created by ${creator}` : "Created",
+            time: transaction.createdAt ? format(new Date(transaction.createdAt), "dd MMM yyyy HH:mm:ss") : "N/A",
+            children: edits.length === 0 && (
+              <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 1 }}>
+                No changes have been made since the transaction was created.
+              </Typography>
+            ),
+            isLast: true
+          })}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+TransactionHistory.propTypes = {
+  transaction: PropTypes.object.isRequired,
+  themeProps: PropTypes.object.isRequired
+};
+
+export default TransactionHistory;
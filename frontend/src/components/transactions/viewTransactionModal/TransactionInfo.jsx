@@ -1,13 +1,27 @@
 import { format } from "date-fns";
 import PropTypes from "prop-types";
-import { Box, Typography, TextField, Paper, Stack, Chip, Avatar } from "@mui/material";
+import { Box, Typography, TextField, Paper, Stack, Chip, Avatar, MenuItem, Autocomplete } from "@mui/material";
 import AttachmentIcon from "@mui/icons-material/Attachment";
 import PersonIcon from "@mui/icons-material/Person";
 import CreditCardIcon from "@mui/icons-material/CreditCard";
 import EventIcon from "@mui/icons-material/Event";
+import BlockIcon from "@mui/icons-material/Block";
+import ReplayIcon from "@mui/icons-material/Replay";
+import FactCheckIcon from "@mui/icons-material/FactCheck";
+import PolicyIcon from "@mui/icons-material/Policy";
+import RequestQuoteIcon from "@mui/icons-material/RequestQuote";
+import LocalOfferIcon from "@mui/icons-material/LocalOffer";
 import { formatCurrency, stringAvatar } from "../../../utils/utils";
 
-const TransactionInfo = ({ transaction, editMode, editedTransaction, handleFieldChange, themeProps }) => {
+const TransactionInfo = ({
+  transaction,
+  editMode,
+  editedTransaction,
+  handleFieldChange,
+  categories = [],
+  tagOptions = [],
+  themeProps
+}) => {
   const { 
     mode, 
     accentColor, 
@@ -22,6 +36,42 @@ const TransactionInfo = ({ transaction, editMode, editedTransaction, handleField
     ? format(new Date(transaction.createdAt), "dd MMM yyyy HH:mm")
     : "N/A";
 
+  const isVoided = transaction.status === 'Cancelled' && !!transaction.voidedAt;
+  const hold = transaction.complianceHold;
+  const isOnHold = transaction.status === 'Pending' && hold?.status === 'Held';
+  const isBlocked = transaction.status === 'Cancelled' && hold?.status === 'Confirmed';
+  const isRejected = !isBlocked && transaction.status === 'Cancelled' && transaction.requiresApproval && !!transaction.rejectionReason;
+  const isAwaitingApproval = transaction.status === 'Pending' && transaction.requiresApproval;
+
+  const statusLabel = isVoided ? "VOID"
+    : isBlocked ? "BLOCKED"
+    : isRejected ? "REJECTED"
+    : isOnHold ? "Compliance Hold"
+    : isAwaitingApproval ? "Pending Approval"
+    : (transaction.status || "Completed");
+
+  const editFieldSx = {
+    mt: 1,
+    '& .MuiOutlinedInput-root': {
+      '& fieldset': { borderColor: inputBorderColor },
+      '&:hover fieldset': { borderColor: accentColor },
+      '&.Mui-focused fieldset': { borderColor: accentColor }
+    },
+    '& .MuiInputBase-root': { color: textPrimaryColor },
+    '& .MuiInputLabel-root': { color: textSecondaryColor }
+  };
+
+  // Tags are stored lowercase with dashes for spaces
+  const handleTagsChange = (_, tags) => {
+    handleFieldChange(
+      "tags",
+      tags
+        .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, "-"))
+        .filter((tag, index, all) => tag && all.indexOf(tag) === index)
+        .slice(0, 10)
+    );
+  };
+
   return (
     <>
       <Paper 
@@ -85,6 +135,11 @@ const TransactionInfo = ({ transaction, editMode, editedTransaction, handleField
                   {transaction.customerEmail || "Email not provided"}
                 </Typography>
               )}
+              {transaction.customerId?.idType && (
+                <Typography variant="caption" sx={{ color: textSecondaryColor }}>
+                  {transaction.customerId.idType} {transaction.customerId.idNumber}
+                </Typography>
+              )}
             </Box>
           </Box>
           
@@ -93,7 +148,7 @@ const TransactionInfo = ({ transaction, editMode, editedTransaction, handleField
             <CreditCardIcon sx={{ color: accentColor, mt: 0.5 }} />
             <Box>
               <Typography variant="body2" sx={{ color: textSecondaryColor }}>
-                Amount
+                {transaction.type === "Exchange" ? "Amount Received" : "Amount"}
               </Typography>
               <Typography variant="body1" sx={{ fontWeight: 'bold' }}>
                 {formatCurrency(transaction.amount, transaction.currency)}
@@ -103,13 +158,55 @@ const TransactionInfo = ({ transaction, editMode, editedTransaction, handleField
                   {formatCurrency(transaction.amountTTD, "TTD")}
                 </Typography>
               )}
+              {transaction.type === "Exchange" && (
+                <>
+                  <Typography variant="body2" sx={{ color: accentColor }}>
+                    Paid Out: {formatCurrency(transaction.toAmount, transaction.toCurrency)}
+                  </Typography>
+                  <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 0.5 }}>
+                    Cross Rate: 1 {transaction.currency} = {transaction.crossRate} {transaction.toCurrency}
+                  </Typography>
+                </>
+              )}
               {transaction.exchangeRate > 0 && (
                 <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 0.5 }}>
-                  Exchange Rate: {transaction.exchangeRate}
+                  {transaction.type === "Exchange" ? "Valued at Buy Rate" : "Exchange Rate"}: {transaction.exchangeRate}
+                  {transaction.exchangeRateVersion?.version && ` (table v${transaction.exchangeRateVersion.version})`}
+                  {transaction.rateOverridden && " - manual override"}
+                </Typography>
+              )}
+              {["Sell", "Exchange"].includes(transaction.type) && transaction.realizedGainTTD != null && (
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  Cost: {formatCurrency(transaction.costBasisTTD, "TTD")} | Realized Gain:{" "}
+                  <Box component="span" sx={{ color: transaction.realizedGainTTD >= 0 ? "success.main" : "error.main", fontWeight: "bold" }}>
+                    {formatCurrency(transaction.realizedGainTTD, "TTD")}
+                  </Box>
                 </Typography>
               )}
             </Box>
           </Box>
+
+          {/* Service fees */}
+          {transaction.fees?.length > 0 && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <RequestQuoteIcon sx={{ color: accentColor, mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  Fees
+                </Typography>
+                {transaction.fees.map((fee, index) => (
+                  <Typography key={index} variant="body2">
+                    {fee.name}{fee.percentage != null && ` (${fee.percentage}%)`}: {formatCurrency(fee.amountTTD, "TTD")}
+                  </Typography>
+                ))}
+                {transaction.fees.length > 1 && (
+                  <Typography variant="body1" sx={{ fontWeight: 'bold' }}>
+                    Total: {formatCurrency(transaction.feeTotalTTD, "TTD")}
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          )}
           
           {/* Date */}
           <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
@@ -122,7 +219,7 @@ const TransactionInfo = ({ transaction, editMode, editedTransaction, handleField
                 {createdDate}
               </Typography>
               <Chip 
-                label={transaction.status || "Completed"} 
+                label={statusLabel} 
                 size="small"
                 sx={{ 
                   mt: 0.5,
@@ -136,6 +233,188 @@ const TransactionInfo = ({ transaction, editMode, editedTransaction, handleField
               />
             </Box>
           </Box>
+
+          {/* Category & tags */}
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+            <LocalOfferIcon sx={{ color: accentColor, mt: 0.5 }} />
+            <Box sx={{ width: '100%' }}>
+              <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                Category & Tags
+              </Typography>
+              {editMode ? (
+                <>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="Category"
+                    value={editedTransaction.category}
+                    onChange={(e) => handleFieldChange("category", e.target.value)}
+                    sx={editFieldSx}
+                  >
+                    <MenuItem value="">
+                      <em>None</em>
+                    </MenuItem>
+                    {categories.map((category) => (
+                      <MenuItem key={category._id} value={category._id}>
+                        {category.name}{category.isActive === false && " (inactive)"}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <Autocomplete
+                    multiple
+                    freeSolo
+                    size="small"
+                    options={tagOptions}
+                    value={editedTransaction.tags}
+                    onChange={handleTagsChange}
+                    renderTags={(value, getTagProps) =>
+                      value.map((tag, index) => (
+                        <Chip key={tag} label={tag} size="small" {...getTagProps({ index })} />
+                      ))
+                    }
+                    renderInput={(params) => (
+                      <TextField {...params} label="Tags" placeholder="Add a tag" sx={editFieldSx} />
+                    )}
+                  />
+                </>
+              ) : (
+                <>
+                  <Typography variant="body1">
+                    {transaction.category?.name || "Uncategorized"}
+                  </Typography>
+                  {transaction.tags?.length > 0 && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                      {transaction.tags.map((tag) => (
+                        <Chip key={tag} label={tag} size="small" variant="outlined" sx={{ color: textPrimaryColor }} />
+                      ))}
+                    </Box>
+                  )}
+                </>
+              )}
+            </Box>
+          </Box>
+
+          {/* Approval details */}
+          {transaction.requiresApproval && transaction.reviewedAt && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <FactCheckIcon sx={{ color: isRejected ? 'error.main' : accentColor, mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  {isRejected ? 'Rejected' : 'Approved'}
+                </Typography>
+                <Typography variant="body1">
+                  {new Date(transaction.reviewedAt).toLocaleString()}
+                  {transaction.reviewedBy?.fullName ? ` by ${transaction.reviewedBy.fullName}` : ""}
+                </Typography>
+                {isRejected && (
+                  <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 0.5 }}>
+                    Reason: {transaction.rejectionReason}
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          )}
+
+          {/* Compliance hold details */}
+          {hold && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <PolicyIcon sx={{ color: hold.status === 'Cleared' ? accentColor : 'error.main', mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  {hold.status === 'Held' ? 'On compliance hold'
+                    : hold.status === 'Cleared' ? 'Compliance hold cleared'
+                    : 'Compliance hold confirmed'}
+                </Typography>
+                <Typography variant="body1">
+                  {hold.reason}
+                </Typography>
+                {hold.matches?.slice(1).map((match, index) => (
+                  <Typography key={index} variant="body2" sx={{ color: textSecondaryColor }}>
+                    Also: {match.name} on {match.listName} ({Math.round(match.score * 100)}%)
+                  </Typography>
+                ))}
+                {hold.reviewedAt && (
+                  <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 0.5 }}>
+                    {new Date(hold.reviewedAt).toLocaleString()}
+                    {hold.reviewedBy?.fullName ? ` by ${hold.reviewedBy.fullName}` : ""}
+                    {hold.note ? `: ${hold.note}` : ""}
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          )}
+
+          {/* Void details */}
+          {isVoided && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <BlockIcon sx={{ color: 'error.main', mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  Voided
+                </Typography>
+                <Typography variant="body1">
+                  {new Date(transaction.voidedAt).toLocaleString()}
+                  {transaction.voidedBy?.fullName ? ` by ${transaction.voidedBy.fullName}` : ""}
+                </Typography>
+                {transaction.voidReason && (
+                  <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 0.5 }}>
+                    Reason: {transaction.voidReason}
+                  </Typography>
+                )}
+                {transaction.reversal?.reference && (
+                  <Typography variant="body2" sx={{ color: textSecondaryColor, mt: 0.5 }}>
+                    Reversal: {transaction.reversal.reference}
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          )}
+
+          {/* Refunds */}
+          {transaction.refundedAmount > 0 && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <ReplayIcon sx={{ color: accentColor, mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  {transaction.status === 'Refunded' ? 'Fully Refunded' : 'Partially Refunded'}
+                </Typography>
+                <Typography variant="body1">
+                  {formatCurrency(transaction.refundedAmount, transaction.currency)}
+                </Typography>
+              </Box>
+            </Box>
+          )}
+
+          {/* Refund record */}
+          {transaction.refundOf && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <ReplayIcon sx={{ color: textSecondaryColor, mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  Refund Of
+                </Typography>
+                <Typography variant="body1">
+                  {transaction.refundOf.reference || transaction.refundOf}
+                </Typography>
+              </Box>
+            </Box>
+          )}
+
+          {/* Reversal record */}
+          {transaction.reversalOf && (
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <BlockIcon sx={{ color: textSecondaryColor, mt: 0.5 }} />
+              <Box>
+                <Typography variant="body2" sx={{ color: textSecondaryColor }}>
+                  Reversal Of
+                </Typography>
+                <Typography variant="body1">
+                  {transaction.reversalOf.reference || transaction.reversalOf}
+                </Typography>
+              </Box>
+            </Box>
+          )}
         </Stack>
       </Paper>
       
@@ -176,6 +455,14 @@ TransactionInfo.propTypes = {
   editMode: PropTypes.bool.isRequired,
   editedTransaction: PropTypes.object.isRequired,
   handleFieldChange: PropTypes.func.isRequired,
+  categories: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      isActive: PropTypes.bool
+    })
+  ),
+  tagOptions: PropTypes.arrayOf(PropTypes.string),
   themeProps: PropTypes.object.isRequired
 };
 
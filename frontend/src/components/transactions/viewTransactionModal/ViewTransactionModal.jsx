@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import axios from "axios";
 import PropTypes from "prop-types";
 import {
@@ -9,18 +9,28 @@ import {
   Snackbar,
   Alert,
   Grid,
-  DialogContent
+  DialogContent,
+  Tabs,
+  Tab
 } from "@mui/material";
+import InfoOutlinedIcon from "@mui/icons-material/InfoOutlined";
+import AttachFileIcon from "@mui/icons-material/AttachFile";
+import HistoryIcon from "@mui/icons-material/History";
 import { useTheme } from "../../../context/ThemeContext";
+import { getMinorUnits } from "../../../utils/utils";
+import { fetchTransactionCategories, fetchTransactionTags } from "../../../services/TransactionCategoryService";
 
 // Import sub-components
 import TransactionHeader from "./TransactionHeader";
 import TransactionInfo from "./TransactionInfo";
 import TransactionNotes from "./TransactionNotes";
 import TransactionSignature from "./TransactionSignature";
+import TransactionAttachments from "./TransactionAttachments";
+import TransactionHistory from "./TransactionHistory";
 import ActionButtons from "./ActionButtons";
 import EmailReceiptDialog from "./EmailReceiptDialog";
-import DeleteConfirmDialog from "./DeleteConfirmDialog";
+import VoidConfirmDialog from "./VoidConfirmDialog";
+import RefundDialog from "./RefundDialog";
 import GenerateReceiptPDF from "../../receipt/GenerateReceipt";
 
 const BASE_URL = import.meta.env.VITE_BASE_URL;
@@ -42,12 +52,23 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
     : '0 10px 30px rgba(0,0,0,0.1)';
   
   // States
+  const [activeTab, setActiveTab] = useState("details");
+  const [historyKey, setHistoryKey] = useState(0);
   const [editMode, setEditMode] = useState(false);
-  const [isDeleting, setIsDeleting] = useState(false);
+  const [isVoiding, setIsVoiding] = useState(false);
   const [isSendingReceipt, setIsSendingReceipt] = useState(false);
   const [loading, setLoading] = useState(false);
   const [editedTransaction, setEditedTransaction] = useState({});
-  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [tagOptions, setTagOptions] = useState([]);
+  const [showVoidConfirm, setShowVoidConfirm] = useState(false);
+  const [voidReason, setVoidReason] = useState("");
+  const [showRefundDialog, setShowRefundDialog] = useState(false);
+  const [isRefunding, setIsRefunding] = useState(false);
+  const [refunds, setRefunds] = useState([]);
+  const [loadingRefunds, setLoadingRefunds] = useState(false);
+  const [refundAmount, setRefundAmount] = useState("");
+  const [refundReason, setRefundReason] = useState("");
   const [showSendReceiptConfirm, setShowSendReceiptConfirm] = useState(false);
   const [receiptEmail, setReceiptEmail] = useState("");
   const [snackbar, setSnackbar] = useState({
@@ -66,8 +87,22 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
     }
   });
   
+  // Each transaction opens on its details
+  useEffect(() => {
+    setActiveTab("details");
+  }, [transaction?._id]);
+
   const canEdit = userRole === 'admin' || (transaction?.createdBy?._id === JSON.parse(localStorage.getItem('user'))?._id);
 
+  // Voided transactions and reversal records are kept for the record but can't be voided again
+  const isVoided = transaction?.status === 'Cancelled' && !!transaction?.voidedAt;
+  const canVoid = canEdit && ['Completed', 'Refunded'].includes(transaction?.status) &&
+    !transaction?.reversalOf && !transaction?.refundOf && !(transaction?.refundedAmount > 0);
+
+  // Refunds apply to completed originals; fully refunded ones still show their refund history
+  const canRefund = canEdit && !transaction?.reversalOf && !transaction?.refundOf &&
+    (transaction?.status === 'Completed' || transaction?.status === 'Refunded');
+
   // Handle local PDF generation
   const handleGeneratePDF = () => {
     GenerateReceiptPDF(transaction);
@@ -149,6 +184,10 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
             <div class="header">
               <h1>Transaction Receipt</h1>
               <p>Reference: ${transaction.reference}</p>
+              ${isVoided ? `
+                <h1 style="color: #B91C1C; letter-spacing: 8px;">VOID</h1>
+                <p style="color: #B91C1C;">Voided on ${new Date(transaction.voidedAt).toLocaleString()}${transaction.voidReason ? ` - ${transaction.voidReason}` : ''}</p>
+              ` : ''}
             </div>
             
             <div class="row">
@@ -171,7 +210,17 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
               <div>${transaction.currency} ${transaction.amount.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
             </div>
             
-            ${transaction.exchangeRate ? `
+            ${transaction.type === "Exchange" ? `
+              <div class="row">
+                <div class="label">Paid Out:</div>
+                <div>${transaction.toCurrency} ${transaction.toAmount.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+              </div>
+              
+              <div class="row">
+                <div class="label">Cross Rate:</div>
+                <div>1 ${transaction.currency} = ${transaction.crossRate} ${transaction.toCurrency}</div>
+              </div>
+            ` : transaction.exchangeRate ? `
               <div class="row">
                 <div class="label">Exchange Rate:</div>
                 <div>${transaction.exchangeRate}</div>
@@ -183,6 +232,20 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
               </div>
             ` : ''}
             
+            ${(transaction.fees || []).map((fee) => `
+              <div class="row">
+                <div class="label">${fee.name}${fee.percentage != null ? ` (${fee.percentage}%)` : ''}:</div>
+                <div>TTD ${fee.amountTTD.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+              </div>
+            `).join('')}
+            
+            ${transaction.fees?.length > 1 ? `
+              <div class="row">
+                <div class="label">Total Fees:</div>
+                <div>TTD ${transaction.feeTotalTTD.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+              </div>
+            ` : ''}
+            
             <div class="row">
               <div class="label">Date:</div>
               <div>${formattedDate}</div>
@@ -273,12 +336,31 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
   };
 
   // Handle entering edit mode
-  const handleEditClick = () => {
+  const handleEditClick = async () => {
     setEditedTransaction({
       notes: transaction?.notes || "",
-      customerEmail: transaction?.customerEmail || ""
+      customerEmail: transaction?.customerEmail || "",
+      category: transaction?.category?._id || "",
+      tags: transaction?.tags || []
     });
     setEditMode(true);
+
+    // Offer the active categories (plus the current one, even if inactive) and the tags in use
+    try {
+      const [activeCategories, tags] = await Promise.all([
+        fetchTransactionCategories({ active: true }),
+        fetchTransactionTags()
+      ]);
+      const current = transaction?.category;
+      setCategories(
+        current && !activeCategories.some((category) => category._id === current._id)
+          ? [...activeCategories, current]
+          : activeCategories
+      );
+      setTagOptions(tags);
+    } catch (error) {
+      console.error("Error loading categories:", error);
+    }
   };
 
   // Handle field change in edit mode
@@ -313,6 +395,7 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
       });
       
       setEditMode(false);
+      setHistoryKey(prev => prev + 1);
       
       // Call the callback to refresh the transaction list
       if (onTransactionUpdated) {
@@ -336,27 +419,32 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
     setEditMode(false);
   };
 
-  // Show delete confirmation
-  const handleDeleteClick = () => {
-    setShowDeleteConfirm(true);
+  // Show void confirmation
+  const handleVoidClick = () => {
+    setVoidReason("");
+    setShowVoidConfirm(true);
   };
 
-  // Delete the transaction
-  const handleConfirmDelete = async () => {
-    setIsDeleting(true);
+  // Void the transaction
+  const handleConfirmVoid = async () => {
+    setIsVoiding(true);
     try {
       const token = localStorage.getItem("token");
       if (!token) {
         throw new Error("Not authenticated");
       }
 
-      await axios.delete(`${BASE_URL}/transactions/${transaction._id}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      await axios.post(
+        `${BASE_URL}/transactions/${transaction._id}/void`,
+        { reason: voidReason },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
 
       setSnackbar({
         open: true,
-        message: "Transaction deleted successfully",
+        message: "Transaction voided successfully",
         severity: "success"
       });
       
@@ -365,22 +453,97 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
         onTransactionUpdated();
       }
       
-      // Close delete confirm dialog and modal
-      setShowDeleteConfirm(false);
+      // Close void confirm dialog and modal
+      setShowVoidConfirm(false);
       setTimeout(() => onClose(), 1000);
       
     } catch (error) {
-      console.error("Error deleting transaction:", error);
+      console.error("Error voiding transaction:", error);
+      setSnackbar({
+        open: true,
+        message: error.response?.data?.message || "Error voiding transaction",
+        severity: "error"
+      });
+    } finally {
+      setIsVoiding(false);
+    }
+  };
+
+  // Open the refund dialog and load the refunds already made
+  const handleRefundClick = async () => {
+    const refundable = Math.max((transaction.amount || 0) - (transaction.refundedAmount || 0), 0);
+    setRefundAmount(refundable > 0 ? refundable.toFixed(getMinorUnits(transaction.currency)) : "");
+    setRefundReason("");
+    setRefunds([]);
+    setShowRefundDialog(true);
+    setLoadingRefunds(true);
+    try {
+      const token = localStorage.getItem("token");
+      const { data } = await axios.get(`${BASE_URL}/transactions/${transaction._id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setRefunds(data.transaction?.refunds || []);
+    } catch (error) {
+      console.error("Error loading refunds:", error);
       setSnackbar({
         open: true,
-        message: error.response?.data?.message || "Error deleting transaction",
+        message: error.response?.data?.message || "Error loading previous refunds",
         severity: "error"
       });
     } finally {
-      setIsDeleting(false);
+      setLoadingRefunds(false);
     }
   };
 
+  // Refund the transaction (in full or in part)
+  const handleConfirmRefund = async () => {
+    setIsRefunding(true);
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) {
+        throw new Error("Not authenticated");
+      }
+
+      const { data } = await axios.post(
+        `${BASE_URL}/transactions/${transaction._id}/refund`,
+        { amount: parseFloat(refundAmount), reason: refundReason },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      setSnackbar({
+        open: true,
+        message: data.message || "Refund recorded successfully",
+        severity: "success"
+      });
+
+      // Call the callback to refresh the transaction list
+      if (onTransactionUpdated) {
+        onTransactionUpdated();
+      }
+
+      // Close refund dialog and modal
+      setShowRefundDialog(false);
+      setTimeout(() => onClose(), 1000);
+
+    } catch (error) {
+      console.error("Error refunding transaction:", error);
+      setSnackbar({
+        open: true,
+        message: error.response?.data?.message || "Error refunding transaction",
+        severity: "error"
+      });
+    } finally {
+      setIsRefunding(false);
+    }
+  };
+
+  // Show a message from a tab
+  const handleNotify = (message, severity) => {
+    setSnackbar({ open: true, message, severity });
+  };
+
   // Close snackbar
   const handleCloseSnackbar = (_, reason) => {
     if (reason === 'clickaway') return;
@@ -429,6 +592,24 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
 
             <Divider sx={{ borderColor: dividerColor }} />
 
+            {/* Tabs */}
+            <Tabs
+              value={activeTab}
+              onChange={(_, value) => setActiveTab(value)}
+              sx={{
+                px: { xs: 1, sm: 2 },
+                '& .MuiTab-root': { color: textPrimaryColor, minHeight: 48 },
+                '& .Mui-selected': { color: `${accentColor} !important` },
+                '& .MuiTabs-indicator': { backgroundColor: accentColor }
+              }}
+            >
+              <Tab value="details" label="Details" icon={<InfoOutlinedIcon />} iconPosition="start" />
+              <Tab value="attachments" label="Attachments" icon={<AttachFileIcon />} iconPosition="start" />
+              <Tab value="history" label="History" icon={<HistoryIcon />} iconPosition="start" />
+            </Tabs>
+
+            <Divider sx={{ borderColor: dividerColor }} />
+
             {/* Content Section */}
             <DialogContent 
               sx={{ 
@@ -446,38 +627,54 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
                 }
               }}
             >
-              <Grid container spacing={3}>
-                {/* Left Column - Transaction Info */}
-                <Grid item xs={12} md={6}>
-                  <TransactionInfo 
-                    transaction={transaction} 
-                    editMode={editMode}
-                    editedTransaction={editedTransaction}
-                    handleFieldChange={handleFieldChange}
-                    themeProps={themeProps} 
-                  />
-                </Grid>
-                
-                {/* Right Column - Notes & Signature */}
-                <Grid item xs={12} md={6}>
-                  {/* Notes Section */}
-                  <TransactionNotes 
-                    transaction={transaction}
-                    editMode={editMode}
-                    editedTransaction={editedTransaction}
-                    handleFieldChange={handleFieldChange}
-                    themeProps={themeProps}
-                  />
-                  
-                  {/* Customer Signature Section */}
-                  {transaction.customerSignature && (
-                    <TransactionSignature 
-                      signatureUrl={transaction.customerSignature} 
+              {activeTab === "attachments" ? (
+                <TransactionAttachments
+                  transactionId={transaction._id}
+                  onNotify={handleNotify}
+                  themeProps={themeProps}
+                />
+              ) : activeTab === "history" ? (
+                <TransactionHistory
+                  key={historyKey}
+                  transaction={transaction}
+                  themeProps={themeProps}
+                />
+              ) : (
+                <Grid container spacing={3}>
+                  {/* Left Column - Transaction Info */}
+                  <Grid item xs={12} md={6}>
+                    <TransactionInfo 
+                      transaction={transaction} 
+                      editMode={editMode}
+                      editedTransaction={editedTransaction}
+                      handleFieldChange={handleFieldChange}
+                      categories={categories}
+                      tagOptions={tagOptions}
                       themeProps={themeProps} 
                     />
-                  )}
+                  </Grid>
+                  
+                  {/* Right Column - Notes & Signature */}
+                  <Grid item xs={12} md={6}>
+                    {/* Notes Section */}
+                    <TransactionNotes 
+                      transaction={transaction}
+                      editMode={editMode}
+                      editedTransaction={editedTransaction}
+                      handleFieldChange={handleFieldChange}
+                      themeProps={themeProps}
+                    />
+                    
+                    {/* Customer Signature Section */}
+                    {transaction.customerSignature && (
+                      <TransactionSignature 
+                        signatureUrl={transaction.customerSignature} 
+                        themeProps={themeProps} 
+                      />
+                    )}
+                  </Grid>
                 </Grid>
-              </Grid>
+              )}
             </DialogContent>
 
             <Divider sx={{ borderColor: dividerColor }} />
@@ -486,10 +683,14 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
             <ActionButtons 
               editMode={editMode}
               canEdit={canEdit}
+              canVoid={canVoid}
+              canRefund={canRefund}
               loading={loading}
-              isDeleting={isDeleting}
+              isVoiding={isVoiding}
+              isRefunding={isRefunding}
               handleEditClick={handleEditClick} 
-              handleDeleteClick={handleDeleteClick}
+              handleVoidClick={handleVoidClick}
+              handleRefundClick={handleRefundClick}
               handleCancelEdit={handleCancelEdit}
               handleSaveClick={handleSaveClick}
               handleGeneratePDF={handleGeneratePDF}
@@ -502,13 +703,31 @@ const ViewTransactionModal = ({ isOpen, onClose, transaction, onTransactionUpdat
         </Fade>
       </Dialog>
       
-      {/* Delete Confirmation Dialog */}
-      <DeleteConfirmDialog
-        open={showDeleteConfirm}
-        title="Delete Transaction"
-        onConfirm={handleConfirmDelete}
-        onCancel={() => setShowDeleteConfirm(false)}
-        loading={isDeleting}
+      {/* Void Confirmation Dialog */}
+      <VoidConfirmDialog
+        open={showVoidConfirm}
+        title="Void Transaction"
+        reason={voidReason}
+        setReason={setVoidReason}
+        onConfirm={handleConfirmVoid}
+        onCancel={() => setShowVoidConfirm(false)}
+        loading={isVoiding}
+        themeProps={themeProps}
+      />
+      
+      {/* Refund Dialog */}
+      <RefundDialog
+        open={showRefundDialog}
+        transaction={transaction}
+        refunds={refunds}
+        loadingRefunds={loadingRefunds}
+        amount={refundAmount}
+        setAmount={setRefundAmount}
+        reason={refundReason}
+        setReason={setRefundReason}
+        onConfirm={handleConfirmRefund}
+        onCancel={() => setShowRefundDialog(false)}
+        loading={isRefunding}
         themeProps={themeProps}
       />
       
@@ -7,14 +7,16 @@ import {
   Button, 
   Typography, 
   CircularProgress,
-  Box
+  TextField
 } from "@mui/material";
-import DeleteIcon from "@mui/icons-material/Delete";
+import BlockIcon from "@mui/icons-material/Block";
 import WarningIcon from "@mui/icons-material/Warning";
 
-const DeleteConfirmDialog = ({ 
+const VoidConfirmDialog = ({ 
   open, 
   title, 
+  reason,
+  setReason,
   onConfirm, 
   onCancel, 
   loading, 
@@ -50,7 +52,7 @@ const DeleteConfirmDialog = ({
       </DialogTitle>
       <DialogContent sx={{ py: 2, mt: 1 }}>
         <Typography variant="body1" gutterBottom sx={{ color: textPrimaryColor }}>
-          Are you sure you want to delete this transaction?
+          Are you sure you want to void this transaction?
         </Typography>
         <Typography 
           variant="body2" 
@@ -60,8 +62,29 @@ const DeleteConfirmDialog = ({
             mt: 1
           }}
         >
-          This will also reverse all associated account balance changes. This action cannot be undone.
+          A reversal record will be created and all associated account balance changes will be reversed.
+          The transaction will remain on record marked as VOID. This action cannot be undone.
         </Typography>
+        <TextField
+          autoFocus
+          fullWidth
+          required
+          multiline
+          rows={2}
+          label="Reason"
+          placeholder="Why is this transaction being voided?"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={loading}
+          sx={{
+            mt: 2,
+            '& .MuiOutlinedInput-root': {
+              '& fieldset': { borderColor: mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.23)' }
+            },
+            '& .MuiInputLabel-root': { color: mode === 'dark' ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.7)' },
+            textarea: { color: textPrimaryColor }
+          }}
+        />
       </DialogContent>
       <DialogActions sx={{ p: 2, bgcolor: mode === 'dark' ? "#2C2121" : "#FEF2F2" }}>
         <Button 
@@ -79,23 +102,25 @@ const DeleteConfirmDialog = ({
           onClick={onConfirm} 
           variant="contained"
           color="error"
-          disabled={loading}
-          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <DeleteIcon />}
+          disabled={loading || !reason.trim()}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : <BlockIcon />}
         >
-          {loading ? "Deleting..." : "Delete"}
+          {loading ? "Voiding..." : "Void"}
         </Button>
       </DialogActions>
     </Dialog>
   );
 };
 
-DeleteConfirmDialog.propTypes = {
+VoidConfirmDialog.propTypes = {
   open: PropTypes.bool.isRequired,
   title: PropTypes.string.isRequired,
+  reason: PropTypes.string.isRequired,
+  setReason: PropTypes.func.isRequired,
   onConfirm: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
   loading: PropTypes.bool.isRequired,
   themeProps: PropTypes.object.isRequired
 };
 
-export default DeleteConfirmDialog;
\ No newline at end of file
+export default VoidConfirmDialog;
\ No newline at end of file
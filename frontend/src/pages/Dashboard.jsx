@@ -1,5 +1,5 @@
 import { useEffect, useState } from "react";
-import { Box, Typography, Fade, CircularProgress, Alert, useMediaQuery, Paper, Divider, Button, IconButton } from "@mui/material";
+import { Box, Typography, Fade, CircularProgress, Alert, useMediaQuery, Paper, Divider, Button, IconButton, Snackbar } from "@mui/material";
 import { useTheme as useMuiTheme } from "@mui/material/styles";
 import { useTheme } from "../context/ThemeContext";
 import RefreshIcon from "@mui/icons-material/Refresh";
@@ -8,6 +8,7 @@ import DashboardIcon from '@mui/icons-material/Dashboard';
 import AccountBalances from "../components/dashboard/AccountBalances";
 import TransactionsTable from "../components/transactions/transactionTable/TransactionsTable";
 import TransactionModal from "../components/transactions/transactionModal/TransactionModal";
+import TillSessionPanel from "../components/till/TillSessionPanel";
 import PageHeader from "../components/common/PageHeader";
 import axios from "axios";
 
@@ -24,6 +25,7 @@ const Dashboard = () => {
   const [accounts, setAccounts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState("");
 
   // Theme-based colors
   const cardBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
@@ -60,8 +62,17 @@ const Dashboard = () => {
     }
   };
 
-  const handleTransactionAdded = () => {
+  // Currencies held in accounts, for counting the till float
+  const accountCurrencies = (Array.isArray(accounts) ? accounts : accounts?.accounts || [])
+    .map((account) => account.currency);
+
+  const handleTransactionAdded = (result) => {
     setRefreshKey((prevKey) => prevKey + 1);
+
+    // Large transactions are held until an admin approves them
+    if (result?.status === "Pending") {
+      setNotice(result.message || "Transaction is pending admin approval");
+    }
   };
 
   const handleNewTransactionClick = () => {
@@ -119,6 +130,29 @@ const Dashboard = () => {
             </IconButton>
           </Box>
 
+          {/* Till Session Section */}
+          <Paper 
+            elevation={3}
+            sx={{ 
+              p: isMobile ? 1.5 : 3, 
+              mb: 3, 
+              bgcolor: cardBgColor,
+              borderRadius: 2,
+              boxShadow: mode === 'dark' 
+                ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
+                : '0 2px 4px rgba(0, 0, 0, 0.08)',
+              border: mode === 'dark' 
+                ? '1px solid rgba(255, 255, 255, 0.05)' 
+                : '1px solid rgba(0, 0, 0, 0.05)'
+            }}
+          >
+            <Typography variant="h6" sx={{ mb: 2, fontWeight: "medium", color: textColor }}>
+              My Till
+            </Typography>
+            <Divider sx={{ mb: 2, borderColor: dividerColor }} />
+            <TillSessionPanel currencies={accountCurrencies} refreshKey={refreshKey} />
+          </Paper>
+
           {/* Account Balances Section */}
           <Paper 
             elevation={3}
@@ -200,6 +234,18 @@ const Dashboard = () => {
           onClose={() => setIsModalOpen(false)}
           onTransactionAdded={handleTransactionAdded}
         />
+
+        {/* Pending approval notice */}
+        <Snackbar
+          open={!!notice}
+          autoHideDuration={8000}
+          onClose={() => setNotice("")}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        >
+          <Alert onClose={() => setNotice("")} severity="info" variant="filled" sx={{ width: '100%' }}>
+            {notice}
+          </Alert>
+        </Snackbar>
       </Box>
     </Fade>
   );
@@ -28,23 +28,28 @@ import PageHeader from "../components/common/PageHeader"
 // Import report components
 import ReportFilters from "../components/reports/ReportFilters"
 import RevenueAnalysis from "../components/reports/RevenueAnalysis"
+import ProfitAnalysis from "../components/reports/ProfitAnalysis"
 import CurrencySummary from "../components/reports/CurrencySummary"
 import TransactionTypes from "../components/reports/TransactionTypes"
 import CustomerAnalytics from "../components/reports/CustomerAnalytics"
+import CategoryAnalytics from "../components/reports/CategoryAnalytics"
 import SavedReportsList from "../components/reports/SavedReportsList"
 import SaveReportDialog from "../components/reports/SaveReportDialog"
 
 // Import services
 import { 
   fetchRevenueData, 
+  fetchProfitData,
   fetchCurrencyData, 
   fetchCurrencySummary,
   fetchTransactionTypes,
   fetchCustomerAnalytics,
+  fetchCategoryAnalytics,
   exportReportData,
   fetchReportConfigs,
   saveReportConfig
 } from "../services/ReportingService"
+import { fetchTransactionCategories } from "../services/TransactionCategoryService"
 
 const ReportingDashboard = () => {
   // Theme
@@ -58,10 +63,14 @@ const ReportingDashboard = () => {
   const [activeTab, setActiveTab] = useState(0)
   const [loading, setLoading] = useState(false)
   const [revenueData, setRevenueData] = useState([])
+  const [profitData, setProfitData] = useState({})
   const [currencies, setCurrencies] = useState([])
   const [currencySummary, setCurrencySummary] = useState([])
   const [transactionTypes, setTransactionTypes] = useState([])
   const [customerData, setCustomerData] = useState([])
+  const [categories, setCategories] = useState([])
+  const [categoryData, setCategoryData] = useState([])
+  const [categoryBy, setCategoryBy] = useState("category")
   const [savedReports, setSavedReports] = useState([])
   const [showFilters, setShowFilters] = useState(true)
   const [saveDialogOpen, setSaveDialogOpen] = useState(false)
@@ -71,6 +80,7 @@ const ReportingDashboard = () => {
     currency: "TTD",
     client: "",
     category: "",
+    tag: "",
     groupBy: "day",
     type: "",
   })
@@ -96,6 +106,10 @@ const ReportingDashboard = () => {
       loadTransactionTypes()
     } else if (activeTab === 3) {
       loadCustomerData()
+    } else if (activeTab === 4) {
+      loadProfitData()
+    } else if (activeTab === 5) {
+      loadCategoryData()
     }
   }, [activeTab])
 
@@ -105,6 +119,9 @@ const ReportingDashboard = () => {
       // Load currencies first for filter
       const currencyResponse = await fetchCurrencyData()
       setCurrencies(currencyResponse.data || [])
+
+      // Load every category, inactive ones included, for the category filter
+      setCategories(await fetchTransactionCategories())
       
       // Load saved reports
       const savedReportsResponse = await fetchReportConfigs()
@@ -135,6 +152,18 @@ const ReportingDashboard = () => {
     }
   }
 
+  const loadProfitData = async () => {
+    setLoading(true)
+    try {
+      const response = await fetchProfitData(filters)
+      setProfitData(response || {})
+    } catch (error) {
+      console.error("Error loading profit data:", error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const loadCurrencySummary = async () => {
     setLoading(true)
     try {
@@ -171,6 +200,23 @@ const ReportingDashboard = () => {
     }
   }
 
+  const loadCategoryData = async (by = categoryBy) => {
+    setLoading(true)
+    try {
+      const response = await fetchCategoryAnalytics(filters, by)
+      setCategoryData(response.data || [])
+    } catch (error) {
+      console.error("Error loading category data:", error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCategoryByChange = (by) => {
+    setCategoryBy(by)
+    loadCategoryData(by)
+  }
+
   const handleFilterChange = (field, value) => {
     setFilters((prev) => ({
       ...prev,
@@ -187,6 +233,10 @@ const ReportingDashboard = () => {
       await loadTransactionTypes()
     } else if (activeTab === 3) {
       await loadCustomerData()
+    } else if (activeTab === 4) {
+      await loadProfitData()
+    } else if (activeTab === 5) {
+      await loadCategoryData()
     }
   }
 
@@ -197,6 +247,7 @@ const ReportingDashboard = () => {
       currency: "TTD",
       client: "",
       category: "",
+      tag: "",
       groupBy: "day",
       type: "",
     })
@@ -246,6 +297,10 @@ const ReportingDashboard = () => {
         return "transactions"
       case 3:
         return "customers"
+      case 4:
+        return "profit"
+      case 5:
+        return "categories"
       default:
         return "revenue"
     }
@@ -262,6 +317,10 @@ const ReportingDashboard = () => {
       case 3:
         return "Customer Analytics"
       case 4:
+        return "FX Profit"
+      case 5:
+        return "Categories & Tags"
+      case 6:
         return "Saved Reports"
       default:
         return "Financial Reports"
@@ -327,15 +386,18 @@ const ReportingDashboard = () => {
               <Tab label="Currency Summary" />
               <Tab label="Transaction Types" />
               <Tab label="Customer Analytics" />
+              <Tab label="FX Profit" />
+              <Tab label="Categories" />
               <Tab label="Saved Reports" icon={<ListIcon />} iconPosition="start" />
             </Tabs>
           </Paper>
 
           {/* Filters Panel */}
-          {showFilters && activeTab !== 4 && (
+          {showFilters && activeTab !== 6 && (
             <ReportFilters
               filters={filters}
               currencies={currencies}
+              categories={categories}
               activeTab={activeTab}
               onFilterChange={handleFilterChange}
               onApplyFilters={applyFilters}
@@ -348,7 +410,7 @@ const ReportingDashboard = () => {
             />
           )}
 
-          {activeTab === 4 ? (
+          {activeTab === 6 ? (
             // Saved Reports Tab
             <SavedReportsList 
               reports={savedReports} 
@@ -408,6 +470,28 @@ const ReportingDashboard = () => {
                   mode={mode}
                 />
               )}
+
+              {activeTab === 4 && (
+                <ProfitAnalysis 
+                  profitData={profitData} 
+                  filters={filters}
+                  cardBgColor={cardBgColor}
+                  textColor={textColor}
+                  mode={mode}
+                />
+              )}
+
+              {activeTab === 5 && (
+                <CategoryAnalytics 
+                  categoryData={categoryData} 
+                  by={categoryBy}
+                  onByChange={handleCategoryByChange}
+                  filters={filters}
+                  cardBgColor={cardBgColor}
+                  textColor={textColor}
+                  mode={mode}
+                />
+              )}
             </>
           )}
 
@@ -11,6 +11,11 @@ import ThemeSettings from "../components/settings/ThemeSettings";
 import ProfileSettings from "../components/settings/ProfileSettings";
 import ApplicationSettings from "../components/settings/admin/ApplicationSettings";
 import AdminSettings from "../components/settings/admin/AdminSettings";
+import ExchangeRateSettings from "../components/settings/admin/ExchangeRateSettings";
+import FeeScheduleSettings from "../components/settings/admin/FeeScheduleSettings";
+import CurrencySettings from "../components/settings/admin/CurrencySettings";
+import CategorySettings from "../components/settings/admin/CategorySettings";
+import ReferenceSettings from "../components/settings/admin/ReferenceSettings";
 
 // Icons for settings tabs
 import PersonIcon from '@mui/icons-material/Person';
@@ -18,6 +23,11 @@ import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
 import PaletteIcon from '@mui/icons-material/Palette';
 import SettingsApplicationsIcon from '@mui/icons-material/SettingsApplications';
 import SettingsIcon from '@mui/icons-material/Settings';
+import CurrencyExchangeIcon from '@mui/icons-material/CurrencyExchange';
+import RequestQuoteIcon from '@mui/icons-material/RequestQuote';
+import PaymentsIcon from '@mui/icons-material/Payments';
+import CategoryIcon from '@mui/icons-material/Category';
+import NumbersIcon from '@mui/icons-material/Numbers';
 
 const SettingsPage = () => {
   const { user, token } = useContext(AuthContext);
@@ -59,6 +69,46 @@ const SettingsPage = () => {
       requiresAuth: true,
       requiresAdmin: true
     },
+    {
+      id: 'currencies',
+      label: 'Currencies',
+      icon: <PaymentsIcon />,
+      component: CurrencySettings,
+      requiresAuth: true,
+      requiresAdmin: true
+    },
+    {
+      id: 'rates',
+      label: 'Exchange Rates',
+      icon: <CurrencyExchangeIcon />,
+      component: ExchangeRateSettings,
+      requiresAuth: true,
+      requiresAdmin: true
+    },
+    {
+      id: 'categories',
+      label: 'Categories',
+      icon: <CategoryIcon />,
+      component: CategorySettings,
+      requiresAuth: true,
+      requiresAdmin: true
+    },
+    {
+      id: 'references',
+      label: 'References',
+      icon: <NumbersIcon />,
+      component: ReferenceSettings,
+      requiresAuth: true,
+      requiresAdmin: true
+    },
+    {
+      id: 'fees',
+      label: 'Fees',
+      icon: <RequestQuoteIcon />,
+      component: FeeScheduleSettings,
+      requiresAuth: true,
+      requiresAdmin: true
+    },
     {
       id: 'admin',
       label: 'Admin Settings',
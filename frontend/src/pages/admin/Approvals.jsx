@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { Box, Typography, Card, CardContent, Button, Fade } from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import FactCheckIcon from "@mui/icons-material/FactCheck";
+import { useTheme } from "../../context/ThemeContext";
+import ApprovalQueue from "../../components/admin/approvals/ApprovalQueue";
+import PageHeader from "../../components/common/PageHeader";
+
+const Approvals = () => {
+  const { mode, primaryColor } = useTheme();
+  
+  // State
+  const [refreshKey, setRefreshKey] = useState(0);
+  
+  // Theme-based colors
+  const cardBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+  
+  // Handlers
+  const handleRefresh = () => {
+    setRefreshKey(prevKey => prevKey + 1);
+  };
+  
+  return (
+    <Fade in={true} timeout={600}>
+      <Box sx={{ 
+        width: "100%", 
+        minHeight: "100%", 
+        display: "flex", 
+        flexDirection: "column"
+      }}>
+        <Box sx={{ width: "100%", px: { xs: 0, sm: 2 } }}>
+          {/* Page Header */}
+          <PageHeader 
+            title="Approvals" 
+            subtitle="Review transactions held above the approval threshold"
+            icon={<FactCheckIcon sx={{ fontSize: 24, color: accentColor }} />}
+          />
+          
+          {/* Action Buttons */}
+          <Box sx={{ display: "flex", justifyContent: "flex-end", mb: 3 }}>
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={handleRefresh}
+              sx={{ 
+                borderColor: mode === 'dark' ? 'rgba(255, 255, 255, 0.3)' : 'rgba(0, 0, 0, 0.2)',
+                color: textColor,
+                '&:hover': { 
+                  borderColor: mode === 'dark' ? 'white' : 'rgba(0, 0, 0, 0.7)'
+                }
+              }}
+            >
+              Refresh
+            </Button>
+          </Box>
+          
+          {/* Main Content */}
+          <Card sx={{ 
+            mb: 3, 
+            bgcolor: cardBgColor,
+            borderRadius: 2,
+            boxShadow: mode === 'dark' 
+              ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
+              : '0 2px 4px rgba(0, 0, 0, 0.08)',
+            border: mode === 'dark' 
+              ? '1px solid rgba(255, 255, 255, 0.05)' 
+              : '1px solid rgba(0, 0, 0, 0.05)'
+          }}>
+            <CardContent>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="h6" sx={{ color: textColor, fontWeight: "medium" }}>
+                  Approval Queue
+                </Typography>
+                <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                  Balances only move once a transaction is approved. A transaction must be approved by someone other than its creator.
+                </Typography>
+              </Box>
+              
+              <ApprovalQueue refreshKey={refreshKey} />
+            </CardContent>
+          </Card>
+        </Box>
+      </Box>
+    </Fade>
+  );
+};
+
+export default Approvals;
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import { Box, Typography, Card, CardContent, Button, Fade } from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import GavelIcon from "@mui/icons-material/Gavel";
+import { useTheme } from "../../context/ThemeContext";
+import ComplianceAlertsTable from "../../components/admin/compliance/ComplianceAlertsTable";
+import ComplianceRulesTable from "../../components/admin/compliance/ComplianceRulesTable";
+import ComplianceHoldsTable from "../../components/admin/compliance/ComplianceHoldsTable";
+import WatchlistsTable from "../../components/admin/compliance/WatchlistsTable";
+import PageHeader from "../../components/common/PageHeader";
+
+const Compliance = () => {
+  const { mode, primaryColor } = useTheme();
+  
+  // State
+  const [refreshKey, setRefreshKey] = useState(0);
+  
+  // Theme-based colors
+  const cardBgColor = mode === 'dark' ? "#1E293B" : "#FFFFFF";
+  const textColor = mode === 'dark' ? "white" : "#1E293B";
+  const secondaryTextColor = mode === 'dark' ? "rgba(255, 255, 255, 0.7)" : "rgba(0, 0, 0, 0.7)";
+  const accentColor = primaryColor || (mode === 'dark' ? '#FACC15' : '#3B82F6');
+  
+  // Handlers
+  const handleRefresh = () => {
+    setRefreshKey(prevKey => prevKey + 1);
+  };
+  
+  return (
+    <Fade in={true} timeout={600}>
+      <Box sx={{ 
+        width: "100%", 
+        minHeight: "100%", 
+        display: "flex", 
+        flexDirection: "column"
+      }}>
+        <Box sx={{ width: "100%", px: { xs: 0, sm: 2 } }}>
+          {/* Page Header */}
+          <PageHeader 
+            title="Compliance" 
+            subtitle="Review AML alerts and watchlist holds, and configure screening"
+            icon={<GavelIcon sx={{ fontSize: 24, color: accentColor }} />}
+          />
+          
+          {/* Action Buttons */}
+          <Box sx={{ display: "flex", justifyContent: "flex-end", mb: 3 }}>
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={handleRefresh}
+              sx={{ 
+                borderColor: mode === 'dark' ? 'rgba(255, 255, 255, 0.3)' : 'rgba(0, 0, 0, 0.2)',
+                color: textColor,
+                '&:hover': { 
+                  borderColor: mode === 'dark' ? 'white' : 'rgba(0, 0, 0, 0.7)'
+                }
+              }}
+            >
+              Refresh
+            </Button>
+          </Box>
+          
+          {/* Compliance Holds */}
+          <Card sx={{ 
+            mb: 3, 
+            bgcolor: cardBgColor,
+            borderRadius: 2,
+            boxShadow: mode === 'dark' 
+              ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
+              : '0 2px 4px rgba(0, 0, 0, 0.08)',
+            border: mode === 'dark' 
+              ? '1px solid rgba(255, 255, 255, 0.05)' 
+              : '1px solid rgba(0, 0, 0, 0.05)'
+          }}>
+            <CardContent>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="h6" sx={{ color: textColor, fontWeight: "medium" }}>
+                  Compliance Holds
+                </Typography>
+                <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                  Transactions whose customer may be on a sanctions watchlist. They stay pending, with no balances moved, until cleared or confirmed.
+                </Typography>
+              </Box>
+              
+              <ComplianceHoldsTable refreshKey={refreshKey} />
+            </CardContent>
+          </Card>
+          
+          {/* Alerts */}
+          <Card sx={{ 
+            mb: 3, 
+            bgcolor: cardBgColor,
+            borderRadius: 2,
+            boxShadow: mode === 'dark' 
+              ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
+              : '0 2px 4px rgba(0, 0, 0, 0.08)',
+            border: mode === 'dark' 
+              ? '1px solid rgba(255, 255, 255, 0.05)' 
+              : '1px solid rgba(0, 0, 0, 0.05)'
+          }}>
+            <CardContent>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="h6" sx={{ color: textColor, fontWeight: "medium" }}>
+                  Alerts
+                </Typography>
+                <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                  Every new transaction is screened after it is saved. Matches raise an alert here; the sale itself is never held up.
+                </Typography>
+              </Box>
+              
+              <ComplianceAlertsTable refreshKey={refreshKey} />
+            </CardContent>
+          </Card>
+          
+          {/* Rules */}
+          <Card sx={{ 
+            mb: 3, 
+            bgcolor: cardBgColor,
+            borderRadius: 2,
+            boxShadow: mode === 'dark' 
+              ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
+              : '0 2px 4px rgba(0, 0, 0, 0.08)',
+            border: mode === 'dark' 
+              ? '1px solid rgba(255, 255, 255, 0.05)' 
+              : '1px solid rgba(0, 0, 0, 0.05)'
+          }}>
+            <CardContent>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="h6" sx={{ color: textColor, fontWeight: "medium" }}>
+                  Screening Rules
+                </Typography>
+                <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                  Amounts are compared in TTD. Changes apply to transactions created from now on.
+                </Typography>
+              </Box>
+              
+              <ComplianceRulesTable refreshKey={refreshKey} />
+            </CardContent>
+          </Card>
+
+          {/* Watchlists */}
+          <Card sx={{ 
+            mb: 3, 
+            bgcolor: cardBgColor,
+            borderRadius: 2,
+            boxShadow: mode === 'dark' 
+              ? '0 4px 8px rgba(0, 0, 0, 0.25)' 
+              : '0 2px 4px rgba(0, 0, 0, 0.08)',
+            border: mode === 'dark' 
+              ? '1px solid rgba(255, 255, 255, 0.05)' 
+              : '1px solid rgba(0, 0, 0, 0.05)'
+          }}>
+            <CardContent>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="h6" sx={{ color: textColor, fontWeight: "medium" }}>
+                  Watchlists
+                </Typography>
+                <Typography variant="body2" sx={{ color: secondaryTextColor }}>
+                  Upload UN, OFAC, EU or UK consolidated lists (XML or CSV), or any CSV with a name column. Screening uses the last import of each list and needs no internet connection.
+                </Typography>
+              </Box>
+              
+              <WatchlistsTable refreshKey={refreshKey} />
+            </CardContent>
+          </Card>
+        </Box>
+      </Box>
+    </Fade>
+  );
+};
+
+export default Compliance;
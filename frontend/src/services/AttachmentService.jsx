@@ -0,0 +1,59 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// A transaction's attachments with the upload limits
+export const fetchAttachments = async (transactionId) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transactions/${transactionId}/attachments`, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching attachments:", error)
+    throw error
+  }
+}
+
+// The file goes as the request body; its name and description as query parameters
+export const uploadAttachment = async (transactionId, file, description = "") => {
+  try {
+    const response = await axios.post(`${BASE_URL}/transactions/${transactionId}/attachments`, file, {
+      params: { fileName: file.name, description: description || undefined },
+      headers: { ...authHeaders(), "Content-Type": file.type || "application/octet-stream" }
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error uploading attachment:", error)
+    throw error
+  }
+}
+
+// The file itself as a Blob, for previews and downloads
+export const fetchAttachmentFile = async (transactionId, attachmentId) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transactions/${transactionId}/attachments/${attachmentId}`, {
+      headers: authHeaders(),
+      responseType: "blob"
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching attachment file:", error)
+    throw error
+  }
+}
+
+// Remove an attachment (admin or the user who uploaded it)
+export const deleteAttachment = async (transactionId, attachmentId) => {
+  try {
+    const response = await axios.delete(`${BASE_URL}/transactions/${transactionId}/attachments/${attachmentId}`, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error deleting attachment:", error)
+    throw error
+  }
+}
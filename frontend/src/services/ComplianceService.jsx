@@ -0,0 +1,166 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Compliance alerts by status and severity (admin)
+export const fetchComplianceAlerts = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/alerts`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching compliance alerts:", error)
+    throw error
+  }
+}
+
+// One alert with its transactions and history
+export const fetchComplianceAlert = async (id) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/alerts/${id}`, {
+      headers: authHeaders()
+    })
+    return response.data.alert
+  } catch (error) {
+    console.error("Error fetching compliance alert:", error)
+    throw error
+  }
+}
+
+// Move an alert through the review workflow
+export const updateComplianceAlertStatus = async (id, status, note = "") => {
+  try {
+    const response = await axios.patch(`${BASE_URL}/compliance/alerts/${id}/status`, { status, note }, {
+      headers: authHeaders()
+    })
+    return response.data.alert
+  } catch (error) {
+    console.error("Error updating compliance alert:", error)
+    throw error
+  }
+}
+
+// Screening rules (admin)
+export const fetchComplianceRules = async () => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/rules`, {
+      headers: authHeaders()
+    })
+    return response.data.rules
+  } catch (error) {
+    console.error("Error fetching compliance rules:", error)
+    throw error
+  }
+}
+
+// Update a screening rule's parameters, severity or enabled flag
+export const updateComplianceRule = async (id, rule) => {
+  try {
+    const response = await axios.put(`${BASE_URL}/compliance/rules/${id}`, rule, {
+      headers: authHeaders()
+    })
+    return response.data.rule
+  } catch (error) {
+    console.error("Error updating compliance rule:", error)
+    throw error
+  }
+}
+
+// Imported sanctions watchlists and recent uploads (admin)
+export const fetchWatchlists = async () => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/watchlists`, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching watchlists:", error)
+    throw error
+  }
+}
+
+// Upload a sanctions list file (XML or CSV) into a named list, replacing its entries
+export const importWatchlist = async (file, listName) => {
+  try {
+    const text = await file.text()
+    const response = await axios.post(`${BASE_URL}/compliance/watchlists/import`, text, {
+      params: { listName, fileName: file.name },
+      headers: { ...authHeaders(), "Content-Type": "text/plain" }
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error importing watchlist:", error)
+    throw error
+  }
+}
+
+// Remove a watchlist and its entries
+export const deleteWatchlist = async (listName) => {
+  try {
+    const response = await axios.delete(`${BASE_URL}/compliance/watchlists/${encodeURIComponent(listName)}`, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error removing watchlist:", error)
+    throw error
+  }
+}
+
+// Check a name against the imported watchlists
+export const screenWatchlistName = async (name) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/watchlists/screen`, {
+      params: { name },
+      headers: authHeaders()
+    })
+    return response.data.matches
+  } catch (error) {
+    console.error("Error screening name:", error)
+    throw error
+  }
+}
+
+// One listed party with its aliases, dates of birth and programmes
+export const fetchWatchlistEntry = async (id) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/watchlists/entries/${id}`, {
+      headers: authHeaders()
+    })
+    return response.data.entry
+  } catch (error) {
+    console.error("Error fetching watchlist entry:", error)
+    throw error
+  }
+}
+
+// Transactions held by watchlist screening
+export const fetchComplianceHolds = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/compliance/holds`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching compliance holds:", error)
+    throw error
+  }
+}
+
+// Clear (false positive) or confirm (true match) a compliance hold
+export const resolveComplianceHold = async (transactionId, decision, note) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/transactions/${transactionId}/compliance-hold`, { decision, note }, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error resolving compliance hold:", error)
+    throw error
+  }
+}
@@ -0,0 +1,55 @@
+import axios from "axios"
+import { setCurrencyRegistry } from "../utils/utils"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Registered currencies ({ active: true } for only those new transactions can use)
+export const fetchCurrencies = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/currencies`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data.currencies || []
+  } catch (error) {
+    console.error("Error fetching currencies:", error)
+    throw error
+  }
+}
+
+// Load the registry used to round and format amounts (see utils/formatCurrency)
+export const loadCurrencyRegistry = async () => {
+  const currencies = await fetchCurrencies()
+  setCurrencyRegistry(currencies)
+  return currencies
+}
+
+// Register a currency (admin); its account is opened on the server
+export const createCurrency = async (currency) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/currencies`, currency, {
+      headers: authHeaders()
+    })
+    await loadCurrencyRegistry()
+    return response.data.currency
+  } catch (error) {
+    console.error("Error creating currency:", error)
+    throw error
+  }
+}
+
+// Change a currency's name, symbol, minor units or active flag (admin)
+export const updateCurrency = async (code, changes) => {
+  try {
+    const response = await axios.put(`${BASE_URL}/currencies/${code}`, changes, {
+      headers: authHeaders()
+    })
+    await loadCurrencyRegistry()
+    return response.data.currency
+  } catch (error) {
+    console.error("Error updating currency:", error)
+    throw error
+  }
+}
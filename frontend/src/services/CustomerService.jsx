@@ -0,0 +1,71 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Search the customer registry by name, email, phone or ID number
+export const searchCustomers = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/customers`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error searching customers:", error)
+    throw error
+  }
+}
+
+// One customer with their transactions and totals per currency
+export const fetchCustomer = async (id) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/customers/${id}`, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching customer:", error)
+    throw error
+  }
+}
+
+// Register a customer with their identity record
+export const createCustomer = async (customer) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/customers`, customer, {
+      headers: authHeaders()
+    })
+    return response.data.customer
+  } catch (error) {
+    console.error("Error creating customer:", error)
+    throw error
+  }
+}
+
+// Update a customer's details
+export const updateCustomer = async (id, customer) => {
+  try {
+    const response = await axios.put(`${BASE_URL}/customers/${id}`, customer, {
+      headers: authHeaders()
+    })
+    return response.data.customer
+  } catch (error) {
+    console.error("Error updating customer:", error)
+    throw error
+  }
+}
+
+// Merge duplicate customers into the surviving record (admin)
+export const mergeCustomers = async (targetId, sourceIds) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/customers/${targetId}/merge`, { sourceIds }, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error merging customers:", error)
+    throw error
+  }
+}
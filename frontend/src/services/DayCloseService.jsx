@@ -0,0 +1,68 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Closed and reopened business days (admin)
+export const fetchDayCloses = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/day-closes`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching day closes:", error)
+    throw error
+  }
+}
+
+// Close a business day (YYYY-MM-DD, defaults to today on the server)
+export const closeBusinessDay = async (businessDate) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/day-closes`, { businessDate }, {
+      headers: authHeaders()
+    })
+    return response.data.dayClose
+  } catch (error) {
+    console.error("Error closing business day:", error)
+    throw error
+  }
+}
+
+// Reopen a closed business day with a reason
+export const reopenBusinessDay = async (businessDate, reason) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/day-closes/${businessDate}/reopen`, { reason }, {
+      headers: authHeaders()
+    })
+    return response.data.dayClose
+  } catch (error) {
+    console.error("Error reopening business day:", error)
+    throw error
+  }
+}
+
+// Download the daily close report as pdf or csv
+export const downloadDayCloseReport = async (businessDate, format = "pdf") => {
+  try {
+    const response = await axios.get(`${BASE_URL}/day-closes/${businessDate}/report`, {
+      params: { format },
+      responseType: "blob",
+      headers: authHeaders()
+    })
+
+    const url = window.URL.createObjectURL(new Blob([response.data]))
+    const link = document.createElement("a")
+    link.href = url
+    link.setAttribute("download", `daily-close-${businessDate}.${format}`)
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    window.URL.revokeObjectURL(url)
+  } catch (error) {
+    console.error("Error downloading daily close report:", error)
+    throw error
+  }
+}
@@ -0,0 +1,31 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Transaction reference format with the reference the next transaction would get (admin)
+export const fetchReferenceFormat = async () => {
+  try {
+    const response = await axios.get(`${BASE_URL}/reference-format`, {
+      headers: authHeaders()
+    })
+    return { format: response.data.format, preview: response.data.preview }
+  } catch (error) {
+    console.error("Error fetching reference format:", error)
+    throw error
+  }
+}
+
+// Change the template, prefix, branch code, padding, reset period or fiscal year start (admin)
+export const updateReferenceFormat = async (changes) => {
+  try {
+    const response = await axios.put(`${BASE_URL}/reference-format`, changes, {
+      headers: authHeaders()
+    })
+    return { format: response.data.format, preview: response.data.preview }
+  } catch (error) {
+    console.error("Error updating reference format:", error)
+    throw error
+  }
+}
@@ -13,6 +13,7 @@ export const fetchRevenueData = async (filters) => {
         currency: filters.currency,
         client: filters.client,
         category: filters.category,
+        tag: filters.tag,
         groupBy: filters.groupBy,
         type: filters.type,
       },
@@ -25,6 +26,28 @@ export const fetchRevenueData = async (filters) => {
   }
 }
 
+// Realized FX Profit
+export const fetchProfitData = async (filters) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/reports/profit`, {
+      params: {
+        startDate:
+          filters.startDate instanceof Date ? filters.startDate.toISOString().split("T")[0] : filters.startDate,
+        endDate: filters.endDate instanceof Date ? filters.endDate.toISOString().split("T")[0] : filters.endDate,
+        currency: filters.currency,
+        category: filters.category,
+        tag: filters.tag,
+        groupBy: filters.groupBy,
+      },
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching profit data:", error)
+    throw error
+  }
+}
+
 // Currency Data
 export const fetchCurrencyData = async () => {
   try {
@@ -46,6 +69,8 @@ export const fetchCurrencySummary = async (filters) => {
           filters.startDate instanceof Date ? filters.startDate.toISOString().split("T")[0] : filters.startDate,
         endDate: filters.endDate instanceof Date ? filters.endDate.toISOString().split("T")[0] : filters.endDate,
         type: filters.type,
+        category: filters.category,
+        tag: filters.tag,
       },
       headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
     })
@@ -65,6 +90,8 @@ export const fetchTransactionTypes = async (filters) => {
           filters.startDate instanceof Date ? filters.startDate.toISOString().split("T")[0] : filters.startDate,
         endDate: filters.endDate instanceof Date ? filters.endDate.toISOString().split("T")[0] : filters.endDate,
         currency: filters.currency,
+        category: filters.category,
+        tag: filters.tag,
       },
       headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
     })
@@ -83,6 +110,8 @@ export const fetchCustomerAnalytics = async (filters) => {
           filters.startDate instanceof Date ? filters.startDate.toISOString().split("T")[0] : filters.startDate,
         endDate: filters.endDate instanceof Date ? filters.endDate.toISOString().split("T")[0] : filters.endDate,
         currency: filters.currency,
+        category: filters.category,
+        tag: filters.tag,
         limit: 10,
       },
       headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
@@ -94,6 +123,28 @@ export const fetchCustomerAnalytics = async (filters) => {
   }
 }
 
+// Volumes by category, or by tag with by = "tag"
+export const fetchCategoryAnalytics = async (filters, by = "category") => {
+  try {
+    const response = await axios.get(`${BASE_URL}/reports/categories`, {
+      params: {
+        startDate:
+          filters.startDate instanceof Date ? filters.startDate.toISOString().split("T")[0] : filters.startDate,
+        endDate: filters.endDate instanceof Date ? filters.endDate.toISOString().split("T")[0] : filters.endDate,
+        currency: filters.currency,
+        category: filters.category,
+        tag: filters.tag,
+        by,
+      },
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching category analytics:", error)
+    throw error
+  }
+}
+
 // Export Data
 export const exportReportData = async (format, filters) => {
   try {
@@ -105,6 +156,8 @@ export const exportReportData = async (format, filters) => {
         endDate: filters.endDate instanceof Date ? filters.endDate.toISOString().split("T")[0] : filters.endDate,
         currency: filters.currency,
         type: filters.type,
+        category: filters.category,
+        tag: filters.tag,
       },
       responseType: "blob",
       headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
@@ -0,0 +1,93 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Current user's open till session
+export const fetchCurrentTillSession = async () => {
+  try {
+    const response = await axios.get(`${BASE_URL}/till-sessions/current`, {
+      headers: authHeaders()
+    })
+    return response.data.tillSession
+  } catch (error) {
+    console.error("Error fetching till session:", error)
+    throw error
+  }
+}
+
+// Open a till session with a float per currency ([{ currency, amount }])
+export const openTillSession = async (floats, notes = "") => {
+  try {
+    const response = await axios.post(`${BASE_URL}/till-sessions`, { floats, notes }, {
+      headers: authHeaders()
+    })
+    return response.data.tillSession
+  } catch (error) {
+    console.error("Error opening till session:", error)
+    throw error
+  }
+}
+
+// Close a till session with the counted cash per currency ([{ currency, amount }])
+export const closeTillSession = async (id, counts, notes = "") => {
+  try {
+    const response = await axios.post(`${BASE_URL}/till-sessions/${id}/close`, { counts, notes }, {
+      headers: authHeaders()
+    })
+    return response.data.tillSession
+  } catch (error) {
+    console.error("Error closing till session:", error)
+    throw error
+  }
+}
+
+// All till sessions (admin)
+export const fetchTillSessions = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/till-sessions`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching till sessions:", error)
+    throw error
+  }
+}
+
+// A till session with its transactions
+export const fetchTillSession = async (id) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/till-sessions/${id}`, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching till session details:", error)
+    throw error
+  }
+}
+
+// Download the close-out PDF for a closed session
+export const downloadTillCloseOut = async (id) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/till-sessions/${id}/pdf`, {
+      responseType: "blob",
+      headers: authHeaders()
+    })
+
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: "application/pdf" }))
+    const link = document.createElement("a")
+    link.href = url
+    link.setAttribute("download", `till-closeout-${id}.pdf`)
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    window.URL.revokeObjectURL(url)
+  } catch (error) {
+    console.error("Error downloading close-out report:", error)
+    throw error
+  }
+}
@@ -0,0 +1,59 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Transaction categories ({ active: true } for only those new transactions can use)
+export const fetchTransactionCategories = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transaction-categories`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data.categories || []
+  } catch (error) {
+    console.error("Error fetching transaction categories:", error)
+    throw error
+  }
+}
+
+// Add a category (admin)
+export const createTransactionCategory = async (category) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/transaction-categories`, category, {
+      headers: authHeaders()
+    })
+    return response.data.category
+  } catch (error) {
+    console.error("Error creating transaction category:", error)
+    throw error
+  }
+}
+
+// Rename, describe or deactivate a category (admin)
+export const updateTransactionCategory = async (id, changes) => {
+  try {
+    const response = await axios.put(`${BASE_URL}/transaction-categories/${id}`, changes, {
+      headers: authHeaders()
+    })
+    return response.data.category
+  } catch (error) {
+    console.error("Error updating transaction category:", error)
+    throw error
+  }
+}
+
+// Tags already used on transactions, optionally only those starting with a prefix
+export const fetchTransactionTags = async (prefix = "") => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transaction-categories/tags`, {
+      params: prefix ? { prefix } : {},
+      headers: authHeaders()
+    })
+    return response.data.tags || []
+  } catch (error) {
+    console.error("Error fetching transaction tags:", error)
+    throw error
+  }
+}
@@ -0,0 +1,62 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// The CSV goes as the request body; mapping, dateFormat and affectBalances as query parameters
+const importRequest = async (path, file, { mapping, dateFormat, affectBalances }) => {
+  const text = await file.text()
+  const response = await axios.post(`${BASE_URL}/transaction-imports${path}`, text, {
+    params: { mapping, dateFormat, affectBalances, fileName: file.name },
+    headers: { ...authHeaders(), "Content-Type": "text/csv" }
+  })
+  return response.data
+}
+
+// Check a CSV of historical transactions without importing anything (admin)
+export const previewTransactionImport = async (file, options = {}) => {
+  try {
+    return await importRequest("/dry-run", file, options)
+  } catch (error) {
+    console.error("Error checking import file:", error)
+    throw error
+  }
+}
+
+// Import the rows of a CSV that pass validation (admin)
+export const commitTransactionImport = async (file, options = {}) => {
+  try {
+    return await importRequest("", file, options)
+  } catch (error) {
+    console.error("Error importing transactions:", error)
+    throw error
+  }
+}
+
+// Past imports, newest first (admin)
+export const fetchTransactionImports = async (params = {}) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transaction-imports`, {
+      params,
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error fetching imports:", error)
+    throw error
+  }
+}
+
+// Remove an import's transactions and reverse its balance movements (admin)
+export const undoTransactionImport = async (id) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/transaction-imports/${id}/undo`, {}, {
+      headers: authHeaders()
+    })
+    return response.data
+  } catch (error) {
+    console.error("Error undoing import:", error)
+    throw error
+  }
+}
@@ -0,0 +1,32 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Fields the transaction search language knows ({ name, kind, description })
+export const fetchSearchFields = async () => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transactions/search-suggestions`, {
+      headers: authHeaders()
+    })
+    return response.data.fields || []
+  } catch (error) {
+    console.error("Error fetching search fields:", error)
+    throw error
+  }
+}
+
+// Values one search field can take that start with prefix (types, currencies, usernames)
+export const fetchSearchValues = async (field, prefix = "") => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transactions/search-suggestions`, {
+      params: { field, prefix },
+      headers: authHeaders()
+    })
+    return response.data.values || []
+  } catch (error) {
+    console.error("Error fetching search values:", error)
+    throw error
+  }
+}
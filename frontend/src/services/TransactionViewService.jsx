@@ -0,0 +1,69 @@
+import axios from "axios"
+
+const BASE_URL = import.meta.env.VITE_BASE_URL;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
+
+// Saved transaction list views: the user's own, then those shared by others
+export const fetchTransactionViews = async () => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transaction-views`, {
+      headers: authHeaders()
+    })
+    return response.data.views || []
+  } catch (error) {
+    console.error("Error fetching transaction views:", error)
+    throw error
+  }
+}
+
+// One view, e.g. from a shared link
+export const fetchTransactionView = async (id) => {
+  try {
+    const response = await axios.get(`${BASE_URL}/transaction-views/${id}`, {
+      headers: authHeaders()
+    })
+    return response.data.view
+  } catch (error) {
+    console.error("Error fetching transaction view:", error)
+    throw error
+  }
+}
+
+// Save filters, sort order and columns as a named view
+export const createTransactionView = async (view) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/transaction-views`, view, {
+      headers: authHeaders()
+    })
+    return response.data.view
+  } catch (error) {
+    console.error("Error saving transaction view:", error)
+    throw error
+  }
+}
+
+// Change a view (owner or admin)
+export const updateTransactionView = async (id, changes) => {
+  try {
+    const response = await axios.put(`${BASE_URL}/transaction-views/${id}`, changes, {
+      headers: authHeaders()
+    })
+    return response.data.view
+  } catch (error) {
+    console.error("Error updating transaction view:", error)
+    throw error
+  }
+}
+
+// Delete a view (owner or admin)
+export const deleteTransactionView = async (id) => {
+  try {
+    await axios.delete(`${BASE_URL}/transaction-views/${id}`, {
+      headers: authHeaders()
+    })
+  } catch (error) {
+    console.error("Error deleting transaction view:", error)
+    throw error
+  }
+}
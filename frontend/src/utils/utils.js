@@ -1,3 +1,52 @@
+// Currency registry from the server, by code ({ name, symbol, minorUnits, isActive })
+const currencyRegistry = new Map();
+
+/**
+ * Replace the currency registry used to round and format amounts
+ *
+ * @param {Array<Object>} currencies - Currencies from GET /currencies
+ */
+const setCurrencyRegistry = (currencies = []) => {
+  currencyRegistry.clear();
+  currencies.forEach((currency) => currencyRegistry.set(currency.code, currency));
+};
+
+/**
+ * Number of decimal places a currency's amounts are kept to
+ *
+ * Falls back to 8 for well-known cryptocurrencies and 2 for anything else
+ * until the registry has loaded.
+ *
+ * @param {string} currency - The currency code
+ * @returns {number} Minor units
+ */
+const getMinorUnits = (currency = "TTD") => {
+  const code = currency.toUpperCase();
+  if (currencyRegistry.has(code)) {
+    return currencyRegistry.get(code).minorUnits;
+  }
+  const cryptoCurrencies = ["BTC", "ETH", "XRP", "LTC", "BCH", "BNB", "ADA", "SOL", "DOT", "AVAX", "LINK", "MATIC"];
+  return cryptoCurrencies.includes(code) ? 8 : 2;
+};
+
+/**
+ * Round an amount to the minor units of its currency
+ *
+ * @param {number|string} amount - The amount to round
+ * @param {string} currency - The currency code
+ * @returns {number} Rounded amount
+ */
+const roundToCurrency = (amount, currency) =>
+  parseFloat((parseFloat(amount) || 0).toFixed(getMinorUnits(currency)));
+
+/**
+ * Smallest amount a currency can hold, e.g. for the step of an amount input
+ *
+ * @param {string} currency - The currency code
+ * @returns {number} 1 for JPY, 0.01 for USD, 0.00000001 for BTC
+ */
+const getCurrencyStep = (currency) => Math.pow(10, -getMinorUnits(currency));
+
 /**
  * Format currency amount with proper formatting based on currency type
  * 
@@ -15,18 +64,8 @@ const formatCurrency = (amount, currency = "TTD") => {
     // Convert amount to a number to ensure proper formatting
     const numericAmount = parseFloat(amount);
     
-    // Determine decimal places based on currency type
-    let fractionDigits = 2; // Default for fiat currencies
-    
-    // For cryptocurrencies, use appropriate decimal places
-    const cryptoCurrencies = ["BTC", "ETH", "XRP", "LTC", "BCH", "BNB", "ADA", "SOL", "DOT", "AVAX", "LINK", "MATIC"];
-    const stablecoins = ["USDT", "USDC", "DAI", "BUSD", "UST", "TUSD"];
-    
-    if (cryptoCurrencies.includes(currency.toUpperCase())) {
-      fractionDigits = 8; // Most cryptos display up to 8 decimal places
-    } else if (stablecoins.includes(currency.toUpperCase())) {
-      fractionDigits = 2; // Stablecoins typically use 2 decimal places like fiat
-    }
+    // Decimal places come from the currency registry
+    const fractionDigits = getMinorUnits(currency);
     
     // Format amount with appropriate decimal places
     const formattedAmount = new Intl.NumberFormat("en-US", {
@@ -123,6 +162,8 @@ const formatAmount = (amount, currency, maxLength = 15) => {
         return { bgcolor: "blue", color: "white" }; // Blue
       case "Sell":
         return { bgcolor: "orange", color: "white" }; // Green
+      case "Exchange":
+        return { bgcolor: "purple", color: "white" }; // Purple
       default:
         return { bgcolor: "gray", color: "white" };
     }
@@ -169,6 +210,12 @@ function stringAvatar(name) {
 
 // Currency icon mapping for common currencies and cryptocurrencies
 function getCurrencySymbol(currency){
+  // Symbols set in the currency registry come first
+  const registered = currencyRegistry.get(currency);
+  if (registered?.symbol) {
+    return registered.symbol;
+  }
+
   const symbols = {
     "USD": "$",
     "EUR": "€",
@@ -231,4 +278,23 @@ function getCurrencyColor(currency){
   return fiatColors[currency] || "#3B82F6"; // Default blue for other fiat
 };
 
-  export {formatCurrency, getTransactionColor, stringAvatar, formatAmount, getCurrencySymbol, getCurrencyColor};
\ No newline at end of file
+/**
+ * Create a random key for the Idempotency-Key header
+ *
+ * crypto.randomUUID is only available on HTTPS and localhost, so fall back to
+ * a version 4 UUID built from crypto.getRandomValues elsewhere on the network.
+ *
+ * @returns {string} A random UUID
+ */
+const createIdempotencyKey = () => {
+  if (typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+  export {formatCurrency, getTransactionColor, stringAvatar, formatAmount, getCurrencySymbol, getCurrencyColor, createIdempotencyKey, setCurrencyRegistry, getMinorUnits, roundToCurrency, getCurrencyStep};
\ No newline at end of file